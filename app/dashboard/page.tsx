@@ -6,12 +6,16 @@ import RecentTransactions from "@/components/dashboard/recent-transactions"
 import ChainSelector from "@/components/dashboard/chain-selector"
 import { Skeleton } from "@/components/ui/skeleton"
 import RiskAssessment from "@/components/dashboard/risk-assessment"
+import PortfolioSwitcher from "@/components/dashboard/portfolio-switcher"
 
 export default function Dashboard() {
   return (
     <main className="flex min-h-screen flex-col">
       <DashboardHeader />
       <div className="container mx-auto px-4 py-6">
+        <div className="mb-4 flex justify-end">
+          <PortfolioSwitcher />
+        </div>
         <div className="grid grid-cols-1 gap-6 md:grid-cols-3">
           <div className="md:col-span-2">
             <Suspense fallback={<Skeleton className="h-[200px] w-full rounded-xl" />}>
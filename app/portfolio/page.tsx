@@ -8,85 +8,51 @@ import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@
 import { Badge } from "@/components/ui/badge"
 import { Button } from "@/components/ui/button"
 import { ArrowUpDown, ExternalLink, TrendingUp } from "lucide-react"
+import PortfolioSwitcher from "@/components/dashboard/portfolio-switcher"
+import PortfolioPerformance from "@/components/dashboard/portfolio-performance"
+import TaxReport from "@/components/dashboard/tax-report"
+import { usePortfolioSummary, useSelectedPortfolio } from "@/hooks/use-portfolios"
 
-// Mock data for portfolio assets
-const assets = [
-  {
-    id: 1,
-    name: "DOT",
-    chain: "Polkadot",
-    protocol: "Acala",
-    balance: "250 DOT",
-    value: "$3,125.00",
-    apy: 12.5,
-    profit: "+$390.63",
-    profitPercentage: 14.3,
-  },
-  {
-    id: 2,
-    name: "GLMR",
-    chain: "Polkadot",
-    protocol: "Moonwell",
-    balance: "1,000 GLMR",
-    value: "$250.00",
-    apy: 8.7,
-    profit: "+$21.75",
-    profitPercentage: 9.5,
-  },
-  {
-    id: 3,
-    name: "ETH",
-    chain: "Ethereum",
-    protocol: "Aave",
-    balance: "2.5 ETH",
-    value: "$4,687.50",
-    apy: 3.2,
-    profit: "+$156.25",
-    profitPercentage: 3.45,
-  },
-  {
-    id: 4,
-    name: "CAKE-BNB LP",
-    chain: "Binance",
-    protocol: "PancakeSwap",
-    balance: "10.5 LP",
-    value: "$2,362.50",
-    apy: 42.8,
-    profit: "+$843.75",
-    profitPercentage: 55.6,
-  },
-  {
-    id: 5,
-    name: "USDC",
-    chain: "Ethereum",
-    protocol: "Compound",
-    balance: "5,000 USDC",
-    value: "$5,000.00",
-    apy: 2.8,
-    profit: "+$35.00",
-    profitPercentage: 0.7,
-  },
-]
+const ASSET_COLORS = ["#E6007A", "#552BBF", "#627EEA", "#F3BA2F", "#2775CA", "#00FFA3", "#E84142"]
 
-// Data for pie chart
-const pieData = [
-  { name: "DOT", value: 3125, color: "#E6007A" },
-  { name: "GLMR", value: 250, color: "#552BBF" },
-  { name: "ETH", value: 4687.5, color: "#627EEA" },
-  { name: "CAKE-BNB LP", value: 2362.5, color: "#F3BA2F" },
-  { name: "USDC", value: 5000, color: "#2775CA" },
-]
+const formatUsd = (value: number) =>
+  value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
 
-// Data for chain allocation
-const chainData = [
-  { name: "Polkadot", value: 3375, color: "#E6007A" },
-  { name: "Ethereum", value: 9687.5, color: "#627EEA" },
-  { name: "Binance", value: 2362.5, color: "#F3BA2F" },
-]
+// Amounts are stored in the asset's smallest unit
+const formatAmount = (amount: string, decimals: number) => {
+  const value = Number(amount) / 10 ** decimals
+  return value.toLocaleString(undefined, { maximumFractionDigits: 4 })
+}
 
 export default function PortfolioPage() {
   const [sortField, setSortField] = useState("value")
   const [sortDirection, setSortDirection] = useState("desc")
+  const [selectedPortfolio] = useSelectedPortfolio()
+  const { summary, isLoading } = usePortfolioSummary(selectedPortfolio)
+
+  const assets = (summary?.positions || []).map((position) => ({
+    id: position.id,
+    name: position.assetSymbol,
+    chain: position.chainName,
+    protocol: position.protocol || "Unknown",
+    balance: `${formatAmount(position.amount, position.assetDecimals)} ${position.assetSymbol}`,
+    value: position.valueUsd,
+    apy: position.apy,
+    profit: position.profitLossUsd,
+    profitPercentage: position.profitLossPercentage,
+  }))
+
+  const pieData = (summary?.allocation.byAsset || []).map((entry, index) => ({
+    name: entry.name,
+    value: entry.valueUsd,
+    color: ASSET_COLORS[index % ASSET_COLORS.length],
+  }))
+
+  const chainData = (summary?.allocation.byChain || []).map((entry, index) => ({
+    name: entry.name,
+    value: entry.valueUsd,
+    color: ASSET_COLORS[index % ASSET_COLORS.length],
+  }))
 
   const handleSort = (field: string) => {
     if (sortField === field) {
@@ -106,30 +72,15 @@ export default function PortfolioPage() {
     }
 
     if (typeof aValue === "string" && typeof bValue === "string") {
-      // Handle currency strings by removing $ and , characters
-      if (aValue.startsWith("$") && bValue.startsWith("$")) {
-        const aNum = Number.parseFloat(aValue.replace("$", "").replace(",", ""))
-        const bNum = Number.parseFloat(bValue.replace("$", "").replace(",", ""))
-        return sortDirection === "asc" ? aNum - bNum : bNum - aNum
-      }
-
       return sortDirection === "asc" ? aValue.localeCompare(bValue) : bValue.localeCompare(aValue)
     }
 
     return 0
   })
 
-  const totalValue = assets.reduce((sum, asset) => {
-    const value = Number.parseFloat(asset.value.replace("$", "").replace(",", ""))
-    return sum + value
-  }, 0)
-
-  const totalProfit = assets.reduce((sum, asset) => {
-    const profit = Number.parseFloat(asset.profit.replace("+$", "").replace(",", ""))
-    return sum + profit
-  }, 0)
-
-  const averageProfitPercentage = assets.reduce((sum, asset) => sum + asset.profitPercentage, 0) / assets.length
+  const totalValue = summary?.totals.valueUsd || 0
+  const totalProfit = summary?.totals.profitLossUsd || 0
+  const averageProfitPercentage = summary?.totals.profitLossPercentage || 0
 
   const getChainBadgeColor = (chain: string) => {
     switch (chain) {
@@ -150,7 +101,10 @@ export default function PortfolioPage() {
 
   return (
     <div className="container mx-auto px-4 py-6">
-      <h1 className="mb-6 text-3xl font-bold">Portfolio</h1>
+      <div className="mb-6 flex items-center justify-between">
+        <h1 className="text-3xl font-bold">{summary?.portfolio ? summary.portfolio.name : "Portfolio"}</h1>
+        <PortfolioSwitcher />
+      </div>
 
       <div className="grid gap-6 md:grid-cols-3">
         <Card className="md:col-span-2 rounded-xl border-border shadow-sm">
@@ -162,11 +116,13 @@ export default function PortfolioPage() {
             <div className="mb-6 grid gap-4 md:grid-cols-3">
               <div className="space-y-1">
                 <p className="text-sm text-muted-foreground">Total Value</p>
-                <p className="text-2xl font-bold">${totalValue.toLocaleString()}</p>
+                <p className="text-2xl font-bold">${formatUsd(totalValue)}</p>
               </div>
               <div className="space-y-1">
                 <p className="text-sm text-muted-foreground">Total Profit</p>
-                <p className="text-2xl font-bold text-polkadot-green">+${totalProfit.toLocaleString()}</p>
+                <p className={`text-2xl font-bold ${totalProfit < 0 ? "text-destructive" : "text-polkadot-green"}`}>
+                  {totalProfit < 0 ? "-" : "+"}${formatUsd(Math.abs(totalProfit))}
+                </p>
               </div>
               <div className="space-y-1">
                 <p className="text-sm text-muted-foreground">Avg. Profit %</p>
@@ -226,6 +182,13 @@ export default function PortfolioPage() {
                 </TableRow>
               </TableHeader>
               <TableBody>
+                {!isLoading && sortedAssets.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={7} className="text-center text-muted-foreground">
+                      No active investments in this portfolio
+                    </TableCell>
+                  </TableRow>
+                )}
                 {sortedAssets.map((asset) => (
                   <TableRow key={asset.id}>
                     <TableCell className="font-medium">
@@ -238,11 +201,13 @@ export default function PortfolioPage() {
                       <Badge className={`rounded-full ${getChainBadgeColor(asset.chain)}`}>{asset.chain}</Badge>
                     </TableCell>
                     <TableCell>{asset.protocol}</TableCell>
-                    <TableCell className="text-right font-medium">{asset.value}</TableCell>
-                    <TableCell className="text-right">{asset.apy}%</TableCell>
-                    <TableCell className="text-right text-polkadot-green">
-                      <div>{asset.profit}</div>
-                      <div className="text-xs">{asset.profitPercentage}%</div>
+                    <TableCell className="text-right font-medium">${formatUsd(asset.value)}</TableCell>
+                    <TableCell className="text-right">{asset.apy.toFixed(2)}%</TableCell>
+                    <TableCell className={`text-right ${asset.profit < 0 ? "text-destructive" : "text-polkadot-green"}`}>
+                      <div>
+                        {asset.profit < 0 ? "-" : "+"}${formatUsd(Math.abs(asset.profit))}
+                      </div>
+                      <div className="text-xs">{asset.profitPercentage.toFixed(2)}%</div>
                     </TableCell>
                     <TableCell className="text-right">
                       <div className="flex items-center justify-end gap-2">
@@ -336,6 +301,14 @@ export default function PortfolioPage() {
           </CardContent>
         </Card>
       </div>
+
+      <div className="mt-6">
+        <PortfolioPerformance portfolioId={selectedPortfolio} />
+      </div>
+
+      <div className="mt-6">
+        <TaxReport />
+      </div>
     </div>
   )
 }
@@ -30,6 +30,7 @@ import { Separator } from "@/components/ui/separator";
 import { WalletConnect } from "@/components/ui/wallet-connect";
 import { useMetaMask } from "@/hooks/use-metamask";
 import { usePolkadot } from "@/hooks/use-polkadot";
+import { completeTwoFactorLogin } from "@/hooks/use-two-factor";
 import {
   Eye,
   EyeOff,
@@ -83,10 +84,14 @@ export function Authentication({
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
   const [showPassword, setShowPassword] = useState<boolean>(false);
+  // Set when the first login step succeeded and a two-factor code is needed
+  const [twoFactorToken, setTwoFactorToken] = useState<string | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState<string>("");
+  const [pendingWallet, setPendingWallet] = useState<string | null>(null);
   const router = useRouter();
 
-  const { isConnected: isMetaMaskConnected, account: metaMaskAccount, connect: connectMetaMask } = useMetaMask();
-  const { isConnected: isPolkadotConnected, selectedAccount: polkadotAccount } = usePolkadot();
+  const { isConnected: isMetaMaskConnected, account: metaMaskAccount, connect: connectMetaMask, signIn: signInWithMetaMask } = useMetaMask();
+  const { isConnected: isPolkadotConnected, selectedAccount: polkadotAccount, signIn: signInWithPolkadot } = usePolkadot();
 
   // Login form
   const loginForm = useForm<z.infer<typeof loginSchema>>({
@@ -116,28 +121,47 @@ export function Authentication({
     },
   });
 
+  const finishSignIn = (user: any, wallet?: string | null) => {
+    localStorage.setItem("orbitYieldAuth", JSON.stringify({
+      isAuthenticated: true,
+      user: {
+        id: user.id,
+        email: user.email,
+        wallet: wallet || undefined,
+        name: user.username,
+      }
+    }));
+
+    // Redirect to dashboard or specified redirect URL
+    router.push(redirectUrl);
+  };
+
   const handleLoginSubmit = async (values: z.infer<typeof loginSchema>) => {
     setIsLoading(true);
     setError(null);
     
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // In a real app, you would call your authentication API here
-      console.log("Login values:", values);
-      
-      // Simulate successful login
-      localStorage.setItem("orbitYieldAuth", JSON.stringify({
-        isAuthenticated: true,
-        user: {
-          email: values.email,
-          name: "Demo User",
-        }
-      }));
-      
-      // Redirect to dashboard or specified redirect URL
-      router.push(redirectUrl);
+      const response = await fetch("/api/auth/login", {
+        method: "POST",
+        credentials: "include",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(values),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message);
+      }
+
+      if (data.data.twoFactorRequired) {
+        setTwoFactorToken(data.data.twoFactorToken);
+        setPendingWallet(null);
+        return;
+      }
+
+      finishSignIn(data.data.user);
     } catch (err) {
       setError("Invalid email or password. Please try again.");
     } finally {
@@ -145,6 +169,29 @@ export function Authentication({
     }
   };
 
+  const handleTwoFactorSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!twoFactorToken) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      // Authenticator codes are 6 digits; anything else is treated as a backup code
+      const code = twoFactorCode.trim();
+      const { user } = await completeTwoFactorLogin(
+        twoFactorToken,
+        /^\d{6}$/.test(code) ? { code } : { backupCode: code }
+      );
+
+      finishSignIn(user, pendingWallet);
+    } catch (err) {
+      setError((err as Error).message || "Invalid verification code. Please try again.");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleRegisterSubmit = async (values: z.infer<typeof registerSchema>) => {
     setIsLoading(true);
     setError(null);
@@ -192,28 +239,26 @@ export function Authentication({
     setError(null);
     
     try {
-      // Determine which wallet to use
+      // Determine which wallet to use; the backend verifies the wallet signature
+      let result;
+      let wallet;
       if (isMetaMaskConnected) {
-        // In a real app, you would verify the wallet signature on your backend
-        console.log("Authenticating with MetaMask:", metaMaskAccount);
+        result = await signInWithMetaMask();
+        wallet = metaMaskAccount;
       } else if (isPolkadotConnected) {
-        // In a real app, you would verify the wallet signature on your backend
-        console.log("Authenticating with Polkadot:", polkadotAccount?.address);
+        result = await signInWithPolkadot();
+        wallet = polkadotAccount?.address;
       } else {
         throw new Error("No wallet connected");
       }
-      
-      // Simulate successful wallet authentication
-      localStorage.setItem("orbitYieldAuth", JSON.stringify({
-        isAuthenticated: true,
-        user: {
-          wallet: isMetaMaskConnected ? metaMaskAccount : polkadotAccount?.address,
-          name: "Web3 User",
-        }
-      }));
-      
-      // Redirect to dashboard or specified redirect URL
-      router.push(redirectUrl);
+
+      if (result.twoFactorRequired && result.twoFactorToken) {
+        setTwoFactorToken(result.twoFactorToken);
+        setPendingWallet(wallet || null);
+        return;
+      }
+
+      finishSignIn(result.user, wallet);
     } catch (err) {
       setError("Wallet authentication failed. Please try again.");
     } finally {
@@ -253,7 +298,58 @@ export function Authentication({
             </Alert>
           )}
           
-          <Tabs value={activeTab} onValueChange={(value) => setActiveTab(value as any)}>
+          {twoFactorToken && (
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+              <div className="space-y-2">
+                <p className="font-medium">Two-Factor Authentication</p>
+                <p className="text-sm text-muted-foreground">
+                  Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                </p>
+                <div className="relative">
+                  <KeyRound className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                  <Input
+                    autoComplete="one-time-code"
+                    placeholder="123456"
+                    className="pl-10"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    disabled={isLoading}
+                  />
+                </div>
+              </div>
+              <Button
+                type="submit"
+                className="w-full bg-gradient-to-r from-polkadot-pink to-polkadot-purple"
+                disabled={isLoading || !twoFactorCode}
+              >
+                {isLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" /> Please wait
+                  </>
+                ) : (
+                  "Verify"
+                )}
+              </Button>
+              <Button
+                type="button"
+                variant="link"
+                size="sm"
+                className="w-full font-normal text-xs"
+                onClick={() => {
+                  setTwoFactorToken(null);
+                  setTwoFactorCode("");
+                }}
+              >
+                Back to sign in
+              </Button>
+            </form>
+          )}
+
+          <Tabs
+            value={activeTab}
+            onValueChange={(value) => setActiveTab(value as any)}
+            className={twoFactorToken ? "hidden" : undefined}
+          >
             <TabsList className="grid w-full grid-cols-3">
               <TabsTrigger value="login">Login</TabsTrigger>
               <TabsTrigger value="register">Register</TabsTrigger>
@@ -1,24 +1,41 @@
 "use client"
 
-import { useState } from "react"
+import { useEffect, useState } from "react"
 import { Check, ChevronsUpDown } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import { Command, CommandEmpty, CommandGroup, CommandInput, CommandItem, CommandList } from "@/components/ui/command"
 import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover"
 import { cn } from "@/lib/utils"
 
-const chains = [
-  { value: "all", label: "All Chains" },
-  { value: "polkadot", label: "Polkadot" },
-  { value: "ethereum", label: "Ethereum" },
-  { value: "binance", label: "Binance Smart Chain" },
-  { value: "solana", label: "Solana" },
-  { value: "avalanche", label: "Avalanche" },
-]
+const ALL_CHAINS = { value: "all", label: "All Chains" }
 
 export default function ChainSelector() {
   const [open, setOpen] = useState(false)
   const [value, setValue] = useState("all")
+  const [chains, setChains] = useState([ALL_CHAINS])
+
+  // Chains come from the chain registry
+  useEffect(() => {
+    const loadChains = async () => {
+      try {
+        const response = await fetch("/api/chains")
+        const data = await response.json()
+
+        if (!response.ok) {
+          throw new Error(data.message || "Failed to load chains")
+        }
+
+        setChains([
+          ALL_CHAINS,
+          ...data.data.chains.map((chain: { id: string; name: string }) => ({ value: chain.id, label: chain.name })),
+        ])
+      } catch (error) {
+        console.error("Error loading chains:", error)
+      }
+    }
+
+    loadChains()
+  }, [])
 
   return (
     <Popover open={open} onOpenChange={setOpen}>
@@ -3,49 +3,68 @@
 import { useState } from "react"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs"
-import { ArrowUp } from "lucide-react"
+import { ArrowDown, ArrowUp } from "lucide-react"
 import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer } from "recharts"
+import {
+  ALL_PORTFOLIOS,
+  PerformanceRange,
+  usePortfolioPerformance,
+  usePortfolioSummary,
+  useSelectedPortfolio,
+} from "@/hooks/use-portfolios"
 
-const data = [
-  { name: "Jan", value: 1000 },
-  { name: "Feb", value: 1200 },
-  { name: "Mar", value: 1100 },
-  { name: "Apr", value: 1400 },
-  { name: "May", value: 1800 },
-  { name: "Jun", value: 2000 },
-  { name: "Jul", value: 2400 },
-]
-
-const chainAllocation = [
-  { chain: "Polkadot", percentage: 45, color: "#E6007A" },
-  { chain: "Ethereum", percentage: 25, color: "#552BBF" },
-  { chain: "Binance", percentage: 15, color: "#F3BA2F" },
-  { chain: "Solana", percentage: 10, color: "#00FFA3" },
-  { chain: "Avalanche", percentage: 5, color: "#E84142" },
-]
+const CHAIN_COLORS = ["#E6007A", "#552BBF", "#F3BA2F", "#00FFA3", "#E84142", "#627EEA"]
 
 export default function PortfolioOverview() {
-  const [timeframe, setTimeframe] = useState("1m")
+  const [timeframe, setTimeframe] = useState<PerformanceRange>("1m")
+  const [selectedPortfolio] = useSelectedPortfolio()
+  const { summary } = usePortfolioSummary(selectedPortfolio)
+  const { performance } = usePortfolioPerformance(selectedPortfolio, timeframe)
+
+  const totals = summary?.totals
+  const fiat = summary?.fiat || { currency: "USD", rateFromUsd: 1 }
+  const periodReturn = (performance?.timeWeightedReturn || 0) * 100
+  const data = (performance?.series || []).map((point) => ({
+    name:
+      timeframe === "1d"
+        ? new Date(point.t).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+        : new Date(point.t).toLocaleDateString(),
+    value: Number(point.valueUsd.toFixed(2)),
+  }))
+  const chainAllocation = (summary?.allocation.byChain || []).map((entry, index) => ({
+    chain: entry.name,
+    percentage: Number(entry.percentage.toFixed(1)),
+    color: CHAIN_COLORS[index % CHAIN_COLORS.length],
+  }))
 
   return (
     <Card className="rounded-xl border-border shadow-sm">
       <CardHeader>
-        <CardTitle>Portfolio Overview</CardTitle>
-        <CardDescription>Your total assets and performance across all chains</CardDescription>
+        <CardTitle>{summary?.portfolio ? summary.portfolio.name : "Portfolio Overview"}</CardTitle>
+        <CardDescription>
+          {selectedPortfolio === ALL_PORTFOLIOS
+            ? "Your total assets and performance across all portfolios and chains"
+            : "Assets and performance of this portfolio across all chains"}
+        </CardDescription>
       </CardHeader>
       <CardContent>
         <div className="mb-4 flex items-baseline justify-between">
           <div>
-            <h3 className="text-3xl font-bold">$24,680.45</h3>
+            <h3 className="text-3xl font-bold">
+              {((totals?.valueUsd || 0) * fiat.rateFromUsd).toLocaleString(undefined, {
+                style: "currency",
+                currency: fiat.currency,
+              })}
+            </h3>
             <div className="flex items-center text-sm">
-              <span className="flex items-center text-polkadot-green">
-                <ArrowUp className="mr-1 h-4 w-4" />
-                8.34%
+              <span className={`flex items-center ${periodReturn < 0 ? "text-destructive" : "text-polkadot-green"}`}>
+                {periodReturn < 0 ? <ArrowDown className="mr-1 h-4 w-4" /> : <ArrowUp className="mr-1 h-4 w-4" />}
+                {Math.abs(periodReturn).toFixed(2)}%
               </span>
               <span className="ml-2 text-muted-foreground">Past {timeframe}</span>
             </div>
           </div>
-          <Tabs defaultValue="1m" onValueChange={setTimeframe}>
+          <Tabs value={timeframe} onValueChange={(value) => setTimeframe(value as PerformanceRange)}>
             <TabsList className="rounded-full">
               <TabsTrigger value="1d" className="rounded-full">
                 1D
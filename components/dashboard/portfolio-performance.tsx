@@ -0,0 +1,118 @@
+"use client"
+
+import { useState } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { Area, AreaChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts"
+import { PerformanceRange, usePortfolioPerformance } from "@/hooks/use-portfolios"
+
+const RANGES: { value: PerformanceRange; label: string }[] = [
+  { value: "1w", label: "1W" },
+  { value: "1m", label: "1M" },
+  { value: "3m", label: "3M" },
+  { value: "1y", label: "1Y" },
+  { value: "all", label: "All" },
+]
+
+const formatPercent = (value: number | null) => (value === null ? "n/a" : `${(value * 100).toFixed(2)}%`)
+
+const formatUsd = (value: number) =>
+  `${value < 0 ? "-" : ""}$${Math.abs(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+const valueColor = (value: number | null) => ((value || 0) < 0 ? "text-destructive" : "text-polkadot-green")
+
+export default function PortfolioPerformance({ portfolioId }: { portfolioId: string }) {
+  const [range, setRange] = useState<PerformanceRange>("3m")
+  const { performance, isLoading } = usePortfolioPerformance(portfolioId, range)
+
+  const chartData = (performance?.series || []).map((point) => ({
+    date: new Date(point.t).toLocaleDateString(),
+    value: Number(point.valueUsd.toFixed(2)),
+    invested: Number(point.netContributionsUsd.toFixed(2)),
+  }))
+
+  const stats = performance
+    ? [
+        {
+          label: "Time-weighted return",
+          value: formatPercent(performance.timeWeightedReturn),
+          color: valueColor(performance.timeWeightedReturn),
+        },
+        {
+          label: "Money-weighted return",
+          value: formatPercent(performance.moneyWeightedReturn),
+          color: valueColor(performance.moneyWeightedReturn),
+        },
+        { label: "Yield earned", value: formatUsd(performance.pnl.yieldUsd), color: valueColor(performance.pnl.yieldUsd) },
+        { label: "Price PnL", value: formatUsd(performance.pnl.priceUsd), color: valueColor(performance.pnl.priceUsd) },
+        { label: "Max drawdown", value: formatPercent(performance.drawdown.max), color: valueColor(performance.drawdown.max) },
+      ]
+    : []
+
+  return (
+    <Card className="rounded-xl border-border shadow-sm">
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle>Performance</CardTitle>
+          <CardDescription>Value over time, with returns adjusted for deposits and withdrawals</CardDescription>
+        </div>
+        <Tabs value={range} onValueChange={(value) => setRange(value as PerformanceRange)}>
+          <TabsList className="rounded-full">
+            {RANGES.map((item) => (
+              <TabsTrigger key={item.value} value={item.value} className="rounded-full">
+                {item.label}
+              </TabsTrigger>
+            ))}
+          </TabsList>
+        </Tabs>
+      </CardHeader>
+      <CardContent>
+        <div className="mb-6 grid gap-4 sm:grid-cols-3 md:grid-cols-5">
+          {stats.map((stat) => (
+            <div key={stat.label} className="space-y-1">
+              <p className="text-sm text-muted-foreground">{stat.label}</p>
+              <p className={`text-xl font-bold ${stat.color}`}>{stat.value}</p>
+            </div>
+          ))}
+        </div>
+
+        <div className="h-[260px]">
+          {!isLoading && chartData.length < 2 ? (
+            <div className="flex h-full items-center justify-center text-sm text-muted-foreground">
+              History builds up from daily snapshots of your holdings
+            </div>
+          ) : (
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={chartData}>
+                <defs>
+                  <linearGradient id="performanceValue" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="5%" stopColor="#E6007A" stopOpacity={0.8} />
+                    <stop offset="95%" stopColor="#E6007A" stopOpacity={0} />
+                  </linearGradient>
+                </defs>
+                <XAxis dataKey="date" axisLine={false} tickLine={false} minTickGap={24} />
+                <YAxis hide domain={["auto", "auto"]} />
+                <Tooltip />
+                <Area
+                  type="monotone"
+                  dataKey="value"
+                  name="Value (USD)"
+                  stroke="#E6007A"
+                  fillOpacity={1}
+                  fill="url(#performanceValue)"
+                />
+                <Area
+                  type="stepAfter"
+                  dataKey="invested"
+                  name="Net invested (USD)"
+                  stroke="#552BBF"
+                  fillOpacity={0}
+                />
+              </AreaChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,212 @@
+"use client"
+
+import { useState } from "react"
+import { Loader2, Plus, Settings2, Trash2 } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectSeparator, SelectTrigger, SelectValue } from "@/components/ui/select"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import {
+  ALL_PORTFOLIOS,
+  BaseCurrency,
+  Portfolio,
+  PortfolioInput,
+  RiskPreference,
+  usePortfolios,
+} from "@/hooks/use-portfolios"
+
+const RISK_LABELS: Record<RiskPreference, string> = {
+  low: "Low risk",
+  medium: "Medium risk",
+  high: "High risk",
+}
+
+const CURRENCIES: BaseCurrency[] = ["USD", "EUR", "GBP", "JPY"]
+
+const EMPTY_FORM: PortfolioInput = { name: "", description: "", riskPreference: "medium", baseCurrency: "USD" }
+
+export default function PortfolioSwitcher() {
+  const { portfolios, selected, setSelected, createPortfolio, updatePortfolio, deletePortfolio } = usePortfolios()
+  const [editing, setEditing] = useState<Portfolio | null>(null)
+  const [isDialogOpen, setIsDialogOpen] = useState(false)
+  const [form, setForm] = useState<PortfolioInput>(EMPTY_FORM)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [formError, setFormError] = useState<string | null>(null)
+
+  const current = portfolios.find((portfolio) => portfolio._id === selected) || null
+
+  const openDialog = (portfolio: Portfolio | null) => {
+    setEditing(portfolio)
+    setForm(
+      portfolio
+        ? {
+            name: portfolio.name,
+            description: portfolio.description || "",
+            riskPreference: portfolio.riskPreference,
+            baseCurrency: portfolio.baseCurrency,
+          }
+        : EMPTY_FORM,
+    )
+    setFormError(null)
+    setIsDialogOpen(true)
+  }
+
+  const handleSave = async () => {
+    setIsSubmitting(true)
+    setFormError(null)
+
+    try {
+      if (editing) {
+        await updatePortfolio(editing._id, form)
+      } else {
+        const portfolio = await createPortfolio(form)
+        setSelected(portfolio._id)
+      }
+      setIsDialogOpen(false)
+    } catch (err) {
+      setFormError((err as Error).message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!editing) return
+    setIsSubmitting(true)
+    setFormError(null)
+
+    try {
+      await deletePortfolio(editing._id)
+      setIsDialogOpen(false)
+    } catch (err) {
+      setFormError((err as Error).message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <Select
+        value={selected}
+        onValueChange={(value) => (value === "new" ? openDialog(null) : setSelected(value))}
+      >
+        <SelectTrigger className="w-[200px] rounded-full">
+          <SelectValue placeholder="All portfolios" />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={ALL_PORTFOLIOS}>All portfolios</SelectItem>
+          {portfolios.map((portfolio) => (
+            <SelectItem key={portfolio._id} value={portfolio._id}>
+              {portfolio.name}
+            </SelectItem>
+          ))}
+          <SelectSeparator />
+          <SelectItem value="new">
+            <span className="flex items-center">
+              <Plus className="mr-2 h-4 w-4" />
+              New portfolio
+            </span>
+          </SelectItem>
+        </SelectContent>
+      </Select>
+
+      {current && (
+        <Button variant="outline" size="icon" className="rounded-full" onClick={() => openDialog(current)}>
+          <Settings2 className="h-4 w-4" />
+        </Button>
+      )}
+
+      <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editing ? "Portfolio Settings" : "New Portfolio"}</DialogTitle>
+            <DialogDescription>
+              Investments from wallets assigned to a portfolio are added to it. Everything else goes to your default
+              portfolio.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="portfolio-name">Name</Label>
+              <Input
+                id="portfolio-name"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="portfolio-description">Description</Label>
+              <Input
+                id="portfolio-description"
+                value={form.description}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label>Risk preference</Label>
+                <Select
+                  value={form.riskPreference}
+                  onValueChange={(value) => setForm({ ...form, riskPreference: value as RiskPreference })}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(RISK_LABELS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>Base currency</Label>
+                <Select
+                  value={form.baseCurrency}
+                  onValueChange={(value) => setForm({ ...form, baseCurrency: value as BaseCurrency })}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {CURRENCIES.map((currency) => (
+                      <SelectItem key={currency} value={currency}>
+                        {currency}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            {formError && <p className="text-sm text-destructive">{formError}</p>}
+          </div>
+
+          <DialogFooter className="gap-2">
+            {editing && !editing.isDefault && (
+              <Button variant="outline" className="mr-auto text-destructive" onClick={handleDelete} disabled={isSubmitting}>
+                <Trash2 className="mr-2 h-4 w-4" />
+                Delete
+              </Button>
+            )}
+            <Button onClick={handleSave} disabled={isSubmitting || !form.name}>
+              {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              {editing ? "Save" : "Create"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
@@ -0,0 +1,127 @@
+"use client"
+
+import { useState } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu"
+import { Button } from "@/components/ui/button"
+import { Download } from "lucide-react"
+import { TaxLotMethod, TaxReportFormat, taxReportDownloadUrl, useTaxReport } from "@/hooks/use-tax-reports"
+
+const FORMATS: { value: TaxReportFormat; label: string }[] = [
+  { value: "gains", label: "Realized gains (Form 8949)" },
+  { value: "income", label: "Reward income" },
+  { value: "koinly", label: "Koinly" },
+  { value: "cointracker", label: "CoinTracker" },
+]
+
+const METHODS: TaxLotMethod[] = ["FIFO", "LIFO", "HIFO"]
+
+const currentYear = new Date().getFullYear()
+const YEARS = Array.from({ length: 6 }, (_, i) => currentYear - i)
+
+const formatMoney = (value: number, currency: string) =>
+  value.toLocaleString(undefined, { style: "currency", currency })
+
+const valueColor = (value: number) => (value < 0 ? "text-destructive" : "text-polkadot-green")
+
+export default function TaxReport() {
+  const [year, setYear] = useState(currentYear)
+  const [method, setMethod] = useState<TaxLotMethod | undefined>(undefined)
+  const { report, isLoading, error } = useTaxReport(year, method)
+
+  const stats = report
+    ? [
+        { label: "Proceeds", value: report.summary.proceeds, plain: true },
+        { label: "Cost basis", value: report.summary.costBasis, plain: true },
+        { label: "Short-term gain", value: report.summary.shortTermGain },
+        { label: "Long-term gain", value: report.summary.longTermGain },
+        { label: "Reward income", value: report.summary.income },
+      ]
+    : []
+
+  return (
+    <Card className="rounded-xl border-border shadow-sm">
+      <CardHeader className="flex flex-row items-start justify-between space-y-0">
+        <div>
+          <CardTitle>Tax Report</CardTitle>
+          <CardDescription>
+            Realized gains on withdrawals and income from harvested rewards
+            {report ? ` in ${report.currency}, ${report.method} lot matching` : ""}
+          </CardDescription>
+        </div>
+        <div className="flex items-center gap-2">
+          <Select value={String(year)} onValueChange={(value) => setYear(Number(value))}>
+            <SelectTrigger className="w-[100px] rounded-full">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {YEARS.map((item) => (
+                <SelectItem key={item} value={String(item)}>
+                  {item}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={method || report?.method} onValueChange={(value) => setMethod(value as TaxLotMethod)}>
+            <SelectTrigger className="w-[100px] rounded-full">
+              <SelectValue placeholder="Method" />
+            </SelectTrigger>
+            <SelectContent>
+              {METHODS.map((item) => (
+                <SelectItem key={item} value={item}>
+                  {item}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="outline" size="sm" className="rounded-full" disabled={!report}>
+                <Download className="mr-2 h-4 w-4" />
+                Export CSV
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              {FORMATS.map((format) => (
+                <DropdownMenuItem key={format.value} asChild>
+                  <a href={taxReportDownloadUrl(year, format.value, method)}>{format.label}</a>
+                </DropdownMenuItem>
+              ))}
+            </DropdownMenuContent>
+          </DropdownMenu>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error ? (
+          <p className="text-sm text-destructive">{error.message}</p>
+        ) : isLoading && !report ? (
+          <p className="text-sm text-muted-foreground">Loading report...</p>
+        ) : (
+          report && (
+            <>
+              <div className="grid gap-4 sm:grid-cols-3 md:grid-cols-5">
+                {stats.map((stat) => (
+                  <div key={stat.label} className="space-y-1">
+                    <p className="text-sm text-muted-foreground">{stat.label}</p>
+                    <p className={`text-xl font-bold ${stat.plain ? "" : valueColor(stat.value)}`}>
+                      {formatMoney(stat.value, report.currency)}
+                    </p>
+                  </div>
+                ))}
+              </div>
+              <p className="mt-4 text-sm text-muted-foreground">
+                {report.summary.disposals} withdrawals and {report.income.length} reward receipts in {report.year}
+              </p>
+              {report.warnings.length > 0 && (
+                <p className="mt-2 text-sm text-muted-foreground">
+                  {report.warnings.length} transactions have no recorded value and count as zero
+                </p>
+              )}
+            </>
+          )
+        )}
+      </CardContent>
+    </Card>
+  )
+}
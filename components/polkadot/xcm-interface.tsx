@@ -1,6 +1,7 @@
 "use client";
 
 import { useState, useEffect } from "react";
+import { web3FromSource } from "@polkadot/extension-dapp";
 import { usePolkadot } from "@/hooks/use-polkadot";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
@@ -14,20 +15,51 @@ import { Textarea } from "@/components/ui/textarea";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import { AlertCircle, CheckCircle, Loader2, RefreshCw } from "lucide-react";
 import { ScrollArea } from "@/components/ui/scroll-area";
+import { apiFetch } from "@/lib/api";
 
 interface XcmInterfaceProps {
   className?: string;
 }
 
-// Supported parachains and their IDs (example values)
-const PARACHAINS = [
-  { id: 1000, name: "Statemint" },
-  { id: 2000, name: "Acala" },
-  { id: 2001, name: "Bifrost" },
-  { id: 2004, name: "Moonbeam" },
-  { id: 2006, name: "Astar" },
-  { id: 2012, name: "Parallel" },
-];
+// The Polkadot hook connects to the relay chain, so calls are built for it
+const SOURCE_CHAIN = "polkadot";
+
+interface XcmChain {
+  id: string;
+  name: string;
+  isRelay: boolean;
+  relayChain?: string;
+  parachainId?: number;
+  nativeAsset: string;
+  assets: string[];
+  reachable: string[];
+}
+
+interface XcmFeeHop {
+  chain: string;
+  kind: "origin" | "delivery" | "execution";
+  asset: string;
+  amountFormatted: string;
+  source: string;
+}
+
+interface XcmBuild {
+  transferType?: string;
+  route: string[];
+  call: {
+    genesisHash: string;
+    section: string;
+    method: string;
+    callHex: string;
+  };
+  fees: {
+    hops: XcmFeeHop[];
+    totals: Record<string, { amountFormatted: string }>;
+  };
+  estimatedReceivedFormatted?: string;
+  feeAmountFormatted?: string;
+  dryRun?: { success: boolean; error?: string } | null;
+}
 
 export function XcmInterface({ className = "" }: XcmInterfaceProps) {
   const { api, selectedAccount, isConnected } = usePolkadot();
@@ -37,10 +69,12 @@ export function XcmInterface({ className = "" }: XcmInterfaceProps) {
   const [results, setResults] = useState<any>(null);
   const [txHash, setTxHash] = useState<string | null>(null);
   const [activeTab, setActiveTab] = useState("transfer");
+  const [chains, setChains] = useState<XcmChain[]>([]);
+  const [built, setBuilt] = useState<XcmBuild | null>(null);
 
   // XCM Transfer State
   const [xcmTransfer, setXcmTransfer] = useState({
-    destinationParachain: 2000, // Default to Acala
+    destinationChain: "acala",
     destinationAddress: "",
     amount: "1",
     asset: "DOT",
@@ -48,13 +82,42 @@ export function XcmInterface({ className = "" }: XcmInterfaceProps) {
 
   // Remote Execution State
   const [remoteExecution, setRemoteExecution] = useState({
-    targetParachain: 2000, // Default to Acala
+    targetChain: "acala",
     callData: "", // Hex encoded call data
     weight: "1000000000", // Default weight
   });
 
+  // Load the chains the server can build XCM calls for from the chain registry
+  useEffect(() => {
+    const loadChains = async () => {
+      try {
+        const response = await fetch("/api/xcm/supported-chains");
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || "Failed to load supported chains");
+        }
+
+        setChains(data.data.supportedChains);
+      } catch (err) {
+        console.error("Error loading XCM chains:", err);
+        setError(`Failed to load supported chains: ${err instanceof Error ? err.message : String(err)}`);
+      }
+    };
+
+    loadChains();
+  }, []);
+
+  const source = chains.find((chain) => chain.id === SOURCE_CHAIN);
+  const destinations = chains.filter((chain) => source?.reachable.includes(chain.id));
+  const transferDestination = destinations.find((chain) => chain.id === xcmTransfer.destinationChain);
+  const transferAssets = (source?.assets || []).filter(
+    (asset) => !transferDestination || transferDestination.assets.includes(asset)
+  );
+
   // Handle XCM transfer form changes
   const handleTransferChange = (field: string, value: string | number) => {
+    setBuilt(null);
     setXcmTransfer({
       ...xcmTransfer,
       [field]: value,
@@ -63,81 +126,56 @@ export function XcmInterface({ className = "" }: XcmInterfaceProps) {
 
   // Handle Remote Execution form changes
   const handleExecutionChange = (field: string, value: string | number) => {
+    setBuilt(null);
     setRemoteExecution({
       ...remoteExecution,
       [field]: value,
     });
   };
 
-  // Send XCM Transfer
-  const sendXcmTransfer = async () => {
-    if (!api || !isConnected || !selectedAccount) {
-      setError("Please connect to Polkadot network and select an account first");
+  // Ask the server for a ready-to-sign call and its fee estimate
+  const buildXcmCall = async (body: Record<string, unknown>): Promise<XcmBuild> => {
+    const response = await apiFetch("/api/xcm/build", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        sourceChain: SOURCE_CHAIN,
+        sender: selectedAccount?.address,
+        ...body,
+      }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || "Failed to build XCM call");
+    }
+
+    return data.data.xcm;
+  };
+
+  // Sign and submit a call built by the server
+  const signAndSendBuilt = async (xcm: XcmBuild, label: string) => {
+    if (!api || !selectedAccount) {
       return;
     }
 
-    setLoading(true);
-    setError(null);
-    setSuccess(null);
-    setResults(null);
-    setTxHash(null);
+    if (xcm.call.genesisHash !== api.genesisHash.toHex()) {
+      throw new Error("The XCM call was built for a different network than the one connected");
+    }
 
-    try {
-      // Check if the destination address is valid
-      if (!xcmTransfer.destinationAddress) {
-        throw new Error("Please enter a valid destination address");
-      }
+    const injector = await web3FromSource(selectedAccount.meta.source);
+    const extrinsic = api.tx(api.createType("Call", xcm.call.callHex));
 
-      // Create the XCM transfer message
-      // This is a simplified example - actual implementation would depend on the specific network
-      const dest = {
-        V1: {
-          parents: 1,
-          interior: {
-            X2: [
-              { Parachain: xcmTransfer.destinationParachain },
-              { AccountId32: { network: "Any", id: xcmTransfer.destinationAddress } },
-            ],
-          },
-        },
-      };
-
-      const beneficiary = {
-        V1: {
-          parents: 0,
-          interior: {
-            X1: { AccountId32: { network: "Any", id: xcmTransfer.destinationAddress } },
-          },
-        },
-      };
-
-      const assets = {
-        V1: [{
-          id: {
-            Concrete: {
-              parents: 0,
-              interior: "Here",
-            },
-          },
-          fun: {
-            Fungible: api.createType("Balance", xcmTransfer.amount),
-          },
-        }],
-      };
-
-      // Create and send the XCM transaction
-      const extrinsic = api.tx.xcmPallet.reserveTransferAssets(
-        dest,
-        beneficiary,
-        assets,
-        0 // feeAssetItem
-      );
-
-      const unsub = await extrinsic.signAndSend(selectedAccount, { nonce: -1 }, (result) => {
+    const unsub = await extrinsic.signAndSend(
+      selectedAccount.address,
+      { signer: injector.signer, nonce: -1 },
+      (result) => {
         const { status, events, dispatchError } = result;
 
         if (status.isInBlock || status.isFinalized) {
-          setTxHash(status.asInBlock.toHex());
+          setTxHash(status.isInBlock ? status.asInBlock.toHex() : status.asFinalized.toHex());
 
           // Check if there was an error
           if (dispatchError) {
@@ -151,30 +189,70 @@ export function XcmInterface({ className = "" }: XcmInterfaceProps) {
             setError(`Transaction failed: ${errorMessage}`);
           } else {
             // Transaction succeeded
-            setSuccess(`XCM Transfer included in block: ${status.asInBlock.toHex()}`);
-            
+            if (status.isInBlock) {
+              setSuccess(`${label} included in block: ${status.asInBlock.toHex()}`);
+            }
+
             // Process events
             const eventData = events
-              .filter(({ event }) => 
-                api.events.xcmPallet && 
-                api.events.xcmPallet.some(e => e.is(event)))
+              .filter(({ event }) => event.section === xcm.call.section)
               .map(({ event }) => ({
                 method: event.method,
                 section: event.section,
                 data: event.data.toHuman(),
               }));
-            
+
             if (eventData.length > 0) {
               setResults(eventData);
             }
           }
 
           if (status.isFinalized) {
-            setSuccess(`XCM Transfer finalized in block: ${status.asFinalized.toHex()}`);
+            setSuccess(`${label} finalized in block: ${status.asFinalized.toHex()}`);
             unsub();
           }
         }
+      }
+    );
+  };
+
+  const resetResults = () => {
+    setError(null);
+    setSuccess(null);
+    setResults(null);
+    setTxHash(null);
+  };
+
+  // Send XCM Transfer
+  const sendXcmTransfer = async () => {
+    if (!api || !isConnected || !selectedAccount) {
+      setError("Please connect to Polkadot network and select an account first");
+      return;
+    }
+
+    setLoading(true);
+    resetResults();
+
+    try {
+      // Check if the destination address is valid
+      if (!xcmTransfer.destinationAddress) {
+        throw new Error("Please enter a valid destination address");
+      }
+
+      const xcm = await buildXcmCall({
+        type: "transfer",
+        destinationChain: xcmTransfer.destinationChain,
+        asset: xcmTransfer.asset,
+        amount: xcmTransfer.amount,
+        beneficiary: xcmTransfer.destinationAddress,
       });
+      setBuilt(xcm);
+
+      if (xcm.dryRun && !xcm.dryRun.success) {
+        throw new Error(`Dry run failed: ${xcm.dryRun.error}`);
+      }
+
+      await signAndSendBuilt(xcm, "XCM Transfer");
     } catch (err) {
       console.error("Error sending XCM transfer:", err);
       setError(`Failed to send XCM transfer: ${err instanceof Error ? err.message : String(err)}`);
@@ -191,85 +269,18 @@ export function XcmInterface({ className = "" }: XcmInterfaceProps) {
     }
 
     setLoading(true);
-    setError(null);
-    setSuccess(null);
-    setResults(null);
-    setTxHash(null);
+    resetResults();
 
     try {
-      // Create the XCM message for remote execution
-      // This is a simplified example - actual implementation would vary
-      const dest = {
-        V1: {
-          parents: 1,
-          interior: {
-            X1: [
-              { Parachain: remoteExecution.targetParachain },
-            ],
-          },
-        },
-      };
-
-      // The message consists of a Transact instruction to execute the call on the target chain
-      const message = {
-        V2: [
-          {
-            Transact: {
-              originType: "SovereignAccount",
-              requireWeightAtMost: remoteExecution.weight,
-              call: {
-                encoded: remoteExecution.callData,
-              },
-            },
-          },
-        ],
-      };
-
-      // Send the XCM message
-      const extrinsic = api.tx.xcmPallet.send(dest, message);
-
-      const unsub = await extrinsic.signAndSend(selectedAccount, { nonce: -1 }, (result) => {
-        const { status, events, dispatchError } = result;
-
-        if (status.isInBlock || status.isFinalized) {
-          setTxHash(status.asInBlock.toHex());
-
-          // Check if there was an error
-          if (dispatchError) {
-            let errorMessage;
-            if (dispatchError.isModule) {
-              const decoded = api.registry.findMetaError(dispatchError.asModule);
-              errorMessage = `${decoded.section}.${decoded.method}: ${decoded.docs.join(" ")}`;
-            } else {
-              errorMessage = dispatchError.toString();
-            }
-            setError(`Transaction failed: ${errorMessage}`);
-          } else {
-            // Transaction succeeded
-            setSuccess(`XCM Message included in block: ${status.asInBlock.toHex()}`);
-            
-            // Process events
-            const eventData = events
-              .filter(({ event }) => 
-                api.events.xcmPallet && 
-                api.events.xcmPallet.some(e => e.is(event)))
-              .map(({ event }) => ({
-                method: event.method,
-                section: event.section,
-                data: event.data.toHuman(),
-              }));
-            
-            if (eventData.length > 0) {
-              setResults(eventData);
-            }
-          }
-
-          if (status.isFinalized) {
-            setSuccess(`XCM Message finalized in block: ${status.asFinalized.toHex()}`);
-            unsub();
-          }
-        }
+      const xcm = await buildXcmCall({
+        type: "transact",
+        destinationChain: remoteExecution.targetChain,
+        call: remoteExecution.callData,
+        weight: remoteExecution.weight,
       });
+      setBuilt(xcm);
+
+      await signAndSendBuilt(xcm, "XCM Message");
     } catch (err) {
       console.error("Error sending XCM message:", err);
       setError(`Failed to send XCM message: ${err instanceof Error ? err.message : String(err)}`);
@@ -305,18 +316,18 @@ export function XcmInterface({ className = "" }: XcmInterfaceProps) {
             <TabsContent value="transfer" className="space-y-4">
               <div className="grid gap-4">
                 <div className="space-y-2">
-                  <Label htmlFor="destination-chain">Destination Parachain</Label>
+                  <Label htmlFor="destination-chain">Destination Chain</Label>
                   <Select
-                    value={xcmTransfer.destinationParachain.toString()}
-                    onValueChange={(value) => handleTransferChange("destinationParachain", parseInt(value))}
+                    value={xcmTransfer.destinationChain}
+                    onValueChange={(value) => handleTransferChange("destinationChain", value)}
                   >
                     <SelectTrigger id="destination-chain">
                       <SelectValue placeholder="Select destination chain" />
                     </SelectTrigger>
                     <SelectContent>
-                      {PARACHAINS.map((chain) => (
-                        <SelectItem key={chain.id} value={chain.id.toString()}>
-                          {chain.name} (ID: {chain.id})
+                      {destinations.map((chain) => (
+                        <SelectItem key={chain.id} value={chain.id}>
+                          {chain.name} (ID: {chain.parachainId})
                         </SelectItem>
                       ))}
                     </SelectContent>
@@ -354,9 +365,11 @@ export function XcmInterface({ className = "" }: XcmInterfaceProps) {
                         <SelectValue placeholder="Select asset" />
                       </SelectTrigger>
                       <SelectContent>
-                        <SelectItem value="DOT">DOT</SelectItem>
-                        <SelectItem value="USDT">USDT</SelectItem>
-                        <SelectItem value="USDC">USDC</SelectItem>
+                        {transferAssets.map((asset) => (
+                          <SelectItem key={asset} value={asset}>
+                            {asset}
+                          </SelectItem>
+                        ))}
                       </SelectContent>
                     </Select>
                   </div>
@@ -389,16 +402,16 @@ export function XcmInterface({ className = "" }: XcmInterfaceProps) {
                 <div className="space-y-2">
                   <Label htmlFor="target-parachain">Target Parachain</Label>
                   <Select
-                    value={remoteExecution.targetParachain.toString()}
-                    onValueChange={(value) => handleExecutionChange("targetParachain", parseInt(value))}
+                    value={remoteExecution.targetChain}
+                    onValueChange={(value) => handleExecutionChange("targetChain", value)}
                   >
                     <SelectTrigger id="target-parachain">
                       <SelectValue placeholder="Select target parachain" />
                     </SelectTrigger>
                     <SelectContent>
-                      {PARACHAINS.map((chain) => (
-                        <SelectItem key={chain.id} value={chain.id.toString()}>
-                          {chain.name} (ID: {chain.id})
+                      {destinations.map((chain) => (
+                        <SelectItem key={chain.id} value={chain.id}>
+                          {chain.name} (ID: {chain.parachainId})
                         </SelectItem>
                       ))}
                     </SelectContent>
@@ -456,7 +469,7 @@ export function XcmInterface({ className = "" }: XcmInterfaceProps) {
         )}
 
         {/* Results Section */}
-        {(results || error || success || loading) && (
+        {(results || error || success || loading || built) && (
           <>
             <Separator className="my-4" />
             
@@ -481,6 +494,38 @@ export function XcmInterface({ className = "" }: XcmInterfaceProps) {
               </Alert>
             )}
             
+            {built && (
+              <div className="mb-4 space-y-2 text-sm">
+                <div className="flex items-center justify-between">
+                  <Label>Estimated Fees</Label>
+                  {built.transferType && (
+                    <Badge variant="outline">{built.transferType.replace("_", " ")}</Badge>
+                  )}
+                </div>
+                <div className="text-xs text-muted-foreground">
+                  Route: {built.route.join(" → ")}
+                </div>
+                <div className="rounded-md border divide-y">
+                  {built.fees.hops.map((hop, index) => (
+                    <div key={index} className="flex items-center justify-between p-2 text-xs">
+                      <span className="capitalize">
+                        {hop.kind} on {hop.chain}
+                        {hop.source === "static" && " (estimate)"}
+                      </span>
+                      <span className="font-mono">
+                        {hop.amountFormatted} {hop.asset}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                {built.estimatedReceivedFormatted && (
+                  <div className="text-xs">
+                    Estimated received: {built.estimatedReceivedFormatted} {xcmTransfer.asset}
+                  </div>
+                )}
+              </div>
+            )}
+
             {txHash && (
               <div className="mb-4 text-sm">
                 <Label>Transaction Hash</Label>
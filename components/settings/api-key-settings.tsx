@@ -0,0 +1,293 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { useApiKeys, ApiKeyScope } from "@/hooks/use-api-keys";
+import { useTwoFactor } from "@/hooks/use-two-factor";
+import { AlertCircle, Copy, Key, Loader2, Plus } from "lucide-react";
+
+const SCOPE_LABELS: Record<ApiKeyScope, string> = {
+  "read:portfolio": "Read portfolio, investments and transactions",
+  "write:rebalancing": "Create and run rebalancing strategies",
+  "write:investments": "Create investments and withdraw",
+  "confirm:step-up": "Run actions that need two-factor confirmation (withdrawals, rebalancing)",
+};
+
+export function ApiKeySettings() {
+  const { apiKeys, scopes, isLoading, error, create, revoke } = useApiKeys();
+  const { isEnabled: isTwoFactorEnabled, stepUp } = useTwoFactor();
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [selectedScopes, setSelectedScopes] = useState<ApiKeyScope[]>(["read:portfolio"]);
+  const [expiresInDays, setExpiresInDays] = useState("90");
+  const [ipAllowlist, setIpAllowlist] = useState("");
+  const [code, setCode] = useState("");
+  const [createdKey, setCreatedKey] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [actionError, setActionError] = useState<string | null>(null);
+
+  const openDialog = () => {
+    setName("");
+    setSelectedScopes(["read:portfolio"]);
+    setExpiresInDays("90");
+    setIpAllowlist("");
+    setCode("");
+    setCreatedKey(null);
+    setActionError(null);
+    setIsDialogOpen(true);
+  };
+
+  const toggleScope = (scope: ApiKeyScope, checked: boolean) => {
+    setSelectedScopes((current) =>
+      checked ? [...current, scope] : current.filter((item) => item !== scope)
+    );
+  };
+
+  const handleCreate = async () => {
+    setIsSubmitting(true);
+    setActionError(null);
+
+    try {
+      // Creating a key is a sensitive action, like withdrawals
+      let stepUpToken: string | undefined;
+      if (isTwoFactorEnabled) {
+        const trimmed = code.trim();
+        stepUpToken = await stepUp(/^\d{6}$/.test(trimmed) ? { code: trimmed } : { backupCode: trimmed });
+      }
+
+      const key = await create({
+        name,
+        scopes: selectedScopes,
+        expiresInDays: Number(expiresInDays),
+        ipAllowlist: ipAllowlist.split(/[\s,]+/).filter(Boolean),
+      }, stepUpToken);
+      setCreatedKey(key);
+    } catch (err) {
+      setActionError((err as Error).message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevoke = async (keyId: string) => {
+    setActionError(null);
+
+    try {
+      await revoke(keyId);
+    } catch (err) {
+      setActionError((err as Error).message);
+    }
+  };
+
+  const formatDate = (value?: string) => (value ? new Date(value).toLocaleString() : "Never");
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <Label>API Keys</Label>
+          <p className="text-sm text-muted-foreground">
+            Scoped keys for scripts and bots. Send them in the X-API-Key header
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={openDialog}>
+          <Plus className="h-4 w-4 mr-2" />
+          New Key
+        </Button>
+      </div>
+
+      {(error || (actionError && !isDialogOpen)) && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{actionError || error?.message}</AlertDescription>
+        </Alert>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center text-sm text-muted-foreground">
+          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          Loading API keys...
+        </div>
+      ) : apiKeys.length === 0 ? (
+        <p className="text-sm text-muted-foreground">You have no API keys</p>
+      ) : (
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead>Scopes</TableHead>
+                <TableHead>Last Used</TableHead>
+                <TableHead>Expires</TableHead>
+                <TableHead className="text-right">Action</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {apiKeys.map((apiKey) => (
+                <TableRow key={apiKey.id}>
+                  <TableCell>
+                    <div className="font-medium">{apiKey.name}</div>
+                    <div className="text-xs text-muted-foreground font-mono">{apiKey.prefix}…</div>
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex flex-wrap gap-1">
+                      {apiKey.scopes.map((scope) => (
+                        <Badge key={scope} variant="outline" className="text-xs">{scope}</Badge>
+                      ))}
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    <div>{formatDate(apiKey.lastUsedAt)}</div>
+                    {apiKey.lastUsedIp && (
+                      <div className="text-xs text-muted-foreground">{apiKey.lastUsedIp}</div>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {apiKey.expired ? (
+                      <Badge className="bg-red-500 hover:bg-red-600">Expired</Badge>
+                    ) : (
+                      formatDate(apiKey.expiresAt)
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Button variant="ghost" size="sm" onClick={() => handleRevoke(apiKey.id)}>
+                      Revoke
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      <Dialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{createdKey ? "API Key Created" : "New API Key"}</DialogTitle>
+            <DialogDescription>
+              {createdKey
+                ? "Copy this key now. It will not be shown again."
+                : "Choose what the key can do and how long it stays valid."}
+            </DialogDescription>
+          </DialogHeader>
+
+          {actionError && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{actionError}</AlertDescription>
+            </Alert>
+          )}
+
+          {createdKey ? (
+            <div className="flex gap-2">
+              <Input value={createdKey} readOnly className="font-mono text-xs" />
+              <Button variant="outline" size="sm" onClick={() => navigator.clipboard.writeText(createdKey)}>
+                <Copy className="h-4 w-4" />
+              </Button>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="api-key-name">Name</Label>
+                <Input
+                  id="api-key-name"
+                  placeholder="Rebalancing bot"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label>Scopes</Label>
+                {/* The step-up scope can only be granted with a two-factor code */}
+                {scopes.filter((scope) => scope !== "confirm:step-up" || isTwoFactorEnabled).map((scope) => (
+                  <div key={scope} className="flex items-center space-x-2">
+                    <Checkbox
+                      id={`scope-${scope}`}
+                      checked={selectedScopes.includes(scope)}
+                      onCheckedChange={(checked) => toggleScope(scope, checked === true)}
+                    />
+                    <Label htmlFor={`scope-${scope}`} className="font-normal">
+                      <span className="font-mono text-xs mr-2">{scope}</span>
+                      <span className="text-muted-foreground">{SCOPE_LABELS[scope]}</span>
+                    </Label>
+                  </div>
+                ))}
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="api-key-expiry">Expires in (days)</Label>
+                <Input
+                  id="api-key-expiry"
+                  type="number"
+                  min="1"
+                  max="365"
+                  value={expiresInDays}
+                  onChange={(e) => setExpiresInDays(e.target.value)}
+                />
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="api-key-ips">IP allowlist (optional)</Label>
+                <Input
+                  id="api-key-ips"
+                  placeholder="203.0.113.7, 10.0.0.0/8"
+                  value={ipAllowlist}
+                  onChange={(e) => setIpAllowlist(e.target.value)}
+                />
+              </div>
+
+              {isTwoFactorEnabled && (
+                <div className="space-y-2">
+                  <Label htmlFor="api-key-code">Two-factor code</Label>
+                  <Input
+                    id="api-key-code"
+                    placeholder="123456 or backup code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+          <DialogFooter>
+            {createdKey ? (
+              <Button onClick={() => setIsDialogOpen(false)}>Done</Button>
+            ) : (
+              <Button
+                onClick={handleCreate}
+                disabled={isSubmitting || !name || selectedScopes.length === 0 || (isTwoFactorEnabled && !code)}
+              >
+                {isSubmitting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Key className="h-4 w-4 mr-2" />}
+                Create Key
+              </Button>
+            )}
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
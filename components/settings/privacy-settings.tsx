@@ -0,0 +1,248 @@
+"use client";
+
+import { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  AlertDialog,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import { usePrivacy, downloadUrl, DataExport } from "@/hooks/use-privacy";
+import { useTwoFactor } from "@/hooks/use-two-factor";
+import { AlertCircle, Download, FileArchive, Loader2, ShieldAlert } from "lucide-react";
+
+const STATUS_LABELS: Record<DataExport["status"], string> = {
+  pending: "Queued",
+  processing: "Preparing",
+  completed: "Ready",
+  failed: "Failed",
+  expired: "Expired",
+};
+
+export function PrivacySettings() {
+  const { exports, deletion, isLoading, error, requestExport, requestDeletion, cancelDeletion } = usePrivacy();
+  const { isEnabled: isTwoFactorEnabled, stepUp } = useTwoFactor();
+  const [exportCode, setExportCode] = useState("");
+  const [deletionCode, setDeletionCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [isDialogOpen, setIsDialogOpen] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [actionError, setActionError] = useState<string | null>(null);
+
+  const getStepUpToken = async (code: string) => {
+    if (!isTwoFactorEnabled) {
+      return undefined;
+    }
+    const trimmed = code.trim();
+    return stepUp(/^\d{6}$/.test(trimmed) ? { code: trimmed } : { backupCode: trimmed });
+  };
+
+  const handleExport = async () => {
+    setIsSubmitting(true);
+    setActionError(null);
+
+    try {
+      await requestExport(await getStepUpToken(exportCode));
+      setExportCode("");
+    } catch (err) {
+      setActionError((err as Error).message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDeletion = async () => {
+    setIsSubmitting(true);
+    setActionError(null);
+
+    try {
+      await requestDeletion(password || undefined, await getStepUpToken(deletionCode));
+      setPassword("");
+      setDeletionCode("");
+      setIsDialogOpen(false);
+    } catch (err) {
+      setActionError((err as Error).message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    setActionError(null);
+
+    try {
+      await cancelDeletion();
+    } catch (err) {
+      setActionError((err as Error).message);
+    }
+  };
+
+  const formatSize = (bytes: number) => `${(bytes / 1024).toFixed(1)} KB`;
+
+  return (
+    <div className="space-y-6">
+      {(error || (actionError && !isDialogOpen)) && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{actionError || error?.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="space-y-2">
+        <h4 className="text-sm font-medium">Your Data</h4>
+        <p className="text-sm text-muted-foreground">
+          Download an archive of everything tied to your account: profile, wallets, transactions,
+          investments, strategies, notifications and activity
+        </p>
+
+        <div className="flex items-end gap-2">
+          {isTwoFactorEnabled && (
+            <div className="space-y-2">
+              <Label htmlFor="export-code">Two-factor code</Label>
+              <Input
+                id="export-code"
+                placeholder="123456 or backup code"
+                value={exportCode}
+                onChange={(e) => setExportCode(e.target.value)}
+              />
+            </div>
+          )}
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleExport}
+            disabled={isSubmitting || (isTwoFactorEnabled && !exportCode)}
+          >
+            {isSubmitting && !isDialogOpen ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <FileArchive className="h-4 w-4 mr-2" />
+            )}
+            Request Export
+          </Button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex items-center text-sm text-muted-foreground">
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            Loading exports...
+          </div>
+        ) : (
+          exports.map((item) => (
+            <div key={item._id} className="flex items-center justify-between rounded-md border p-3">
+              <div>
+                <div className="text-sm">{new Date(item.createdAt).toLocaleString()}</div>
+                <div className="text-xs text-muted-foreground">
+                  {item.status === "completed" && item.file && item.expiresAt
+                    ? `${formatSize(item.file.size)}, available until ${new Date(item.expiresAt).toLocaleString()}`
+                    : item.error}
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <Badge variant="outline">{STATUS_LABELS[item.status]}</Badge>
+                {item.status === "completed" && (
+                  <Button variant="ghost" size="sm" asChild>
+                    <a href={downloadUrl(item._id)}>
+                      <Download className="h-4 w-4" />
+                    </a>
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <h4 className="text-sm font-medium text-destructive">Danger Zone</h4>
+        <p className="text-sm text-muted-foreground">
+          Actions in this section can have irreversible consequences
+        </p>
+
+        {deletion ? (
+          <Alert variant="destructive">
+            <ShieldAlert className="h-4 w-4" />
+            <AlertDescription className="flex items-center justify-between">
+              <span>
+                Your account will be deleted on {new Date(deletion.scheduledFor).toLocaleString()}
+              </span>
+              <Button variant="outline" size="sm" onClick={handleCancelDeletion}>
+                Cancel Deletion
+              </Button>
+            </AlertDescription>
+          </Alert>
+        ) : (
+          <AlertDialog open={isDialogOpen} onOpenChange={setIsDialogOpen}>
+            <AlertDialogTrigger asChild>
+              <Button variant="destructive" size="sm" onClick={() => setActionError(null)}>
+                <ShieldAlert className="h-4 w-4 mr-2" />
+                Delete Account
+              </Button>
+            </AlertDialogTrigger>
+            <AlertDialogContent>
+              <AlertDialogHeader>
+                <AlertDialogTitle>Are you absolutely sure?</AlertDialogTitle>
+                <AlertDialogDescription>
+                  Your account will be deleted after a cooling-off period, during which you can
+                  cancel. Then your personal data is erased. Transaction records we are required to
+                  keep are retained without your name on them.
+                </AlertDialogDescription>
+              </AlertDialogHeader>
+
+              {actionError && (
+                <Alert variant="destructive">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>{actionError}</AlertDescription>
+                </Alert>
+              )}
+
+              <div className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="deletion-password">Password (if you sign in with one)</Label>
+                  <Input
+                    id="deletion-password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
+                </div>
+                {isTwoFactorEnabled && (
+                  <div className="space-y-2">
+                    <Label htmlFor="deletion-code">Two-factor code</Label>
+                    <Input
+                      id="deletion-code"
+                      placeholder="123456 or backup code"
+                      value={deletionCode}
+                      onChange={(e) => setDeletionCode(e.target.value)}
+                    />
+                  </div>
+                )}
+              </div>
+
+              <AlertDialogFooter>
+                <AlertDialogCancel>Cancel</AlertDialogCancel>
+                <Button
+                  className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+                  onClick={handleDeletion}
+                  disabled={isSubmitting || (isTwoFactorEnabled && !deletionCode)}
+                >
+                  {isSubmitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                  Delete Account
+                </Button>
+              </AlertDialogFooter>
+            </AlertDialogContent>
+          </AlertDialog>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+"use client";
+
+import { useState } from "react";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Badge } from "@/components/ui/badge";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { useRoles } from "@/hooks/use-roles";
+import { usePermissions, Role } from "@/hooks/use-permissions";
+import { useTwoFactor } from "@/hooks/use-two-factor";
+import { AlertCircle, Loader2, Search } from "lucide-react";
+
+export function RoleSettings() {
+  const { roles, users, search, setSearch, isLoading, error, updateRole } = useRoles();
+  const { can } = usePermissions();
+  const { isEnabled: isTwoFactorEnabled, stepUp } = useTwoFactor();
+  const [code, setCode] = useState("");
+  const [updatingUserId, setUpdatingUserId] = useState<string | null>(null);
+  const [actionError, setActionError] = useState<string | null>(null);
+
+  const canManage = can("roles:manage");
+
+  const handleRoleChange = async (userId: string, role: Role) => {
+    setUpdatingUserId(userId);
+    setActionError(null);
+
+    try {
+      // Granting staff access is a sensitive action, like creating an API key
+      let stepUpToken: string | undefined;
+      if (isTwoFactorEnabled) {
+        const trimmed = code.trim();
+        if (!trimmed) {
+          throw new Error("Enter your two-factor code to change roles");
+        }
+        stepUpToken = await stepUp(/^\d{6}$/.test(trimmed) ? { code: trimmed } : { backupCode: trimmed });
+      }
+
+      await updateRole(userId, role, stepUpToken);
+      setCode("");
+    } catch (err) {
+      setActionError((err as Error).message);
+    } finally {
+      setUpdatingUserId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-lg font-medium">Team & Roles</h3>
+        <p className="text-sm text-muted-foreground">
+          Staff roles and the permissions they grant
+        </p>
+      </div>
+
+      {(error || actionError) && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{actionError || error?.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="grid gap-3 md:grid-cols-2">
+        {roles.map((role) => (
+          <div key={role.name} className="rounded-md border p-3 space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="font-medium">{role.label}</span>
+              <Badge variant="outline">{role.userCount} users</Badge>
+            </div>
+            <p className="text-sm text-muted-foreground">{role.description}</p>
+            <div className="flex flex-wrap gap-1">
+              {role.permissions.map((permission) => (
+                <Badge key={permission} variant="secondary" className="text-xs font-mono">
+                  {permission}
+                </Badge>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-2">
+        <Label htmlFor="role-search">Users</Label>
+        <div className="relative">
+          <Search className="absolute left-2 top-2.5 h-4 w-4 text-muted-foreground" />
+          <Input
+            id="role-search"
+            className="pl-8"
+            placeholder="Search by username or email (staff are listed by default)"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+      </div>
+
+      {canManage && isTwoFactorEnabled && (
+        <div className="space-y-2">
+          <Label htmlFor="role-code">Two-factor code</Label>
+          <Input
+            id="role-code"
+            placeholder="123456 or backup code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+          />
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center text-sm text-muted-foreground">
+          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          Loading roles...
+        </div>
+      ) : users.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No users found</p>
+      ) : (
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>User</TableHead>
+                <TableHead>Last Login</TableHead>
+                <TableHead className="text-right">Role</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {users.map((user) => (
+                <TableRow key={user._id}>
+                  <TableCell>
+                    <div className="font-medium">{user.username}</div>
+                    {user.email && (
+                      <div className="text-xs text-muted-foreground">{user.email}</div>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    {user.lastLogin ? new Date(user.lastLogin).toLocaleString() : "Never"}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {canManage ? (
+                      <div className="flex items-center justify-end">
+                        {updatingUserId === user._id && (
+                          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                        )}
+                        <Select
+                          value={user.role}
+                          onValueChange={(value) => handleRoleChange(user._id, value as Role)}
+                          disabled={updatingUserId !== null}
+                        >
+                          <SelectTrigger className="w-[160px]">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {roles.map((role) => (
+                              <SelectItem key={role.name} value={role.name}>
+                                {role.label}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    ) : (
+                      <Badge variant="outline">
+                        {roles.find((role) => role.name === user.role)?.label || user.role}
+                      </Badge>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -28,8 +28,19 @@ import {
   AlertDialogTitle,
   AlertDialogTrigger,
 } from "@/components/ui/alert-dialog";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Alert, AlertDescription } from "@/components/ui/alert";
 import { Progress } from "@/components/ui/progress";
 import { Badge } from "@/components/ui/badge";
+import { useTwoFactor, TwoFactorEnrollment } from "@/hooks/use-two-factor";
+import { useSessions } from "@/hooks/use-sessions";
 import {
   Eye,
   EyeOff,
@@ -39,9 +50,323 @@ import {
   AlertCircle,
   Globe,
   Clock,
-  ArrowRight,
+  Loader2,
 } from "lucide-react";
 
+type TwoFactorDialog = "setup" | "disable" | "backup-codes" | null;
+
+function TwoFactorSettings() {
+  const { status, isEnabled, isLoading, beginSetup, confirmSetup, disable, regenerateBackupCodes } = useTwoFactor();
+  const [dialog, setDialog] = useState<TwoFactorDialog>(null);
+  const [enrollment, setEnrollment] = useState<TwoFactorEnrollment | null>(null);
+  const [code, setCode] = useState("");
+  const [backupCodes, setBackupCodes] = useState<string[] | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const openDialog = async (next: TwoFactorDialog) => {
+    setDialog(next);
+    setCode("");
+    setBackupCodes(null);
+    setError(null);
+
+    if (next === "setup") {
+      try {
+        setEnrollment(await beginSetup());
+      } catch (err) {
+        setError((err as Error).message);
+      }
+    }
+  };
+
+  const closeDialog = () => {
+    setDialog(null);
+    setEnrollment(null);
+    setBackupCodes(null);
+  };
+
+  // Codes from the authenticator are 6 digits; anything else is treated as a backup code
+  const credentials = () => (/^\d{6}$/.test(code.trim()) ? { code: code.trim() } : { backupCode: code.trim() });
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      if (dialog === "setup") {
+        setBackupCodes(await confirmSetup(code.trim()));
+      } else if (dialog === "backup-codes") {
+        setBackupCodes(await regenerateBackupCodes(credentials()));
+      } else if (dialog === "disable") {
+        await disable(credentials());
+        closeDialog();
+      }
+      setCode("");
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between space-x-4">
+        <div className="flex items-center space-x-2">
+          <Smartphone className="h-5 w-5 text-muted-foreground" />
+          <div>
+            <p className="font-medium">Authenticator App</p>
+            <p className="text-sm text-muted-foreground">
+              Use an authenticator app to generate verification codes
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          {isEnabled ? (
+            <>
+              <Badge className="bg-green-500 hover:bg-green-600">Enabled</Badge>
+              <Button size="sm" variant="outline" onClick={() => openDialog("disable")}>
+                Disable
+              </Button>
+            </>
+          ) : (
+            <>
+              <Badge className="bg-yellow-500 hover:bg-yellow-600">Not Set Up</Badge>
+              <Button size="sm" onClick={() => openDialog("setup")} disabled={isLoading}>
+                <Key className="h-4 w-4 mr-2" />
+                Setup
+              </Button>
+            </>
+          )}
+        </div>
+      </div>
+      
+      <div className="flex items-center justify-between space-x-4">
+        <div className="flex items-center space-x-2">
+          <Shield className="h-5 w-5 text-muted-foreground" />
+          <div>
+            <p className="font-medium">Backup Codes</p>
+            <p className="text-sm text-muted-foreground">
+              Use backup codes to access your account if you lose your device
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <Badge variant="outline">
+            {isEnabled ? `${status?.backupCodesRemaining ?? 0} remaining` : "Unavailable"}
+          </Badge>
+          <Button size="sm" variant="outline" disabled={!isEnabled} onClick={() => openDialog("backup-codes")}>
+            New Codes
+          </Button>
+        </div>
+      </div>
+
+      <p className="text-xs text-muted-foreground">
+        When enabled, withdrawals, rebalancing execution and wallet removal ask for a fresh code.
+      </p>
+
+      <Dialog open={dialog !== null} onOpenChange={(open) => !open && closeDialog()}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              {dialog === "setup" && "Set Up Authenticator App"}
+              {dialog === "disable" && "Disable Two-Factor Authentication"}
+              {dialog === "backup-codes" && "Generate New Backup Codes"}
+            </DialogTitle>
+            <DialogDescription>
+              {dialog === "setup" && "Scan the QR code with your authenticator app, then enter the 6-digit code it shows."}
+              {dialog === "disable" && "Enter a code from your authenticator app or a backup code."}
+              {dialog === "backup-codes" && "Your old backup codes stop working once new ones are generated."}
+            </DialogDescription>
+          </DialogHeader>
+
+          {error && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {backupCodes ? (
+            <div className="space-y-2">
+              <p className="text-sm">
+                Store these backup codes somewhere safe. Each code can be used once and they will not be shown again.
+              </p>
+              <div className="grid grid-cols-2 gap-2 rounded-md bg-muted p-3 font-mono text-sm">
+                {backupCodes.map(backupCode => (
+                  <span key={backupCode}>{backupCode}</span>
+                ))}
+              </div>
+              <DialogFooter>
+                <Button onClick={closeDialog}>Done</Button>
+              </DialogFooter>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {dialog === "setup" && enrollment && (
+                <div className="flex flex-col items-center space-y-2">
+                  <img src={enrollment.qrCode} alt="Authenticator QR code" className="h-40 w-40" />
+                  <code className="text-xs bg-muted p-1 rounded break-all">{enrollment.secret}</code>
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <Label htmlFor="two-factor-code">
+                  {dialog === "setup" ? "Verification Code" : "Verification or Backup Code"}
+                </Label>
+                <Input
+                  id="two-factor-code"
+                  autoComplete="one-time-code"
+                  placeholder={dialog === "setup" ? "123456" : "123456 or abcd-ef12"}
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                />
+              </div>
+
+              <DialogFooter>
+                <Button
+                  onClick={handleSubmit}
+                  disabled={!code || isSubmitting || (dialog === "setup" && !enrollment)}
+                  variant={dialog === "disable" ? "destructive" : "default"}
+                >
+                  {isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                  {dialog === "setup" && "Enable"}
+                  {dialog === "disable" && "Disable"}
+                  {dialog === "backup-codes" && "Generate"}
+                </Button>
+              </DialogFooter>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
+
+function ActiveSessions() {
+  const { sessions, isLoading, error, revoke, revokeOthers } = useSessions();
+  const [pendingId, setPendingId] = useState<string | null>(null);
+  const [actionError, setActionError] = useState<string | null>(null);
+
+  const runAction = async (id: string, action: () => Promise<unknown>) => {
+    setPendingId(id);
+    setActionError(null);
+
+    try {
+      await action();
+    } catch (err) {
+      setActionError((err as Error).message);
+    } finally {
+      setPendingId(null);
+    }
+  };
+
+  const formatDate = (value: string) => new Date(value).toLocaleString();
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center text-sm text-muted-foreground">
+        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+        Loading sessions...
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {(error || actionError) && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{actionError || error?.message}</AlertDescription>
+        </Alert>
+      )}
+
+      <div className="rounded-md border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Device</TableHead>
+              <TableHead>Last Active</TableHead>
+              <TableHead>IP Address</TableHead>
+              <TableHead>Signed In</TableHead>
+              <TableHead className="text-right">Action</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {sessions.map((session) => (
+              <TableRow key={session.id}>
+                <TableCell>
+                  <div className="flex items-center space-x-2">
+                    <Smartphone className="h-4 w-4 text-muted-foreground" />
+                    <span>{session.device}</span>
+                    {session.current && (
+                      <Badge className="bg-green-500 hover:bg-green-600">This device</Badge>
+                    )}
+                  </div>
+                </TableCell>
+                <TableCell>
+                  <div className="flex items-center space-x-2">
+                    <Clock className="h-4 w-4 text-muted-foreground" />
+                    <span>{formatDate(session.lastUsedAt)}</span>
+                  </div>
+                </TableCell>
+                <TableCell>
+                  <div className="flex items-center space-x-2">
+                    <Globe className="h-4 w-4 text-muted-foreground" />
+                    <span>{session.lastIpAddress || session.ipAddress || "Unknown"}</span>
+                  </div>
+                </TableCell>
+                <TableCell>{formatDate(session.createdAt)}</TableCell>
+                <TableCell className="text-right">
+                  {!session.current && (
+                    <AlertDialog>
+                      <AlertDialogTrigger asChild>
+                        <Button variant="ghost" size="sm" disabled={pendingId === session.id}>
+                          {pendingId === session.id && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                          Revoke
+                        </Button>
+                      </AlertDialogTrigger>
+                      <AlertDialogContent>
+                        <AlertDialogHeader>
+                          <AlertDialogTitle>Revoke Session</AlertDialogTitle>
+                          <AlertDialogDescription>
+                            {session.device} ({session.lastIpAddress || session.ipAddress || "unknown IP"}) will be signed out and its live connections closed.
+                          </AlertDialogDescription>
+                        </AlertDialogHeader>
+                        <AlertDialogFooter>
+                          <AlertDialogCancel>Cancel</AlertDialogCancel>
+                          <AlertDialogAction
+                            className="bg-red-500 hover:bg-red-600"
+                            onClick={() => runAction(session.id, () => revoke(session.id))}
+                          >
+                            Revoke
+                          </AlertDialogAction>
+                        </AlertDialogFooter>
+                      </AlertDialogContent>
+                    </AlertDialog>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+
+      {sessions.some((session) => !session.current) && (
+        <div className="flex justify-center">
+          <Button
+            variant="link"
+            size="sm"
+            disabled={pendingId === "others"}
+            onClick={() => runAction("others", revokeOthers)}
+          >
+            Sign Out All Other Sessions
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
 export function SecuritySettings() {
   const [showCurrentPassword, setShowCurrentPassword] = useState(false);
   const [showNewPassword, setShowNewPassword] = useState(false);
@@ -102,29 +427,6 @@ export function SecuritySettings() {
     setPasswordFeedback(feedback);
   };
   
-  const recentLoginData = [
-    {
-      date: "Today, 10:15 AM",
-      device: "Mac OS, Chrome 98",
-      location: "New York, USA",
-      ip: "192.168.1.1",
-      status: "success",
-    },
-    {
-      date: "Yesterday, 8:32 PM",
-      device: "iOS, Safari",
-      location: "New York, USA",
-      ip: "192.168.1.1",
-      status: "success",
-    },
-    {
-      date: "Jul 15, 2023, 3:45 PM",
-      device: "Windows 10, Firefox",
-      location: "Boston, USA",
-      ip: "192.168.2.3",
-      status: "failed",
-    },
-  ];
   
   return (
     <div className="space-y-6">
@@ -248,44 +550,7 @@ export function SecuritySettings() {
         </p>
       </div>
       
-      <div className="space-y-4">
-        <div className="flex items-center justify-between space-x-4">
-          <div className="flex items-center space-x-2">
-            <Smartphone className="h-5 w-5 text-muted-foreground" />
-            <div>
-              <p className="font-medium">Authenticator App</p>
-              <p className="text-sm text-muted-foreground">
-                Use an authenticator app to generate verification codes
-              </p>
-            </div>
-          </div>
-          <div className="flex items-center space-x-2">
-            <Badge className="bg-yellow-500 hover:bg-yellow-600">Not Set Up</Badge>
-            <Button size="sm">
-              <Key className="h-4 w-4 mr-2" />
-              Setup
-            </Button>
-          </div>
-        </div>
-        
-        <div className="flex items-center justify-between space-x-4">
-          <div className="flex items-center space-x-2">
-            <Shield className="h-5 w-5 text-muted-foreground" />
-            <div>
-              <p className="font-medium">Backup Codes</p>
-              <p className="text-sm text-muted-foreground">
-                Use backup codes to access your account if you lose your device
-              </p>
-            </div>
-          </div>
-          <div className="flex items-center space-x-2">
-            <Badge variant="outline">Available</Badge>
-            <Button size="sm" variant="outline">
-              View Codes
-            </Button>
-          </div>
-        </div>
-      </div>
+      <TwoFactorSettings />
       
       <Separator />
       
@@ -337,107 +602,13 @@ export function SecuritySettings() {
       <Separator />
       
       <div>
-        <h3 className="text-lg font-medium">Recent Login Activity</h3>
+        <h3 className="text-lg font-medium">Active Sessions</h3>
         <p className="text-sm text-muted-foreground">
-          Monitor recent login attempts to your account
+          Devices signed in to your account. Revoking a session signs that device out
         </p>
       </div>
       
-      <div className="rounded-md border">
-        <Table>
-          <TableHeader>
-            <TableRow>
-              <TableHead>Date/Time</TableHead>
-              <TableHead>Device</TableHead>
-              <TableHead>Location</TableHead>
-              <TableHead>IP Address</TableHead>
-              <TableHead>Status</TableHead>
-              <TableHead className="text-right">Action</TableHead>
-            </TableRow>
-          </TableHeader>
-          <TableBody>
-            {recentLoginData.map((login, index) => (
-              <TableRow key={index}>
-                <TableCell className="flex items-center space-x-2">
-                  <Clock className="h-4 w-4 text-muted-foreground" />
-                  <span>{login.date}</span>
-                </TableCell>
-                <TableCell>{login.device}</TableCell>
-                <TableCell className="flex items-center space-x-2">
-                  <Globe className="h-4 w-4 text-muted-foreground" />
-                  <span>{login.location}</span>
-                </TableCell>
-                <TableCell>{login.ip}</TableCell>
-                <TableCell>
-                  {login.status === "success" ? (
-                    <Badge className="bg-green-500 hover:bg-green-600">
-                      Successful
-                    </Badge>
-                  ) : (
-                    <Badge className="bg-red-500 hover:bg-red-600">
-                      Failed
-                    </Badge>
-                  )}
-                </TableCell>
-                <TableCell className="text-right">
-                  <AlertDialog>
-                    <AlertDialogTrigger asChild>
-                      <Button variant="ghost" size="sm" className="h-8 w-8 p-0">
-                        <ArrowRight className="h-4 w-4" />
-                        <span className="sr-only">View Details</span>
-                      </Button>
-                    </AlertDialogTrigger>
-                    <AlertDialogContent>
-                      <AlertDialogHeader>
-                        <AlertDialogTitle>Login Details</AlertDialogTitle>
-                        <AlertDialogDescription>
-                          <div className="space-y-2">
-                            <div className="flex justify-between">
-                              <span className="font-medium">Date/Time:</span>
-                              <span>{login.date}</span>
-                            </div>
-                            <div className="flex justify-between">
-                              <span className="font-medium">Device:</span>
-                              <span>{login.device}</span>
-                            </div>
-                            <div className="flex justify-between">
-                              <span className="font-medium">Location:</span>
-                              <span>{login.location}</span>
-                            </div>
-                            <div className="flex justify-between">
-                              <span className="font-medium">IP Address:</span>
-                              <span>{login.ip}</span>
-                            </div>
-                            <div className="flex justify-between">
-                              <span className="font-medium">Status:</span>
-                              <span>{login.status === "success" ? "Successful" : "Failed"}</span>
-                            </div>
-                          </div>
-                        </AlertDialogDescription>
-                      </AlertDialogHeader>
-                      <AlertDialogFooter>
-                        <AlertDialogCancel>Close</AlertDialogCancel>
-                        {login.status === "success" && (
-                          <AlertDialogAction className="bg-red-500 hover:bg-red-600">
-                            <AlertCircle className="h-4 w-4 mr-2" />
-                            Report Suspicious Activity
-                          </AlertDialogAction>
-                        )}
-                      </AlertDialogFooter>
-                    </AlertDialogContent>
-                  </AlertDialog>
-                </TableCell>
-              </TableRow>
-            ))}
-          </TableBody>
-        </Table>
-      </div>
-      
-      <div className="flex justify-center">
-        <Button variant="link" size="sm">
-          View All Login Activity
-        </Button>
-      </div>
+      <ActiveSessions />
     </div>
   );
 }
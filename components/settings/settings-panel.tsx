@@ -43,12 +43,15 @@ import {
 } from "@/components/ui/alert-dialog";
 import { Textarea } from "@/components/ui/textarea";
 import { Alert, AlertDescription } from "@/components/ui/alert";
-import { Badge } from "@/components/ui/badge";
 import { AccountSettings } from "./account-settings";
 import { SecuritySettings } from "./security-settings";
 import { WalletSettings } from "./wallet-settings";
 import { NotificationSettings } from "./notification-settings";
 import { AppearanceSettings } from "./appearance-settings";
+import { ApiKeySettings } from "./api-key-settings";
+import { RoleSettings } from "./role-settings";
+import { PrivacySettings } from "./privacy-settings";
+import { Can } from "@/hooks/use-permissions";
 import {
   User,
   Lock,
@@ -57,12 +60,12 @@ import {
   Paintbrush,
   Sliders,
   HelpCircle,
-  ShieldAlert,
   LogOut,
   Check,
   Settings as SettingsIcon,
   AlertCircle,
   Loader2,
+  Users,
 } from "lucide-react";
 
 interface SettingsPanelProps {
@@ -164,6 +167,16 @@ export function SettingsPanel({ className = "" }: SettingsPanelProps) {
                 Appearance
               </TabsTrigger>
               
+              <Can permission="roles:read">
+                <TabsTrigger
+                  value="roles"
+                  className="w-full justify-start text-left px-3 py-2"
+                >
+                  <Users className="h-4 w-4 mr-2" />
+                  Team & Roles
+                </TabsTrigger>
+              </Can>
+              
               <Separator className="my-2" />
               
               <TabsTrigger
@@ -217,6 +230,12 @@ export function SettingsPanel({ className = "" }: SettingsPanelProps) {
                 <AppearanceSettings />
               </TabsContent>
               
+              <Can permission="roles:read">
+                <TabsContent value="roles" className="space-y-4">
+                  <RoleSettings />
+                </TabsContent>
+              </Can>
+              
               <TabsContent value="advanced" className="space-y-4">
                 <h3 className="text-lg font-medium">Advanced Settings</h3>
                 <div className="grid gap-4">
@@ -232,31 +251,7 @@ export function SettingsPanel({ className = "" }: SettingsPanelProps) {
                     </p>
                   </div>
                   
-                  <div className="space-y-2">
-                    <div className="flex items-center justify-between">
-                      <Label htmlFor="api-key">API Key</Label>
-                      <Badge variant="outline" className="text-xs ml-2">
-                        Pro Feature
-                      </Badge>
-                    </div>
-                    <div className="flex gap-2">
-                      <Input
-                        id="api-key"
-                        type="password"
-                        value="sk_test_•••••••••••••••••••••"
-                        disabled
-                      />
-                      <Button variant="outline" size="sm">
-                        Reveal
-                      </Button>
-                      <Button variant="outline" size="sm">
-                        Regenerate
-                      </Button>
-                    </div>
-                    <p className="text-sm text-muted-foreground">
-                      Your API key for programmatic access to OrbitYield
-                    </p>
-                  </div>
+                  <ApiKeySettings />
                   
                   <div className="space-y-2">
                     <Label htmlFor="gas-price">Default Gas Price Strategy</Label>
@@ -305,38 +300,7 @@ export function SettingsPanel({ className = "" }: SettingsPanelProps) {
                 
                 <Separator className="my-4" />
                 
-                <div className="space-y-2">
-                  <h4 className="text-sm font-medium text-destructive">Danger Zone</h4>
-                  <p className="text-sm text-muted-foreground">
-                    Actions in this section can have irreversible consequences
-                  </p>
-                  
-                  <div className="space-y-2 mt-2">
-                    <AlertDialog>
-                      <AlertDialogTrigger asChild>
-                        <Button variant="destructive" size="sm">
-                          <ShieldAlert className="h-4 w-4 mr-2" />
-                          Delete Account
-                        </Button>
-                      </AlertDialogTrigger>
-                      <AlertDialogContent>
-                        <AlertDialogHeader>
-                          <AlertDialogTitle>Are you absolutely sure?</AlertDialogTitle>
-                          <AlertDialogDescription>
-                            This action cannot be undone. This will permanently delete your account
-                            and remove all of your data from our servers.
-                          </AlertDialogDescription>
-                        </AlertDialogHeader>
-                        <AlertDialogFooter>
-                          <AlertDialogCancel>Cancel</AlertDialogCancel>
-                          <AlertDialogAction className="bg-destructive text-destructive-foreground hover:bg-destructive/90">
-                            Delete Account
-                          </AlertDialogAction>
-                        </AlertDialogFooter>
-                      </AlertDialogContent>
-                    </AlertDialog>
-                  </div>
-                </div>
+                <PrivacySettings />
               </TabsContent>
               
               <TabsContent value="help" className="space-y-4">
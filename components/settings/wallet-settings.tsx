@@ -1,6 +1,6 @@
 "use client";
 
-import { useState } from "react";
+import { useState, useEffect, useCallback } from "react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
@@ -27,7 +27,9 @@ import {
 } from "@/components/ui/card";
 import { useMetaMask } from "@/hooks/use-metamask";
 import { usePolkadot } from "@/hooks/use-polkadot";
+import { useTwoFactor, STEP_UP_HEADER } from "@/hooks/use-two-factor";
 import { WalletConnect } from "@/components/ui/wallet-connect";
+import { apiFetch } from "@/lib/api";
 import {
   Check,
   Wallet,
@@ -39,17 +41,86 @@ import {
   RefreshCw,
   ShieldAlert,
   Loader2,
+  Link2,
 } from "lucide-react";
 
+interface LinkedMetaMaskWallet {
+  _id: string;
+  walletAddress: string;
+  chainId: string;
+  label: string;
+  connectedAt: string;
+  verifiedAt?: string;
+}
+
+interface LinkedPolkadotWallet {
+  _id: string;
+  address: string;
+  chainId: string;
+  label: string;
+  name?: string;
+  keyType?: string;
+  connectedAt: string;
+  verifiedAt?: string;
+}
+
 export function WalletSettings() {
-  const { isConnected: isMetaMaskConnected, account: metaMaskAccount, disconnect: disconnectMetaMask } = useMetaMask();
-  const { isConnected: isPolkadotConnected, selectedAccount: polkadotAccount, disconnect: disconnectPolkadot } = usePolkadot();
+  const { isConnected: isMetaMaskConnected, account: metaMaskAccount, disconnect: disconnectMetaMask, signIn: linkMetaMask } = useMetaMask();
+  const { isConnected: isPolkadotConnected, selectedAccount: polkadotAccount, disconnect: disconnectPolkadot, signIn: linkPolkadot } = usePolkadot();
   
   const [pendingRequest, setPendingRequest] = useState(false);
   const [removalEmail, setRemovalEmail] = useState("");
   const [removalReason, setRemovalReason] = useState("");
+  const [removalCode, setRemovalCode] = useState("");
+  const [removalError, setRemovalError] = useState<string | null>(null);
+  const { isEnabled: isTwoFactorEnabled, stepUp } = useTwoFactor();
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showSuccess, setShowSuccess] = useState(false);
+  const [linkedMetaMask, setLinkedMetaMask] = useState<LinkedMetaMaskWallet[]>([]);
+  const [linkedPolkadot, setLinkedPolkadot] = useState<LinkedPolkadotWallet[]>([]);
+  const [isLinking, setIsLinking] = useState(false);
+  const [linkError, setLinkError] = useState<string | null>(null);
+
+  // Wallets linked to the account as login methods
+  const loadLinkedWallets = useCallback(async () => {
+    try {
+      const response = await apiFetch('/api/users/profile', { credentials: 'include' });
+      if (!response.ok) {
+        return;
+      }
+
+      const { data } = await response.json();
+      setLinkedMetaMask(data.connections || []);
+      setLinkedPolkadot(data.polkadotWallets || []);
+    } catch (error) {
+      console.error('Error loading linked wallets:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLinkedWallets();
+  }, [loadLinkedWallets]);
+
+  const isMetaMaskLinked = linkedMetaMask.some(wallet =>
+    wallet.verifiedAt && wallet.walletAddress.toLowerCase() === metaMaskAccount?.toLowerCase()
+  );
+  const isPolkadotLinked = linkedPolkadot.some(wallet =>
+    wallet.verifiedAt && wallet.address === polkadotAccount?.address
+  );
+
+  // Signing while logged in links the wallet to this account
+  const handleLink = async (link: () => Promise<unknown>) => {
+    setIsLinking(true);
+    setLinkError(null);
+    try {
+      await link();
+      await loadLinkedWallets();
+    } catch (error) {
+      setLinkError(error instanceof Error ? error.message : 'Failed to link wallet');
+    } finally {
+      setIsLinking(false);
+    }
+  };
   
   const formatAddress = (address: string | null | undefined) => {
     if (!address) return "";
@@ -58,25 +129,32 @@ export function WalletSettings() {
   
   const handleMetaMaskRemovalRequest = async () => {
     setIsSubmitting(true);
+    setRemovalError(null);
     try {
-      // In a real app, you would call your API
-      await new Promise(resolve => setTimeout(resolve, 1500));
+      // Wallet removal needs a fresh two-factor code when 2FA is enabled
+      const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+      };
+      if (isTwoFactorEnabled) {
+        const code = removalCode.trim();
+        headers[STEP_UP_HEADER] = await stepUp(/^\d{6}$/.test(code) ? { code } : { backupCode: code });
+      }
       
       // Call the removal request API
-      const response = await fetch('/api/metamask/removal-request', {
+      const response = await apiFetch('/api/metamask/removal-request', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        credentials: 'include',
+        headers,
         body: JSON.stringify({
-          address: metaMaskAccount,
+          walletAddress: metaMaskAccount,
           email: removalEmail,
           reason: removalReason,
         }),
       });
       
       if (!response.ok) {
-        throw new Error('Failed to submit removal request');
+        const data = await response.json();
+        throw new Error(data.message || 'Failed to submit removal request');
       }
       
       setPendingRequest(true);
@@ -85,9 +163,10 @@ export function WalletSettings() {
       // Reset form
       setRemovalEmail("");
       setRemovalReason("");
+      setRemovalCode("");
     } catch (error) {
       console.error('Error submitting removal request:', error);
-      // Handle error
+      setRemovalError(error instanceof Error ? error.message : 'Failed to submit removal request');
     } finally {
       setIsSubmitting(false);
     }
@@ -243,6 +322,26 @@ export function WalletSettings() {
                             />
                           </div>
                           
+                          {isTwoFactorEnabled && (
+                            <div className="space-y-2">
+                              <Label htmlFor="removal-code">Two-Factor Code</Label>
+                              <Input
+                                id="removal-code"
+                                autoComplete="one-time-code"
+                                placeholder="123456 or a backup code"
+                                value={removalCode}
+                                onChange={(e) => setRemovalCode(e.target.value)}
+                              />
+                            </div>
+                          )}
+
+                          {removalError && (
+                            <Alert variant="destructive">
+                              <AlertCircle className="h-4 w-4" />
+                              <AlertDescription>{removalError}</AlertDescription>
+                            </Alert>
+                          )}
+                          
                           <Alert variant="destructive">
                             <AlertCircle className="h-4 w-4" />
                             <AlertTitle>Important Notice</AlertTitle>
@@ -257,7 +356,7 @@ export function WalletSettings() {
                           <Button
                             variant="destructive"
                             onClick={handleMetaMaskRemovalRequest}
-                            disabled={!removalEmail || !removalReason || isSubmitting}
+                            disabled={!removalEmail || !removalReason || (isTwoFactorEnabled && !removalCode) || isSubmitting}
                           >
                             {isSubmitting ? (
                               <>
@@ -354,6 +453,79 @@ export function WalletSettings() {
         )}
       </div>
       
+      <Separator />
+
+      <div>
+        <h3 className="text-lg font-medium">Linked Accounts</h3>
+        <p className="text-sm text-muted-foreground">
+          Wallets you can use to sign in to OrbitYield
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        {linkError && (
+          <Alert variant="destructive">
+            <AlertCircle className="h-4 w-4" />
+            <AlertTitle>Linking failed</AlertTitle>
+            <AlertDescription>{linkError}</AlertDescription>
+          </Alert>
+        )}
+
+        {linkedMetaMask.length === 0 && linkedPolkadot.length === 0 && (
+          <p className="text-sm text-muted-foreground">No wallets linked yet</p>
+        )}
+
+        {linkedMetaMask.map(wallet => (
+          <div key={wallet._id} className="flex justify-between items-center rounded-md border p-3">
+            <div className="flex items-center space-x-3">
+              <img src="/metamask-fox.svg" alt="MetaMask" className="h-5 w-5" />
+              <div>
+                <div className="text-sm font-medium">{wallet.label}</div>
+                <code className="text-xs text-muted-foreground">{formatAddress(wallet.walletAddress)}</code>
+              </div>
+            </div>
+            <Badge variant="outline" className={wallet.verifiedAt ? "text-green-500 border-green-500" : ""}>
+              {wallet.verifiedAt ? "Sign-in enabled" : "Not verified"}
+            </Badge>
+          </div>
+        ))}
+
+        {linkedPolkadot.map(wallet => (
+          <div key={wallet._id} className="flex justify-between items-center rounded-md border p-3">
+            <div className="flex items-center space-x-3">
+              <img src="/polkadot-logo.svg" alt="Polkadot" className="h-5 w-5" />
+              <div>
+                <div className="text-sm font-medium">{wallet.name || wallet.label}</div>
+                <code className="text-xs text-muted-foreground">{formatAddress(wallet.address)}</code>
+              </div>
+            </div>
+            <div className="flex items-center space-x-2">
+              {wallet.keyType && (
+                <Badge variant="secondary">{wallet.keyType}</Badge>
+              )}
+              <Badge variant="outline" className="text-green-500 border-green-500">
+                Sign-in enabled
+              </Badge>
+            </div>
+          </div>
+        ))}
+
+        <div className="flex flex-wrap gap-2 pt-2">
+          {isMetaMaskConnected && !isMetaMaskLinked && (
+            <Button variant="outline" size="sm" onClick={() => handleLink(linkMetaMask)} disabled={isLinking}>
+              {isLinking ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Link2 className="mr-2 h-4 w-4" />}
+              Link MetaMask for sign-in
+            </Button>
+          )}
+          {isPolkadotConnected && polkadotAccount && !isPolkadotLinked && (
+            <Button variant="outline" size="sm" onClick={() => handleLink(() => linkPolkadot(polkadotAccount))} disabled={isLinking}>
+              {isLinking ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Link2 className="mr-2 h-4 w-4" />}
+              Link Polkadot account for sign-in
+            </Button>
+          )}
+        </div>
+      </div>
+
       <Separator />
       
       <div>
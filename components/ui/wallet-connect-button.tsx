@@ -4,6 +4,7 @@ import { useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Wallet } from "lucide-react";
 import { useMetaMask } from "@/hooks/use-metamask";
+import { useTwoFactor, STEP_UP_HEADER } from "@/hooks/use-two-factor";
 import {
   Dialog,
   DialogContent,
@@ -15,6 +16,7 @@ import {
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Textarea } from "@/components/ui/textarea";
+import { apiFetch } from "@/lib/api";
 
 export function WalletConnectButton({ variant = "default", size = "default", className }) {
   const { 
@@ -32,6 +34,8 @@ export function WalletConnectButton({ variant = "default", size = "default", cla
   const [reason, setReason] = useState("");
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [requestStatus, setRequestStatus] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const { isEnabled: isTwoFactorEnabled, stepUp } = useTwoFactor();
 
   const handleConnect = async () => {
     if (!isMetaMaskInstalled) {
@@ -54,11 +58,19 @@ export function WalletConnectButton({ variant = "default", size = "default", cla
     setIsSubmitting(true);
     
     try {
-      const response = await fetch('/api/metamask/removal-request', {
+      // Removal needs a fresh two-factor code when 2FA is enabled
+      const headers: Record<string, string> = {
+        'Content-Type': 'application/json',
+      };
+      if (isTwoFactorEnabled) {
+        const code = twoFactorCode.trim();
+        headers[STEP_UP_HEADER] = await stepUp(/^\d{6}$/.test(code) ? { code } : { backupCode: code });
+      }
+
+      const response = await apiFetch('/api/metamask/removal-request', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        credentials: 'include',
+        headers,
         body: JSON.stringify({
           walletAddress: account,
           email,
@@ -71,6 +83,7 @@ export function WalletConnectButton({ variant = "default", size = "default", cla
         // Reset form
         setEmail("");
         setReason("");
+        setTwoFactorCode("");
       } else {
         setRequestStatus('error');
       }
@@ -141,6 +154,22 @@ export function WalletConnectButton({ variant = "default", size = "default", cla
                     onChange={(e) => setReason(e.target.value)}
                   />
                 </div>
+
+                {isTwoFactorEnabled && (
+                  <div className="grid grid-cols-4 items-center gap-4">
+                    <Label htmlFor="two-factor-code" className="text-right">
+                      2FA Code
+                    </Label>
+                    <Input
+                      id="two-factor-code"
+                      className="col-span-3"
+                      autoComplete="one-time-code"
+                      value={twoFactorCode}
+                      onChange={(e) => setTwoFactorCode(e.target.value)}
+                      required
+                    />
+                  </div>
+                )}
               </div>
               
               {requestStatus === 'success' && (
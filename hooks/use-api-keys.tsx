@@ -0,0 +1,101 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '@/lib/api';
+import { STEP_UP_HEADER } from '@/hooks/use-two-factor';
+
+export type ApiKeyScope = 'read:portfolio' | 'write:rebalancing' | 'write:investments' | 'confirm:step-up';
+
+export interface ApiKey {
+  id: string;
+  name: string;
+  prefix: string;
+  scopes: ApiKeyScope[];
+  ipAllowlist: string[];
+  rateLimit: number;
+  expiresAt: string;
+  expired: boolean;
+  lastUsedAt?: string;
+  lastUsedIp?: string;
+  lastUsedUserAgent?: string;
+  lastUsedRoute?: string;
+  usageCount: number;
+  stepUpApprovedAt?: string;
+  createdAt: string;
+}
+
+export interface NewApiKey {
+  name: string;
+  scopes: ApiKeyScope[];
+  expiresInDays: number;
+  ipAllowlist?: string[];
+  rateLimit?: number;
+}
+
+const request = async (url: string, init: RequestInit = {}) => {
+  const response = await apiFetch(url, init);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Request failed');
+  }
+
+  return data;
+};
+
+export const useApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState<ApiKey[]>([]);
+  const [scopes, setScopes] = useState<ApiKeyScope[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await request('/api/auth/api-keys');
+      setApiKeys(data.data.apiKeys);
+      setScopes(data.data.scopes);
+      setError(null);
+    } catch (err) {
+      setError(err as Error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Returns the secret key, which the API only reveals once
+  const create = useCallback(async (apiKey: NewApiKey, stepUpToken?: string): Promise<string> => {
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/json',
+    };
+    if (stepUpToken) {
+      headers[STEP_UP_HEADER] = stepUpToken;
+    }
+
+    const data = await request('/api/auth/api-keys', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(apiKey),
+    });
+    await refresh();
+    return data.data.key;
+  }, [refresh]);
+
+  const revoke = useCallback(async (keyId: string) => {
+    await request(`/api/auth/api-keys/${keyId}`, { method: 'DELETE' });
+    await refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    apiKeys,
+    scopes,
+    isLoading,
+    error,
+    refresh,
+    create,
+    revoke
+  };
+};
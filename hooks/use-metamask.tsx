@@ -1,6 +1,7 @@
 "use client";
 
 import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '@/lib/api';
 
 // Extend the Window interface to include ethereum
 declare global {
@@ -14,6 +15,45 @@ declare global {
   }
 }
 
+interface SiweChallenge {
+  nonce: string;
+  statement: string;
+  version: string;
+  issuedAt: string;
+  expirationTime: string;
+}
+
+// Either a session, or a token for the two-factor step when 2FA is enabled
+export interface SignInResult {
+  token?: string;
+  user?: any;
+  twoFactorRequired?: boolean;
+  twoFactorToken?: string;
+}
+
+// Build an EIP-4361 (Sign-In With Ethereum) message for the current page
+const buildSiweMessage = (address: string, chainId: number, challenge: SiweChallenge) => {
+  return [
+    `${window.location.host} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    challenge.statement,
+    '',
+    `URI: ${window.location.origin}`,
+    `Version: ${challenge.version}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${challenge.nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+    `Expiration Time: ${new Date(challenge.expirationTime).toISOString()}`,
+  ].join('\n');
+};
+
+const toHex = (value: string) => {
+  return '0x' + Array.from(new TextEncoder().encode(value))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
 interface MetaMaskState {
   isConnected: boolean;
   account: string | null;
@@ -35,7 +75,7 @@ export const useMetaMask = () => {
 
   const saveConnection = useCallback(async (address: string) => {
     try {
-      const response = await fetch('/api/metamask', {
+      const response = await apiFetch('/api/metamask', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -98,6 +138,85 @@ export const useMetaMask = () => {
     }
   }, [saveConnection]);
 
+  // Sign in with the connected wallet (EIP-4361). When already signed in,
+  // the wallet is linked to the current account as an extra login method.
+  const signIn = useCallback(async (): Promise<SignInResult> => {
+    if (!window.ethereum) {
+      const error = new Error('MetaMask is not installed');
+      setState(prev => ({ ...prev, error }));
+      throw error;
+    }
+
+    setState(prev => ({ ...prev, isLoading: true }));
+
+    try {
+      const accounts = await window.ethereum.request({
+        method: 'eth_requestAccounts'
+      });
+      const chainId = await window.ethereum.request({
+        method: 'eth_chainId'
+      });
+
+      if (!accounts || accounts.length === 0) {
+        throw new Error('No account selected in MetaMask');
+      }
+
+      const nonceResponse = await apiFetch('/api/auth/siwe/nonce', {
+        method: 'POST',
+        credentials: 'include',
+      });
+      const nonceBody = await nonceResponse.json();
+
+      if (!nonceResponse.ok) {
+        throw new Error(nonceBody.message || 'Failed to get a sign-in nonce');
+      }
+
+      const message = buildSiweMessage(accounts[0], parseInt(chainId, 16), nonceBody.data.challenge);
+      const signature = await window.ethereum.request({
+        method: 'personal_sign',
+        params: [toHex(message), accounts[0]]
+      });
+
+      const verifyResponse = await apiFetch('/api/auth/siwe/verify', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ message, signature }),
+      });
+      const verifyBody = await verifyResponse.json();
+
+      if (!verifyResponse.ok) {
+        throw new Error(verifyBody.message || 'Failed to verify wallet signature');
+      }
+
+      setState(prev => ({
+        ...prev,
+        isConnected: true,
+        account: accounts[0],
+        chainId,
+        isLoading: false,
+        error: null
+      }));
+
+      return {
+        token: verifyBody.token,
+        user: verifyBody.data.user,
+        twoFactorRequired: verifyBody.data.twoFactorRequired,
+        twoFactorToken: verifyBody.data.twoFactorToken,
+      };
+    } catch (error) {
+      setState(prev => ({
+        ...prev,
+        isLoading: false,
+        error: error as Error
+      }));
+      console.error('Error signing in with MetaMask:', error);
+      throw error;
+    }
+  }, []);
+
   const disconnect = useCallback(() => {
     setState(prev => ({
       ...prev,
@@ -212,6 +331,7 @@ export const useMetaMask = () => {
   return {
     ...state,
     connect,
+    signIn,
     disconnect,
     checkConnection
   };
@@ -0,0 +1,69 @@
+"use client";
+
+import { useState, useEffect, useCallback, ReactNode } from 'react';
+import { apiFetch } from '@/lib/api';
+
+export type Role = 'user' | 'operator' | 'risk-analyst' | 'support' | 'auditor' | 'admin';
+
+export const usePermissions = () => {
+  const [role, setRole] = useState<Role | null>(null);
+  const [permissions, setPermissions] = useState<string[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await apiFetch('/api/auth/me');
+      if (!response.ok) {
+        setRole(null);
+        setPermissions([]);
+        return;
+      }
+
+      const data = await response.json();
+      setRole(data.data.user.role);
+      setPermissions(data.data.permissions || []);
+    } catch (err) {
+      console.error('Error loading permissions:', err);
+      setPermissions([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // The server enforces every permission; this only decides what to show
+  const can = useCallback((...required: string[]) => {
+    return required.every((permission) => permissions.includes(permission));
+  }, [permissions]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    role,
+    permissions,
+    isLoading,
+    can,
+    refresh
+  };
+};
+
+interface CanProps {
+  permission: string | string[];
+  children: ReactNode;
+  fallback?: ReactNode;
+}
+
+/**
+ * Render children only when the signed-in user holds the permission(s)
+ */
+export const Can = ({ permission, children, fallback = null }: CanProps) => {
+  const { can, isLoading } = usePermissions();
+  const required = Array.isArray(permission) ? permission : [permission];
+
+  if (isLoading || !can(...required)) {
+    return <>{fallback}</>;
+  }
+
+  return <>{children}</>;
+};
@@ -4,6 +4,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { web3Accounts, web3Enable, web3FromSource } from '@polkadot/extension-dapp';
 import type { InjectedAccountWithMeta } from '@polkadot/extension-inject/types';
 import { ApiPromise, WsProvider } from '@polkadot/api';
+import { apiFetch } from '@/lib/api';
 
 interface PolkadotIdentity {
   display?: string;
@@ -24,9 +25,36 @@ interface PolkadotState {
   error: Error | null;
 }
 
-const POLKADOT_WS_PROVIDER = 'wss://rpc.polkadot.io';
+// Chain whose endpoints are read from the chain registry
+const POLKADOT_CHAIN_ID = 'polkadot';
 const APP_NAME = 'OrbitYield';
 
+// Either a session, or a token for the two-factor step when 2FA is enabled
+export interface PolkadotSignInResult {
+  token?: string;
+  user?: any;
+  twoFactorRequired?: boolean;
+  twoFactorToken?: string;
+}
+
+const toHex = (value: string) => {
+  return '0x' + Array.from(new TextEncoder().encode(value))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// Endpoints of a chain from the chain registry, in fallback order
+const getChainEndpoints = async (chainId: string): Promise<string[]> => {
+  const response = await fetch(`/api/chains/${chainId}`);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || `Failed to load chain ${chainId}`);
+  }
+
+  return data.data.chain.wsUrls;
+};
+
 export const usePolkadot = () => {
   const [state, setState] = useState<PolkadotState>({
     isConnected: false,
@@ -42,7 +70,7 @@ export const usePolkadot = () => {
   // Initialize connection to Polkadot API
   const initApi = useCallback(async () => {
     try {
-      const provider = new WsProvider(POLKADOT_WS_PROVIDER);
+      const provider = new WsProvider(await getChainEndpoints(POLKADOT_CHAIN_ID));
       const api = await ApiPromise.create({ provider });
       
       setState(prev => ({
@@ -204,6 +232,73 @@ export const usePolkadot = () => {
     }
   }, [state.selectedAccount]);
 
+  // Sign in with a Substrate account by signing a server challenge. When already
+  // signed in, the account is linked to the current user as an extra login method.
+  const signIn = useCallback(async (account: InjectedAccountWithMeta | null = state.selectedAccount): Promise<PolkadotSignInResult> => {
+    if (!account) {
+      throw new Error('No account selected');
+    }
+
+    try {
+      const challengeResponse = await apiFetch('/api/auth/polkadot/challenge', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ address: account.address, chainId: POLKADOT_CHAIN_ID }),
+      });
+      const challengeBody = await challengeResponse.json();
+
+      if (!challengeResponse.ok) {
+        throw new Error(challengeBody.message || 'Failed to get a sign-in challenge');
+      }
+
+      const { nonce, message } = challengeBody.data.challenge;
+
+      const injector = await web3FromSource(account.meta.source);
+      const signRaw = injector?.signer?.signRaw;
+
+      if (!signRaw) {
+        throw new Error('Signing not supported by this extension');
+      }
+
+      const { signature } = await signRaw({
+        address: account.address,
+        data: toHex(message),
+        type: 'bytes'
+      });
+
+      const verifyResponse = await apiFetch('/api/auth/polkadot/verify', {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ nonce, signature, name: account.meta.name }),
+      });
+      const verifyBody = await verifyResponse.json();
+
+      if (!verifyResponse.ok) {
+        throw new Error(verifyBody.message || 'Failed to verify account signature');
+      }
+
+      return {
+        token: verifyBody.token,
+        user: verifyBody.data.user,
+        twoFactorRequired: verifyBody.data.twoFactorRequired,
+        twoFactorToken: verifyBody.data.twoFactorToken,
+      };
+    } catch (error) {
+      console.error('Error signing in with Polkadot account:', error);
+      setState(prev => ({
+        ...prev,
+        error: error instanceof Error ? error : new Error(String(error))
+      }));
+      throw error;
+    }
+  }, [state.selectedAccount]);
+
   // Initialize API connection on component mount
   useEffect(() => {
     initApi().catch(console.error);
@@ -221,6 +316,7 @@ export const usePolkadot = () => {
     connect,
     selectAccount,
     fetchIdentity,
-    signMessage
+    signMessage,
+    signIn
   };
 };
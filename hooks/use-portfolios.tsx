@@ -0,0 +1,307 @@
+"use client";
+
+import { useState, useEffect, useCallback, useSyncExternalStore } from 'react';
+import { apiFetch } from '@/lib/api';
+
+export type RiskPreference = 'low' | 'medium' | 'high';
+export type BaseCurrency = 'USD' | 'EUR' | 'GBP' | 'JPY';
+
+export interface PortfolioWallet {
+  chainType: 'evm' | 'substrate';
+  address: string;
+}
+
+export interface Portfolio {
+  _id: string;
+  name: string;
+  description?: string;
+  isDefault: boolean;
+  riskPreference: RiskPreference;
+  baseCurrency: BaseCurrency;
+  wallets: PortfolioWallet[];
+  rebalancingStrategy?: {
+    _id: string;
+    name: string;
+    type: string;
+    status: string;
+  } | null;
+  totals: {
+    valueUsd: number;
+    investedUsd: number;
+    profitLossUsd: number;
+    investments: number;
+  };
+  createdAt: string;
+}
+
+export type PortfolioInput = Partial<Pick<Portfolio, 'name' | 'description' | 'riskPreference' | 'baseCurrency' | 'wallets'>>;
+
+export interface AllocationEntry {
+  id: string;
+  name: string;
+  valueUsd: number;
+  percentage: number;
+}
+
+export interface PortfolioPosition {
+  id: string;
+  portfolioId: string;
+  opportunity: string | null;
+  protocol: string | null;
+  chainId: string;
+  chainName: string;
+  assetSymbol: string;
+  amount: string;
+  assetDecimals: number;
+  valueUsd: number;
+  apy: number;
+  profitLossUsd: number;
+  profitLossPercentage: number;
+}
+
+export interface PortfolioSummary {
+  portfolio: Portfolio | null;
+  totals: {
+    valueUsd: number;
+    investedUsd: number;
+    profitLossUsd: number;
+    profitLossPercentage: number;
+    yieldEarnedUsd: number;
+    averageApy: number;
+    investments: number;
+  };
+  allocation: {
+    byAsset: AllocationEntry[];
+    byChain: AllocationEntry[];
+  };
+  positions: PortfolioPosition[];
+  // Display currency and its rate from USD; null when no rate is available
+  fiat: {
+    currency: BaseCurrency;
+    rateFromUsd: number;
+  } | null;
+}
+
+export interface PerformancePoint {
+  t: string;
+  valueUsd: number;
+  netContributionsUsd: number;
+  index: number;
+  drawdown: number;
+}
+
+export interface PortfolioPerformance {
+  range: {
+    from: string;
+    to: string;
+    granularity: 'daily' | 'hourly';
+  };
+  timeWeightedReturn: number | null;
+  timeWeightedReturnAnnualized: number | null;
+  moneyWeightedReturn: number | null;
+  moneyWeightedReturnAnnualized: number | null;
+  pnl: {
+    totalUsd: number;
+    yieldUsd: number;
+    priceUsd: number;
+    netContributionsUsd: number;
+  };
+  drawdown: {
+    max: number;
+    current: number;
+    episodes: { peakAt: string; troughAt: string; recoveredAt: string | null; depth: number }[];
+  };
+  series: PerformancePoint[];
+}
+
+export type PerformanceRange = '1d' | '1w' | '1m' | '3m' | '1y' | 'all';
+
+const RANGE_DAYS: Record<PerformanceRange, number> = {
+  '1d': 1,
+  '1w': 7,
+  '1m': 30,
+  '3m': 90,
+  '1y': 365,
+  all: 365 * 10,
+};
+
+// Selects every portfolio combined
+export const ALL_PORTFOLIOS = 'all';
+
+const SELECTED_PORTFOLIO_KEY = 'orbityield.selectedPortfolio';
+const SELECTED_PORTFOLIO_EVENT = 'orbityield:portfolio-selected';
+
+const request = async (url: string, init: RequestInit = {}) => {
+  const response = await apiFetch(url, init);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Request failed');
+  }
+
+  return data;
+};
+
+const jsonInit = (method: string, body: unknown): RequestInit => ({
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+const subscribeToSelection = (onChange: () => void) => {
+  window.addEventListener(SELECTED_PORTFOLIO_EVENT, onChange);
+  window.addEventListener('storage', onChange);
+  return () => {
+    window.removeEventListener(SELECTED_PORTFOLIO_EVENT, onChange);
+    window.removeEventListener('storage', onChange);
+  };
+};
+
+const readSelection = () => window.localStorage.getItem(SELECTED_PORTFOLIO_KEY) || ALL_PORTFOLIOS;
+
+/**
+ * The portfolio picked in the switcher, shared by every page and kept across visits
+ */
+export const useSelectedPortfolio = () => {
+  const selected = useSyncExternalStore(subscribeToSelection, readSelection, () => ALL_PORTFOLIOS);
+
+  const setSelected = useCallback((portfolioId: string) => {
+    window.localStorage.setItem(SELECTED_PORTFOLIO_KEY, portfolioId);
+    window.dispatchEvent(new Event(SELECTED_PORTFOLIO_EVENT));
+  }, []);
+
+  return [selected, setSelected] as const;
+};
+
+export const usePortfolios = () => {
+  const [portfolios, setPortfolios] = useState<Portfolio[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+  const [selected, setSelected] = useSelectedPortfolio();
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await request('/api/portfolios');
+      setPortfolios(data.data.portfolios);
+      setError(null);
+    } catch (err) {
+      setError(err as Error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  const createPortfolio = useCallback(async (input: PortfolioInput) => {
+    const data = await request('/api/portfolios', jsonInit('POST', input));
+    await refresh();
+    return data.data.portfolio as Portfolio;
+  }, [refresh]);
+
+  const updatePortfolio = useCallback(async (portfolioId: string, input: PortfolioInput) => {
+    await request(`/api/portfolios/${portfolioId}`, jsonInit('PUT', input));
+    await refresh();
+  }, [refresh]);
+
+  // Its investments move to the default portfolio
+  const deletePortfolio = useCallback(async (portfolioId: string) => {
+    await request(`/api/portfolios/${portfolioId}`, { method: 'DELETE' });
+    if (selected === portfolioId) {
+      setSelected(ALL_PORTFOLIOS);
+    }
+    await refresh();
+  }, [refresh, selected, setSelected]);
+
+  const assignInvestments = useCallback(async (portfolioId: string, investmentIds: string[]) => {
+    await request(`/api/portfolios/${portfolioId}/investments`, jsonInit('POST', { investmentIds }));
+    await refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Fall back to all portfolios when the remembered one no longer exists
+  useEffect(() => {
+    if (!isLoading && !error && selected !== ALL_PORTFOLIOS && !portfolios.some((portfolio) => portfolio._id === selected)) {
+      setSelected(ALL_PORTFOLIOS);
+    }
+  }, [isLoading, error, portfolios, selected, setSelected]);
+
+  return {
+    portfolios,
+    selected,
+    setSelected,
+    isLoading,
+    error,
+    refresh,
+    createPortfolio,
+    updatePortfolio,
+    deletePortfolio,
+    assignInvestments
+  };
+};
+
+export const usePortfolioSummary = (portfolioId: string) => {
+  const [summary, setSummary] = useState<PortfolioSummary | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const data = await request(`/api/portfolios/${portfolioId}/summary`);
+      setSummary(data.data);
+      setError(null);
+    } catch (err) {
+      setError(err as Error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [portfolioId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    summary,
+    isLoading,
+    error,
+    refresh
+  };
+};
+
+// Intraday ranges need hourly snapshots, which the server only keeps when enabled
+export const usePortfolioPerformance = (portfolioId: string, range: PerformanceRange) => {
+  const [performance, setPerformance] = useState<PortfolioPerformance | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const from = new Date(Date.now() - RANGE_DAYS[range] * 24 * 60 * 60 * 1000).toISOString();
+      const granularity = range === '1d' ? 'hourly' : 'daily';
+      const data = await request(
+        `/api/portfolios/${portfolioId}/performance?from=${encodeURIComponent(from)}&granularity=${granularity}`
+      );
+      setPerformance(data.data);
+      setError(null);
+    } catch (err) {
+      setError(err as Error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [portfolioId, range]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    performance,
+    isLoading,
+    error,
+    refresh
+  };
+};
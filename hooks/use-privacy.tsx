@@ -0,0 +1,120 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '@/lib/api';
+import { STEP_UP_HEADER } from '@/hooks/use-two-factor';
+
+export interface DataExport {
+  _id: string;
+  status: 'pending' | 'processing' | 'completed' | 'failed' | 'expired';
+  file?: {
+    name: string;
+    size: number;
+    sha256: string;
+  };
+  expiresAt?: string;
+  completedAt?: string;
+  error?: string;
+  createdAt: string;
+}
+
+export interface AccountDeletion {
+  _id: string;
+  status: 'scheduled';
+  scheduledFor: string;
+  createdAt: string;
+}
+
+const request = async (url: string, init: RequestInit = {}) => {
+  const response = await apiFetch(url, init);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Request failed');
+  }
+
+  return data;
+};
+
+const stepUpHeaders = (stepUpToken?: string) => {
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/json',
+  };
+  if (stepUpToken) {
+    headers[STEP_UP_HEADER] = stepUpToken;
+  }
+  return headers;
+};
+
+export const downloadUrl = (exportId: string) => `/api/users/me/exports/${exportId}/download`;
+
+export const usePrivacy = () => {
+  const [exports, setExports] = useState<DataExport[]>([]);
+  const [deletion, setDeletion] = useState<AccountDeletion | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [exportsData, deletionData] = await Promise.all([
+        request('/api/users/me/exports'),
+        request('/api/users/me/deletion'),
+      ]);
+      setExports(exportsData.data.exports);
+      setDeletion(deletionData.data.deletion);
+      setError(null);
+    } catch (err) {
+      setError(err as Error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  const requestExport = useCallback(async (stepUpToken?: string) => {
+    await request('/api/users/me/exports', {
+      method: 'POST',
+      headers: stepUpHeaders(stepUpToken),
+    });
+    await refresh();
+  }, [refresh]);
+
+  // Password is only needed for accounts that sign in with one
+  const requestDeletion = useCallback(async (password?: string, stepUpToken?: string) => {
+    await request('/api/users/me/deletion', {
+      method: 'POST',
+      headers: stepUpHeaders(stepUpToken),
+      body: JSON.stringify({ password }),
+    });
+    await refresh();
+  }, [refresh]);
+
+  const cancelDeletion = useCallback(async () => {
+    await request('/api/users/me/deletion', { method: 'DELETE' });
+    await refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Exports are built in the background, so poll while one is in progress
+  useEffect(() => {
+    if (!exports.some((item) => item.status === 'pending' || item.status === 'processing')) {
+      return;
+    }
+
+    const timer = setInterval(refresh, 10000);
+    return () => clearInterval(timer);
+  }, [exports, refresh]);
+
+  return {
+    exports,
+    deletion,
+    isLoading,
+    error,
+    refresh,
+    requestExport,
+    requestDeletion,
+    cancelDeletion
+  };
+};
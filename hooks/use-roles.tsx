@@ -0,0 +1,91 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '@/lib/api';
+import { STEP_UP_HEADER } from '@/hooks/use-two-factor';
+import { Role } from '@/hooks/use-permissions';
+
+export interface RoleDefinition {
+  name: Role;
+  label: string;
+  description: string;
+  permissions: string[];
+  userCount: number;
+}
+
+export interface RoleUser {
+  _id: string;
+  username: string;
+  email?: string;
+  role: Role;
+  lastLogin?: string;
+  createdAt: string;
+}
+
+const request = async (url: string, init: RequestInit = {}) => {
+  const response = await apiFetch(url, init);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Request failed');
+  }
+
+  return data;
+};
+
+export const useRoles = () => {
+  const [roles, setRoles] = useState<RoleDefinition[]>([]);
+  const [users, setUsers] = useState<RoleUser[]>([]);
+  const [search, setSearch] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+
+  // Without a search only staff (anyone who is not a plain user) are listed
+  const refresh = useCallback(async () => {
+    try {
+      const query = search ? `?search=${encodeURIComponent(search)}` : '';
+      const [rolesData, usersData] = await Promise.all([
+        request('/api/admin/roles'),
+        request(`/api/admin/roles/users${query}`),
+      ]);
+      setRoles(rolesData.data.roles);
+      setUsers(usersData.data.users);
+      setError(null);
+    } catch (err) {
+      setError(err as Error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [search]);
+
+  const updateRole = useCallback(async (userId: string, role: Role, stepUpToken?: string) => {
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/json',
+    };
+    if (stepUpToken) {
+      headers[STEP_UP_HEADER] = stepUpToken;
+    }
+
+    await request(`/api/admin/users/${userId}/role`, {
+      method: 'PUT',
+      headers,
+      body: JSON.stringify({ role }),
+    });
+    await refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    roles,
+    users,
+    search,
+    setSearch,
+    isLoading,
+    error,
+    refresh,
+    updateRole
+  };
+};
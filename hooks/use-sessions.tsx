@@ -0,0 +1,79 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '@/lib/api';
+
+export interface AuthSession {
+  id: string;
+  device: string;
+  browser?: string;
+  os?: string;
+  userAgent?: string;
+  ipAddress?: string;
+  lastIpAddress?: string;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
+const request = async (url: string, init: RequestInit = {}) => {
+  const response = await apiFetch(url, init);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Request failed');
+  }
+
+  return data;
+};
+
+/**
+ * Sign out of the current session
+ */
+export const logout = async () => {
+  await request('/api/auth/logout', { method: 'POST' });
+};
+
+export const useSessions = () => {
+  const [sessions, setSessions] = useState<AuthSession[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await request('/api/auth/sessions');
+      setSessions(data.data.sessions);
+      setError(null);
+    } catch (err) {
+      setError(err as Error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Signs that device out and closes its live connections
+  const revoke = useCallback(async (sessionId: string) => {
+    await request(`/api/auth/sessions/${sessionId}`, { method: 'DELETE' });
+    await refresh();
+  }, [refresh]);
+
+  const revokeOthers = useCallback(async (): Promise<number> => {
+    const data = await request('/api/auth/sessions', { method: 'DELETE' });
+    await refresh();
+    return data.data.revoked;
+  }, [refresh]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    sessions,
+    isLoading,
+    error,
+    refresh,
+    revoke,
+    revokeOthers
+  };
+};
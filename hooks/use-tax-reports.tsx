@@ -0,0 +1,103 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '@/lib/api';
+
+export type TaxLotMethod = 'FIFO' | 'LIFO' | 'HIFO';
+export type TaxReportFormat = 'gains' | 'income' | 'koinly' | 'cointracker';
+
+export interface TaxReportSummary {
+  disposals: number;
+  proceeds: number;
+  costBasis: number;
+  realizedGain: number;
+  shortTermGain: number;
+  longTermGain: number;
+  income: number;
+}
+
+export interface TaxDisposal {
+  id: string;
+  t: string;
+  asset: string;
+  amount: number;
+  proceeds: number;
+  costBasis: number;
+  gain: number;
+  shortTermGain: number;
+  longTermGain: number;
+  unmatchedAmount: number;
+  unrealizedGain: number;
+  txHash?: string;
+}
+
+export interface TaxIncome {
+  id: string;
+  t: string;
+  type: string;
+  asset: string;
+  amount: number;
+  value: number;
+  txHash?: string;
+}
+
+export interface TaxReport {
+  year: number;
+  currency: string;
+  method: TaxLotMethod;
+  summary: TaxReportSummary;
+  disposals: TaxDisposal[];
+  income: TaxIncome[];
+  warnings: string[];
+}
+
+const request = async (url: string, init: RequestInit = {}) => {
+  const response = await apiFetch(url, init);
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Request failed');
+  }
+
+  return data;
+};
+
+export const taxReportDownloadUrl = (year: number, format: TaxReportFormat, method?: TaxLotMethod) => {
+  const params = new URLSearchParams({ format });
+  if (method) {
+    params.set('method', method);
+  }
+  return `/api/tax/reports/${year}?${params.toString()}`;
+};
+
+// Without a method the server uses the one in the user's preferences
+export const useTaxReport = (year: number, method?: TaxLotMethod) => {
+  const [report, setReport] = useState<TaxReport | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const query = method ? `?method=${method}` : '';
+      const data = await request(`/api/tax/reports/${year}${query}`);
+      setReport(data.data);
+      setError(null);
+    } catch (err) {
+      setError(err as Error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [year, method]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    report,
+    isLoading,
+    error,
+    refresh
+  };
+};
@@ -0,0 +1,123 @@
+"use client";
+
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch } from '@/lib/api';
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt?: string;
+  pendingSetup: boolean;
+  backupCodesRemaining: number;
+}
+
+export interface TwoFactorEnrollment {
+  secret: string;
+  otpauthUrl: string;
+  qrCode: string;
+}
+
+// Either a code from the authenticator app or one of the backup codes
+export interface TwoFactorCredentials {
+  code?: string;
+  backupCode?: string;
+}
+
+// Header carrying a step-up token to sensitive endpoints
+export const STEP_UP_HEADER = 'X-Step-Up-Token';
+
+const postJson = async (url: string, body: object = {}) => {
+  const response = await apiFetch(url, {
+    method: 'POST',
+    credentials: 'include',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(data.message || 'Request failed');
+  }
+
+  return data;
+};
+
+/**
+ * Finish a login that answered with twoFactorRequired
+ */
+export const completeTwoFactorLogin = async (twoFactorToken: string, credentials: TwoFactorCredentials) => {
+  const data = await postJson('/api/auth/2fa/login', { twoFactorToken, ...credentials });
+  return { token: data.token as string, user: data.data.user };
+};
+
+export const useTwoFactor = () => {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<Error | null>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await apiFetch('/api/auth/2fa', { credentials: 'include' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load two-factor status');
+      }
+
+      setStatus(data.data.twoFactor);
+      setError(null);
+    } catch (err) {
+      setError(err as Error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Start setup: returns the QR code and secret to add to an authenticator app
+  const beginSetup = useCallback(async (): Promise<TwoFactorEnrollment> => {
+    const data = await postJson('/api/auth/2fa/setup');
+    return data.data.enrollment;
+  }, []);
+
+  // Confirm setup with the first code; returns backup codes to show once
+  const confirmSetup = useCallback(async (code: string): Promise<string[]> => {
+    const data = await postJson('/api/auth/2fa/confirm', { code });
+    await refresh();
+    return data.data.backupCodes;
+  }, [refresh]);
+
+  const disable = useCallback(async (credentials: TwoFactorCredentials) => {
+    await postJson('/api/auth/2fa/disable', credentials);
+    await refresh();
+  }, [refresh]);
+
+  const regenerateBackupCodes = useCallback(async (credentials: TwoFactorCredentials): Promise<string[]> => {
+    const data = await postJson('/api/auth/2fa/backup-codes', credentials);
+    await refresh();
+    return data.data.backupCodes;
+  }, [refresh]);
+
+  // Re-verify before a sensitive action; send the token in the STEP_UP_HEADER
+  const stepUp = useCallback(async (credentials: TwoFactorCredentials): Promise<string> => {
+    const data = await postJson('/api/auth/2fa/step-up', credentials);
+    return data.data.stepUpToken;
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return {
+    status,
+    isEnabled: Boolean(status?.enabled),
+    isLoading,
+    error,
+    refresh,
+    beginSetup,
+    confirmSetup,
+    disable,
+    regenerateBackupCodes,
+    stepUp
+  };
+};
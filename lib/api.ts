@@ -0,0 +1,66 @@
+// Cookie set by the API at sign-in; echoed back on state-changing requests
+const CSRF_COOKIE = 'csrfToken';
+export const CSRF_HEADER = 'X-CSRF-Token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const readCookie = (name: string): string | undefined => {
+  if (typeof document === 'undefined') {
+    return undefined;
+  }
+
+  const match = document.cookie
+    .split('; ')
+    .find((cookie) => cookie.startsWith(`${name}=`));
+
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : undefined;
+};
+
+// Concurrent 401s share a single refresh so the refresh token is rotated once
+let refreshing: Promise<boolean> | null = null;
+
+/**
+ * Get a new access token with the refresh token cookie
+ */
+export const refreshSession = (): Promise<boolean> => {
+  if (!refreshing) {
+    refreshing = fetch('/api/auth/refresh', {
+      method: 'POST',
+      credentials: 'include',
+      headers: { [CSRF_HEADER]: readCookie(CSRF_COOKIE) || '' },
+    })
+      .then((response) => response.ok)
+      .catch(() => false)
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+
+  return refreshing;
+};
+
+const send = (url: string, init: RequestInit) => {
+  const headers = new Headers(init.headers);
+  const method = (init.method || 'GET').toUpperCase();
+  const csrfToken = readCookie(CSRF_COOKIE);
+
+  if (!SAFE_METHODS.includes(method) && csrfToken) {
+    headers.set(CSRF_HEADER, csrfToken);
+  }
+
+  return fetch(url, { ...init, headers, credentials: 'include' });
+};
+
+/**
+ * fetch for the OrbitYield API: sends the session cookies and CSRF token, and
+ * renews an expired access token once before giving up
+ */
+export const apiFetch = async (url: string, init: RequestInit = {}) => {
+  const response = await send(url, init);
+
+  if (response.status !== 401 || url.startsWith('/api/auth/refresh')) {
+    return response;
+  }
+
+  return (await refreshSession()) ? send(url, init) : response;
+};
@@ -0,0 +1,153 @@
+/**
+ * Roles and the permissions they grant.
+ *
+ * Routes declare the permission they need with requirePermission() and never
+ * check role names, so adjusting what a role may do only happens here.
+ * Admins hold every permission.
+ */
+
+const PERMISSIONS = {
+  // Users and staff roles
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_READ: 'roles:read',
+  ROLES_MANAGE: 'roles:manage',
+
+  // MetaMask removal requests
+  WALLET_REMOVALS_READ: 'wallet-removals:read',
+  WALLET_REMOVALS_REVIEW: 'wallet-removals:review',
+
+  // Background jobs
+  JOBS_READ: 'jobs:read',
+  JOBS_MANAGE: 'jobs:manage',
+
+  // Strategy catalogue
+  STRATEGIES_MANAGE: 'strategies:manage',
+  STRATEGIES_APY: 'strategies:apy',
+
+  // Protocol data (sync, APY and TVL refresh, auto-harvests)
+  YIELD_MANAGE: 'yield:manage',
+
+  // Transactions of any user
+  TRANSACTIONS_READ: 'transactions:read',
+  TRANSACTIONS_UPDATE: 'transactions:update',
+
+  // Differences between stored investments and on-chain balances
+  RECONCILIATION_READ: 'reconciliation:read',
+  RECONCILIATION_REVIEW: 'reconciliation:review',
+
+  // Chain registry
+  CHAINS_MANAGE: 'chains:manage',
+
+  // Notifications and WebSocket connections
+  NOTIFICATIONS_SEND: 'notifications:send',
+  NOTIFICATIONS_BROADCAST: 'notifications:broadcast',
+  WEBSOCKET_READ: 'websocket:read',
+  WEBSOCKET_MESSAGE: 'websocket:message',
+  WEBSOCKET_BROADCAST: 'websocket:broadcast',
+  WEBSOCKET_DISCONNECT: 'websocket:disconnect',
+
+  // Reporting
+  ANALYTICS_READ: 'analytics:read',
+  AUDIT_READ: 'audit:read',
+  ADMIN_DASHBOARD_READ: 'admin-dashboard:read'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const ROLES = {
+  user: {
+    label: 'User',
+    description: 'Manages their own portfolio',
+    permissions: []
+  },
+  operator: {
+    label: 'Operator',
+    description: 'Runs the platform: jobs, protocol data, chains, transaction status, reconciliation and broadcasts',
+    permissions: [
+      PERMISSIONS.JOBS_READ,
+      PERMISSIONS.JOBS_MANAGE,
+      PERMISSIONS.YIELD_MANAGE,
+      PERMISSIONS.TRANSACTIONS_READ,
+      PERMISSIONS.TRANSACTIONS_UPDATE,
+      PERMISSIONS.RECONCILIATION_READ,
+      PERMISSIONS.RECONCILIATION_REVIEW,
+      PERMISSIONS.CHAINS_MANAGE,
+      PERMISSIONS.NOTIFICATIONS_BROADCAST,
+      PERMISSIONS.WEBSOCKET_READ,
+      PERMISSIONS.WEBSOCKET_BROADCAST,
+      PERMISSIONS.WEBSOCKET_DISCONNECT,
+      PERMISSIONS.WALLET_REMOVALS_READ,
+      PERMISSIONS.ANALYTICS_READ,
+      PERMISSIONS.ADMIN_DASHBOARD_READ
+    ]
+  },
+  'risk-analyst': {
+    label: 'Risk Analyst',
+    description: 'Maintains strategies, their APY and risk data',
+    permissions: [
+      PERMISSIONS.STRATEGIES_MANAGE,
+      PERMISSIONS.STRATEGIES_APY,
+      PERMISSIONS.JOBS_READ,
+      PERMISSIONS.ANALYTICS_READ,
+      PERMISSIONS.ADMIN_DASHBOARD_READ
+    ]
+  },
+  support: {
+    label: 'Support',
+    description: 'Helps users: reviews wallet removals and contacts users',
+    permissions: [
+      PERMISSIONS.USERS_READ,
+      PERMISSIONS.WALLET_REMOVALS_READ,
+      PERMISSIONS.WALLET_REMOVALS_REVIEW,
+      PERMISSIONS.TRANSACTIONS_READ,
+      PERMISSIONS.NOTIFICATIONS_SEND,
+      PERMISSIONS.WEBSOCKET_READ,
+      PERMISSIONS.WEBSOCKET_MESSAGE
+    ]
+  },
+  auditor: {
+    label: 'Auditor',
+    description: 'Read-only access to everything staff can see',
+    permissions: ALL_PERMISSIONS.filter(permission => permission.endsWith(':read'))
+  },
+  admin: {
+    label: 'Administrator',
+    description: 'Full access, including staff roles',
+    permissions: ALL_PERMISSIONS
+  }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * Permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {Array} - Permission names (empty for unknown roles)
+ */
+const getRolePermissions = (role) => (ROLES[role] ? ROLES[role].permissions : []);
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean} - True when granted
+ */
+const roleHasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+/**
+ * Roles that grant a permission
+ * @param {string} permission - Permission name
+ * @returns {Array} - Role names
+ */
+const getRolesWithPermission = (permission) => ROLE_NAMES.filter(role => roleHasPermission(role, permission));
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  getRolePermissions,
+  roleHasPermission,
+  getRolesWithPermission
+};
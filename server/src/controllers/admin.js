@@ -2,6 +2,7 @@ const MetaMaskConnection = require('../models/MetaMaskConnection');
 const User = require('../models/User');
 const logger = require('../config/logger');
 const { sendEmail } = require('../utils/email');
+const auditService = require('../services/AuditService');
 
 /**
  * @desc    Get all MetaMask removal requests
@@ -99,7 +100,15 @@ exports.approveRemovalRequest = async (req, res, next) => {
     }
 
     // Approve removal request
+    const before = auditService.snapshot(connection);
     await connection.approveRemovalRequest(adminNotes);
+    await auditService.record(req, {
+      action: 'metamask.removal.approve',
+      targetType: 'MetaMaskConnection',
+      targetId: connection._id,
+      before,
+      after: connection
+    });
 
     // Send email notification to user
     try {
@@ -158,7 +167,15 @@ exports.rejectRemovalRequest = async (req, res, next) => {
     }
 
     // Reject removal request
+    const before = auditService.snapshot(connection);
     await connection.rejectRemovalRequest(adminNotes);
+    await auditService.record(req, {
+      action: 'metamask.removal.reject',
+      targetType: 'MetaMaskConnection',
+      targetId: connection._id,
+      before,
+      after: connection
+    });
 
     // Send email notification to user
     try {
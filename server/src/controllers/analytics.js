@@ -1,5 +1,6 @@
 const { AnalyticsService, AnalyticsEvent } = require('../utils/analyticsService');
 const logger = require('../config/logger');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * @desc    Track client-side event
@@ -52,15 +53,15 @@ exports.trackEvent = async (req, res, next) => {
 /**
  * @desc    Get user activity timeline
  * @route   GET /api/analytics/users/:userId/activity
- * @access  Private (Admin or User)
+ * @access  Private (analytics:read or User)
  */
 exports.getUserActivity = async (req, res, next) => {
   try {
     const { userId } = req.params;
     const { limit = 50, page = 1, startDate, endDate } = req.query;
     
-    // Check if user is authorized (admin or self)
-    if (req.user.role !== 'admin' && req.user.id !== userId) {
+    // Check if user is authorized (analytics staff or self)
+    if (!req.user.hasPermission(PERMISSIONS.ANALYTICS_READ) && req.user.id !== userId) {
       return res.status(403).json({
         status: 'fail',
         message: 'Not authorized to view this user\'s activity'
@@ -0,0 +1,83 @@
+const apiKeyService = require('../services/ApiKeyService');
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * @desc    List the current user's API keys
+ * @route   GET /api/auth/api-keys
+ * @access  Private
+ */
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      count: apiKeys.length,
+      data: {
+        apiKeys,
+        scopes: ApiKey.SCOPES
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create an API key (the key is only returned in this response)
+ * @route   POST /api/auth/api-keys
+ * @access  Private (step-up)
+ */
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays, ipAllowlist, rateLimit } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide a name and at least one scope'
+      });
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey(req.user.id, {
+      name,
+      scopes,
+      expiresInDays,
+      ipAllowlist,
+      rateLimit,
+      stepUpVerified: req.stepUpVerified === true
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Store this key now, it will not be shown again',
+      data: {
+        apiKey,
+        key
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/auth/api-keys/:id
+ * @access  Private
+ */
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'API key revoked',
+      data: {
+        apiKey
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
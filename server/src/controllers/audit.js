@@ -0,0 +1,93 @@
+const auditService = require('../services/AuditService');
+
+const AUDIT_FILTERS = ['actorId', 'action', 'targetType', 'targetId', 'requestId', 'from', 'to'];
+
+const pickFilters = (query) => AUDIT_FILTERS.reduce((filters, key) => {
+  if (query[key]) {
+    filters[key] = String(query[key]);
+  }
+  return filters;
+}, {});
+
+/**
+ * @desc    Search the audit log
+ * @route   GET /api/admin/audit
+ * @access  Private (audit:read)
+ */
+exports.getAuditLog = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const { entries, total } = await auditService.query(pickFilters(req.query), { page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: {
+        entries
+      }
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({
+        status: 'fail',
+        message: err.message
+      });
+    }
+    next(err);
+  }
+};
+
+/**
+ * @desc    Export the audit log as CSV (same filters as the search)
+ * @route   GET /api/admin/audit/export
+ * @access  Private (audit:read)
+ */
+exports.exportAuditLog = async (req, res, next) => {
+  try {
+    const { csv, count, truncated } = await auditService.exportCsv(pickFilters(req.query));
+
+    // Exporting the log is itself worth recording
+    await auditService.record(req, {
+      action: 'audit.export',
+      targetType: 'AuditLog',
+      metadata: { filters: pickFilters(req.query), count, truncated }
+    });
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.set('X-Export-Truncated', String(truncated));
+    res.status(200).send(csv);
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({
+        status: 'fail',
+        message: err.message
+      });
+    }
+    next(err);
+  }
+};
+
+/**
+ * @desc    Check that no audit log entry was changed or removed
+ * @route   GET /api/admin/audit/verify
+ * @access  Private (audit:read)
+ */
+exports.verifyAuditLog = async (req, res, next) => {
+  try {
+    const fromSequence = Math.max(parseInt(req.query.fromSequence, 10) || 1, 1);
+    const result = await auditService.verifyChain({ fromSequence });
+
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
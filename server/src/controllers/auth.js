@@ -1,4 +1,7 @@
 const User = require('../models/User');
+const walletAuthService = require('../services/WalletAuthService');
+const twoFactorService = require('../services/TwoFactorService');
+const sessionService = require('../services/SessionService');
 const logger = require('../config/logger');
 const crypto = require('crypto');
 
@@ -34,7 +37,7 @@ exports.register = async (req, res, next) => {
     // TODO: Send verification email (implement email service)
 
     // Send token to client
-    sendTokenResponse(user, 201, res);
+    await sendTokenResponse(user, 201, req, res);
   } catch (err) {
     next(err);
   }
@@ -57,9 +60,9 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Check for user
+    // Check for user (wallet-only accounts have no password)
     const user = await User.findOne({ email }).select('+password');
-    if (!user) {
+    if (!user || !user.password) {
       return res.status(401).json({
         status: 'fail',
         message: 'Invalid credentials'
@@ -75,11 +78,39 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    // Second factor step or token
+    await sendLoginResponse(user, 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Finish a login with a two-factor code or backup code
+ * @route   POST /api/auth/2fa/login
+ * @access  Public
+ */
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const { twoFactorToken, code, backupCode } = req.body;
+
+    if (!twoFactorToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide the two-factor token and a verification code or backup code'
+      });
+    }
+
+    const userId = twoFactorService.verifyLoginToken(twoFactorToken);
+    await twoFactorService.verify(userId, { code, backupCode });
+
+    const user = await User.findById(userId);
+
     // Update last login timestamp
     await user.updateLastLogin();
 
     // Send token to client
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
   } catch (err) {
     next(err);
   }
@@ -87,16 +118,14 @@ exports.login = async (req, res, next) => {
 
 /**
  * @desc    Log user out / clear cookie
- * @route   GET /api/auth/logout
+ * @route   POST /api/auth/logout
  * @access  Private
  */
 exports.logout = async (req, res, next) => {
   try {
-    // Clear cookie
-    res.cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
-    });
+    // Revoke the session so its tokens stop working, then clear the cookies
+    await sessionService.revokeSession(req.sessionId, 'logout');
+    sessionService.clearCookies(res);
 
     res.status(200).json({
       status: 'success',
@@ -108,6 +137,53 @@ exports.logout = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get a new access token with the refresh token cookie (rotates the refresh token)
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token cookie and X-CSRF-Token header)
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken, csrfHeader } = sessionService.readRequest(req);
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'No refresh token'
+      });
+    }
+
+    let tokens;
+    try {
+      tokens = await sessionService.refresh(refreshToken, {
+        csrfToken: csrfHeader,
+        ipAddress: req.ip
+      });
+    } catch (err) {
+      // A dead session should not leave stale cookies behind
+      if (err.statusCode === 401) {
+        sessionService.clearCookies(res);
+      }
+      throw err;
+    }
+
+    sessionService.setCookies(res, tokens);
+
+    res.status(200).json({
+      status: 'success',
+      token: tokens.accessToken,
+      data: {
+        session: {
+          id: tokens.session._id,
+          expiresAt: tokens.session.expiresAt
+        }
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * @desc    Get current logged in user
  * @route   GET /api/auth/me
@@ -115,13 +191,16 @@ exports.logout = async (req, res, next) => {
  */
 exports.getMe = async (req, res, next) => {
   try {
-    // Get user with wallet addresses
-    const user = await User.findById(req.user.id).populate('wallets');
+    // Get user with wallet addresses and Substrate accounts
+    const user = await User.findById(req.user.id)
+      .populate('wallets')
+      .populate({ path: 'polkadotWallets', match: { isActive: true } });
 
     res.status(200).json({
       status: 'success',
       data: {
-        user
+        user,
+        permissions: user.getPermissions()
       }
     });
   } catch (err) {
@@ -197,8 +276,11 @@ exports.updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every device and start a fresh session here
+    await sessionService.revokeAllSessions(user.id, { reason: 'password_changed' });
+
     // Send token to client
-    sendTokenResponse(user, 200, res);
+    await sendTokenResponse(user, 200, req, res);
   } catch (err) {
     next(err);
   }
@@ -276,8 +358,11 @@ exports.resetPassword = async (req, res, next) => {
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    // Send token to client
-    sendTokenResponse(user, 200, res);
+    // Whoever knew the old password is signed out
+    await sessionService.revokeAllSessions(user.id, { reason: 'password_changed' });
+
+    // A reset link does not replace the second factor
+    await sendLoginResponse(user, 200, req, res);
   } catch (err) {
     next(err);
   }
@@ -316,34 +401,178 @@ exports.verifyEmail = async (req, res, next) => {
   }
 };
 
-// Helper function to create and send JWT token response
-const sendTokenResponse = (user, statusCode, res) => {
-  // Create token
-  const token = user.getSignedJwtToken();
-
-  // Cookie options
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true
-  };
-
-  // Set secure flag in production
-  if (process.env.NODE_ENV === 'production') {
-    cookieOptions.secure = true;
+/**
+ * @desc    Get a one-time nonce for a Sign-In With Ethereum message
+ * @route   POST /api/auth/siwe/nonce
+ * @access  Public (signed-in users get a nonce that links the wallet to their account)
+ */
+exports.getSiweNonce = async (req, res, next) => {
+  try {
+    const challenge = await walletAuthService.createSiweChallenge({
+      userId: req.user ? req.user.id : undefined,
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        challenge
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Verify a signed SIWE message and sign in, sign up or link the wallet
+ * @route   POST /api/auth/siwe/verify
+ * @access  Public
+ */
+exports.verifySiwe = async (req, res, next) => {
+  try {
+    const { message, signature } = req.body;
+
+    if (!message || !signature) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide the signed message and signature'
+      });
+    }
+
+    const { user, created, linked } = await walletAuthService.verifySiwe({
+      message,
+      signature,
+      userId: req.user ? req.user.id : undefined
+    });
+
+    // Linking happens in an already verified session, which is kept
+    if (linked) {
+      return sendTokenResponse(user, 200, req, res, { sessionId: req.sessionId });
+    }
+
+    // Second factor step or token
+    await sendLoginResponse(user, created ? 201 : 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a one-time challenge for a Polkadot account to sign
+ * @route   POST /api/auth/polkadot/challenge
+ * @access  Public (signed-in users get a challenge that links the account to their account)
+ */
+exports.getPolkadotChallenge = async (req, res, next) => {
+  try {
+    const { address, chainId } = req.body;
+
+    if (!address) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide an address'
+      });
+    }
+
+    const challenge = await walletAuthService.createPolkadotChallenge({
+      address,
+      chainId,
+      userId: req.user ? req.user.id : undefined,
+      ipAddress: req.ip
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        challenge
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Verify a signed Polkadot challenge and sign in, sign up or link the account
+ * @route   POST /api/auth/polkadot/verify
+ * @access  Public
+ */
+exports.verifyPolkadot = async (req, res, next) => {
+  try {
+    const { nonce, signature, name } = req.body;
+
+    if (!nonce || !signature) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide the challenge nonce and signature'
+      });
+    }
+
+    const { user, created, linked } = await walletAuthService.verifyPolkadot({
+      nonce,
+      signature,
+      name,
+      userId: req.user ? req.user.id : undefined
+    });
+
+    // Linking happens in an already verified session, which is kept
+    if (linked) {
+      return sendTokenResponse(user, 200, req, res, { sessionId: req.sessionId });
+    }
+
+    // Second factor step or token
+    await sendLoginResponse(user, created ? 201 : 200, req, res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Helper function to finish a first-factor login: users with 2FA enabled get a
+// short-lived token for POST /api/auth/2fa/login instead of a session
+const sendLoginResponse = async (user, statusCode, req, res) => {
+  if (twoFactorService.isEnabled(user)) {
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        twoFactorRequired: true,
+        twoFactorToken: twoFactorService.createLoginToken(user)
+      }
+    });
+  }
+
+  // Update last login timestamp
+  await user.updateLastLogin();
+
+  // Send token to client
+  await sendTokenResponse(user, statusCode, req, res);
+};
+
+// Helper function to start a session (or refresh the access token of an
+// existing one) and send the tokens as cookies
+const sendTokenResponse = async (user, statusCode, req, res, { sessionId } = {}) => {
+  let tokens;
+
+  if (sessionId) {
+    tokens = { accessToken: user.getSignedJwtToken(sessionId) };
+  } else {
+    tokens = await sessionService.createSession(user, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
   }
 
+  sessionService.setCookies(res, tokens);
+
   // Remove password from output
   user.password = undefined;
 
-  // Send response with cookie
+  // Send response with cookies; the access token is also returned for
+  // Bearer clients and WebSocket connections
   res
     .status(statusCode)
-    .cookie('token', token, cookieOptions)
     .json({
       status: 'success',
-      token,
+      token: tokens.accessToken,
       data: {
         user
       }
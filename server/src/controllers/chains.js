@@ -0,0 +1,79 @@
+const chainRegistry = require('../services/ChainRegistry');
+
+/**
+ * @desc    List registered chains
+ * @route   GET /api/chains
+ * @access  Public
+ */
+exports.getChains = async (req, res, next) => {
+  try {
+    const { type, relay, xcm, includeTestnets } = req.query;
+
+    const chains = chainRegistry
+      .list({
+        type,
+        relay,
+        xcm: xcm === 'true',
+        includeTestnets: includeTestnets === 'true'
+      })
+      .map(chain => chainRegistry.toPublic(chain));
+
+    res.status(200).json({
+      status: 'success',
+      count: chains.length,
+      data: {
+        chains,
+        loadedAt: chainRegistry.loadedAt
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a chain by ID or alias
+ * @route   GET /api/chains/:id
+ * @access  Public
+ */
+exports.getChain = async (req, res, next) => {
+  try {
+    const chain = chainRegistry.get(req.params.id);
+
+    if (!chain) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Chain not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        chain: chainRegistry.toPublic(chain)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Reload the chain registry from its file
+ * @route   POST /api/chains/reload
+ * @access  Private (Admin)
+ */
+exports.reloadChains = async (req, res, next) => {
+  try {
+    const registry = chainRegistry.reload();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        registry
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
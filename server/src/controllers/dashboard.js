@@ -2,10 +2,16 @@ const Transaction = require('../models/Transaction');
 const Strategy = require('../models/Strategy');
 const User = require('../models/User');
 const MetaMaskConnection = require('../models/MetaMaskConnection');
+const Investment = require('../models/Investment');
+const portfolioService = require('../services/PortfolioService');
+const performanceService = require('../services/PerformanceService');
+const priceOracleService = require('../services/PriceOracleService');
+const feeService = require('../services/FeeService');
 const logger = require('../config/logger');
+const { toDecimalString } = require('../utils/amount');
 
 /**
- * @desc    Get user dashboard data
+ * @desc    Get user dashboard data, for one portfolio (?portfolio=<id>) or all combined
  * @route   GET /api/dashboard
  * @access  Private
  */
@@ -13,6 +19,27 @@ exports.getDashboard = async (req, res, next) => {
   try {
     const userId = req.user.id;
 
+    // Narrow wallets and transactions down to the selected portfolio
+    let portfolio = null;
+    const walletQuery = { userId, isActive: true };
+    const transactionQuery = { userId };
+    if (req.query.portfolio && req.query.portfolio !== 'all') {
+      portfolio = await portfolioService.getPortfolio(userId, req.query.portfolio);
+
+      const evmWallets = portfolio.wallets.filter(wallet => wallet.chainType === 'evm');
+      walletQuery.walletAddress = { $in: evmWallets.map(wallet => new RegExp(`^${wallet.address}$`, 'i')) };
+      transactionQuery.investmentId = {
+        $in: await Investment.find({ user: userId, portfolioId: portfolio._id }).distinct('_id')
+      };
+    }
+    const holdings = await portfolioService.getSummary(userId, portfolio ? portfolio._id : 'all');
+
+    // Returns over the last 30 days
+    const performance = await performanceService.getPerformance(userId, {
+      portfolioId: portfolio ? portfolio._id : 'all',
+      from: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+    });
+
     // Get active strategies count
     const activeStrategiesCount = await Strategy.countDocuments({ 
       isActive: true,
@@ -20,13 +47,10 @@ exports.getDashboard = async (req, res, next) => {
     });
 
     // Get user's active wallet connections
-    const walletConnections = await MetaMaskConnection.find({
-      userId,
-      isActive: true
-    }).select('walletAddress chainId label lastUsed');
+    const walletConnections = await MetaMaskConnection.find(walletQuery).select('walletAddress chainId label lastUsed');
 
     // Get user's recent transactions
-    const recentTransactions = await Transaction.find({ userId })
+    const recentTransactions = await Transaction.find(transactionQuery)
       .sort({ createdAt: -1 })
       .limit(5)
       .populate({
@@ -36,24 +60,40 @@ exports.getDashboard = async (req, res, next) => {
 
     // Get user's investment stats
     const investmentStats = await Transaction.aggregate([
-      { $match: { userId: req.user._id, type: 'deposit', status: 'completed' } },
+      { $match: { ...transactionQuery, userId: req.user._id, type: 'deposit', status: 'completed' } },
       {
         $group: {
-          _id: '$asset',
+          _id: { asset: '$asset', decimals: '$decimals' },
           totalInvested: { $sum: '$amount' },
           count: { $sum: 1 }
         }
       }
     ]);
 
+    // Token amounts only add up per asset; across assets deposits are totalled in USD
+    const invested = await priceOracleService.valueTotals(
+      investmentStats.map(stat => ({ ...stat._id, raw: stat.totalInvested }))
+    );
+    investmentStats.forEach((stat, i) => {
+      stat._id = stat._id.asset;
+      stat.totalInvested = invested.byAsset[i].amount;
+      stat.totalInvestedUsd = invested.byAsset[i].valueUsd;
+    });
+
     // Get most profitable strategies
     const profitableStrategies = await Strategy.find({ isActive: true })
       .sort({ 'apy.current': -1 })
       .limit(3);
 
-    // Get user's risk profile
-    const user = await User.findById(userId).select('preferences.riskLevel');
-    const userRiskLevel = user.preferences?.riskLevel || 'medium';
+    // Get the portfolio's risk preference, or the user's for all portfolios
+    let userRiskLevel = portfolio ? portfolio.riskPreference : null;
+    if (!userRiskLevel) {
+      const user = await User.findById(userId).select('preferences.riskLevel');
+      userRiskLevel = user.preferences?.riskLevel || 'medium';
+    }
+
+    // Values in the display currency; only USD values are given when no rate is available
+    const fiatRate = holdings.fiat ? holdings.fiat.rateFromUsd : null;
 
     // Get risk-appropriate strategies
     let riskQuery = {};
@@ -73,11 +113,43 @@ exports.getDashboard = async (req, res, next) => {
 
     // Construct dashboard data
     const dashboardData = {
+      portfolio: portfolio ? {
+        id: portfolio._id,
+        name: portfolio.name,
+        riskPreference: portfolio.riskPreference,
+        baseCurrency: portfolio.baseCurrency
+      } : null,
+      holdings: {
+        totals: holdings.totals,
+        allocation: holdings.allocation
+      },
+      fiat: fiatRate === null ? null : {
+        currency: holdings.fiat.currency,
+        rateFromUsd: fiatRate,
+        value: holdings.totals.valueUsd * fiatRate,
+        invested: holdings.totals.investedUsd * fiatRate,
+        profitLoss: holdings.totals.profitLossUsd * fiatRate,
+        yieldEarned: holdings.totals.yieldEarnedUsd * fiatRate,
+        pnl: {
+          total: performance.pnl.totalUsd * fiatRate,
+          yield: performance.pnl.yieldUsd * fiatRate,
+          price: performance.pnl.priceUsd * fiatRate
+        }
+      },
+      performance: {
+        range: performance.range,
+        timeWeightedReturn: performance.timeWeightedReturn,
+        moneyWeightedReturn: performance.moneyWeightedReturn,
+        pnl: performance.pnl,
+        maxDrawdown: performance.drawdown.max
+      },
       overview: {
         activeStrategiesCount,
         walletConnectionsCount: walletConnections.length,
         userRiskLevel,
-        activeInvestmentsCount: investmentStats.reduce((acc, stat) => acc + stat.count, 0)
+        activeInvestmentsCount: investmentStats.reduce((acc, stat) => acc + stat.count, 0),
+        totalInvestedUsd: invested.valueUsd,
+        unpricedAssets: invested.unpriced
       },
       walletConnections,
       recentTransactions,
@@ -140,11 +212,22 @@ exports.getAdminDashboard = async (req, res, next) => {
       { $match: { status: 'completed' } },
       {
         $group: {
-          _id: '$asset',
+          _id: { asset: '$asset', decimals: '$decimals' },
           totalAmount: { $sum: '$amount' }
         }
       }
     ]);
+    const volume = await priceOracleService.valueTotals(
+      transactionVolume.map(item => ({ ...item._id, raw: item.totalAmount }))
+    );
+    transactionVolume.forEach((item, i) => {
+      item._id = item._id.asset;
+      item.totalAmount = volume.byAsset[i].amount;
+      item.totalAmountUsd = volume.byAsset[i].valueUsd;
+    });
+
+    // Get platform fee revenue
+    const feeRevenue = await feeService.getRevenue();
 
     // Get pending MetaMask removal requests
     const pendingRemovalRequests = await MetaMaskConnection.countDocuments({
@@ -164,33 +247,45 @@ exports.getAdminDashboard = async (req, res, next) => {
         select: 'name protocol asset chainId'
       });
 
-    // Get top strategies by user adoption
+    // Get top strategies by user adoption, with deposits totalled per asset
     const topStrategiesByUsage = await Transaction.aggregate([
       { $match: { status: 'completed', type: 'deposit' } },
       {
         $group: {
-          _id: '$strategyId',
-          userCount: { $addToSet: '$userId' },
+          _id: { strategyId: '$strategyId', asset: '$asset', decimals: '$decimals' },
+          userIds: { $addToSet: '$userId' },
           totalAmount: { $sum: '$amount' }
         }
       },
+      {
+        $group: {
+          _id: '$_id.strategyId',
+          userIds: { $push: '$userIds' },
+          amounts: { $push: { asset: '$_id.asset', decimals: '$_id.decimals', raw: '$totalAmount' } }
+        }
+      },
       {
         $project: {
           strategyId: '$_id',
-          userCount: { $size: '$userCount' },
-          totalAmount: 1
+          userCount: {
+            $size: { $reduce: { input: '$userIds', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+          },
+          amounts: 1
         }
       },
       { $sort: { userCount: -1 } },
       { $limit: 5 }
     ]);
+    const strategyDeposits = await Promise.all(
+      topStrategiesByUsage.map(item => priceOracleService.valueTotals(item.amounts))
+    );
 
     // Get strategy details for top strategies
     const strategyIds = topStrategiesByUsage.map(item => item._id);
     const topStrategies = await Strategy.find({ _id: { $in: strategyIds } });
 
     // Enrich top strategies data
-    const enrichedTopStrategies = topStrategiesByUsage.map(item => {
+    const enrichedTopStrategies = topStrategiesByUsage.map((item, i) => {
       const strategyDetails = topStrategies.find(s => s._id.toString() === item._id.toString());
       return {
         id: item._id,
@@ -198,7 +293,8 @@ exports.getAdminDashboard = async (req, res, next) => {
         protocol: strategyDetails ? strategyDetails.protocol : 'Unknown',
         asset: strategyDetails ? strategyDetails.asset : 'Unknown',
         userCount: item.userCount,
-        totalAmount: item.totalAmount
+        deposits: strategyDeposits[i].byAsset,
+        totalAmountUsd: strategyDeposits[i].valueUsd
       };
     });
 
@@ -220,12 +316,13 @@ exports.getAdminDashboard = async (req, res, next) => {
         failed: failedTransactionCount
       },
       transactionVolume,
+      feeRevenue,
       pendingMetaMaskRemovals: pendingRemovalRequests,
       recentTransactions: recentTransactions.map(tx => ({
         id: tx._id,
         type: tx.type,
         status: tx.status,
-        amount: tx.amount,
+        amount: toDecimalString(tx.toAmount()),
         asset: tx.asset,
         userId: tx.userId ? tx.userId._id : null,
         username: tx.userId ? tx.userId.username : 'Unknown',
@@ -0,0 +1,162 @@
+const jobScheduler = require('../services/JobScheduler');
+const logger = require('../config/logger');
+const auditService = require('../services/AuditService');
+
+/**
+ * @desc    Get all background jobs with their state and last run
+ * @route   GET /api/admin/jobs
+ * @access  Admin
+ */
+exports.getJobs = async (req, res, next) => {
+  try {
+    const jobs = await jobScheduler.getJobs();
+
+    res.status(200).json({
+      status: 'success',
+      count: jobs.length,
+      data: {
+        jobs
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get recent runs of a job
+ * @route   GET /api/admin/jobs/:name/runs
+ * @access  Admin
+ */
+exports.getJobRuns = async (req, res, next) => {
+  try {
+    if (!jobScheduler.hasJob(req.params.name)) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Job not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const runs = await jobScheduler.getJobRuns(req.params.name, limit);
+
+    res.status(200).json({
+      status: 'success',
+      count: runs.length,
+      data: {
+        runs
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Pause a job
+ * @route   PUT /api/admin/jobs/:name/pause
+ * @access  Admin
+ */
+exports.pauseJob = async (req, res, next) => {
+  try {
+    if (!jobScheduler.hasJob(req.params.name)) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Job not found'
+      });
+    }
+
+    const job = await jobScheduler.pauseJob(req.params.name, req.user.id);
+
+    await auditService.record(req, {
+      action: 'job.pause',
+      targetType: 'ScheduledJob',
+      targetId: req.params.name
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        job
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Resume a paused job
+ * @route   PUT /api/admin/jobs/:name/resume
+ * @access  Admin
+ */
+exports.resumeJob = async (req, res, next) => {
+  try {
+    if (!jobScheduler.hasJob(req.params.name)) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Job not found'
+      });
+    }
+
+    const job = await jobScheduler.resumeJob(req.params.name);
+
+    await auditService.record(req, {
+      action: 'job.resume',
+      targetType: 'ScheduledJob',
+      targetId: req.params.name
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        job
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Run a job now
+ * @route   POST /api/admin/jobs/:name/trigger
+ * @access  Admin
+ */
+exports.triggerJob = async (req, res, next) => {
+  try {
+    if (!jobScheduler.hasJob(req.params.name)) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'Job not found'
+      });
+    }
+
+    const run = await jobScheduler.triggerJob(req.params.name, req.user.id);
+
+    if (!run) {
+      return res.status(409).json({
+        status: 'fail',
+        message: 'Job is already running'
+      });
+    }
+
+    logger.info(`Job ${req.params.name} triggered manually by ${req.user.id}`);
+
+    await auditService.record(req, {
+      action: 'job.trigger',
+      targetType: 'ScheduledJob',
+      targetId: req.params.name,
+      metadata: { runId: run._id }
+    });
+
+    res.status(202).json({
+      status: 'success',
+      data: {
+        run
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
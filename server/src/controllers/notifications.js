@@ -1,6 +1,7 @@
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const logger = require('../config/logger');
+const auditService = require('../services/AuditService');
 
 /**
  * @desc    Get user notifications
@@ -278,6 +279,13 @@ exports.createNotification = async (req, res, next) => {
       data
     });
 
+    await auditService.record(req, {
+      action: 'notification.send',
+      targetType: 'User',
+      targetId: userId,
+      metadata: { notificationId: notification._id, title, type: type || 'info' }
+    });
+
     res.status(201).json({
       status: 'success',
       data: {
@@ -317,6 +325,12 @@ exports.broadcastNotification = async (req, res, next) => {
       }
     );
 
+    await auditService.record(req, {
+      action: 'notification.broadcast',
+      targetType: 'Notification',
+      metadata: { userIds, recipients: notifications.length, title, message, type: type || 'info' }
+    });
+
     res.status(201).json({
       status: 'success',
       count: notifications.length,
@@ -0,0 +1,196 @@
+const portfolioService = require('../services/PortfolioService');
+const performanceService = require('../services/PerformanceService');
+
+/**
+ * @desc    List the current user's portfolios with their totals
+ * @route   GET /api/portfolios
+ * @access  Private
+ */
+exports.getPortfolios = async (req, res, next) => {
+  try {
+    const portfolios = await portfolioService.listPortfolios(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      count: portfolios.length,
+      data: {
+        portfolios
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Create a portfolio
+ * @route   POST /api/portfolios
+ * @access  Private
+ */
+exports.createPortfolio = async (req, res, next) => {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide a portfolio name'
+      });
+    }
+
+    const portfolio = await portfolioService.createPortfolio(req.user.id, req.body);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        portfolio
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get a portfolio
+ * @route   GET /api/portfolios/:id
+ * @access  Private
+ */
+exports.getPortfolio = async (req, res, next) => {
+  try {
+    const portfolio = await portfolioService.getPortfolio(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        portfolio
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Update a portfolio's name, risk preference, base currency or wallets
+ * @route   PUT /api/portfolios/:id
+ * @access  Private
+ */
+exports.updatePortfolio = async (req, res, next) => {
+  try {
+    const portfolio = await portfolioService.updatePortfolio(req.user.id, req.params.id, req.body);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        portfolio
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Delete a portfolio, moving its investments to the default portfolio
+ * @route   DELETE /api/portfolios/:id
+ * @access  Private
+ */
+exports.deletePortfolio = async (req, res, next) => {
+  try {
+    const result = await portfolioService.deletePortfolio(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: `Portfolio deleted, ${result.movedInvestments} investments moved to your default portfolio`,
+      data: result
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Holdings, totals and allocation of a portfolio, or of all combined (id "all")
+ * @route   GET /api/portfolios/:id/summary
+ * @access  Private
+ */
+exports.getPortfolioSummary = async (req, res, next) => {
+  try {
+    const summary = await portfolioService.getSummary(req.user.id, req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: summary
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Time- and money-weighted returns, PnL split and drawdowns of a portfolio
+ *          or of all combined (id "all") over ?from=&to= (&granularity=daily|hourly)
+ * @route   GET /api/portfolios/:id/performance
+ * @access  Private
+ */
+exports.getPortfolioPerformance = async (req, res, next) => {
+  try {
+    const { from, to, granularity } = req.query;
+    const performance = await performanceService.getPerformance(req.user.id, {
+      portfolioId: req.params.id,
+      from,
+      to,
+      granularity
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: performance
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Move investments into a portfolio
+ * @route   POST /api/portfolios/:id/investments
+ * @access  Private
+ */
+exports.assignInvestments = async (req, res, next) => {
+  try {
+    const moved = await portfolioService.assignInvestments(req.user.id, req.params.id, req.body.investmentIds);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        moved
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Set or clear (strategyId: null) the portfolio's rebalancing strategy
+ * @route   PUT /api/portfolios/:id/strategy
+ * @access  Private
+ */
+exports.setRebalancingStrategy = async (req, res, next) => {
+  try {
+    const portfolio = await portfolioService.setRebalancingStrategy(
+      req.user.id,
+      req.params.id,
+      req.body.strategyId || null
+    );
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        portfolio
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
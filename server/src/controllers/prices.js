@@ -0,0 +1,85 @@
+const priceOracleService = require('../services/PriceOracleService');
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY'];
+
+/**
+ * @desc    Current prices of assets (?symbols=ETH,DOT&currency=EUR)
+ * @route   GET /api/prices
+ * @access  Private
+ */
+exports.getPrices = async (req, res, next) => {
+  try {
+    const symbols = String(req.query.symbols || '').split(',').map(symbol => symbol.trim()).filter(Boolean);
+    const currency = String(req.query.currency || 'USD').toUpperCase();
+
+    if (symbols.length === 0 || symbols.length > 50) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide between 1 and 50 symbols'
+      });
+    }
+    if (!CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Currency must be one of: ${CURRENCIES.join(', ')}`
+      });
+    }
+
+    const [prices, rate] = await Promise.all([
+      priceOracleService.getPrices(symbols),
+      priceOracleService.getFiatRate(currency)
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        currency,
+        prices: Array.from(prices.values()).map(price => ({
+          ...price,
+          price: price.priceUsd * rate
+        }))
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Recorded prices of an asset (?from=&to=&currency=)
+ * @route   GET /api/prices/:symbol/history
+ * @access  Private
+ */
+exports.getPriceHistory = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    const currency = String(req.query.currency || 'USD').toUpperCase();
+
+    if (!CURRENCIES.includes(currency)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Currency must be one of: ${CURRENCIES.join(', ')}`
+      });
+    }
+
+    const history = await priceOracleService.getHistory(req.params.symbol, { from, to });
+    const convert = history.length > 0
+      ? await priceOracleService.getFiatConverter(currency, history[0].recordedAt, history[history.length - 1].recordedAt)
+      : null;
+
+    res.status(200).json({
+      status: 'success',
+      count: history.length,
+      data: {
+        symbol: req.params.symbol.toUpperCase(),
+        currency,
+        history: history.map(entry => ({
+          ...entry,
+          price: convert(entry.priceUsd, entry.recordedAt)
+        }))
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,131 @@
+const dataPrivacyService = require('../services/DataPrivacyService');
+
+/**
+ * @desc    Request an export of all data tied to the current user
+ * @route   POST /api/users/me/exports
+ * @access  Private (step-up)
+ */
+exports.requestDataExport = async (req, res, next) => {
+  try {
+    const request = await dataPrivacyService.requestExport(req.user.id, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(202).json({
+      status: 'success',
+      message: 'Your export is being prepared, we will notify you when it is ready',
+      data: {
+        export: request
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    List the current user's data exports
+ * @route   GET /api/users/me/exports
+ * @access  Private
+ */
+exports.getDataExports = async (req, res, next) => {
+  try {
+    const exports = await dataPrivacyService.listExports(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      count: exports.length,
+      data: {
+        exports
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Download a data export archive
+ * @route   GET /api/users/me/exports/:id/download
+ * @access  Private
+ */
+exports.downloadDataExport = async (req, res, next) => {
+  try {
+    const file = await dataPrivacyService.getExportFile(req.user.id, req.params.id);
+
+    res.download(file.path, file.name, (err) => {
+      if (err && !res.headersSent) {
+        next(err);
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get the current user's scheduled account deletion
+ * @route   GET /api/users/me/deletion
+ * @access  Private
+ */
+exports.getAccountDeletion = async (req, res, next) => {
+  try {
+    const deletion = await dataPrivacyService.getScheduledDeletion(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        deletion
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Schedule deletion of the current user's account after a cooling-off period
+ * @route   POST /api/users/me/deletion
+ * @access  Private (step-up)
+ */
+exports.requestAccountDeletion = async (req, res, next) => {
+  try {
+    const deletion = await dataPrivacyService.requestDeletion(req.user, {
+      password: req.body.password,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(202).json({
+      status: 'success',
+      message: `Your account will be deleted on ${deletion.scheduledFor.toUTCString()} unless you cancel`,
+      data: {
+        deletion
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Cancel a scheduled account deletion
+ * @route   DELETE /api/users/me/deletion
+ * @access  Private
+ */
+exports.cancelAccountDeletion = async (req, res, next) => {
+  try {
+    const deletion = await dataPrivacyService.cancelDeletion(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account deletion cancelled',
+      data: {
+        deletion
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,13 +1,12 @@
 const rebalancingService = require('../services/RebalancingService');
-const { asyncHandler } = require('../utils/asyncHandler');
-const logger = require('../utils/logger');
+const catchAsync = require('../utils/catchAsync');
 
 /**
  * @desc    Get all rebalancing strategies for a user
  * @route   GET /api/rebalancing/strategies
  * @access  Private
  */
-const getRebalancingStrategies = asyncHandler(async (req, res) => {
+const getRebalancingStrategies = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const strategies = await rebalancingService.getUserStrategies(userId);
   res.json(strategies);
@@ -18,7 +17,7 @@ const getRebalancingStrategies = asyncHandler(async (req, res) => {
  * @route   GET /api/rebalancing/strategies/:id
  * @access  Private
  */
-const getRebalancingStrategy = asyncHandler(async (req, res) => {
+const getRebalancingStrategy = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const strategyId = req.params.id;
   const strategy = await rebalancingService.getStrategyById(strategyId, userId);
@@ -30,14 +29,14 @@ const getRebalancingStrategy = asyncHandler(async (req, res) => {
  * @route   POST /api/rebalancing/strategies
  * @access  Private
  */
-const createRebalancingStrategy = asyncHandler(async (req, res) => {
+const createRebalancingStrategy = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const strategyData = req.body;
   
   // Ensure strategy belongs to the requesting user
   strategyData.user = userId;
   
-  const strategy = await rebalancingService.createStrategy(strategyData);
+  const strategy = await rebalancingService.createStrategy(strategyData, userId);
   res.status(201).json(strategy);
 });
 
@@ -46,7 +45,7 @@ const createRebalancingStrategy = asyncHandler(async (req, res) => {
  * @route   PUT /api/rebalancing/strategies/:id
  * @access  Private
  */
-const updateRebalancingStrategy = asyncHandler(async (req, res) => {
+const updateRebalancingStrategy = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const strategyId = req.params.id;
   const strategyData = req.body;
@@ -60,7 +59,7 @@ const updateRebalancingStrategy = asyncHandler(async (req, res) => {
  * @route   DELETE /api/rebalancing/strategies/:id
  * @access  Private
  */
-const deleteRebalancingStrategy = asyncHandler(async (req, res) => {
+const deleteRebalancingStrategy = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const strategyId = req.params.id;
   
@@ -73,7 +72,7 @@ const deleteRebalancingStrategy = asyncHandler(async (req, res) => {
  * @route   GET /api/rebalancing/operations
  * @access  Private
  */
-const getRebalancingOperations = asyncHandler(async (req, res) => {
+const getRebalancingOperations = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const { status, strategyId, limit = 10, page = 1 } = req.query;
   
@@ -92,7 +91,7 @@ const getRebalancingOperations = asyncHandler(async (req, res) => {
  * @route   GET /api/rebalancing/operations/:id
  * @access  Private
  */
-const getRebalancingOperation = asyncHandler(async (req, res) => {
+const getRebalancingOperation = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const operationId = req.params.id;
   
@@ -105,7 +104,7 @@ const getRebalancingOperation = asyncHandler(async (req, res) => {
  * @route   POST /api/rebalancing/operations/plan
  * @access  Private
  */
-const createRebalancingPlan = asyncHandler(async (req, res) => {
+const createRebalancingPlan = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const { strategyId, manualAllocation } = req.body;
   
@@ -113,12 +112,27 @@ const createRebalancingPlan = asyncHandler(async (req, res) => {
   res.status(201).json(plan);
 });
 
+/**
+ * @desc    Start a rebalancing operation for a strategy now
+ * @route   POST /api/rebalancing/strategies/:id/rebalance
+ * @access  Private
+ */
+const initiateRebalance = catchAsync(async (req, res) => {
+  const userId = req.user._id;
+  const strategyId = req.params.id;
+
+  const operation = await rebalancingService.initiateManualRebalance(strategyId, userId, {
+    initiatedBy: req.apiKey ? 'api' : 'user'
+  });
+  res.status(201).json(operation);
+});
+
 /**
  * @desc    Simulate a rebalancing operation
  * @route   POST /api/rebalancing/operations/:id/simulate
  * @access  Private
  */
-const simulateRebalancingOperation = asyncHandler(async (req, res) => {
+const simulateRebalancingOperation = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const operationId = req.params.id;
   
@@ -131,7 +145,7 @@ const simulateRebalancingOperation = asyncHandler(async (req, res) => {
  * @route   POST /api/rebalancing/operations/:id/execute
  * @access  Private
  */
-const executeRebalancingOperation = asyncHandler(async (req, res) => {
+const executeRebalancingOperation = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const operationId = req.params.id;
   
@@ -144,7 +158,7 @@ const executeRebalancingOperation = asyncHandler(async (req, res) => {
  * @route   POST /api/rebalancing/operations/:id/approve
  * @access  Private
  */
-const approveRebalancingOperation = asyncHandler(async (req, res) => {
+const approveRebalancingOperation = catchAsync(async (req, res) => {
   const userId = req.user._id;
   const operationId = req.params.id;
   const { approved, reason } = req.body;
@@ -164,7 +178,7 @@ const approveRebalancingOperation = asyncHandler(async (req, res) => {
  * @route   POST /api/rebalancing/check-thresholds
  * @access  Private
  */
-const checkThresholds = asyncHandler(async (req, res) => {
+const checkThresholds = catchAsync(async (req, res) => {
   const userId = req.user._id;
   
   const result = await rebalancingService.processThresholdRebalances(userId);
@@ -185,6 +199,7 @@ module.exports = {
   getRebalancingOperations,
   getRebalancingOperation,
   createRebalancingPlan,
+  initiateRebalance,
   simulateRebalancingOperation,
   executeRebalancingOperation,
   approveRebalancingOperation,
@@ -0,0 +1,103 @@
+const reconciliationService = require('../services/ReconciliationService');
+const auditService = require('../services/AuditService');
+
+const ITEM_STATUSES = ['open', 'accepted', 'dismissed'];
+
+/**
+ * @desc    Get review item counts and the last reconciliation run
+ * @route   GET /api/admin/reconciliation
+ * @access  Private (reconciliation:read)
+ */
+exports.getReconciliationSummary = async (req, res, next) => {
+  try {
+    const summary = await reconciliationService.getSummary();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        summary
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    List reconciliation review items
+ * @route   GET /api/admin/reconciliation/items
+ * @access  Private (reconciliation:read)
+ */
+exports.getReconciliationItems = async (req, res, next) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : undefined;
+    if (status && !ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Status must be one of: ${ITEM_STATUSES.join(', ')}`
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const { items, total } = await reconciliationService.listItems({ status }, { page, limit });
+
+    res.status(200).json({
+      status: 'success',
+      count: items.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: {
+        items
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Accept the on-chain amount of a review item, or dismiss it
+ * @route   PUT /api/admin/reconciliation/items/:id/resolve
+ * @access  Private (reconciliation:review)
+ */
+exports.resolveReconciliationItem = async (req, res, next) => {
+  try {
+    const { resolution, note } = req.body;
+
+    const { item, before } = await reconciliationService.resolveItem(
+      req.params.id,
+      { resolution, note },
+      req.user.id
+    );
+
+    await auditService.record(req, {
+      action: `reconciliation.${resolution === 'accepted' ? 'accept' : 'dismiss'}`,
+      targetType: 'ReconciliationItem',
+      targetId: item._id,
+      before,
+      after: item,
+      metadata: {
+        investment: item.investment,
+        note
+      }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        item
+      }
+    });
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({
+        status: 'fail',
+        message: err.message
+      });
+    }
+    next(err);
+  }
+};
@@ -0,0 +1,141 @@
+const User = require('../models/User');
+const { ROLES, ROLE_NAMES, ALL_PERMISSIONS } = require('../config/permissions');
+const logger = require('../config/logger');
+const auditService = require('../services/AuditService');
+
+/**
+ * @desc    Get roles, the permissions they grant and how many users hold them
+ * @route   GET /api/admin/roles
+ * @access  Private (roles:read)
+ */
+exports.getRoles = async (req, res, next) => {
+  try {
+    const counts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+
+    const roles = ROLE_NAMES.map(name => ({
+      name,
+      label: ROLES[name].label,
+      description: ROLES[name].description,
+      permissions: ROLES[name].permissions,
+      userCount: (counts.find(count => count._id === name) || { count: 0 }).count
+    }));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        roles,
+        permissions: ALL_PERMISSIONS
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Get users with their roles (staff only unless a role or search is given)
+ * @route   GET /api/admin/roles/users
+ * @access  Private (roles:read)
+ */
+exports.getRoleUsers = async (req, res, next) => {
+  try {
+    const { role, search } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const query = {};
+    if (role) {
+      query.role = role;
+    } else if (!search) {
+      query.role = { $ne: 'user' };
+    }
+
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ email: pattern }, { username: pattern }];
+    }
+
+    const users = await User.find(query)
+      .select('username email role lastLogin createdAt')
+      .sort({ role: 1, username: 1 })
+      .limit(limit);
+
+    res.status(200).json({
+      status: 'success',
+      count: users.length,
+      data: {
+        users
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PUT /api/admin/users/:id/role
+ * @access  Private (roles:manage)
+ */
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLE_NAMES.includes(role)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Role must be one of: ${ROLE_NAMES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'fail',
+        message: 'User not found'
+      });
+    }
+
+    // Never leave the platform without someone who can manage roles
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'Cannot remove the last administrator'
+        });
+      }
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`User ${req.user.id} changed role of user ${user._id} from ${previousRole} to ${role}`);
+
+    await auditService.record(req, {
+      action: 'user.role.update',
+      targetType: 'User',
+      targetId: user._id,
+      before: { role: previousRole },
+      after: { role }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        user: {
+          _id: user._id,
+          username: user.username,
+          email: user.email,
+          role: user.role
+        },
+        permissions: user.getPermissions()
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,67 @@
+const sessionService = require('../services/SessionService');
+
+/**
+ * @desc    List the signed-in devices of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      count: sessions.length,
+      data: {
+        sessions
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Revoke a session (signs that device out and closes its sockets)
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    await sessionService.revokeUserSession(req.user.id, req.params.id);
+
+    // Revoking the current session is a logout
+    if (req.params.id === req.sessionId) {
+      sessionService.clearCookies(res);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked',
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Revoke every session except the current one
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.id, { except: req.sessionId });
+
+    res.status(200).json({
+      status: 'success',
+      message: `${revoked} other session(s) revoked`,
+      data: {
+        revoked
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
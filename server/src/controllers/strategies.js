@@ -1,5 +1,6 @@
 const Strategy = require('../models/Strategy');
 const logger = require('../config/logger');
+const auditService = require('../services/AuditService');
 
 /**
  * @desc    Get all yield strategies
@@ -311,9 +312,18 @@ exports.togglePauseStrategy = async (req, res, next) => {
     }
 
     // Toggle pause status
+    const before = auditService.snapshot(strategy);
     strategy.isPaused = !strategy.isPaused;
     await strategy.save();
 
+    await auditService.record(req, {
+      action: strategy.isPaused ? 'strategy.pause' : 'strategy.resume',
+      targetType: 'Strategy',
+      targetId: strategy._id,
+      before,
+      after: strategy
+    });
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -351,8 +361,17 @@ exports.updateStrategyAPY = async (req, res, next) => {
     }
 
     // Update APY
+    const before = auditService.snapshot(strategy);
     await strategy.updateAPY(parseFloat(newApy));
 
+    await auditService.record(req, {
+      action: 'strategy.apy.update',
+      targetType: 'Strategy',
+      targetId: strategy._id,
+      before,
+      after: strategy
+    });
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -0,0 +1,48 @@
+const taxService = require('../services/TaxService');
+
+/**
+ * @desc    Open tax lots with cost basis and unrealized gains (?method=FIFO|LIFO|HIFO)
+ * @route   GET /api/tax/lots
+ * @access  Private
+ */
+exports.getTaxLots = async (req, res, next) => {
+  try {
+    const lots = await taxService.getLots(req.user.id, { method: req.query.method });
+
+    res.status(200).json({
+      status: 'success',
+      data: lots
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Realized gains and reward income of a year, as JSON or as CSV
+ *          (?format=gains|income|koinly|cointracker&method=FIFO|LIFO|HIFO)
+ * @route   GET /api/tax/reports/:year
+ * @access  Private
+ */
+exports.getTaxReport = async (req, res, next) => {
+  try {
+    const { format, method } = req.query;
+
+    if (format && format !== 'json') {
+      const { filename, csv } = await taxService.exportReport(req.user.id, req.params.year, { format, method });
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).send(csv);
+    }
+
+    const report = await taxService.getReport(req.user.id, req.params.year, { method });
+
+    res.status(200).json({
+      status: 'success',
+      data: report
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -2,6 +2,10 @@ const Transaction = require('../models/Transaction');
 const Strategy = require('../models/Strategy');
 const User = require('../models/User');
 const logger = require('../config/logger');
+const auditService = require('../services/AuditService');
+const priceOracleService = require('../services/PriceOracleService');
+const feeService = require('../services/FeeService');
+const { fromDecimal } = require('../utils/amount');
 
 /**
  * @desc    Get all transactions for the logged in user
@@ -85,7 +89,7 @@ exports.getTransaction = async (req, res, next) => {
     }
 
     // Check if transaction belongs to user
-    if (transaction.userId.toString() !== req.user.id) {
+    if (String(transaction.userId) !== req.user.id) {
       return res.status(403).json({
         status: 'fail',
         message: 'Not authorized to access this transaction'
@@ -111,7 +115,7 @@ exports.getTransaction = async (req, res, next) => {
 exports.createTransaction = async (req, res, next) => {
   try {
     // Get fields from request body
-    const { strategyId, walletAddress, type, amount, asset, txHash } = req.body;
+    const { strategyId, walletAddress, type, amount, asset, decimals, txHash } = req.body;
     
     // Validate required fields
     if (!strategyId || !walletAddress || !type || !amount || !asset) {
@@ -121,6 +125,18 @@ exports.createTransaction = async (req, res, next) => {
       });
     }
 
+    // The amount is given in whole units and stored in base units; without the asset's
+    // decimals it is kept at the precision it was given with
+    let value;
+    try {
+      value = fromDecimal(amount, asset, decimals === undefined ? undefined : Number(decimals));
+    } catch (error) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Invalid amount: ${amount}`
+      });
+    }
+
     // Check if strategy exists
     const strategy = await Strategy.findById(strategyId);
     if (!strategy) {
@@ -144,7 +160,8 @@ exports.createTransaction = async (req, res, next) => {
       strategyId,
       walletAddress,
       type,
-      amount,
+      amount: value.raw,
+      decimals: value.decimals,
       asset,
       status: txHash ? 'completed' : 'pending',
       txHash,
@@ -187,9 +204,12 @@ exports.updateTransaction = async (req, res, next) => {
       });
     }
 
+    const before = auditService.snapshot(transaction);
+
     // Update transaction fields
     if (status) {
       await transaction.updateStatus(status);
+      await feeService.settle(transaction);
     }
 
     // If txHash is provided, confirm the transaction
@@ -201,6 +221,14 @@ exports.updateTransaction = async (req, res, next) => {
       );
     }
 
+    await auditService.record(req, {
+      action: 'transaction.update',
+      targetType: 'Transaction',
+      targetId: transaction._id,
+      before,
+      after: transaction
+    });
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -219,16 +247,28 @@ exports.updateTransaction = async (req, res, next) => {
  */
 exports.getTransactionStats = async (req, res, next) => {
   try {
-    // Get total transactions by type
-    const transactionsByType = await Transaction.aggregate([
-      { $match: { userId: req.user._id } },
+    // Amounts are totalled per asset first; different assets only add up in USD
+    const byAsset = key => [
       {
         $group: {
-          _id: '$type',
+          _id: { key, asset: '$asset', decimals: '$decimals' },
           count: { $sum: 1 },
           totalAmount: { $sum: '$amount' }
         }
+      },
+      {
+        $group: {
+          _id: '$_id.key',
+          count: { $sum: '$count' },
+          amounts: { $push: { asset: '$_id.asset', decimals: '$_id.decimals', raw: '$totalAmount' } }
+        }
       }
+    ];
+
+    // Get total transactions by type
+    const transactionsByType = await Transaction.aggregate([
+      { $match: { userId: req.user._id } },
+      ...byAsset('$type')
     ]);
 
     // Get total successful transactions by strategy
@@ -239,13 +279,7 @@ exports.getTransactionStats = async (req, res, next) => {
           status: 'completed'
         } 
       },
-      {
-        $group: {
-          _id: '$strategyId',
-          count: { $sum: 1 },
-          totalAmount: { $sum: '$amount' }
-        }
-      },
+      ...byAsset('$strategyId'),
       {
         $lookup: {
           from: 'strategies',
@@ -257,14 +291,14 @@ exports.getTransactionStats = async (req, res, next) => {
       {
         $project: {
           count: 1,
-          totalAmount: 1,
+          amounts: 1,
           strategy: { $arrayElemAt: ['$strategy', 0] }
         }
       },
       {
         $project: {
           count: 1,
-          totalAmount: 1,
+          amounts: 1,
           strategyName: '$strategy.name',
           strategyProtocol: '$strategy.protocol',
           strategyAsset: '$strategy.asset'
@@ -281,6 +315,12 @@ exports.getTransactionStats = async (req, res, next) => {
         select: 'name protocol asset'
       });
 
+    await Promise.all([...transactionsByType, ...transactionsByStrategy].map(async (group) => {
+      const totals = await priceOracleService.valueTotals(group.amounts);
+      group.amounts = totals.byAsset;
+      group.totalAmountUsd = totals.valueUsd;
+    }));
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -0,0 +1,134 @@
+const twoFactorService = require('../services/TwoFactorService');
+
+/**
+ * @desc    Get two-factor authentication status
+ * @route   GET /api/auth/2fa
+ * @access  Private
+ */
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const twoFactor = await twoFactorService.getStatus(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        twoFactor
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Start authenticator app setup (QR code and secret)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const enrollment = await twoFactorService.beginEnrollment(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        enrollment
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Confirm authenticator app setup and enable 2FA
+ * @route   POST /api/auth/2fa/confirm
+ * @access  Private
+ */
+exports.confirmTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Please provide the code from your authenticator app'
+      });
+    }
+
+    const { backupCodes } = await twoFactorService.confirmEnrollment(req.user.id, code);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled',
+      data: {
+        backupCodes
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Disable 2FA
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { code, backupCode } = req.body;
+
+    await twoFactorService.disable(req.user.id, { code, backupCode });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled',
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Replace backup codes
+ * @route   POST /api/auth/2fa/backup-codes
+ * @access  Private
+ */
+exports.regenerateBackupCodes = async (req, res, next) => {
+  try {
+    const { code, backupCode } = req.body;
+
+    const { backupCodes } = await twoFactorService.regenerateBackupCodes(req.user.id, { code, backupCode });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        backupCodes
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Re-verify with a code to unlock sensitive actions for a few minutes
+ * @route   POST /api/auth/2fa/step-up
+ * @access  Private
+ */
+exports.stepUp = async (req, res, next) => {
+  try {
+    const { code, backupCode } = req.body;
+
+    await twoFactorService.verify(req.user.id, { code, backupCode });
+
+    res.status(200).json({
+      status: 'success',
+      data: twoFactorService.createStepUpToken(req.user)
+    });
+  } catch (err) {
+    next(err);
+  }
+};
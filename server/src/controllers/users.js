@@ -1,6 +1,8 @@
 const User = require('../models/User');
 const MetaMaskConnection = require('../models/MetaMaskConnection');
+const PolkadotWallet = require('../models/PolkadotWallet');
 const logger = require('../config/logger');
+const auditService = require('../services/AuditService');
 
 /**
  * @desc    Get all users
@@ -65,7 +67,16 @@ exports.getUser = async (req, res, next) => {
  */
 exports.createUser = async (req, res, next) => {
   try {
-    const user = await User.create(req.body);
+    // Roles are only granted through the role management API
+    const { role, ...fields } = req.body;
+    const user = await User.create(fields);
+
+    await auditService.record(req, {
+      action: 'user.create',
+      targetType: 'User',
+      targetId: user._id,
+      after: user
+    });
 
     res.status(201).json({
       status: 'success',
@@ -93,18 +104,31 @@ exports.updateUser = async (req, res, next) => {
       delete req.body.password;
     }
 
-    const user = await User.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    }).select('-password');
+    // Roles are only changed through the role management API
+    delete req.body.role;
 
-    if (!user) {
+    const existing = await User.findById(req.params.id);
+
+    if (!existing) {
       return res.status(404).json({
         status: 'fail',
         message: 'User not found'
       });
     }
 
+    const user = await User.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    }).select('-password');
+
+    await auditService.record(req, {
+      action: 'user.update',
+      targetType: 'User',
+      targetId: user._id,
+      before: existing,
+      after: user
+    });
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -149,10 +173,19 @@ exports.deleteUser = async (req, res, next) => {
     }
 
     // Soft delete the user
+    const before = auditService.snapshot(user);
     user.isActive = false;
     user.deactivatedAt = Date.now();
     await user.save();
 
+    await auditService.record(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: user
+    });
+
     // Alternatively, use real deletion if needed
     // await user.remove();
 
@@ -175,17 +208,18 @@ exports.getUserProfile = async (req, res, next) => {
     // Get user from auth middleware
     const user = await User.findById(req.user.id).select('-password');
 
-    // Get user's active MetaMask connections
-    const connections = await MetaMaskConnection.find({
-      userId: user._id,
-      isActive: true
-    });
+    // Get user's active MetaMask connections and Substrate accounts
+    const [connections, polkadotWallets] = await Promise.all([
+      MetaMaskConnection.find({ userId: user._id, isActive: true }),
+      PolkadotWallet.find({ userId: user._id, isActive: true })
+    ]);
 
     res.status(200).json({
       status: 'success',
       data: {
         user,
-        connections
+        connections,
+        polkadotWallets
       }
     });
   } catch (err) {
@@ -235,7 +269,7 @@ exports.updateUserProfile = async (req, res, next) => {
  */
 exports.updateUserPreferences = async (req, res, next) => {
   try {
-    const { riskLevel, notificationPreferences, displayPreferences } = req.body;
+    const { riskLevel, currency, taxLotMethod, notificationPreferences, displayPreferences } = req.body;
 
     // Get current user
     const user = await User.findById(req.user.id);
@@ -246,6 +280,16 @@ exports.updateUserPreferences = async (req, res, next) => {
       user.preferences.riskLevel = riskLevel;
     }
 
+    if (currency) {
+      user.preferences = user.preferences || {};
+      user.preferences.currency = currency;
+    }
+
+    if (taxLotMethod) {
+      user.preferences = user.preferences || {};
+      user.preferences.taxLotMethod = taxLotMethod;
+    }
+
     if (notificationPreferences) {
       user.preferences = user.preferences || {};
       user.preferences.notifications = {
@@ -1,6 +1,7 @@
 const websocketService = require('../utils/websocketService');
 const WebSocketNotificationController = require('./websocketNotifications');
 const logger = require('../config/logger');
+const auditService = require('../services/AuditService');
 
 /**
  * @desc    Get WebSocket connection stats
@@ -150,13 +151,22 @@ exports.sendDirectMessage = async (req, res, next) => {
 exports.disconnectUser = async (req, res, next) => {
   try {
     const { userId } = req.params;
-    
-    // This is not yet implemented in the WebSocket service
-    // Would require adding a method to forcibly close connections
-    
-    res.status(501).json({
-      status: 'fail',
-      message: 'This feature is not yet implemented'
+    const { reason } = req.body || {};
+
+    const count = websocketService.disconnectUser(userId, reason);
+
+    await auditService.record(req, {
+      action: 'websocket.disconnect',
+      targetType: 'User',
+      targetId: userId,
+      metadata: { reason, connections: count }
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        disconnected: count
+      }
     });
   } catch (err) {
     next(err);
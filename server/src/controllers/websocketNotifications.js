@@ -1,6 +1,7 @@
 const websocketService = require('../utils/websocketService');
 const logger = require('../config/logger');
 const Notification = require('../models/Notification');
+const { PERMISSIONS, getRolesWithPermission } = require('../config/permissions');
 
 /**
  * WebSocket Notification Controller
@@ -136,17 +137,19 @@ class WebSocketNotificationController {
   }
 
   /**
-   * Send an admin alert to all admin users
+   * Send an admin alert to all staff whose role grants a permission
    * @param {string} title - Alert title
    * @param {string} message - Alert message
    * @param {Object} data - Additional data
+   * @param {string} permission - Permission the recipients need (admins only when omitted)
    * @returns {number} - Number of admins alerted
    */
-  static async sendAdminAlert(title, message, data = {}) {
+  static async sendAdminAlert(title, message, data = {}, permission) {
     try {
       // Get admin user IDs
       const User = require('../models/User');
-      const admins = await User.find({ role: 'admin' }).select('_id');
+      const roles = permission ? getRolesWithPermission(permission) : ['admin'];
+      const admins = await User.find({ role: { $in: roles } }).select('_id');
       const adminIds = admins.map(admin => admin._id.toString());
       
       if (adminIds.length === 0) {
@@ -193,7 +196,8 @@ class WebSocketNotificationController {
         userId: connection.userId,
         reason: connection.removalRequest?.reason,
         email: connection.removalRequest?.email
-      }
+      },
+      PERMISSIONS.WALLET_REMOVALS_REVIEW
     );
   }
 
@@ -1,5 +1,12 @@
 const Transaction = require('../models/Transaction');
+const xcmBuilder = require('../services/XcmBuilder');
+const xcmTracker = require('../services/XcmTracker');
+const chainRegistry = require('../services/ChainRegistry');
+const websocketService = require('../utils/websocketService');
 const logger = require('../config/logger');
+const { PERMISSIONS } = require('../config/permissions');
+const auditService = require('../services/AuditService');
+const { fromDecimal } = require('../utils/amount');
 
 /**
  * @desc    Submit a cross-chain transaction
@@ -15,7 +22,8 @@ exports.submitXcmTransaction = async (req, res, next) => {
       amount, 
       walletAddress,
       xcmMessage,
-      strategyId
+      strategyId,
+      txHash
     } = req.body;
 
     // Validate required fields
@@ -26,26 +34,44 @@ exports.submitXcmTransaction = async (req, res, next) => {
       });
     }
 
+    // Amounts are given in whole units and stored in the asset's base units
+    const source = chainRegistry.get(sourceChain);
+    const xcmAsset = source && chainRegistry.getXcmAsset(source.relay, asset);
+    if (!xcmAsset) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Unsupported asset: ${asset}`
+      });
+    }
+
     // Create XCM transaction
     const transaction = await Transaction.create({
       userId: req.user.id,
       strategyId: strategyId || null,
       walletAddress,
       type: 'xcm_transfer',
-      amount,
+      amount: fromDecimal(amount, xcmAsset.symbol, xcmAsset.decimals).raw,
+      decimals: xcmAsset.decimals,
       asset,
       status: 'pending',
       isPending: true,
+      txHash,
+      chainId: sourceChain,
       xcmRelated: true,
       xcmDetails: {
         sourceChain,
         destinationChain,
         message: xcmMessage || '',
-        isIncoming: false
+        isIncoming: false,
+        status: 'pending',
+        history: [{ status: 'pending', chain: sourceChain }]
       }
     });
 
-    // In a production scenario, this would trigger a process to monitor the XCM transaction
+    // Follow the message in the background; the job scheduler picks up anything left over
+    xcmTracker.track(transaction).catch(error => {
+      logger.error(`XCM tracking of transaction ${transaction._id} failed: ${error.message}`);
+    });
 
     res.status(201).json({
       status: 'success',
@@ -86,6 +112,8 @@ exports.updateXcmTransactionStatus = async (req, res, next) => {
       });
     }
 
+    const before = auditService.snapshot(transaction);
+
     // Update transaction fields
     if (status) {
       transaction.status = status;
@@ -94,6 +122,13 @@ exports.updateXcmTransactionStatus = async (req, res, next) => {
       if (status === 'failed' && errorMessage) {
         transaction.failureReason = errorMessage;
       }
+
+      // Keep the tracker in step with manual overrides
+      if (status === 'completed' || status === 'failed') {
+        transaction.xcmDetails.status = status === 'completed' ? 'executed' : 'failed';
+        transaction.xcmDetails.error = status === 'failed' ? errorMessage : undefined;
+        transaction.xcmDetails.history.push({ status: transaction.xcmDetails.status, chain: transaction.xcmDetails.destinationChain });
+      }
     }
 
     // If txHash is provided
@@ -111,6 +146,15 @@ exports.updateXcmTransactionStatus = async (req, res, next) => {
     }
 
     await transaction.save();
+    websocketService.sendTransactionUpdate(transaction);
+
+    await auditService.record(req, {
+      action: 'xcm.transaction.update',
+      targetType: 'Transaction',
+      targetId: transaction._id,
+      before,
+      after: transaction
+    });
 
     res.status(200).json({
       status: 'success',
@@ -206,8 +250,8 @@ exports.getXcmTransaction = async (req, res, next) => {
       });
     }
 
-    // Check if transaction belongs to user or user is admin
-    if (transaction.userId.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if transaction belongs to user or user may read all transactions
+    if (String(transaction.userId) !== req.user.id && !req.user.hasPermission(PERMISSIONS.TRANSACTIONS_READ)) {
       return res.status(403).json({
         status: 'fail',
         message: 'Not authorized to access this transaction'
@@ -240,69 +284,7 @@ exports.getXcmTransaction = async (req, res, next) => {
  */
 exports.getSupportedChains = async (req, res, next) => {
   try {
-    // This would typically come from a database
-    // Hardcoded for demonstration
-    const supportedChains = [
-      {
-        id: 'polkadot',
-        name: 'Polkadot',
-        description: 'The Polkadot Relay Chain',
-        icon: 'polkadot.svg',
-        isRelay: true
-      },
-      {
-        id: 'kusama',
-        name: 'Kusama',
-        description: 'Polkadot\'s canary network',
-        icon: 'kusama.svg',
-        isRelay: true
-      },
-      {
-        id: 'acala',
-        name: 'Acala',
-        description: 'DeFi hub of Polkadot',
-        icon: 'acala.svg',
-        isRelay: false,
-        relayChain: 'polkadot',
-        parachainId: 2000
-      },
-      {
-        id: 'moonbeam',
-        name: 'Moonbeam',
-        description: 'Ethereum-compatible smart contract parachain on Polkadot',
-        icon: 'moonbeam.svg',
-        isRelay: false,
-        relayChain: 'polkadot',
-        parachainId: 2004
-      },
-      {
-        id: 'astar',
-        name: 'Astar',
-        description: 'dApp hub supporting EVM and WASM contracts on Polkadot',
-        icon: 'astar.svg',
-        isRelay: false,
-        relayChain: 'polkadot',
-        parachainId: 2006
-      },
-      {
-        id: 'karura',
-        name: 'Karura',
-        description: 'DeFi hub of Kusama',
-        icon: 'karura.svg',
-        isRelay: false,
-        relayChain: 'kusama',
-        parachainId: 2000
-      },
-      {
-        id: 'moonriver',
-        name: 'Moonriver',
-        description: 'Ethereum-compatible smart contract parachain on Kusama',
-        icon: 'moonriver.svg',
-        isRelay: false,
-        relayChain: 'kusama',
-        parachainId: 2023
-      }
-    ];
+    const supportedChains = xcmBuilder.getChains();
 
     res.status(200).json({
       status: 'success',
@@ -314,3 +296,63 @@ exports.getSupportedChains = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * @desc    Build a ready-to-sign XCM transfer or remote Transact call
+ * @route   POST /api/xcm/build
+ * @access  Public
+ */
+exports.buildXcmCall = async (req, res, next) => {
+  try {
+    const { type = 'transfer' } = req.body;
+
+    if (!['transfer', 'transact'].includes(type)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Type must be either transfer or transact'
+      });
+    }
+
+    const xcm = type === 'transact'
+      ? await xcmBuilder.buildTransact(req.body)
+      : await xcmBuilder.buildTransfer(req.body);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        xcm
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @desc    Estimate delivery and execution fees of an XCM transfer or Transact per hop
+ * @route   POST /api/xcm/estimate
+ * @access  Public
+ */
+exports.estimateXcmFees = async (req, res, next) => {
+  try {
+    const { type = 'transfer' } = req.body;
+
+    if (!['transfer', 'transact'].includes(type)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Type must be either transfer or transact'
+      });
+    }
+
+    const estimate = await xcmBuilder.estimateFees({ ...req.body, type });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        estimate
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
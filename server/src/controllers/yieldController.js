@@ -1,13 +1,21 @@
 const mongoose = require('mongoose');
 const logger = require('../config/logger');
 const yieldDataService = require('../services/YieldDataService');
+const ProtocolAdapterManager = require('../services/ProtocolAdapterManager');
 const Protocol = require('../models/Protocol');
 const YieldOpportunity = require('../models/YieldOpportunity');
 const Investment = require('../models/Investment');
 const Transaction = require('../models/Transaction');
+const Portfolio = require('../models/Portfolio');
+const Strategy = require('../models/Strategy');
+const portfolioService = require('../services/PortfolioService');
+const feeService = require('../services/FeeService');
+const priceOracleService = require('../services/PriceOracleService');
 const catchAsync = require('../utils/catchAsync');
-const AppError = require('../utils/appError');
-const authService = require('../services/authService');
+const ErrorResponse = require('../utils/errorResponse');
+const { PERMISSIONS } = require('../config/permissions');
+const auditService = require('../services/AuditService');
+const { fromRaw, fromDecimal, compare, toDecimalString } = require('../utils/amount');
 
 /**
  * Get all active protocols
@@ -73,62 +81,23 @@ exports.getProtocolsByRiskLevel = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Get all yield opportunities
+ * Search yield opportunities
+ * Filters: chain, asset, risk, strategyType (comma-separated lists), minApy, minTvl
+ * Sorting: sort=apy|tvl|name|updated, prefix with '-' for descending (default -apy)
+ * Pagination: limit and the cursor returned as nextCursor by the previous page
  */
 exports.getAllYieldOpportunities = catchAsync(async (req, res, next) => {
-  const opportunities = await yieldDataService.getAllYieldOpportunities();
-  
-  res.status(200).json({
-    status: 'success',
-    results: opportunities.length,
-    data: {
-      opportunities
-    }
-  });
-});
-
-/**
- * Get yield opportunities by chain
- */
-exports.getYieldOpportunitiesByChain = catchAsync(async (req, res, next) => {
-  const { chainId } = req.params;
-  const opportunities = await yieldDataService.getYieldOpportunitiesByChain(chainId);
-  
-  res.status(200).json({
-    status: 'success',
-    results: opportunities.length,
-    data: {
-      opportunities
-    }
-  });
-});
-
-/**
- * Get yield opportunities by asset
- */
-exports.getYieldOpportunitiesByAsset = catchAsync(async (req, res, next) => {
-  const { asset } = req.params;
-  const opportunities = await yieldDataService.getYieldOpportunitiesByAsset(asset);
-  
-  res.status(200).json({
-    status: 'success',
-    results: opportunities.length,
-    data: {
-      opportunities
-    }
-  });
-});
+  const { chain, asset, risk, strategyType, minApy, minTvl, sort, limit, cursor } = req.query;
 
-/**
- * Get yield opportunities by risk level
- */
-exports.getYieldOpportunitiesByRiskLevel = catchAsync(async (req, res, next) => {
-  const { riskLevel } = req.params;
-  const opportunities = await yieldDataService.getYieldOpportunitiesByRiskLevel(riskLevel);
+  const { opportunities, nextCursor } = await yieldDataService.searchYieldOpportunities(
+    { chain, asset, risk, strategyType, minApy, minTvl },
+    { sort, limit, cursor }
+  );
   
   res.status(200).json({
     status: 'success',
     results: opportunities.length,
+    nextCursor,
     data: {
       opportunities
     }
@@ -159,7 +128,7 @@ exports.getYieldOpportunityById = catchAsync(async (req, res, next) => {
   const opportunity = await yieldDataService.getYieldOpportunityById(id);
   
   if (!opportunity) {
-    return next(new AppError('No yield opportunity found with that ID', 404));
+    return next(new ErrorResponse('No yield opportunity found with that ID', 404));
   }
   
   res.status(200).json({
@@ -171,11 +140,18 @@ exports.getYieldOpportunityById = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Get user investments
+ * Get user investments, optionally of one portfolio (?portfolio=<id>)
  */
 exports.getUserInvestments = catchAsync(async (req, res, next) => {
   const userId = req.user.id;
-  const investments = await Investment.find({ user: userId })
+  const query = { user: userId };
+  
+  if (req.query.portfolio && req.query.portfolio !== 'all') {
+    const portfolio = await portfolioService.getPortfolio(userId, req.query.portfolio);
+    query.portfolioId = portfolio._id;
+  }
+  
+  const investments = await Investment.find(query)
     .populate({
       path: 'opportunity',
       select: 'name asset apy tvlUsd chainId',
@@ -213,7 +189,7 @@ exports.getInvestmentById = catchAsync(async (req, res, next) => {
     });
   
   if (!investment) {
-    return next(new AppError('No investment found with that ID', 404));
+    return next(new ErrorResponse('No investment found with that ID', 404));
   }
   
   // Get related transactions
@@ -233,32 +209,81 @@ exports.getInvestmentById = catchAsync(async (req, res, next) => {
  */
 exports.createInvestment = catchAsync(async (req, res, next) => {
   const userId = req.user.id;
-  const { opportunityId, walletAddress, amount, amountUsd, chainId } = req.body;
+  const { opportunityId, walletAddress, amount, amountUsd, chainId, position, portfolioId, strategyId } = req.body;
   
   // Validate opportunity
   const opportunity = await YieldOpportunity.findById(opportunityId);
   if (!opportunity) {
-    return next(new AppError('No yield opportunity found with that ID', 404));
+    return next(new ErrorResponse('No yield opportunity found with that ID', 404));
   }
   
   // Validate protocol
   const protocol = await Protocol.findById(opportunity.protocol);
   if (!protocol) {
-    return next(new AppError('Protocol not found for the opportunity', 404));
+    return next(new ErrorResponse('Protocol not found for the opportunity', 404));
+  }
+  
+  // A strategy sets the fees, so only one that offers this opportunity can be named
+  if (strategyId) {
+    const strategy = mongoose.Types.ObjectId.isValid(strategyId)
+      ? await Strategy.findOne({ _id: strategyId, isActive: true })
+      : null;
+    const matches = strategy
+      && strategy.protocol.toLowerCase() === protocol.name.toLowerCase()
+      && [opportunity.asset, opportunity.assetSymbol].includes(strategy.asset)
+      && String(strategy.chainId) === String(chainId || opportunity.chainId);
+    
+    if (!matches) {
+      return next(new ErrorResponse('The strategy does not offer this yield opportunity', 400));
+    }
+  }
+  
+  // Place it in the requested portfolio, else the one its wallet is assigned to
+  const portfolio = portfolioId
+    ? await portfolioService.getPortfolio(userId, portfolioId)
+    : await Portfolio.resolveForWallet(userId, walletAddress);
+  
+  // The amount is given in whole units of the opportunity's asset and stored in base units
+  let deposit;
+  try {
+    deposit = fromDecimal(amount, opportunity.assetSymbol, opportunity.assetDecimals);
+  } catch (error) {
+    return next(new ErrorResponse('Please provide the amount to invest', 400));
+  }
+  if (compare(deposit, fromRaw(0, opportunity.assetDecimals, opportunity.assetSymbol)) <= 0) {
+    return next(new ErrorResponse('The amount to invest must be positive', 400));
+  }
+  
+  // Without a USD amount the deposit is valued at the current price
+  let depositUsd = amountUsd === undefined || amountUsd === null ? null : Number(amountUsd);
+  if (depositUsd === null) {
+    [depositUsd] = await priceOracleService.valueAmounts([deposit]);
+  }
+  if (depositUsd === null || !Number.isFinite(depositUsd) || depositUsd < 0) {
+    return next(new ErrorResponse('Please provide the USD amount of the investment', 400));
   }
   
   // Create investment
   const investment = await Investment.create({
     user: userId,
+    portfolioId: portfolio._id,
+    strategyId,
     opportunity: opportunityId,
     protocol: opportunity.protocol,
     walletAddress,
-    amount,
-    amountUsd,
     chainId: chainId || opportunity.chainId,
-    entryApy: opportunity.apy.current,
     asset: opportunity.asset,
-    status: 'pending'
+    assetSymbol: opportunity.assetSymbol,
+    assetDecimals: opportunity.assetDecimals,
+    initialAmount: deposit.raw,
+    currentAmount: deposit.raw,
+    initialAmountUsd: depositUsd,
+    currentAmountUsd: depositUsd,
+    apyAtInvestment: opportunity.apy.current,
+    currentApy: opportunity.apy.current,
+    status: 'active',
+    // LP positions keep their token ID, range and deposit basis for impermanent loss tracking
+    metadata: position ? { position } : {}
   });
   
   // Create transaction record
@@ -269,13 +294,15 @@ exports.createInvestment = catchAsync(async (req, res, next) => {
     protocolId: opportunity.protocol,
     walletAddress,
     type: 'deposit',
-    amount,
-    amountUsd,
+    amount: deposit.raw,
+    decimals: deposit.decimals,
+    amountUsd: depositUsd,
     asset: opportunity.asset,
-    chainId: chainId || opportunity.chainId,
+    chainId: investment.chainId,
     status: 'pending',
     isPending: true,
-    apy: opportunity.apy.current
+    apy: opportunity.apy.current,
+    initiatedBy: req.apiKey ? 'api' : 'user'
   });
   
   res.status(201).json({
@@ -298,7 +325,7 @@ exports.updateInvestment = catchAsync(async (req, res, next) => {
   const investment = await Investment.findOne({ _id: id, user: userId });
   
   if (!investment) {
-    return next(new AppError('No investment found with that ID', 404));
+    return next(new ErrorResponse('No investment found with that ID', 404));
   }
   
   // Restrict fields that can be updated
@@ -344,11 +371,11 @@ exports.withdrawFromInvestment = catchAsync(async (req, res, next) => {
     .populate('protocol');
   
   if (!investment) {
-    return next(new AppError('No investment found with that ID', 404));
+    return next(new ErrorResponse('No investment found with that ID', 404));
   }
   
-  if (investment.status !== 'active') {
-    return next(new AppError('Cannot withdraw from a non-active investment', 400));
+  if (!['active', 'partially_withdrawn'].includes(investment.status)) {
+    return next(new ErrorResponse('Cannot withdraw from a non-active investment', 400));
   }
   
   let withdrawAmount = amount;
@@ -356,15 +383,31 @@ exports.withdrawFromInvestment = catchAsync(async (req, res, next) => {
   
   // If withdrawing all, use the current balance
   if (withdrawAll) {
-    withdrawAmount = investment.currentBalance;
-    withdrawAmountUsd = investment.currentBalanceUsd;
+    withdrawAmount = investment.currentAmount;
+    withdrawAmountUsd = investment.currentAmountUsd;
   } else if (!withdrawAmount) {
-    return next(new AppError('Please specify an amount to withdraw', 400));
+    return next(new ErrorResponse('Please specify an amount to withdraw', 400));
+  }
+  
+  // Validate withdraw amount (raw units of the investment's asset)
+  if (compare(investment.toAmount(withdrawAmount), investment.toAmount()) > 0) {
+    return next(new ErrorResponse('Withdraw amount exceeds available balance', 400));
   }
   
-  // Validate withdraw amount
-  if (withdrawAmount > investment.currentBalance) {
-    return next(new AppError('Withdraw amount exceeds available balance', 400));
+  // Platform fees are taken from the withdrawn amount
+  const fees = await feeService.quoteWithdrawal(investment, { amount: withdrawAmount, amountUsd: withdrawAmountUsd });
+  
+  // LP positions realize impermanent loss on the withdrawn share
+  let impermanentLoss = null;
+  if (investment.opportunity.strategyType === 'liquidity_providing') {
+    try {
+      const adapter = await ProtocolAdapterManager.getAdapter(investment.protocol._id, investment.chainId);
+      if (adapter.getImpermanentLoss) {
+        impermanentLoss = await adapter.getImpermanentLoss(investment, { amount: withdrawAll ? 'max' : withdrawAmount });
+      }
+    } catch (error) {
+      logger.warn(`Could not measure impermanent loss for investment ${investment._id}: ${error.message}`);
+    }
   }
   
   // Create transaction record for the withdrawal
@@ -375,44 +418,42 @@ exports.withdrawFromInvestment = catchAsync(async (req, res, next) => {
     protocolId: investment.protocol._id,
     walletAddress: investment.walletAddress,
     type: 'withdrawal',
-    amount: withdrawAmount,
+    amount: investment.toAmount(withdrawAmount).raw,
+    decimals: investment.assetDecimals,
     amountUsd: withdrawAmountUsd,
     asset: investment.asset,
     chainId: investment.chainId,
     status: 'pending',
     isPending: true,
-    apy: investment.currentApy
+    apy: investment.currentApy,
+    initiatedBy: req.apiKey ? 'api' : 'user',
+    metadata: impermanentLoss ? { impermanentLoss } : undefined
   });
   
-  // If withdrawing all, set investment status to 'closing'
-  let updatedInvestment = investment;
-  if (withdrawAll) {
-    updatedInvestment = await Investment.findByIdAndUpdate(id, {
-      status: 'closing',
-      lastWithdrawalAmount: withdrawAmount,
-      lastWithdrawalTimestamp: Date.now()
-    }, {
-      new: true,
-      runValidators: true
-    });
-  } else {
-    // Update the investment with withdrawal info
-    updatedInvestment = await Investment.findByIdAndUpdate(id, {
-      currentBalance: investment.currentBalance - withdrawAmount,
-      currentBalanceUsd: investment.currentBalanceUsd - withdrawAmountUsd,
-      lastWithdrawalAmount: withdrawAmount,
-      lastWithdrawalTimestamp: Date.now()
-    }, {
-      new: true,
-      runValidators: true
-    });
+  // The position shrinks with the fees charged on it; a withdrawal that fails is taken off again
+  let charged;
+  try {
+    charged = await feeService.chargeWithdrawal(investment, transaction, fees);
+  } catch (error) {
+    await transaction.updateStatus('failed', { message: error.message });
+    throw error;
   }
+  const { investment: updatedInvestment, transactions: feeTransactions } = charged;
+  
+  const describeFee = fee => fee && { amount: toDecimalString(fee.amount), amountUsd: fee.amountUsd, rate: fee.rate };
   
   res.status(200).json({
     status: 'success',
     data: {
       investment: updatedInvestment,
-      transaction
+      transaction,
+      fees: {
+        withdrawal: describeFee(fees.withdrawalFee),
+        performance: describeFee(fees.performanceFee),
+        netAmount: toDecimalString(fees.net.amount),
+        netAmountUsd: fees.net.amountUsd,
+        transactions: feeTransactions
+      }
     }
   });
 });
@@ -494,12 +535,12 @@ exports.getUserYieldStats = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Update transaction status (admin only)
+ * Update transaction status (requires transactions:update)
  */
 exports.updateTransactionStatus = catchAsync(async (req, res, next) => {
-  // Check if user is admin
-  if (!req.user.role || req.user.role !== 'admin') {
-    return next(new AppError('You do not have permission to perform this action', 403));
+  // Check the user may update transactions
+  if (!req.user.hasPermission(PERMISSIONS.TRANSACTIONS_UPDATE)) {
+    return next(new ErrorResponse('You do not have permission to perform this action', 403));
   }
   
   const { id } = req.params;
@@ -508,11 +549,14 @@ exports.updateTransactionStatus = catchAsync(async (req, res, next) => {
   const transaction = await Transaction.findById(id);
   
   if (!transaction) {
-    return next(new AppError('No transaction found with that ID', 404));
+    return next(new ErrorResponse('No transaction found with that ID', 404));
   }
   
-  // Update transaction status
+  const before = auditService.snapshot(transaction);
+
+  // Update transaction status; fees charged on it follow
   await transaction.updateStatus(status, error);
+  await feeService.settle(transaction);
   
   // Add confirmation details if provided
   if (status === 'completed' && txHash) {
@@ -540,6 +584,10 @@ exports.updateTransactionStatus = catchAsync(async (req, res, next) => {
           lastUpdateTimestamp: Date.now()
         });
       } else if (transaction.type === 'withdrawal' && status === 'completed') {
+        if (transaction.metadata && transaction.metadata.impermanentLoss) {
+          await investment.recordImpermanentLoss(transaction.metadata.impermanentLoss);
+        }
+        
         // If the investment status is 'closing', set it to 'closed'
         if (investment.status === 'closing') {
           await Investment.findByIdAndUpdate(investment._id, {
@@ -553,6 +601,14 @@ exports.updateTransactionStatus = catchAsync(async (req, res, next) => {
   
   // Get updated transaction
   const updatedTransaction = await Transaction.findById(id);
+
+  await auditService.record(req, {
+    action: 'transaction.update',
+    targetType: 'Transaction',
+    targetId: id,
+    before,
+    after: updatedTransaction
+  });
   
   res.status(200).json({
     status: 'success',
@@ -563,12 +619,12 @@ exports.updateTransactionStatus = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Sync protocol opportunities (admin only)
+ * Sync protocol opportunities (requires yield:manage)
  */
 exports.syncProtocolOpportunities = catchAsync(async (req, res, next) => {
-  // Check if user is admin
-  if (!req.user.role || req.user.role !== 'admin') {
-    return next(new AppError('You do not have permission to perform this action', 403));
+  // Check the user may manage protocol data
+  if (!req.user.hasPermission(PERMISSIONS.YIELD_MANAGE)) {
+    return next(new ErrorResponse('You do not have permission to perform this action', 403));
   }
   
   const { protocolId } = req.params;
@@ -582,12 +638,12 @@ exports.syncProtocolOpportunities = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Update all APY (admin only)
+ * Update all APY (requires yield:manage)
  */
 exports.updateAllApy = catchAsync(async (req, res, next) => {
-  // Check if user is admin
-  if (!req.user.role || req.user.role !== 'admin') {
-    return next(new AppError('You do not have permission to perform this action', 403));
+  // Check the user may manage protocol data
+  if (!req.user.hasPermission(PERMISSIONS.YIELD_MANAGE)) {
+    return next(new ErrorResponse('You do not have permission to perform this action', 403));
   }
   
   const results = await yieldDataService.updateAllApy();
@@ -599,12 +655,12 @@ exports.updateAllApy = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Update protocol APY (admin only)
+ * Update protocol APY (requires yield:manage)
  */
 exports.updateProtocolApy = catchAsync(async (req, res, next) => {
-  // Check if user is admin
-  if (!req.user.role || req.user.role !== 'admin') {
-    return next(new AppError('You do not have permission to perform this action', 403));
+  // Check the user may manage protocol data
+  if (!req.user.hasPermission(PERMISSIONS.YIELD_MANAGE)) {
+    return next(new ErrorResponse('You do not have permission to perform this action', 403));
   }
   
   const { protocolId } = req.params;
@@ -618,12 +674,12 @@ exports.updateProtocolApy = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Update all TVL (admin only)
+ * Update all TVL (requires yield:manage)
  */
 exports.updateAllTvl = catchAsync(async (req, res, next) => {
-  // Check if user is admin
-  if (!req.user.role || req.user.role !== 'admin') {
-    return next(new AppError('You do not have permission to perform this action', 403));
+  // Check the user may manage protocol data
+  if (!req.user.hasPermission(PERMISSIONS.YIELD_MANAGE)) {
+    return next(new ErrorResponse('You do not have permission to perform this action', 403));
   }
   
   const results = await yieldDataService.updateAllTvl();
@@ -638,11 +694,11 @@ exports.updateAllTvl = catchAsync(async (req, res, next) => {
  * Process auto-harvests (admin or system only)
  */
 exports.processAutoHarvests = catchAsync(async (req, res, next) => {
-  // Check if user is admin or this is a system call
+  // Check the user may manage protocol data or this is a system call
   const isSystemCall = req.headers['x-api-key'] === process.env.SYSTEM_API_KEY;
   
-  if (!isSystemCall && (!req.user.role || req.user.role !== 'admin')) {
-    return next(new AppError('You do not have permission to perform this action', 403));
+  if (!isSystemCall && !req.user.hasPermission(PERMISSIONS.YIELD_MANAGE)) {
+    return next(new ErrorResponse('You do not have permission to perform this action', 403));
   }
   
   const results = await yieldDataService.processAutoHarvests();
@@ -1,25 +1,134 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const twoFactorService = require('../services/TwoFactorService');
+const sessionService = require('../services/SessionService');
+const apiKeyService = require('../services/ApiKeyService');
 const logger = require('../config/logger');
 
+// Methods that change state and so need a CSRF token when authenticated by cookie
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Per-key request limit, on top of the per-IP limit for all of /api
+const apiKeyLimiter = rateLimit({
+  windowMs: Number(process.env.API_KEY_RATE_LIMIT_WINDOW_MS || 60 * 1000),
+  max: (req) => apiKeyService.getRateLimit(req.apiKey),
+  keyGenerator: (req) => req.apiKey.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    status: 'fail',
+    message: 'API key rate limit exceeded, please try again later'
+  }
+});
+
+/**
+ * Read the access token from the Authorization header or the session cookie
+ * @param {Object} req - Express request
+ * @returns {Object} - { token, fromCookie }
+ */
+const getAccessToken = (req) => {
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    return { token: req.headers.authorization.split(' ')[1], fromCookie: false };
+  }
+
+  return { token: sessionService.readRequest(req).accessToken, fromCookie: true };
+};
+
+/**
+ * Read an API key from the X-API-Key header or a Bearer credential
+ * @param {Object} req - Express request
+ * @param {string} bearerToken - Token from the Authorization header
+ * @returns {string|undefined} - API key
+ */
+const getApiKey = (req, bearerToken) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  return apiKeyService.isApiKey(bearerToken) ? bearerToken : undefined;
+};
+
+/**
+ * Authenticate a request made with an API key, then apply the key's rate limit
+ */
+const protectWithApiKey = async (req, res, next, key) => {
+  try {
+    const { apiKey, user } = await apiKeyService.authenticate(key, {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      ipAddress: req.ip
+    });
+
+    req.user = user;
+    req.apiKey = apiKey;
+
+    apiKeyService.recordUsage(apiKey, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      route: `${req.method} ${req.originalUrl.split('?')[0]}`
+    });
+
+    apiKeyLimiter(req, res, next);
+  } catch (err) {
+    if (!err.statusCode) {
+      return next(err);
+    }
+
+    res.status(err.statusCode).json({
+      status: 'fail',
+      message: err.message
+    });
+  }
+};
+
 /**
- * Protect routes - Verify JWT token and add user to request object
+ * Resolve the session behind a verified access token
+ * @param {Object} req - Express request
+ * @param {Object} decoded - Verified token payload
+ * @param {boolean} fromCookie - Whether the token came from the cookie
+ * @returns {Promise<Object|null>} - { statusCode, message } when the token is refused, or null when it is fine
+ */
+const checkSession = async (req, decoded, fromCookie) => {
+  // Two-factor login and step-up tokens are not sessions
+  if (decoded.purpose || !decoded.sid) {
+    return { statusCode: 401, message: 'Not authorized to access this route' };
+  }
+
+  const session = await sessionService.getActiveSession(decoded.sid, decoded.id);
+  if (!session) {
+    return { statusCode: 401, message: 'Session has expired or was revoked' };
+  }
+
+  // Cookies are sent by the browser on its own, so state changes must prove they come from our frontend
+  if (
+    fromCookie &&
+    !CSRF_SAFE_METHODS.includes(req.method) &&
+    !sessionService.verifyCsrfToken(session, sessionService.readRequest(req).csrfHeader)
+  ) {
+    return { statusCode: 403, message: 'Invalid CSRF token' };
+  }
+
+  req.sessionId = session._id.toString();
+  return null;
+};
+
+/**
+ * Protect routes - Verify JWT token (or API key) and add user to request object
  */
 exports.protect = async (req, res, next) => {
   try {
-    let token;
-
-    // Get token from Authorization header
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith('Bearer')
-    ) {
-      // Set token from Bearer token
-      token = req.headers.authorization.split(' ')[1];
-    } 
-    // Check for token in cookies
-    else if (req.cookies && req.cookies.token) {
-      token = req.cookies.token;
+    // Get token from Authorization header or session cookie
+    const { token, fromCookie } = getAccessToken(req);
+
+    // Scripts and bots authenticate with a scoped API key instead
+    const apiKey = getApiKey(req, fromCookie ? undefined : token);
+    if (apiKey) {
+      return protectWithApiKey(req, res, next, apiKey);
     }
 
     // Check if token exists
@@ -34,6 +143,15 @@ exports.protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Check the session is still active (and the CSRF token for cookie requests)
+      const refusal = await checkSession(req, decoded, fromCookie);
+      if (refusal) {
+        return res.status(refusal.statusCode).json({
+          status: 'fail',
+          message: refusal.message
+        });
+      }
+
       // Get user from database
       const user = await User.findById(decoded.id);
 
@@ -84,25 +202,38 @@ exports.authorize = (...roles) => {
   };
 };
 
+/**
+ * Require permissions - The user's role must grant every listed permission
+ * (see config/permissions.js)
+ */
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'User not authenticated'
+      });
+    }
+
+    const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        status: 'fail',
+        message: `User role '${req.user.role}' is missing the ${missing.join(', ')} permission`
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Optional authentication - Add user to request if token exists, but don't block request if no token
  */
 exports.optionalAuth = async (req, res, next) => {
   try {
-    let token;
-
-    // Get token from Authorization header
-    if (
-      req.headers.authorization &&
-      req.headers.authorization.startsWith('Bearer')
-    ) {
-      // Set token from Bearer token
-      token = req.headers.authorization.split(' ')[1];
-    } 
-    // Check for token in cookies
-    else if (req.cookies && req.cookies.token) {
-      token = req.cookies.token;
-    }
+    // Get token from Authorization header or session cookie
+    const { token, fromCookie } = getAccessToken(req);
 
     // If no token, continue without user
     if (!token) {
@@ -113,8 +244,9 @@ exports.optionalAuth = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      // Get user from database
-      const user = await User.findById(decoded.id);
+      // Get user from database if the session is usable
+      const refusal = await checkSession(req, decoded, fromCookie);
+      const user = refusal ? null : await User.findById(decoded.id);
 
       // If user exists, add to request
       if (user) {
@@ -131,3 +263,54 @@ exports.optionalAuth = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * Require step-up re-verification - Users with 2FA enabled must send a recent
+ * step-up token (X-Step-Up-Token header) obtained by re-entering a code
+ */
+exports.requireStepUp = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      status: 'fail',
+      message: 'User not authenticated'
+    });
+  }
+
+  // A script cannot enter codes, so keys need the step-up scope confirmed with a code at creation
+  if (req.apiKey) {
+    if (req.apiKey.allowsStepUp()) {
+      return next();
+    }
+
+    return res.status(403).json({
+      status: 'fail',
+      code: 'STEP_UP_REQUIRED',
+      message: `This action needs an API key with the '${ApiKey.STEP_UP_SCOPE}' scope, granted with two-factor confirmation`
+    });
+  }
+
+  if (!twoFactorService.isEnabled(req.user)) {
+    // Optionally refuse sensitive actions until 2FA is set up
+    if (process.env.STEP_UP_REQUIRE_2FA === 'true') {
+      return res.status(403).json({
+        status: 'fail',
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Enable two-factor authentication to perform this action'
+      });
+    }
+
+    return next();
+  }
+
+  const token = req.headers['x-step-up-token'];
+  if (!token || !twoFactorService.verifyStepUpToken(token, req.user.id)) {
+    return res.status(403).json({
+      status: 'fail',
+      code: 'STEP_UP_REQUIRED',
+      message: 'Please confirm this action with your two-factor code'
+    });
+  }
+
+  req.stepUpVerified = true;
+  next();
+};
@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+// Incoming IDs are reused (e.g. from a proxy) only when they look like an ID
+const REQUEST_ID_PATTERN = /^[\w.-]{8,128}$/;
+
+/**
+ * Give every request an ID (req.id), echoed in the X-Request-Id response header
+ * so logs and audit entries can be matched to a request
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
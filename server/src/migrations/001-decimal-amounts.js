@@ -0,0 +1,166 @@
+/**
+ * Store token amounts as Decimal128
+ * Transaction amounts were doubles in whole units and become raw units with their decimals,
+ * as investment amounts are; those were already raw units but stored as strings.
+ * Only values that are not Decimal128 yet are converted, so it can be run again.
+ */
+
+const BigNumber = require('bignumber.js');
+const logger = require('../config/logger');
+const { toDecimal128 } = require('../utils/amount');
+
+const BATCH_SIZE = 500;
+
+// BSON types amounts were stored as before
+const LEGACY_TYPES = ['double', 'int', 'long', 'string'];
+
+// Whole units of the network's native token and of the reward token
+const TRANSACTION_FIELDS = ['fee', 'rewardData.rewardAmount'];
+const INVESTMENT_FIELDS = ['initialAmount', 'currentAmount', 'yieldEarned', 'totalHarvested', 'autoHarvest.threshold'];
+const INVESTMENT_LISTS = ['withdrawals', 'harvests'];
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value ? value[key] : undefined), doc);
+
+const isLegacy = value => value !== undefined && value !== null && value._bsontype !== 'Decimal128';
+
+/**
+ * Decimal128 of a stored double or string; doubles are read in their shortest decimal
+ * form, so 0.1 stays 0.1 instead of 0.1000000000000000055511151231257827
+ * @private
+ */
+const toDecimal = (value, { integer, where }) => {
+  let parsed = new BigNumber(String(value).trim());
+  if (!parsed.isFinite()) {
+    logger.warn(`Left ${where} as it is: ${value} is not a number`);
+    return undefined;
+  }
+  if (integer && !parsed.isInteger()) {
+    logger.warn(`Rounded ${where} down to whole base units: ${value}`);
+    parsed = parsed.integerValue(BigNumber.ROUND_DOWN);
+  }
+  return toDecimal128(parsed);
+};
+
+/**
+ * Rewrite the documents matching a filter in batches
+ * @private
+ */
+const rewrite = async (collection, filter, toSet) => {
+  const cursor = collection.find(filter);
+  let operations = [];
+  let converted = 0;
+
+  const flush = async () => {
+    if (operations.length > 0) {
+      const result = await collection.bulkWrite(operations, { ordered: false });
+      converted += result.modifiedCount;
+      operations = [];
+    }
+  };
+
+  for await (const doc of cursor) {
+    const $set = await toSet(doc);
+    if (Object.keys($set).length > 0) {
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+    }
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return converted;
+};
+
+const migrateTransactions = async (db) => {
+  const investments = db.collection('investments');
+  const decimalsByInvestment = new Map();
+
+  const filter = {
+    $or: [
+      { amount: { $type: LEGACY_TYPES } },
+      ...TRANSACTION_FIELDS.map(path => ({ [path]: { $type: LEGACY_TYPES } }))
+    ]
+  };
+
+  return rewrite(db.collection('transactions'), filter, async (doc) => {
+    const $set = {};
+    TRANSACTION_FIELDS.forEach((path) => {
+      const value = getPath(doc, path);
+      if (isLegacy(value)) {
+        const decimal = toDecimal(value, { where: `transaction ${doc._id} ${path}` });
+        if (decimal) $set[path] = decimal;
+      }
+    });
+
+    if (!isLegacy(doc.amount)) {
+      return $set;
+    }
+
+    // The amount becomes raw units of the investment's token decimals, or failing
+    // that of as many decimals as it was recorded with
+    let decimals = doc.decimals;
+    if ((decimals === undefined || decimals === null) && doc.investmentId) {
+      const key = String(doc.investmentId);
+      if (!decimalsByInvestment.has(key)) {
+        const investment = await investments.findOne({ _id: doc.investmentId }, { projection: { assetDecimals: 1 } });
+        decimalsByInvestment.set(key, investment ? investment.assetDecimals : undefined);
+      }
+      decimals = decimalsByInvestment.get(key);
+    }
+
+    const where = `transaction ${doc._id} amount`;
+    const whole = new BigNumber(String(doc.amount).trim());
+    if (!whole.isFinite()) {
+      logger.warn(`Left ${where} as it is: ${doc.amount} is not a number`);
+      return $set;
+    }
+    if (decimals === undefined || decimals === null) {
+      decimals = whole.decimalPlaces();
+    }
+
+    $set.amount = toDecimal(whole.shiftedBy(decimals), { integer: true, where });
+    $set.decimals = decimals;
+
+    return $set;
+  });
+};
+
+const migrateInvestments = async (db) => {
+  const filter = {
+    $or: [
+      ...INVESTMENT_FIELDS.map(path => ({ [path]: { $type: LEGACY_TYPES } })),
+      ...INVESTMENT_LISTS.map(list => ({ [`${list}.amount`]: { $type: LEGACY_TYPES } }))
+    ]
+  };
+
+  return rewrite(db.collection('investments'), filter, async (doc) => {
+    const $set = {};
+    INVESTMENT_FIELDS.forEach((path) => {
+      const value = getPath(doc, path);
+      if (isLegacy(value)) {
+        const decimal = toDecimal(value, { integer: true, where: `investment ${doc._id} ${path}` });
+        if (decimal) $set[path] = decimal;
+      }
+    });
+
+    INVESTMENT_LISTS.forEach((list) => {
+      (doc[list] || []).forEach((entry, i) => {
+        if (isLegacy(entry.amount)) {
+          const decimal = toDecimal(entry.amount, { integer: true, where: `investment ${doc._id} ${list}.${i}.amount` });
+          if (decimal) $set[`${list}.${i}.amount`] = decimal;
+        }
+      });
+    });
+
+    return $set;
+  });
+};
+
+module.exports = {
+  description: 'Store transaction and investment amounts as Decimal128 base units',
+  up: async db => ({
+    transactions: await migrateTransactions(db),
+    investments: await migrateInvestments(db)
+  })
+};
@@ -0,0 +1,37 @@
+/**
+ * Run the data migrations in this folder in order: npm run migrate
+ * Migrations only touch documents that still need them, so running them again is safe
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const connectDatabase = require('../config/database');
+const logger = require('../config/logger');
+
+const run = async () => {
+  await connectDatabase();
+
+  const files = fs.readdirSync(__dirname)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .sort();
+
+  for (const file of files) {
+    const migration = require(path.join(__dirname, file));
+    logger.info(`Running migration ${file}: ${migration.description}`);
+    const result = await migration.up(mongoose.connection.db);
+    logger.info(`Migration ${file} done: ${JSON.stringify(result)}`);
+  }
+
+  await mongoose.connection.close();
+};
+
+run().catch(async (error) => {
+  logger.error(`Migration failed: ${error.message}`);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const net = require('net');
+
+// Permissions an API key can be granted
+const API_KEY_SCOPES = ['read:portfolio', 'write:rebalancing', 'write:investments', 'confirm:step-up'];
+
+// Lets the key pass step-up-guarded routes; only granted with a step-up at creation
+const STEP_UP_SCOPE = 'confirm:step-up';
+
+/**
+ * API Key Schema
+ * Named, scoped credential for scripts and bots acting on behalf of a user.
+ * Only a hash of the secret is stored; the key is shown once at creation.
+ */
+const ApiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a name for the API key'],
+    trim: true,
+    maxlength: [64, 'API key name cannot be more than 64 characters']
+  },
+  // Public identifier embedded in the key, used to look it up
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the secret part of the key
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'An API key needs at least one scope'
+    }
+  },
+  // Single addresses or CIDR ranges; empty allows any address
+  ipAllowlist: {
+    type: [String],
+    validate: {
+      validator: entries => entries.every(entry => {
+        const [address, bits] = entry.split('/');
+        const version = net.isIP(address);
+        if (!version) return false;
+        if (bits === undefined) return true;
+        const prefixLength = Number(bits);
+        return Number.isInteger(prefixLength) && prefixLength >= 0 && prefixLength <= (version === 4 ? 32 : 128);
+      }),
+      message: 'IP allowlist entries must be IP addresses or CIDR ranges'
+    }
+  },
+  // Requests allowed per rate limit window
+  rateLimit: {
+    type: Number,
+    min: [1, 'Rate limit must be at least 1 request'],
+    max: [10000, 'Rate limit cannot be more than 10000 requests']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'API keys need an expiry date']
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  lastUsedUserAgent: {
+    type: String
+  },
+  lastUsedRoute: {
+    type: String
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  // When the owner confirmed the step-up scope with a two-factor code
+  stepUpApprovedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Whether the key can still be used
+ * @returns {boolean} - True when not revoked and not expired
+ */
+ApiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Whether a client address may use this key
+ * @param {string} ipAddress - Client IP
+ * @returns {boolean} - True when the allowlist is empty or contains the address
+ */
+ApiKeySchema.methods.allowsIp = function(ipAddress) {
+  if (!this.ipAllowlist || this.ipAllowlist.length === 0) {
+    return true;
+  }
+
+  // Express reports IPv4 clients of a dual-stack server as IPv4-mapped IPv6
+  const address = String(ipAddress || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+
+  const allowlist = new net.BlockList();
+  this.ipAllowlist.forEach(entry => {
+    const [network, bits] = entry.split('/');
+    const type = net.isIP(network) === 6 ? 'ipv6' : 'ipv4';
+
+    if (bits === undefined) {
+      allowlist.addAddress(network, type);
+    } else {
+      allowlist.addSubnet(network, Number(bits), type);
+    }
+  });
+
+  return allowlist.check(address, version === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Whether the key grants a scope
+ * @param {string} scope - Scope name
+ * @returns {boolean} - True when granted
+ */
+ApiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+/**
+ * Whether the key may pass step-up-guarded routes
+ * @returns {boolean} - True when the step-up scope was granted with a step-up
+ */
+ApiKeySchema.methods.allowsStepUp = function() {
+  return this.hasScope(STEP_UP_SCOPE) && Boolean(this.stepUpApprovedAt);
+};
+
+ApiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+ApiKeySchema.statics.STEP_UP_SCOPE = STEP_UP_SCOPE;
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit Log Schema
+ * Append-only record of staff actions. Every entry stores the hash of the
+ * previous one, so editing or deleting an entry breaks the chain
+ * (see AuditService.verifyChain)
+ */
+const AuditLogSchema = new mongoose.Schema({
+  // Position in the hash chain, starting at 1
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Copied so the entry stays readable if the user is renamed or removed
+    username: String,
+    email: String,
+    role: String,
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    }
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  target: {
+    type: {
+      type: String,
+      required: [true, 'Target type is required']
+    },
+    id: String
+  },
+  // Fields that changed, as dotted paths with their old and new values
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Action details that are not field changes (recipients, notes, ...)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ipAddress: String,
+  userAgent: String,
+  requestId: String,
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  previousHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+// Indexes for the audit filters
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Entries can only be inserted
+const refuseChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return refuseChange(next);
+  }
+  next();
+});
+
+['updateOne', 'deleteOne'].forEach((operation) => {
+  AuditLogSchema.pre(operation, { document: true, query: true }, refuseChange);
+});
+
+[
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'replaceOne',
+  'deleteMany'
+].forEach((operation) => {
+  AuditLogSchema.pre(operation, refuseChange);
+});
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * Auth Challenge Schema
+ * One-time nonce handed out before a wallet signs a login message
+ */
+const AuthChallengeSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required'],
+    unique: true
+  },
+  method: {
+    type: String,
+    enum: ['siwe', 'polkadot'],
+    required: [true, 'Sign-in method is required']
+  },
+  // Set when the challenge was requested by a signed-in user linking a wallet
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Account and exact message to sign, for methods where the server writes the message
+  address: {
+    type: String
+  },
+  message: {
+    type: String
+  },
+  chainId: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop challenges once they expire
+AuthChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Atomically mark an unused, unexpired challenge as used
+ * @param {string} nonce - Challenge nonce
+ * @param {string} method - Sign-in method the challenge was issued for
+ * @returns {Promise<Object|null>} - Consumed challenge, or null if it is unknown, used or expired
+ */
+AuthChallengeSchema.statics.consume = function(nonce, method) {
+  return this.findOneAndUpdate(
+    {
+      nonce,
+      method,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthChallenge', AuthChallengeSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * Data Request Schema
+ * A user's request to export their personal data or to delete their account.
+ * Deletion requests are kept after the account is erased, detached from it,
+ * as the record that the erasure happened
+ */
+const DataRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [
+      function() { return !this.detachedUserRef; },
+      'User ID is required'
+    ]
+  },
+  // Pseudonym that replaced userId once the account was erased
+  detachedUserRef: {
+    type: String
+  },
+  type: {
+    type: String,
+    enum: ['export', 'deletion'],
+    required: [true, 'Request type is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'scheduled', 'completed', 'failed', 'cancelled', 'expired'],
+    default: 'pending'
+  },
+  // Deletion: when the cooling-off period ends and the account is erased
+  scheduledFor: {
+    type: Date
+  },
+  // Export: the generated archive
+  file: {
+    path: {
+      type: String,
+      select: false
+    },
+    name: String,
+    size: Number,
+    sha256: String
+  },
+  // Export: when the archive is removed
+  expiresAt: {
+    type: Date
+  },
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  // Counts of exported or erased records per collection
+  summary: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Indexes for the user's requests and the jobs that process them
+DataRequestSchema.index({ userId: 1, type: 1, createdAt: -1 });
+DataRequestSchema.index({ type: 1, status: 1, scheduledFor: 1 });
+DataRequestSchema.index({ type: 1, status: 1, expiresAt: 1 });
+
+/**
+ * Whether an export archive can still be downloaded
+ * @returns {boolean} - True when ready and not expired
+ */
+DataRequestSchema.methods.isDownloadable = function() {
+  return this.type === 'export' &&
+    this.status === 'completed' &&
+    (!this.expiresAt || this.expiresAt > new Date());
+};
+
+/**
+ * Find the user's scheduled account deletion, if any
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Deletion request
+ */
+DataRequestSchema.statics.findScheduledDeletion = function(userId) {
+  return this.findOne({ userId, type: 'deletion', status: 'scheduled' });
+};
+
+module.exports = mongoose.model('DataRequest', DataRequestSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const logger = require('../config/logger');
+const chainRegistry = require('../services/ChainRegistry');
+const { decimalField, isNonNegative, fromRaw, add, subtract, compare, ratio } = require('../utils/amount');
 
 /**
  * Investment Schema
@@ -10,13 +12,30 @@ const InvestmentSchema = new mongoose.Schema(
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: [true, 'User reference is required']
+      required: [
+        function() { return !this.detachedUserRef; },
+        'User reference is required'
+      ]
+    },
+    // Set when the user erased their account; the record is retained without them
+    detachedUserRef: {
+      type: String
+    },
+    // Unset on investments made before portfolios existed; they belong to the default portfolio
+    portfolioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Portfolio'
     },
     opportunity: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'YieldOpportunity',
       required: [true, 'Yield opportunity reference is required']
     },
+    // Strategy the investment was made through; its fees apply instead of the platform defaults
+    strategyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Strategy'
+    },
     protocol: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Protocol',
@@ -28,7 +47,12 @@ const InvestmentSchema = new mongoose.Schema(
     },
     chainId: {
       type: String,
-      required: [true, 'Chain ID is required']
+      required: [true, 'Chain ID is required'],
+      set: chainId => chainRegistry.resolveId(chainId) || chainId,
+      validate: {
+        validator: chainId => chainRegistry.has(chainId),
+        message: props => `Unknown chain ID: ${props.value}`
+      }
     },
     asset: {
       type: String,
@@ -42,18 +66,19 @@ const InvestmentSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Asset symbol is required']
     },
-    initialAmount: {
-      type: String, // BigNumber as string to preserve precision
-      required: [true, 'Initial investment amount is required']
-    },
+    // Token amounts are raw integer units of the asset (see assetDecimals)
+    initialAmount: decimalField({
+      required: [true, 'Initial investment amount is required'],
+      validate: [isNonNegative, 'Initial investment amount must be positive']
+    }),
     initialAmountUsd: {
       type: Number,
       required: [true, 'Initial investment amount in USD is required']
     },
-    currentAmount: {
-      type: String, // BigNumber as string to preserve precision
-      required: [true, 'Current investment amount is required']
-    },
+    currentAmount: decimalField({
+      required: [true, 'Current investment amount is required'],
+      validate: [isNonNegative, 'Current investment amount must be positive']
+    }),
     currentAmountUsd: {
       type: Number,
       required: [true, 'Current investment amount in USD is required']
@@ -70,10 +95,9 @@ const InvestmentSchema = new mongoose.Schema(
       type: Number, // Can be negative for loss
       default: 0
     },
-    yieldEarned: {
-      type: String, // BigNumber as string
+    yieldEarned: decimalField({
       default: '0'
-    },
+    }),
     yieldEarnedUsd: {
       type: Number,
       default: 0
@@ -95,10 +119,9 @@ const InvestmentSchema = new mongoose.Schema(
       type: Date,
       default: null
     },
-    totalHarvested: {
-      type: String, // BigNumber as string
+    totalHarvested: decimalField({
       default: '0'
-    },
+    }),
     totalHarvestedUsd: {
       type: Number,
       default: 0
@@ -111,7 +134,7 @@ const InvestmentSchema = new mongoose.Schema(
     ],
     withdrawals: [
       {
-        amount: String, // BigNumber as string
+        amount: decimalField(),
         amountUsd: Number,
         timestamp: {
           type: Date,
@@ -121,12 +144,16 @@ const InvestmentSchema = new mongoose.Schema(
         transactionId: {
           type: mongoose.Schema.Types.ObjectId,
           ref: 'Transaction'
-        }
+        },
+        impermanentLossUsd: Number, // Negative for a loss, LP positions only
+        hodlValueUsd: Number // Value of holding the withdrawn share's deposited tokens
       }
     ],
     harvests: [
       {
-        amount: String, // BigNumber as string
+        amount: decimalField(), // Raw units of the reward token
+        asset: String, // Reward token; unset when it is the investment's asset
+        decimals: Number,
         amountUsd: Number,
         timestamp: {
           type: Date,
@@ -148,10 +175,9 @@ const InvestmentSchema = new mongoose.Schema(
         type: Number, // In hours
         default: 24
       },
-      threshold: {
-        type: String, // Minimum amount to harvest (BigNumber as string)
+      threshold: decimalField({ // Minimum amount to harvest
         default: '0'
-      },
+      }),
       lastAttempt: {
         type: Date,
         default: null
@@ -171,10 +197,64 @@ const InvestmentSchema = new mongoose.Schema(
         default: null
       }
     },
+    // Platform fees; performance fees are only charged on realized profit above the high-water mark
+    fees: {
+      realizedProfitUsd: {
+        type: Number, // Harvests plus gains on withdrawals, less losses on withdrawals
+        default: 0
+      },
+      highWaterMarkUsd: {
+        type: Number, // Realized profit performance fees have been charged up to
+        default: 0
+      },
+      costBasisUsd: {
+        type: Number, // Deposit value still invested; unset until the first withdrawal
+        default: null
+      },
+      performanceFeesUsd: {
+        type: Number,
+        default: 0
+      },
+      withdrawalFeesUsd: {
+        type: Number,
+        default: 0
+      }
+    },
+    impermanentLoss: {
+      realizedUsd: {
+        type: Number, // Negative for a loss
+        default: 0
+      },
+      realizedBasisUsd: {
+        type: Number, // Value of holding the deposited tokens of withdrawn shares
+        default: 0
+      },
+      unrealizedUsd: {
+        type: Number,
+        default: 0
+      },
+      unrealizedPercentage: {
+        type: Number,
+        default: 0
+      },
+      lastUpdated: {
+        type: Date,
+        default: null
+      }
+    },
     metadata: {
       type: mongoose.Schema.Types.Mixed,
       default: {}
     },
+    // Last change of currentAmount; lastUpdated also moves on harvests, IL updates and other saves
+    amountUpdatedAt: {
+      type: Date
+    },
+    // Last comparison with the on-chain balance
+    reconciledAt: {
+      type: Date,
+      default: null
+    },
     lastUpdated: {
       type: Date,
       default: Date.now
@@ -182,13 +262,15 @@ const InvestmentSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
-    toObject: { virtuals: true }
+    // Getters send amounts as decimal strings rather than Decimal128 objects
+    toJSON: { virtuals: true, getters: true },
+    toObject: { virtuals: true, getters: true }
   }
 );
 
 // Compound indexes for better query performance
 InvestmentSchema.index({ user: 1, status: 1 });
+InvestmentSchema.index({ user: 1, portfolioId: 1, status: 1 });
 InvestmentSchema.index({ opportunity: 1, status: 1 });
 InvestmentSchema.index({ protocol: 1, status: 1 });
 InvestmentSchema.index({ chainId: 1, status: 1 });
@@ -199,25 +281,31 @@ InvestmentSchema.pre('save', function(next) {
   next();
 });
 
+// Method to get an amount of the investment's asset (the current amount by default) with its decimals
+InvestmentSchema.methods.toAmount = function(raw = this.currentAmount) {
+  return fromRaw(raw, this.assetDecimals, this.assetSymbol);
+};
+
 // Method to update current amount and profit/loss
 InvestmentSchema.methods.updateCurrentAmount = async function(amount, amountUsd, apy) {
   try {
     this.currentAmount = amount;
     this.currentAmountUsd = amountUsd;
     this.currentApy = apy || this.currentApy;
+    this.amountUpdatedAt = Date.now();
     
     // Calculate profit/loss
     this.profitLoss = this.currentAmountUsd - this.initialAmountUsd;
     
     // Calculate yield earned (current - initial)
-    const initialBN = BigInt(this.initialAmount);
-    const currentBN = BigInt(amount);
+    const initial = this.toAmount(this.initialAmount);
+    const current = this.toAmount(amount);
     
-    if (currentBN > initialBN) {
-      this.yieldEarned = (currentBN - initialBN).toString();
-      // Update USD value of yield earned based on current price ratio
-      const priceRatio = amountUsd / parseFloat(amount);
-      this.yieldEarnedUsd = parseFloat(this.yieldEarned) * priceRatio;
+    if (compare(current, initial) > 0) {
+      const yieldEarned = subtract(current, initial);
+      this.yieldEarned = yieldEarned.raw;
+      // USD value of the yield at the price of the current amount
+      this.yieldEarnedUsd = amountUsd * ratio(yieldEarned, current);
     }
     
     this.lastUpdated = Date.now();
@@ -233,10 +321,16 @@ InvestmentSchema.methods.recordWithdrawal = async function(withdrawalData) {
   try {
     this.withdrawals.push(withdrawalData);
     
-    const withdrawalAmountBN = BigInt(withdrawalData.amount);
-    const currentAmountBN = BigInt(this.currentAmount);
+    if (withdrawalData.impermanentLossUsd !== undefined) {
+      this.impermanentLoss.realizedUsd += withdrawalData.impermanentLossUsd;
+      this.impermanentLoss.realizedBasisUsd += withdrawalData.hodlValueUsd || 0;
+      this.impermanentLoss.lastUpdated = Date.now();
+    }
+    
+    const withdrawal = this.toAmount(withdrawalData.amount);
+    const current = this.toAmount();
     
-    if (withdrawalAmountBN >= currentAmountBN) {
+    if (compare(withdrawal, current) >= 0) {
       // Full withdrawal
       this.status = 'withdrawn';
       this.currentAmount = '0';
@@ -245,10 +339,10 @@ InvestmentSchema.methods.recordWithdrawal = async function(withdrawalData) {
     } else {
       // Partial withdrawal
       this.status = 'partially_withdrawn';
-      this.currentAmount = (currentAmountBN - withdrawalAmountBN).toString();
-      // Update USD value based on current price ratio
-      const priceRatio = this.currentAmountUsd / parseFloat(this.currentAmount);
-      this.currentAmountUsd = parseFloat(this.currentAmount) * priceRatio;
+      const remaining = subtract(current, withdrawal);
+      this.currentAmount = remaining.raw;
+      // The remaining share keeps the USD value per unit
+      this.currentAmountUsd *= ratio(remaining, current);
     }
     
     this.lastUpdated = Date.now();
@@ -265,10 +359,10 @@ InvestmentSchema.methods.recordHarvest = async function(harvestData) {
     this.harvests.push(harvestData);
     this.lastHarvestDate = harvestData.timestamp || Date.now();
     
-    // Update total harvested
-    const harvestAmountBN = BigInt(harvestData.amount);
-    const totalHarvestedBN = BigInt(this.totalHarvested);
-    this.totalHarvested = (totalHarvestedBN + harvestAmountBN).toString();
+    // Update total harvested; rewards in other tokens only count in USD
+    if (!harvestData.asset || harvestData.asset === this.assetSymbol) {
+      this.totalHarvested = add(this.toAmount(this.totalHarvested), this.toAmount(harvestData.amount)).raw;
+    }
     this.totalHarvestedUsd += harvestData.amountUsd;
     
     this.lastUpdated = Date.now();
@@ -279,6 +373,43 @@ InvestmentSchema.methods.recordHarvest = async function(harvestData) {
   }
 };
 
+// Method to record impermanent loss realized by withdrawing from an LP position
+InvestmentSchema.methods.recordImpermanentLoss = async function(impermanentLoss) {
+  try {
+    this.impermanentLoss.realizedUsd += impermanentLoss.impermanentLossUsd;
+    this.impermanentLoss.realizedBasisUsd += impermanentLoss.hodlValueUsd;
+    this.impermanentLoss.lastUpdated = Date.now();
+    
+    // What is left of the deposit basis stays with the position
+    if (impermanentLoss.remainingDeposit && this.metadata && this.metadata.position) {
+      this.metadata.position.amount0 = impermanentLoss.remainingDeposit.amount0;
+      this.metadata.position.amount1 = impermanentLoss.remainingDeposit.amount1;
+      this.markModified('metadata');
+    }
+    
+    this.lastUpdated = Date.now();
+    return await this.save();
+  } catch (error) {
+    logger.error(`Error recording investment impermanent loss: ${error.message}`);
+    throw error;
+  }
+};
+
+// Method to update the impermanent loss of the position still held
+InvestmentSchema.methods.updateUnrealizedImpermanentLoss = async function(impermanentLoss) {
+  try {
+    this.impermanentLoss.unrealizedUsd = impermanentLoss ? impermanentLoss.impermanentLossUsd : 0;
+    this.impermanentLoss.unrealizedPercentage = impermanentLoss ? impermanentLoss.percentage : 0;
+    this.impermanentLoss.lastUpdated = Date.now();
+    
+    this.lastUpdated = Date.now();
+    return await this.save();
+  } catch (error) {
+    logger.error(`Error updating investment impermanent loss: ${error.message}`);
+    throw error;
+  }
+};
+
 // Static method to find user investments
 InvestmentSchema.statics.findByUser = async function(userId, status = 'active') {
   try {
@@ -371,6 +502,65 @@ InvestmentSchema.statics.calculateTotalInvestments = async function(userId) {
   }
 };
 
+// Static method to calculate impermanent loss observed on an opportunity
+InvestmentSchema.statics.getObservedImpermanentLoss = async function(opportunityId) {
+  try {
+    const aggregateResult = await this.aggregate([
+      {
+        $match: {
+          opportunity: new mongoose.Types.ObjectId(opportunityId),
+          'impermanentLoss.lastUpdated': { $ne: null }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          realizedUsd: { $sum: '$impermanentLoss.realizedUsd' },
+          realizedBasisUsd: { $sum: '$impermanentLoss.realizedBasisUsd' },
+          unrealizedUsd: {
+            $sum: { $cond: [{ $eq: ['$status', 'active'] }, '$impermanentLoss.unrealizedUsd', 0] }
+          },
+          // Holding value of open positions: position value minus its impermanent loss
+          unrealizedBasisUsd: {
+            $sum: {
+              $cond: [
+                { $eq: ['$status', 'active'] },
+                { $subtract: ['$currentAmountUsd', '$impermanentLoss.unrealizedUsd'] },
+                0
+              ]
+            }
+          },
+          investments: { $sum: 1 }
+        }
+      }
+    ]);
+
+    if (aggregateResult.length === 0) {
+      return {
+        realizedUsd: 0,
+        unrealizedUsd: 0,
+        basisUsd: 0,
+        percentage: null,
+        investments: 0
+      };
+    }
+
+    const result = aggregateResult[0];
+    const basisUsd = result.realizedBasisUsd + result.unrealizedBasisUsd;
+
+    return {
+      realizedUsd: result.realizedUsd,
+      unrealizedUsd: result.unrealizedUsd,
+      basisUsd,
+      percentage: basisUsd > 0 ? ((result.realizedUsd + result.unrealizedUsd) / basisUsd) * 100 : null,
+      investments: result.investments
+    };
+  } catch (error) {
+    logger.error(`Error calculating observed impermanent loss: ${error.message}`);
+    throw error;
+  }
+};
+
 // Static method to find investments eligible for harvest
 InvestmentSchema.statics.findEligibleForHarvest = async function() {
   try {
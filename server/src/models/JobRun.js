@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Run Schema
+ * Records each execution of a background job
+ */
+const JobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: [true, 'Job name is required']
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  instance: {
+    type: String
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  // Scalar counters from the job result (processed, updated, errors, ...)
+  summary: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    message: String,
+    stack: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing recent runs of a job
+JobRunSchema.index({ job: 1, startedAt: -1 });
+
+/**
+ * Mark the run as finished
+ * @param {string} status - Final status ('completed' or 'failed')
+ * @param {Object} details - Summary or error details
+ * @returns {Promise<Object>} - Updated run
+ */
+JobRunSchema.methods.finish = async function(status, details = {}) {
+  this.status = status;
+  this.finishedAt = Date.now();
+  this.durationMs = this.finishedAt - this.startedAt.getTime();
+
+  if (details.summary) {
+    this.summary = details.summary;
+  }
+
+  if (details.error) {
+    this.error = {
+      message: details.error.message,
+      stack: details.error.stack
+    };
+  }
+
+  await this.save();
+  return this;
+};
+
+/**
+ * Find the most recent runs of a job
+ * @param {string} job - Job name
+ * @param {number} limit - Maximum number of runs
+ * @returns {Promise<Array>} - Job runs
+ */
+JobRunSchema.statics.findRecent = function(job, limit = 20) {
+  return this.find({ job })
+    .sort({ startedAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('JobRun', JobRunSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const chainRegistry = require('../services/ChainRegistry');
 
 const MetaMaskConnectionSchema = new mongoose.Schema({
   walletAddress: {
@@ -22,12 +23,21 @@ const MetaMaskConnectionSchema = new mongoose.Schema({
   },
   chainId: {
     type: String,
-    default: '1' // Ethereum mainnet by default
+    default: '1', // Ethereum mainnet by default
+    set: chainId => chainRegistry.resolveId(chainId) || chainId,
+    validate: {
+      validator: chainId => chainRegistry.has(chainId),
+      message: props => `Unknown chain ID: ${props.value}`
+    }
   },
   label: {
     type: String,
     default: 'My Wallet'
   },
+  // Set once ownership is proven with a SIWE signature; only verified wallets can sign in
+  verifiedAt: {
+    type: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { toDecimalString } = require('../utils/amount');
 
 /**
  * Notification schema
@@ -115,7 +116,7 @@ NotificationSchema.statics.createTransactionNotification = async function({
     data: {
       transactionType: transaction.type,
       status: transaction.status,
-      amount: transaction.amount,
+      amount: toDecimalString(transaction.toAmount()),
       asset: transaction.asset
     }
   });
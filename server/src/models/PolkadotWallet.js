@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { base58Decode, checkAddressChecksum, decodeAddress, encodeAddress } = require('@polkadot/util-crypto');
+const { u8aToHex } = require('@polkadot/util');
+const chainRegistry = require('../services/ChainRegistry');
+
+// Generic Substrate prefix, used when a chain does not define its own
+const GENERIC_SS58_FORMAT = 42;
+
+/**
+ * Polkadot Wallet Schema
+ * A Substrate account linked to a user.
+ *
+ * The same key has a different SS58 address on every network, so accounts
+ * are identified by their public key; the address and SS58 prefix they were
+ * linked with are kept for display.
+ */
+const PolkadotWalletSchema = new mongoose.Schema({
+  publicKey: {
+    type: String,
+    required: [true, 'Public key is required'],
+    unique: true,
+    lowercase: true,
+    match: [/^0x[0-9a-f]{64}$/, 'Public key must be 32 bytes of hex']
+  },
+  address: {
+    type: String,
+    required: [true, 'Address is required'],
+    trim: true
+  },
+  ss58Format: {
+    type: Number,
+    default: 0
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  chainId: {
+    type: String,
+    default: 'polkadot',
+    set: chainId => chainRegistry.resolveId(chainId) || chainId,
+    validate: {
+      validator: chainId => chainRegistry.has(chainId),
+      message: props => `Unknown chain ID: ${props.value}`
+    }
+  },
+  keyType: {
+    type: String,
+    enum: ['sr25519', 'ed25519']
+  },
+  label: {
+    type: String,
+    default: 'My Polkadot Account'
+  },
+  // Account name from the browser extension
+  name: {
+    type: String
+  },
+  connectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsed: {
+    type: Date,
+    default: Date.now
+  },
+  verifiedAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+PolkadotWalletSchema.index({ userId: 1, isActive: 1 });
+
+// Address of the account on each registered Substrate network
+// (Ethereum-style chains such as Moonbeam use 20-byte accounts instead)
+PolkadotWalletSchema.virtual('addresses').get(function() {
+  if (!this.publicKey) {
+    return {};
+  }
+
+  return chainRegistry.list({ type: 'substrate' })
+    .filter(chain => !chain.xcm || chain.xcm.accountType !== 'AccountKey20')
+    .reduce((addresses, chain) => {
+      addresses[chain.id] = this.encodeAddress(chain.ss58Format);
+      return addresses;
+    }, {});
+});
+
+/**
+ * Encode the account for a network
+ * @param {number} ss58Format - SS58 prefix (generic Substrate when omitted)
+ * @returns {string} - SS58 address
+ */
+PolkadotWalletSchema.methods.encodeAddress = function(ss58Format) {
+  const format = ss58Format === undefined || ss58Format === null ? GENERIC_SS58_FORMAT : ss58Format;
+  return encodeAddress(this.publicKey, format);
+};
+
+// Update last used timestamp
+PolkadotWalletSchema.methods.updateLastUsed = async function() {
+  this.lastUsed = Date.now();
+  await this.save();
+  return this;
+};
+
+/**
+ * Decode an SS58 address (or hex public key) on any network
+ * @param {string} address - SS58 address or 0x public key
+ * @returns {Object|null} - { publicKey, ss58Format }, or null when it is not a valid account
+ */
+PolkadotWalletSchema.statics.decode = function(address) {
+  if (typeof address !== 'string' || !address.trim()) {
+    return null;
+  }
+
+  try {
+    const publicKey = decodeAddress(address.trim());
+    if (publicKey.length !== 32) {
+      return null;
+    }
+
+    // Recover the prefix the address was encoded with
+    const ss58Format = address.startsWith('0x')
+      ? null
+      : checkAddressChecksum(base58Decode(address.trim()))[3];
+
+    return { publicKey: u8aToHex(publicKey), ss58Format };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Find the wallet for an address encoded for any network
+ * @param {string} address - SS58 address or 0x public key
+ * @param {Object} filter - Additional filter
+ * @returns {Promise<Object|null>} - Wallet
+ */
+PolkadotWalletSchema.statics.findByAddress = function(address, filter = {}) {
+  const decoded = this.decode(address);
+  if (!decoded) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({ ...filter, publicKey: decoded.publicKey });
+};
+
+module.exports = mongoose.model('PolkadotWallet', PolkadotWalletSchema);
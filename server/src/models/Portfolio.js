@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+/**
+ * Portfolio Schema
+ * A named bucket of a user's investments and wallets with its own risk
+ * preference, base currency and rebalancing strategy. Every user has one
+ * default portfolio, which holds anything not assigned elsewhere
+ */
+const PortfolioSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Portfolio name is required'],
+    trim: true,
+    maxlength: [60, 'Portfolio name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  riskPreference: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  baseCurrency: {
+    type: String,
+    enum: ['USD', 'EUR', 'GBP', 'JPY'],
+    default: 'USD'
+  },
+  // Wallets whose new investments land in this portfolio
+  wallets: [{
+    _id: false,
+    chainType: {
+      type: String,
+      enum: ['evm', 'substrate'],
+      required: [true, 'Wallet chain type is required']
+    },
+    address: {
+      type: String,
+      required: [true, 'Wallet address is required'],
+      trim: true
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// The strategy that rebalances this portfolio; the link is kept on the strategy
+PortfolioSchema.virtual('rebalancingStrategy', {
+  ref: 'RebalancingStrategy',
+  localField: '_id',
+  foreignField: 'portfolioId',
+  justOne: true
+});
+
+// Names are unique per user and each user has at most one default
+PortfolioSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+PortfolioSchema.index({ user: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+PortfolioSchema.index({ user: 1, 'wallets.address': 1 });
+
+/**
+ * Normalize a wallet address for comparison; EVM addresses are case-insensitive
+ * @param {string} address - Wallet address
+ * @returns {string} - Normalized address
+ */
+const normalizeAddress = (address) => {
+  const trimmed = String(address || '').trim();
+  return /^0x[0-9a-fA-F]{40}$/.test(trimmed) ? trimmed.toLowerCase() : trimmed;
+};
+
+PortfolioSchema.pre('validate', function(next) {
+  this.wallets.forEach(wallet => {
+    wallet.address = normalizeAddress(wallet.address);
+  });
+  next();
+});
+
+/**
+ * Whether a wallet belongs to this portfolio
+ * @param {string} address - Wallet address
+ * @returns {boolean} - True when the wallet is assigned here
+ */
+PortfolioSchema.methods.hasWallet = function(address) {
+  const normalized = normalizeAddress(address);
+  return this.wallets.some(wallet => wallet.address === normalized);
+};
+
+/**
+ * Get the user's default portfolio, creating it on first use. Investments
+ * made before the user had portfolios are moved into it when it is created
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Default portfolio
+ */
+PortfolioSchema.statics.getOrCreateDefault = async function(userId) {
+  const existing = await this.findOne({ user: userId, isDefault: true });
+  if (existing) {
+    return existing;
+  }
+
+  const User = mongoose.model('User');
+  const user = await User.findById(userId).select('preferences');
+  const preferences = (user && user.preferences) || {};
+
+  try {
+    const portfolio = await this.create({
+      user: userId,
+      name: 'Main',
+      isDefault: true,
+      riskPreference: preferences.riskLevel || 'medium',
+      baseCurrency: preferences.currency || 'USD'
+    });
+
+    await mongoose.model('Investment').updateMany(
+      { user: userId, portfolioId: null },
+      { $set: { portfolioId: portfolio._id } }
+    );
+
+    return portfolio;
+  } catch (error) {
+    // Created concurrently by another request
+    if (error.code === 11000) {
+      return this.findOne({ user: userId, isDefault: true });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Find the portfolio a new investment from a wallet belongs to: the portfolio
+ * the wallet is assigned to, otherwise the default
+ * @param {string} userId - User ID
+ * @param {string} walletAddress - Investing wallet
+ * @returns {Promise<Object>} - Portfolio
+ */
+PortfolioSchema.statics.resolveForWallet = async function(userId, walletAddress) {
+  if (walletAddress) {
+    const portfolio = await this.findOne({ user: userId, 'wallets.address': normalizeAddress(walletAddress) });
+    if (portfolio) {
+      return portfolio;
+    }
+  }
+
+  return this.getOrCreateDefault(userId);
+};
+
+PortfolioSchema.statics.normalizeAddress = normalizeAddress;
+
+module.exports = mongoose.model('Portfolio', PortfolioSchema);
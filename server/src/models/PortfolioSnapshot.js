@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const breakdownEntry = {
+  _id: false,
+  id: String,
+  valueUsd: Number
+};
+
+/**
+ * Portfolio Snapshot Schema
+ * A user's holdings at the start of a day or hour. Contributions and yield
+ * are running totals, so the money that flowed in or out between two
+ * snapshots is the difference of their contributions
+ */
+const PortfolioSnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  granularity: {
+    type: String,
+    enum: ['daily', 'hourly'],
+    required: [true, 'Granularity is required']
+  },
+  takenAt: {
+    type: Date,
+    required: [true, 'Snapshot time is required']
+  },
+  // All portfolios combined
+  valueUsd: {
+    type: Number,
+    default: 0
+  },
+  // Deposits minus withdrawals and harvests, since the first investment
+  netContributionsUsd: {
+    type: Number,
+    default: 0
+  },
+  // Yield accrued in positions plus yield harvested, since the first investment
+  yieldEarnedUsd: {
+    type: Number,
+    default: 0
+  },
+  portfolios: [{
+    _id: false,
+    portfolioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Portfolio'
+    },
+    valueUsd: Number,
+    netContributionsUsd: Number,
+    yieldEarnedUsd: Number
+  }],
+  // Open positions
+  investments: [{
+    _id: false,
+    investmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Investment'
+    },
+    portfolioId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Portfolio'
+    },
+    assetSymbol: String,
+    protocolId: String,
+    chainId: String,
+    valueUsd: Number
+  }],
+  byAsset: [breakdownEntry],
+  byProtocol: [breakdownEntry],
+  byChain: [breakdownEntry]
+}, {
+  timestamps: true
+});
+
+// One snapshot per user and period; taking it again replaces it
+PortfolioSnapshotSchema.index({ user: 1, granularity: 1, takenAt: 1 }, { unique: true });
+PortfolioSnapshotSchema.index({ granularity: 1, takenAt: 1 });
+
+/**
+ * Start of the period a time falls in
+ * @param {Date} date - Time
+ * @param {string} granularity - 'daily' or 'hourly'
+ * @returns {Date} - Start of the UTC day or hour
+ */
+PortfolioSnapshotSchema.statics.periodStart = function(date, granularity) {
+  const start = new Date(date);
+  start.setUTCMinutes(0, 0, 0);
+  if (granularity === 'daily') {
+    start.setUTCHours(0);
+  }
+  return start;
+};
+
+module.exports = mongoose.model('PortfolioSnapshot', PortfolioSnapshotSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// History older than this is removed by MongoDB
+const RETENTION_DAYS = parseInt(process.env.PRICE_HISTORY_RETENTION_DAYS, 10) || 730;
+
+/**
+ * Price History Schema
+ * An aggregated USD price of an asset with the quotes it was taken from
+ */
+const PriceHistorySchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: [true, 'Asset symbol is required'],
+    uppercase: true,
+    trim: true
+  },
+  priceUsd: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price must be positive']
+  },
+  // Every quote considered, with why it was left out of the median if it was
+  sources: [
+    {
+      _id: false,
+      name: String,
+      price: Number,
+      updatedAt: Date,
+      status: {
+        type: String,
+        enum: ['used', 'stale', 'outlier']
+      }
+    }
+  ],
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+PriceHistorySchema.index({ symbol: 1, recordedAt: -1 });
+PriceHistorySchema.index({ recordedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PriceHistory', PriceHistorySchema);
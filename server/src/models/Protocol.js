@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const logger = require('../config/logger');
+const chainRegistry = require('../services/ChainRegistry');
 
 /**
  * Protocol Schema
@@ -39,12 +40,19 @@ const ProtocolSchema = new mongoose.Schema(
     chainIds: {
       type: [String],
       required: [true, 'At least one chain ID is required'],
-      validate: {
-        validator: function(chainIds) {
-          return chainIds.length > 0;
+      set: chainIds => (chainIds || []).map(chainId => chainRegistry.resolveId(chainId) || chainId),
+      validate: [
+        {
+          validator: function(chainIds) {
+            return chainIds.length > 0;
+          },
+          message: 'At least one chain ID must be specified'
         },
-        message: 'At least one chain ID must be specified'
-      }
+        {
+          validator: chainIds => chainIds.every(chainId => chainRegistry.has(chainId)),
+          message: props => `Unknown chain IDs: ${props.value.filter(chainId => !chainRegistry.has(chainId)).join(', ')}`
+        }
+      ]
     },
     tvlUsd: {
       type: Number,
@@ -8,7 +8,14 @@ const RebalancingOperationSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User ID is required']
+    required: [
+      function() { return !this.detachedUserRef; },
+      'User ID is required'
+    ]
+  },
+  // Set when the user erased their account; the record is retained without them
+  detachedUserRef: {
+    type: String
   },
   strategy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -53,9 +60,12 @@ const RebalancingOperationSchema = new mongoose.Schema({
       type: String,
       enum: ['asset', 'protocol', 'chain']
     },
-    id: String,
+    id: String, // '*' for limits that apply to every asset, protocol or chain
     name: String,
     percentage: Number,
+    targetPercentage: Number,
+    minPercentage: Number,
+    maxPercentage: Number,
     amountUsd: Number
   }],
   // Actual allocation achieved after rebalancing
@@ -71,6 +81,9 @@ const RebalancingOperationSchema = new mongoose.Schema({
   }],
   // Transactions needed for the rebalance
   transactions: [{
+    // Planner step identifier and the steps that must complete first
+    stepId: String,
+    dependsOn: [String],
     type: {
       type: String,
       enum: ['deposit', 'withdrawal', 'swap', 'transfer', 'lend', 'borrow', 'repay']
@@ -116,8 +129,50 @@ const RebalancingOperationSchema = new mongoose.Schema({
     slippage: {
       expected: Number,
       actual: Number
+    },
+    priceEstimated: Boolean,
+    estimatedCost: {
+      gasUsd: Number,
+      slippageUsd: Number,
+      bridgeFeeUsd: Number,
+      withdrawalFeeUsd: Number,
+      depositFeeUsd: Number,
+      totalUsd: Number
     }
   }],
+  // Planner output: selected plan, its cost and the rejected alternatives
+  plan: {
+    selected: String,
+    description: String,
+    objective: String,
+    feasible: Boolean,
+    coverage: Number,
+    movedUsd: Number,
+    requestedUsd: Number,
+    estimatedCost: {
+      gasUsd: Number,
+      slippageUsd: Number,
+      bridgeFeeUsd: Number,
+      withdrawalFeeUsd: Number,
+      depositFeeUsd: Number,
+      totalUsd: Number
+    },
+    expectedYieldGainUsd: Number,
+    score: Number,
+    routing: String,
+    alternatives: [{
+      name: String,
+      description: String,
+      transactionCount: Number,
+      movedUsd: Number,
+      coverage: Number,
+      estimatedCost: mongoose.Schema.Types.Mixed,
+      expectedYieldGainUsd: Number,
+      score: Number,
+      reason: String
+    }],
+    warnings: [String]
+  },
   // Simulation results if performed
   simulation: {
     performed: {
@@ -130,10 +185,59 @@ const RebalancingOperationSchema = new mongoose.Schema({
     },
     expectedGasCost: Number,
     expectedGasCostUsd: Number,
-    expectedSlippage: Number,
+    expectedSlippage: Number, // Fraction, e.g. 0.005 for 0.5%
     estimatedDuration: Number, // in seconds
+    // Some steps were skipped or only had their gas estimated, so the plan needs approval
+    incomplete: {
+      type: Boolean,
+      default: false
+    },
     warnings: [String],
     errors: [String],
+    // Backend that ran the simulation ('fork' or 'local') and fork block per chain
+    backend: String,
+    blockNumbers: mongoose.Schema.Types.Mixed,
+    simulatedAt: Date,
+    // Per-transaction results, in plan order
+    steps: [{
+      index: Number,
+      type: {
+        type: String
+      },
+      status: {
+        type: String,
+        enum: ['success', 'estimated', 'reverted', 'skipped']
+      },
+      holder: String,
+      gasUsed: String,
+      gasPrice: String,
+      gasCostNative: Number,
+      gasCostUsd: Number,
+      balanceDeltas: [{
+        chainId: String,
+        token: String,
+        symbol: String,
+        before: String,
+        after: String,
+        delta: String
+      }],
+      calls: [{
+        kind: String,
+        description: String,
+        to: String,
+        status: String,
+        gasUsed: String,
+        txHash: String,
+        revertReason: String
+      }],
+      slippage: {
+        expected: Number, // Fraction of the expected amount
+        measured: Boolean,
+        exceedsLimit: Boolean
+      },
+      revertReason: String,
+      warnings: [String]
+    }],
     details: mongoose.Schema.Types.Mixed
   },
   // Performance metrics
@@ -142,7 +246,7 @@ const RebalancingOperationSchema = new mongoose.Schema({
     portfolioValueAfter: Number,
     totalGasCost: Number,
     totalGasCostUsd: Number,
-    totalSlippage: Number,
+    totalSlippage: Number, // Fraction, e.g. 0.005 for 0.5%
     executionTime: Number, // in seconds
     successRate: Number, // percentage of successful transactions
     estimatedSavings: Number, // estimated USD saved by optimizations
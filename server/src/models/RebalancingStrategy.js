@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
-const AppError = require('../utils/appError');
+const cronParser = require('cron-parser');
+const ErrorResponse = require('../utils/errorResponse');
+const AllocationConstraints = require('../utils/allocationConstraints');
+const Portfolio = require('./Portfolio');
 
 /**
  * Rebalancing Strategy Schema
@@ -32,11 +35,15 @@ const RebalancingStrategySchema = new mongoose.Schema({
     enum: ['threshold', 'periodic', 'custom'],
     required: [true, 'Strategy type is required']
   },
+  // Portfolio this strategy rebalances; unset to rebalance all of the user's investments
   portfolioId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Portfolio'
+    ref: 'Portfolio',
+    default: null
   },
-  // Define target allocation percentages by asset or protocol
+  // Define target allocation percentages by asset, protocol and/or chain
+  // Targets of different types apply at the same time; an id of '*' applies
+  // the min/max band to every asset, protocol or chain
   targetAllocations: [{
     type: {
       type: String,
@@ -53,7 +60,7 @@ const RebalancingStrategySchema = new mongoose.Schema({
     },
     targetPercentage: {
       type: Number,
-      required: [true, 'Target percentage is required'],
+      required: [function() { return this.id !== AllocationConstraints.WILDCARD; }, 'Target percentage is required'],
       min: [0, 'Target percentage must be at least 0'],
       max: [100, 'Target percentage cannot exceed 100']
     },
@@ -85,7 +92,20 @@ const RebalancingStrategySchema = new mongoose.Schema({
     },
     // For custom schedule, store as cron expression
     customSchedule: {
-      type: String
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(value) {
+          if (!value) return true;
+          try {
+            cronParser.parseExpression(value);
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: 'Custom schedule must be a valid cron expression'
+      }
     },
     // If true, will only suggest rebalances but not auto-execute
     manualApprovalRequired: {
@@ -171,7 +191,7 @@ const RebalancingStrategySchema = new mongoose.Schema({
       }
     }
   },
-  // Whether simulation should be performed before execution
+  // No longer read: every operation is simulated, and only executed when the simulation succeeds
   simulateBeforeExecution: {
     type: Boolean,
     default: true
@@ -220,29 +240,69 @@ const RebalancingStrategySchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Validate target allocations sum to 100%
-RebalancingStrategySchema.pre('save', function(next) {
-  if (this.targetAllocations && this.targetAllocations.length > 0) {
-    const sum = this.targetAllocations.reduce((acc, allocation) => {
-      return acc + allocation.targetPercentage;
-    }, 0);
+// A portfolio is rebalanced by at most one strategy
+RebalancingStrategySchema.index(
+  { portfolioId: 1 },
+  { unique: true, partialFilterExpression: { portfolioId: { $type: 'objectId' } } }
+);
 
-    // Allow a small margin of error due to floating point
-    if (sum < 99.5 || sum > 100.5) {
-      return next(new AppError('Target allocations must sum to 100%', 400));
-    }
+// The portfolio must belong to the strategy's owner and not have a strategy already
+RebalancingStrategySchema.pre('save', async function() {
+  if (!this.portfolioId || (!this.isNew && !this.isModified('portfolioId'))) {
+    return;
+  }
+
+  const ownsPortfolio = await Portfolio.exists({ _id: this.portfolioId, user: this.user });
+  if (!ownsPortfolio) {
+    throw new ErrorResponse('Portfolio not found', 404);
+  }
+
+  const linked = await this.constructor.exists({ portfolioId: this.portfolioId, _id: { $ne: this._id } });
+  if (linked) {
+    throw new ErrorResponse('This portfolio already has a rebalancing strategy', 409);
+  }
+});
+
+// Validate target allocations and make sure they can be satisfied together
+RebalancingStrategySchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('targetAllocations') && !this.isModified('triggers.deviationThreshold')) {
+    return;
   }
 
   // Ensure min/max percentages are consistent
   for (const allocation of this.targetAllocations) {
+    if (allocation.id === AllocationConstraints.WILDCARD) continue;
+
     if (allocation.minPercentage && allocation.minPercentage > allocation.targetPercentage) {
-      return next(new AppError('Minimum percentage cannot be greater than target percentage', 400));
+      throw new ErrorResponse('Minimum percentage cannot be greater than target percentage', 400);
     }
     if (allocation.maxPercentage && allocation.maxPercentage < allocation.targetPercentage) {
-      return next(new AppError('Maximum percentage cannot be less than target percentage', 400));
+      throw new ErrorResponse('Maximum percentage cannot be less than target percentage', 400);
     }
   }
 
+  const feasibility = await this.checkFeasibility();
+  if (!feasibility.feasible) {
+    throw new ErrorResponse(`Target allocations cannot be satisfied: ${feasibility.issues.join('; ')}`, 400);
+  }
+});
+
+// Custom schedules need a cron expression; keep the next run date in sync with the schedule
+RebalancingStrategySchema.pre('save', function(next) {
+  if (this.triggers && this.triggers.schedule === 'custom' && !this.triggers.customSchedule) {
+    return next(new ErrorResponse('A cron expression is required for custom schedules', 400));
+  }
+
+  if (
+    this.type === 'periodic' &&
+    (!this.nextScheduledRebalance ||
+      this.isModified('triggers.schedule') ||
+      this.isModified('triggers.customSchedule') ||
+      this.isModified('type'))
+  ) {
+    this.updateNextScheduledRebalance();
+  }
+
   next();
 });
 
@@ -253,10 +313,19 @@ RebalancingStrategySchema.statics.findEligibleForThresholdRebalance = function()
     type: { $in: ['threshold', 'custom'] },
     'triggers.manualApprovalRequired': false,
     $or: [
-      { lastRebalance: { $exists: false } },
-      { 
-        'lastRebalance.timestamp': { 
-          $lt: new Date(Date.now() - 1000 * 60 * 60 * this.triggers.minTimeBetweenRebalances)
+      { 'lastRebalance.timestamp': { $exists: false } },
+      {
+        // minTimeBetweenRebalances is per strategy, so compare inside the query
+        $expr: {
+          $lt: [
+            '$lastRebalance.timestamp',
+            {
+              $subtract: [
+                '$$NOW',
+                { $multiply: [{ $ifNull: ['$triggers.minTimeBetweenRebalances', 24] }, 1000 * 60 * 60] }
+              ]
+            }
+          ]
         }
       }
     ]
@@ -274,44 +343,49 @@ RebalancingStrategySchema.statics.findEligibleForPeriodicRebalance = function()
 };
 
 // Calculate current allocation vs target to determine if rebalancing is needed
+// currentAllocations may mix asset, protocol and chain entries; every target is checked
 RebalancingStrategySchema.methods.needsRebalancing = async function(currentAllocations) {
   // If no current allocations provided, assume rebalancing is needed
   if (!currentAllocations) return true;
 
-  let needsRebalancing = false;
-  const deviationThreshold = this.triggers.deviationThreshold;
+  return this.getAllocationViolations(currentAllocations).length > 0;
+};
 
-  for (const target of this.targetAllocations) {
-    const current = currentAllocations.find(a => 
-      a.type === target.type && a.id === target.id
-    );
+// List the targets whose band the current allocation falls outside of
+RebalancingStrategySchema.methods.getAllocationViolations = function(currentAllocations) {
+  return AllocationConstraints.evaluate(
+    this.targetAllocations,
+    currentAllocations,
+    this.triggers.deviationThreshold
+  );
+};
 
-    // If we can't find current allocation for a target, rebalancing is needed
-    if (!current) {
-      needsRebalancing = true;
-      break;
-    }
+// Check the targets are consistent and that some mix of active opportunities satisfies all of them
+RebalancingStrategySchema.methods.checkFeasibility = async function() {
+  const deviationThreshold = this.triggers ? this.triggers.deviationThreshold : 0;
+  const issues = AllocationConstraints.checkTargets(this.targetAllocations, deviationThreshold);
 
-    // Calculate difference between current and target
-    const difference = Math.abs(current.percentage - target.targetPercentage);
-    
-    // Check if deviation exceeds threshold
-    if (difference > deviationThreshold) {
-      needsRebalancing = true;
-      break;
-    }
+  if (issues.length > 0 || !AllocationConstraints.isMultiDimensional(this.targetAllocations)) {
+    return { feasible: issues.length === 0, issues };
+  }
 
-    // Check if allocation is outside min/max bounds
-    if (
-      (target.minPercentage && current.percentage < target.minPercentage) ||
-      (target.maxPercentage && current.percentage > target.maxPercentage)
-    ) {
-      needsRebalancing = true;
-      break;
-    }
+  // Cross-dimension combinations depend on what is on offer
+  const offeredCells = await mongoose.model('YieldOpportunity').getAllocationCells();
+  if (offeredCells.length === 0) {
+    return { feasible: true, issues };
   }
 
-  return needsRebalancing;
+  const cells = AllocationConstraints.candidateCells(
+    [],
+    offeredCells,
+    AllocationConstraints.getDimensions(this.targetAllocations)
+  );
+  const solution = AllocationConstraints.solve(cells, this.targetAllocations, deviationThreshold);
+
+  return {
+    feasible: solution.feasible,
+    issues: solution.violations.map(violation => AllocationConstraints.describe(violation))
+  };
 };
 
 // Update the next scheduled rebalance date
@@ -333,9 +407,7 @@ RebalancingStrategySchema.methods.updateNextScheduledRebalance = function() {
       nextDate.setMonth(nextDate.getMonth() + 3);
       break;
     case 'custom':
-      // For custom schedules, would need to parse cron expression
-      // This is placeholder logic
-      nextDate.setDate(nextDate.getDate() + 14);
+      nextDate = cronParser.parseExpression(this.triggers.customSchedule).next().toDate();
       break;
     default:
       nextDate.setMonth(nextDate.getMonth() + 1);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { decimalField } = require('../utils/amount');
+
+/**
+ * Reconciliation Item Schema
+ * A difference between an investment's stored amount and its on-chain balance
+ * that yield accrual does not explain, waiting for an admin to review it.
+ * An investment has at most one open item, updated each time the difference is seen again
+ */
+const ReconciliationItemSchema = new mongoose.Schema({
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    required: [true, 'Investment reference is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the user erased their account; the record is retained without them
+  detachedUserRef: {
+    type: String
+  },
+  protocol: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Protocol'
+  },
+  chainId: {
+    type: String
+  },
+  asset: {
+    type: String
+  },
+  // 'shortfall': less on-chain than stored; 'excess': more than accrual can explain
+  kind: {
+    type: String,
+    enum: ['shortfall', 'excess'],
+    required: [true, 'Discrepancy kind is required']
+  },
+  // Amounts are raw integer units of the investment's asset
+  storedAmount: decimalField({
+    required: [true, 'Stored amount is required']
+  }),
+  onChainAmount: decimalField({
+    required: [true, 'On-chain amount is required']
+  }),
+  difference: decimalField(), // On-chain minus stored
+  expectedAccrual: decimalField(), // Most yield the APY could have added since the last update
+  relativeDifference: {
+    type: Number // Difference as a share of the stored amount
+  },
+  onChainAmountUsd: {
+    type: Number
+  },
+  differenceUsd: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['open', 'accepted', 'dismissed'],
+    default: 'open'
+  },
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Accepted items set the investment to the on-chain amount; dismissed ones leave it
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: {
+    type: Date
+  },
+  resolutionNote: {
+    type: String,
+    maxlength: [1000, 'Note cannot be more than 1000 characters']
+  }
+}, {
+  timestamps: true,
+  // Getters send amounts as decimal strings rather than Decimal128 objects
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+// Indexes for the review queue and the open item of an investment
+ReconciliationItemSchema.index({ status: 1, lastSeenAt: -1 });
+ReconciliationItemSchema.index({ investment: 1, status: 1 });
+
+module.exports = mongoose.model('ReconciliationItem', ReconciliationItemSchema);
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scheduled Job Schema
+ * Shared state for a background job: pause flag and the lock that
+ * keeps several API instances from running the same job at once
+ */
+const ScheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true,
+    trim: true
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  pausedAt: Date,
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lock: {
+    owner: String,
+    acquiredAt: Date,
+    expiresAt: Date
+  },
+  lastRunAt: Date,
+  lastRunStatus: {
+    type: String,
+    enum: ['running', 'completed', 'failed']
+  },
+  nextRunAt: Date
+}, {
+  timestamps: true
+});
+
+/**
+ * Ensure a state document exists for a job
+ * @param {string} name - Job name
+ * @returns {Promise<Object>} - Job state
+ */
+ScheduledJobSchema.statics.ensure = async function(name) {
+  try {
+    return await this.findOneAndUpdate(
+      { name },
+      { $setOnInsert: { name } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Another instance created the document first
+    if (error.code === 11000) {
+      return this.findOne({ name });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Try to acquire the lock for a job
+ * The lock is granted when nobody holds it or the holder's lease has expired;
+ * a run holding it keeps it by renewing the lease
+ * @param {string} name - Job name
+ * @param {string} owner - Identifier of the run acquiring the lock
+ * @param {number} ttlMs - Lease duration in milliseconds
+ * @param {Object} options - Options
+ * @param {boolean} options.ignorePause - Acquire even when the job is paused
+ * @param {number} options.minIntervalMs - Refuse if the job started more recently than this
+ * @returns {Promise<Object|null>} - Job state if acquired, null otherwise
+ */
+ScheduledJobSchema.statics.acquireLock = async function(name, owner, ttlMs, { ignorePause = false, minIntervalMs = 0 } = {}) {
+  const now = new Date();
+  const conditions = [{
+    $or: [
+      { 'lock.expiresAt': null },
+      { 'lock.expiresAt': { $lte: now } }
+    ]
+  }];
+
+  // Another instance whose timer fired slightly earlier already ran this slot
+  if (minIntervalMs > 0) {
+    conditions.push({
+      $or: [
+        { lastRunAt: null },
+        { lastRunAt: { $lte: new Date(now.getTime() - minIntervalMs) } }
+      ]
+    });
+  }
+
+  const query = { name, $and: conditions };
+
+  if (!ignorePause) {
+    query.paused = { $ne: true };
+  }
+
+  return this.findOneAndUpdate(
+    query,
+    {
+      $set: {
+        lock: {
+          owner,
+          acquiredAt: now,
+          expiresAt: new Date(now.getTime() + ttlMs)
+        },
+        lastRunAt: now,
+        lastRunStatus: 'running'
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Extend the lease of a job lock held by the given owner
+ * @param {string} name - Job name
+ * @param {string} owner - Lock owner
+ * @param {number} ttlMs - Lease duration from now in milliseconds
+ * @returns {Promise<Object|null>} - Job state, or null if the owner no longer holds the lock
+ */
+ScheduledJobSchema.statics.renewLock = async function(name, owner, ttlMs) {
+  return this.findOneAndUpdate(
+    { name, 'lock.owner': owner },
+    { $set: { 'lock.expiresAt': new Date(Date.now() + ttlMs) } },
+    { new: true }
+  );
+};
+
+/**
+ * Release a job lock held by the given owner
+ * @param {string} name - Job name
+ * @param {string} owner - Lock owner
+ * @param {string} status - Final status of the run
+ * @returns {Promise<Object|null>} - Updated job state
+ */
+ScheduledJobSchema.statics.releaseLock = async function(name, owner, status) {
+  return this.findOneAndUpdate(
+    { name, 'lock.owner': owner },
+    {
+      $unset: { lock: '' },
+      $set: { lastRunStatus: status }
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('ScheduledJob', ScheduledJobSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Schema
+ * A signed-in device. Access tokens carry the session ID so the session can be
+ * revoked; the refresh token is rotated on every use and earlier tokens are
+ * remembered to detect reuse.
+ */
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  // SHA-256 of the current refresh token secret
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+  // Hashes of rotated refresh tokens; presenting one of them again means the token leaked
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  // SHA-256 of the CSRF token handed to this session
+  csrfTokenHash: {
+    type: String,
+    required: [true, 'CSRF token hash is required'],
+    select: false
+  },
+  device: {
+    type: String
+  },
+  browser: {
+    type: String
+  },
+  os: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ipAddress: {
+    type: String
+  },
+  lastIpAddress: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotatedAt: {
+    type: Date
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'signed_out_elsewhere', 'password_changed', 'reuse_detected']
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop sessions once they expire
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+/**
+ * Whether the session can still be used
+ * @returns {boolean} - True when not revoked and not expired
+ */
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Find an active session
+ * @param {string} sessionId - Session ID
+ * @param {string} select - Extra fields to select
+ * @returns {Promise<Object|null>} - Session, or null if it is unknown, revoked or expired
+ */
+SessionSchema.statics.findActive = function(sessionId, select = '') {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).select(select);
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
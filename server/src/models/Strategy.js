@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const chainRegistry = require('../services/ChainRegistry');
 
 const StrategySchema = new mongoose.Schema({
   name: {
@@ -22,7 +23,12 @@ const StrategySchema = new mongoose.Schema({
   },
   chainId: {
     type: String,
-    required: [true, 'Chain ID is required']
+    required: [true, 'Chain ID is required'],
+    set: chainId => chainRegistry.resolveId(chainId) || chainId,
+    validate: {
+      validator: chainId => chainRegistry.has(chainId),
+      message: props => `Unknown chain ID: ${props.value}`
+    }
   },
   parachainId: {
     type: String
@@ -1,10 +1,20 @@
 const mongoose = require('mongoose');
+const chainRegistry = require('../services/ChainRegistry');
+const priceOracleService = require('../services/PriceOracleService');
+const { decimalField, isNonNegative, fromRaw, toDecimalString, sumByAsset } = require('../utils/amount');
 
 const TransactionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User ID is required']
+    required: [
+      function() { return !this.detachedUserRef; },
+      'User ID is required'
+    ]
+  },
+  // Set when the user erased their account; the record is retained without them
+  detachedUserRef: {
+    type: String
   },
   strategyId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -28,13 +38,18 @@ const TransactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['deposit', 'withdrawal', 'yield', 'fee', 'harvest', 'stake', 'unstake', 'claim', 'compound'],
+    enum: ['deposit', 'withdrawal', 'yield', 'fee', 'harvest', 'stake', 'unstake', 'claim', 'compound', 'xcm_transfer'],
     required: [true, 'Transaction type is required']
   },
-  amount: {
-    type: Number,
+  // Raw integer units of the asset (see decimals), e.g. 15000000000 for 1.5 DOT
+  amount: decimalField({
     required: [true, 'Amount is required'],
-    min: [0, 'Amount must be positive']
+    validate: [isNonNegative, 'Amount must be positive']
+  }),
+  decimals: {
+    type: Number,
+    required: [true, 'Asset decimals are required'],
+    min: [0, 'Decimals must be positive']
   },
   amountUsd: {
     type: Number,
@@ -48,7 +63,12 @@ const TransactionSchema = new mongoose.Schema({
     type: String
   },
   chainId: {
-    type: String
+    type: String,
+    set: chainId => chainRegistry.resolveId(chainId) || chainId,
+    validate: {
+      validator: chainId => chainRegistry.has(chainId),
+      message: props => `Unknown chain ID: ${props.value}`
+    }
   },
   status: {
     type: String,
@@ -65,10 +85,10 @@ const TransactionSchema = new mongoose.Schema({
   blockTimestamp: {
     type: Date
   },
-  fee: {
-    type: Number,
+  // Gas paid, in whole units of the chain's native token
+  fee: decimalField({
     default: 0
-  },
+  }),
   gasUsed: {
     type: String
   },
@@ -100,6 +120,11 @@ const TransactionSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Who started the transaction; 'api' when made with an API key
+  initiatedBy: {
+    type: String,
+    enum: ['system', 'user', 'api']
+  },
   xcmRelated: {
     type: Boolean,
     default: false
@@ -107,16 +132,73 @@ const TransactionSchema = new mongoose.Schema({
   xcmDetails: {
     sourceChain: String,
     destinationChain: String,
-    messageHash: String
+    message: String,
+    isIncoming: Boolean,
+    messageHash: String,
+    messageId: String, // XCM topic ID (SetTopic), set by V3+ senders
+    // Lifecycle followed by the XCM tracker; 'unknown' when delivery could not be
+    // confirmed either way and an operator has to settle it
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'received', 'executed', 'failed', 'unknown']
+    },
+    origin: {
+      blockHash: String,
+      blockNumber: Number,
+      extrinsicIndex: Number,
+      timestamp: Date,
+      fromBlock: Number, // First block searched for the extrinsic
+      lastScannedBlock: Number
+    },
+    destination: {
+      blockHash: String,
+      blockNumber: Number,
+      event: String,
+      fromBlock: Number,
+      lastScannedBlock: Number
+    },
+    sentAt: Date,
+    receivedAt: Date,
+    executedAt: Date,
+    failedAt: Date,
+    error: String,
+    history: [
+      {
+        status: String,
+        chain: String,
+        blockNumber: Number,
+        timestamp: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ]
+  },
+  // Set on 'fee' transactions: the platform fee charged
+  feeDetails: {
+    kind: {
+      type: String,
+      enum: ['performance', 'withdrawal']
+    },
+    rate: Number, // Share of the charged amount, 0.1 for 10%
+    chargedOn: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction' // Withdrawal the fee was taken from
+    },
+    realizedProfitUsd: Number, // Performance fees: realized profit and high-water mark after the fee
+    highWaterMarkUsd: Number
   },
   rewardData: {
     rewardToken: String,
     rewardTokenAddress: String,
-    rewardAmount: Number,
+    rewardAmount: decimalField(),
     rewardAmountUsd: Number
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Getters send amounts as decimal strings rather than Decimal128 objects
+  toJSON: { getters: true },
+  toObject: { getters: true }
 });
 
 // Indexes
@@ -129,6 +211,8 @@ TransactionSchema.index({ status: 1 });
 TransactionSchema.index({ txHash: 1 });
 TransactionSchema.index({ chainId: 1 });
 TransactionSchema.index({ type: 1 });
+TransactionSchema.index({ xcmRelated: 1, 'xcmDetails.status': 1 });
+TransactionSchema.index({ 'feeDetails.chargedOn': 1 }, { sparse: true });
 
 /**
  * Update transaction status
@@ -179,19 +263,27 @@ TransactionSchema.methods.addGasDetails = async function(gasDetails) {
   this.effectiveGasPrice = gasDetails.effectiveGasPrice?.toString() || this.effectiveGasPrice;
   
   // Calculate fee if not already set
-  if (gasDetails.gasUsed && gasDetails.effectiveGasPrice && !this.fee) {
+  if (gasDetails.gasUsed && gasDetails.effectiveGasPrice && !Number(this.fee)) {
     const gasUsedBN = BigInt(gasDetails.gasUsed);
     const effectiveGasPriceBN = BigInt(gasDetails.effectiveGasPrice);
     const feeBN = gasUsedBN * effectiveGasPriceBN;
     
-    // Convert to ether units (divide by 10^18)
-    this.fee = Number(feeBN) / 1e18;
+    // Convert to ether units (18 decimals)
+    this.fee = toDecimalString(fromRaw(feeBN, 18));
   }
   
   await this.save();
   return this;
 };
 
+/**
+ * Amount of the transaction in base units
+ * @returns {Object} - { raw, decimals, asset } (see utils/amount)
+ */
+TransactionSchema.methods.toAmount = function() {
+  return fromRaw(this.amount, this.decimals, this.asset);
+};
+
 /**
  * Add reward data for yield transactions
  * @param {Object} rewardData - Reward data
@@ -268,20 +360,17 @@ TransactionSchema.statics.getYieldStats = async function(userId) {
     status: 'completed'
   });
   
-  let totalYield = 0;
+  // Transactions without a recorded USD amount are valued at the current price
+  const unvalued = yieldTransactions.filter(tx => tx.amountUsd === undefined || tx.amountUsd === null);
+  const currentValues = await priceOracleService.valueAmounts(unvalued.map(tx => tx.toAmount()));
+  const valueUsd = new Map(unvalued.map((tx, i) => [tx, currentValues[i] || 0]));
+  
   let totalYieldUsd = 0;
-  const yieldByAsset = {};
   const yieldByProtocol = {};
   
   for (const tx of yieldTransactions) {
-    totalYield += tx.amount;
-    totalYieldUsd += tx.amountUsd || 0;
-    
-    // Aggregate by asset
-    if (!yieldByAsset[tx.asset]) {
-      yieldByAsset[tx.asset] = 0;
-    }
-    yieldByAsset[tx.asset] += tx.amount;
+    const amountUsd = valueUsd.has(tx) ? valueUsd.get(tx) : tx.amountUsd;
+    totalYieldUsd += amountUsd;
     
     // Aggregate by protocol
     if (tx.protocolId) {
@@ -289,12 +378,17 @@ TransactionSchema.statics.getYieldStats = async function(userId) {
       if (!yieldByProtocol[protocolId]) {
         yieldByProtocol[protocolId] = 0;
       }
-      yieldByProtocol[protocolId] += tx.amountUsd || 0;
+      yieldByProtocol[protocolId] += amountUsd;
     }
   }
   
+  // Token amounts only add up within an asset
+  const yieldByAsset = {};
+  sumByAsset(yieldTransactions.map(tx => tx.toAmount())).forEach((amount, asset) => {
+    yieldByAsset[asset] = toDecimalString(amount);
+  });
+  
   return {
-    totalYield,
     totalYieldUsd,
     yieldByAsset,
     yieldByProtocol,
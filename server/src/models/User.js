@@ -1,12 +1,18 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { ROLE_NAMES, getRolePermissions, roleHasPermission } = require('../config/permissions');
 
 const UserSchema = new mongoose.Schema({
   email: {
     type: String,
     unique: true,
-    required: [true, 'Please provide an email'],
+    // Accounts created by signing in with a wallet have no email
+    sparse: true,
+    required: [
+      function() { return this.signupMethod === 'password'; },
+      'Please provide an email'
+    ],
     match: [
       /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
       'Please provide a valid email'
@@ -14,7 +20,10 @@ const UserSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please provide a password'],
+    required: [
+      function() { return this.signupMethod === 'password'; },
+      'Please provide a password'
+    ],
     minlength: 8,
     select: false
   },
@@ -24,15 +33,56 @@ const UserSchema = new mongoose.Schema({
     trim: true,
     required: [true, 'Please provide a username']
   },
+  signupMethod: {
+    type: String,
+    enum: ['password', 'siwe', 'polkadot'],
+    default: 'password'
+  },
+  // Staff roles and their permissions are declared in config/permissions.js
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLE_NAMES,
     default: 'user'
   },
   isVerified: {
     type: Boolean,
     default: false
   },
+  // TOTP second factor; secrets are encrypted by the TwoFactorService
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret issued during setup, until the first code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    lockedUntil: Date
+  },
   verificationToken: String,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
@@ -55,6 +105,12 @@ const UserSchema = new mongoose.Schema({
       type: String,
       enum: ['USD', 'EUR', 'GBP', 'JPY'],
       default: 'USD'
+    },
+    // Order in which withdrawals use up tax lots
+    taxLotMethod: {
+      type: String,
+      enum: ['FIFO', 'LIFO', 'HIFO'],
+      default: 'FIFO'
     }
   },
   createdAt: {
@@ -77,6 +133,13 @@ UserSchema.virtual('wallets', {
   foreignField: 'userId'
 });
 
+// Create virtual for linked Substrate accounts
+UserSchema.virtual('polkadotWallets', {
+  ref: 'PolkadotWallet',
+  localField: '_id',
+  foreignField: 'userId'
+});
+
 // Create virtual for strategies
 UserSchema.virtual('strategies', {
   ref: 'Strategy',
@@ -86,8 +149,8 @@ UserSchema.virtual('strategies', {
 
 // Encrypt password before saving
 UserSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) {
-    next();
+  if (!this.isModified('password') || !this.password) {
+    return next();
   }
   
   const salt = await bcrypt.genSalt(10);
@@ -95,12 +158,12 @@ UserSchema.pre('save', async function(next) {
   next();
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
+// Sign a short-lived access token for a session and return
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id, role: this.role },
+    { id: this._id, role: this.role, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' }
   );
 };
 
@@ -109,6 +172,16 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check whether the user's role grants a permission
+UserSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+// Permissions granted by the user's role
+UserSchema.methods.getPermissions = function() {
+  return getRolePermissions(this.role);
+};
+
 // Update last login timestamp
 UserSchema.methods.updateLastLogin = async function() {
   this.lastLogin = Date.now();
@@ -1,5 +1,54 @@
 const mongoose = require('mongoose');
 const logger = require('../config/logger');
+const ErrorResponse = require('../utils/errorResponse');
+const chainRegistry = require('../services/ChainRegistry');
+
+// Sort keys accepted by search, mapped to document paths
+const SEARCH_SORT_FIELDS = {
+  apy: 'apy.current',
+  tvl: 'tvlUsd',
+  name: 'name',
+  updated: 'lastUpdated'
+};
+
+// Type of each sort key's values, as search cursors hold them
+const SEARCH_SORT_TYPES = {
+  apy: 'number',
+  tvl: 'number',
+  name: 'string',
+  updated: 'date'
+};
+
+const MAX_SEARCH_LIMIT = 100;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+/**
+ * Sort value of a search cursor, if it has the type of the sort key
+ * @param {string} sortKey - Sort key
+ * @param {*} value - Value from the cursor
+ * @returns {*} - Value to compare with, null for documents without one, undefined when invalid
+ */
+const parseCursorValue = (sortKey, value) => {
+  if (value === null) {
+    return null;
+  }
+
+  switch (SEARCH_SORT_TYPES[sortKey]) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+    case 'string':
+      return typeof value === 'string' ? value : undefined;
+    case 'date': {
+      const date = typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : null;
+      return date && !Number.isNaN(date.getTime()) ? date : undefined;
+    }
+    default:
+      return undefined;
+  }
+};
 
 /**
  * Yield Opportunity Schema
@@ -42,7 +91,12 @@ const YieldOpportunitySchema = new mongoose.Schema(
     },
     chainId: {
       type: String,
-      required: [true, 'Chain ID is required']
+      required: [true, 'Chain ID is required'],
+      set: chainId => chainRegistry.resolveId(chainId) || chainId,
+      validate: {
+        validator: chainId => chainRegistry.has(chainId),
+        message: props => `Unknown chain ID: ${props.value}`
+      }
     },
     apy: {
       current: {
@@ -229,6 +283,7 @@ YieldOpportunitySchema.index({ chainId: 1, status: 1 });
 YieldOpportunitySchema.index({ protocol: 1, asset: 1, chainId: 1 }, { unique: true });
 YieldOpportunitySchema.index({ 'apy.current': -1, status: 1 });
 YieldOpportunitySchema.index({ riskLevel: 1, status: 1 });
+YieldOpportunitySchema.index({ status: 1, tvlUsd: -1, _id: -1 });
 
 // Pre save hook to update lastUpdated
 YieldOpportunitySchema.pre('save', function(next) {
@@ -302,6 +357,162 @@ YieldOpportunitySchema.statics.findTopByApy = async function(limit = 10) {
   }
 };
 
+// Static method to search active opportunities with combined filters, sorting and cursor pagination
+// List filters (chain, asset, risk, strategyType) accept arrays or comma-separated strings
+YieldOpportunitySchema.statics.search = async function(filters = {}, options = {}) {
+  const toList = value => {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+  };
+
+  const toNumber = (value, name) => {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+      throw new ErrorResponse(`${name} must be a number`, 400);
+    }
+    return number;
+  };
+
+  const query = { status: 'active' };
+
+  const chains = toList(filters.chain);
+  if (chains.length) {
+    query.chainId = { $in: chains };
+  }
+
+  const assets = toList(filters.asset);
+  if (assets.length) {
+    const patterns = assets.map(asset => new RegExp(`^${asset.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'));
+    query.$or = [
+      { asset: { $in: patterns } },
+      { assetSymbol: { $in: patterns } }
+    ];
+  }
+
+  const risks = toList(filters.risk);
+  if (risks.length) {
+    query.riskLevel = { $in: risks };
+  }
+
+  const strategyTypes = toList(filters.strategyType);
+  if (strategyTypes.length) {
+    query.strategyType = { $in: strategyTypes };
+  }
+
+  const minApy = toNumber(filters.minApy, 'minApy');
+  if (minApy !== undefined) {
+    query['apy.current'] = { $gte: minApy };
+  }
+
+  const minTvl = toNumber(filters.minTvl, 'minTvl');
+  if (minTvl !== undefined) {
+    query.tvlUsd = { $gte: minTvl };
+  }
+
+  // Sorting
+  const sort = options.sort || '-apy';
+  const descending = sort.startsWith('-');
+  const sortKey = descending ? sort.slice(1) : sort;
+  const sortField = SEARCH_SORT_FIELDS[sortKey];
+
+  if (!sortField) {
+    throw new ErrorResponse(`Invalid sort field: ${sortKey}. Use one of ${Object.keys(SEARCH_SORT_FIELDS).join(', ')}`, 400);
+  }
+
+  const direction = descending ? -1 : 1;
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), MAX_SEARCH_LIMIT);
+
+  // The cursor holds the sort value and _id of the last item of the previous page,
+  // with _id breaking ties so that pages never overlap
+  const conditions = [query];
+
+  if (options.cursor) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(options.cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new ErrorResponse('Invalid cursor', 400);
+    }
+
+    const value = position ? parseCursorValue(sortKey, position.value) : undefined;
+    if (value === undefined || position.sort !== sort || typeof position.id !== 'string' || !OBJECT_ID.test(position.id)) {
+      throw new ErrorResponse('Invalid cursor', 400);
+    }
+
+    const id = new mongoose.Types.ObjectId(position.id);
+    const operator = descending ? '$lt' : '$gt';
+
+    // Documents without a sort value sort as null, before all others, and are paged by _id
+    let after;
+    if (value === null) {
+      after = [{ [sortField]: null, _id: { [operator]: id } }];
+      if (!descending) {
+        after.push({ [sortField]: { $ne: null } });
+      }
+    } else {
+      after = [
+        { [sortField]: { [operator]: value } },
+        { [sortField]: value, _id: { [operator]: id } }
+      ];
+      if (descending) {
+        after.push({ [sortField]: null });
+      }
+    }
+
+    conditions.push({ $or: after });
+  }
+
+  try {
+    const results = await this.find(conditions.length > 1 ? { $and: conditions } : query)
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1)
+      .populate('protocol', 'name logo website riskLevel category')
+      .lean();
+
+    const hasMore = results.length > limit;
+    const opportunities = hasMore ? results.slice(0, limit) : results;
+
+    let nextCursor = null;
+    if (hasMore) {
+      const last = opportunities[opportunities.length - 1];
+      const value = sortField.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), last);
+      nextCursor = Buffer.from(JSON.stringify({
+        sort,
+        value: value instanceof Date ? value.toISOString() : (value === undefined ? null : value),
+        id: last._id.toString()
+      })).toString('base64url');
+    }
+
+    return { opportunities, nextCursor };
+  } catch (error) {
+    logger.error(`Error searching yield opportunities: ${error.message}`);
+    throw error;
+  }
+};
+
+// Static method to list the asset/protocol/chain combinations with an active opportunity
+YieldOpportunitySchema.statics.getAllocationCells = async function() {
+  const cells = await this.aggregate([
+    { $match: { status: 'active' } },
+    {
+      $group: {
+        _id: { asset: '$asset', protocol: '$protocol', chainId: '$chainId' },
+        apy: { $max: '$apy.current' }
+      }
+    }
+  ]);
+
+  return cells.map(cell => ({
+    asset: cell._id.asset,
+    protocol: String(cell._id.protocol),
+    chain: String(cell._id.chainId),
+    apy: cell.apy
+  }));
+};
+
 // Static method to update APY
 YieldOpportunitySchema.statics.updateApy = async function(id, apyData) {
   try {
@@ -6,20 +6,64 @@ const {
   rejectRemovalRequest,
   getConnectionDetails
 } = require('../controllers/admin');
+const {
+  getJobs,
+  getJobRuns,
+  pauseJob,
+  resumeJob,
+  triggerJob
+} = require('../controllers/jobs');
+const {
+  getRoles,
+  getRoleUsers,
+  updateUserRole
+} = require('../controllers/roles');
+const {
+  getAuditLog,
+  exportAuditLog,
+  verifyAuditLog
+} = require('../controllers/audit');
+const {
+  getReconciliationSummary,
+  getReconciliationItems,
+  resolveReconciliationItem
+} = require('../controllers/reconciliation');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, requireStepUp } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
-// Apply auth middleware to all routes
+// Apply auth middleware to all routes; each route then names the permission it needs
 router.use(protect);
-router.use(authorize('admin'));
 
 // MetaMask routes
-router.get('/metamask', getRemovalRequests);
-router.get('/metamask/counts', getRemovalRequestCounts);
-router.get('/metamask/:id', getConnectionDetails);
-router.put('/metamask/:id/approve', approveRemovalRequest);
-router.put('/metamask/:id/reject', rejectRemovalRequest);
+router.get('/metamask', requirePermission(PERMISSIONS.WALLET_REMOVALS_READ), getRemovalRequests);
+router.get('/metamask/counts', requirePermission(PERMISSIONS.WALLET_REMOVALS_READ), getRemovalRequestCounts);
+router.get('/metamask/:id', requirePermission(PERMISSIONS.WALLET_REMOVALS_READ), getConnectionDetails);
+router.put('/metamask/:id/approve', requirePermission(PERMISSIONS.WALLET_REMOVALS_REVIEW), approveRemovalRequest);
+router.put('/metamask/:id/reject', requirePermission(PERMISSIONS.WALLET_REMOVALS_REVIEW), rejectRemovalRequest);
+
+// Background job routes
+router.get('/jobs', requirePermission(PERMISSIONS.JOBS_READ), getJobs);
+router.get('/jobs/:name/runs', requirePermission(PERMISSIONS.JOBS_READ), getJobRuns);
+router.put('/jobs/:name/pause', requirePermission(PERMISSIONS.JOBS_MANAGE), pauseJob);
+router.put('/jobs/:name/resume', requirePermission(PERMISSIONS.JOBS_MANAGE), resumeJob);
+router.post('/jobs/:name/trigger', requirePermission(PERMISSIONS.JOBS_MANAGE), triggerJob);
+
+// Role management routes
+router.get('/roles', requirePermission(PERMISSIONS.ROLES_READ), getRoles);
+router.get('/roles/users', requirePermission(PERMISSIONS.ROLES_READ), getRoleUsers);
+router.put('/users/:id/role', requirePermission(PERMISSIONS.ROLES_MANAGE), requireStepUp, updateUserRole);
+
+// Audit log routes
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_READ), getAuditLog);
+router.get('/audit/export', requirePermission(PERMISSIONS.AUDIT_READ), exportAuditLog);
+router.get('/audit/verify', requirePermission(PERMISSIONS.AUDIT_READ), verifyAuditLog);
+
+// Position reconciliation routes
+router.get('/reconciliation', requirePermission(PERMISSIONS.RECONCILIATION_READ), getReconciliationSummary);
+router.get('/reconciliation/items', requirePermission(PERMISSIONS.RECONCILIATION_READ), getReconciliationItems);
+router.put('/reconciliation/items/:id/resolve', requirePermission(PERMISSIONS.RECONCILIATION_REVIEW), resolveReconciliationItem);
 
 module.exports = router;
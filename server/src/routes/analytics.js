@@ -8,7 +8,8 @@ const {
   getAnalyticsDashboard
 } = require('../controllers/analytics');
 
-const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -19,9 +20,9 @@ router.post('/events', optionalAuth, trackEvent);
 router.get('/users/:userId/activity', protect, getUserActivity);
 
 // Admin routes
-router.get('/strategies/most-viewed', protect, authorize('admin'), getMostViewedStrategies);
-router.get('/strategies/conversion-rates', protect, authorize('admin'), getStrategyConversionRates);
-router.get('/users/retention', protect, authorize('admin'), getUserRetentionData);
-router.get('/dashboard', protect, authorize('admin'), getAnalyticsDashboard);
+router.get('/strategies/most-viewed', protect, requirePermission(PERMISSIONS.ANALYTICS_READ), getMostViewedStrategies);
+router.get('/strategies/conversion-rates', protect, requirePermission(PERMISSIONS.ANALYTICS_READ), getStrategyConversionRates);
+router.get('/users/retention', protect, requirePermission(PERMISSIONS.ANALYTICS_READ), getUserRetentionData);
+router.get('/dashboard', protect, requirePermission(PERMISSIONS.ANALYTICS_READ), getAnalyticsDashboard);
 
 module.exports = router;
@@ -8,10 +8,34 @@ const {
   updatePassword,
   forgotPassword,
   resetPassword,
-  verifyEmail
+  verifyEmail,
+  getSiweNonce,
+  verifySiwe,
+  getPolkadotChallenge,
+  verifyPolkadot,
+  loginTwoFactor,
+  refreshToken
 } = require('../controllers/auth');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  stepUp
+} = require('../controllers/twoFactor');
+const {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+} = require('../controllers/sessions');
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeys');
 
-const { protect } = require('../middleware/auth');
+const { protect, optionalAuth, requireStepUp } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -22,10 +46,42 @@ router.post('/forgotpassword', forgotPassword);
 router.put('/resetpassword/:resettoken', resetPassword);
 router.get('/verify-email/:token', verifyEmail);
 
+// Sign-In With Ethereum (a signed-in user links the wallet instead)
+router.post('/siwe/nonce', optionalAuth, getSiweNonce);
+router.post('/siwe/verify', optionalAuth, verifySiwe);
+
+// Polkadot account signature login (a signed-in user links the account instead)
+router.post('/polkadot/challenge', optionalAuth, getPolkadotChallenge);
+router.post('/polkadot/verify', optionalAuth, verifyPolkadot);
+
+// Second login step when two-factor authentication is enabled
+router.post('/2fa/login', loginTwoFactor);
+
+// Rotate the refresh token cookie for a new access token
+router.post('/refresh', refreshToken);
+
 // Protected routes
-router.get('/logout', protect, logout);
+router.post('/logout', protect, logout);
 router.get('/me', protect, getMe);
 router.put('/updatedetails', protect, updateDetails);
 router.put('/updatepassword', protect, updatePassword);
 
+// Two-factor authentication
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/confirm', protect, confirmTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, regenerateBackupCodes);
+router.post('/2fa/step-up', protect, stepUp);
+
+// Signed-in devices
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
+// API keys for scripts and bots
+router.get('/api-keys', protect, getApiKeys);
+router.post('/api-keys', protect, requireStepUp, createApiKey);
+router.delete('/api-keys/:id', protect, revokeApiKey);
+
 module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getChains,
+  getChain,
+  reloadChains
+} = require('../controllers/chains');
+
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getChains);
+router.get('/:id', getChain);
+
+// Admin routes
+router.post('/reload', protect, requirePermission(PERMISSIONS.CHAINS_MANAGE), reloadChains);
+
+module.exports = router;
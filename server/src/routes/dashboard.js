@@ -1,6 +1,7 @@
 const express = require('express');
 const { getDashboard, getAdminDashboard } = require('../controllers/dashboard');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -8,6 +9,6 @@ const router = express.Router();
 router.get('/', protect, getDashboard);
 
 // Admin dashboard route
-router.get('/admin', protect, authorize('admin'), getAdminDashboard);
+router.get('/admin', protect, requirePermission(PERMISSIONS.ADMIN_DASHBOARD_READ), getAdminDashboard);
 
 module.exports = router;
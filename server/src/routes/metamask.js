@@ -7,7 +7,7 @@ const {
   getRemovalStatus
 } = require('../controllers/metamask');
 
-const { protect, optionalAuth } = require('../middleware/auth');
+const { protect, optionalAuth, requireStepUp } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -15,7 +15,7 @@ const router = express.Router();
 router.post('/', protect, saveConnection);
 router.get('/', protect, getConnections);
 router.put('/:id', protect, updateConnection);
-router.post('/removal-request', protect, requestRemoval);
+router.post('/removal-request', protect, requireStepUp, requestRemoval);
 
 // Public routes (with optional auth)
 router.get('/removal-request/:walletAddress', optionalAuth, getRemovalStatus);
@@ -10,7 +10,8 @@ const {
   broadcastNotification
 } = require('../controllers/notifications');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -26,7 +27,7 @@ router.get('/preferences', getNotificationPreferences);
 router.put('/preferences', updateNotificationPreferences);
 
 // Admin routes
-router.post('/', authorize('admin'), createNotification);
-router.post('/broadcast', authorize('admin'), broadcastNotification);
+router.post('/', requirePermission(PERMISSIONS.NOTIFICATIONS_SEND), createNotification);
+router.post('/broadcast', requirePermission(PERMISSIONS.NOTIFICATIONS_BROADCAST), broadcastNotification);
 
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  getPortfolios,
+  createPortfolio,
+  getPortfolio,
+  updatePortfolio,
+  deletePortfolio,
+  getPortfolioSummary,
+  getPortfolioPerformance,
+  assignInvestments,
+  setRebalancingStrategy
+} = require('../controllers/portfolios');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(getPortfolios)
+  .post(createPortfolio);
+
+router.get('/:id/summary', getPortfolioSummary);
+router.get('/:id/performance', getPortfolioPerformance);
+router.post('/:id/investments', assignInvestments);
+router.put('/:id/strategy', setRebalancingStrategy);
+
+router.route('/:id')
+  .get(getPortfolio)
+  .put(updatePortfolio)
+  .delete(deletePortfolio);
+
+module.exports = router;
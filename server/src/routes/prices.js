@@ -0,0 +1,12 @@
+const express = require('express');
+const { getPrices, getPriceHistory } = require('../controllers/prices');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', getPrices);
+router.get('/:symbol/history', getPriceHistory);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/authMiddleware');
+const { protect, requireStepUp } = require('../middleware/auth');
 const rebalancingController = require('../controllers/rebalancingController');
 
 // Strategy routes
@@ -13,6 +13,10 @@ router.route('/strategies/:id')
   .put(protect, rebalancingController.updateRebalancingStrategy)
   .delete(protect, rebalancingController.deleteRebalancingStrategy);
 
+// Starting a rebalance can execute it straight away when no approval is required
+router.route('/strategies/:id/rebalance')
+  .post(protect, requireStepUp, rebalancingController.initiateRebalance);
+
 // Operation routes
 router.route('/operations')
   .get(protect, rebalancingController.getRebalancingOperations);
@@ -27,10 +31,11 @@ router.route('/operations/:id/simulate')
   .post(protect, rebalancingController.simulateRebalancingOperation);
 
 router.route('/operations/:id/execute')
-  .post(protect, rebalancingController.executeRebalancingOperation);
+  .post(protect, requireStepUp, rebalancingController.executeRebalancingOperation);
 
+// Approving executes the operation, so it needs the same re-verification
 router.route('/operations/:id/approve')
-  .post(protect, rebalancingController.approveRebalancingOperation);
+  .post(protect, requireStepUp, rebalancingController.approveRebalancingOperation);
 
 // Utility routes
 router.route('/check-thresholds')
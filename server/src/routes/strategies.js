@@ -10,7 +10,8 @@ const {
   updateStrategyAPY
 } = require('../controllers/strategies');
 
-const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -19,14 +20,13 @@ router.get('/', optionalAuth, getStrategies);
 router.get('/:id', optionalAuth, getStrategy);
 router.get('/:id/analytics', optionalAuth, getStrategyAnalytics);
 
-// Protected routes for admins only
+// Protected routes for staff who maintain the strategy catalogue
 router.use(protect);
-router.use(authorize('admin'));
 
-router.post('/', createStrategy);
-router.put('/:id', updateStrategy);
-router.delete('/:id', deleteStrategy);
-router.put('/:id/toggle-pause', togglePauseStrategy);
-router.put('/:id/update-apy', updateStrategyAPY);
+router.post('/', requirePermission(PERMISSIONS.STRATEGIES_MANAGE), createStrategy);
+router.put('/:id', requirePermission(PERMISSIONS.STRATEGIES_MANAGE), updateStrategy);
+router.delete('/:id', requirePermission(PERMISSIONS.STRATEGIES_MANAGE), deleteStrategy);
+router.put('/:id/toggle-pause', requirePermission(PERMISSIONS.STRATEGIES_MANAGE), togglePauseStrategy);
+router.put('/:id/update-apy', requirePermission(PERMISSIONS.STRATEGIES_APY), updateStrategyAPY);
 
 module.exports = router;
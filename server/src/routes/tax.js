@@ -0,0 +1,12 @@
+const express = require('express');
+const { getTaxLots, getTaxReport } = require('../controllers/tax');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/lots', getTaxLots);
+router.get('/reports/:year', getTaxReport);
+
+module.exports = router;
@@ -8,7 +8,8 @@ const {
   getXcmTransactions
 } = require('../controllers/transactions');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -23,6 +24,6 @@ router.get('/:id', getTransaction);
 router.post('/', createTransaction);
 
 // Admin routes
-router.put('/:id', authorize('admin'), updateTransaction);
+router.put('/:id', requirePermission(PERMISSIONS.TRANSACTIONS_UPDATE), updateTransaction);
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, requireStepUp } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Import user controllers
 const {
@@ -13,6 +14,14 @@ const {
   updateUserProfile,
   updateUserPreferences
 } = require('../controllers/users');
+const {
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  getAccountDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} = require('../controllers/privacy');
 
 // Public routes
 // None
@@ -22,17 +31,24 @@ router.get('/profile', protect, getUserProfile);
 router.put('/profile', protect, updateUserProfile);
 router.put('/preferences', protect, updateUserPreferences);
 
-// Admin routes
+// Personal data export and account deletion
+router.get('/me/exports', protect, getDataExports);
+router.post('/me/exports', protect, requireStepUp, requestDataExport);
+router.get('/me/exports/:id/download', protect, downloadDataExport);
+router.get('/me/deletion', protect, getAccountDeletion);
+router.post('/me/deletion', protect, requireStepUp, requestAccountDeletion);
+router.delete('/me/deletion', protect, cancelAccountDeletion);
+
+// Staff routes
 router.use(protect);
-router.use(authorize('admin'));
 
 router.route('/')
-  .get(getUsers)
-  .post(createUser);
+  .get(requirePermission(PERMISSIONS.USERS_READ), getUsers)
+  .post(requirePermission(PERMISSIONS.USERS_MANAGE), createUser);
 
 router.route('/:id')
-  .get(getUser)
-  .put(updateUser)
-  .delete(deleteUser);
+  .get(requirePermission(PERMISSIONS.USERS_READ), getUser)
+  .put(requirePermission(PERMISSIONS.USERS_MANAGE), updateUser)
+  .delete(requirePermission(PERMISSIONS.USERS_MANAGE), deleteUser);
 
 module.exports = router;
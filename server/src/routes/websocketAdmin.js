@@ -7,19 +7,19 @@ const {
   sendMetaMaskRemovalAlert
 } = require('../controllers/websocketAdmin');
 
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
 // Protect all routes
 router.use(protect);
-router.use(authorize('admin')); // Require admin role
 
 // WebSocket admin routes
-router.get('/stats', getConnectionStats);
-router.post('/announcement', sendSystemAnnouncement);
-router.post('/message/:userId', sendDirectMessage);
-router.delete('/connections/:userId', disconnectUser);
-router.post('/metamask-alert', sendMetaMaskRemovalAlert);
+router.get('/stats', requirePermission(PERMISSIONS.WEBSOCKET_READ), getConnectionStats);
+router.post('/announcement', requirePermission(PERMISSIONS.WEBSOCKET_BROADCAST), sendSystemAnnouncement);
+router.post('/message/:userId', requirePermission(PERMISSIONS.WEBSOCKET_MESSAGE), sendDirectMessage);
+router.delete('/connections/:userId', requirePermission(PERMISSIONS.WEBSOCKET_DISCONNECT), disconnectUser);
+router.post('/metamask-alert', requirePermission(PERMISSIONS.WALLET_REMOVALS_READ), sendMetaMaskRemovalAlert);
 
 module.exports = router;
@@ -4,15 +4,20 @@ const {
   updateXcmTransactionStatus,
   getXcmTransactions,
   getXcmTransaction,
-  getSupportedChains
+  getSupportedChains,
+  buildXcmCall,
+  estimateXcmFees
 } = require('../controllers/xcm');
 
-const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
 // Public routes
 router.get('/supported-chains', getSupportedChains);
+router.post('/build', buildXcmCall);
+router.post('/estimate', estimateXcmFees);
 
 // Protected routes
 router.use('/transactions', protect);
@@ -21,6 +26,6 @@ router.get('/transactions/:id', getXcmTransaction);
 router.post('/transactions', submitXcmTransaction);
 
 // Admin routes
-router.put('/transactions/:id', protect, authorize('admin'), updateXcmTransactionStatus);
+router.put('/transactions/:id', protect, requirePermission(PERMISSIONS.TRANSACTIONS_UPDATE), updateXcmTransactionStatus);
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const yieldController = require('../controllers/yieldController');
-const authController = require('../controllers/authController');
+const { protect, requireStepUp, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
@@ -12,29 +13,25 @@ router.get('/protocols/risk/:riskLevel', yieldController.getProtocolsByRiskLevel
 
 router.get('/opportunities', yieldController.getAllYieldOpportunities);
 router.get('/opportunities/top', yieldController.getTopYieldOpportunities);
-router.get('/opportunities/chain/:chainId', yieldController.getYieldOpportunitiesByChain);
-router.get('/opportunities/asset/:asset', yieldController.getYieldOpportunitiesByAsset);
-router.get('/opportunities/risk/:riskLevel', yieldController.getYieldOpportunitiesByRiskLevel);
 router.get('/opportunities/:id', yieldController.getYieldOpportunityById);
 
 // Protected routes - authentication required
-router.use(authController.protect);
+router.use(protect);
 
 // User investment routes
 router.get('/investments', yieldController.getUserInvestments);
 router.get('/investments/:id', yieldController.getInvestmentById);
 router.post('/investments', yieldController.createInvestment);
 router.patch('/investments/:id', yieldController.updateInvestment);
-router.post('/investments/:id/withdraw', yieldController.withdrawFromInvestment);
+router.post('/investments/:id/withdraw', requireStepUp, yieldController.withdrawFromInvestment);
 router.get('/stats', yieldController.getUserYieldStats);
 
-// Admin routes
-router.use(authController.restrictTo('admin'));
-router.patch('/transactions/:id/status', yieldController.updateTransactionStatus);
-router.post('/protocols/:protocolId/sync', yieldController.syncProtocolOpportunities);
-router.post('/apy/update-all', yieldController.updateAllApy);
-router.post('/protocols/:protocolId/apy', yieldController.updateProtocolApy);
-router.post('/tvl/update-all', yieldController.updateAllTvl);
-router.post('/auto-harvests', yieldController.processAutoHarvests);
+// Staff routes
+router.patch('/transactions/:id/status', requirePermission(PERMISSIONS.TRANSACTIONS_UPDATE), yieldController.updateTransactionStatus);
+router.post('/protocols/:protocolId/sync', requirePermission(PERMISSIONS.YIELD_MANAGE), yieldController.syncProtocolOpportunities);
+router.post('/apy/update-all', requirePermission(PERMISSIONS.YIELD_MANAGE), yieldController.updateAllApy);
+router.post('/protocols/:protocolId/apy', requirePermission(PERMISSIONS.YIELD_MANAGE), yieldController.updateProtocolApy);
+router.post('/tvl/update-all', requirePermission(PERMISSIONS.YIELD_MANAGE), yieldController.updateAllTvl);
+router.post('/auto-harvests', requirePermission(PERMISSIONS.YIELD_MANAGE), yieldController.processAutoHarvests);
 
 module.exports = router;
@@ -4,6 +4,7 @@ const dotenv = require('dotenv');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const fs = require('fs');
@@ -16,6 +17,7 @@ dotenv.config();
 const connectDatabase = require('./config/database');
 const logger = require('./config/logger');
 const errorHandler = require('./middleware/error');
+const requestId = require('./middleware/requestId');
 
 // Load route files
 const authRoutes = require('./routes/auth');
@@ -30,6 +32,11 @@ const notificationRoutes = require('./routes/notifications');
 const analyticsRoutes = require('./routes/analytics');
 const websocketAdminRoutes = require('./routes/websocketAdmin');
 const rebalancingRoutes = require('./routes/rebalancingRoutes');
+const yieldRoutes = require('./routes/yieldRoutes');
+const chainRoutes = require('./routes/chains');
+const portfolioRoutes = require('./routes/portfolios');
+const taxRoutes = require('./routes/tax');
+const priceRoutes = require('./routes/prices');
 
 // Initialize Express app
 const app = express();
@@ -43,13 +50,20 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir);
 }
 
+// Request IDs
+app.use(requestId);
+
 // Body parser
 app.use(express.json());
 
+// Cookie parser (session, refresh and CSRF cookies)
+app.use(cookieParser());
+
 // Enable CORS
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Request-Id']
 }));
 
 // Security headers
@@ -82,6 +96,11 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/admin/websocket', websocketAdminRoutes);
 app.use('/api/rebalancing', rebalancingRoutes);
+app.use('/api/yield', yieldRoutes);
+app.use('/api/chains', chainRoutes);
+app.use('/api/portfolios', portfolioRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/prices', priceRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -111,11 +130,18 @@ const server = http.createServer(app);
 const websocketService = require('./utils/websocketService');
 websocketService.init(server);
 
+// Background job scheduler
+const jobScheduler = require('./services/JobScheduler');
+
 // Start server
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
   logger.info(`WebSocket server available at ws://localhost:${PORT}/ws`);
+
+  jobScheduler.start().catch(err => {
+    logger.error(`Job scheduler failed to start: ${err.message}`);
+  });
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../config/logger');
+
+// Keys look like oy_<16 hex prefix>_<secret>
+const KEY_PREFIX = 'oy_';
+const KEY_PATTERN = /^oy_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+
+const MAX_ACTIVE_KEYS = 20;
+const DEFAULT_LIFETIME_DAYS = 90;
+
+/**
+ * Routes API keys may call and the scope each needs. Anything not listed is
+ * refused, so keys cannot manage sessions, 2FA, wallets or other keys.
+ */
+const ROUTE_SCOPES = [
+  { scope: 'read:portfolio', methods: ['GET'], pattern: /^\/api\/dashboard\/?$/ },
+  { scope: 'read:portfolio', methods: ['GET'], pattern: /^\/api\/portfolios(\/|$)/ },
+  { scope: 'read:portfolio', methods: ['GET'], pattern: /^\/api\/tax(\/|$)/ },
+  { scope: 'read:portfolio', methods: ['GET'], pattern: /^\/api\/transactions(\/|$)/ },
+  { scope: 'read:portfolio', methods: ['GET'], pattern: /^\/api\/yield\/(investments|stats)(\/|$)/ },
+  { scope: 'read:portfolio', methods: ['GET'], pattern: /^\/api\/rebalancing\/(strategies|operations)(\/|$)/ },
+  { scope: 'write:rebalancing', methods: ['POST', 'PUT', 'DELETE'], pattern: /^\/api\/rebalancing\/(strategies|operations)(\/|$)/ },
+  { scope: 'write:investments', methods: ['POST', 'PATCH'], pattern: /^\/api\/yield\/investments(\/|$)/ }
+];
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * API Key Service
+ * Named, scoped keys for programmatic access.
+ *
+ * A key is accepted by protect() on the routes listed in ROUTE_SCOPES when it
+ * grants the route's scope, has not expired or been revoked and the client
+ * address is on its allowlist. Each request is rate limited per key and
+ * recorded as the key's last use. Step-up-guarded routes additionally need the
+ * step-up scope, which can only be granted by a request that passed step-up.
+ */
+class ApiKeyService {
+  /**
+   * Whether a bearer credential is an API key rather than an access token
+   * @param {string} token - Credential
+   * @returns {boolean} - True for API keys
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Create an API key
+   * @param {string} userId - Owner
+   * @param {Object} options - Key options
+   * @param {string} options.name - Display name
+   * @param {Array} options.scopes - Granted scopes
+   * @param {number} options.expiresInDays - Lifetime in days (default 90)
+   * @param {Array} options.ipAllowlist - Allowed IPs or CIDR ranges
+   * @param {number} options.rateLimit - Requests per rate limit window
+   * @param {boolean} options.stepUpVerified - Whether the request passed a two-factor step-up
+   * @returns {Promise<Object>} - { apiKey, key } where key is the secret, shown only once
+   */
+  async createKey(userId, { name, scopes, expiresInDays = DEFAULT_LIFETIME_DAYS, ipAllowlist = [], rateLimit, stepUpVerified = false } = {}) {
+    try {
+      const grantsStepUp = (scopes || []).includes(ApiKey.STEP_UP_SCOPE);
+      if (grantsStepUp && !stepUpVerified) {
+        throw new ErrorResponse(`Granting the '${ApiKey.STEP_UP_SCOPE}' scope requires two-factor confirmation`, 403);
+      }
+
+      const maxLifetimeDays = Number(process.env.API_KEY_MAX_LIFETIME_DAYS || 365);
+      const lifetimeDays = Number(expiresInDays);
+      if (!Number.isFinite(lifetimeDays) || lifetimeDays <= 0 || lifetimeDays > maxLifetimeDays) {
+        throw new ErrorResponse(`API keys must expire within 1 to ${maxLifetimeDays} days`, 400);
+      }
+
+      const activeKeys = await ApiKey.countDocuments({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+      if (activeKeys >= MAX_ACTIVE_KEYS) {
+        throw new ErrorResponse(`You can have at most ${MAX_ACTIVE_KEYS} active API keys`, 400);
+      }
+
+      const prefix = crypto.randomBytes(8).toString('hex');
+      const secret = crypto.randomBytes(32).toString('base64url');
+
+      const apiKey = await ApiKey.create({
+        userId,
+        name,
+        prefix,
+        keyHash: hash(secret),
+        scopes: [...new Set(scopes || [])],
+        ipAllowlist,
+        rateLimit,
+        stepUpApprovedAt: grantsStepUp ? new Date() : undefined,
+        expiresAt: new Date(Date.now() + lifetimeDays * 24 * 60 * 60 * 1000)
+      });
+
+      logger.info(`API key ${apiKey._id} (${apiKey.scopes.join(', ')}) created for user ${userId}`);
+
+      return {
+        apiKey: this.toPublic(apiKey),
+        key: `${KEY_PREFIX}${prefix}_${secret}`
+      };
+    } catch (error) {
+      logger.error(`Error creating API key: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * API keys of a user that have not been revoked
+   * @param {string} userId - Owner
+   * @returns {Promise<Array>} - Keys, newest first
+   */
+  async listKeys(userId) {
+    try {
+      const keys = await ApiKey.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+      return keys.map(apiKey => this.toPublic(apiKey));
+    } catch (error) {
+      logger.error(`Error listing API keys: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of a user's API keys
+   * @param {string} userId - Owner
+   * @param {string} keyId - API key ID
+   * @returns {Promise<Object>} - Revoked key
+   */
+  async revokeKey(userId, keyId) {
+    try {
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: keyId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!apiKey) {
+        throw new ErrorResponse('API key not found', 404);
+      }
+
+      logger.info(`API key ${apiKey._id} revoked by user ${userId}`);
+      return this.toPublic(apiKey);
+    } catch (error) {
+      logger.error(`Error revoking API key: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Authenticate a request made with an API key
+   * @param {string} key - Key from the request
+   * @param {Object} request - Request details
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Request path without query string
+   * @param {string} request.ipAddress - Client IP
+   * @returns {Promise<Object>} - { apiKey, user, scope }
+   */
+  async authenticate(key, { method, path, ipAddress }) {
+    const match = KEY_PATTERN.exec(key || '');
+    if (!match) {
+      throw new ErrorResponse('Invalid API key', 401);
+    }
+
+    const [, prefix, secret] = match;
+    const apiKey = await ApiKey.findOne({ prefix }).select('+keyHash');
+
+    if (!apiKey || !crypto.timingSafeEqual(Buffer.from(hash(secret)), Buffer.from(apiKey.keyHash))) {
+      throw new ErrorResponse('Invalid API key', 401);
+    }
+
+    if (!apiKey.isActive()) {
+      throw new ErrorResponse('API key has expired or was revoked', 401);
+    }
+
+    if (!apiKey.allowsIp(ipAddress)) {
+      logger.warn(`API key ${apiKey._id} used from address ${ipAddress} outside its allowlist`);
+      throw new ErrorResponse('API key is not allowed from this IP address', 403);
+    }
+
+    const scope = this.getRequiredScope(method, path);
+    if (!scope) {
+      throw new ErrorResponse('This route cannot be accessed with an API key', 403);
+    }
+    if (!apiKey.hasScope(scope)) {
+      throw new ErrorResponse(`API key is missing the '${scope}' scope`, 403);
+    }
+
+    const user = await User.findById(apiKey.userId);
+    if (!user) {
+      throw new ErrorResponse('User no longer exists', 401);
+    }
+
+    return { apiKey, user, scope };
+  }
+
+  /**
+   * Record a key's last use (failures are logged, not raised)
+   * @param {Object} apiKey - API key document
+   * @param {Object} usage - { ipAddress, userAgent, route }
+   */
+  recordUsage(apiKey, { ipAddress, userAgent, route }) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      {
+        $set: {
+          lastUsedAt: new Date(),
+          lastUsedIp: ipAddress,
+          lastUsedUserAgent: userAgent,
+          lastUsedRoute: route
+        },
+        $inc: { usageCount: 1 }
+      }
+    ).catch(error => {
+      logger.error(`Error recording API key usage: ${error.message}`);
+    });
+  }
+
+  /**
+   * Scope an API key needs for a route
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path without query string
+   * @returns {string|null} - Scope, or null when keys may not call the route
+   */
+  getRequiredScope(method, path) {
+    const rule = ROUTE_SCOPES.find(entry => entry.methods.includes(method) && entry.pattern.test(path));
+    return rule ? rule.scope : null;
+  }
+
+  /**
+   * Requests per window allowed for a key
+   * @param {Object} apiKey - API key document
+   * @returns {number} - Request limit
+   */
+  getRateLimit(apiKey) {
+    return apiKey.rateLimit || Number(process.env.API_KEY_RATE_LIMIT_MAX || 60);
+  }
+
+  /**
+   * Public view of a key (never includes the secret)
+   * @param {Object} apiKey - API key document
+   * @returns {Object} - Key details
+   */
+  toPublic(apiKey) {
+    return {
+      id: apiKey._id,
+      name: apiKey.name,
+      prefix: `${KEY_PREFIX}${apiKey.prefix}`,
+      scopes: apiKey.scopes,
+      ipAllowlist: apiKey.ipAllowlist,
+      rateLimit: this.getRateLimit(apiKey),
+      expiresAt: apiKey.expiresAt,
+      expired: apiKey.expiresAt <= new Date(),
+      lastUsedAt: apiKey.lastUsedAt,
+      lastUsedIp: apiKey.lastUsedIp,
+      lastUsedUserAgent: apiKey.lastUsedUserAgent,
+      lastUsedRoute: apiKey.lastUsedRoute,
+      usageCount: apiKey.usageCount,
+      stepUpApprovedAt: apiKey.stepUpApprovedAt,
+      createdAt: apiKey.createdAt
+    };
+  }
+}
+
+// Create and export a singleton instance
+const apiKeyService = new ApiKeyService();
+module.exports = apiKeyService;
@@ -0,0 +1,426 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const ErrorResponse = require('../utils/errorResponse');
+const { toCsv } = require('../utils/csv');
+const logger = require('../config/logger');
+
+// previousHash of the first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Attempts at appending when another server instance took the same sequence
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Bookkeeping fields left out of diffs
+const IGNORED_FIELDS = ['__v', 'updatedAt'];
+
+// Secrets never copied into the log, matched on the last path segment
+const REDACTED_FIELDS = [
+  'password',
+  'secret',
+  'pendingSecret',
+  'backupCodes',
+  'keyHash',
+  'refreshTokenHash',
+  'previousTokenHashes',
+  'csrfTokenHash',
+  'resetPasswordToken',
+  'verificationToken'
+];
+
+const EXPORT_COLUMNS = [
+  { header: 'sequence', key: 'sequence' },
+  { header: 'createdAt', key: 'createdAt' },
+  { header: 'actorId', value: entry => entry.actor && entry.actor.userId },
+  { header: 'actorUsername', value: entry => entry.actor && entry.actor.username },
+  { header: 'actorRole', value: entry => entry.actor && entry.actor.role },
+  { header: 'apiKeyId', value: entry => entry.actor && entry.actor.apiKeyId },
+  { header: 'action', key: 'action' },
+  { header: 'targetType', value: entry => entry.target && entry.target.type },
+  { header: 'targetId', value: entry => entry.target && entry.target.id },
+  { header: 'changes', value: entry => JSON.stringify(entry.changes || []) },
+  { header: 'metadata', value: entry => (entry.metadata ? JSON.stringify(entry.metadata) : '') },
+  { header: 'ipAddress', key: 'ipAddress' },
+  { header: 'userAgent', key: 'userAgent' },
+  { header: 'requestId', key: 'requestId' },
+  { header: 'previousHash', key: 'previousHash' },
+  { header: 'hash', key: 'hash' }
+];
+
+const isPlainObject = (value) => Object.prototype.toString.call(value) === '[object Object]';
+
+/**
+ * Deterministic form of a value for hashing: sorted keys, dates as ISO
+ * strings, ObjectIds as hex, undefined and empty objects dropped (as MongoDB
+ * stores them)
+ */
+const canonicalize = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && value._bsontype === 'ObjectId') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => (item === undefined ? null : canonicalize(item)));
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    Object.keys(value).sort().forEach((key) => {
+      const item = canonicalize(value[key]);
+      if (item !== undefined && !(isPlainObject(item) && Object.keys(item).length === 0)) {
+        result[key] = item;
+      }
+    });
+    return result;
+  }
+  return value;
+};
+
+/**
+ * Flatten a snapshot into dotted paths; arrays are compared whole
+ */
+const flatten = (value, prefix = '', result = {}) => {
+  Object.keys(value || {}).forEach((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value[key]) && Object.keys(value[key]).length > 0) {
+      flatten(value[key], path, result);
+    } else {
+      result[path] = value[key];
+    }
+  });
+  return result;
+};
+
+/**
+ * Audit Service
+ * Writes and reads the hash-chained audit log of staff actions.
+ *
+ * Each entry's hash covers its content and the previous entry's hash, so a
+ * changed, removed or reordered entry shows up in verifyChain(). Entries are
+ * appended one at a time per process; a unique sequence index catches races
+ * between server instances, which then retry.
+ */
+class AuditService {
+  constructor() {
+    this.appendQueue = Promise.resolve();
+  }
+
+  /**
+   * Plain copy of a document (or object) to diff later
+   * @param {Object} doc - Mongoose document or plain object
+   * @returns {Object} - Snapshot
+   */
+  snapshot(doc) {
+    if (!doc) {
+      return {};
+    }
+
+    const value = typeof doc.toObject === 'function'
+      ? doc.toObject({ depopulate: true, getters: true, virtuals: false })
+      : doc;
+
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Fields that differ between two snapshots
+   * @param {Object} before - Snapshot before the action
+   * @param {Object} after - Snapshot after the action
+   * @returns {Array} - [{ field, before, after }]
+   */
+  diff(before = {}, after = {}) {
+    const flatBefore = flatten(this.snapshot(before));
+    const flatAfter = flatten(this.snapshot(after));
+    const fields = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])].sort();
+
+    return fields
+      .filter(field => !IGNORED_FIELDS.includes(field.split('.').pop()))
+      .filter(field => JSON.stringify(flatBefore[field]) !== JSON.stringify(flatAfter[field]))
+      .map((field) => {
+        const redacted = REDACTED_FIELDS.includes(field.split('.').pop());
+        return {
+          field,
+          before: redacted ? '[redacted]' : (flatBefore[field] === undefined ? null : flatBefore[field]),
+          after: redacted ? '[redacted]' : (flatAfter[field] === undefined ? null : flatAfter[field])
+        };
+      });
+  }
+
+  /**
+   * Record a staff action. Failures are logged and never fail the action itself
+   * @param {Object} req - Express request (actor, IP, user agent, request ID)
+   * @param {Object} entry - What happened
+   * @param {string} entry.action - Action name, e.g. 'strategy.apy.update'
+   * @param {string} entry.targetType - Kind of record acted on, e.g. 'Strategy'
+   * @param {string} entry.targetId - ID of the record acted on
+   * @param {Object} entry.before - Snapshot before the action
+   * @param {Object} entry.after - Snapshot after the action
+   * @param {Object} entry.metadata - Other details
+   * @returns {Promise<Object|null>} - Stored entry, or null when it could not be written
+   */
+  async record(req, { action, targetType, targetId, before, after, metadata } = {}) {
+    const user = req.user;
+    const entry = {
+      actor: {
+        userId: user ? user._id : undefined,
+        username: user ? user.username : undefined,
+        email: user ? user.email : undefined,
+        role: user ? user.role : undefined,
+        apiKeyId: req.apiKey ? req.apiKey._id : undefined
+      },
+      action,
+      target: {
+        type: targetType,
+        id: targetId ? targetId.toString() : undefined
+      },
+      changes: before || after ? this.diff(before, after) : [],
+      metadata: metadata ? this.snapshot(metadata) : undefined,
+      ipAddress: req.ip,
+      userAgent: req.get ? req.get('User-Agent') : undefined,
+      requestId: req.id
+    };
+
+    // Chain appends in order within this process
+    const append = this.appendQueue.then(() => this._append(entry));
+    this.appendQueue = append.catch(() => {});
+
+    try {
+      return await append;
+    } catch (error) {
+      logger.error(`Error writing audit log entry for ${action}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Search the audit log
+   * @param {Object} filters - Query filters (see _buildQuery)
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} - { entries, total }
+   */
+  async query(filters = {}, { page = 1, limit = 50 } = {}) {
+    try {
+      const query = this._buildQuery(filters);
+      const [entries, total] = await Promise.all([
+        AuditLog.find(query)
+          .sort({ sequence: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditLog.countDocuments(query)
+      ]);
+
+      return { entries, total };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error querying audit log: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Export matching entries as CSV, oldest first
+   * @param {Object} filters - Query filters (see _buildQuery)
+   * @returns {Promise<Object>} - { csv, count, truncated }
+   */
+  async exportCsv(filters = {}) {
+    try {
+      const maxRows = Number(process.env.AUDIT_EXPORT_MAX_ROWS || 10000);
+      const entries = await AuditLog.find(this._buildQuery(filters))
+        .sort({ sequence: 1 })
+        .limit(maxRows + 1)
+        .lean();
+
+      const truncated = entries.length > maxRows;
+      const rows = truncated ? entries.slice(0, maxRows) : entries;
+
+      return {
+        csv: toCsv(EXPORT_COLUMNS, rows),
+        count: rows.length,
+        truncated
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error exporting audit log: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check the hash chain
+   * @param {Object} options - { fromSequence } to start part way through
+   * @returns {Promise<Object>} - { valid, checked, lastSequence, brokenAt: { sequence, reason } }
+   */
+  async verifyChain({ fromSequence = 1 } = {}) {
+    try {
+      let previousHash = GENESIS_HASH;
+      if (fromSequence > 1) {
+        const previous = await AuditLog.findOne({ sequence: fromSequence - 1 }).select('hash').lean();
+        if (!previous) {
+          return this._chainBroken(0, fromSequence - 1, 'Entry is missing');
+        }
+        previousHash = previous.hash;
+      }
+
+      let expectedSequence = fromSequence;
+      let checked = 0;
+      const cursor = AuditLog.find({ sequence: { $gte: fromSequence } }).sort({ sequence: 1 }).cursor();
+
+      for await (const entry of cursor) {
+        if (entry.sequence !== expectedSequence) {
+          return this._chainBroken(checked, expectedSequence, 'Entry is missing');
+        }
+        if (entry.previousHash !== previousHash) {
+          return this._chainBroken(checked, entry.sequence, 'Previous hash does not match');
+        }
+        if (this._hash(entry.toObject(), entry.previousHash) !== entry.hash) {
+          return this._chainBroken(checked, entry.sequence, 'Entry content does not match its hash');
+        }
+
+        previousHash = entry.hash;
+        expectedSequence++;
+        checked++;
+      }
+
+      return {
+        valid: true,
+        checked,
+        lastSequence: expectedSequence - 1
+      };
+    } catch (error) {
+      logger.error(`Error verifying audit log: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Append an entry after the current last one
+   * @private
+   */
+  async _append(entry) {
+    for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+      const last = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+
+      const doc = new AuditLog({
+        ...entry,
+        sequence: last ? last.sequence + 1 : 1,
+        createdAt: new Date(),
+        previousHash: last ? last.hash : GENESIS_HASH
+      });
+      doc.hash = this._hash(doc.toObject(), doc.previousHash);
+
+      try {
+        return await doc.save();
+      } catch (error) {
+        // Another instance appended first; chain onto its entry instead
+        if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Hash of an entry's content chained to the previous hash
+   * @private
+   */
+  _hash(entry, previousHash) {
+    const content = canonicalize({
+      sequence: entry.sequence,
+      actor: entry.actor,
+      action: entry.action,
+      target: entry.target,
+      changes: entry.changes,
+      metadata: entry.metadata,
+      ipAddress: entry.ipAddress,
+      userAgent: entry.userAgent,
+      requestId: entry.requestId,
+      createdAt: entry.createdAt
+    });
+
+    return crypto
+      .createHash('sha256')
+      .update(previousHash)
+      .update(JSON.stringify(content))
+      .digest('hex');
+  }
+
+  /**
+   * Result of a failed chain check
+   * @private
+   */
+  _chainBroken(checked, sequence, reason) {
+    logger.warn(`Audit log chain broken at sequence ${sequence}: ${reason}`);
+    return {
+      valid: false,
+      checked,
+      brokenAt: { sequence, reason }
+    };
+  }
+
+  /**
+   * Mongo query for the audit filters
+   * @param {Object} filters - { actorId, action, targetType, targetId, requestId, from, to }
+   * @returns {Object} - Query
+   * @private
+   */
+  _buildQuery({ actorId, action, targetType, targetId, requestId, from, to } = {}) {
+    const query = {};
+
+    if (actorId) {
+      if (!mongoose.isValidObjectId(actorId)) {
+        throw new ErrorResponse('Invalid actor ID', 400);
+      }
+      query['actor.userId'] = actorId;
+    }
+
+    // Several actions can be given comma separated; 'strategy.*' matches a prefix
+    if (action) {
+      const actions = action.split(',').map(item => item.trim()).filter(Boolean);
+      query.$or = actions.map(item => (item.endsWith('.*')
+        ? { action: new RegExp(`^${item.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`) }
+        : { action: item }));
+    }
+
+    if (targetType) {
+      query['target.type'] = targetType;
+    }
+    if (targetId) {
+      query['target.id'] = targetId;
+    }
+    if (requestId) {
+      query.requestId = requestId;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) {
+        query.createdAt.$gte = this._parseDate(from, 'from');
+      }
+      if (to) {
+        query.createdAt.$lte = this._parseDate(to, 'to');
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * @private
+   */
+  _parseDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new ErrorResponse(`Invalid '${name}' date`, 400);
+    }
+    return date;
+  }
+}
+
+// Create and export a singleton instance
+const auditService = new AuditService();
+module.exports = auditService;
@@ -0,0 +1,419 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('../config/logger');
+const ErrorResponse = require('../utils/errorResponse');
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, '../config/chains.json');
+const CHAIN_TYPES = ['evm', 'substrate'];
+const WATCH_INTERVAL_MS = 5000;
+const FALLBACK_STALL_TIMEOUT_MS = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Chain Registry
+ * Single source of chain metadata: chain and parachain IDs, RPC/WS endpoints
+ * with fallbacks, block times, native assets, explorers and XCM reachability.
+ *
+ * Chains are read from a JSON file (CHAIN_REGISTRY_FILE, default
+ * config/chains.json) and can be reloaded without a restart, either through
+ * the admin API or by setting CHAIN_REGISTRY_WATCH=true. A reload that fails
+ * validation keeps the previous registry.
+ *
+ * Endpoints can be prepended per chain with CHAIN_RPC_URL_<ID> and
+ * CHAIN_WS_URL_<ID> (comma separated); these are never served publicly, so
+ * they can carry API keys.
+ */
+class ChainRegistry {
+  constructor() {
+    this.filePath = path.resolve(process.env.CHAIN_REGISTRY_FILE || DEFAULT_REGISTRY_FILE);
+    this.chains = new Map();
+    this.aliases = new Map();
+    this.xcmAssets = {};
+    this.providers = new Map();
+    this.loadedAt = null;
+    this.watching = false;
+
+    this._apply(this._read());
+
+    if (process.env.CHAIN_REGISTRY_WATCH === 'true') {
+      this.watch();
+    }
+  }
+
+  /**
+   * Reload the registry from its file
+   * @returns {Object} - Reload summary
+   */
+  reload() {
+    try {
+      const registry = this._read();
+      this._apply(registry);
+      logger.info(`Chain registry reloaded with ${this.chains.size} chains`);
+
+      return { chains: this.chains.size, loadedAt: this.loadedAt, file: this.filePath };
+    } catch (error) {
+      logger.error(`Error reloading chain registry: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reload the registry whenever its file changes
+   */
+  watch() {
+    if (this.watching) {
+      return;
+    }
+
+    this.watching = true;
+    fs.watchFile(this.filePath, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) {
+        return;
+      }
+      try {
+        this.reload();
+      } catch (error) {
+        // Keep serving the previous registry until the file is fixed
+      }
+    }).unref();
+  }
+
+  /**
+   * Canonical ID of a chain from its ID, alias or hex EVM chain ID
+   * @param {string|number} chainId - Chain ID, alias or 0x-prefixed EVM chain ID
+   * @returns {string|null} - Registry ID
+   */
+  resolveId(chainId) {
+    if (chainId === undefined || chainId === null || chainId === '') {
+      return null;
+    }
+
+    let key = String(chainId).trim();
+    if (/^0x[0-9a-fA-F]+$/.test(key)) {
+      key = String(parseInt(key, 16));
+    }
+    key = key.toLowerCase();
+
+    if (this.chains.has(key)) {
+      return key;
+    }
+    return this.aliases.get(key) || null;
+  }
+
+  /**
+   * Whether a chain is registered
+   * @param {string} chainId - Chain ID or alias
+   * @returns {boolean}
+   */
+  has(chainId) {
+    return this.resolveId(chainId) !== null;
+  }
+
+  /**
+   * Get a chain
+   * @param {string} chainId - Chain ID or alias
+   * @returns {Object|null} - Chain metadata
+   */
+  get(chainId) {
+    const id = this.resolveId(chainId);
+    return id ? this.chains.get(id) : null;
+  }
+
+  /**
+   * Get a chain, failing when it is not registered
+   * @param {string} chainId - Chain ID or alias
+   * @returns {Object} - Chain metadata
+   */
+  require(chainId) {
+    const chain = this.get(chainId);
+    if (!chain) {
+      throw new ErrorResponse(`Unknown chain: ${chainId}`, 400);
+    }
+    return chain;
+  }
+
+  /**
+   * List chains
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.type - evm or substrate
+   * @param {string} filters.relay - Relay chain of substrate chains
+   * @param {boolean} filters.xcm - Only chains that can send XCM
+   * @param {boolean} filters.includeTestnets - Include test networks
+   * @returns {Array} - Chains
+   */
+  list(filters = {}) {
+    return Array.from(this.chains.values()).filter(chain => {
+      if (filters.type && chain.type !== filters.type) return false;
+      if (filters.relay && chain.relay !== filters.relay) return false;
+      if (filters.xcm && !chain.xcm) return false;
+      if (!filters.includeTestnets && chain.testnet) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Chain metadata safe to serve publicly
+   * @param {Object} chain - Chain metadata
+   * @returns {Object} - Public chain description
+   */
+  toPublic(chain) {
+    return {
+      id: chain.id,
+      name: chain.name,
+      type: chain.type,
+      aliases: chain.aliases,
+      description: chain.description,
+      icon: chain.icon,
+      testnet: chain.testnet,
+      evmChainId: chain.evmChainId,
+      relay: chain.relay,
+      paraId: chain.paraId,
+      ss58Format: chain.ss58Format,
+      rpcUrls: chain.rpcUrls,
+      wsUrls: chain.wsUrls,
+      blockTimeMs: chain.blockTimeMs,
+      nativeAsset: chain.nativeAsset,
+      explorers: chain.explorers,
+      xcm: chain.xcm
+        ? {
+          version: chain.xcm.version,
+          accountType: chain.xcm.accountType,
+          assets: chain.xcm.assets,
+          teleport: chain.xcm.teleport,
+          reachable: this.getXcmReachable(chain.id)
+        }
+        : null
+    };
+  }
+
+  /**
+   * HTTP RPC endpoints of a chain in fallback order
+   * @param {string} chainId - Chain ID or alias
+   * @returns {string[]} - Endpoint URLs
+   */
+  getRpcUrls(chainId) {
+    const chain = this.require(chainId);
+    return [...this._envEndpoints('CHAIN_RPC_URL', chain.id), ...chain.rpcUrls];
+  }
+
+  /**
+   * WebSocket endpoints of a chain in fallback order
+   * @param {string} chainId - Chain ID or alias
+   * @returns {string[]} - Endpoint URLs
+   */
+  getWsEndpoints(chainId) {
+    const chain = this.require(chainId);
+    return [...this._envEndpoints('CHAIN_WS_URL', chain.id), ...chain.wsUrls];
+  }
+
+  /**
+   * Get (and cache) an ethers provider for an EVM chain, falling back across
+   * its RPC endpoints
+   * @param {string} chainId - Chain ID or alias
+   * @returns {ethers.providers.Provider} - Provider
+   */
+  getEvmProvider(chainId) {
+    const chain = this.require(chainId);
+    const urls = this.getRpcUrls(chain.id);
+    const network = chain.evmChainId || parseInt(chain.id, 10);
+
+    if (urls.length === 0 || !network) {
+      throw new Error(`Chain ${chain.id} has no EVM RPC endpoint`);
+    }
+
+    if (!this.providers.has(chain.id)) {
+      const provider = urls.length === 1
+        ? new ethers.providers.StaticJsonRpcProvider(urls[0], network)
+        : new ethers.providers.FallbackProvider(urls.map((url, index) => ({
+          provider: new ethers.providers.StaticJsonRpcProvider(url, network),
+          priority: index + 1,
+          stallTimeout: FALLBACK_STALL_TIMEOUT_MS,
+          weight: 1
+        })), 1);
+      this.providers.set(chain.id, provider);
+    }
+
+    return this.providers.get(chain.id);
+  }
+
+  /**
+   * Average blocks produced per day
+   * @param {string} chainId - Chain ID or alias
+   * @returns {number}
+   */
+  getBlocksPerDay(chainId) {
+    return Math.round(DAY_MS / this.require(chainId).blockTimeMs);
+  }
+
+  /**
+   * Explorer link for a transaction or address
+   * @param {string} chainId - Chain ID or alias
+   * @param {Object} target - {txHash} or {address}
+   * @returns {string|null} - URL
+   */
+  getExplorerUrl(chainId, { txHash, address } = {}) {
+    const explorer = this.require(chainId).explorers[0];
+    if (!explorer) {
+      return null;
+    }
+    if (txHash) {
+      return explorer.url + explorer.txPath.replace('{hash}', txHash);
+    }
+    if (address) {
+      return explorer.url + explorer.addressPath.replace('{address}', address);
+    }
+    return explorer.url;
+  }
+
+  /**
+   * Chains an XCM message from this chain can reach: the chain's explicit list,
+   * otherwise every XCM-enabled chain on the same relay
+   * @param {string} chainId - Chain ID or alias
+   * @returns {string[]} - Chain IDs
+   */
+  getXcmReachable(chainId) {
+    const chain = this.require(chainId);
+    if (!chain.xcm) {
+      return [];
+    }
+    if (chain.xcm.reachable) {
+      return chain.xcm.reachable.filter(id => this.chains.has(id) && this.chains.get(id).xcm);
+    }
+    return this.list({ relay: chain.relay, xcm: true, includeTestnets: true })
+      .filter(other => other.id !== chain.id)
+      .map(other => other.id);
+  }
+
+  /**
+   * XCM asset definition (reserve chain and junctions) on a relay network
+   * @param {string} relay - Relay chain ID
+   * @param {string} symbol - Asset symbol
+   * @returns {Object|null}
+   */
+  getXcmAsset(relay, symbol) {
+    const assets = this.xcmAssets[relay] || {};
+    const asset = symbol && assets[symbol.toUpperCase()];
+    return asset ? { symbol: symbol.toUpperCase(), ...asset } : null;
+  }
+
+  /**
+   * @private
+   */
+  _read() {
+    let registry;
+    try {
+      registry = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new ErrorResponse(`Could not read chain registry ${this.filePath}: ${error.message}`, 500);
+    }
+
+    if (!Array.isArray(registry.chains)) {
+      throw new ErrorResponse('Chain registry must contain a chains array', 500);
+    }
+
+    const ids = new Set();
+    const chains = registry.chains.map(entry => {
+      const chain = this._normalize(entry);
+      if (ids.has(chain.id)) {
+        throw new ErrorResponse(`Duplicate chain ID in registry: ${chain.id}`, 500);
+      }
+      ids.add(chain.id);
+      return chain;
+    });
+
+    for (const chain of chains) {
+      if (chain.relay && !ids.has(chain.relay)) {
+        throw new ErrorResponse(`Chain ${chain.id} references unknown relay chain ${chain.relay}`, 500);
+      }
+    }
+
+    for (const [relay, assets] of Object.entries(registry.xcmAssets || {})) {
+      for (const [symbol, asset] of Object.entries(assets)) {
+        if (!ids.has(asset.reserve)) {
+          throw new ErrorResponse(`XCM asset ${relay}:${symbol} references unknown reserve chain ${asset.reserve}`, 500);
+        }
+      }
+    }
+
+    return { chains, xcmAssets: registry.xcmAssets || {} };
+  }
+
+  /**
+   * Validate a registry entry and fill in defaults
+   * @private
+   */
+  _normalize(entry) {
+    const id = entry && entry.id !== undefined ? String(entry.id).toLowerCase() : null;
+    const problems = [];
+
+    if (!id) problems.push('id is required');
+    if (!entry.name) problems.push('name is required');
+    if (!CHAIN_TYPES.includes(entry.type)) problems.push(`type must be one of ${CHAIN_TYPES.join(', ')}`);
+    if (!entry.nativeAsset || !entry.nativeAsset.symbol || entry.nativeAsset.decimals === undefined) {
+      problems.push('nativeAsset needs a symbol and decimals');
+    }
+    if (!(entry.blockTimeMs > 0)) problems.push('blockTimeMs must be positive');
+    if (entry.type === 'evm' && !(entry.rpcUrls || []).length) problems.push('EVM chains need at least one rpcUrl');
+    if (entry.type === 'substrate' && !(entry.wsUrls || []).length) problems.push('substrate chains need at least one wsUrl');
+
+    if (problems.length > 0) {
+      throw new ErrorResponse(`Invalid chain registry entry ${id || '(unnamed)'}: ${problems.join('; ')}`, 500);
+    }
+
+    return Object.freeze({
+      id,
+      name: entry.name,
+      type: entry.type,
+      aliases: (entry.aliases || []).map(alias => String(alias).toLowerCase()),
+      description: entry.description || '',
+      icon: entry.icon || null,
+      testnet: Boolean(entry.testnet),
+      evmChainId: entry.evmChainId || (entry.type === 'evm' ? parseInt(id, 10) : null),
+      relay: entry.relay || null,
+      paraId: entry.paraId === undefined ? null : entry.paraId,
+      ss58Format: entry.ss58Format === undefined ? null : entry.ss58Format,
+      rpcUrls: entry.rpcUrls || [],
+      wsUrls: entry.wsUrls || [],
+      blockTimeMs: entry.blockTimeMs,
+      nativeAsset: entry.nativeAsset,
+      explorers: entry.explorers || [],
+      xcm: entry.xcm || null
+    });
+  }
+
+  /**
+   * Swap in a freshly read registry
+   * @private
+   */
+  _apply({ chains, xcmAssets }) {
+    const byId = new Map();
+    const aliases = new Map();
+
+    for (const chain of chains) {
+      byId.set(chain.id, chain);
+      for (const alias of chain.aliases) {
+        aliases.set(alias, chain.id);
+      }
+    }
+
+    this.chains = byId;
+    this.aliases = aliases;
+    this.xcmAssets = xcmAssets;
+    // Providers are rebuilt from the new endpoints on next use
+    this.providers = new Map();
+    this.loadedAt = new Date();
+  }
+
+  /**
+   * @private
+   */
+  _envEndpoints(prefix, chainId) {
+    const value = process.env[`${prefix}_${chainId.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`];
+    return value ? value.split(',').map(url => url.trim()).filter(Boolean) : [];
+  }
+}
+
+// Create and export a singleton instance
+const chainRegistry = new ChainRegistry();
+module.exports = chainRegistry;
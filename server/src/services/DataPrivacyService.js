@@ -0,0 +1,549 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const DataRequest = require('../models/DataRequest');
+const User = require('../models/User');
+const MetaMaskConnection = require('../models/MetaMaskConnection');
+const PolkadotWallet = require('../models/PolkadotWallet');
+const Transaction = require('../models/Transaction');
+const Investment = require('../models/Investment');
+const Portfolio = require('../models/Portfolio');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const Notification = require('../models/Notification');
+const RebalancingStrategy = require('../models/RebalancingStrategy');
+const RebalancingOperation = require('../models/RebalancingOperation');
+const ReconciliationItem = require('../models/ReconciliationItem');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const AuthChallenge = require('../models/AuthChallenge');
+const { AnalyticsEvent } = require('../utils/analyticsService');
+const NotificationService = require('../utils/notificationService');
+const websocketService = require('../utils/websocketService');
+const auditService = require('./AuditService');
+const ErrorResponse = require('../utils/errorResponse');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Requests picked up per job run
+const EXPORT_BATCH_SIZE = 5;
+const DELETION_BATCH_SIZE = 20;
+
+// Wait before retrying an erasure that failed part way
+const DELETION_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Analytics properties that can identify a person
+const PERSONAL_EVENT_PROPERTIES = ['walletAddress', 'query', 'referrer', 'email', 'ipAddress'];
+
+// User fields never included in an export
+const USER_SECRET_FIELDS = ['password', 'twoFactor', 'verificationToken', 'resetPasswordToken', 'resetPasswordExpire'];
+
+/**
+ * Collections in an export, each as <name>.json in the archive
+ */
+const EXPORT_SECTIONS = [
+  { name: 'metamask-connections', model: MetaMaskConnection, field: 'userId' },
+  { name: 'polkadot-wallets', model: PolkadotWallet, field: 'userId' },
+  { name: 'transactions', model: Transaction, field: 'userId' },
+  { name: 'investments', model: Investment, field: 'user' },
+  { name: 'portfolios', model: Portfolio, field: 'user' },
+  { name: 'portfolio-snapshots', model: PortfolioSnapshot, field: 'user' },
+  { name: 'rebalancing-strategies', model: RebalancingStrategy, field: 'user' },
+  { name: 'rebalancing-operations', model: RebalancingOperation, field: 'user' },
+  { name: 'reconciliation-items', model: ReconciliationItem, field: 'user' },
+  { name: 'notifications', model: Notification, field: 'userId' },
+  { name: 'analytics-events', model: AnalyticsEvent, field: 'userId' },
+  { name: 'sessions', model: Session, field: 'userId' },
+  { name: 'api-keys', model: ApiKey, field: 'userId' },
+  { name: 'data-requests', model: DataRequest, field: 'userId' }
+];
+
+/**
+ * Financial records that must be retained; on erasure they keep their data
+ * but the user reference is replaced by a pseudonym
+ */
+const RETAINED_RECORDS = [
+  { name: 'transactions', model: Transaction, field: 'userId' },
+  { name: 'investments', model: Investment, field: 'user' },
+  { name: 'rebalancingOperations', model: RebalancingOperation, field: 'user' },
+  { name: 'reconciliationItems', model: ReconciliationItem, field: 'user' }
+];
+
+/**
+ * Records deleted outright on erasure
+ */
+const ERASED_RECORDS = [
+  { name: 'metamaskConnections', model: MetaMaskConnection, field: 'userId' },
+  { name: 'polkadotWallets', model: PolkadotWallet, field: 'userId' },
+  { name: 'portfolios', model: Portfolio, field: 'user' },
+  { name: 'portfolioSnapshots', model: PortfolioSnapshot, field: 'user' },
+  { name: 'rebalancingStrategies', model: RebalancingStrategy, field: 'user' },
+  { name: 'notifications', model: Notification, field: 'userId' },
+  { name: 'sessions', model: Session, field: 'userId' },
+  { name: 'apiKeys', model: ApiKey, field: 'userId' },
+  { name: 'authChallenges', model: AuthChallenge, field: 'userId' }
+];
+
+/**
+ * Data Privacy Service
+ * Self-service personal data exports and account erasure.
+ *
+ * Exports are built by the dataExports job as a zip archive with one JSON file
+ * per collection, kept for DATA_EXPORT_RETENTION_DAYS. Deletions are scheduled
+ * after a cooling-off period (ACCOUNT_DELETION_COOLING_OFF_DAYS) during which
+ * the user can cancel; the accountDeletions job then erases the account.
+ * Financial records are retained under a pseudonym and analytics events are
+ * pseudonymized, everything else tied to the user is deleted.
+ */
+class DataPrivacyService {
+  /**
+   * Request an export of the user's data
+   * @param {string} userId - User ID
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} - Export request
+   */
+  async requestExport(userId, { ipAddress, userAgent } = {}) {
+    try {
+      const inProgress = await DataRequest.exists({
+        userId,
+        type: 'export',
+        status: { $in: ['pending', 'processing'] }
+      });
+      if (inProgress) {
+        throw new ErrorResponse('An export of your data is already being prepared', 409);
+      }
+
+      return await DataRequest.create({
+        userId,
+        type: 'export',
+        status: 'pending',
+        ipAddress,
+        userAgent
+      });
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error requesting data export for user ${userId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List the user's exports, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Export requests
+   */
+  async listExports(userId) {
+    return DataRequest.find({ userId, type: 'export' })
+      .sort({ createdAt: -1 })
+      .limit(20);
+  }
+
+  /**
+   * Get an export archive the user may download
+   * @param {string} userId - User ID
+   * @param {string} requestId - Export request ID
+   * @returns {Promise<Object>} - { path, name }
+   */
+  async getExportFile(userId, requestId) {
+    const request = await DataRequest.findOne({ _id: requestId, userId, type: 'export' })
+      .select('+file.path');
+
+    if (!request) {
+      throw new ErrorResponse('Export not found', 404);
+    }
+    if (!request.isDownloadable() || !request.file.path || !fs.existsSync(request.file.path)) {
+      throw new ErrorResponse('This export is not available for download', 410);
+    }
+
+    return { path: request.file.path, name: request.file.name };
+  }
+
+  /**
+   * Build pending exports (dataExports job)
+   * @returns {Promise<Object>} - { processed, completed, failed, expired }
+   */
+  async processPendingExports() {
+    const results = { processed: 0, completed: 0, failed: 0, expired: 0 };
+
+    for (let i = 0; i < EXPORT_BATCH_SIZE; i++) {
+      // Claim one request at a time so several instances never build the same export
+      const request = await DataRequest.findOneAndUpdate(
+        { type: 'export', status: 'pending' },
+        { status: 'processing', startedAt: new Date() },
+        { new: true, sort: { createdAt: 1 } }
+      );
+      if (!request) {
+        break;
+      }
+
+      results.processed++;
+      try {
+        await this._buildExport(request);
+        results.completed++;
+      } catch (error) {
+        logger.error(`Error building data export ${request._id}: ${error.message}`);
+        request.status = 'failed';
+        request.error = error.message;
+        await request.save();
+        results.failed++;
+      }
+    }
+
+    results.expired = await this.removeExpiredExports();
+    return results;
+  }
+
+  /**
+   * Delete archives past their retention period
+   * @returns {Promise<number>} - Number of exports expired
+   */
+  async removeExpiredExports() {
+    const expired = await DataRequest.find({
+      type: 'export',
+      status: 'completed',
+      expiresAt: { $lte: new Date() }
+    }).select('+file.path');
+
+    for (const request of expired) {
+      await this._removeFile(request.file.path);
+      request.status = 'expired';
+      request.file.path = undefined;
+      await request.save();
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Schedule deletion of the user's account after the cooling-off period
+   * @param {Object} user - User document
+   * @param {Object} options - { password, ipAddress, userAgent }
+   * @returns {Promise<Object>} - Deletion request
+   */
+  async requestDeletion(user, { password, ipAddress, userAgent } = {}) {
+    try {
+      // Accounts with a password confirm it; wallet accounts confirmed via step-up
+      if (user.signupMethod === 'password') {
+        const withPassword = await User.findById(user._id).select('+password');
+        if (!password || !(await withPassword.matchPassword(password))) {
+          throw new ErrorResponse('Password is incorrect', 401);
+        }
+      }
+
+      if (await DataRequest.findScheduledDeletion(user._id)) {
+        throw new ErrorResponse('Your account is already scheduled for deletion', 409);
+      }
+
+      await this._assertNoOpenPositions(user._id);
+
+      const coolingOffDays = Number(process.env.ACCOUNT_DELETION_COOLING_OFF_DAYS || 14);
+      const request = await DataRequest.create({
+        userId: user._id,
+        type: 'deletion',
+        status: 'scheduled',
+        scheduledFor: new Date(Date.now() + coolingOffDays * DAY_MS),
+        ipAddress,
+        userAgent
+      });
+
+      await this._notify(user._id, 'Account deletion scheduled',
+        `Your account will be deleted on ${request.scheduledFor.toUTCString()}. You can cancel this from your settings until then.`);
+
+      logger.info(`Account deletion scheduled for user ${user._id} on ${request.scheduledFor.toISOString()}`);
+      return request;
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error scheduling deletion for user ${user._id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user's scheduled deletion
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Deletion request
+   */
+  async getScheduledDeletion(userId) {
+    return DataRequest.findScheduledDeletion(userId);
+  }
+
+  /**
+   * Cancel a scheduled deletion during the cooling-off period
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Cancelled request
+   */
+  async cancelDeletion(userId) {
+    try {
+      const request = await DataRequest.findOneAndUpdate(
+        { userId, type: 'deletion', status: 'scheduled' },
+        { status: 'cancelled', cancelledAt: new Date() },
+        { new: true }
+      );
+
+      if (!request) {
+        throw new ErrorResponse('Your account is not scheduled for deletion', 404);
+      }
+
+      await this._notify(userId, 'Account deletion cancelled', 'Your account will not be deleted.');
+
+      logger.info(`Account deletion cancelled for user ${userId}`);
+      return request;
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error cancelling deletion for user ${userId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Erase accounts whose cooling-off period has ended (accountDeletions job)
+   * @returns {Promise<Object>} - { processed, erased, failed }
+   */
+  async processDueDeletions() {
+    const results = { processed: 0, erased: 0, failed: 0 };
+
+    for (let i = 0; i < DELETION_BATCH_SIZE; i++) {
+      const request = await DataRequest.findOneAndUpdate(
+        { type: 'deletion', status: 'scheduled', scheduledFor: { $lte: new Date() } },
+        { status: 'processing', startedAt: new Date() },
+        { new: true, sort: { scheduledFor: 1 } }
+      );
+      if (!request) {
+        break;
+      }
+
+      results.processed++;
+      try {
+        await this.eraseUser(request);
+        results.erased++;
+      } catch (error) {
+        logger.error(`Error erasing account for deletion request ${request._id}: ${error.message}`);
+        request.error = error.message;
+        results.failed++;
+
+        if (error.statusCode) {
+          // The user has to act first (e.g. withdraw), so stop here
+          request.status = 'failed';
+          await request.save();
+          await this._notify(request.userId, 'Account deletion failed', error.message);
+        } else {
+          // Erasure can be run again, so retry on a later run
+          request.status = 'scheduled';
+          request.scheduledFor = new Date(Date.now() + DELETION_RETRY_DELAY_MS);
+          await request.save();
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Erase an account for a deletion request. Safe to run again after a failure
+   * @param {Object} request - Deletion request (status processing)
+   * @returns {Promise<Object>} - Counts per collection
+   */
+  async eraseUser(request) {
+    const userId = request.userId;
+    const detachedUserRef = this.pseudonymize(userId);
+    const summary = {};
+
+    await this._assertNoOpenPositions(userId);
+
+    // Keep financial records, detached from the person
+    for (const { name, model, field } of RETAINED_RECORDS) {
+      const result = await model.updateMany(
+        { [field]: userId },
+        { $set: { detachedUserRef }, $unset: { [field]: 1 } }
+      );
+      summary[name] = { detached: result.modifiedCount };
+    }
+
+    // Pseudonymize analytics so aggregates stay correct
+    const unsetPersonal = { userId: 1, ipAddress: 1, userAgent: 1, sessionId: 1 };
+    PERSONAL_EVENT_PROPERTIES.forEach((key) => {
+      unsetPersonal[`properties.${key}`] = 1;
+    });
+    const events = await AnalyticsEvent.updateMany(
+      { userId },
+      { $set: { anonymousId: detachedUserRef }, $unset: unsetPersonal }
+    );
+    summary.analyticsEvents = { pseudonymized: events.modifiedCount };
+
+    // Exports hold a copy of everything
+    const exports = await DataRequest.find({ userId, type: 'export' }).select('+file.path');
+    for (const exportRequest of exports) {
+      await this._removeFile(exportRequest.file && exportRequest.file.path);
+    }
+    const deletedExports = await DataRequest.deleteMany({ userId, type: 'export' });
+    summary.dataExports = { deleted: deletedExports.deletedCount };
+
+    for (const { name, model, field } of ERASED_RECORDS) {
+      const result = await model.deleteMany({ [field]: userId });
+      summary[name] = { deleted: result.deletedCount };
+    }
+
+    websocketService.disconnectUser(userId.toString(), 'account_deleted');
+
+    await User.deleteOne({ _id: userId });
+
+    // The request itself stays as the record of the erasure
+    request.status = 'completed';
+    request.completedAt = new Date();
+    request.summary = summary;
+    request.detachedUserRef = detachedUserRef;
+    request.userId = undefined;
+    request.ipAddress = undefined;
+    request.userAgent = undefined;
+    await request.save();
+
+    await auditService.record({}, {
+      action: 'user.erase',
+      targetType: 'User',
+      targetId: detachedUserRef,
+      metadata: { dataRequestId: request._id, summary }
+    });
+
+    logger.info(`Erased account ${detachedUserRef} (deletion request ${request._id})`);
+    return summary;
+  }
+
+  /**
+   * Stable pseudonym for a user ID, so retained records of one person stay grouped
+   * @param {string} userId - User ID
+   * @returns {string} - Pseudonym
+   */
+  pseudonymize(userId) {
+    const secret = process.env.DATA_PSEUDONYM_SECRET || process.env.JWT_SECRET;
+    const digest = crypto.createHmac('sha256', secret).update(userId.toString()).digest('hex');
+    return `erased_${digest.slice(0, 32)}`;
+  }
+
+  /**
+   * Refuse to erase accounts with money still in play
+   * @private
+   */
+  async _assertNoOpenPositions(userId) {
+    const [openInvestments, openTransactions] = await Promise.all([
+      Investment.countDocuments({ user: userId, status: { $in: ['active', 'partially_withdrawn'] } }),
+      Transaction.countDocuments({ userId, status: { $in: ['pending', 'processing'] } })
+    ]);
+
+    if (openInvestments > 0 || openTransactions > 0) {
+      throw new ErrorResponse('Withdraw your investments and wait for pending transactions before deleting your account', 400);
+    }
+  }
+
+  /**
+   * Write an export archive and mark the request completed
+   * @private
+   */
+  async _buildExport(request) {
+    const directory = process.env.DATA_EXPORT_DIR || path.join(__dirname, '../../exports');
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const name = `orbityield-data-${request.userId}-${Date.now()}.zip`;
+    const filePath = path.join(directory, name);
+    const summary = {};
+
+    const user = await User.findById(request.userId).lean();
+    if (!user) {
+      throw new Error('User no longer exists');
+    }
+    USER_SECRET_FIELDS.forEach((field) => {
+      delete user[field];
+    });
+
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const finished = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      archive.on('error', reject);
+    });
+    archive.pipe(output);
+
+    archive.append(JSON.stringify(user, null, 2), { name: 'user.json' });
+    for (const { name: section, model, field } of EXPORT_SECTIONS) {
+      // Documents rather than lean objects, so schema getters write amounts as decimal strings
+      const records = await model.find({ [field]: request.userId });
+      summary[section] = records.length;
+      archive.append(JSON.stringify(records, null, 2), { name: `${section}.json` });
+    }
+    archive.append(this._readme(user, summary), { name: 'README.txt' });
+
+    await archive.finalize();
+    await finished;
+
+    const contents = await fs.promises.readFile(filePath);
+    const retentionDays = Number(process.env.DATA_EXPORT_RETENTION_DAYS || 7);
+
+    request.status = 'completed';
+    request.completedAt = new Date();
+    request.expiresAt = new Date(Date.now() + retentionDays * DAY_MS);
+    request.summary = summary;
+    request.file = {
+      path: filePath,
+      name,
+      size: contents.length,
+      sha256: crypto.createHash('sha256').update(contents).digest('hex')
+    };
+    await request.save();
+
+    await this._notify(request.userId, 'Your data export is ready',
+      `Download it from your settings before ${request.expiresAt.toUTCString()}.`);
+  }
+
+  /**
+   * Description of the archive contents
+   * @private
+   */
+  _readme(user, summary) {
+    const lines = [
+      'OrbitYield personal data export',
+      `Account: ${user.username} (${user._id})`,
+      `Created: ${new Date().toISOString()}`,
+      '',
+      'user.json - your profile and preferences (secrets such as password hashes are left out)'
+    ];
+    Object.keys(summary).forEach((section) => {
+      lines.push(`${section}.json - ${summary[section]} record(s)`);
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * @private
+   */
+  async _removeFile(filePath) {
+    if (!filePath) {
+      return;
+    }
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error removing data export ${filePath}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Tell the user about their request without failing it
+   * @private
+   */
+  async _notify(userId, title, message) {
+    try {
+      await NotificationService.createSystemNotification({ userId, title, message });
+    } catch (error) {
+      logger.error(`Error notifying user ${userId} about data request: ${error.message}`);
+    }
+  }
+}
+
+// Create and export a singleton instance
+const dataPrivacyService = new DataPrivacyService();
+module.exports = dataPrivacyService;
@@ -0,0 +1,479 @@
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const Transaction = require('../models/Transaction');
+const Investment = require('../models/Investment');
+const Strategy = require('../models/Strategy');
+const priceOracleService = require('./PriceOracleService');
+const ErrorResponse = require('../utils/errorResponse');
+const { fromRaw, share, subtract, ratio, toDecimalString, toDecimal128 } = require('../utils/amount');
+
+// Platform fees, in percent, for investments not made through a strategy
+const DEFAULT_PERFORMANCE_FEE = parseFloat(process.env.PLATFORM_PERFORMANCE_FEE || '0');
+const DEFAULT_WITHDRAWAL_FEE = parseFloat(process.env.PLATFORM_WITHDRAWAL_FEE || '0');
+
+// Withdrawal statuses that undo the fees charged on it
+const REVERSED_STATUSES = ['failed', 'cancelled'];
+
+// Saves of the fee state retried after another update of the investment got in first
+const MAX_ATTEMPTS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fee Service
+ * Charges platform fees and records each one as a 'fee' transaction.
+ *
+ * Withdrawal fees are a share of every withdrawal. Performance fees are a share
+ * of realized profit (harvests, and gains over the cost basis on withdrawals)
+ * above the investment's high-water mark, so profit given back by a loss is not
+ * charged again once it is recovered. Fees are taken in the withdrawn or
+ * harvested token.
+ */
+class FeeService {
+  /**
+   * Fee rates of an investment: its strategy's, else the platform defaults
+   * @param {Object} investment - Investment
+   * @returns {Promise<Object>} - { performanceFee, withdrawalFee, source }, rates as fractions
+   */
+  async getSchedule(investment) {
+    if (investment.strategyId) {
+      const strategy = await Strategy.findById(investment.strategyId).select('performanceFee withdrawalFee');
+      if (strategy) {
+        return {
+          performanceFee: (strategy.performanceFee || 0) / 100,
+          withdrawalFee: (strategy.withdrawalFee || 0) / 100,
+          source: 'strategy'
+        };
+      }
+    }
+
+    return {
+      performanceFee: DEFAULT_PERFORMANCE_FEE / 100,
+      withdrawalFee: DEFAULT_WITHDRAWAL_FEE / 100,
+      source: 'platform'
+    };
+  }
+
+  /**
+   * Fees a withdrawal would be charged
+   * @param {Object} investment - Investment document
+   * @param {Object} withdrawal - { amount, amountUsd }, amount in raw units of the investment's asset
+   * @returns {Promise<Object>} - { schedule, withdrawalFee, performanceFee, gross, net, state }; fees are null when nothing is due
+   */
+  async quoteWithdrawal(investment, { amount, amountUsd }) {
+    const schedule = await this.getSchedule(investment);
+    const gross = investment.toAmount(amount);
+    const withdrawnShare = Math.min(1, ratio(gross, investment.toAmount()));
+    const grossUsd = amountUsd === undefined || amountUsd === null
+      ? investment.currentAmountUsd * withdrawnShare
+      : amountUsd;
+
+    // The withdrawn share of the deposit value still invested is the cost of what leaves
+    const costBasisUsd = this._costBasisUsd(investment);
+    const basisUsd = costBasisUsd * withdrawnShare;
+    const performance = this._performance(investment.fees, grossUsd - basisUsd, schedule.performanceFee);
+
+    const withdrawalFee = this._fee(gross, grossUsd, schedule.withdrawalFee);
+    const performanceFee = grossUsd > 0 ? this._fee(gross, grossUsd, performance.feeUsd / grossUsd) : null;
+
+    let net = gross;
+    [withdrawalFee, performanceFee].filter(Boolean).forEach((fee) => {
+      net = subtract(net, fee.amount);
+    });
+
+    return {
+      schedule,
+      withdrawalFee,
+      performanceFee,
+      gross: {
+        amount: gross,
+        amountUsd: grossUsd
+      },
+      net: {
+        amount: net,
+        amountUsd: grossUsd - [withdrawalFee, performanceFee].reduce((sum, fee) => sum + (fee ? fee.amountUsd : 0), 0)
+      },
+      state: {
+        realizedProfitUsd: performance.realizedProfitUsd,
+        highWaterMarkUsd: this._highWaterMarkUsd(performance, performanceFee),
+        costBasisUsd: costBasisUsd - basisUsd
+      }
+    };
+  }
+
+  /**
+   * Record a withdrawal on its investment and charge its fees; they follow its status from then on
+   * @param {Object} investment - Investment document the quote was made on
+   * @param {Object} transaction - Withdrawal transaction
+   * @param {Object} quote - Quote from quoteWithdrawal
+   * @returns {Promise<Object>} - { investment, transactions }, the updated investment and the fee transactions
+   */
+  async chargeWithdrawal(investment, transaction, quote) {
+    try {
+      const previousStatus = investment.status;
+      const deltas = this._deltas(this._state(investment), quote.state);
+
+      // The fee state and the smaller position are saved together, and only onto the
+      // version the quote was made on, so concurrent withdrawals cannot share a high-water mark
+      this._assign(investment, quote.state, {
+        withdrawalFeesUsd: quote.withdrawalFee ? quote.withdrawalFee.amountUsd : 0,
+        performanceFeesUsd: quote.performanceFee ? quote.performanceFee.amountUsd : 0
+      });
+      investment.increment();
+      try {
+        await investment.recordWithdrawal({
+          amount: quote.gross.amount.raw,
+          amountUsd: quote.gross.amountUsd,
+          transactionId: transaction._id
+        });
+      } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+          throw new ErrorResponse('The investment changed while withdrawing, please try again', 409);
+        }
+        throw error;
+      }
+
+      const fees = [];
+      if (quote.withdrawalFee) {
+        fees.push(await this._record(investment, quote.withdrawalFee, {
+          kind: 'withdrawal',
+          status: transaction.status,
+          chargedOn: transaction._id
+        }));
+      }
+      if (quote.performanceFee) {
+        fees.push(await this._record(investment, quote.performanceFee, {
+          kind: 'performance',
+          status: transaction.status,
+          chargedOn: transaction._id,
+          state: quote.state
+        }));
+      }
+
+      // Kept on the withdrawal so it can be undone if it does not go through
+      transaction.metadata = {
+        ...(transaction.metadata || {}),
+        fees: {
+          deltas,
+          position: {
+            amount: quote.gross.amount.raw,
+            amountUsd: quote.gross.amountUsd || 0,
+            previousStatus
+          },
+          netAmount: toDecimalString(quote.net.amount),
+          netAmountUsd: quote.net.amountUsd,
+          transactionIds: fees.map(fee => fee._id)
+        }
+      };
+      transaction.markModified('metadata');
+      await transaction.save();
+
+      return { investment, transactions: fees };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error charging fees on withdrawal ${transaction._id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Charge the performance fee on a harvest
+   * @param {Object} investment - Investment document
+   * @param {Object} harvest - { amount, asset, decimals, amountUsd, transactionId }, amount in raw units
+   *   of the reward token; without asset and decimals the reward is the investment's asset
+   * @returns {Promise<Object|null>} - Fee transaction, or null when nothing is due
+   */
+  async chargeHarvest(investment, harvest) {
+    try {
+      const schedule = await this.getSchedule(investment);
+      const amountUsd = harvest.amountUsd || 0;
+      const inRewardToken = Boolean(harvest.asset) && harvest.asset !== investment.assetSymbol;
+      const reward = inRewardToken
+        ? fromRaw(harvest.amount, harvest.decimals, harvest.asset)
+        : investment.toAmount(harvest.amount);
+
+      // Saved onto the version the state was read from; on a conflict the state is read again
+      let current = investment;
+      let performance;
+      let fee;
+      for (let attempt = 1; ; attempt++) {
+        performance = this._performance(current.fees, amountUsd, schedule.performanceFee);
+        fee = amountUsd > 0 ? this._fee(reward, amountUsd, performance.feeUsd / amountUsd) : null;
+
+        this._assign(current, {
+          realizedProfitUsd: performance.realizedProfitUsd,
+          highWaterMarkUsd: this._highWaterMarkUsd(performance, fee),
+          costBasisUsd: this._costBasisUsd(current)
+        }, { performanceFeesUsd: fee ? fee.amountUsd : 0 });
+        current.increment();
+
+        try {
+          await current.save();
+          break;
+        } catch (error) {
+          if (!(error instanceof mongoose.Error.VersionError) || attempt >= MAX_ATTEMPTS) {
+            throw error;
+          }
+          current = await Investment.findById(investment._id);
+        }
+      }
+
+      if (!fee) {
+        return null;
+      }
+
+      // Taken in the reward token, so it is recorded in that token's symbol and decimals
+      return this._record(current, inRewardToken ? { ...fee, asset: reward.asset } : fee, {
+        kind: 'performance',
+        status: 'completed',
+        chargedOn: harvest.transactionId,
+        state: performance
+      });
+    } catch (error) {
+      logger.error(`Error charging performance fee on investment ${investment._id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Bring the fees charged on a transaction to its status; a withdrawal that failed is
+   * taken off its investment again, along with the fee state it moved
+   * @param {Object} transaction - Transaction whose status changed
+   * @returns {Promise<number>} - Number of fee transactions updated
+   */
+  async settle(transaction) {
+    try {
+      const fees = await Transaction.find({ type: 'fee', 'feeDetails.chargedOn': transaction._id });
+      const pending = fees.filter(fee => fee.status !== transaction.status);
+
+      for (const fee of pending) {
+        await fee.updateStatus(transaction.status);
+      }
+
+      const charge = transaction.metadata && transaction.metadata.fees;
+      if (REVERSED_STATUSES.includes(transaction.status) && charge && charge.deltas && transaction.investmentId) {
+        // Claimed on the transaction first so a status set twice only undoes it once
+        const claimed = await Transaction.updateOne(
+          { _id: transaction._id, 'metadata.fees.reversedAt': { $exists: false } },
+          { $set: { 'metadata.fees.reversedAt': new Date() } }
+        );
+
+        if (claimed.modifiedCount > 0) {
+          const charged = kind => fees
+            .filter(fee => fee.feeDetails.kind === kind)
+            .reduce((sum, fee) => sum + (fee.amountUsd || 0), 0);
+
+          await this._reverse(transaction, charge, {
+            withdrawalFeesUsd: charged('withdrawal'),
+            performanceFeesUsd: charged('performance')
+          });
+        }
+      }
+
+      return pending.length;
+    } catch (error) {
+      logger.error(`Error settling fees of transaction ${transaction._id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fee revenue from completed fee transactions
+   * @returns {Promise<Object>} - USD at the time each fee was charged, by kind and for the last 30 days,
+   *   and the tokens collected per asset with their current value
+   */
+  async getRevenue() {
+    try {
+      const match = { type: 'fee', status: 'completed' };
+      const [byKind, recent, byAsset] = await Promise.all([
+        Transaction.aggregate([
+          { $match: match },
+          { $group: { _id: '$feeDetails.kind', totalUsd: { $sum: '$amountUsd' }, count: { $sum: 1 } } }
+        ]),
+        Transaction.aggregate([
+          { $match: { ...match, createdAt: { $gte: new Date(Date.now() - 30 * DAY_MS) } } },
+          { $group: { _id: null, totalUsd: { $sum: '$amountUsd' } } }
+        ]),
+        Transaction.aggregate([
+          { $match: match },
+          { $group: { _id: { asset: '$asset', decimals: '$decimals' }, raw: { $sum: '$amount' } } }
+        ])
+      ]);
+
+      const kindUsd = kind => (byKind.find(item => item._id === kind) || { totalUsd: 0 }).totalUsd;
+      const collected = await priceOracleService.valueTotals(byAsset.map(item => ({ ...item._id, raw: item.raw })));
+
+      return {
+        totalUsd: byKind.reduce((sum, item) => sum + item.totalUsd, 0),
+        performanceUsd: kindUsd('performance'),
+        withdrawalUsd: kindUsd('withdrawal'),
+        last30DaysUsd: recent.length > 0 ? recent[0].totalUsd : 0,
+        count: byKind.reduce((sum, item) => sum + item.count, 0),
+        collected
+      };
+    } catch (error) {
+      logger.error(`Error calculating fee revenue: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Realized profit and high-water mark after a profit (or loss), and the fee due on it
+   * @private
+   */
+  _performance(fees, profitUsd, rate) {
+    const realizedProfitUsd = ((fees && fees.realizedProfitUsd) || 0) + profitUsd;
+    const highWaterMarkUsd = (fees && fees.highWaterMarkUsd) || 0;
+
+    return {
+      feeUsd: Math.max(0, realizedProfitUsd - highWaterMarkUsd) * rate,
+      rate,
+      realizedProfitUsd,
+      previousHighWaterMarkUsd: highWaterMarkUsd,
+      highWaterMarkUsd: Math.max(highWaterMarkUsd, realizedProfitUsd)
+    };
+  }
+
+  /**
+   * High-water mark once the fee due is taken. It only rises over profit a fee was charged
+   * on, so profit whose fee rounded to nothing, or was more than the amount, is charged later.
+   * With nothing due (no fee rate, or profit below the mark) it follows realized profit.
+   * @private
+   */
+  _highWaterMarkUsd(performance, fee) {
+    if (performance.feeUsd <= 0) {
+      return performance.highWaterMarkUsd;
+    }
+    const chargedOnUsd = fee ? fee.amountUsd / performance.rate : 0;
+    return Math.min(performance.highWaterMarkUsd, performance.previousHighWaterMarkUsd + chargedOnUsd);
+  }
+
+  /**
+   * Fee of a rate on an amount, or null when it rounds to nothing
+   * @private
+   */
+  _fee(amount, amountUsd, rate) {
+    const feeRate = Math.min(1, Math.max(0, rate));
+    const fee = share(amount, feeRate);
+    if (fee.raw === '0') {
+      return null;
+    }
+
+    return { rate: feeRate, amount: fee, amountUsd: amountUsd * feeRate };
+  }
+
+  /**
+   * Deposit value still invested
+   * @private
+   */
+  _costBasisUsd(investment) {
+    const fees = investment.fees || {};
+    return fees.costBasisUsd === undefined || fees.costBasisUsd === null
+      ? investment.initialAmountUsd || 0
+      : fees.costBasisUsd;
+  }
+
+  /**
+   * Fee state of an investment
+   * @private
+   */
+  _state(investment) {
+    const fees = investment.fees || {};
+    return {
+      realizedProfitUsd: fees.realizedProfitUsd || 0,
+      highWaterMarkUsd: fees.highWaterMarkUsd || 0,
+      costBasisUsd: this._costBasisUsd(investment)
+    };
+  }
+
+  /**
+   * Change of each fee state value
+   * @private
+   */
+  _deltas(before, after) {
+    return {
+      realizedProfitUsd: after.realizedProfitUsd - before.realizedProfitUsd,
+      highWaterMarkUsd: after.highWaterMarkUsd - before.highWaterMarkUsd,
+      costBasisUsd: after.costBasisUsd - before.costBasisUsd
+    };
+  }
+
+  /**
+   * Set the fee state of an investment document and add to its fee totals; saved by the caller
+   * @private
+   */
+  _assign(investment, state, charged) {
+    investment.fees.realizedProfitUsd = state.realizedProfitUsd;
+    investment.fees.highWaterMarkUsd = state.highWaterMarkUsd;
+    investment.fees.costBasisUsd = state.costBasisUsd;
+    investment.fees.withdrawalFeesUsd = (investment.fees.withdrawalFeesUsd || 0) + (charged.withdrawalFeesUsd || 0);
+    investment.fees.performanceFeesUsd = (investment.fees.performanceFeesUsd || 0) + (charged.performanceFeesUsd || 0);
+  }
+
+  /**
+   * Take a failed withdrawal off its investment by the amounts it changed, keeping
+   * anything charged or withdrawn since
+   * @private
+   */
+  async _reverse(transaction, { deltas, position }, charged) {
+    const update = {
+      $inc: {
+        'fees.realizedProfitUsd': -deltas.realizedProfitUsd,
+        'fees.highWaterMarkUsd': -deltas.highWaterMarkUsd,
+        'fees.costBasisUsd': -deltas.costBasisUsd,
+        'fees.withdrawalFeesUsd': -charged.withdrawalFeesUsd,
+        'fees.performanceFeesUsd': -charged.performanceFeesUsd,
+        currentAmount: toDecimal128(position.amount),
+        currentAmountUsd: position.amountUsd,
+        __v: 1
+      },
+      $pull: { withdrawals: { transactionId: transaction._id } }
+    };
+
+    // A position closed by the withdrawal is open again
+    const reopened = await Investment.updateOne(
+      { _id: transaction.investmentId, status: 'withdrawn' },
+      { ...update, $set: { status: position.previousStatus, endDate: null } }
+    );
+    if (reopened.matchedCount === 0) {
+      await Investment.updateOne({ _id: transaction.investmentId }, update);
+    }
+  }
+
+  /**
+   * Record a fee transaction
+   * @private
+   */
+  _record(investment, fee, { kind, status, chargedOn, state }) {
+    return Transaction.create({
+      userId: investment.user,
+      investmentId: investment._id,
+      opportunityId: investment.opportunity,
+      protocolId: investment.protocol,
+      strategyId: investment.strategyId,
+      walletAddress: investment.walletAddress,
+      type: 'fee',
+      amount: fee.amount.raw,
+      decimals: fee.amount.decimals,
+      amountUsd: fee.amountUsd,
+      asset: fee.asset || investment.asset,
+      chainId: investment.chainId,
+      status,
+      isPending: status === 'pending',
+      isAutomatic: true,
+      initiatedBy: 'system',
+      feeDetails: {
+        kind,
+        rate: fee.rate,
+        chargedOn,
+        realizedProfitUsd: state ? state.realizedProfitUsd : undefined,
+        highWaterMarkUsd: state ? state.highWaterMarkUsd : undefined
+      }
+    });
+  }
+}
+
+// Create and export a singleton instance
+const feeService = new FeeService();
+module.exports = feeService;
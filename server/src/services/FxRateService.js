@@ -0,0 +1,132 @@
+const axios = require('axios');
+const logger = require('../config/logger');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Daily reference rates published by the European Central Bank
+const FX_API_URL = process.env.FX_RATE_API_URL || 'https://api.frankfurter.app';
+
+// Rates of the current year are refetched as new days are published
+const CURRENT_YEAR_CACHE_MS = 6 * 60 * 60 * 1000;
+
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY'];
+
+const isoDate = date => date.toISOString().slice(0, 10);
+
+/**
+ * FX Rate Service
+ * Historical USD exchange rates for the currencies users can report in.
+ * A day without a published rate (weekends, holidays) uses the last earlier one.
+ */
+class FxRateService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Converter from USD to a currency at the rate of a given day
+   * @param {string} currency - Target currency
+   * @param {Date} from - Earliest date that will be converted
+   * @param {Date} to - Latest date that will be converted
+   * @returns {Promise<Function>} - (amountUsd, date) => amount in the currency
+   */
+  async getConverter(currency, from, to = new Date()) {
+    if (!SUPPORTED_CURRENCIES.includes(currency)) {
+      throw new ErrorResponse(`Unsupported currency: ${currency}`, 400);
+    }
+
+    if (currency === 'USD') {
+      return amountUsd => amountUsd;
+    }
+
+    const years = [];
+    for (let year = from.getUTCFullYear(); year <= to.getUTCFullYear(); year++) {
+      years.push(year);
+    }
+
+    const tables = await Promise.all(years.map(year => this._getYear(currency, year)));
+    const dates = [];
+    const rates = new Map();
+    tables.forEach((table) => {
+      Object.keys(table).sort().forEach((date) => {
+        dates.push(date);
+        rates.set(date, table[date]);
+      });
+    });
+
+    if (dates.length === 0) {
+      throw new ErrorResponse(`No ${currency} exchange rates are available for that period`, 503);
+    }
+
+    return (amountUsd, date) => amountUsd * rates.get(this._lastDateOnOrBefore(dates, isoDate(date)));
+  }
+
+  /**
+   * Daily rates of a year, by ISO date
+   * @private
+   */
+  async _getYear(currency, year) {
+    const key = `${currency}:${year}`;
+    const currentYear = new Date().getUTCFullYear();
+    const cached = this.cache.get(key);
+
+    if (cached && (year < currentYear || Date.now() - cached.fetchedAt < CURRENT_YEAR_CACHE_MS)) {
+      return cached.rates;
+    }
+
+    if (year > currentYear) {
+      return {};
+    }
+
+    const end = year === currentYear ? isoDate(new Date()) : `${year}-12-31`;
+
+    try {
+      // The series starts at the last publication before January 1st, covering the first days of the year
+      const response = await axios.get(`${FX_API_URL}/${year}-01-01..${end}`, {
+        params: { from: 'USD', to: currency },
+        timeout: 10000
+      });
+
+      const rates = {};
+      Object.entries(response.data.rates || {}).forEach(([date, rate]) => {
+        if (rate[currency]) rates[date] = rate[currency];
+      });
+
+      this.cache.set(key, { rates, fetchedAt: Date.now() });
+      return rates;
+    } catch (error) {
+      logger.error(`Error fetching ${currency} exchange rates for ${year}: ${error.message}`);
+
+      // A stale table of the current year is better than none
+      if (cached) {
+        return cached.rates;
+      }
+      throw new ErrorResponse('Exchange rates are unavailable, please try again later', 503);
+    }
+  }
+
+  /**
+   * Latest date in a sorted list on or before a date, else the first one
+   * @private
+   */
+  _lastDateOnOrBefore(dates, date) {
+    let low = 0;
+    let high = dates.length - 1;
+    let found = 0;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (dates[mid] <= date) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return dates[found];
+  }
+}
+
+// Create and export a singleton instance
+const fxRateService = new FxRateService();
+module.exports = fxRateService;
@@ -0,0 +1,494 @@
+const os = require('os');
+const crypto = require('crypto');
+const cronParser = require('cron-parser');
+const logger = require('../config/logger');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const rebalancingService = require('./RebalancingService');
+const yieldDataService = require('./YieldDataService');
+const xcmTracker = require('./XcmTracker');
+const dataPrivacyService = require('./DataPrivacyService');
+const performanceService = require('./PerformanceService');
+const priceOracleService = require('./PriceOracleService');
+const reconciliationService = require('./ReconciliationService');
+
+// Longest delay setTimeout accepts (~24.8 days)
+const MAX_TIMEOUT_MS = 2147483647;
+
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Built-in background jobs
+ * Each job runs either on a fixed interval or on a cron expression. Both can be
+ * overridden with JOB_<NAME>_INTERVAL_MS / JOB_<NAME>_CRON environment variables,
+ * e.g. JOB_APY_REFRESH_INTERVAL_MS=600000
+ */
+const defaultJobs = [
+  {
+    name: 'thresholdRebalances',
+    description: 'Create rebalancing operations for strategies that drifted past their thresholds',
+    interval: 15 * 60 * 1000,
+    handler: () => rebalancingService.processThresholdRebalances()
+  },
+  {
+    // Runs often so that custom cron schedules on strategies are honoured;
+    // each strategy is only picked up once its nextScheduledRebalance is due
+    name: 'periodicRebalances',
+    description: 'Create rebalancing operations for periodic strategies that are due',
+    cron: '*/5 * * * *',
+    handler: () => rebalancingService.processPeriodicRebalances()
+  },
+  {
+    name: 'apyRefresh',
+    description: 'Refresh APY data for all active protocols and the unrealized impermanent loss of LP positions',
+    interval: 30 * 60 * 1000,
+    handler: () => yieldDataService.updateAllApy()
+  },
+  {
+    name: 'tvlRefresh',
+    description: 'Refresh TVL data for all active protocols',
+    interval: 60 * 60 * 1000,
+    handler: () => yieldDataService.updateAllTvl()
+  },
+  {
+    name: 'autoHarvests',
+    description: 'Harvest rewards for investments with auto-harvest enabled',
+    cron: '0 * * * *',
+    handler: () => yieldDataService.processAutoHarvests()
+  },
+  {
+    name: 'xcmTracking',
+    description: 'Follow XCM transfers to the destination chain and update their status',
+    interval: 30 * 1000,
+    handler: () => xcmTracker.processPending()
+  },
+  {
+    name: 'dataExports',
+    description: 'Build requested personal data exports and remove expired ones',
+    interval: 60 * 1000,
+    handler: () => dataPrivacyService.processPendingExports()
+  },
+  {
+    name: 'accountDeletions',
+    description: 'Erase accounts whose deletion cooling-off period has ended',
+    interval: 60 * 60 * 1000,
+    handler: () => dataPrivacyService.processDueDeletions()
+  },
+  {
+    name: 'priceHistory',
+    description: 'Record the aggregated prices of listed and held assets',
+    interval: 15 * 60 * 1000,
+    handler: () => priceOracleService.recordHistory()
+  },
+  {
+    name: 'positionReconciliation',
+    description: 'Compare investments with their on-chain balances, record accrued yield and flag other differences',
+    interval: 6 * 60 * 60 * 1000,
+    handler: () => reconciliationService.reconcileAll()
+  },
+  {
+    name: 'portfolioSnapshots',
+    description: 'Record the value of every user\'s holdings for performance history',
+    cron: '5 0 * * *',
+    handler: () => performanceService.takeSnapshots('daily')
+  },
+  // Opt-in: hourly history for intraday charts
+  ...(process.env.PORTFOLIO_HOURLY_SNAPSHOTS === 'true' ? [{
+    name: 'hourlyPortfolioSnapshots',
+    description: 'Record the value of every user\'s holdings every hour and prune old hourly history',
+    cron: '1 * * * *',
+    handler: () => performanceService.takeSnapshots('hourly')
+  }] : [])
+];
+
+/**
+ * Job Scheduler
+ * Runs background jobs in-process, coordinating with other API instances
+ * through a lock stored in MongoDB
+ */
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.timers = new Map();
+    this.started = false;
+    this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+    defaultJobs.forEach(job => this.registerJob(job));
+  }
+
+  /**
+   * Register a job
+   * @param {Object} definition - Job definition
+   * @param {string} definition.name - Unique job name
+   * @param {string} definition.description - Human readable description
+   * @param {number} definition.interval - Interval in milliseconds (if not using cron)
+   * @param {string} definition.cron - Cron expression (if not using interval)
+   * @param {Function} definition.handler - Async function performing the work
+   * @param {number} definition.lockTtlMs - How long the lock is held before another instance may take over
+   */
+  registerJob(definition) {
+    const envKey = definition.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+    const envInterval = parseInt(process.env[`JOB_${envKey}_INTERVAL_MS`], 10);
+    const envCron = process.env[`JOB_${envKey}_CRON`];
+
+    const job = {
+      ...definition,
+      lockTtlMs: definition.lockTtlMs || parseInt(process.env.JOB_LOCK_TTL_MS, 10) || DEFAULT_LOCK_TTL_MS
+    };
+
+    if (envCron) {
+      job.cron = envCron;
+      delete job.interval;
+    } else if (envInterval > 0) {
+      job.interval = envInterval;
+      delete job.cron;
+    }
+
+    if (!job.cron && !job.interval) {
+      throw new Error(`Job ${job.name} needs either an interval or a cron expression`);
+    }
+
+    // Fail fast on invalid cron expressions
+    if (job.cron) {
+      cronParser.parseExpression(job.cron);
+    }
+
+    this.jobs.set(job.name, job);
+
+    // Jobs registered after start are scheduled right away
+    if (this.started) {
+      ScheduledJob.ensure(job.name)
+        .then(() => this._scheduleNext(job))
+        .catch(error => logger.error(`Error scheduling job ${job.name}: ${error.message}`));
+    }
+  }
+
+  /**
+   * Start scheduling all registered jobs
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.started) {
+      return;
+    }
+
+    if (process.env.JOBS_ENABLED === 'false') {
+      logger.info('Job scheduler disabled via JOBS_ENABLED');
+      return;
+    }
+
+    try {
+      logger.info(`Starting job scheduler (instance ${this.instanceId})`);
+
+      await yieldDataService.initialize();
+      await rebalancingService.initialize();
+
+      for (const job of this.jobs.values()) {
+        await ScheduledJob.ensure(job.name);
+        await this._scheduleNext(job);
+      }
+
+      this.started = true;
+      logger.info(`Job scheduler started with ${this.jobs.size} jobs`);
+    } catch (error) {
+      logger.error(`Error starting job scheduler: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop all timers
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.started = false;
+    logger.info('Job scheduler stopped');
+  }
+
+  /**
+   * Check if a job is registered
+   * @param {string} name - Job name
+   * @returns {boolean} - True if the job exists
+   */
+  hasJob(name) {
+    return this.jobs.has(name);
+  }
+
+  /**
+   * List all jobs with their shared state and latest run
+   * @returns {Promise<Array>} - Jobs
+   */
+  async getJobs() {
+    const states = await ScheduledJob.find({ name: { $in: Array.from(this.jobs.keys()) } }).lean();
+    const stateMap = new Map(states.map(state => [state.name, state]));
+
+    const jobs = [];
+    for (const job of this.jobs.values()) {
+      const state = stateMap.get(job.name) || {};
+      const lastRun = await JobRun.findOne({ job: job.name }).sort({ startedAt: -1 }).lean();
+
+      jobs.push({
+        ...this._describe(job),
+        paused: Boolean(state.paused),
+        pausedAt: state.pausedAt,
+        running: Boolean(state.lock && state.lock.expiresAt && state.lock.expiresAt > new Date()),
+        lastRunAt: state.lastRunAt,
+        lastRunStatus: state.lastRunStatus,
+        nextRunAt: state.nextRunAt,
+        lastRun
+      });
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Get recent runs of a job
+   * @param {string} name - Job name
+   * @param {number} limit - Maximum number of runs
+   * @returns {Promise<Array>} - Job runs
+   */
+  async getJobRuns(name, limit = 20) {
+    return JobRun.findRecent(name, limit);
+  }
+
+  /**
+   * Pause a job on all instances
+   * @param {string} name - Job name
+   * @param {string} userId - Admin pausing the job
+   * @returns {Promise<Object>} - Job state
+   */
+  async pauseJob(name, userId) {
+    await ScheduledJob.ensure(name);
+    const state = await ScheduledJob.findOneAndUpdate(
+      { name },
+      { paused: true, pausedAt: Date.now(), pausedBy: userId },
+      { new: true }
+    );
+
+    logger.info(`Job ${name} paused by ${userId}`);
+    return state;
+  }
+
+  /**
+   * Resume a paused job
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} - Job state
+   */
+  async resumeJob(name) {
+    await ScheduledJob.ensure(name);
+    const state = await ScheduledJob.findOneAndUpdate(
+      { name },
+      { paused: false, $unset: { pausedAt: '', pausedBy: '' } },
+      { new: true }
+    );
+
+    logger.info(`Job ${name} resumed`);
+    return state;
+  }
+
+  /**
+   * Trigger a job immediately, even if it is paused
+   * The run continues in the background; the returned record is updated when it finishes
+   * @param {string} name - Job name
+   * @param {string} userId - Admin triggering the job
+   * @returns {Promise<Object|null>} - Job run, or null if the job is already running
+   */
+  async triggerJob(name, userId) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job not found: ${name}`);
+    }
+
+    await ScheduledJob.ensure(name);
+    const execution = await this._execute(job, { trigger: 'manual', triggeredBy: userId });
+
+    return execution ? execution.run : null;
+  }
+
+  /**
+   * Schedule the next run of a job
+   * @param {Object} job - Job definition
+   * @private
+   */
+  async _scheduleNext(job) {
+    const nextRunAt = this._getNextRunDate(job);
+    const delay = Math.min(Math.max(nextRunAt.getTime() - Date.now(), 0), MAX_TIMEOUT_MS);
+
+    const timer = setTimeout(async () => {
+      try {
+        const execution = await this._execute(job, {
+          trigger: 'schedule',
+          minIntervalMs: this._getMinGap(job)
+        });
+
+        if (execution) {
+          await execution.promise;
+        }
+      } catch (error) {
+        logger.error(`Error running scheduled job ${job.name}: ${error.message}`);
+      } finally {
+        if (this.started) {
+          this._scheduleNext(job).catch(err => logger.error(`Error rescheduling job ${job.name}: ${err.message}`));
+        }
+      }
+    }, delay);
+
+    // Never keep the process alive just for a pending job
+    if (timer.unref) {
+      timer.unref();
+    }
+
+    this.timers.set(job.name, timer);
+
+    await ScheduledJob.updateOne({ name: job.name }, { nextRunAt });
+  }
+
+  /**
+   * Acquire the job lock and start a run
+   * @param {Object} job - Job definition
+   * @param {Object} options - Run options
+   * @returns {Promise<Object|null>} - { run, promise } or null if the lock was not acquired
+   * @private
+   */
+  async _execute(job, { trigger, triggeredBy, minIntervalMs = 0 }) {
+    // Each run holds the lock under its own name, so a run on this instance never
+    // takes over or releases the lock of another one
+    const owner = `${this.instanceId}-${crypto.randomBytes(4).toString('hex')}`;
+    const state = await ScheduledJob.acquireLock(job.name, owner, job.lockTtlMs, {
+      ignorePause: trigger === 'manual',
+      minIntervalMs
+    });
+
+    if (!state) {
+      logger.debug(`Job ${job.name} skipped: paused, already running or recently run`);
+      return null;
+    }
+
+    const run = await JobRun.create({
+      job: job.name,
+      trigger,
+      triggeredBy,
+      instance: this.instanceId
+    });
+
+    logger.info(`Job ${job.name} started (${trigger}, run ${run._id})`);
+
+    // Runs longer than the lease keep the lock by renewing it
+    const renewal = setInterval(() => {
+      ScheduledJob.renewLock(job.name, owner, job.lockTtlMs)
+        .then((renewed) => {
+          if (!renewed) {
+            logger.warn(`Job ${job.name} lost its lock during run ${run._id}`);
+          }
+        })
+        .catch(error => logger.error(`Error renewing lock of job ${job.name}: ${error.message}`));
+    }, Math.max(Math.floor(job.lockTtlMs / 3), 1000));
+
+    if (renewal.unref) {
+      renewal.unref();
+    }
+
+    const promise = (async () => {
+      let status = 'completed';
+
+      try {
+        const result = await job.handler();
+        await run.finish('completed', { summary: this._summarize(result) });
+        logger.info(`Job ${job.name} completed in ${run.durationMs}ms`);
+      } catch (error) {
+        status = 'failed';
+        logger.error(`Job ${job.name} failed: ${error.message}`);
+        await run.finish('failed', { error });
+      } finally {
+        clearInterval(renewal);
+        await ScheduledJob.releaseLock(job.name, owner, status);
+      }
+
+      return run;
+    })().catch(error => {
+      logger.error(`Error recording run of job ${job.name}: ${error.message}`);
+      return run;
+    });
+
+    return { run, promise };
+  }
+
+  /**
+   * Get the next run date of a job
+   * @param {Object} job - Job definition
+   * @returns {Date} - Next run date
+   * @private
+   */
+  _getNextRunDate(job) {
+    if (job.cron) {
+      return cronParser.parseExpression(job.cron).next().toDate();
+    }
+
+    return new Date(Date.now() + job.interval);
+  }
+
+  /**
+   * Minimum gap between two scheduled runs of a job, used to stop instances
+   * whose timers are slightly out of sync from running the same slot twice
+   * @param {Object} job - Job definition
+   * @returns {number} - Gap in milliseconds
+   * @private
+   */
+  _getMinGap(job) {
+    if (job.cron) {
+      const expression = cronParser.parseExpression(job.cron);
+      const first = expression.next().getTime();
+      const second = expression.next().getTime();
+      return Math.floor((second - first) / 2);
+    }
+
+    return Math.floor(job.interval / 2);
+  }
+
+  /**
+   * Reduce a job result to its scalar counters so runs stay small
+   * @param {*} result - Job result
+   * @returns {Object} - Summary
+   * @private
+   */
+  _summarize(result) {
+    if (result === null || result === undefined) {
+      return {};
+    }
+
+    if (typeof result !== 'object') {
+      return { result };
+    }
+
+    return Object.entries(result).reduce((summary, [key, value]) => {
+      if (['number', 'string', 'boolean'].includes(typeof value)) {
+        summary[key] = value;
+      } else if (Array.isArray(value)) {
+        summary[`${key}Count`] = value.length;
+      }
+      return summary;
+    }, {});
+  }
+
+  /**
+   * Public description of a job definition
+   * @param {Object} job - Job definition
+   * @returns {Object} - Description
+   * @private
+   */
+  _describe(job) {
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.cron
+        ? { type: 'cron', expression: job.cron }
+        : { type: 'interval', intervalMs: job.interval }
+    };
+  }
+}
+
+// Create and export singleton instance
+const jobScheduler = new JobScheduler();
+module.exports = jobScheduler;
@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const PortfolioSnapshot = require('../models/PortfolioSnapshot');
+const Investment = require('../models/Investment');
+const Protocol = require('../models/Protocol');
+const chainRegistry = require('./ChainRegistry');
+const portfolioService = require('./PortfolioService');
+const { summarize } = require('../utils/performanceMetrics');
+const ErrorResponse = require('../utils/errorResponse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hourly snapshots are only kept for recent charts
+const HOURLY_RETENTION_DAYS = parseInt(process.env.PORTFOLIO_HOURLY_SNAPSHOT_RETENTION_DAYS, 10) || 30;
+
+// Default range of a performance query
+const DEFAULT_RANGE_DAYS = 90;
+
+// Investments that hold or once held value
+const SNAPSHOT_STATUSES = ['active', 'partially_withdrawn', 'withdrawn'];
+
+/**
+ * Performance Service
+ * Periodic snapshots of each user's holdings and the returns computed from them.
+ *
+ * The portfolioSnapshots job records every user's holdings at the start of
+ * each UTC day; with PORTFOLIO_HOURLY_SNAPSHOTS=true the hourlyPortfolioSnapshots
+ * job also records them every hour, kept for PORTFOLIO_HOURLY_SNAPSHOT_RETENTION_DAYS.
+ */
+class PerformanceService {
+  /**
+   * Take a snapshot for every user with investments
+   * @param {string} granularity - 'daily' or 'hourly'
+   * @param {Date} now - Snapshot time (defaults to now)
+   * @returns {Promise<number>} - Number of snapshots taken
+   */
+  async takeSnapshots(granularity = 'daily', now = new Date()) {
+    try {
+      const takenAt = PortfolioSnapshot.periodStart(now, granularity);
+      const userIds = await Investment.distinct('user', {
+        user: { $ne: null },
+        status: { $in: SNAPSHOT_STATUSES }
+      });
+
+      let taken = 0;
+      for (const userId of userIds) {
+        try {
+          await this.takeSnapshot(userId, granularity, takenAt);
+          taken++;
+        } catch (error) {
+          logger.error(`Error taking ${granularity} portfolio snapshot for user ${userId}: ${error.message}`);
+        }
+      }
+
+      if (granularity === 'hourly') {
+        await PortfolioSnapshot.deleteMany({
+          granularity: 'hourly',
+          takenAt: { $lt: new Date(now.getTime() - HOURLY_RETENTION_DAYS * DAY_MS) }
+        });
+      }
+
+      return taken;
+    } catch (error) {
+      logger.error(`Error taking ${granularity} portfolio snapshots: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a user's holdings, replacing any snapshot of the same period
+   * @param {string} userId - User ID
+   * @param {string} granularity - 'daily' or 'hourly'
+   * @param {Date} takenAt - Start of the period
+   * @returns {Promise<Object>} - Snapshot
+   */
+  async takeSnapshot(userId, granularity, takenAt) {
+    const holdings = await this.getHoldings(userId);
+
+    return PortfolioSnapshot.findOneAndUpdate(
+      { user: userId, granularity, takenAt },
+      { $set: holdings },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * A user's current holdings as a snapshot records them
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Totals, per portfolio totals, positions and breakdowns
+   */
+  async getHoldings(userId) {
+    const investments = await Investment.find({ user: userId, status: { $in: SNAPSHOT_STATUSES } })
+      .select('portfolioId assetSymbol protocol chainId status currentAmountUsd initialAmountUsd withdrawals totalHarvestedUsd yieldEarnedUsd')
+      .lean();
+
+    const totals = { valueUsd: 0, netContributionsUsd: 0, yieldEarnedUsd: 0 };
+    const portfolios = new Map();
+    const positions = [];
+    const byAsset = new Map();
+    const byProtocol = new Map();
+    const byChain = new Map();
+    const add = (map, id, valueUsd) => map.set(id, (map.get(id) || 0) + valueUsd);
+
+    investments.forEach((inv) => {
+      const valueUsd = inv.status === 'withdrawn' ? 0 : inv.currentAmountUsd || 0;
+      const withdrawnUsd = (inv.withdrawals || []).reduce((sum, withdrawal) => sum + (withdrawal.amountUsd || 0), 0);
+      const netContributionsUsd = (inv.initialAmountUsd || 0) - withdrawnUsd - (inv.totalHarvestedUsd || 0);
+      const yieldEarnedUsd = (inv.yieldEarnedUsd || 0) + (inv.totalHarvestedUsd || 0);
+
+      totals.valueUsd += valueUsd;
+      totals.netContributionsUsd += netContributionsUsd;
+      totals.yieldEarnedUsd += yieldEarnedUsd;
+
+      const portfolioKey = inv.portfolioId ? String(inv.portfolioId) : null;
+      const portfolio = portfolios.get(portfolioKey) ||
+        { portfolioId: inv.portfolioId || null, valueUsd: 0, netContributionsUsd: 0, yieldEarnedUsd: 0 };
+      portfolio.valueUsd += valueUsd;
+      portfolio.netContributionsUsd += netContributionsUsd;
+      portfolio.yieldEarnedUsd += yieldEarnedUsd;
+      portfolios.set(portfolioKey, portfolio);
+
+      if (valueUsd > 0) {
+        const protocolId = inv.protocol ? String(inv.protocol) : null;
+        positions.push({
+          investmentId: inv._id,
+          portfolioId: inv.portfolioId || null,
+          assetSymbol: inv.assetSymbol,
+          protocolId,
+          chainId: inv.chainId,
+          valueUsd
+        });
+        add(byAsset, inv.assetSymbol, valueUsd);
+        add(byProtocol, protocolId, valueUsd);
+        add(byChain, inv.chainId, valueUsd);
+      }
+    });
+
+    const toEntries = map => Array.from(map, ([id, valueUsd]) => ({ id, valueUsd }));
+
+    return {
+      ...totals,
+      portfolios: Array.from(portfolios.values()),
+      investments: positions,
+      byAsset: toEntries(byAsset),
+      byProtocol: toEntries(byProtocol),
+      byChain: toEntries(byChain)
+    };
+  }
+
+  /**
+   * Returns, PnL split and drawdowns of a portfolio, or of all combined
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options
+   * @param {string} options.portfolioId - Portfolio ID or 'all'
+   * @param {string|Date} options.from - Range start (default 90 days ago)
+   * @param {string|Date} options.to - Range end (default now)
+   * @param {string} options.granularity - 'daily' or 'hourly'
+   * @returns {Promise<Object>} - Performance
+   */
+  async getPerformance(userId, { portfolioId = 'all', from, to, granularity = 'daily' } = {}) {
+    try {
+      if (!['daily', 'hourly'].includes(granularity)) {
+        throw new ErrorResponse('Granularity must be daily or hourly', 400);
+      }
+
+      const end = to ? new Date(to) : new Date();
+      const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+      if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+        throw new ErrorResponse('Provide a valid date range', 400);
+      }
+
+      const portfolio = portfolioId === 'all' ? null : await portfolioService.getPortfolio(userId, portfolioId);
+
+      const snapshots = await PortfolioSnapshot.find({
+        user: new mongoose.Types.ObjectId(userId),
+        granularity,
+        takenAt: { $gte: start, $lte: end }
+      })
+        .sort({ takenAt: 1 })
+        .lean();
+
+      // Ranges ending now end with the current holdings rather than the last snapshot
+      if (end >= Date.now()) {
+        snapshots.push({ ...(await this.getHoldings(userId)), takenAt: new Date() });
+      }
+
+      const points = snapshots.map(snapshot => this._point(snapshot, portfolio));
+      const latest = snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+
+      return {
+        portfolio: portfolio ? { id: portfolio._id, name: portfolio.name, baseCurrency: portfolio.baseCurrency } : null,
+        range: { from: start, to: end, granularity },
+        ...summarize(points),
+        breakdown: latest ? await this._breakdown(latest, portfolio) : null
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error computing portfolio performance: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Valuation point of a snapshot, for one portfolio or all
+   * @private
+   */
+  _point(snapshot, portfolio) {
+    if (!portfolio) {
+      return {
+        t: snapshot.takenAt,
+        valueUsd: snapshot.valueUsd,
+        netContributionsUsd: snapshot.netContributionsUsd,
+        yieldEarnedUsd: snapshot.yieldEarnedUsd
+      };
+    }
+
+    const entry = snapshot.portfolios.find(item => item.portfolioId && item.portfolioId.equals(portfolio._id));
+    return {
+      t: snapshot.takenAt,
+      valueUsd: entry ? entry.valueUsd : 0,
+      netContributionsUsd: entry ? entry.netContributionsUsd : 0,
+      yieldEarnedUsd: entry ? entry.yieldEarnedUsd : 0
+    };
+  }
+
+  /**
+   * Value by asset, protocol and chain at a snapshot, for one portfolio or all
+   * @private
+   */
+  async _breakdown(snapshot, portfolio) {
+    const positions = portfolio
+      ? snapshot.investments.filter(item => item.portfolioId && item.portfolioId.equals(portfolio._id))
+      : snapshot.investments;
+
+    const group = (key, name) => {
+      const values = new Map();
+      positions.forEach(item => values.set(item[key], (values.get(item[key]) || 0) + item.valueUsd));
+      return Array.from(values, ([id, valueUsd]) => ({ id, name: name(id), valueUsd }))
+        .sort((a, b) => b.valueUsd - a.valueUsd);
+    };
+
+    const protocols = await Protocol.find({ _id: { $in: positions.map(item => item.protocolId).filter(Boolean) } })
+      .select('name')
+      .lean();
+    const protocolNames = new Map(protocols.map(protocol => [String(protocol._id), protocol.name]));
+
+    return {
+      takenAt: snapshot.takenAt,
+      byInvestment: positions.map(item => ({
+        investmentId: item.investmentId,
+        portfolioId: item.portfolioId,
+        valueUsd: item.valueUsd
+      })),
+      byAsset: group('assetSymbol', id => id),
+      byProtocol: group('protocolId', id => protocolNames.get(id) || id),
+      byChain: group('chainId', id => (chainRegistry.get(id) || { name: id }).name)
+    };
+  }
+}
+
+// Create and export a singleton instance
+const performanceService = new PerformanceService();
+module.exports = performanceService;
@@ -0,0 +1,471 @@
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const Portfolio = require('../models/Portfolio');
+const User = require('../models/User');
+const Investment = require('../models/Investment');
+const RebalancingStrategy = require('../models/RebalancingStrategy');
+const MetaMaskConnection = require('../models/MetaMaskConnection');
+const PolkadotWallet = require('../models/PolkadotWallet');
+const chainRegistry = require('./ChainRegistry');
+const priceOracleService = require('./PriceOracleService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Portfolio id that selects all of a user's portfolios together
+const ALL_PORTFOLIOS = 'all';
+
+const MAX_PORTFOLIOS = 20;
+
+const EVM_ADDRESS = /^0x[0-9a-f]{40}$/;
+
+const EDITABLE_FIELDS = ['name', 'description', 'riskPreference', 'baseCurrency', 'wallets'];
+
+/**
+ * Portfolio Service
+ * Named buckets of a user's investments and wallets.
+ *
+ * New investments are placed in the portfolio their wallet is assigned to,
+ * or in the default portfolio. Values are reported in USD; the base currency
+ * is the portfolio's display preference.
+ */
+class PortfolioService {
+  /**
+   * List a user's portfolios with the value they hold
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Portfolios, default first
+   */
+  async listPortfolios(userId) {
+    try {
+      await Portfolio.getOrCreateDefault(userId);
+
+      const portfolios = await Portfolio.find({ user: userId })
+        .populate('rebalancingStrategy', 'name type status')
+        .sort({ isDefault: -1, createdAt: 1 });
+
+      const totals = await Investment.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(userId), status: 'active' } },
+        {
+          $group: {
+            _id: '$portfolioId',
+            valueUsd: { $sum: '$currentAmountUsd' },
+            investedUsd: { $sum: '$initialAmountUsd' },
+            profitLossUsd: { $sum: '$profitLoss' },
+            investments: { $sum: 1 }
+          }
+        }
+      ]);
+      const totalsById = new Map(totals.map(entry => [String(entry._id), entry]));
+
+      return portfolios.map(portfolio => {
+        const entry = totalsById.get(String(portfolio._id));
+        return {
+          ...portfolio.toJSON(),
+          totals: {
+            valueUsd: entry ? entry.valueUsd : 0,
+            investedUsd: entry ? entry.investedUsd : 0,
+            profitLossUsd: entry ? entry.profitLossUsd : 0,
+            investments: entry ? entry.investments : 0
+          }
+        };
+      });
+    } catch (error) {
+      logger.error(`Error listing portfolios: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one of a user's portfolios
+   * @param {string} userId - User ID
+   * @param {string} portfolioId - Portfolio ID
+   * @returns {Promise<Object>} - Portfolio
+   */
+  async getPortfolio(userId, portfolioId) {
+    if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+      throw new ErrorResponse('Portfolio not found', 404);
+    }
+
+    const portfolio = await Portfolio.findOne({ _id: portfolioId, user: userId })
+      .populate('rebalancingStrategy', 'name type status');
+    if (!portfolio) {
+      throw new ErrorResponse('Portfolio not found', 404);
+    }
+
+    return portfolio;
+  }
+
+  /**
+   * Create a portfolio
+   * @param {string} userId - User ID
+   * @param {Object} data - Name, description, riskPreference, baseCurrency and wallets
+   * @returns {Promise<Object>} - Created portfolio
+   */
+  async createPortfolio(userId, data) {
+    try {
+      // Existing investments go to the default before anything else can claim them
+      await Portfolio.getOrCreateDefault(userId);
+
+      const count = await Portfolio.countDocuments({ user: userId });
+      if (count >= MAX_PORTFOLIOS) {
+        throw new ErrorResponse(`You can have at most ${MAX_PORTFOLIOS} portfolios`, 400);
+      }
+
+      const fields = this._pickEditable(data);
+      if (fields.wallets) {
+        await this._checkWallets(userId, fields.wallets);
+      }
+
+      const portfolio = await Portfolio.create({ ...fields, user: userId, isDefault: false });
+
+      logger.info(`Created portfolio ${portfolio._id} for user ${userId}`);
+
+      return portfolio;
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error creating portfolio: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a portfolio's settings and wallets
+   * @param {string} userId - User ID
+   * @param {string} portfolioId - Portfolio ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} - Updated portfolio
+   */
+  async updatePortfolio(userId, portfolioId, data) {
+    try {
+      const portfolio = await this.getPortfolio(userId, portfolioId);
+
+      const fields = this._pickEditable(data);
+      if (fields.wallets) {
+        await this._checkWallets(userId, fields.wallets, portfolio._id);
+      }
+
+      portfolio.set(fields);
+      await portfolio.save();
+
+      return portfolio;
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error updating portfolio: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a portfolio. Its investments move to the default portfolio and its
+   * rebalancing strategy is paused and unlinked
+   * @param {string} userId - User ID
+   * @param {string} portfolioId - Portfolio ID
+   * @returns {Promise<Object>} - { movedInvestments, defaultPortfolioId }
+   */
+  async deletePortfolio(userId, portfolioId) {
+    try {
+      const portfolio = await this.getPortfolio(userId, portfolioId);
+      if (portfolio.isDefault) {
+        throw new ErrorResponse('The default portfolio cannot be deleted', 400);
+      }
+
+      const defaultPortfolio = await Portfolio.getOrCreateDefault(userId);
+
+      const moved = await Investment.updateMany(
+        { user: userId, portfolioId: portfolio._id },
+        { $set: { portfolioId: defaultPortfolio._id } }
+      );
+
+      await RebalancingStrategy.updateMany(
+        { user: userId, portfolioId: portfolio._id },
+        { $set: { portfolioId: null, status: 'paused' } }
+      );
+
+      await Portfolio.deleteOne({ _id: portfolio._id });
+
+      logger.info(`Deleted portfolio ${portfolio._id}, moved ${moved.modifiedCount} investments to the default portfolio`);
+
+      return {
+        movedInvestments: moved.modifiedCount,
+        defaultPortfolioId: defaultPortfolio._id
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error deleting portfolio: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move investments into a portfolio
+   * @param {string} userId - User ID
+   * @param {string} portfolioId - Target portfolio ID
+   * @param {Array} investmentIds - Investment IDs owned by the user
+   * @returns {Promise<number>} - Number of investments moved
+   */
+  async assignInvestments(userId, portfolioId, investmentIds) {
+    try {
+      if (!Array.isArray(investmentIds) || investmentIds.length === 0) {
+        throw new ErrorResponse('Provide the investments to move', 400);
+      }
+      if (!investmentIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        throw new ErrorResponse('Invalid investment ID', 400);
+      }
+
+      const portfolio = await this.getPortfolio(userId, portfolioId);
+
+      const owned = await Investment.countDocuments({ _id: { $in: investmentIds }, user: userId });
+      if (owned !== new Set(investmentIds.map(String)).size) {
+        throw new ErrorResponse('Investment not found', 404);
+      }
+
+      const result = await Investment.updateMany(
+        { _id: { $in: investmentIds }, user: userId },
+        { $set: { portfolioId: portfolio._id } }
+      );
+
+      return result.modifiedCount;
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error assigning investments to portfolio: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Set or clear the strategy that rebalances a portfolio
+   * @param {string} userId - User ID
+   * @param {string} portfolioId - Portfolio ID
+   * @param {string|null} strategyId - Strategy ID, or null to unlink
+   * @returns {Promise<Object>} - Portfolio with its strategy
+   */
+  async setRebalancingStrategy(userId, portfolioId, strategyId) {
+    try {
+      const portfolio = await this.getPortfolio(userId, portfolioId);
+
+      let strategy = null;
+      if (strategyId) {
+        if (!mongoose.Types.ObjectId.isValid(strategyId)) {
+          throw new ErrorResponse('Rebalancing strategy not found', 404);
+        }
+        strategy = await RebalancingStrategy.findOne({ _id: strategyId, user: userId });
+        if (!strategy) {
+          throw new ErrorResponse('Rebalancing strategy not found', 404);
+        }
+      }
+
+      await RebalancingStrategy.updateMany(
+        { user: userId, portfolioId: portfolio._id, _id: { $ne: strategyId || null } },
+        { $set: { portfolioId: null } }
+      );
+
+      if (strategy) {
+        strategy.portfolioId = portfolio._id;
+        await strategy.save();
+      }
+
+      return this.getPortfolio(userId, portfolio._id);
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error setting portfolio rebalancing strategy: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Holdings, totals and allocation of one portfolio or all of them combined
+   * @param {string} userId - User ID
+   * @param {string} portfolioId - Portfolio ID or 'all'
+   * @returns {Promise<Object>} - Summary
+   */
+  async getSummary(userId, portfolioId = ALL_PORTFOLIOS) {
+    try {
+      const portfolio = portfolioId === ALL_PORTFOLIOS ? null : await this.getPortfolio(userId, portfolioId);
+
+      const investments = await Investment.find(this.investmentQuery(userId, portfolio && portfolio._id))
+        .populate('opportunity', 'name')
+        .populate('protocol', 'name')
+        .sort({ currentAmountUsd: -1 });
+
+      const totals = {
+        valueUsd: 0,
+        investedUsd: 0,
+        profitLossUsd: 0,
+        yieldEarnedUsd: 0,
+        investments: investments.length
+      };
+      const byAsset = {};
+      const byChain = {};
+
+      const positions = investments.map(inv => {
+        totals.valueUsd += inv.currentAmountUsd;
+        totals.investedUsd += inv.initialAmountUsd;
+        totals.profitLossUsd += inv.profitLoss;
+        totals.yieldEarnedUsd += inv.yieldEarnedUsd;
+
+        byAsset[inv.assetSymbol] = (byAsset[inv.assetSymbol] || 0) + inv.currentAmountUsd;
+        byChain[inv.chainId] = (byChain[inv.chainId] || 0) + inv.currentAmountUsd;
+
+        return {
+          id: inv._id,
+          portfolioId: inv.portfolioId,
+          opportunity: inv.opportunity ? inv.opportunity.name : null,
+          protocol: inv.protocol ? inv.protocol.name : null,
+          chainId: inv.chainId,
+          chainName: this._chainName(inv.chainId),
+          assetSymbol: inv.assetSymbol,
+          amount: inv.currentAmount,
+          assetDecimals: inv.assetDecimals,
+          valueUsd: inv.currentAmountUsd,
+          apy: inv.currentApy,
+          profitLossUsd: inv.profitLoss,
+          profitLossPercentage: inv.initialAmountUsd > 0 ? (inv.profitLoss / inv.initialAmountUsd) * 100 : 0
+        };
+      });
+
+      const toAllocation = (values, describe) => Object.entries(values)
+        .map(([id, valueUsd]) => ({
+          ...describe(id),
+          valueUsd,
+          percentage: totals.valueUsd > 0 ? (valueUsd / totals.valueUsd) * 100 : 0
+        }))
+        .sort((a, b) => b.valueUsd - a.valueUsd);
+
+      return {
+        portfolio,
+        totals: {
+          ...totals,
+          profitLossPercentage: totals.investedUsd > 0 ? (totals.profitLossUsd / totals.investedUsd) * 100 : 0,
+          averageApy: totals.valueUsd > 0
+            ? positions.reduce((sum, position) => sum + position.apy * position.valueUsd, 0) / totals.valueUsd
+            : 0
+        },
+        allocation: {
+          byAsset: toAllocation(byAsset, id => ({ id, name: id })),
+          byChain: toAllocation(byChain, id => ({ id, name: this._chainName(id) }))
+        },
+        positions,
+        fiat: await this._fiat(userId, portfolio)
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error building portfolio summary: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Display currency of a summary with its rate from USD: the portfolio's
+   * base currency, else the user's. Null when no rate is available
+   * @private
+   */
+  async _fiat(userId, portfolio) {
+    let currency = portfolio && portfolio.baseCurrency;
+    if (!currency) {
+      const user = await User.findById(userId).select('preferences.currency');
+      currency = (user && user.preferences && user.preferences.currency) || 'USD';
+    }
+
+    try {
+      return { currency, rateFromUsd: await priceOracleService.getFiatRate(currency) };
+    } catch (error) {
+      logger.warn(`No ${currency} rate for the portfolio summary: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Query for a user's active investments, limited to a portfolio when given
+   * @param {string} userId - User ID
+   * @param {string} portfolioId - Portfolio ID (optional)
+   * @returns {Object} - Investment query
+   */
+  investmentQuery(userId, portfolioId = null) {
+    const query = { user: userId, status: 'active' };
+    if (portfolioId) {
+      query.portfolioId = portfolioId;
+    }
+    return query;
+  }
+
+  /**
+   * Keep only the fields users may set
+   * @param {Object} data - Request body
+   * @returns {Object} - Editable fields
+   * @private
+   */
+  _pickEditable(data = {}) {
+    return EDITABLE_FIELDS
+      .filter(field => data[field] !== undefined)
+      .reduce((fields, field) => ({ ...fields, [field]: data[field] }), {});
+  }
+
+  /**
+   * Check wallets are connected to the user and not in another portfolio
+   * @param {string} userId - User ID
+   * @param {Array} wallets - [{ chainType, address }]
+   * @param {string} portfolioId - Portfolio being updated (optional)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _checkWallets(userId, wallets, portfolioId = null) {
+    if (!Array.isArray(wallets)) {
+      throw new ErrorResponse('Wallets must be a list', 400);
+    }
+
+    const addresses = wallets.map(wallet => Portfolio.normalizeAddress(wallet && wallet.address));
+    if (new Set(addresses).size !== addresses.length) {
+      throw new ErrorResponse('A wallet can only be listed once', 400);
+    }
+
+    for (const [index, wallet] of wallets.entries()) {
+      const address = addresses[index];
+      if (!wallet || !['evm', 'substrate'].includes(wallet.chainType)) {
+        throw new ErrorResponse('Wallet chain type must be evm or substrate', 400);
+      }
+      if (wallet.chainType === 'evm' && !EVM_ADDRESS.test(address)) {
+        throw new ErrorResponse(`Invalid EVM address: ${address}`, 400);
+      }
+
+      const connected = wallet.chainType === 'substrate'
+        ? await PolkadotWallet.exists({ userId, address, isActive: true })
+        : await MetaMaskConnection.exists({
+          userId,
+          walletAddress: new RegExp(`^${address}$`, 'i'),
+          isActive: true
+        });
+
+      if (!connected) {
+        throw new ErrorResponse(`Wallet ${address} is not connected to your account`, 400);
+      }
+    }
+
+    const claimed = await Portfolio.findOne({
+      user: userId,
+      _id: { $ne: portfolioId },
+      'wallets.address': { $in: addresses }
+    }).select('name');
+    if (claimed) {
+      throw new ErrorResponse(`A wallet is already in the "${claimed.name}" portfolio`, 409);
+    }
+  }
+
+  /**
+   * Display name of a chain
+   * @param {string} chainId - Chain ID
+   * @returns {string} - Chain name, or the ID for unknown chains
+   * @private
+   */
+  _chainName(chainId) {
+    const chain = chainRegistry.get(chainId);
+    return chain ? chain.name : chainId;
+  }
+}
+
+// Create and export a singleton instance
+const portfolioService = new PortfolioService();
+module.exports = portfolioService;
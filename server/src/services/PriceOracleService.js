@@ -0,0 +1,388 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const logger = require('../config/logger');
+const PriceHistory = require('../models/PriceHistory');
+const Investment = require('../models/Investment');
+const fxRateService = require('./FxRateService');
+const ChainlinkPriceSource = require('./priceSources/ChainlinkPriceSource');
+const DexTwapPriceSource = require('./priceSources/DexTwapPriceSource');
+const HttpPriceSource = require('./priceSources/HttpPriceSource');
+const FixturePriceSource = require('./priceSources/FixturePriceSource');
+const ErrorResponse = require('../utils/errorResponse');
+const { fromRaw, toDecimalString, valueAt } = require('../utils/amount');
+
+const FEEDS_FILE = path.join(__dirname, '../config/priceFeeds.json');
+
+// Quotes further than this from the median are left out
+const MAX_DEVIATION = parseFloat(process.env.PRICE_MAX_DEVIATION) || 0.03;
+
+// Fresh, agreeing quotes needed for a price
+const MIN_SOURCES = parseInt(process.env.PRICE_MIN_SOURCES, 10) || 1;
+
+const CACHE_MS = parseInt(process.env.PRICE_CACHE_MS, 10) || 60 * 1000;
+
+// An asset's price is written to the history at most this often
+const HISTORY_INTERVAL_MS = parseInt(process.env.PRICE_HISTORY_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+// HTTP price APIs queried, among the built-in ones
+const HTTP_SOURCES = (process.env.PRICE_HTTP_SOURCES || 'coingecko,defillama')
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => HttpPriceSource[name]);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Price Oracle Service
+ * The one place USD prices and fiat conversions come from.
+ *
+ * Each asset is quoted by every source with a feed for it (Chainlink-style
+ * aggregators, DEX TWAPs and HTTP price APIs, see config/priceFeeds.json).
+ * Stale quotes are dropped, as are quotes further than PRICE_MAX_DEVIATION
+ * from the median of the rest; the price is the median of what remains, if
+ * at least PRICE_MIN_SOURCES quotes remain. Prices are written to the price
+ * history as they are fetched and by the priceHistory job.
+ *
+ * With PRICE_ORACLE_FIXTURES (a JSON file) or useFixtures() the sources read
+ * fixture feeds instead of the network:
+ * { "sources": { "chainlink": { "ETH": 3500 }, "coingecko": { "ETH": 3502 } }, "fx": { "EUR": 0.92 } }
+ */
+class PriceOracleService {
+  constructor() {
+    this.cache = new Map();
+    this.lastRecorded = new Map();
+    this.fixtures = null;
+    this._loadFeeds();
+
+    if (process.env.PRICE_ORACLE_FIXTURES) {
+      this.useFixtures(JSON.parse(fs.readFileSync(path.resolve(process.env.PRICE_ORACLE_FIXTURES), 'utf8')));
+    } else {
+      this.sources = [
+        new ChainlinkPriceSource(),
+        new DexTwapPriceSource(),
+        ...HTTP_SOURCES.map(name => HttpPriceSource[name]())
+      ];
+    }
+  }
+
+  /**
+   * Read quotes and exchange rates from fixtures instead of the network
+   * @param {Object} fixtures - { sources: { name: { symbol: quote } }, fx: { currency: rate } }
+   */
+  useFixtures(fixtures) {
+    this.fixtures = fixtures;
+    this.sources = Object.entries(fixtures.sources || {}).map(([name, quotes]) => new FixturePriceSource(name, quotes));
+    this.cache.clear();
+  }
+
+  /**
+   * Add a price source, e.g. another HTTP API
+   * @param {PriceSource} source - Source
+   */
+  registerSource(source) {
+    this.sources = [...this.sources.filter(item => item.name !== source.name), source];
+    this.cache.clear();
+  }
+
+  /**
+   * USD price of an asset
+   * @param {string} symbol - Asset symbol
+   * @param {Object} context - { chainId, address } of the token, when known
+   * @returns {Promise<number|null>} - Price, or null when no reliable price is available
+   */
+  async getPriceUsd(symbol, context = {}) {
+    const price = await this.getPrice(symbol, context);
+    return price ? price.priceUsd : null;
+  }
+
+  /**
+   * USD price of an asset with the quotes behind it
+   * @param {string} symbol - Asset symbol
+   * @param {Object} context - { chainId, address } of the token, when known
+   * @returns {Promise<Object|null>} - { symbol, priceUsd, updatedAt, sources }
+   */
+  async getPrice(symbol, context = {}) {
+    const prices = await this.getPrices([{ symbol, ...context }]);
+    return prices.get(this._resolve({ symbol, ...context }).symbol) || null;
+  }
+
+  /**
+   * USD prices of several assets, querying each source once
+   * @param {Array} requests - Symbols, or { symbol, chainId, address }
+   * @returns {Promise<Map>} - Canonical symbol -> price; assets without a reliable price are left out
+   */
+  async getPrices(requests) {
+    const prices = new Map();
+    const pending = [];
+
+    requests.forEach((request) => {
+      const asset = this._resolve(typeof request === 'string' ? { symbol: request } : request);
+      const cached = this.cache.get(asset.symbol);
+      if (cached && Date.now() - cached.fetchedAt < CACHE_MS) {
+        if (cached.price) prices.set(asset.symbol, cached.price);
+      } else if (!pending.some(item => item.symbol === asset.symbol)) {
+        pending.push(asset);
+      }
+    });
+
+    if (pending.length === 0) {
+      return prices;
+    }
+
+    const results = await Promise.all(this.sources.map(async (source) => {
+      try {
+        return { source, quotes: await source.getQuotes(pending) };
+      } catch (error) {
+        logger.warn(`Price source ${source.name} failed: ${error.message}`);
+        return { source, quotes: new Map() };
+      }
+    }));
+
+    pending.forEach((asset) => {
+      const quotes = results
+        .filter(result => result.quotes.has(asset.symbol))
+        .map(result => ({ source: result.source, ...result.quotes.get(asset.symbol) }));
+      const price = this._aggregate(asset.symbol, quotes);
+
+      this.cache.set(asset.symbol, { price, fetchedAt: Date.now() });
+      if (price) {
+        prices.set(asset.symbol, price);
+        this._record(price);
+      }
+    });
+
+    return prices;
+  }
+
+  /**
+   * USD values of token amounts, each priced by its own asset
+   * @param {Array} amounts - Amounts of any assets ({ raw, decimals, asset }, see utils/amount)
+   * @returns {Promise<Array>} - USD value of each amount, null when its asset has no reliable price
+   */
+  async valueAmounts(amounts) {
+    const prices = await this.getPrices(amounts.map(amount => amount.asset));
+    return amounts.map((amount) => {
+      const price = prices.get(this._resolve({ symbol: amount.asset }).symbol);
+      return price ? valueAt(amount, price.priceUsd) : null;
+    });
+  }
+
+  /**
+   * USD value of per-asset totals, such as the $sum of Transaction.amount grouped by asset and decimals
+   * @param {Array} totals - [{ asset, decimals, raw }], raw being base units (a Decimal128 $sum works)
+   * @returns {Promise<Object>} - { valueUsd, byAsset: [{ asset, amount, valueUsd }], unpriced: [asset] },
+   *   amounts in whole units
+   */
+  async valueTotals(totals) {
+    const amounts = totals.map(total => fromRaw(total.raw, total.decimals, total.asset));
+    const values = await this.valueAmounts(amounts);
+    const byAsset = amounts.map((amount, i) => ({ asset: amount.asset, amount: toDecimalString(amount), valueUsd: values[i] }));
+
+    return {
+      valueUsd: values.reduce((sum, value) => sum + (value || 0), 0),
+      byAsset,
+      unpriced: byAsset.filter(total => total.valueUsd === null).map(total => total.asset)
+    };
+  }
+
+  /**
+   * Recorded prices of an asset
+   * @param {string} symbol - Asset symbol
+   * @param {Object} options - { from, to, limit }
+   * @returns {Promise<Array>} - [{ priceUsd, recordedAt }], oldest first
+   */
+  async getHistory(symbol, { from, to, limit = 1000 } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+      throw new ErrorResponse('Provide a valid date range', 400);
+    }
+
+    const history = await PriceHistory.find({
+      symbol: this._resolve({ symbol }).symbol,
+      recordedAt: { $gte: start, $lte: end }
+    })
+      .sort({ recordedAt: -1 })
+      .limit(Math.min(limit, 5000))
+      .select('priceUsd recordedAt')
+      .lean();
+
+    return history.reverse().map(entry => ({ priceUsd: entry.priceUsd, recordedAt: entry.recordedAt }));
+  }
+
+  /**
+   * Last recorded price of an asset at or before a time
+   * @param {string} symbol - Asset symbol
+   * @param {Date} at - Time
+   * @returns {Promise<number|null>} - Price, or null when none was recorded
+   */
+  async getPriceAt(symbol, at) {
+    const entry = await PriceHistory.findOne({ symbol: this._resolve({ symbol }).symbol, recordedAt: { $lte: at } })
+      .sort({ recordedAt: -1 })
+      .select('priceUsd')
+      .lean();
+    return entry ? entry.priceUsd : null;
+  }
+
+  /**
+   * Record the prices of every configured asset and every asset held
+   * @returns {Promise<number>} - Number of prices recorded
+   */
+  async recordHistory() {
+    try {
+      const held = await Investment.distinct('assetSymbol', { status: { $in: ['active', 'partially_withdrawn'] } });
+      const symbols = Array.from(new Set([...Object.keys(this.feeds), ...held.map(symbol => this._resolve({ symbol }).symbol)]));
+
+      this.cache.clear();
+      this.lastRecorded.clear();
+      const prices = await this.getPrices(symbols);
+      return prices.size;
+    } catch (error) {
+      logger.error(`Error recording price history: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Units of a currency per USD on a day
+   * @param {string} currency - 'USD', 'EUR', 'GBP' or 'JPY'
+   * @param {Date} at - Day (defaults to today)
+   * @returns {Promise<number>} - Rate
+   */
+  async getFiatRate(currency, at = new Date()) {
+    const convert = await this.getFiatConverter(currency, at, at);
+    return convert(1, at);
+  }
+
+  /**
+   * Convert a USD amount to a currency at the rate of a day
+   * @param {number} amountUsd - Amount in USD
+   * @param {string} currency - Target currency
+   * @param {Date} at - Day (defaults to today)
+   * @returns {Promise<number>} - Amount in the currency
+   */
+  async toFiat(amountUsd, currency, at = new Date()) {
+    return amountUsd * await this.getFiatRate(currency, at);
+  }
+
+  /**
+   * Converter from USD to a currency for many days at once
+   * @param {string} currency - Target currency
+   * @param {Date} from - Earliest day that will be converted
+   * @param {Date} to - Latest day that will be converted
+   * @returns {Promise<Function>} - (amountUsd, date) => amount in the currency
+   */
+  async getFiatConverter(currency, from, to = new Date()) {
+    if (this.fixtures) {
+      const rate = currency === 'USD' ? 1 : (this.fixtures.fx || {})[currency];
+      if (!rate) {
+        throw new ErrorResponse(`No ${currency} exchange rate in the price fixtures`, 503);
+      }
+      return amountUsd => amountUsd * rate;
+    }
+
+    return fxRateService.getConverter(currency, from, to);
+  }
+
+  /**
+   * Format an amount of a currency for messages
+   * @param {number} amount - Amount
+   * @param {string} currency - Currency code
+   * @returns {string} - e.g. "€1,234.50"
+   */
+  formatFiat(amount, currency) {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+  }
+
+  /**
+   * Median of the fresh quotes that agree with each other
+   * @private
+   */
+  _aggregate(symbol, quotes) {
+    const now = Date.now();
+    const checked = quotes.map(quote => ({
+      name: quote.source.name,
+      price: quote.price,
+      updatedAt: quote.updatedAt,
+      status: now - quote.updatedAt.getTime() > (quote.maxAgeMs || quote.source.maxAgeMs) ? 'stale' : 'used'
+    }));
+
+    const fresh = checked.filter(quote => quote.status === 'used');
+    if (fresh.length === 0) {
+      if (checked.length > 0) logger.warn(`All ${checked.length} price quotes for ${symbol} are stale`);
+      return null;
+    }
+
+    const center = median(fresh.map(quote => quote.price));
+    fresh.forEach((quote) => {
+      if (Math.abs(quote.price - center) / center > MAX_DEVIATION) {
+        quote.status = 'outlier';
+      }
+    });
+
+    const used = fresh.filter(quote => quote.status === 'used');
+    if (used.length < MIN_SOURCES) {
+      logger.warn(`Price quotes for ${symbol} disagree: ${fresh.map(quote => `${quote.name} ${quote.price}`).join(', ')}`);
+      return null;
+    }
+
+    return {
+      symbol,
+      priceUsd: median(used.map(quote => quote.price)),
+      updatedAt: new Date(Math.max(...used.map(quote => quote.updatedAt.getTime()))),
+      sources: checked
+    };
+  }
+
+  /**
+   * Write a price to the history, at most once per interval per asset
+   * @private
+   */
+  _record(price) {
+    const last = this.lastRecorded.get(price.symbol) || 0;
+    if (Date.now() - last < HISTORY_INTERVAL_MS || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    this.lastRecorded.set(price.symbol, Date.now());
+    PriceHistory.create({ symbol: price.symbol, priceUsd: price.priceUsd, sources: price.sources })
+      .catch(error => logger.warn(`Could not record the price of ${price.symbol}: ${error.message}`));
+  }
+
+  /**
+   * Canonical symbol and feeds of an asset
+   * @private
+   */
+  _resolve({ symbol, chainId, address }) {
+    const upper = String(symbol || '').toUpperCase();
+    const canonical = this.aliases.get(upper) || upper;
+    return {
+      symbol: canonical,
+      feeds: this.feeds[canonical] || {},
+      chainId: chainId ? String(chainId) : undefined,
+      address
+    };
+  }
+
+  /**
+   * Load config/priceFeeds.json
+   * @private
+   */
+  _loadFeeds() {
+    const { assets } = JSON.parse(fs.readFileSync(FEEDS_FILE, 'utf8'));
+    this.feeds = assets;
+    this.aliases = new Map();
+    Object.entries(assets).forEach(([symbol, feeds]) => {
+      (feeds.aliases || []).forEach(alias => this.aliases.set(alias.toUpperCase(), symbol));
+    });
+  }
+}
+
+// Create and export a singleton instance
+const priceOracleService = new PriceOracleService();
+module.exports = priceOracleService;
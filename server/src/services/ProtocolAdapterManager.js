@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const mongoose = require('mongoose');
 const logger = require('../config/logger');
 const ProtocolAdapter = require('./protocolAdapters/ProtocolAdapter');
 const Protocol = require('../models/Protocol');
@@ -126,6 +127,34 @@ class ProtocolAdapterManager {
     }
   }
 
+  /**
+   * Get an adapter instance for a protocol reference and chain
+   * @param {string} protocolRef - Protocol ID or name
+   * @param {string} chainId - Chain ID the adapter must support (optional)
+   * @returns {Promise<ProtocolAdapter>} - Protocol adapter instance
+   */
+  async getAdapter(protocolRef, chainId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const protocol = mongoose.Types.ObjectId.isValid(protocolRef)
+      ? await Protocol.findById(protocolRef)
+      : await Protocol.findOne({ name: protocolRef });
+
+    if (!protocol) {
+      throw new Error(`Protocol not found: ${protocolRef}`);
+    }
+
+    const adapter = this.getAdapterForProtocol(protocol);
+
+    if (chainId && !adapter.supportsChain(String(chainId))) {
+      throw new Error(`Adapter ${adapter.name} does not support chain ${chainId}`);
+    }
+
+    return adapter;
+  }
+
   /**
    * Get an adapter by name
    * @param {string} adapterName - Name of the adapter
@@ -0,0 +1,846 @@
+const BigNumber = require('bignumber.js');
+const logger = require('../config/logger');
+const Protocol = require('../models/Protocol');
+const YieldOpportunity = require('../models/YieldOpportunity');
+const LocalSimulationBackend = require('./simulationBackends/LocalSimulationBackend');
+const AllocationConstraints = require('../utils/allocationConstraints');
+
+// Cost model defaults
+const DEFAULT_GAS_PRICE_GWEI = 30;
+const NATIVE_PRICE_USD = parseFloat(process.env.SIMULATION_NATIVE_PRICE_USD) || 3000;
+const BRIDGE_FEE_FLAT_USD = parseFloat(process.env.BRIDGE_FEE_FLAT_USD) || 5;
+const BRIDGE_FEE_RATE = (parseFloat(process.env.BRIDGE_FEE_BPS) || 5) / 10000;
+
+// Number of destination opportunities considered per target bucket
+const DESTINATION_CANDIDATES = 5;
+
+// Days of yield difference weighed against one-off costs for each optimization target
+const RETURN_HORIZON_DAYS = {
+  minimizeGas: 0,
+  balanced: 90,
+  maximizeReturns: 365
+};
+
+// A plan must rebalance at least this share of the requested amount to count as complete
+const FULL_COVERAGE = 0.99;
+
+// Amounts below this are ignored
+const DUST_USD = 0.01;
+
+/**
+ * Rebalancing Planner
+ * Turns allocation drift into a cost-minimizing set of transactions.
+ *
+ * Several candidate plans are built with different assignment strategies,
+ * costed (gas, slippage, bridge fees and protocol withdrawal/deposit fees),
+ * checked against the strategy's limits and scored for its optimization
+ * target. The best plan is returned as a dependency-ordered transaction DAG
+ * together with every rejected alternative and the reason it lost.
+ */
+class RebalancingPlanner {
+  /**
+   * Estimate swap slippage from the trade size
+   * @param {number} amountUsd - Trade size in USD
+   * @returns {number} - Expected slippage as a fraction
+   */
+  estimateSlippage(amountUsd) {
+    if (amountUsd < 1000) return 0.001; // 0.1% for small trades
+    if (amountUsd < 10000) return 0.003; // 0.3% for medium trades
+    if (amountUsd < 100000) return 0.005; // 0.5% for large trades
+    return 0.01; // 1% for very large trades
+  }
+
+  /**
+   * Build a rebalancing plan
+   * @param {Object} params - Planning input
+   * @param {Array} params.currentAllocation - Current allocation for the target dimension, or per asset/protocol/chain cell
+   * @param {Array} params.targetAllocation - Target allocations
+   * @param {number} params.totalValue - Total portfolio value in USD
+   * @param {Array} params.positions - Investments making up the portfolio
+   * @param {Object} params.executionParams - Strategy execution parameters
+   * @param {Object} params.advanced - Strategy advanced settings
+   * @returns {Promise<Object>} - Plan
+   */
+  async plan({ currentAllocation = [], targetAllocation = [], totalValue = 0, positions = [], executionParams = {}, advanced = {} }) {
+    try {
+      const objective = advanced.optimizationTarget || 'balanced';
+      const warnings = [];
+      const changes = this._computeChanges(currentAllocation, targetAllocation, totalValue);
+
+      const decreases = changes.filter(change => change.action === 'decrease');
+      const increases = changes.filter(change => change.action === 'increase');
+
+      const decreaseUsd = decreases.reduce((sum, change) => sum + change.changeAmountUsd, 0);
+      const increaseUsd = increases.reduce((sum, change) => sum + change.changeAmountUsd, 0);
+      let requestedUsd = Math.min(decreaseUsd, increaseUsd);
+
+      // Only move up to maxRebalancePercentage of the portfolio in one go
+      const maxRebalancePercentage = executionParams.maxRebalancePercentage || 100;
+      const capUsd = totalValue * (maxRebalancePercentage / 100);
+      const scale = requestedUsd > capUsd && requestedUsd > 0 ? capUsd / requestedUsd : 1;
+
+      if (scale < 1) {
+        warnings.push(`Rebalancing limited to ${maxRebalancePercentage}% of the portfolio ($${capUsd.toFixed(2)} of $${requestedUsd.toFixed(2)} drift)`);
+        requestedUsd = capUsd;
+      }
+
+      const context = await this._buildContext(positions, increases, executionParams, advanced, objective);
+      const supplies = this._buildSupplies(decreases, positions, currentAllocation, targetAllocation, scale, context);
+      const demands = this._buildDemands(increases, scale, context, warnings);
+
+      if (requestedUsd < DUST_USD || supplies.length === 0 || demands.length === 0) {
+        return this._emptyPlan(totalValue, changes, objective, warnings);
+      }
+
+      // Build and evaluate the candidates
+      const strategies = [
+        { name: 'leastCost', description: 'Cheapest source for every target, by cost per dollar moved', assign: () => this._assignLeastCost(supplies, demands, context) },
+        { name: 'largestFirst', description: 'Largest decreases paired with largest increases', assign: () => this._assignLargestFirst(supplies, demands, context) },
+        { name: 'sameChain', description: 'Least-cost routing without bridges', assign: () => this._assignLeastCost(supplies, demands, context, { allowBridges: false }) }
+      ];
+
+      const candidates = [];
+      for (const strategy of strategies) {
+        const moves = strategy.assign();
+        const candidate = this._evaluate(strategy.name, strategy.description, moves, requestedUsd, context);
+        candidates.push(candidate);
+
+        // Too many transactions: also consider dropping the smallest moves
+        if (candidate.transactions.length > context.maxTransactions) {
+          candidates.push(this._trim(candidate, moves, requestedUsd, context));
+        }
+      }
+
+      const selected = this._select(candidates);
+
+      if (!selected) {
+        warnings.push('No candidate plan satisfies the strategy limits');
+        const plan = this._emptyPlan(totalValue, changes, objective, warnings);
+        plan.alternatives = candidates.map(candidate => this._describeRejection(candidate, null, objective));
+        plan.summary.alternatives = plan.alternatives;
+        return plan;
+      }
+
+      const alternatives = candidates
+        .filter(candidate => candidate !== selected)
+        .map(candidate => this._describeRejection(candidate, selected, objective));
+
+      warnings.push(...selected.warnings);
+
+      const summary = {
+        selected: selected.name,
+        description: selected.description,
+        objective,
+        feasible: true,
+        coverage: selected.coverage,
+        movedUsd: selected.movedUsd,
+        requestedUsd,
+        estimatedCost: selected.cost,
+        expectedYieldGainUsd: selected.yieldGainUsd,
+        score: selected.score,
+        routing: context.routing,
+        alternatives,
+        warnings
+      };
+
+      return {
+        totalValue,
+        changes,
+        transactions: selected.transactions,
+        dag: this._toDag(selected.transactions),
+        summary,
+        alternatives,
+        warnings
+      };
+    } catch (error) {
+      logger.error(`Error planning rebalance: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Differences between current and target allocation
+   * @private
+   */
+  _computeChanges(currentAllocation, targetAllocation, totalValue) {
+    const changes = [];
+    const currentMap = new Map(currentAllocation.map(item => [item.id, item]));
+    const targetMap = new Map(targetAllocation.map(item => [item.id, item]));
+
+    for (const [id, current] of currentMap.entries()) {
+      const target = targetMap.get(id);
+      if (!target || current.percentage > target.targetPercentage) {
+        const changePercentage = target ? current.percentage - target.targetPercentage : current.percentage;
+        changes.push({
+          type: current.type,
+          id: current.id,
+          name: current.name,
+          cell: current.cell,
+          action: 'decrease',
+          fromPercentage: current.percentage,
+          toPercentage: target ? target.targetPercentage : 0,
+          changePercentage,
+          changeAmountUsd: (changePercentage / 100) * totalValue
+        });
+      }
+    }
+
+    for (const [id, target] of targetMap.entries()) {
+      const current = currentMap.get(id);
+      if (!current || current.percentage < target.targetPercentage) {
+        const changePercentage = current ? target.targetPercentage - current.percentage : target.targetPercentage;
+        changes.push({
+          type: target.type,
+          id: target.id,
+          name: target.name,
+          cell: target.cell,
+          action: 'increase',
+          fromPercentage: current ? current.percentage : 0,
+          toPercentage: target.targetPercentage,
+          changePercentage,
+          changeAmountUsd: (changePercentage / 100) * totalValue
+        });
+      }
+    }
+
+    return changes
+      .filter(change => change.changeAmountUsd >= DUST_USD)
+      .sort((a, b) => b.changeAmountUsd - a.changeAmountUsd);
+  }
+
+  /**
+   * Load fees, destinations and pricing shared by all candidates
+   * @private
+   */
+  async _buildContext(positions, increases, executionParams, advanced, objective) {
+    const gasPriceGwei = executionParams.targetGasPrice || executionParams.maxGasPrice || DEFAULT_GAS_PRICE_GWEI;
+
+    // Destination candidates per target bucket
+    const destinations = new Map();
+    for (const increase of increases) {
+      const query = { status: 'active' };
+      if (increase.type === 'cell') {
+        query.asset = increase.cell.asset;
+        query.protocol = increase.cell.protocol;
+        query.chainId = increase.cell.chain;
+      } else if (increase.type === 'protocol') {
+        query.protocol = increase.id;
+      } else if (increase.type === 'chain') {
+        query.chainId = increase.id;
+      } else {
+        query.$or = [{ asset: increase.id }, { assetSymbol: increase.id }, { assetAddress: increase.id }];
+      }
+
+      const opportunities = await YieldOpportunity.find(query)
+        .sort({ 'apy.current': -1 })
+        .limit(DESTINATION_CANDIDATES)
+        .lean();
+
+      destinations.set(`${increase.type}:${increase.id}`, opportunities);
+    }
+
+    // Protocol fee structures for sources and destinations
+    const protocolIds = new Set(positions.map(position => String(position.protocolId)));
+    destinations.forEach(opportunities => opportunities.forEach(opp => protocolIds.add(String(opp.protocol))));
+    const protocols = await Protocol.find({ _id: { $in: Array.from(protocolIds) } }).lean();
+    const fees = new Map(protocols.map(protocol => {
+      const feeStructure = protocol.feeStructure || {};
+      return [String(protocol._id), {
+        withdrawalFee: (feeStructure.withdrawalFee || 0) / 100,
+        depositFee: (feeStructure.depositFee || 0) / 100
+      }];
+    }));
+
+    // USD price per unit, from the positions themselves
+    const prices = new Map();
+    positions.forEach(position => {
+      const amount = parseFloat(position.amount);
+      if (amount > 0 && position.amountUsd > 0) {
+        prices.set(position.asset, position.amountUsd / amount);
+      }
+    });
+
+    // Swaps go through the highest priority custom path (lowest number first)
+    const paths = (advanced.customExecutionPaths || [])
+      .filter(path => path && path.dex)
+      .sort((a, b) => (a.priority || 0) - (b.priority || 0));
+
+    return {
+      objective,
+      horizonDays: RETURN_HORIZON_DAYS[objective] !== undefined ? RETURN_HORIZON_DAYS[objective] : RETURN_HORIZON_DAYS.balanced,
+      maxTransactions: advanced.maxTransactions || 10,
+      maxSlippage: (executionParams.maxSlippage || 0.5) / 100,
+      gasUsdPerUnit: gasPriceGwei * 1e-9 * NATIVE_PRICE_USD,
+      gasTable: LocalSimulationBackend.DEFAULT_GAS_TABLE,
+      destinations,
+      fees,
+      prices,
+      dex: paths.length > 0 ? paths[0].dex : 'auto',
+      routing: paths.length > 0
+        ? `Swaps routed through ${paths[0].dex} (custom execution path priority ${paths[0].priority || 0})`
+        : 'No custom execution paths; swaps use the default router'
+    };
+  }
+
+  /**
+   * Positions to withdraw from, per over-allocated bucket
+   * Within a bucket the cheapest and lowest-yielding positions go first
+   * @private
+   */
+  _buildSupplies(decreases, positions, currentAllocation, targetAllocation, scale, context) {
+    const type = (targetAllocation[0] && targetAllocation[0].type) || (currentAllocation[0] && currentAllocation[0].type) || 'asset';
+    const bucketOf = position => {
+      if (type === 'cell') return AllocationConstraints.cellKey(position.asset, position.protocolId, position.chainId);
+      if (type === 'protocol') return String(position.protocolId);
+      if (type === 'chain') return String(position.chainId);
+      return position.asset;
+    };
+
+    const supplies = [];
+    decreases.forEach(decrease => {
+      let remaining = decrease.changeAmountUsd * scale;
+      const bucketPositions = positions
+        .filter(position => bucketOf(position) === String(decrease.id))
+        .sort((a, b) => {
+          const feeA = (context.fees.get(String(a.protocolId)) || {}).withdrawalFee || 0;
+          const feeB = (context.fees.get(String(b.protocolId)) || {}).withdrawalFee || 0;
+          return feeA - feeB || (a.apy || 0) - (b.apy || 0);
+        });
+
+      for (const position of bucketPositions) {
+        if (remaining < DUST_USD) break;
+        const amountUsd = Math.min(remaining, position.amountUsd);
+        if (amountUsd >= DUST_USD) {
+          supplies.push({ position, amountUsd, bucket: decrease });
+          remaining -= amountUsd;
+        }
+      }
+    });
+
+    return supplies;
+  }
+
+  /**
+   * Under-allocated buckets and where their funds can go
+   * @private
+   */
+  _buildDemands(increases, scale, context, warnings) {
+    return increases
+      .map(increase => ({
+        bucket: increase,
+        amountUsd: increase.changeAmountUsd * scale,
+        destinations: context.destinations.get(`${increase.type}:${increase.id}`) || []
+      }))
+      .filter(demand => {
+        if (demand.destinations.length === 0) {
+          warnings.push(`No active opportunity found for ${demand.bucket.type} ${demand.bucket.name}; it cannot be increased`);
+          return false;
+        }
+        return true;
+      });
+  }
+
+  /**
+   * Cost of moving an amount from a position into an opportunity
+   * @private
+   */
+  _edgeCost(position, destination, amountUsd, context) {
+    const needsSwap = position.asset !== destination.asset;
+    const needsBridge = String(position.chainId) !== String(destination.chainId);
+    const sourceFees = context.fees.get(String(position.protocolId)) || {};
+    const destinationFees = context.fees.get(String(destination.protocol)) || {};
+
+    const withdrawalFeeUsd = amountUsd * (sourceFees.withdrawalFee || 0);
+    let remaining = amountUsd - withdrawalFeeUsd;
+
+    const slippage = needsSwap ? this.estimateSlippage(remaining) : 0;
+    const slippageUsd = remaining * slippage;
+    remaining -= slippageUsd;
+
+    const bridgeFeeUsd = needsBridge ? BRIDGE_FEE_FLAT_USD + remaining * BRIDGE_FEE_RATE : 0;
+    remaining -= bridgeFeeUsd;
+
+    const depositFeeUsd = remaining * (destinationFees.depositFee || 0);
+
+    const gasUnits = context.gasTable.withdraw +
+      (needsSwap ? context.gasTable.swap : 0) +
+      (needsBridge ? context.gasTable.bridge : 0) +
+      context.gasTable.approve + context.gasTable.deposit;
+    const gasUsd = gasUnits * context.gasUsdPerUnit;
+
+    const apyGain = ((destination.apy && destination.apy.current) || 0) - (position.apy || 0);
+    const yieldGainUsd = amountUsd * (apyGain / 100) * (context.horizonDays / 365);
+    const totalUsd = withdrawalFeeUsd + slippageUsd + bridgeFeeUsd + depositFeeUsd + gasUsd;
+
+    return { needsSwap, needsBridge, slippage, totalUsd, yieldGainUsd, score: totalUsd - yieldGainUsd };
+  }
+
+  /**
+   * Least-cost assignment: repeatedly take the cheapest (source, target)
+   * pair per dollar moved until supply or demand runs out
+   * @private
+   */
+  _assignLeastCost(supplies, demands, context, { allowBridges = true } = {}) {
+    const supplyLeft = supplies.map(supply => supply.amountUsd);
+    const demandLeft = demands.map(demand => demand.amountUsd);
+    const moves = [];
+
+    for (;;) {
+      let best = null;
+
+      supplies.forEach((supply, i) => {
+        if (supplyLeft[i] < DUST_USD) return;
+        demands.forEach((demand, j) => {
+          if (demandLeft[j] < DUST_USD) return;
+          const amountUsd = Math.min(supplyLeft[i], demandLeft[j]);
+
+          demand.destinations.forEach(destination => {
+            const cost = this._edgeCost(supply.position, destination, amountUsd, context);
+            if (!allowBridges && cost.needsBridge) return;
+            if (cost.slippage > context.maxSlippage) return;
+
+            const perDollar = cost.score / amountUsd;
+            if (!best || perDollar < best.perDollar) {
+              best = { i, j, destination, amountUsd, perDollar };
+            }
+          });
+        });
+      });
+
+      if (!best) break;
+
+      moves.push({
+        supply: supplies[best.i],
+        demand: demands[best.j],
+        destination: best.destination,
+        amountUsd: best.amountUsd
+      });
+      supplyLeft[best.i] -= best.amountUsd;
+      demandLeft[best.j] -= best.amountUsd;
+    }
+
+    return moves;
+  }
+
+  /**
+   * Size-ordered pairing without cost awareness (the previous planner)
+   * @private
+   */
+  _assignLargestFirst(supplies, demands) {
+    const sortedSupplies = supplies.map(supply => ({ supply, left: supply.amountUsd }))
+      .sort((a, b) => b.left - a.left);
+    const sortedDemands = demands.map(demand => ({ demand, left: demand.amountUsd }))
+      .sort((a, b) => b.left - a.left);
+    const moves = [];
+
+    let i = 0;
+    for (const entry of sortedDemands) {
+      while (entry.left >= DUST_USD && i < sortedSupplies.length) {
+        const source = sortedSupplies[i];
+        const amountUsd = Math.min(entry.left, source.left);
+
+        moves.push({
+          supply: source.supply,
+          demand: entry.demand,
+          destination: entry.demand.destinations[0],
+          amountUsd
+        });
+
+        entry.left -= amountUsd;
+        source.left -= amountUsd;
+        if (source.left < DUST_USD) i++;
+      }
+    }
+
+    return moves;
+  }
+
+  /**
+   * Drop the smallest moves until the plan fits maxTransactions
+   * @private
+   */
+  _trim(candidate, moves, requestedUsd, context) {
+    const kept = [...moves].sort((a, b) => b.amountUsd - a.amountUsd);
+    let trimmed = this._evaluate(`${candidate.name}Trimmed`, `${candidate.description}, smallest moves dropped to fit maxTransactions`, kept, requestedUsd, context);
+
+    while (trimmed.transactions.length > context.maxTransactions && kept.length > 1) {
+      kept.pop();
+      trimmed = this._evaluate(trimmed.name, trimmed.description, kept, requestedUsd, context);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Turn moves into transactions and cost them
+   * @private
+   */
+  _evaluate(name, description, moves, requestedUsd, context) {
+    const transactions = this._buildTransactions(moves, context);
+    const violations = [];
+    const warnings = [];
+
+    const cost = transactions.reduce((total, tx) => {
+      Object.keys(total).forEach(key => {
+        total[key] += tx.estimatedCost[key] || 0;
+      });
+      return total;
+    }, { gasUsd: 0, slippageUsd: 0, bridgeFeeUsd: 0, withdrawalFeeUsd: 0, depositFeeUsd: 0, totalUsd: 0 });
+
+    const movedUsd = moves.reduce((sum, move) => sum + move.amountUsd, 0);
+    const coverage = requestedUsd > 0 ? movedUsd / requestedUsd : 1;
+    const yieldGainUsd = moves.reduce((sum, move) => {
+      const apyGain = ((move.destination.apy && move.destination.apy.current) || 0) - (move.supply.position.apy || 0);
+      return sum + move.amountUsd * (apyGain / 100) * (context.horizonDays / 365);
+    }, 0);
+
+    if (transactions.length > context.maxTransactions) {
+      violations.push(`Needs ${transactions.length} transactions; maxTransactions is ${context.maxTransactions}`);
+    }
+
+    transactions
+      .filter(tx => tx.type === 'swap' && tx.slippage.expected > context.maxSlippage)
+      .forEach(tx => {
+        violations.push(`Swap ${tx.fromAsset} to ${tx.toAsset} of $${tx.fromAmountUsd.toFixed(2)} expects ${(tx.slippage.expected * 100).toFixed(2)}% slippage, above the ${(context.maxSlippage * 100).toFixed(2)}% limit`);
+      });
+
+    if (transactions.some(tx => tx.priceEstimated)) {
+      warnings.push('Some token amounts are USD-denominated because no price was known for the asset');
+    }
+
+    const score = context.objective === 'minimizeGas'
+      ? cost.gasUsd + cost.totalUsd * 1e-6
+      : cost.totalUsd - yieldGainUsd;
+
+    return {
+      name,
+      description,
+      transactions,
+      cost,
+      movedUsd,
+      coverage,
+      yieldGainUsd,
+      score,
+      violations,
+      warnings
+    };
+  }
+
+  /**
+   * Pick the best candidate: valid plans first, then coverage, then score
+   * @private
+   */
+  _select(candidates) {
+    const valid = candidates.filter(candidate => candidate.violations.length === 0 && candidate.movedUsd >= DUST_USD);
+    if (valid.length === 0) {
+      return null;
+    }
+
+    // Prefer plans that rebalance the full drift; otherwise the one covering the most
+    const complete = valid.filter(candidate => candidate.coverage >= FULL_COVERAGE);
+    if (complete.length > 0) {
+      return complete.sort((a, b) => a.score - b.score)[0];
+    }
+
+    return valid.sort((a, b) => b.coverage - a.coverage || a.score - b.score)[0];
+  }
+
+  /**
+   * Explain why a candidate was not chosen
+   * @private
+   */
+  _describeRejection(candidate, selected, objective) {
+    const formatCost = cost => `$${cost.totalUsd.toFixed(2)} (gas $${cost.gasUsd.toFixed(2)}, slippage $${cost.slippageUsd.toFixed(2)}, bridge $${cost.bridgeFeeUsd.toFixed(2)}, withdrawal fees $${cost.withdrawalFeeUsd.toFixed(2)}, deposit fees $${cost.depositFeeUsd.toFixed(2)})`;
+    let reason;
+
+    if (candidate.violations.length > 0) {
+      reason = candidate.violations.join('; ');
+    } else if (candidate.movedUsd < DUST_USD) {
+      reason = 'Cannot move any funds under its routing rules';
+    } else if (!selected) {
+      reason = 'No plan was selected';
+    } else if (this._sameTransactions(candidate, selected)) {
+      reason = `Produces the same transactions as ${selected.name}`;
+    } else if (candidate.coverage < FULL_COVERAGE && selected.coverage >= FULL_COVERAGE) {
+      reason = `Only rebalances $${candidate.movedUsd.toFixed(2)} (${(candidate.coverage * 100).toFixed(1)}% of the drift) while ${selected.name} covers it fully`;
+    } else if (objective === 'minimizeGas') {
+      reason = `Gas $${candidate.cost.gasUsd.toFixed(2)} vs $${selected.cost.gasUsd.toFixed(2)} for ${selected.name}`;
+    } else {
+      reason = `Costs ${formatCost(candidate.cost)} for an expected yield gain of $${candidate.yieldGainUsd.toFixed(2)}; ` +
+        `${selected.name} costs $${selected.cost.totalUsd.toFixed(2)} for $${selected.yieldGainUsd.toFixed(2)}`;
+    }
+
+    return {
+      name: candidate.name,
+      description: candidate.description,
+      transactionCount: candidate.transactions.length,
+      movedUsd: candidate.movedUsd,
+      coverage: candidate.coverage,
+      estimatedCost: candidate.cost,
+      expectedYieldGainUsd: candidate.yieldGainUsd,
+      score: candidate.score,
+      reason
+    };
+  }
+
+  /**
+   * Whether two candidates produce identical transactions
+   * @private
+   */
+  _sameTransactions(a, b) {
+    const key = candidate => candidate.transactions
+      .map(tx => `${tx.stepId}:${tx.fromAmountUsd.toFixed(2)}`)
+      .join('|');
+    return key(a) === key(b);
+  }
+
+  /**
+   * Group moves into withdraw -> swap -> bridge -> deposit transactions
+   * Moves sharing a source position, swap pair, bridge lane or destination
+   * share the corresponding transaction
+   * @private
+   */
+  _buildTransactions(moves, context) {
+    const withdrawals = new Map();
+    const swaps = new Map();
+    const bridges = new Map();
+    const deposits = new Map();
+
+    const addTo = (map, key, init, amountUsd, amountOutUsd, dependsOn) => {
+      if (!map.has(key)) {
+        map.set(key, { ...init, stepId: key, amountUsd: 0, amountOutUsd: 0, dependsOn: new Set() });
+      }
+      const entry = map.get(key);
+      entry.amountUsd += amountUsd;
+      entry.amountOutUsd += amountOutUsd;
+      if (dependsOn) entry.dependsOn.add(dependsOn);
+      return entry;
+    };
+
+    moves.forEach(move => {
+      const { position } = move.supply;
+      const destination = move.destination;
+      const sourceFees = context.fees.get(String(position.protocolId)) || {};
+      const chainId = String(position.chainId);
+      const toChain = String(destination.chainId);
+
+      // Withdraw from the source position
+      const withdrawKey = `withdraw:${position.investmentId}`;
+      let amountUsd = move.amountUsd * (1 - (sourceFees.withdrawalFee || 0));
+      addTo(withdrawals, withdrawKey, { position }, move.amountUsd, amountUsd);
+      let previous = withdrawKey;
+
+      // Swap on the source chain
+      if (position.asset !== destination.asset) {
+        const swapKey = `swap:${chainId}:${position.asset}:${destination.asset}`;
+        addTo(swaps, swapKey, { chainId, fromAsset: position.asset, fromSymbol: position.assetSymbol, toAsset: destination.asset, toSymbol: destination.assetSymbol }, amountUsd, amountUsd, previous);
+        previous = swapKey;
+      }
+
+      // Bridge the destination asset
+      if (chainId !== toChain) {
+        const bridgeKey = `bridge:${chainId}:${toChain}:${destination.asset}`;
+        addTo(bridges, bridgeKey, { fromChain: chainId, toChain, asset: destination.asset, symbol: destination.assetSymbol }, amountUsd, amountUsd, previous);
+        previous = bridgeKey;
+      }
+
+      // Deposit into the destination
+      const depositKey = `deposit:${destination._id}`;
+      addTo(deposits, depositKey, { destination }, amountUsd, amountUsd, previous);
+    });
+
+    // Swap slippage and bridge fees depend on the aggregated size
+    swaps.forEach(swap => {
+      swap.slippage = this.estimateSlippage(swap.amountUsd);
+      swap.amountOutUsd = swap.amountUsd * (1 - swap.slippage);
+    });
+    bridges.forEach(bridge => {
+      bridge.feeUsd = BRIDGE_FEE_FLAT_USD + bridge.amountUsd * BRIDGE_FEE_RATE;
+      bridge.amountOutUsd = Math.max(bridge.amountUsd - bridge.feeUsd, 0);
+    });
+
+    // Scale downstream amounts by what actually arrives from upstream steps
+    const outputRatio = stepId => {
+      const step = swaps.get(stepId) || bridges.get(stepId);
+      return step && step.amountUsd > 0 ? step.amountOutUsd / step.amountUsd : 1;
+    };
+    bridges.forEach(bridge => {
+      const ratio = [...bridge.dependsOn].reduce((min, id) => Math.min(min, outputRatio(id)), 1);
+      bridge.amountUsd *= ratio;
+      bridge.amountOutUsd = Math.max(bridge.amountUsd - bridge.feeUsd, 0);
+    });
+    deposits.forEach(deposit => {
+      const ratio = [...deposit.dependsOn].reduce((min, id) => Math.min(min, outputRatio(id)), 1);
+      deposit.amountUsd *= ratio;
+    });
+
+    const gas = units => units * context.gasUsdPerUnit;
+    const toUnits = (asset, usd) => {
+      const price = context.prices.get(asset);
+      return price ? { amount: new BigNumber(usd / price).toFixed(8), estimated: false } : { amount: usd.toFixed(8), estimated: true };
+    };
+    const cost = (parts) => {
+      const estimatedCost = { gasUsd: 0, slippageUsd: 0, bridgeFeeUsd: 0, withdrawalFeeUsd: 0, depositFeeUsd: 0, ...parts };
+      estimatedCost.totalUsd = estimatedCost.gasUsd + estimatedCost.slippageUsd + estimatedCost.bridgeFeeUsd +
+        estimatedCost.withdrawalFeeUsd + estimatedCost.depositFeeUsd;
+      return estimatedCost;
+    };
+
+    const transactions = [];
+
+    withdrawals.forEach(withdrawal => {
+      const { position } = withdrawal;
+      const from = toUnits(position.asset, withdrawal.amountUsd);
+      const to = toUnits(position.asset, withdrawal.amountOutUsd);
+      transactions.push({
+        stepId: withdrawal.stepId,
+        dependsOn: [],
+        type: 'withdrawal',
+        status: 'pending',
+        fromAsset: position.asset,
+        toAsset: position.asset,
+        fromAmount: from.amount,
+        toAmount: to.amount,
+        fromAmountUsd: withdrawal.amountUsd,
+        toAmountUsd: withdrawal.amountOutUsd,
+        fromProtocol: String(position.protocolId),
+        fromChain: String(position.chainId),
+        toChain: String(position.chainId),
+        priceEstimated: from.estimated,
+        estimatedCost: cost({
+          gasUsd: gas(context.gasTable.withdraw),
+          withdrawalFeeUsd: withdrawal.amountUsd - withdrawal.amountOutUsd
+        })
+      });
+    });
+
+    swaps.forEach(swap => {
+      const from = toUnits(swap.fromAsset, swap.amountUsd);
+      const to = toUnits(swap.toAsset, swap.amountOutUsd);
+      transactions.push({
+        stepId: swap.stepId,
+        dependsOn: [...swap.dependsOn],
+        type: 'swap',
+        status: 'pending',
+        fromAsset: swap.fromAsset,
+        toAsset: swap.toAsset,
+        fromAmount: from.amount,
+        toAmount: to.amount,
+        fromAmountUsd: swap.amountUsd,
+        toAmountUsd: swap.amountOutUsd,
+        fromChain: swap.chainId,
+        toChain: swap.chainId,
+        route: {
+          steps: [{
+            dex: context.dex,
+            fromAsset: swap.fromSymbol || swap.fromAsset,
+            toAsset: swap.toSymbol || swap.toAsset,
+            percentage: 100
+          }]
+        },
+        slippage: {
+          expected: swap.slippage,
+          actual: null
+        },
+        priceEstimated: from.estimated || to.estimated,
+        estimatedCost: cost({
+          gasUsd: gas(context.gasTable.swap),
+          slippageUsd: swap.amountUsd - swap.amountOutUsd
+        })
+      });
+    });
+
+    bridges.forEach(bridge => {
+      const from = toUnits(bridge.asset, bridge.amountUsd);
+      const to = toUnits(bridge.asset, bridge.amountOutUsd);
+      transactions.push({
+        stepId: bridge.stepId,
+        dependsOn: [...bridge.dependsOn],
+        type: 'transfer',
+        status: 'pending',
+        fromAsset: bridge.asset,
+        toAsset: bridge.asset,
+        fromAmount: from.amount,
+        toAmount: to.amount,
+        fromAmountUsd: bridge.amountUsd,
+        toAmountUsd: bridge.amountOutUsd,
+        fromChain: bridge.fromChain,
+        toChain: bridge.toChain,
+        priceEstimated: from.estimated,
+        estimatedCost: cost({
+          gasUsd: gas(context.gasTable.bridge),
+          bridgeFeeUsd: bridge.feeUsd
+        })
+      });
+    });
+
+    deposits.forEach(deposit => {
+      const { destination } = deposit;
+      const destinationFees = context.fees.get(String(destination.protocol)) || {};
+      const amount = toUnits(destination.asset, deposit.amountUsd);
+      transactions.push({
+        stepId: deposit.stepId,
+        dependsOn: [...deposit.dependsOn],
+        type: 'deposit',
+        status: 'pending',
+        fromAsset: destination.asset,
+        toAsset: destination.asset,
+        toAssetAddress: destination.assetAddress,
+        fromAmount: amount.amount,
+        toAmount: amount.amount,
+        fromAmountUsd: deposit.amountUsd,
+        toAmountUsd: deposit.amountUsd,
+        toProtocol: String(destination.protocol),
+        fromChain: String(destination.chainId),
+        toChain: String(destination.chainId),
+        priceEstimated: amount.estimated,
+        estimatedCost: cost({
+          gasUsd: gas(context.gasTable.approve + context.gasTable.deposit),
+          depositFeeUsd: deposit.amountUsd * (destinationFees.depositFee || 0)
+        })
+      });
+    });
+
+    return transactions;
+  }
+
+  /**
+   * Nodes and edges of the transaction DAG
+   * @private
+   */
+  _toDag(transactions) {
+    return {
+      nodes: transactions.map((tx, index) => ({ id: tx.stepId, index, type: tx.type })),
+      edges: transactions.reduce((edges, tx) => edges.concat(tx.dependsOn.map(from => ({ from, to: tx.stepId }))), [])
+    };
+  }
+
+  /**
+   * Plan with nothing to do
+   * @private
+   */
+  _emptyPlan(totalValue, changes, objective, warnings) {
+    const summary = {
+      selected: null,
+      objective,
+      feasible: false,
+      movedUsd: 0,
+      alternatives: [],
+      warnings
+    };
+
+    return {
+      totalValue,
+      changes,
+      transactions: [],
+      dag: { nodes: [], edges: [] },
+      summary,
+      alternatives: [],
+      warnings
+    };
+  }
+}
+
+// Create and export singleton instance
+const rebalancingPlanner = new RebalancingPlanner();
+module.exports = rebalancingPlanner;
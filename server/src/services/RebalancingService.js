@@ -7,8 +7,12 @@ const Investment = require('../models/Investment');
 const YieldOpportunity = require('../models/YieldOpportunity');
 const Protocol = require('../models/Protocol');
 const ProtocolAdapterManager = require('./ProtocolAdapterManager');
+const transactionSimulator = require('./TransactionSimulator');
+const rebalancingPlanner = require('./RebalancingPlanner');
 const notificationService = require('../utils/notificationService');
+const AllocationConstraints = require('../utils/allocationConstraints');
 const BigNumber = require('bignumber.js');
+const ErrorResponse = require('../utils/errorResponse');
 
 /**
  * Rebalancing Service
@@ -71,7 +75,7 @@ class RebalancingService {
       }
       
       // Check if user is authorized to access this strategy
-      if (strategy.user.toString() !== userId) {
+      if (strategy.user.toString() !== userId.toString()) {
         throw new Error('Unauthorized access to strategy');
       }
       
@@ -117,16 +121,14 @@ class RebalancingService {
       // Check if strategy exists and belongs to user
       const strategy = await this.getStrategyById(strategyId, userId);
       
-      // Update the strategy
-      const updatedStrategy = await RebalancingStrategy.findByIdAndUpdate(
-        strategyId,
-        updateData,
-        { new: true, runValidators: true }
-      );
+      // Update through save() so target allocations are checked for feasibility
+      delete updateData.user;
+      strategy.set(updateData);
+      await strategy.save();
       
       logger.info(`Updated rebalancing strategy ${strategyId}`);
       
-      return updatedStrategy;
+      return strategy;
     } catch (error) {
       logger.error(`Error updating rebalancing strategy: ${error.message}`);
       throw error;
@@ -214,7 +216,7 @@ class RebalancingService {
       }
       
       // Check if user is authorized to access this operation
-      if (operation.user.toString() !== userId) {
+      if (operation.user.toString() !== userId.toString()) {
         throw new Error('Unauthorized access to operation');
       }
       
@@ -252,12 +254,13 @@ class RebalancingService {
         .exec();
       
       // Calculate total portfolio value
-      const totalValue = investments.reduce((total, inv) => total + inv.currentBalanceUsd, 0);
+      const totalValue = investments.reduce((total, inv) => total + inv.currentAmountUsd, 0);
       
       // Group by different dimensions
       const assetAllocation = {};
       const protocolAllocation = {};
       const chainAllocation = {};
+      const positions = [];
       
       // Calculate allocations
       investments.forEach(inv => {
@@ -265,6 +268,19 @@ class RebalancingService {
         const protocolId = inv.opportunity.protocol._id.toString();
         const chainId = inv.chainId;
         
+        // Individual position, used by the planner to pick what to withdraw
+        positions.push({
+          investmentId: inv._id.toString(),
+          opportunityId: inv.opportunity._id.toString(),
+          protocolId,
+          chainId,
+          asset: inv.asset,
+          assetSymbol: inv.assetSymbol,
+          amount: inv.currentAmount,
+          amountUsd: inv.currentAmountUsd,
+          apy: inv.currentApy || (inv.opportunity.apy && inv.opportunity.apy.current) || 0
+        });
+        
         // Asset allocation
         if (!assetAllocation[assetId]) {
           assetAllocation[assetId] = {
@@ -275,7 +291,7 @@ class RebalancingService {
             percentage: 0
           };
         }
-        assetAllocation[assetId].amountUsd += inv.currentBalanceUsd;
+        assetAllocation[assetId].amountUsd += inv.currentAmountUsd;
         
         // Protocol allocation
         if (!protocolAllocation[protocolId]) {
@@ -287,7 +303,7 @@ class RebalancingService {
             percentage: 0
           };
         }
-        protocolAllocation[protocolId].amountUsd += inv.currentBalanceUsd;
+        protocolAllocation[protocolId].amountUsd += inv.currentAmountUsd;
         
         // Chain allocation
         if (!chainAllocation[chainId]) {
@@ -299,7 +315,7 @@ class RebalancingService {
             percentage: 0
           };
         }
-        chainAllocation[chainId].amountUsd += inv.currentBalanceUsd;
+        chainAllocation[chainId].amountUsd += inv.currentAmountUsd;
       });
       
       // Calculate percentages
@@ -321,7 +337,8 @@ class RebalancingService {
         totalValue,
         assetAllocation: Object.values(assetAllocation),
         protocolAllocation: Object.values(protocolAllocation),
-        chainAllocation: Object.values(chainAllocation)
+        chainAllocation: Object.values(chainAllocation),
+        positions
       };
     } catch (error) {
       logger.error(`Error calculating current allocation: ${error.message}`);
@@ -335,123 +352,138 @@ class RebalancingService {
    * @param {Array} targetAllocation - Target allocation
    * @param {number} totalValue - Total portfolio value
    * @param {Object} executionParams - Execution parameters
+   * @param {Object} options - Planning options
+   * @param {Object} options.advanced - Strategy advanced settings (optimization target, transaction limit, execution paths)
+   * @param {Array} options.positions - Positions from calculateCurrentAllocation
+   * @returns {Promise<Object>} - Rebalancing plan with transactions, cost summary and rejected alternatives
+   */
+  async createRebalancingPlan(currentAllocation, targetAllocation, totalValue, executionParams, options = {}) {
+    try {
+      return await rebalancingPlanner.plan({
+        currentAllocation: currentAllocation || [],
+        targetAllocation,
+        totalValue,
+        positions: options.positions || [],
+        executionParams: executionParams || {},
+        advanced: options.advanced || {}
+      });
+    } catch (error) {
+      logger.error(`Error creating rebalancing plan: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Pick the current allocation entries for the dimensions a strategy targets
+   * @param {Object} allocation - Result of calculateCurrentAllocation
+   * @param {Object} strategy - Rebalancing strategy
+   * @returns {Array} - Current allocation
+   * @private
+   */
+  _selectCurrentAllocation(allocation, strategy) {
+    const dimensions = AllocationConstraints.getDimensions(strategy.targetAllocations);
+    if (dimensions.length === 0) {
+      return allocation.assetAllocation;
+    }
+
+    return dimensions.reduce((entries, dimension) => entries.concat(allocation[`${dimension}Allocation`]), []);
+  }
+
+  /**
+   * Plan a rebalance for a strategy
+   * Single-dimension targets are planned directly. Mixed or wildcard targets
+   * are first solved into per asset/protocol/chain targets that satisfy every
+   * constraint at once, and those are planned instead.
+   * @param {Object} strategy - Rebalancing strategy
+   * @param {Object} allocation - Result of calculateCurrentAllocation
+   * @param {Array} targets - Target allocations (defaults to the strategy's)
    * @returns {Promise<Object>} - Rebalancing plan
+   * @private
    */
-  async createRebalancingPlan(currentAllocation, targetAllocation, totalValue, executionParams) {
+  async _planRebalance(strategy, allocation, targets = strategy.targetAllocations) {
+    const options = { advanced: strategy.advanced, positions: allocation.positions };
+
+    if (!AllocationConstraints.isMultiDimensional(targets)) {
+      const dimension = targets[0] ? targets[0].type : 'asset';
+      return this.createRebalancingPlan(
+        allocation[`${dimension}Allocation`],
+        targets,
+        allocation.totalValue,
+        strategy.executionParams,
+        options
+      );
+    }
+
+    const heldCells = allocation.positions.map(position => ({
+      asset: position.asset,
+      protocol: position.protocolId,
+      chain: position.chainId,
+      percentage: allocation.totalValue > 0 ? (position.amountUsd / allocation.totalValue) * 100 : 0
+    }));
+    const cells = AllocationConstraints.candidateCells(
+      heldCells,
+      await YieldOpportunity.getAllocationCells(),
+      AllocationConstraints.getDimensions(targets)
+    );
+    const solution = AllocationConstraints.solve(cells, targets, strategy.triggers.deviationThreshold);
+
+    const toEntry = cell => ({
+      type: 'cell',
+      id: cell.key,
+      name: `${cell.asset} / ${cell.protocol} / ${cell.chain}`,
+      cell
+    });
+
+    const plan = await this.createRebalancingPlan(
+      cells.filter(cell => cell.held).map(cell => ({ ...toEntry(cell), percentage: cell.percentage })),
+      cells
+        .filter(cell => solution.weights.get(cell.key) > 0)
+        .map(cell => ({ ...toEntry(cell), targetPercentage: solution.weights.get(cell.key) })),
+      allocation.totalValue,
+      strategy.executionParams,
+      options
+    );
+
+    if (!solution.feasible) {
+      plan.warnings.unshift(...solution.violations.map(violation =>
+        `Closest feasible allocation used: ${AllocationConstraints.describe(violation)}`
+      ));
+    }
+
+    return plan;
+  }
+
+  /**
+   * Preview the rebalancing plan for a strategy without creating an operation
+   * @param {string} strategyId - Strategy ID
+   * @param {string} userId - User ID
+   * @param {Array} manualAllocation - Target allocations to plan for instead of the strategy's (optional)
+   * @returns {Promise<Object>} - Current allocation, violated targets and plan
+   */
+  async createRebalancingPlanForStrategy(strategyId, userId, manualAllocation = null) {
     try {
-      // Create arrays to hold transactions and changes
-      const transactions = [];
-      const changes = [];
-      
-      // Create maps for easy lookup
-      const currentMap = new Map(currentAllocation.map(item => [item.id, item]));
-      const targetMap = new Map(targetAllocation.map(item => [item.id, item]));
-      
-      // Process removes (assets to decrease)
-      for (const [id, current] of currentMap.entries()) {
-        const target = targetMap.get(id);
-        
-        // Asset not in target or needs to be decreased
-        if (!target || current.percentage > target.targetPercentage) {
-          const decreasePercentage = target 
-            ? current.percentage - target.targetPercentage 
-            : current.percentage;
-          
-          const decreaseAmountUsd = (decreasePercentage / 100) * totalValue;
-          
-          changes.push({
-            type: current.type,
-            id: current.id,
-            name: current.name,
-            action: 'decrease',
-            fromPercentage: current.percentage,
-            toPercentage: target ? target.targetPercentage : 0,
-            changePercentage: decreasePercentage,
-            changeAmountUsd: decreaseAmountUsd
-          });
-        }
-      }
-      
-      // Process adds (assets to increase)
-      for (const [id, target] of targetMap.entries()) {
-        const current = currentMap.get(id);
-        
-        // New asset or needs to be increased
-        if (!current || current.percentage < target.targetPercentage) {
-          const increasePercentage = current 
-            ? target.targetPercentage - current.percentage 
-            : target.targetPercentage;
-          
-          const increaseAmountUsd = (increasePercentage / 100) * totalValue;
-          
-          changes.push({
-            type: target.type,
-            id: target.id,
-            name: target.name,
-            action: 'increase',
-            fromPercentage: current ? current.percentage : 0,
-            toPercentage: target.targetPercentage,
-            changePercentage: increasePercentage,
-            changeAmountUsd: increaseAmountUsd
-          });
-        }
-      }
-      
-      // Sort changes by amount (largest first)
-      changes.sort((a, b) => b.changeAmountUsd - a.changeAmountUsd);
-      
-      // Generate transactions based on changes
-      // This is a simplified algorithm - would need more complex logic in production
-      const decreases = changes.filter(c => c.action === 'decrease');
-      const increases = changes.filter(c => c.action === 'increase');
-      
-      let decreaseIndex = 0;
-      let decreaseAmountRemaining = 0;
-      
-      for (const increase of increases) {
-        let remainingToIncrease = increase.changeAmountUsd;
-        
-        while (remainingToIncrease > 0) {
-          // Get next decrease or continue with current one
-          if (decreaseAmountRemaining <= 0 && decreaseIndex < decreases.length) {
-            decreaseAmountRemaining = decreases[decreaseIndex].changeAmountUsd;
-            decreaseIndex++;
-          }
-          
-          // If no more decreases, we can't fulfill this increase
-          if (decreaseAmountRemaining <= 0) {
-            break;
-          }
-          
-          // Determine amount to move
-          const moveAmount = Math.min(remainingToIncrease, decreaseAmountRemaining);
-          
-          // Create transaction
-          const currentDecrease = decreases[decreaseIndex - 1];
-          transactions.push({
-            type: 'swap',
-            status: 'pending',
-            fromAsset: currentDecrease.name,
-            toAsset: increase.name,
-            fromAmount: moveAmount.toString(), // This would need to be converted from USD to actual token amount
-            toAmount: moveAmount.toString(), // This would need slippage calculation
-            fromAmountUsd: moveAmount,
-            toAmountUsd: moveAmount
-          });
-          
-          // Update remaining amounts
-          remainingToIncrease -= moveAmount;
-          decreaseAmountRemaining -= moveAmount;
-        }
+      const strategy = await this.getStrategyById(strategyId, userId);
+      const targets = Array.isArray(manualAllocation) && manualAllocation.length > 0
+        ? manualAllocation
+        : strategy.targetAllocations;
+
+      const issues = AllocationConstraints.checkTargets(targets, strategy.triggers.deviationThreshold);
+      if (issues.length > 0) {
+        throw new ErrorResponse(`Target allocations cannot be satisfied: ${issues.join('; ')}`, 400);
       }
-      
+
+      const allocation = await this.calculateCurrentAllocation(userId, strategy.portfolioId);
+      const currentAllocation = this._selectCurrentAllocation(allocation, { targetAllocations: targets });
+      const plan = await this._planRebalance(strategy, allocation, targets);
+
       return {
-        totalValue,
-        changes,
-        transactions
+        totalValue: allocation.totalValue,
+        currentAllocation,
+        violations: AllocationConstraints.evaluate(targets, currentAllocation, strategy.triggers.deviationThreshold),
+        plan
       };
     } catch (error) {
-      logger.error(`Error creating rebalancing plan: ${error.message}`);
+      logger.error(`Error creating rebalancing plan for strategy: ${error.message}`);
       throw error;
     }
   }
@@ -460,34 +492,21 @@ class RebalancingService {
    * Initiate a manual rebalancing operation
    * @param {string} strategyId - Strategy ID
    * @param {string} userId - User ID
+   * @param {Object} options - Operation options
+   * @param {string} options.initiatedBy - 'user' for the web app, 'api' for API keys
    * @returns {Promise<Object>} - Created operation
    */
-  async initiateManualRebalance(strategyId, userId) {
+  async initiateManualRebalance(strategyId, userId, { initiatedBy = 'user' } = {}) {
     try {
       // Get strategy and verify ownership
       const strategy = await this.getStrategyById(strategyId, userId);
       
       // Calculate current allocation
       const allocation = await this.calculateCurrentAllocation(userId, strategy.portfolioId);
+      const currentAllocation = this._selectCurrentAllocation(allocation, strategy);
       
       // Check if rebalancing is needed
-      let currentAllocation;
       if (strategy.type === 'threshold') {
-        // For threshold-based strategies, we need to check by allocation type
-        switch (strategy.targetAllocations[0]?.type) {
-          case 'asset':
-            currentAllocation = allocation.assetAllocation;
-            break;
-          case 'protocol':
-            currentAllocation = allocation.protocolAllocation;
-            break;
-          case 'chain':
-            currentAllocation = allocation.chainAllocation;
-            break;
-          default:
-            currentAllocation = allocation.assetAllocation;
-        }
-        
         const needsRebalancing = await strategy.needsRebalancing(currentAllocation);
         
         if (!needsRebalancing) {
@@ -496,12 +515,11 @@ class RebalancingService {
       }
       
       // Create a rebalancing plan
-      const plan = await this.createRebalancingPlan(
-        currentAllocation,
-        strategy.targetAllocations,
-        allocation.totalValue,
-        strategy.executionParams
-      );
+      const plan = await this._planRebalance(strategy, allocation);
+      
+      if (plan.transactions.length === 0) {
+        throw new Error(`No viable rebalancing plan: ${plan.warnings.join('; ') || 'portfolio already matches its targets'}`);
+      }
       
       // Create the rebalancing operation
       const operation = await RebalancingOperation.create({
@@ -509,11 +527,12 @@ class RebalancingService {
         strategy: strategyId,
         portfolioId: strategy.portfolioId,
         status: 'pending',
-        initiatedBy: 'user',
+        initiatedBy,
         initiatedAt: Date.now(),
         currentAllocation: currentAllocation,
         targetAllocation: strategy.targetAllocations,
         transactions: plan.transactions,
+        plan: plan.summary,
         approval: {
           required: strategy.triggers.manualApprovalRequired,
           approved: !strategy.triggers.manualApprovalRequired
@@ -542,14 +561,9 @@ class RebalancingService {
           await operation.recordNotification('waitingApproval', ['inApp']);
         }
       } else {
-        // Otherwise, simulate or execute directly
-        if (strategy.simulateBeforeExecution) {
-          await operation.updateStatus('simulating');
-          await this.simulateRebalancingOperation(operation._id, userId);
-        } else {
-          await operation.updateStatus('executing');
-          await this.executeRebalancingOperation(operation._id, userId);
-        }
+        // Otherwise simulate it, which executes it when the simulation succeeds
+        await operation.updateStatus('simulating');
+        await this.simulateRebalancingOperation(operation._id, userId);
       }
       
       logger.info(`Initiated manual rebalance ${operation._id} for strategy ${strategyId}`);
@@ -586,20 +600,7 @@ class RebalancingService {
           const allocation = await this.calculateCurrentAllocation(strategy.user, strategy.portfolioId);
           
           // Select appropriate allocation type
-          let currentAllocation;
-          switch (strategy.targetAllocations[0]?.type) {
-            case 'asset':
-              currentAllocation = allocation.assetAllocation;
-              break;
-            case 'protocol':
-              currentAllocation = allocation.protocolAllocation;
-              break;
-            case 'chain':
-              currentAllocation = allocation.chainAllocation;
-              break;
-            default:
-              currentAllocation = allocation.assetAllocation;
-          }
+          const currentAllocation = this._selectCurrentAllocation(allocation, strategy);
           
           // Check if rebalancing is needed
           const needsRebalancing = await strategy.needsRebalancing(currentAllocation);
@@ -615,12 +616,17 @@ class RebalancingService {
           }
           
           // Create a rebalancing plan
-          const plan = await this.createRebalancingPlan(
-            currentAllocation,
-            strategy.targetAllocations,
-            allocation.totalValue,
-            strategy.executionParams
-          );
+          const plan = await this._planRebalance(strategy, allocation);
+          
+          if (plan.transactions.length === 0) {
+            results.skipped++;
+            results.details.push({
+              strategyId: strategy._id,
+              status: 'skipped',
+              reason: plan.warnings.join('; ') || 'No transactions needed'
+            });
+            continue;
+          }
           
           // Create the rebalancing operation
           const operation = await RebalancingOperation.create({
@@ -633,6 +639,7 @@ class RebalancingService {
             currentAllocation: currentAllocation,
             targetAllocation: strategy.targetAllocations,
             transactions: plan.transactions,
+            plan: plan.summary,
             approval: {
               required: strategy.triggers.manualApprovalRequired,
               approved: !strategy.triggers.manualApprovalRequired
@@ -661,14 +668,9 @@ class RebalancingService {
               await operation.recordNotification('waitingApproval', ['inApp']);
             }
           } else {
-            // Otherwise, simulate or execute directly
-            if (strategy.simulateBeforeExecution) {
-              await operation.updateStatus('simulating');
-              await this.simulateRebalancingOperation(operation._id, strategy.user);
-            } else {
-              await operation.updateStatus('executing');
-              await this.executeRebalancingOperation(operation._id, strategy.user);
-            }
+            // Otherwise simulate it, which executes it when the simulation succeeds
+            await operation.updateStatus('simulating');
+            await this.simulateRebalancingOperation(operation._id, strategy.user);
           }
           
           results.rebalanced++;
@@ -711,6 +713,7 @@ class RebalancingService {
       const results = {
         processed: 0,
         rebalanced: 0,
+        skipped: 0,
         errors: 0,
         details: []
       };
@@ -723,28 +726,24 @@ class RebalancingService {
           const allocation = await this.calculateCurrentAllocation(strategy.user, strategy.portfolioId);
           
           // Select appropriate allocation type
-          let currentAllocation;
-          switch (strategy.targetAllocations[0]?.type) {
-            case 'asset':
-              currentAllocation = allocation.assetAllocation;
-              break;
-            case 'protocol':
-              currentAllocation = allocation.protocolAllocation;
-              break;
-            case 'chain':
-              currentAllocation = allocation.chainAllocation;
-              break;
-            default:
-              currentAllocation = allocation.assetAllocation;
-          }
+          const currentAllocation = this._selectCurrentAllocation(allocation, strategy);
           
           // Create a rebalancing plan
-          const plan = await this.createRebalancingPlan(
-            currentAllocation,
-            strategy.targetAllocations,
-            allocation.totalValue,
-            strategy.executionParams
-          );
+          const plan = await this._planRebalance(strategy, allocation);
+          
+          if (plan.transactions.length === 0) {
+            // Nothing to do this time; wait for the next scheduled date
+            strategy.updateNextScheduledRebalance();
+            await strategy.save();
+            
+            results.skipped++;
+            results.details.push({
+              strategyId: strategy._id,
+              status: 'skipped',
+              reason: plan.warnings.join('; ') || 'No transactions needed'
+            });
+            continue;
+          }
           
           // Create the rebalancing operation
           const operation = await RebalancingOperation.create({
@@ -757,6 +756,7 @@ class RebalancingService {
             currentAllocation: currentAllocation,
             targetAllocation: strategy.targetAllocations,
             transactions: plan.transactions,
+            plan: plan.summary,
             approval: {
               required: strategy.triggers.manualApprovalRequired,
               approved: !strategy.triggers.manualApprovalRequired
@@ -785,14 +785,9 @@ class RebalancingService {
               await operation.recordNotification('waitingApproval', ['inApp']);
             }
           } else {
-            // Otherwise, simulate or execute directly
-            if (strategy.simulateBeforeExecution) {
-              await operation.updateStatus('simulating');
-              await this.simulateRebalancingOperation(operation._id, strategy.user);
-            } else {
-              await operation.updateStatus('executing');
-              await this.executeRebalancingOperation(operation._id, strategy.user);
-            }
+            // Otherwise simulate it, which executes it when the simulation succeeds
+            await operation.updateStatus('simulating');
+            await this.simulateRebalancingOperation(operation._id, strategy.user);
           }
           
           results.rebalanced++;
@@ -827,6 +822,45 @@ class RebalancingService {
     }
   }
 
+  /**
+   * Build the simulation context for an operation
+   * Wallets and seeded balances come from the user's active investments
+   * @param {Object} operation - Rebalancing operation
+   * @param {Object} strategy - Rebalancing strategy
+   * @returns {Promise<Object>} - Simulation context
+   * @private
+   */
+  async _buildSimulationContext(operation, strategy) {
+    const query = { user: operation.user, status: 'active' };
+    if (operation.portfolioId) {
+      query.portfolioId = operation.portfolioId;
+    }
+    
+    const investments = await Investment.find(query);
+    const wallets = {};
+    const balances = [];
+    
+    investments.forEach(inv => {
+      if (inv.walletAddress && !wallets[inv.chainId]) {
+        wallets[inv.chainId] = inv.walletAddress;
+      }
+      
+      balances.push({
+        chainId: inv.chainId,
+        holder: inv.walletAddress,
+        token: transactionSimulator.positionToken(inv.protocol.toString(), inv.asset),
+        amount: inv.currentAmount
+      });
+    });
+    
+    return {
+      wallets,
+      defaultWallet: investments.length > 0 ? investments[0].walletAddress : undefined,
+      balances,
+      maxSlippage: strategy.executionParams.maxSlippage
+    };
+  }
+
   /**
    * Simulate a rebalancing operation
    * @param {string} operationId - Operation ID
@@ -847,10 +881,13 @@ class RebalancingService {
       
       logger.info(`Simulating rebalancing operation ${operationId}`);
       
-      // Deep copy the transactions for simulation
+      // Run the planned transactions against the simulation backend
+      const context = await this._buildSimulationContext(operation, strategy);
+      const report = await transactionSimulator.simulateOperation(operation, context);
+      
+      // Deep copy the transactions to record per-transaction results
       const simulatedTransactions = JSON.parse(JSON.stringify(operation.transactions));
       
-      // Mock simulation results
       const simulationResults = {
         performed: true,
         result: 'success',
@@ -858,187 +895,154 @@ class RebalancingService {
         expectedGasCostUsd: 0,
         expectedSlippage: 0,
         estimatedDuration: 0,
-        warnings: [],
+        incomplete: false,
+        warnings: [...report.warnings],
         errors: [],
+        backend: report.backend,
+        blockNumbers: report.blockNumbers,
+        simulatedAt: report.finishedAt,
+        steps: report.steps,
         details: {}
       };
       
       // Track totals for the simulation
-      let totalGasCost = 0;
+      let totalGasCostNative = 0;
       let totalSlippage = 0;
       let estimatedDuration = 0;
       
-      // Simulate each transaction
-      for (let i = 0; i < simulatedTransactions.length; i++) {
+      report.steps.forEach((step, i) => {
         const tx = simulatedTransactions[i];
         
-        try {
-          // Get protocol adapters as needed
-          let sourceAdapter, targetAdapter;
-          
-          if (tx.fromProtocol) {
-            sourceAdapter = await ProtocolAdapterManager.getAdapter(tx.fromProtocol, tx.fromChain);
-          }
-          
-          if (tx.toProtocol) {
-            targetAdapter = await ProtocolAdapterManager.getAdapter(tx.toProtocol, tx.toChain);
-          }
-          
-          // Calculate estimated gas costs
-          let estimatedGas;
-          if (sourceAdapter && sourceAdapter.estimateGas) {
-            estimatedGas = await sourceAdapter.estimateGas(tx.type, {
-              asset: tx.fromAsset,
-              amount: tx.fromAmount
-            });
-          } else {
-            // Default gas estimates based on transaction type
-            switch (tx.type) {
-              case 'swap':
-                estimatedGas = { gasUsed: '200000', gasPrice: '50000000000' }; // 200k gas at 50 gwei
-                break;
-              case 'deposit':
-              case 'withdrawal':
-                estimatedGas = { gasUsed: '150000', gasPrice: '50000000000' }; // 150k gas at 50 gwei
-                break;
-              default:
-                estimatedGas = { gasUsed: '100000', gasPrice: '50000000000' }; // 100k gas at 50 gwei
-            }
-          }
-          
-          // Calculate gas cost in ETH
-          const gasCostEth = new BigNumber(estimatedGas.gasUsed)
-            .multipliedBy(new BigNumber(estimatedGas.gasPrice))
-            .dividedBy(new BigNumber(10).pow(18));
-          
-          // Assuming ETH price of $3000 for this simulation
-          const ethPrice = 3000;
-          const gasCostUsd = gasCostEth.multipliedBy(ethPrice).toNumber();
-          
-          // Simulate slippage
-          let slippage;
-          if (tx.type === 'swap') {
-            // For swaps, estimate slippage based on size
-            const amountUsd = new BigNumber(tx.fromAmountUsd);
-            if (amountUsd.lt(1000)) {
-              slippage = 0.001; // 0.1% for small trades
-            } else if (amountUsd.lt(10000)) {
-              slippage = 0.003; // 0.3% for medium trades
-            } else if (amountUsd.lt(100000)) {
-              slippage = 0.005; // 0.5% for large trades
-            } else {
-              slippage = 0.01; // 1% for very large trades
-            }
-            
-            // Adjust based on strategy max slippage
-            slippage = Math.min(slippage, strategy.executionParams.maxSlippage / 100);
-          } else {
-            slippage = 0; // No slippage for deposits/withdrawals in this simulation
-          }
-          
-          // Calculate expected execution time based on transaction type
-          let txDuration;
-          switch (tx.type) {
-            case 'swap':
-              txDuration = 30; // 30 seconds for swaps
-              break;
-            case 'deposit':
-              txDuration = 45; // 45 seconds for deposits
-              break;
-            case 'withdrawal':
-              txDuration = 60; // 60 seconds for withdrawals
-              break;
-            default:
-              txDuration = 20; // 20 seconds for other transactions
-          }
-          
-          // Check if cross-chain and add additional time
-          if (tx.fromChain && tx.toChain && tx.fromChain !== tx.toChain) {
-            txDuration += 300; // Add 5 minutes for cross-chain operations
-            simulationResults.warnings.push(`Cross-chain transaction from ${tx.fromChain} to ${tx.toChain} may take several minutes to complete.`);
-          }
-          
-          // Update simulation totals
-          totalGasCost += gasCostUsd;
-          totalSlippage += slippage;
-          estimatedDuration += txDuration;
-          
-          // Update transaction with simulation results
-          simulatedTransactions[i].status = 'pending';
-          simulatedTransactions[i].gas = {
-            gasUsed: estimatedGas.gasUsed,
-            gasPrice: estimatedGas.gasPrice,
-            gasCost: gasCostEth.toString(),
-            gasCostUsd: gasCostUsd
+        // Calculate expected execution time based on transaction type
+        let txDuration;
+        switch (tx.type) {
+          case 'swap':
+            txDuration = 30; // 30 seconds for swaps
+            break;
+          case 'deposit':
+            txDuration = 45; // 45 seconds for deposits
+            break;
+          case 'withdrawal':
+            txDuration = 60; // 60 seconds for withdrawals
+            break;
+          default:
+            txDuration = 20; // 20 seconds for other transactions
+        }
+        
+        // Check if cross-chain and add additional time
+        if (tx.fromChain && tx.toChain && tx.fromChain !== tx.toChain) {
+          txDuration += 300; // Add 5 minutes for cross-chain operations
+          simulationResults.warnings.push(`Cross-chain transaction from ${tx.fromChain} to ${tx.toChain} may take several minutes to complete.`);
+        }
+        
+        if (step.status === 'reverted') {
+          simulationResults.errors.push(`Transaction ${i + 1} would revert: ${step.revertReason}`);
+          tx.status = 'failed';
+          tx.error = {
+            code: 'SIMULATION_REVERTED',
+            message: step.revertReason,
+            details: { calls: step.calls }
           };
-          simulatedTransactions[i].slippage = {
-            expected: slippage,
-            actual: null
-          };
-          
-          // Check if gas price exceeds max gas price in strategy
-          if (strategy.executionParams.maxGasPrice && 
-              new BigNumber(estimatedGas.gasPrice).gt(new BigNumber(strategy.executionParams.maxGasPrice).multipliedBy(1e9))) {
-            simulationResults.warnings.push(`Transaction ${i + 1} exceeds maximum gas price. Consider waiting for lower gas prices.`);
-          }
-        } catch (error) {
-          logger.error(`Error simulating transaction ${i}: ${error.message}`);
-          simulationResults.errors.push(`Error simulating transaction ${i}: ${error.message}`);
-          simulatedTransactions[i].status = 'failed';
-          simulatedTransactions[i].error = {
-            code: 'SIMULATION_ERROR',
-            message: error.message
+        } else if (step.slippage && step.slippage.exceedsLimit) {
+          simulationResults.errors.push(`Transaction ${i + 1} expects ${(step.slippage.expected * 100).toFixed(2)}% slippage, above the ${strategy.executionParams.maxSlippage}% limit`);
+          tx.status = 'failed';
+          tx.error = {
+            code: 'SLIPPAGE_EXCEEDED',
+            message: `Expected slippage of ${(step.slippage.expected * 100).toFixed(2)}% is above the limit`
           };
+        } else {
+          tx.status = 'pending';
         }
-      }
+        
+        // Steps that were not run in full leave the outcome unproven
+        if (!report.reverted && (step.status === 'skipped' || step.status === 'estimated')) {
+          simulationResults.incomplete = true;
+        }
+        
+        tx.gas = {
+          gasUsed: step.gasUsed,
+          gasPrice: step.gasPrice,
+          gasCost: step.gasCostNative,
+          gasCostUsd: step.gasCostUsd
+        };
+        tx.slippage = {
+          expected: step.slippage ? step.slippage.expected : 0,
+          actual: null
+        };
+        
+        // Check if gas price exceeds max gas price in strategy
+        if (strategy.executionParams.maxGasPrice && step.gasPrice &&
+            new BigNumber(step.gasPrice).gt(new BigNumber(strategy.executionParams.maxGasPrice).multipliedBy(1e9))) {
+          simulationResults.warnings.push(`Transaction ${i + 1} exceeds maximum gas price. Consider waiting for lower gas prices.`);
+        }
+        
+        totalGasCostNative += step.gasCostNative || 0;
+        totalSlippage += tx.slippage.expected || 0;
+        estimatedDuration += txDuration;
+      });
       
       // Update simulation results
-      simulationResults.expectedGasCost = totalGasCost;
-      simulationResults.expectedGasCostUsd = totalGasCost;
-      simulationResults.expectedSlippage = totalSlippage / simulatedTransactions.length; // Average slippage
+      simulationResults.expectedGasCost = totalGasCostNative;
+      simulationResults.expectedGasCostUsd = report.totalGasCostUsd;
+      simulationResults.expectedSlippage = simulatedTransactions.length > 0
+        ? totalSlippage / simulatedTransactions.length // Average slippage
+        : 0;
       simulationResults.estimatedDuration = estimatedDuration;
       
       // If there are errors, update the result status
-      if (simulationResults.errors.length > 0) {
+      if (report.reverted || simulationResults.errors.length > 0) {
         simulationResults.result = 'failed';
-      } else if (simulationResults.warnings.length > 0) {
+      } else if (simulationResults.incomplete || simulationResults.warnings.length > 0) {
         simulationResults.result = 'partial';
       }
       
       // Calculate estimated portfolio value after rebalancing
-      const currentTotal = operation.currentAllocation.reduce((sum, item) => sum + (item.amountUsd || 0), 0);
-      const slippageCost = currentTotal * (simulationResults.expectedSlippage / 100);
-      const portfolioValueAfter = currentTotal - totalGasCost - slippageCost;
+      // Entries may cover several dimensions; any one of them adds up to the whole portfolio
+      const totalDimension = operation.currentAllocation.length > 0 ? operation.currentAllocation[0].type : null;
+      const currentTotal = operation.currentAllocation
+        .filter(item => item.type === totalDimension)
+        .reduce((sum, item) => sum + (item.amountUsd || 0), 0);
+      const slippageCost = currentTotal * simulationResults.expectedSlippage;
+      const portfolioValueAfter = currentTotal - report.totalGasCostUsd - slippageCost;
       
       simulationResults.details = {
-        simulatedTransactions,
         portfolioValueBefore: currentTotal,
         portfolioValueAfter: portfolioValueAfter,
         slippageCost: slippageCost,
-        gasCost: totalGasCost
+        gasCost: report.totalGasCostUsd
       };
       
       // Update operation with simulation results
       operation.simulation = simulationResults;
       operation.transactions = simulatedTransactions;
       
-      // If simulation was successful and no approval required, move to execution
-      if (simulationResults.result === 'success' && !operation.approval.required) {
-        await operation.updateStatus('executing');
-        return this.executeRebalancingOperation(operationId, userId);
-      } 
-      // If simulation failed and no approval required, mark as failed
-      else if (simulationResults.result === 'failed' && !operation.approval.required) {
+      // An incomplete simulation does not clear the plan for automatic execution
+      if (simulationResults.result !== 'failed' && simulationResults.incomplete && !operation.approval.approvedBy) {
+        operation.approval.required = true;
+        operation.approval.approved = false;
+      }
+      
+      // A plan that would revert never reaches execution or approval
+      if (simulationResults.result === 'failed') {
+        const revertedStep = report.steps[report.revertedStep];
         await operation.updateStatus('failed', {
           error: {
-            code: 'SIMULATION_FAILED',
-            message: 'Simulation failed with errors',
+            code: report.reverted ? 'SIMULATION_REVERTED' : 'SIMULATION_FAILED',
+            message: report.reverted
+              ? `Transaction ${report.revertedStep + 1} would revert: ${revertedStep.revertReason}`
+              : 'Simulation failed with errors',
+            transactionIndex: report.reverted ? report.revertedStep : undefined,
             details: simulationResults.errors
           }
         });
+      }
+      // If simulation succeeded and no approval is required, or it was already given, move to execution
+      else if (!operation.approval.required || operation.approval.approvedBy) {
+        await operation.updateStatus('executing');
+        return this.executeRebalancingOperation(operationId, userId);
       } 
       // If approval required, set status to waitingApproval
-      else if (operation.approval.required) {
+      else {
         await operation.updateStatus('waitingApproval');
         
         // Send notification if enabled
@@ -1058,10 +1062,6 @@ class RebalancingService {
           });
         }
       } 
-      // Otherwise update status to completed simulation
-      else {
-        await operation.updateStatus('simulated');
-      }
       
       // Save the operation
       await operation.save();
@@ -1084,6 +1084,27 @@ class RebalancingService {
       // Get operation and verify ownership
       const operation = await this.getOperationById(operationId, userId);
       
+      // Only a plan that was simulated without reverting is executed
+      if (!operation.simulation || !operation.simulation.performed) {
+        const error = new Error('Cannot execute an operation that was not simulated');
+        error.statusCode = 400;
+        error.notExecuted = true;
+        throw error;
+      }
+      if (operation.simulation.result === 'failed') {
+        const error = new Error('Cannot execute an operation whose simulation failed');
+        error.statusCode = 400;
+        error.notExecuted = true;
+        throw error;
+      }
+      
+      // Nor one only partly simulated that nobody approved
+      if (operation.simulation && operation.simulation.incomplete && !operation.approval.approvedBy) {
+        const error = new Error('Cannot execute an operation whose simulation was incomplete without approval');
+        error.statusCode = 400;
+        throw error;
+      }
+      
       if (operation.status !== 'executing') {
         await operation.updateStatus('executing');
       }
@@ -1111,19 +1132,17 @@ class RebalancingService {
         await operation.recordNotification('started', ['inApp']);
       }
       
-      // In a real implementation, this would execute the actual transactions
-      // For now, we'll simulate successful execution
-      
-      // Update operation status to completed
+      // Transactions are not sent from here yet, so the operation completes with the
+      // figures its simulation measured; execution time and success rate stay unset
+      const { simulation } = operation;
+      const expected = simulation.details || {};
       await operation.updateStatus('completed', {
         performance: {
-          portfolioValueBefore: 10000, // Example value
-          portfolioValueAfter: 10050,  // Example value
-          totalGasCost: 0.05,          // Example value
-          totalGasCostUsd: 150,        // Example value
-          totalSlippage: 0.2,          // Example value
-          executionTime: 120,          // Example value (seconds)
-          successRate: 100             // Example value (percentage)
+          portfolioValueBefore: expected.portfolioValueBefore,
+          portfolioValueAfter: expected.portfolioValueAfter,
+          totalGasCost: simulation.expectedGasCost,
+          totalGasCostUsd: simulation.expectedGasCostUsd,
+          totalSlippage: simulation.expectedSlippage
         }
       });
       
@@ -1156,6 +1175,11 @@ class RebalancingService {
     } catch (error) {
       logger.error(`Error executing rebalancing operation: ${error.message}`);
       
+      // Refused before execution; the operation stays as it was
+      if (error.notExecuted) {
+        throw error;
+      }
+      
       try {
         // Try to update operation status to failed
         const operation = await RebalancingOperation.findById(operationId);
@@ -1219,9 +1243,11 @@ class RebalancingService {
       // Process approval
       await operation.processApproval({ _id: userId }, approved, reason);
       
-      // If approved, proceed with execution
+      // If approved, proceed with execution, simulating the plan first if that was not done yet
       if (approved) {
-        return this.executeRebalancingOperation(operationId, userId);
+        return operation.simulation && operation.simulation.performed
+          ? this.executeRebalancingOperation(operationId, userId)
+          : this.simulateRebalancingOperation(operationId, userId);
       }
       
       return operation;
@@ -0,0 +1,286 @@
+const logger = require('../config/logger');
+const Investment = require('../models/Investment');
+const ReconciliationItem = require('../models/ReconciliationItem');
+const JobRun = require('../models/JobRun');
+const ProtocolAdapterManager = require('./ProtocolAdapterManager');
+const ErrorResponse = require('../utils/errorResponse');
+const { fromRaw, subtract, compare, share, ratio } = require('../utils/amount');
+
+// Largest difference, as a share of the stored amount, that still counts as a match
+const TOLERANCE = parseFloat(process.env.RECONCILIATION_TOLERANCE || '0.001');
+
+// Extra room over the APY when deciding whether an increase is accrued yield
+const ACCRUAL_SLACK = parseFloat(process.env.RECONCILIATION_ACCRUAL_SLACK || '0.5');
+
+// Investments that still hold a position
+const RECONCILED_STATUSES = ['active', 'partially_withdrawn'];
+
+const RESOLUTIONS = ['accepted', 'dismissed'];
+
+const JOB_NAME = 'positionReconciliation';
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Reconciliation Service
+ * Compares every open investment with its balance on-chain.
+ *
+ * Differences within the tolerance are matches. Increases the investment's APY
+ * can explain since its amount was last updated are accrued yield and are written
+ * to the investment. Anything else opens a review item for an admin, who either
+ * accepts the on-chain amount or dismisses the item.
+ */
+class ReconciliationService {
+  /**
+   * Reconcile all investments that hold a position
+   * @returns {Promise<Object>} - { checked, matched, corrected, flagged, failed }
+   */
+  async reconcileAll() {
+    try {
+      const investments = await Investment.find({ status: { $in: RECONCILED_STATUSES } })
+        .populate('opportunity');
+
+      const results = { checked: 0, matched: 0, corrected: 0, flagged: 0, failed: 0 };
+      const adapters = new Map();
+
+      for (const investment of investments) {
+        results.checked++;
+        try {
+          const key = `${investment.protocol}:${investment.chainId}`;
+          if (!adapters.has(key)) {
+            adapters.set(key, await ProtocolAdapterManager.getAdapter(investment.protocol, investment.chainId));
+          }
+
+          const outcome = await this.reconcileInvestment(investment, adapters.get(key));
+          results[outcome]++;
+        } catch (error) {
+          results.failed++;
+          logger.error(`Error reconciling investment ${investment._id}: ${error.message}`);
+        }
+      }
+
+      logger.info(`Reconciled ${results.checked} investments: ${results.matched} matched, ${results.corrected} corrected, ${results.flagged} flagged, ${results.failed} failed`);
+      return results;
+    } catch (error) {
+      logger.error(`Error reconciling investments: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare one investment with its on-chain balance
+   * @param {Object} investment - Investment document with its opportunity populated
+   * @param {Object} adapter - Protocol adapter of the investment
+   * @returns {Promise<string>} - 'matched', 'corrected' or 'flagged'
+   */
+  async reconcileInvestment(investment, adapter) {
+    const balance = await adapter.getBalance(investment);
+
+    const stored = investment.toAmount();
+    const onChain = fromRaw(balance.amount, investment.assetDecimals, investment.assetSymbol);
+    const difference = subtract(onChain, stored);
+    const relativeDifference = this._relativeDifference(difference, stored);
+
+    let outcome;
+    if (Math.abs(relativeDifference) <= TOLERANCE) {
+      outcome = 'matched';
+    } else {
+      const expectedAccrual = this._expectedAccrual(investment, stored);
+
+      if (relativeDifference > 0 && compare(difference, expectedAccrual) <= 0) {
+        await investment.updateCurrentAmount(onChain.raw, balance.amountUsd);
+        logger.info(`Recorded accrued yield of ${difference.raw} ${investment.assetSymbol} base units on investment ${investment._id}`);
+        outcome = 'corrected';
+      } else {
+        await this._flag(investment, {
+          stored,
+          onChain,
+          difference,
+          expectedAccrual,
+          relativeDifference,
+          onChainAmountUsd: balance.amountUsd
+        });
+        outcome = 'flagged';
+      }
+    }
+
+    await Investment.updateOne({ _id: investment._id }, { $set: { reconciledAt: new Date() } });
+
+    return outcome;
+  }
+
+  /**
+   * Counts of review items and the last reconciliation run
+   * @returns {Promise<Object>} - { open, accepted, dismissed, openDifferenceUsd, lastRun }
+   */
+  async getSummary() {
+    try {
+      const [counts, lastRun] = await Promise.all([
+        ReconciliationItem.aggregate([
+          {
+            $group: {
+              _id: '$status',
+              count: { $sum: 1 },
+              differenceUsd: { $sum: { $abs: { $ifNull: ['$differenceUsd', 0] } } }
+            }
+          }
+        ]),
+        JobRun.findOne({ job: JOB_NAME }).sort({ startedAt: -1 })
+      ]);
+
+      const summary = { open: 0, accepted: 0, dismissed: 0, openDifferenceUsd: 0, lastRun };
+      counts.forEach(({ _id, count, differenceUsd }) => {
+        summary[_id] = count;
+        if (_id === 'open') {
+          summary.openDifferenceUsd = differenceUsd;
+        }
+      });
+
+      return summary;
+    } catch (error) {
+      logger.error(`Error getting reconciliation summary: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List review items, most recently seen first
+   * @param {Object} filters - { status }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} - { items, total }
+   */
+  async listItems({ status } = {}, { page = 1, limit = 50 } = {}) {
+    try {
+      const query = status ? { status } : {};
+      const [items, total] = await Promise.all([
+        ReconciliationItem.find(query)
+          .sort({ lastSeenAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('user', 'name email')
+          .populate('protocol', 'name')
+          .populate('resolvedBy', 'name email'),
+        ReconciliationItem.countDocuments(query)
+      ]);
+
+      return { items, total };
+    } catch (error) {
+      logger.error(`Error listing reconciliation items: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve an open review item
+   * @param {string} itemId - Review item ID
+   * @param {Object} resolution - { resolution: 'accepted' | 'dismissed', note }
+   * @param {string} userId - Admin resolving the item
+   * @returns {Promise<Object>} - { item, before }, before being the item as it was
+   */
+  async resolveItem(itemId, { resolution, note }, userId) {
+    try {
+      if (!RESOLUTIONS.includes(resolution)) {
+        throw new ErrorResponse(`Resolution must be one of: ${RESOLUTIONS.join(', ')}`, 400);
+      }
+
+      const item = await ReconciliationItem.findById(itemId);
+      if (!item) {
+        throw new ErrorResponse('Reconciliation item not found', 404);
+      }
+      if (item.status !== 'open') {
+        throw new ErrorResponse(`Reconciliation item is already ${item.status}`, 400);
+      }
+
+      const before = item.toObject();
+
+      // Accepting takes the on-chain balance as the investment's amount
+      if (resolution === 'accepted') {
+        const investment = await Investment.findById(item.investment);
+        if (!investment) {
+          throw new ErrorResponse('Investment of the reconciliation item no longer exists', 404);
+        }
+        await investment.updateCurrentAmount(item.onChainAmount, item.onChainAmountUsd);
+      }
+
+      item.status = resolution;
+      item.resolvedBy = userId;
+      item.resolvedAt = new Date();
+      item.resolutionNote = note;
+      await item.save();
+
+      return { item, before };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error resolving reconciliation item ${itemId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Difference as a share of the stored amount; an amount appearing from nothing counts as 100%
+   * @private
+   */
+  _relativeDifference(difference, stored) {
+    if (compare(stored, { ...stored, raw: '0' }) === 0) {
+      return Math.sign(Number(difference.raw));
+    }
+    return ratio(difference, stored);
+  }
+
+  /**
+   * Most yield the current APY could have added since the amount was last updated
+   * @private
+   */
+  _expectedAccrual(investment, stored) {
+    const since = investment.amountUpdatedAt || investment.lastUpdated;
+    const elapsedMs = Math.max(0, Date.now() - new Date(since).getTime());
+    const rate = ((investment.currentApy || 0) / 100) * (elapsedMs / YEAR_MS) * (1 + ACCRUAL_SLACK);
+    return share(stored, rate);
+  }
+
+  /**
+   * Open a review item, or update the investment's open one
+   * @private
+   */
+  async _flag(investment, { stored, onChain, difference, expectedAccrual, relativeDifference, onChainAmountUsd }) {
+    const differenceUsd = onChainAmountUsd !== undefined && compare(onChain, { ...onChain, raw: '0' }) > 0
+      ? onChainAmountUsd * ratio(difference, onChain)
+      : -(investment.currentAmountUsd || 0);
+
+    const details = {
+      kind: relativeDifference < 0 ? 'shortfall' : 'excess',
+      storedAmount: stored.raw,
+      onChainAmount: onChain.raw,
+      difference: difference.raw,
+      expectedAccrual: expectedAccrual.raw,
+      relativeDifference,
+      onChainAmountUsd,
+      differenceUsd,
+      lastSeenAt: new Date()
+    };
+
+    const existing = await ReconciliationItem.findOne({ investment: investment._id, status: 'open' });
+    if (existing) {
+      existing.set(details);
+      existing.occurrences += 1;
+      await existing.save();
+      return existing;
+    }
+
+    logger.warn(`Opened reconciliation item for investment ${investment._id}: stored ${stored.raw}, on-chain ${onChain.raw} ${investment.assetSymbol} base units`);
+
+    return ReconciliationItem.create({
+      ...details,
+      investment: investment._id,
+      user: investment.user,
+      protocol: investment.protocol,
+      chainId: investment.chainId,
+      asset: investment.assetSymbol
+    });
+  }
+}
+
+// Create and export a singleton instance
+const reconciliationService = new ReconciliationService();
+module.exports = reconciliationService;
@@ -7,6 +7,7 @@ const mongoose = require('mongoose');
 const logger = require('../config/logger');
 const Protocol = require('../models/Protocol');
 const YieldOpportunity = require('../models/YieldOpportunity');
+const Investment = require('../models/Investment');
 const User = require('../models/User');
 const Strategy = require('../models/Strategy');
 const Notification = require('../models/Notification');
@@ -15,6 +16,9 @@ const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 
+// Holding value an opportunity's LP investments need before observed impermanent loss replaces the heuristic
+const MIN_OBSERVED_IL_BASIS_USD = 1000;
+
 /**
  * Risk Management Service Class
  * Implements comprehensive risk assessment and management features:
@@ -539,7 +543,7 @@ class RiskManagementService {
       
       // Calculate additional opportunity-specific risk factors
       const yieldVolatilityScore = await this._calculateYieldVolatility(opportunity);
-      const impermanentLossScore = this._calculateImpermanentLossRisk(opportunity);
+      const impermanentLossScore = await this._calculateImpermanentLossRisk(opportunity);
       const liquidityScore = this._calculateLiquidityRisk(opportunity);
       
       // Combine protocol risk (70%) with opportunity-specific risk (30%)
@@ -634,19 +638,40 @@ class RiskManagementService {
   
   /**
    * Calculate impermanent loss risk for LP positions
+   * Uses the loss observed on investments in the opportunity once there is
+   * enough of it, and falls back to a heuristic on the pair otherwise
    * @param {Object} opportunity - Yield opportunity object
    * @returns {Number} Risk score (0-100)
    */
-  _calculateImpermanentLossRisk(opportunity) {
+  async _calculateImpermanentLossRisk(opportunity) {
     try {
       // Only applicable to LP positions
-      if (opportunity.type !== 'lp') {
+      if (opportunity.strategyType !== 'liquidity_providing' && opportunity.type !== 'lp') {
         return 0;
       }
       
-      // TODO: Implement proper impermanent loss calculation
-      // For now, use a placeholder based on asset types
-      const assets = opportunity.assets || [];
+      const observed = await Investment.getObservedImpermanentLoss(opportunity._id);
+      
+      if (observed.percentage !== null && observed.basisUsd >= MIN_OBSERVED_IL_BASIS_USD) {
+        const loss = Math.max(0, -observed.percentage);
+        
+        if (loss <= 0.5) {
+          return 10;
+        } else if (loss <= 2) {
+          return 30;
+        } else if (loss <= 5) {
+          return 50;
+        } else if (loss <= 10) {
+          return 75;
+        } else {
+          return 90;
+        }
+      }
+      
+      const extraData = (opportunity.implementationDetails && opportunity.implementationDetails.extraData) || {};
+      const assets = extraData.token0 && extraData.token1
+        ? [extraData.token0.symbol, extraData.token1.symbol]
+        : opportunity.assets || [];
       
       if (assets.length < 2) {
         return 50; // Default for unknown LP composition
@@ -0,0 +1,404 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const websocketService = require('../utils/websocketService');
+const logger = require('../config/logger');
+
+// Cookie names; the refresh cookie is only sent to the auth routes
+const ACCESS_COOKIE = 'token';
+const REFRESH_COOKIE = 'refreshToken';
+const CSRF_COOKIE = 'csrfToken';
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+// Header the frontend copies the CSRF cookie into
+const CSRF_HEADER = 'x-csrf-token';
+
+// Rotated refresh token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Session Service
+ * Server-side sessions behind short-lived access tokens.
+ *
+ * Signing in creates a session and hands out three cookies: a short-lived
+ * access token (a JWT carrying the session ID), an opaque refresh token scoped
+ * to /api/auth and a CSRF token the frontend echoes in the X-CSRF-Token header.
+ *
+ * Every refresh rotates the refresh token. Presenting a rotated token again
+ * means it was copied, so the whole session is revoked. Revoking a session
+ * also closes its WebSocket connections.
+ */
+class SessionService {
+  /**
+   * Create a session for a user who just signed in
+   * @param {Object} user - User document
+   * @param {Object} context - Request context
+   * @param {string} context.ipAddress - Client IP
+   * @param {string} context.userAgent - User-Agent header
+   * @returns {Promise<Object>} - { session, accessToken, refreshToken, csrfToken }
+   */
+  async createSession(user, { ipAddress, userAgent } = {}) {
+    try {
+      const refreshSecret = randomToken();
+      const csrfToken = randomToken();
+
+      const session = await Session.create({
+        userId: user._id,
+        refreshTokenHash: hash(refreshSecret),
+        csrfTokenHash: hash(csrfToken),
+        ...this._describeUserAgent(userAgent),
+        userAgent,
+        ipAddress,
+        lastIpAddress: ipAddress,
+        expiresAt: new Date(Date.now() + this._getSessionLifetimeMs())
+      });
+
+      logger.info(`Session ${session._id} created for user ${user._id} (${session.device})`);
+
+      return {
+        session,
+        accessToken: user.getSignedJwtToken(session._id),
+        refreshToken: `${session._id}.${refreshSecret}`,
+        csrfToken
+      };
+    } catch (error) {
+      logger.error(`Error creating session: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and rotate the refresh token
+   * @param {string} refreshToken - Refresh token from the cookie
+   * @param {Object} context - Request context
+   * @param {string} context.csrfToken - CSRF token from the header
+   * @param {string} context.ipAddress - Client IP
+   * @returns {Promise<Object>} - { session, user, accessToken, refreshToken, csrfToken }
+   */
+  async refresh(refreshToken, { csrfToken, ipAddress } = {}) {
+    try {
+      const [sessionId, secret] = String(refreshToken || '').split('.');
+      if (!secret) {
+        throw new ErrorResponse('Invalid refresh token', 401);
+      }
+
+      const session = await Session.findActive(sessionId, '+refreshTokenHash +previousTokenHashes +csrfTokenHash');
+      if (!session) {
+        throw new ErrorResponse('Session has expired or was revoked', 401);
+      }
+
+      if (!csrfToken || hash(csrfToken) !== session.csrfTokenHash) {
+        throw new ErrorResponse('Invalid CSRF token', 403);
+      }
+
+      const presentedHash = hash(secret);
+
+      if (presentedHash !== session.refreshTokenHash) {
+        if (session.previousTokenHashes.includes(presentedHash)) {
+          await this._handleReuse(session);
+        }
+
+        throw new ErrorResponse('Invalid refresh token', 401);
+      }
+
+      // Rotate atomically so two refreshes with the same token cannot both succeed
+      const nextSecret = randomToken();
+      const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+          $set: {
+            refreshTokenHash: hash(nextSecret),
+            lastUsedAt: new Date(),
+            lastIpAddress: ipAddress,
+            rotatedAt: new Date()
+          },
+          $inc: { rotationCount: 1 },
+          $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS } }
+        },
+        { new: true }
+      );
+
+      if (!rotated) {
+        throw new ErrorResponse('Refresh token was already used', 401);
+      }
+
+      const user = await User.findById(session.userId);
+      if (!user) {
+        await this.revokeSession(session._id, 'revoked');
+        throw new ErrorResponse('User no longer exists', 401);
+      }
+
+      return {
+        session: rotated,
+        user,
+        accessToken: user.getSignedJwtToken(rotated._id),
+        refreshToken: `${rotated._id}.${nextSecret}`,
+        csrfToken
+      };
+    } catch (error) {
+      logger.error(`Error refreshing session: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that an access token's session is still active
+   * @param {string} sessionId - Session ID from the access token
+   * @param {string} userId - User ID from the access token
+   * @returns {Promise<Object|null>} - Session with its CSRF hash, or null
+   */
+  async getActiveSession(sessionId, userId) {
+    const session = await Session.findActive(sessionId, '+csrfTokenHash');
+
+    if (!session || session.userId.toString() !== userId.toString()) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Check a CSRF token against a session
+   * @param {Object} session - Session selected with its CSRF hash
+   * @param {string} csrfToken - Token from the X-CSRF-Token header
+   * @returns {boolean} - Whether the token belongs to the session
+   */
+  verifyCsrfToken(session, csrfToken) {
+    if (!session || !session.csrfTokenHash || !csrfToken) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(hash(csrfToken)), Buffer.from(session.csrfTokenHash));
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session making the request
+   * @returns {Promise<Array>} - Sessions flagged with `current`
+   */
+  async listSessions(userId, currentSessionId) {
+    try {
+      const sessions = await Session.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      }).sort({ lastUsedAt: -1 });
+
+      return sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        browser: session.browser,
+        os: session.os,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        lastIpAddress: session.lastIpAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+      }));
+    } catch (error) {
+      logger.error(`Error listing sessions: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - Owner of the session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<Object>} - Revoked session
+   */
+  async revokeUserSession(userId, sessionId, reason = 'revoked') {
+    try {
+      const session = await Session.findActive(sessionId);
+      if (!session || session.userId.toString() !== userId.toString()) {
+        throw new ErrorResponse('Session not found', 404);
+      }
+
+      await this.revokeSession(session._id, reason);
+      return session;
+    } catch (error) {
+      logger.error(`Error revoking session: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {string} userId - User ID
+   * @param {Object} options - Revocation options
+   * @param {string} options.except - Session to keep, e.g. the current one
+   * @param {string} options.reason - Revocation reason
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllSessions(userId, { except, reason = 'signed_out_elsewhere' } = {}) {
+    try {
+      const filter = {
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      };
+      if (except) {
+        filter._id = { $ne: except };
+      }
+
+      const sessions = await Session.find(filter).select('_id');
+      await Promise.all(sessions.map(session => this.revokeSession(session._id, reason)));
+
+      return sessions.length;
+    } catch (error) {
+      logger.error(`Error revoking sessions: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a session and close its WebSocket connections
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<boolean>} - Whether the session was still active
+   */
+  async revokeSession(sessionId, reason = 'revoked') {
+    const result = await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    const closed = websocketService.closeSession(sessionId.toString(), reason);
+    logger.info(`Session ${sessionId} revoked (${reason}), ${closed} socket(s) closed`);
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Set the session cookies on a response
+   * @param {Object} res - Express response
+   * @param {Object} tokens - { accessToken, refreshToken, csrfToken, session }
+   */
+  setCookies(res, { accessToken, refreshToken, csrfToken, session }) {
+    const base = {
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production'
+    };
+
+    res.cookie(ACCESS_COOKIE, accessToken, {
+      ...base,
+      httpOnly: true,
+      expires: new Date(jwt.decode(accessToken).exp * 1000)
+    });
+
+    if (refreshToken) {
+      res.cookie(REFRESH_COOKIE, refreshToken, {
+        ...base,
+        httpOnly: true,
+        sameSite: 'strict',
+        path: REFRESH_COOKIE_PATH,
+        expires: session.expiresAt
+      });
+    }
+
+    // Readable by the frontend so it can echo it in the CSRF header
+    if (csrfToken) {
+      res.cookie(CSRF_COOKIE, csrfToken, {
+        ...base,
+        expires: session.expiresAt
+      });
+    }
+  }
+
+  /**
+   * Clear the session cookies
+   * @param {Object} res - Express response
+   */
+  clearCookies(res) {
+    res.clearCookie(ACCESS_COOKIE);
+    res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+    res.clearCookie(CSRF_COOKIE);
+  }
+
+  /**
+   * Read the session cookies and CSRF header from a request
+   * @param {Object} req - Express request
+   * @returns {Object} - { accessToken, refreshToken, csrfCookie, csrfHeader }
+   */
+  readRequest(req) {
+    const cookies = req.cookies || {};
+
+    return {
+      accessToken: cookies[ACCESS_COOKIE],
+      refreshToken: cookies[REFRESH_COOKIE],
+      csrfCookie: cookies[CSRF_COOKIE],
+      csrfHeader: req.headers[CSRF_HEADER]
+    };
+  }
+
+  /**
+   * Revoke a session whose rotated refresh token was presented again
+   * @param {Object} session - Session document
+   */
+  async _handleReuse(session) {
+    // A second tab may refresh with the token another tab just rotated
+    const graceMs = Number(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS || 10) * 1000;
+    if (session.rotatedAt && Date.now() - session.rotatedAt.getTime() < graceMs) {
+      return;
+    }
+
+    logger.warn(`Refresh token reuse detected for session ${session._id} (user ${session.userId}), revoking`);
+    await this.revokeSession(session._id, 'reuse_detected');
+  }
+
+  /**
+   * Absolute session lifetime
+   * @returns {number} - Milliseconds
+   */
+  _getSessionLifetimeMs() {
+    const days = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS || process.env.JWT_COOKIE_EXPIRE || 30);
+    return days * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Rough device description from a User-Agent header
+   * @param {string} userAgent - User-Agent header
+   * @returns {Object} - { device, browser, os }
+   */
+  _describeUserAgent(userAgent = '') {
+    const browsers = [
+      ['Edge', /Edg\//],
+      ['Opera', /OPR\//],
+      ['Firefox', /Firefox\//],
+      ['Chrome', /Chrome\//],
+      ['Safari', /Safari\//]
+    ];
+    const systems = [
+      ['iOS', /iPhone|iPad|iPod/],
+      ['Android', /Android/],
+      ['Windows', /Windows/],
+      ['macOS', /Mac OS X/],
+      ['Linux', /Linux/]
+    ];
+
+    const match = (list) => (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+    const browser = match(browsers);
+    const os = match(systems);
+
+    return {
+      browser,
+      os,
+      device: browser || os
+        ? [browser || 'Unknown browser', os].filter(Boolean).join(' on ')
+        : 'Unknown device'
+    };
+  }
+}
+
+// Create and export a singleton instance
+const sessionService = new SessionService();
+module.exports = sessionService;
@@ -0,0 +1,360 @@
+const logger = require('../config/logger');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const Investment = require('../models/Investment');
+const priceOracleService = require('./PriceOracleService');
+const { LOT_METHODS, buildLots, valueOpenLots } = require('../utils/taxLots');
+const { toCsv } = require('../utils/csv');
+const { fromRaw, toNumber, sumByAsset } = require('../utils/amount');
+const ErrorResponse = require('../utils/errorResponse');
+
+// How each transaction type enters the ledger
+const LEDGER_KINDS = {
+  deposit: 'acquisition',
+  harvest: 'income',
+  claim: 'income',
+  compound: 'income',
+  withdrawal: 'disposal'
+};
+
+// Earliest year a report can be asked for
+const FIRST_REPORT_YEAR = 2015;
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+const formatAmount = value => String(round(value, 8));
+const pad = value => String(value).padStart(2, '0');
+
+// "2024-03-01 14:05:00 UTC"
+const koinlyDate = date => `${date.toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+
+// "03/01/2024 14:05:00" in UTC
+const coinTrackerDate = date =>
+  `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/${date.getUTCFullYear()} ${date.toISOString().slice(11, 19)}`;
+
+/**
+ * CSV report formats. Realized gains (one row per lot matched, as on IRS Form 8949)
+ * and income cover the year; the transaction imports of tax tools carry every
+ * transaction up to the end of the year, as those tools rebuild lots themselves
+ */
+const REPORT_FORMATS = {
+  gains: {
+    rows: report => report.disposals.flatMap(disposal => disposal.lots.map(part => ({ disposal, part }))),
+    columns: currency => [
+      { header: 'Description', value: ({ part, disposal }) => `${formatAmount(part.amount)} ${disposal.asset}` },
+      { header: 'Date Acquired', value: ({ part }) => (part.acquiredAt ? part.acquiredAt.toISOString().slice(0, 10) : 'Unknown') },
+      { header: 'Date Sold', value: ({ disposal }) => disposal.t.toISOString().slice(0, 10) },
+      { header: 'Proceeds', value: ({ part }) => round(part.proceeds) },
+      { header: 'Cost Basis', value: ({ part }) => round(part.costBasis) },
+      { header: 'Gain or Loss', value: ({ part }) => round(part.gain) },
+      { header: 'Holding Period', value: ({ part }) => (part.term === 'long' ? 'Long-term' : 'Short-term') },
+      { header: 'Currency', value: () => currency },
+      { header: 'Transaction Hash', value: ({ disposal }) => disposal.txHash }
+    ]
+  },
+  income: {
+    rows: report => report.income,
+    columns: currency => [
+      { header: 'Date', value: item => item.t.toISOString() },
+      { header: 'Asset', key: 'asset' },
+      { header: 'Amount', value: item => formatAmount(item.amount) },
+      { header: 'Value', value: item => round(item.value) },
+      { header: 'Currency', value: () => currency },
+      { header: 'Type', key: 'type' },
+      { header: 'Transaction Hash', key: 'txHash' }
+    ]
+  },
+  koinly: {
+    rows: report => report.transactions,
+    columns: currency => [
+      { header: 'Date', value: event => koinlyDate(event.t) },
+      { header: 'Sent Amount', value: event => (event.kind === 'disposal' ? formatAmount(event.amount) : event.kind === 'acquisition' ? round(event.value) : '') },
+      { header: 'Sent Currency', value: event => (event.kind === 'disposal' ? event.asset : event.kind === 'acquisition' ? currency : '') },
+      { header: 'Received Amount', value: event => (event.kind === 'disposal' ? round(event.value) : formatAmount(event.amount)) },
+      { header: 'Received Currency', value: event => (event.kind === 'disposal' ? currency : event.asset) },
+      { header: 'Fee Amount', value: event => (event.fee ? formatAmount(event.fee.amount) : '') },
+      { header: 'Fee Currency', value: event => (event.fee ? event.asset : '') },
+      { header: 'Net Worth Amount', value: event => round(event.value) },
+      { header: 'Net Worth Currency', value: () => currency },
+      { header: 'Label', value: event => (event.kind === 'income' ? 'reward' : '') },
+      { header: 'Description', value: event => `OrbitYield ${event.type}` },
+      { header: 'TxHash', key: 'txHash' }
+    ]
+  },
+  cointracker: {
+    rows: report => report.transactions,
+    columns: currency => [
+      { header: 'Date', value: event => coinTrackerDate(event.t) },
+      { header: 'Received Quantity', value: event => (event.kind === 'disposal' ? round(event.value) : formatAmount(event.amount)) },
+      { header: 'Received Currency', value: event => (event.kind === 'disposal' ? currency : event.asset) },
+      { header: 'Sent Quantity', value: event => (event.kind === 'disposal' ? formatAmount(event.amount) : event.kind === 'acquisition' ? round(event.value) : '') },
+      { header: 'Sent Currency', value: event => (event.kind === 'disposal' ? event.asset : event.kind === 'acquisition' ? currency : '') },
+      { header: 'Fee Amount', value: event => (event.fee ? formatAmount(event.fee.amount) : '') },
+      { header: 'Fee Currency', value: event => (event.fee ? event.asset : '') },
+      { header: 'Tag', value: event => (event.kind === 'income' ? 'staked' : '') }
+    ]
+  }
+};
+
+/**
+ * Tax Service
+ * Cost basis of a user's holdings from completed deposits, withdrawals and
+ * reward receipts, in the currency of their preferences.
+ *
+ * Deposits open lots at their value on the day; harvested, claimed and
+ * compounded rewards are income and open lots at their value when received;
+ * withdrawals dispose of lots in FIFO, LIFO or HIFO order. Platform fees come
+ * off the income of a harvest and the proceeds of a withdrawal. Values are
+ * converted from USD at the rate of the day of each event.
+ */
+class TaxService {
+  /**
+   * Open lots with their unrealized gains
+   * @param {string} userId - User ID
+   * @param {Object} options - Options
+   * @param {string} options.method - 'FIFO', 'LIFO' or 'HIFO' (default from preferences)
+   * @returns {Promise<Object>} - Currency, method, lots and totals
+   */
+  async getLots(userId, { method } = {}) {
+    try {
+      const ledger = await this._replay(userId, method);
+      const prices = await this._currentPrices(userId, ledger.convert);
+      const lots = valueOpenLots(ledger.lots, prices).map(lot => ({
+        id: lot.id,
+        asset: lot.asset,
+        source: lot.source,
+        acquiredAt: lot.acquiredAt,
+        amount: lot.remaining,
+        unitCost: lot.unitCost,
+        costBasis: lot.costBasis,
+        marketValue: lot.marketValue,
+        unrealizedGain: lot.unrealizedGain,
+        txHash: lot.txHash
+      }));
+
+      const priced = lots.filter(lot => lot.marketValue !== null);
+      return {
+        currency: ledger.currency,
+        method: ledger.method,
+        lots,
+        totals: {
+          costBasis: lots.reduce((sum, lot) => sum + lot.costBasis, 0),
+          marketValue: priced.reduce((sum, lot) => sum + lot.marketValue, 0),
+          unrealizedGain: priced.reduce((sum, lot) => sum + lot.unrealizedGain, 0),
+          unpricedLots: lots.length - priced.length
+        },
+        warnings: ledger.warnings
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error computing tax lots: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Realized gains and income of a calendar year
+   * @param {string} userId - User ID
+   * @param {number|string} year - Calendar year (UTC)
+   * @param {Object} options - Options
+   * @param {string} options.method - 'FIFO', 'LIFO' or 'HIFO' (default from preferences)
+   * @returns {Promise<Object>} - Summary, disposals and income of the year
+   */
+  async getReport(userId, year, { method } = {}) {
+    try {
+      const reportYear = Number(year);
+      if (!Number.isInteger(reportYear) || reportYear < FIRST_REPORT_YEAR || reportYear > new Date().getUTCFullYear()) {
+        throw new ErrorResponse('Provide a valid report year', 400);
+      }
+
+      const ledger = await this._replay(userId, method);
+      const inYear = item => item.t.getUTCFullYear() === reportYear;
+      const disposals = ledger.disposals.filter(inYear);
+      const income = ledger.income.filter(inYear);
+      const sum = (items, key) => items.reduce((total, item) => total + item[key], 0);
+
+      return {
+        year: reportYear,
+        currency: ledger.currency,
+        method: ledger.method,
+        summary: {
+          disposals: disposals.length,
+          proceeds: sum(disposals, 'proceeds'),
+          costBasis: sum(disposals, 'costBasis'),
+          realizedGain: sum(disposals, 'gain'),
+          shortTermGain: sum(disposals, 'shortTermGain'),
+          longTermGain: sum(disposals, 'longTermGain'),
+          income: sum(income, 'value')
+        },
+        disposals,
+        income,
+        transactions: ledger.events.filter(event => event.t.getUTCFullYear() <= reportYear),
+        warnings: ledger.warnings
+      };
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Error building tax report: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * A yearly report as CSV
+   * @param {string} userId - User ID
+   * @param {number|string} year - Calendar year (UTC)
+   * @param {Object} options - Options
+   * @param {string} options.format - 'gains', 'income', 'koinly' or 'cointracker'
+   * @param {string} options.method - 'FIFO', 'LIFO' or 'HIFO' (default from preferences)
+   * @returns {Promise<Object>} - { filename, csv }
+   */
+  async exportReport(userId, year, { format = 'gains', method } = {}) {
+    const reportFormat = REPORT_FORMATS[format];
+    if (!reportFormat) {
+      throw new ErrorResponse(`Format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`, 400);
+    }
+
+    const report = await this.getReport(userId, year, { method });
+
+    return {
+      filename: `orbityield-${format}-${report.year}-${report.method.toLowerCase()}.csv`,
+      csv: toCsv(reportFormat.columns(report.currency), reportFormat.rows(report))
+    };
+  }
+
+  /**
+   * Replay the user's ledger
+   * @private
+   */
+  async _replay(userId, requestedMethod) {
+    const user = await User.findById(userId).select('preferences');
+    if (!user) {
+      throw new ErrorResponse('User not found', 404);
+    }
+
+    const method = requestedMethod ? String(requestedMethod).toUpperCase() : user.preferences.taxLotMethod || 'FIFO';
+    if (!LOT_METHODS.includes(method)) {
+      throw new ErrorResponse(`Method must be one of: ${LOT_METHODS.join(', ')}`, 400);
+    }
+
+    const currency = user.preferences.currency || 'USD';
+    const { events, warnings } = await this._ledgerEvents(userId);
+
+    const now = new Date();
+    const first = events.reduce((min, event) => (event.t < min ? event.t : min), now);
+    const convert = await priceOracleService.getFiatConverter(currency, first, now);
+
+    events.forEach((event) => {
+      event.value = convert(event.valueUsd, event.t);
+      if (event.fee) {
+        event.fee.value = convert(event.fee.valueUsd, event.t);
+      }
+    });
+
+    return {
+      currency,
+      method,
+      convert,
+      events: events.sort((a, b) => a.t - b.t),
+      warnings,
+      ...buildLots(events, method)
+    };
+  }
+
+  /**
+   * Ledger events from completed transactions, less the platform fees charged on them,
+   * plus harvests recorded on the investment without a transaction
+   * @private
+   */
+  async _ledgerEvents(userId) {
+    const [transactions, feeTransactions, investments] = await Promise.all([
+      Transaction.find({ userId, status: 'completed', type: { $in: Object.keys(LEDGER_KINDS) } })
+        .select('type amount decimals amountUsd asset txHash blockTimestamp createdAt')
+        .lean(),
+      Transaction.find({ userId, status: 'completed', type: 'fee', 'feeDetails.chargedOn': { $exists: true } })
+        .select('amount decimals amountUsd asset feeDetails.chargedOn')
+        .lean(),
+      Investment.find({ user: userId, 'harvests.0': { $exists: true } })
+        .select('asset assetDecimals harvests')
+        .lean()
+    ]);
+
+    // Fees are taken in the token of the withdrawal or harvest they were charged on
+    const feesByTransaction = new Map();
+    feeTransactions.forEach((fee) => {
+      const key = String(fee.feeDetails.chargedOn);
+      const fees = feesByTransaction.get(key) || { amounts: [], valueUsd: 0 };
+      fees.amounts.push(fromRaw(fee.amount, fee.decimals, fee.asset));
+      fees.valueUsd += fee.amountUsd || 0;
+      feesByTransaction.set(key, fees);
+    });
+
+    const warnings = [];
+    const events = transactions.map((tx) => {
+      if (tx.amountUsd === undefined || tx.amountUsd === null) {
+        warnings.push(`Transaction ${tx._id} has no USD value; it counts as zero`);
+      }
+
+      const fees = feesByTransaction.get(String(tx._id));
+      const feeAmount = fees && sumByAsset(fees.amounts).get(tx.asset);
+      if (fees && fees.amounts.some(amount => amount.asset !== tx.asset)) {
+        warnings.push(`Transaction ${tx._id} was charged fees in another asset; they only count in value`);
+      }
+
+      return {
+        id: String(tx._id),
+        kind: LEDGER_KINDS[tx.type],
+        type: tx.type,
+        t: tx.blockTimestamp || tx.createdAt,
+        asset: tx.asset,
+        amount: toNumber(fromRaw(tx.amount, tx.decimals, tx.asset)),
+        valueUsd: tx.amountUsd || 0,
+        fee: fees ? { amount: feeAmount ? toNumber(feeAmount) : 0, valueUsd: fees.valueUsd } : undefined,
+        txHash: tx.txHash
+      };
+    });
+
+    investments.forEach((inv) => {
+      inv.harvests
+        .filter(harvest => !harvest.transactionId)
+        .forEach((harvest) => {
+          events.push({
+            id: String(harvest._id),
+            kind: 'income',
+            type: 'harvest',
+            t: harvest.timestamp,
+            asset: inv.asset,
+            amount: toNumber(fromRaw(harvest.amount, inv.assetDecimals, inv.asset)),
+            valueUsd: harvest.amountUsd || 0,
+            txHash: harvest.transactionHash
+          });
+        });
+    });
+
+    return { events, warnings };
+  }
+
+  /**
+   * Current unit price of each asset the user holds, from their investments
+   * @private
+   */
+  async _currentPrices(userId, convert) {
+    const investments = await Investment.find({ user: userId, status: { $in: ['active', 'partially_withdrawn'] } })
+      .select('asset assetDecimals currentAmount currentAmountUsd')
+      .lean();
+
+    const held = investments.filter(inv => Number(inv.currentAmount) > 0);
+    const amounts = sumByAsset(held.map(inv => fromRaw(inv.currentAmount, inv.assetDecimals, inv.asset)));
+    const valuesUsd = new Map();
+    held.forEach((inv) => {
+      valuesUsd.set(inv.asset, (valuesUsd.get(inv.asset) || 0) + (inv.currentAmountUsd || 0));
+    });
+
+    const now = new Date();
+    return new Map(Array.from(amounts, ([asset, amount]) => [asset, convert(valuesUsd.get(asset) / toNumber(amount), now)]));
+  }
+}
+
+// Create and export a singleton instance
+const taxService = new TaxService();
+module.exports = taxService;
@@ -0,0 +1,449 @@
+const BigNumber = require('bignumber.js');
+const { ethers } = require('ethers');
+const logger = require('../config/logger');
+const YieldOpportunity = require('../models/YieldOpportunity');
+const ProtocolAdapterManager = require('./ProtocolAdapterManager');
+const ForkSimulationBackend = require('./simulationBackends/ForkSimulationBackend');
+const LocalSimulationBackend = require('./simulationBackends/LocalSimulationBackend');
+const rebalancingPlanner = require('./RebalancingPlanner');
+
+// Used for gas cost in USD until a price feed is wired in
+const DEFAULT_NATIVE_PRICE_USD = parseFloat(process.env.SIMULATION_NATIVE_PRICE_USD) || 3000;
+
+/**
+ * Transaction Simulator
+ * Runs the planned transactions of a rebalancing operation against a
+ * simulation backend and reports gas, balance changes and reverts per step.
+ *
+ * SIMULATION_BACKEND selects the backend:
+ * - fork: a forked EVM node (see ForkSimulationBackend)
+ * - local: the in-memory stand-in (see LocalSimulationBackend)
+ * - auto (default): fork when a fork node is configured for every chain involved, local otherwise
+ */
+class TransactionSimulator {
+  constructor() {
+    this.forkBackend = new ForkSimulationBackend();
+    this.localBackend = new LocalSimulationBackend();
+    this.backendOverride = null;
+  }
+
+  /**
+   * Replace the backend used for every simulation (e.g. a stand-in in tests)
+   * @param {SimulationBackend|null} backend - Backend, or null to restore automatic selection
+   */
+  setBackend(backend) {
+    this.backendOverride = backend;
+  }
+
+  /**
+   * Pick the backend for a set of chains
+   * @param {Array<string>} chainIds - Chains touched by the operation
+   * @returns {SimulationBackend} - Backend
+   */
+  selectBackend(chainIds) {
+    if (this.backendOverride) {
+      return this.backendOverride;
+    }
+
+    const mode = process.env.SIMULATION_BACKEND || 'auto';
+
+    if (mode === 'fork') {
+      return this.forkBackend;
+    }
+
+    if (mode === 'auto' && chainIds.length > 0 && chainIds.every(chainId => this.forkBackend.hasFork(chainId))) {
+      return this.forkBackend;
+    }
+
+    return this.localBackend;
+  }
+
+  /**
+   * Token identifier for a position held in a protocol
+   * @param {string} protocolId - Protocol ID
+   * @param {string} asset - Underlying asset
+   * @returns {string} - Position token identifier
+   */
+  positionToken(protocolId, asset) {
+    return `position:${protocolId}:${asset}`;
+  }
+
+  /**
+   * Simulate the transactions of an operation
+   * @param {Object} operation - Rebalancing operation
+   * @param {Object} context - Simulation context
+   * @param {Object} context.wallets - Wallet address per chain ID
+   * @param {string} context.defaultWallet - Wallet used when a chain has no entry in wallets
+   * @param {Array} context.balances - Balances seeded into the local backend
+   * @param {number} context.maxSlippage - Maximum slippage (percentage)
+   * @param {number} context.nativePriceUsd - Price of the native gas token in USD
+   * @returns {Promise<Object>} - Simulation report
+   */
+  async simulateOperation(operation, context = {}) {
+    const transactions = operation.transactions || [];
+    const chainIds = [...new Set(transactions
+      .reduce((chains, tx) => chains.concat([tx.fromChain, tx.toChain]), [])
+      .filter(Boolean)
+      .map(String))];
+
+    const backend = this.selectBackend(chainIds);
+    const nativePriceUsd = context.nativePriceUsd || DEFAULT_NATIVE_PRICE_USD;
+
+    const report = {
+      backend: backend.name,
+      startedAt: new Date(),
+      finishedAt: null,
+      blockNumbers: {},
+      steps: [],
+      reverted: false,
+      revertedStep: null,
+      totalGasUsed: '0',
+      totalGasCostUsd: 0,
+      warnings: []
+    };
+
+    logger.info(`Simulating ${transactions.length} transactions with the ${backend.name} backend`);
+
+    const session = await backend.begin(context);
+
+    try {
+      for (let i = 0; i < transactions.length; i++) {
+        const tx = transactions[i];
+
+        // Later steps depend on earlier ones, so stop at the first revert
+        if (report.reverted) {
+          report.steps.push({
+            index: i,
+            type: tx.type,
+            backend: backend.name,
+            status: 'skipped',
+            warnings: [`Not simulated: step ${report.revertedStep + 1} would revert`]
+          });
+          continue;
+        }
+
+        const step = await this._simulateStep(backend, session, tx, i, context, nativePriceUsd);
+        report.steps.push(step);
+
+        if (step.status === 'reverted') {
+          report.reverted = true;
+          report.revertedStep = i;
+        }
+
+        if (step.warnings) {
+          report.warnings.push(...step.warnings.map(warning => `Transaction ${i + 1}: ${warning}`));
+        }
+      }
+    } finally {
+      report.blockNumbers = session.blockNumbers || {};
+      await backend.end(session);
+    }
+
+    report.totalGasUsed = report.steps
+      .reduce((total, step) => total.plus(step.gasUsed || 0), new BigNumber(0))
+      .toFixed();
+    report.totalGasCostUsd = report.steps.reduce((total, step) => total + (step.gasCostUsd || 0), 0);
+    report.finishedAt = new Date();
+
+    return report;
+  }
+
+  /**
+   * Simulate a single planned transaction
+   * @private
+   */
+  async _simulateStep(backend, session, tx, index, context, nativePriceUsd) {
+    const chainId = String(tx.fromChain || tx.toChain || '');
+    const holder = (context.wallets && context.wallets[chainId]) || context.defaultWallet ||
+      (backend === this.localBackend ? 'portfolio' : null);
+
+    const step = {
+      index,
+      type: tx.type,
+      backend: backend.name,
+      status: 'success',
+      holder,
+      calls: [],
+      gasUsed: '0',
+      gasPrice: '0',
+      gasCostNative: 0,
+      gasCostUsd: 0,
+      balanceDeltas: [],
+      warnings: []
+    };
+
+    if (!holder) {
+      step.status = 'skipped';
+      step.warnings.push(`No wallet address known for chain ${chainId}`);
+      return step;
+    }
+
+    let calls;
+    try {
+      calls = await this._buildCalls(tx, chainId, holder);
+    } catch (error) {
+      logger.error(`Error building calls for transaction ${index}: ${error.message}`);
+      step.status = 'skipped';
+      step.warnings.push(`Could not build calls: ${error.message}`);
+      return step;
+    }
+
+    const tokens = this._collectTokens(calls);
+    const before = await this._readBalances(backend, session, holder, tokens);
+
+    let gasUsed = new BigNumber(0);
+
+    for (const call of calls) {
+      if (!backend.canExecute(call)) {
+        // The fork cannot run a call without calldata; fall back to a gas estimate
+        const estimate = await this.localBackend.execute(await this.localBackend.begin(), { ...call, effects: {} });
+        gasUsed = gasUsed.plus(estimate.gasUsed);
+        step.gasPrice = step.gasPrice === '0' ? estimate.gasPrice : step.gasPrice;
+        step.calls.push({
+          kind: call.kind,
+          description: call.description,
+          to: call.to,
+          status: 'estimated',
+          gasUsed: estimate.gasUsed
+        });
+        step.warnings.push(`${call.description} could not be run on the ${backend.name} backend; gas is estimated`);
+        if (step.status === 'success') {
+          step.status = 'estimated';
+        }
+        continue;
+      }
+
+      const result = await backend.execute(session, call);
+      gasUsed = gasUsed.plus(result.gasUsed || 0);
+      step.gasPrice = result.gasPrice || step.gasPrice;
+      step.calls.push({
+        kind: call.kind,
+        description: call.description,
+        to: call.to,
+        status: result.success ? 'success' : 'reverted',
+        gasUsed: result.gasUsed,
+        txHash: result.txHash,
+        revertReason: result.revertReason
+      });
+
+      if (!result.success) {
+        step.status = 'reverted';
+        step.revertReason = result.revertReason;
+        break;
+      }
+    }
+
+    const after = await this._readBalances(backend, session, holder, tokens);
+    step.balanceDeltas = tokens
+      .map(({ chainId: tokenChain, token, symbol }) => {
+        const key = `${tokenChain}:${token}`;
+        if (before[key] === null || before[key] === undefined || after[key] === null || after[key] === undefined) {
+          return null;
+        }
+        return {
+          chainId: tokenChain,
+          token,
+          symbol,
+          before: before[key],
+          after: after[key],
+          delta: new BigNumber(after[key]).minus(before[key]).toFixed()
+        };
+      })
+      .filter(Boolean);
+
+    step.gasUsed = gasUsed.toFixed();
+    step.gasCostNative = gasUsed.multipliedBy(step.gasPrice).dividedBy(1e18).toNumber();
+    step.gasCostUsd = step.gasCostNative * nativePriceUsd;
+    step.slippage = this._measureSlippage(tx, step, context);
+    if (step.slippage.exceedsLimit) {
+      step.warnings.push(`Expected slippage of ${(step.slippage.expected * 100).toFixed(2)}% is above the ${context.maxSlippage}% limit`);
+    }
+
+    return step;
+  }
+
+  /**
+   * Turn a planned transaction into calls with their expected token effects
+   * @private
+   */
+  async _buildCalls(tx, chainId, holder) {
+    const fromToken = tx.fromAssetAddress || tx.fromAsset;
+    const toToken = tx.toAssetAddress || tx.toAsset;
+
+    switch (tx.type) {
+      case 'deposit':
+      case 'lend': {
+        const { adapter, opportunity } = await this._resolve(tx.toProtocol, tx.toChain || chainId, toToken);
+        const amount = tx.toAmount || tx.fromAmount;
+        const calls = await this._buildAdapterCalls(adapter, 'deposit', opportunity, amount, holder);
+
+        return this._withEffects(calls, chainId, holder, {
+          debit: [{ token: toToken, amount }],
+          credit: [{ token: this.positionToken(tx.toProtocol, toToken), amount }]
+        }, 'deposit', `Deposit ${tx.toAsset}`);
+      }
+      case 'withdrawal': {
+        const { adapter, opportunity } = await this._resolve(tx.fromProtocol, chainId, fromToken);
+        const amount = tx.fromAmount;
+        const calls = await this._buildAdapterCalls(adapter, 'withdraw', opportunity, amount, holder);
+
+        return this._withEffects(calls, chainId, holder, {
+          debit: [{ token: this.positionToken(tx.fromProtocol, fromToken), amount }],
+          credit: [{ token: fromToken, amount: tx.toAmount || amount }]
+        }, 'withdraw', `Withdraw ${tx.fromAsset}`);
+      }
+      case 'transfer': {
+        const crossChain = tx.toChain && String(tx.toChain) !== chainId;
+        return this._withEffects([], chainId, holder, {
+          debit: [{ token: fromToken, amount: tx.fromAmount }],
+          credit: [{ token: toToken || fromToken, amount: tx.toAmount || tx.fromAmount, chainId: crossChain ? String(tx.toChain) : undefined }]
+        }, crossChain ? 'bridge' : 'transfer', crossChain
+          ? `Bridge ${tx.fromAsset} from chain ${chainId} to chain ${tx.toChain}`
+          : `Transfer ${tx.fromAsset}`);
+      }
+      case 'swap':
+      default:
+        // No DEX adapter builds swap calldata yet, so swaps carry effects only
+        return this._withEffects([], chainId, holder, {
+          debit: [{ token: fromToken, amount: tx.fromAmount }],
+          credit: [{ token: toToken, amount: tx.toAmount || tx.fromAmount }]
+        }, tx.type === 'swap' ? 'swap' : 'transfer', `${tx.type} ${tx.fromAsset || ''} to ${tx.toAsset || ''}`.trim());
+    }
+  }
+
+  /**
+   * Resolve the adapter and opportunity behind a protocol position
+   * @private
+   */
+  async _resolve(protocolId, chainId, asset) {
+    if (!protocolId) {
+      return {};
+    }
+
+    const adapter = await ProtocolAdapterManager.getAdapter(protocolId, chainId);
+    const opportunity = await YieldOpportunity.findOne({
+      protocol: protocolId,
+      chainId,
+      $or: [{ asset }, { assetSymbol: asset }, { assetAddress: asset }]
+    });
+
+    return { adapter, opportunity };
+  }
+
+  /**
+   * Ask the adapter for calldata, converting the amount to base units
+   * @private
+   */
+  async _buildAdapterCalls(adapter, action, opportunity, amount, holder) {
+    if (!adapter || !opportunity || !(await adapter.validateAddress(opportunity, holder))) {
+      return [];
+    }
+
+    try {
+      const decimals = opportunity.assetDecimals || 18;
+      const baseUnits = ethers.utils.parseUnits(
+        new BigNumber(amount).toFixed(decimals, BigNumber.ROUND_DOWN),
+        decimals
+      );
+
+      return await adapter.buildTransactions(action, opportunity, {
+        amount: baseUnits.toString(),
+        userAddress: holder
+      });
+    } catch (error) {
+      logger.warn(`Adapter ${adapter.name} could not build ${action} calls: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Attach chain, sender and expected effects to calls
+   * The effects belong to the last call; when there are no calls a single
+   * effects-only call stands in for the step
+   * @private
+   */
+  _withEffects(calls, chainId, holder, effects, kind, description) {
+    const prepared = calls.length > 0
+      ? calls.map(call => ({ ...call, chainId, from: holder, effects: { debit: [], credit: [] } }))
+      : [{ chainId, from: holder, kind, description, effects: { debit: [], credit: [] } }];
+
+    prepared[prepared.length - 1].effects = {
+      debit: effects.debit.filter(effect => effect.token && effect.amount !== undefined),
+      credit: effects.credit.filter(effect => effect.token && effect.amount !== undefined)
+    };
+
+    return prepared;
+  }
+
+  /**
+   * Tokens whose balances should be tracked for a set of calls
+   * @private
+   */
+  _collectTokens(calls) {
+    const tokens = new Map();
+
+    calls.forEach(call => {
+      ['debit', 'credit'].forEach(side => {
+        (call.effects[side] || []).forEach(({ token, chainId }) => {
+          const tokenChain = chainId || call.chainId;
+          tokens.set(`${tokenChain}:${token}`, { chainId: tokenChain, token, symbol: token });
+        });
+      });
+    });
+
+    return Array.from(tokens.values());
+  }
+
+  /**
+   * Read balances for the tracked tokens
+   * @private
+   */
+  async _readBalances(backend, session, holder, tokens) {
+    const balances = {};
+
+    for (const { chainId, token } of tokens) {
+      try {
+        balances[`${chainId}:${token}`] = await backend.getBalance(session, chainId, holder, token);
+      } catch (error) {
+        logger.warn(`Could not read ${token} balance on chain ${chainId}: ${error.message}`);
+        balances[`${chainId}:${token}`] = null;
+      }
+    }
+
+    return balances;
+  }
+
+  /**
+   * Slippage of a swap step, as a fraction of the expected amount
+   * Measured from the received amount when the backend executed the swap,
+   * otherwise estimated from the trade size; flagged when it is above the limit
+   * @private
+   */
+  _measureSlippage(tx, step, context) {
+    if (tx.type !== 'swap') {
+      return { expected: 0, measured: false, exceedsLimit: false };
+    }
+
+    const received = step.balanceDeltas.find(delta => delta.token === (tx.toAssetAddress || tx.toAsset));
+    const expectedAmount = new BigNumber(tx.toAmount || 0);
+
+    let slippage;
+    let measured = false;
+    if (step.status === 'success' && step.backend !== 'local' && received && expectedAmount.gt(0)) {
+      slippage = Math.max(expectedAmount.minus(received.delta).dividedBy(expectedAmount).toNumber(), 0);
+      measured = true;
+    } else {
+      slippage = rebalancingPlanner.estimateSlippage(tx.fromAmountUsd || 0);
+    }
+
+    return {
+      expected: slippage,
+      measured,
+      exceedsLimit: Boolean(context.maxSlippage) && slippage > context.maxSlippage / 100
+    };
+  }
+}
+
+// Create and export singleton instance
+const transactionSimulator = new TransactionSimulator();
+module.exports = transactionSimulator;
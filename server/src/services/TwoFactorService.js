@@ -0,0 +1,438 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require('../utils/totp');
+const logger = require('../config/logger');
+
+const ISSUER = 'OrbitYield';
+const BACKUP_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Token purposes; protect() refuses any token that carries a purpose
+const LOGIN_PURPOSE = '2fa-login';
+const STEP_UP_PURPOSE = 'step-up';
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep +twoFactor.failedAttempts';
+
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238) second factor with one-time backup codes.
+ *
+ * Enrollment is two-step: a pending secret is issued as a QR code and only
+ * becomes active once the user confirms a code from their authenticator.
+ * Secrets are encrypted at rest and a code is accepted once per time step.
+ *
+ * When 2FA is enabled, a correct password or wallet signature only earns a
+ * short-lived login token that has to be exchanged together with a code.
+ * Sensitive endpoints additionally require a step-up token obtained by
+ * re-entering a code within the last few minutes.
+ */
+class TwoFactorService {
+  /**
+   * Two-factor status of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { enabled, enabledAt, backupCodesRemaining }
+   */
+  async getStatus(userId) {
+    try {
+      const user = await this._loadUser(userId);
+
+      return {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        pendingSetup: Boolean(user.twoFactor.pendingSecret),
+        backupCodesRemaining: user.twoFactor.enabled
+          ? user.twoFactor.backupCodes.filter(backupCode => !backupCode.usedAt).length
+          : 0
+      };
+    } catch (error) {
+      logger.error(`Error getting 2FA status: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Start TOTP enrollment
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode } where qrCode is a PNG data URL
+   */
+  async beginEnrollment(userId) {
+    try {
+      const user = await this._loadUser(userId);
+
+      if (user.twoFactor.enabled) {
+        throw new ErrorResponse('Two-factor authentication is already enabled', 400);
+      }
+
+      const secret = generateSecret();
+      const otpauthUrl = buildOtpAuthUrl({
+        secret,
+        account: user.email || user.username,
+        issuer: ISSUER
+      });
+
+      user.twoFactor.pendingSecret = this._encrypt(secret);
+      await user.save({ validateBeforeSave: false });
+
+      return {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      };
+    } catch (error) {
+      logger.error(`Error starting 2FA enrollment: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator and enable 2FA
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<Object>} - { backupCodes } shown to the user once
+   */
+  async confirmEnrollment(userId, code) {
+    try {
+      const user = await this._loadUser(userId);
+
+      if (user.twoFactor.enabled) {
+        throw new ErrorResponse('Two-factor authentication is already enabled', 400);
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        throw new ErrorResponse('Start two-factor setup first', 400);
+      }
+
+      const secret = this._decrypt(user.twoFactor.pendingSecret);
+      const step = verifyCode(secret, code);
+      if (step === null) {
+        throw new ErrorResponse('Invalid verification code', 401);
+      }
+
+      const backupCodes = this._generateBackupCodes();
+
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = Date.now();
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.failedAttempts = 0;
+      user.twoFactor.backupCodes = backupCodes.map(backupCode => ({ hash: this._hashBackupCode(backupCode) }));
+      await user.save({ validateBeforeSave: false });
+
+      logger.info(`Two-factor authentication enabled for user ${user._id}`);
+
+      return { backupCodes };
+    } catch (error) {
+      logger.error(`Error confirming 2FA enrollment: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Disable 2FA after checking a code or backup code
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { code } or { backupCode }
+   * @returns {Promise<void>}
+   */
+  async disable(userId, credentials) {
+    try {
+      const user = await this._verifyUser(userId, credentials);
+
+      user.twoFactor = { enabled: false };
+      await user.save({ validateBeforeSave: false });
+
+      logger.info(`Two-factor authentication disabled for user ${user._id}`);
+    } catch (error) {
+      logger.error(`Error disabling 2FA: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all backup codes after checking a code
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { code } or { backupCode }
+   * @returns {Promise<Object>} - { backupCodes }
+   */
+  async regenerateBackupCodes(userId, credentials) {
+    try {
+      const user = await this._verifyUser(userId, credentials);
+      const backupCodes = this._generateBackupCodes();
+
+      user.twoFactor.backupCodes = backupCodes.map(backupCode => ({ hash: this._hashBackupCode(backupCode) }));
+      await user.save({ validateBeforeSave: false });
+
+      return { backupCodes };
+    } catch (error) {
+      logger.error(`Error regenerating backup codes: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a second factor for a user with 2FA enabled
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { code } or { backupCode }
+   * @returns {Promise<string>} - Factor used ('totp' or 'backup_code')
+   */
+  async verify(userId, credentials) {
+    try {
+      await this._verifyUser(userId, credentials);
+      return credentials.backupCode ? 'backup_code' : 'totp';
+    } catch (error) {
+      logger.error(`Error verifying 2FA code: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a user has to pass a second factor
+   * @param {Object} user - User document
+   * @returns {boolean} - True when 2FA is enabled
+   */
+  isEnabled(user) {
+    return Boolean(user && user.twoFactor && user.twoFactor.enabled);
+  }
+
+  /**
+   * Issue the short-lived token that carries a half-finished login to the 2FA step
+   * @param {Object} user - User document
+   * @returns {string} - JWT
+   */
+  createLoginToken(user) {
+    return jwt.sign(
+      { id: user._id, purpose: LOGIN_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.TWO_FACTOR_LOGIN_EXPIRES_IN || '5m' }
+    );
+  }
+
+  /**
+   * Resolve the user of a login token
+   * @param {string} token - Login token
+   * @returns {string} - User ID
+   */
+  verifyLoginToken(token) {
+    return this._verifyToken(token, LOGIN_PURPOSE);
+  }
+
+  /**
+   * Issue a step-up token proving the user re-entered a code recently
+   * @param {Object} user - User document
+   * @returns {Object} - { stepUpToken, expiresAt }
+   */
+  createStepUpToken(user) {
+    const stepUpToken = jwt.sign(
+      { id: user._id, purpose: STEP_UP_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.TWO_FACTOR_STEP_UP_EXPIRES_IN || '5m' }
+    );
+
+    return {
+      stepUpToken,
+      expiresAt: new Date(jwt.decode(stepUpToken).exp * 1000)
+    };
+  }
+
+  /**
+   * Check that a step-up token belongs to a user and is still valid
+   * @param {string} token - Step-up token
+   * @param {string} userId - Expected user ID
+   * @returns {boolean} - Whether the token is valid
+   */
+  verifyStepUpToken(token, userId) {
+    try {
+      return this._verifyToken(token, STEP_UP_PURPOSE) === userId.toString();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Verify a purpose token
+   * @param {string} token - JWT
+   * @param {string} purpose - Expected purpose
+   * @returns {string} - User ID
+   * @private
+   */
+  _verifyToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw new ErrorResponse('Two-factor session has expired, please sign in again', 401);
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw new ErrorResponse('Invalid two-factor token', 401);
+    }
+
+    return decoded.id;
+  }
+
+  /**
+   * Load a user with 2FA enabled and check a code or backup code, with lockout
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { code } or { backupCode }
+   * @returns {Promise<Object>} - User document with secret fields selected
+   * @private
+   */
+  async _verifyUser(userId, { code, backupCode } = {}) {
+    const user = await this._loadUser(userId);
+
+    if (!user.twoFactor.enabled) {
+      throw new ErrorResponse('Two-factor authentication is not enabled', 400);
+    }
+
+    if (user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > Date.now()) {
+      throw new ErrorResponse('Too many invalid codes, try again later', 429);
+    }
+
+    if (!code && !backupCode) {
+      throw new ErrorResponse('Please provide a verification code or backup code', 400);
+    }
+
+    const valid = backupCode
+      ? this._useBackupCode(user, backupCode)
+      : this._useTotpCode(user, code);
+
+    if (!valid) {
+      user.twoFactor.failedAttempts = (user.twoFactor.failedAttempts || 0) + 1;
+      if (user.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        user.twoFactor.lockedUntil = Date.now() + LOCKOUT_MS;
+        user.twoFactor.failedAttempts = 0;
+        logger.warn(`Two-factor locked for user ${user._id} after repeated invalid codes`);
+      }
+      await user.save({ validateBeforeSave: false });
+
+      throw new ErrorResponse('Invalid verification code', 401);
+    }
+
+    user.twoFactor.failedAttempts = 0;
+    user.twoFactor.lockedUntil = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return user;
+  }
+
+  /**
+   * Accept a TOTP code once per time step
+   * @param {Object} user - User document
+   * @param {string} code - TOTP code
+   * @returns {boolean} - Whether the code was accepted
+   * @private
+   */
+  _useTotpCode(user, code) {
+    const step = verifyCode(this._decrypt(user.twoFactor.secret), code);
+    if (step === null || (user.twoFactor.lastUsedStep !== undefined && step <= user.twoFactor.lastUsedStep)) {
+      return false;
+    }
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  /**
+   * Consume an unused backup code
+   * @param {Object} user - User document
+   * @param {string} backupCode - Backup code
+   * @returns {boolean} - Whether the code was accepted
+   * @private
+   */
+  _useBackupCode(user, backupCode) {
+    const hash = this._hashBackupCode(backupCode);
+    const match = user.twoFactor.backupCodes.find(entry => !entry.usedAt && entry.hash === hash);
+    if (!match) {
+      return false;
+    }
+
+    match.usedAt = Date.now();
+    logger.info(`Backup code used by user ${user._id}`);
+    return true;
+  }
+
+  /**
+   * Generate human-friendly one-time backup codes (xxxx-xxxx)
+   * @returns {Array<string>} - Plain backup codes
+   * @private
+   */
+  _generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(4).toString('hex');
+      return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+  }
+
+  /**
+   * Hash a backup code, ignoring case and separators
+   * @param {string} backupCode - Backup code
+   * @returns {string} - SHA-256 hex digest
+   * @private
+   */
+  _hashBackupCode(backupCode) {
+    const normalized = String(backupCode).toLowerCase().replace(/[^0-9a-f]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Load a user with the 2FA secret fields
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - User document
+   * @private
+   */
+  async _loadUser(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+      throw new ErrorResponse('User not found', 404);
+    }
+    return user;
+  }
+
+  /**
+   * Key used to encrypt TOTP secrets at rest
+   * @returns {Buffer} - 32-byte key
+   * @private
+   */
+  _getKey() {
+    return crypto
+      .createHash('sha256')
+      .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+      .digest();
+  }
+
+  /**
+   * Encrypt a secret with AES-256-GCM
+   * @param {string} value - Plain secret
+   * @returns {string} - iv:tag:ciphertext (hex)
+   * @private
+   */
+  _encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+  }
+
+  /**
+   * Decrypt a secret produced by _encrypt
+   * @param {string} value - iv:tag:ciphertext (hex)
+   * @returns {string} - Plain secret
+   * @private
+   */
+  _decrypt(value) {
+    const [iv, tag, encrypted] = value.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this._getKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+// Create and export a singleton instance
+const twoFactorService = new TwoFactorService();
+module.exports = twoFactorService;
@@ -0,0 +1,506 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { cryptoWaitReady, signatureVerify } = require('@polkadot/util-crypto');
+const User = require('../models/User');
+const MetaMaskConnection = require('../models/MetaMaskConnection');
+const PolkadotWallet = require('../models/PolkadotWallet');
+const AuthChallenge = require('../models/AuthChallenge');
+const chainRegistry = require('./ChainRegistry');
+const ErrorResponse = require('../utils/errorResponse');
+const { parseSiweMessage } = require('../utils/siwe');
+const logger = require('../config/logger');
+
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+
+// Tolerated clock difference between the wallet and the server
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const SIGN_IN_STATEMENT = 'Sign in to OrbitYield.';
+
+// ERC-1271 magic value returned by contract wallets for a valid signature
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const ERC1271_ABI = ['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'];
+
+// Substrate key types accepted for login
+const SUBSTRATE_KEY_TYPES = ['sr25519', 'ed25519'];
+
+// Account creation method recorded on users created by each wallet type
+const SIGNUP_METHODS = {
+  ethereum: 'siwe',
+  polkadot: 'polkadot'
+};
+
+/**
+ * Wallet Auth Service
+ * Signs users in with a wallet signature instead of a password.
+ *
+ * Ethereum wallets use EIP-4361 (Sign-In With Ethereum): the client asks for
+ * a one-time nonce, builds the SIWE message around it and signs it with
+ * personal_sign. Substrate accounts ask for a challenge whose message the
+ * server writes, and sign it with the extension's signRaw (sr25519 or
+ * ed25519 keys).
+ *
+ * A verified signature logs into the account the wallet is linked to,
+ * creates a new account for an unknown wallet, or, when the challenge was
+ * requested by a signed-in user, links the wallet to that account as an
+ * additional login method.
+ *
+ * Only wallets whose ownership was proven with a signature can log in;
+ * wallets saved through the plain MetaMask connection endpoint have to be
+ * linked once while signed in first.
+ */
+class WalletAuthService {
+  /**
+   * Issue a one-time SIWE nonce
+   * @param {Object} options - Challenge options
+   * @param {string} options.userId - Signed-in user linking a wallet (optional)
+   * @param {string} options.ipAddress - Requesting IP address (optional)
+   * @returns {Promise<Object>} - Nonce and the message fields the server expects
+   */
+  async createSiweChallenge({ userId, ipAddress } = {}) {
+    try {
+      const challenge = await AuthChallenge.create({
+        nonce: crypto.randomBytes(16).toString('hex'),
+        method: 'siwe',
+        userId,
+        ipAddress,
+        expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS)
+      });
+
+      return {
+        nonce: challenge.nonce,
+        domain: this._getSignInDomains()[0],
+        uri: process.env.SIWE_URI || process.env.FRONTEND_URL,
+        statement: SIGN_IN_STATEMENT,
+        version: '1',
+        issuedAt: challenge.createdAt,
+        expirationTime: challenge.expiresAt,
+        link: Boolean(userId)
+      };
+    } catch (error) {
+      logger.error(`Error creating SIWE challenge: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a signed SIWE message and resolve the account it signs into
+   * @param {Object} options - Verification options
+   * @param {string} options.message - SIWE message exactly as signed
+   * @param {string} options.signature - personal_sign signature
+   * @param {string} options.userId - Currently signed-in user (optional)
+   * @returns {Promise<Object>} - { user, wallet, created, linked }
+   */
+  async verifySiwe({ message, signature, userId } = {}) {
+    try {
+      if (!signature) {
+        throw new ErrorResponse('Signature is required', 400);
+      }
+
+      const fields = parseSiweMessage(message);
+      this._validateSiweFields(fields);
+
+      // Consume the nonce before checking the signature so it cannot be replayed
+      const challenge = await AuthChallenge.consume(fields.nonce, 'siwe');
+      if (!challenge) {
+        throw new ErrorResponse('Sign-in nonce is invalid or has expired', 401);
+      }
+
+      if (challenge.userId && (!userId || challenge.userId.toString() !== userId.toString())) {
+        throw new ErrorResponse('Sign in again before linking this wallet', 401);
+      }
+
+      const valid = await this._verifyEthereumSignature(fields, message, signature);
+      if (!valid) {
+        throw new ErrorResponse('Invalid signature', 401);
+      }
+
+      const account = {
+        address: fields.address,
+        chainId: chainRegistry.resolveId(fields.chainId)
+      };
+
+      if (challenge.userId) {
+        return await this._linkWallet('ethereum', challenge.userId, account);
+      }
+
+      return await this._signInWithWallet('ethereum', account);
+    } catch (error) {
+      logger.error(`Error verifying SIWE message: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a one-time challenge for a Substrate account to sign
+   * @param {Object} options - Challenge options
+   * @param {string} options.address - SS58 address of the account (any network)
+   * @param {string} options.chainId - Substrate chain the account is used on (default polkadot)
+   * @param {string} options.userId - Signed-in user linking the account (optional)
+   * @param {string} options.ipAddress - Requesting IP address (optional)
+   * @returns {Promise<Object>} - Nonce and the exact message to sign
+   */
+  async createPolkadotChallenge({ address, chainId = 'polkadot', userId, ipAddress } = {}) {
+    try {
+      if (!PolkadotWallet.decode(address)) {
+        throw new ErrorResponse('Invalid Substrate address', 400);
+      }
+
+      const chain = chainRegistry.require(chainId);
+      if (chain.type !== 'substrate') {
+        throw new ErrorResponse(`Not a Substrate chain: ${chainId}`, 400);
+      }
+
+      const nonce = crypto.randomBytes(16).toString('hex');
+      const issuedAt = new Date();
+      const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+
+      const message = [
+        `${this._getSignInDomains()[0]} wants you to sign in with your Substrate account:`,
+        address.trim(),
+        '',
+        SIGN_IN_STATEMENT,
+        '',
+        `URI: ${process.env.SIWE_URI || process.env.FRONTEND_URL}`,
+        `Chain ID: ${chain.id}`,
+        `Nonce: ${nonce}`,
+        `Issued At: ${issuedAt.toISOString()}`,
+        `Expiration Time: ${expiresAt.toISOString()}`
+      ].join('\n');
+
+      await AuthChallenge.create({
+        nonce,
+        method: 'polkadot',
+        userId,
+        address: address.trim(),
+        message,
+        chainId: chain.id,
+        ipAddress,
+        expiresAt
+      });
+
+      return {
+        nonce,
+        address: address.trim(),
+        message,
+        expirationTime: expiresAt,
+        link: Boolean(userId)
+      };
+    } catch (error) {
+      logger.error(`Error creating Polkadot challenge: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a signed Polkadot challenge and resolve the account it signs into
+   * @param {Object} options - Verification options
+   * @param {string} options.nonce - Challenge nonce
+   * @param {string} options.signature - signRaw signature (hex)
+   * @param {string} options.userId - Currently signed-in user (optional)
+   * @param {string} options.name - Account name from the extension (optional)
+   * @returns {Promise<Object>} - { user, wallet, created, linked }
+   */
+  async verifyPolkadot({ nonce, signature, userId, name } = {}) {
+    try {
+      if (!nonce || !signature) {
+        throw new ErrorResponse('Nonce and signature are required', 400);
+      }
+
+      const challenge = await AuthChallenge.consume(nonce, 'polkadot');
+      if (!challenge) {
+        throw new ErrorResponse('Sign-in challenge is invalid or has expired', 401);
+      }
+
+      if (challenge.userId && (!userId || challenge.userId.toString() !== userId.toString())) {
+        throw new ErrorResponse('Sign in again before linking this account', 401);
+      }
+
+      const keyType = await this._verifySubstrateSignature(challenge.message, signature, challenge.address);
+      if (!keyType) {
+        throw new ErrorResponse('Invalid signature', 401);
+      }
+
+      const { publicKey, ss58Format } = PolkadotWallet.decode(challenge.address);
+      const account = {
+        address: challenge.address,
+        publicKey,
+        ss58Format,
+        chainId: challenge.chainId,
+        keyType,
+        name
+      };
+
+      if (challenge.userId) {
+        return await this._linkWallet('polkadot', challenge.userId, account);
+      }
+
+      return await this._signInWithWallet('polkadot', account);
+    } catch (error) {
+      logger.error(`Error verifying Polkadot signature: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the message against this server's domain, the chain registry and the clock
+   * @param {Object} fields - Parsed SIWE message
+   * @private
+   */
+  _validateSiweFields(fields) {
+    if (!this._getSignInDomains().includes(fields.domain)) {
+      throw new ErrorResponse(`Sign-in message was created for another domain: ${fields.domain}`, 401);
+    }
+
+    if (fields.version !== '1') {
+      throw new ErrorResponse(`Unsupported SIWE version: ${fields.version}`, 400);
+    }
+
+    const chain = chainRegistry.get(fields.chainId);
+    if (!chain || chain.type !== 'evm') {
+      throw new ErrorResponse(`Unsupported chain ID: ${fields.chainId}`, 400);
+    }
+
+    const now = Date.now();
+
+    if (fields.issuedAt.getTime() > now + CLOCK_SKEW_MS) {
+      throw new ErrorResponse('Sign-in message is issued in the future', 401);
+    }
+
+    if (fields.expirationTime && fields.expirationTime.getTime() <= now - CLOCK_SKEW_MS) {
+      throw new ErrorResponse('Sign-in message has expired', 401);
+    }
+
+    if (fields.notBefore && fields.notBefore.getTime() > now + CLOCK_SKEW_MS) {
+      throw new ErrorResponse('Sign-in message is not valid yet', 401);
+    }
+  }
+
+  /**
+   * Check a personal_sign signature, falling back to ERC-1271 for contract wallets
+   * @param {Object} fields - Parsed SIWE message
+   * @param {string} message - Signed message
+   * @param {string} signature - Signature
+   * @returns {Promise<boolean>} - Whether the address signed the message
+   * @private
+   */
+  async _verifyEthereumSignature(fields, message, signature) {
+    try {
+      const recovered = ethers.utils.verifyMessage(message, signature);
+      if (recovered === fields.address) {
+        return true;
+      }
+    } catch (error) {
+      // Not an ECDSA signature; it may still be valid for a contract wallet
+      logger.debug(`SIWE signature recovery failed: ${error.message}`);
+    }
+
+    try {
+      const provider = chainRegistry.getEvmProvider(fields.chainId);
+      const code = await provider.getCode(fields.address);
+      if (!code || code === '0x') {
+        return false;
+      }
+
+      const wallet = new ethers.Contract(fields.address, ERC1271_ABI, provider);
+      const result = await wallet.isValidSignature(ethers.utils.hashMessage(message), signature);
+      return result === ERC1271_MAGIC_VALUE;
+    } catch (error) {
+      logger.warn(`ERC-1271 check failed for ${fields.address}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Check an sr25519/ed25519 signature; extensions wrap signRaw payloads in <Bytes>
+   * @param {string} message - Challenge message
+   * @param {string} signature - Hex signature
+   * @param {string} address - Signing account
+   * @returns {Promise<string|null>} - Key type of a valid signature, or null
+   * @private
+   */
+  async _verifySubstrateSignature(message, signature, address) {
+    await cryptoWaitReady();
+
+    try {
+      const result = signatureVerify(message, signature, address);
+      return result.isValid && SUBSTRATE_KEY_TYPES.includes(result.crypto) ? result.crypto : null;
+    } catch (error) {
+      logger.debug(`Substrate signature check failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Link a verified wallet to a signed-in user
+   * @param {string} type - ethereum or polkadot
+   * @param {string} userId - User ID
+   * @param {Object} account - Verified account details
+   * @returns {Promise<Object>} - { user, wallet, created, linked }
+   * @private
+   */
+  async _linkWallet(type, userId, account) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new ErrorResponse('User no longer exists', 401);
+    }
+
+    let wallet = await this._findWallet(type, account);
+
+    if (wallet && wallet.isActive && wallet.userId.toString() !== user._id.toString()) {
+      throw new ErrorResponse('This wallet address is already connected to another account', 409);
+    }
+
+    wallet = this._claimWallet(type, wallet, user._id, account);
+    await wallet.save();
+
+    logger.info(`${type} wallet ${account.address} linked to user ${user._id}`);
+
+    return { user, wallet, created: false, linked: true };
+  }
+
+  /**
+   * Sign in with a verified wallet, creating an account for unknown wallets
+   * @param {string} type - ethereum or polkadot
+   * @param {Object} account - Verified account details
+   * @returns {Promise<Object>} - { user, wallet, created, linked }
+   * @private
+   */
+  async _signInWithWallet(type, account) {
+    let wallet = await this._findWallet(type, account);
+
+    if (wallet && wallet.isActive) {
+      if (!wallet.verifiedAt) {
+        throw new ErrorResponse(
+          'This wallet is connected to an account but has not been verified. Sign in to that account and link the wallet first',
+          403
+        );
+      }
+
+      const user = await User.findById(wallet.userId);
+      if (!user) {
+        throw new ErrorResponse('User no longer exists', 401);
+      }
+
+      wallet.chainId = account.chainId;
+      wallet.lastUsed = Date.now();
+      await wallet.save();
+
+      return { user, wallet, created: false, linked: false };
+    }
+
+    const user = await User.create({
+      username: await this._generateUsername(account.publicKey || account.address),
+      signupMethod: SIGNUP_METHODS[type]
+    });
+
+    wallet = this._claimWallet(type, wallet, user._id, account);
+    await wallet.save();
+
+    logger.info(`Created user ${user._id} for ${type} wallet ${account.address}`);
+
+    return { user, wallet, created: true, linked: false };
+  }
+
+  /**
+   * Assign a wallet to a user and mark it as verified
+   * @param {string} type - ethereum or polkadot
+   * @param {Object|null} wallet - Existing wallet for the account
+   * @param {string} userId - Owning user
+   * @param {Object} account - Verified account details
+   * @returns {Object} - Unsaved wallet
+   * @private
+   */
+  _claimWallet(type, wallet, userId, account) {
+    const now = Date.now();
+
+    if (!wallet) {
+      wallet = type === 'polkadot'
+        ? new PolkadotWallet({ publicKey: account.publicKey, userId })
+        : new MetaMaskConnection({ walletAddress: account.address, userId });
+    } else if (!wallet.isActive) {
+      // Wallets removed earlier can be claimed again by whoever proves ownership
+      wallet.userId = userId;
+      wallet.isActive = true;
+      wallet.connectedAt = now;
+
+      if (type === 'ethereum') {
+        wallet.removalRequest = { status: 'none' };
+      }
+    }
+
+    if (type === 'polkadot') {
+      wallet.address = account.address;
+      wallet.ss58Format = account.ss58Format;
+      wallet.keyType = account.keyType;
+      if (account.name) {
+        wallet.name = account.name;
+      }
+    } else {
+      wallet.walletAddress = account.address;
+    }
+
+    wallet.chainId = account.chainId;
+    wallet.verifiedAt = now;
+    wallet.lastUsed = now;
+
+    return wallet;
+  }
+
+  /**
+   * Find the stored wallet for an account
+   * @param {string} type - ethereum or polkadot
+   * @param {Object} account - Account details
+   * @returns {Promise<Object|null>} - MetaMaskConnection or PolkadotWallet
+   * @private
+   */
+  _findWallet(type, account) {
+    if (type === 'polkadot') {
+      // Matched by public key, so the account is found whichever network it was linked on
+      return PolkadotWallet.findOne({ publicKey: account.publicKey });
+    }
+
+    // MetaMask connections are stored in whatever letter case the client sent
+    return MetaMaskConnection.findOne({
+      walletAddress: new RegExp(`^${account.address}$`, 'i')
+    });
+  }
+
+  /**
+   * Derive an unused username from a wallet address or public key
+   * @param {string} hex - 0x-prefixed address or public key
+   * @returns {Promise<string>} - Username
+   * @private
+   */
+  async _generateUsername(hex) {
+    const base = `wallet-${hex.slice(2, 10).toLowerCase()}`;
+    let username = base;
+
+    while (await User.exists({ username })) {
+      username = `${base}-${crypto.randomBytes(2).toString('hex')}`;
+    }
+
+    return username;
+  }
+
+  /**
+   * Domains sign-in messages may be issued for
+   * @returns {Array<string>} - Hosts, e.g. "app.orbityield.io"
+   * @private
+   */
+  _getSignInDomains() {
+    if (process.env.SIWE_DOMAINS) {
+      return process.env.SIWE_DOMAINS.split(',').map(domain => domain.trim()).filter(Boolean);
+    }
+
+    try {
+      return [new URL(process.env.FRONTEND_URL).host];
+    } catch (error) {
+      return ['localhost:3000'];
+    }
+  }
+}
+
+// Create and export a singleton instance
+const walletAuthService = new WalletAuthService();
+module.exports = walletAuthService;
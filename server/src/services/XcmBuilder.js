@@ -0,0 +1,823 @@
+const BigNumber = require('bignumber.js');
+const { ApiPromise, WsProvider } = require('@polkadot/api');
+const { u8aToHex } = require('@polkadot/util');
+const { decodeAddress, encodeAddress } = require('@polkadot/util-crypto');
+const logger = require('../config/logger');
+const ErrorResponse = require('../utils/errorResponse');
+const chainRegistry = require('./ChainRegistry');
+
+const SUPPORTED_XCM_VERSIONS = [3, 4];
+const CONNECT_TIMEOUT_MS = 15000;
+const FEE_BUFFER = 1.2;
+const DEFAULT_TRANSACT_WEIGHT = { refTime: '1000000000', proofSize: '65536' };
+
+/**
+ * XCM Builder
+ * Builds ready-to-sign pallet-xcm calls for cross-chain transfers and remote
+ * Transact, using versioned (V3/V4) locations and instructions, and estimates
+ * the fees paid on every hop of the route.
+ *
+ * Whether assets are teleported or moved as a reserve transfer follows from
+ * the chain registry: teleports only between chains that trust each other for
+ * the asset, otherwise through the asset's reserve chain.
+ */
+class XcmBuilder {
+  constructor() {
+    this.apis = new Map();
+    this.apiEndpoints = new Map();
+  }
+
+  /**
+   * Chains XCM calls can be built for
+   * @returns {Array} - Chain descriptions
+   */
+  getChains() {
+    return chainRegistry.list({ xcm: true }).map(({ id }) => {
+      const chain = this._getChain(id);
+      return {
+        id,
+        name: chain.name,
+        description: chain.description,
+        icon: chain.icon,
+        isRelay: chain.paraId === null,
+        relayChain: chain.paraId === null ? undefined : chain.relay,
+        parachainId: chain.paraId === null ? undefined : chain.paraId,
+        nativeAsset: chain.nativeAsset,
+        assets: chain.assets,
+        teleport: chain.teleport,
+        xcmVersion: chain.xcmVersion,
+        accountType: chain.accountType,
+        reachable: chainRegistry.getXcmReachable(id)
+      };
+    });
+  }
+
+  /**
+   * Build a cross-chain asset transfer
+   * @param {Object} params - Transfer parameters
+   * @param {string} params.sourceChain - Chain the transfer is signed on
+   * @param {string} params.destinationChain - Chain receiving the assets
+   * @param {string} params.asset - Asset symbol
+   * @param {string} params.amount - Amount in asset units
+   * @param {string} params.beneficiary - Receiving account on the destination
+   * @param {string} [params.sender] - Signing account, used for fee estimation
+   * @param {number} [params.xcmVersion] - XCM version to build with (3 or 4)
+   * @returns {Promise<Object>} - Call, route and fee estimates
+   */
+  async buildTransfer(params) {
+    try {
+      const source = this._getChain(params.sourceChain);
+      const destination = this._getChain(params.destinationChain);
+
+      if (source.id === destination.id) {
+        throw new ErrorResponse('Source and destination chains must differ', 400);
+      }
+      if (!params.beneficiary) {
+        throw new ErrorResponse('Please provide a beneficiary account', 400);
+      }
+
+      const asset = this._getAsset(source, destination, params.asset);
+      const amount = this._toBaseUnits(params.amount, asset.decimals);
+      const { transferType, method, route } = this._selectTransferType(source, destination, asset);
+
+      const api = await this._getApi(source.id);
+      const version = this._resolveVersion(api, source, params.xcmVersion);
+
+      const args = [
+        this._versionedLocation(this._chainLocation(source, destination), version),
+        this._versionedLocation({ parents: 0, junctions: [this._accountJunction(destination, params.beneficiary)] }, version),
+        this._versionedAssets([this._asset(this._assetLocation(source, asset), amount, version)], version),
+        0,
+        'Unlimited'
+      ];
+
+      if (!api.tx[source.pallet] || !api.tx[source.pallet][method]) {
+        throw new ErrorResponse(`${source.name} does not support ${source.pallet}.${method}`, 400);
+      }
+
+      const extrinsic = api.tx[source.pallet][method](...args);
+      const sender = params.sender || this._placeholderSender(api);
+      const estimate = await this._estimateTransferFees(api, extrinsic, { route, asset, sender, version });
+
+      const executionFees = estimate.hops
+        .filter(hop => hop.kind === 'execution')
+        .reduce((total, hop) => total.plus(hop.amount), new BigNumber(0));
+      const received = BigNumber.maximum(new BigNumber(amount).minus(executionFees), 0);
+
+      return {
+        type: 'transfer',
+        transferType,
+        xcmVersion: version,
+        sourceChain: source.id,
+        destinationChain: destination.id,
+        route: route.map(chain => chain.id),
+        asset: { symbol: asset.symbol, decimals: asset.decimals, reserve: asset.reserve },
+        amount,
+        amountFormatted: this._format(amount, asset.decimals),
+        estimatedReceived: received.toFixed(),
+        estimatedReceivedFormatted: this._format(received, asset.decimals),
+        call: this._describeCall(api, source, extrinsic),
+        fees: this._summarizeFees(estimate.hops),
+        dryRun: estimate.dryRun
+      };
+    } catch (error) {
+      logger.error(`Error building XCM transfer: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a remote Transact on another chain
+   * The call executes as the sender's account derived on the destination,
+   * which pays for execution and receives any surplus back.
+   * @param {Object} params - Transact parameters
+   * @param {string} params.sourceChain - Chain the message is sent from
+   * @param {string} params.destinationChain - Chain executing the call
+   * @param {string} params.call - Hex-encoded call for the destination chain
+   * @param {string} params.sender - Signing account
+   * @param {Object|string} [params.weight] - Weight limit {refTime, proofSize} or refTime
+   * @param {string} [params.originKind] - Origin kind for the call, default SovereignAccount
+   * @param {string} [params.feeAmount] - Execution fee in the destination's native asset units
+   * @param {number} [params.xcmVersion] - XCM version to build with (3 or 4)
+   * @returns {Promise<Object>} - Call, message and fee estimates
+   */
+  async buildTransact(params) {
+    try {
+      const source = this._getChain(params.sourceChain);
+      const destination = this._getChain(params.destinationChain);
+
+      if (source.id === destination.id) {
+        throw new ErrorResponse('Source and destination chains must differ', 400);
+      }
+      this._assertReachable(source, destination);
+      if (!params.call || !/^0x([0-9a-fA-F]{2})+$/.test(params.call)) {
+        throw new ErrorResponse('Please provide the hex-encoded call to execute', 400);
+      }
+      if (!params.sender) {
+        throw new ErrorResponse('Please provide the sending account', 400);
+      }
+
+      const feeAsset = this._nativeAsset(destination);
+      const weight = this._parseWeight(params.weight);
+
+      const api = await this._getApi(source.id);
+      const version = this._resolveVersion(api, source, params.xcmVersion);
+      const message = {
+        source,
+        destination,
+        feeAsset,
+        call: params.call,
+        weight,
+        originKind: params.originKind || 'SovereignAccount',
+        sender: params.sender,
+        version
+      };
+
+      // Without an explicit fee, ask the destination what the message costs
+      const hops = [];
+      let feeAmount = params.feeAmount !== undefined && params.feeAmount !== null && params.feeAmount !== ''
+        ? this._toBaseUnits(params.feeAmount, feeAsset.decimals)
+        : null;
+      const execution = await this._estimateExecution(destination, this._transactMessage({
+        ...message,
+        feeAmount: feeAmount || this._toBaseUnits(feeAsset.fallbackFee, feeAsset.decimals)
+      }), feeAsset, version);
+
+      if (!feeAmount) {
+        feeAmount = new BigNumber(execution.amount).times(FEE_BUFFER).integerValue(BigNumber.ROUND_CEIL).toFixed();
+      }
+
+      const dest = this._versionedLocation(this._chainLocation(source, destination), version);
+      const xcm = this._transactMessage({ ...message, feeAmount });
+
+      if (!api.tx[source.pallet] || !api.tx[source.pallet].send) {
+        throw new ErrorResponse(`${source.name} does not support ${source.pallet}.send`, 400);
+      }
+
+      const extrinsic = api.tx[source.pallet].send(dest, xcm);
+
+      hops.push(await this._estimateOriginFee(api, extrinsic, source, params.sender));
+      hops.push(await this._estimateDelivery(api, source, destination, dest, xcm));
+      hops.push(execution);
+
+      return {
+        type: 'transact',
+        xcmVersion: version,
+        sourceChain: source.id,
+        destinationChain: destination.id,
+        route: [source.id, destination.id],
+        message: xcm,
+        feeAsset: { symbol: feeAsset.symbol, decimals: feeAsset.decimals },
+        feeAmount,
+        feeAmountFormatted: this._format(feeAmount, feeAsset.decimals),
+        derivedAccount: this._versionedLocation(this._derivedLocation(source, destination, params.sender), version),
+        call: this._describeCall(api, source, extrinsic),
+        fees: this._summarizeFees(hops)
+      };
+    } catch (error) {
+      logger.error(`Error building XCM transact: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Estimate the fees of a transfer or transact without returning the call
+   * @param {Object} params - Same parameters as buildTransfer/buildTransact, plus type
+   * @returns {Promise<Object>} - Route and per-hop fees
+   */
+  async estimateFees(params) {
+    const built = params.type === 'transact'
+      ? await this.buildTransact(params)
+      : await this.buildTransfer(params);
+
+    return {
+      type: built.type,
+      transferType: built.transferType,
+      sourceChain: built.sourceChain,
+      destinationChain: built.destinationChain,
+      route: built.route,
+      fees: built.fees,
+      estimatedReceived: built.estimatedReceived,
+      estimatedReceivedFormatted: built.estimatedReceivedFormatted,
+      dryRun: built.dryRun
+    };
+  }
+
+  /**
+   * Disconnect all chain connections
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    for (const [chain, connecting] of this.apis.entries()) {
+      try {
+        const api = await connecting;
+        await api.disconnect();
+      } catch (error) {
+        logger.error(`Error disconnecting XCM builder from ${chain}: ${error.message}`);
+      }
+    }
+    this.apis.clear();
+  }
+
+  /**
+   * Get (and cache) an API connection for a chain
+   * Endpoints can be overridden with XCM_BUILDER_WS_<CHAIN>
+   * @private
+   */
+  async _getApi(chainId) {
+    const chain = chainRegistry.require(chainId);
+    const override = process.env[`XCM_BUILDER_WS_${chain.id.toUpperCase()}`];
+    const endpoints = override ? [override] : chainRegistry.getWsEndpoints(chain.id);
+
+    // Reconnect when the registry has been reloaded with other endpoints
+    if (this.apis.has(chainId) && this.apiEndpoints.get(chainId) !== endpoints.join(',')) {
+      this.apis.get(chainId).then(api => api.disconnect()).catch(() => {});
+      this.apis.delete(chainId);
+    }
+
+    if (!this.apis.has(chainId)) {
+      const provider = new WsProvider(endpoints);
+      const connecting = ApiPromise.create({ provider, noInitWarn: true }).catch(error => {
+        this.apis.delete(chainId);
+        throw error;
+      });
+      this.apis.set(chainId, connecting);
+      this.apiEndpoints.set(chainId, endpoints.join(','));
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new ErrorResponse(`Could not connect to ${chain.name}`, 503)), CONNECT_TIMEOUT_MS);
+    });
+
+    try {
+      return await Promise.race([this.apis.get(chainId), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getChain(chainId) {
+    const chain = chainRegistry.get(chainId);
+    if (!chain || !chain.xcm) {
+      throw new ErrorResponse(`Unsupported chain: ${chainId}`, 400);
+    }
+
+    return {
+      id: chain.id,
+      name: chain.name,
+      description: chain.description,
+      icon: chain.icon,
+      relay: chain.relay,
+      paraId: chain.paraId,
+      pallet: chain.xcm.pallet,
+      xcmVersion: chain.xcm.version,
+      accountType: chain.xcm.accountType,
+      nativeAsset: chain.nativeAsset.symbol,
+      assets: chain.xcm.assets,
+      teleport: chain.xcm.teleport,
+      deliveryFee: chain.xcm.deliveryFee
+    };
+  }
+
+  /**
+   * @private
+   */
+  _assertReachable(source, destination) {
+    if (!chainRegistry.getXcmReachable(source.id).includes(destination.id)) {
+      throw new ErrorResponse(`${source.name} cannot reach ${destination.name} over XCM`, 400);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _nativeAsset(chain) {
+    return chainRegistry.getXcmAsset(chain.relay, chain.nativeAsset);
+  }
+
+  /**
+   * Look up an asset both chains hold
+   * @private
+   */
+  _getAsset(source, destination, symbol) {
+    this._assertReachable(source, destination);
+
+    const asset = chainRegistry.getXcmAsset(source.relay, symbol);
+    if (!asset) {
+      throw new ErrorResponse(`Unsupported asset: ${symbol}`, 400);
+    }
+
+    for (const chain of [source, destination]) {
+      if (!chain.assets.includes(asset.symbol)) {
+        throw new ErrorResponse(`${asset.symbol} is not available on ${chain.name}`, 400);
+      }
+    }
+
+    return asset;
+  }
+
+  /**
+   * Teleport between chains that trust each other for the asset, otherwise
+   * move it through its reserve chain
+   * @private
+   */
+  _selectTransferType(source, destination, asset) {
+    if (source.teleport.includes(asset.symbol) && destination.teleport.includes(asset.symbol)) {
+      return { transferType: 'teleport', method: 'limitedTeleportAssets', route: [source, destination] };
+    }
+    if (asset.reserve === source.id) {
+      return { transferType: 'local_reserve', method: 'limitedReserveTransferAssets', route: [source, destination] };
+    }
+    if (asset.reserve === destination.id) {
+      return { transferType: 'destination_reserve', method: 'limitedReserveTransferAssets', route: [source, destination] };
+    }
+
+    return {
+      transferType: 'remote_reserve',
+      method: 'transferAssets',
+      route: [source, this._getChain(asset.reserve), destination]
+    };
+  }
+
+  /**
+   * Highest XCM version both the request and the runtime support
+   * @private
+   */
+  _resolveVersion(api, chain, requested) {
+    const wanted = requested ? parseInt(requested, 10) : chain.xcmVersion;
+    if (!SUPPORTED_XCM_VERSIONS.includes(wanted)) {
+      throw new ErrorResponse(`Unsupported XCM version: ${requested}`, 400);
+    }
+
+    const pallet = api.tx[chain.pallet];
+    if (!pallet || !pallet.send) {
+      return wanted;
+    }
+
+    // The versioned location type lists the versions the runtime decodes
+    const type = pallet.send.meta.args[0].type.toString();
+    const available = api.registry.createType(type).defKeys
+      .map(key => parseInt(key.replace(/^V/, ''), 10))
+      .filter(v => SUPPORTED_XCM_VERSIONS.includes(v) && v <= wanted);
+
+    if (available.length === 0) {
+      throw new ErrorResponse(`${chain.name} does not accept XCM V${wanted} messages`, 400);
+    }
+
+    return Math.max(...available);
+  }
+
+  /**
+   * Location of one chain as seen from another
+   * @private
+   */
+  _chainLocation(from, to) {
+    if (from.id === to.id) {
+      return { parents: 0, junctions: [] };
+    }
+
+    const parents = from.paraId === null ? 0 : 1;
+    return {
+      parents,
+      junctions: to.paraId === null ? [] : [{ Parachain: to.paraId }]
+    };
+  }
+
+  /**
+   * Location of an asset as seen from a chain
+   * @private
+   */
+  _assetLocation(chain, asset) {
+    const reserve = this._getChain(asset.reserve);
+    const location = this._chainLocation(chain, reserve);
+    return { parents: location.parents, junctions: [...location.junctions, ...asset.junctions] };
+  }
+
+  /**
+   * Location of the sender's account as derived on the destination
+   * @private
+   */
+  _derivedLocation(source, destination, sender) {
+    const location = this._chainLocation(destination, source);
+    return { parents: location.parents, junctions: [...location.junctions, this._accountJunction(source, sender)] };
+  }
+
+  /**
+   * @private
+   */
+  _accountJunction(chain, address) {
+    if (chain.accountType === 'AccountKey20') {
+      if (!/^0x[0-9a-fA-F]{40}$/.test(address || '')) {
+        throw new ErrorResponse(`${chain.name} expects a 20-byte account address`, 400);
+      }
+      return { AccountKey20: { network: null, key: address.toLowerCase() } };
+    }
+
+    try {
+      return { AccountId32: { network: null, id: u8aToHex(decodeAddress(address)) } };
+    } catch (error) {
+      throw new ErrorResponse(`Invalid account address for ${chain.name}: ${address}`, 400);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _interior(junctions, version) {
+    if (junctions.length === 0) {
+      return 'Here';
+    }
+    // V3 wraps a single junction directly, V4 always uses arrays
+    if (junctions.length === 1 && version === 3) {
+      return { X1: junctions[0] };
+    }
+    return { [`X${junctions.length}`]: junctions };
+  }
+
+  /**
+   * @private
+   */
+  _location(location, version) {
+    return { parents: location.parents, interior: this._interior(location.junctions, version) };
+  }
+
+  /**
+   * @private
+   */
+  _versionedLocation(location, version) {
+    return { [`V${version}`]: this._location(location, version) };
+  }
+
+  /**
+   * @private
+   */
+  _assetId(location, version) {
+    return version === 3 ? { Concrete: this._location(location, 3) } : this._location(location, version);
+  }
+
+  /**
+   * @private
+   */
+  _asset(location, amount, version) {
+    return { id: this._assetId(location, version), fun: { Fungible: amount } };
+  }
+
+  /**
+   * @private
+   */
+  _versionedAssets(assets, version) {
+    return { [`V${version}`]: assets };
+  }
+
+  /**
+   * Message paying for and running a call on the destination, then returning
+   * what is left to the derived account
+   * @private
+   */
+  _transactMessage({ source, destination, feeAsset, feeAmount, call, weight, originKind, sender, version }) {
+    const fee = this._asset(this._assetLocation(destination, feeAsset), feeAmount, version);
+
+    return {
+      [`V${version}`]: [
+        { WithdrawAsset: [fee] },
+        { BuyExecution: { fees: fee, weightLimit: 'Unlimited' } },
+        {
+          Transact: {
+            originKind,
+            requireWeightAtMost: weight,
+            call: { encoded: call }
+          }
+        },
+        { RefundSurplus: null },
+        {
+          DepositAsset: {
+            assets: { Wild: { AllCounted: 1 } },
+            beneficiary: this._location(this._derivedLocation(source, destination, sender), version)
+          }
+        }
+      ]
+    };
+  }
+
+  /**
+   * @private
+   */
+  _parseWeight(weight) {
+    if (weight === undefined || weight === null || weight === '') {
+      return { ...DEFAULT_TRANSACT_WEIGHT };
+    }
+    if (typeof weight === 'object') {
+      return {
+        refTime: new BigNumber(weight.refTime || DEFAULT_TRANSACT_WEIGHT.refTime).toFixed(0),
+        proofSize: new BigNumber(weight.proofSize || DEFAULT_TRANSACT_WEIGHT.proofSize).toFixed(0)
+      };
+    }
+
+    const refTime = new BigNumber(weight);
+    if (!refTime.isFinite() || refTime.lte(0)) {
+      throw new ErrorResponse(`Invalid weight: ${weight}`, 400);
+    }
+    return { refTime: refTime.toFixed(0), proofSize: DEFAULT_TRANSACT_WEIGHT.proofSize };
+  }
+
+  /**
+   * Fees of a transfer on each hop. The origin call is dry-run when the
+   * runtime supports it, and the messages it forwards are priced by the chains
+   * that send and execute them; anything the runtimes cannot answer falls back
+   * to the registry's static estimates.
+   * @private
+   */
+  async _estimateTransferFees(api, extrinsic, { route, asset, sender, version }) {
+    const [source] = route;
+    const hops = [await this._estimateOriginFee(api, extrinsic, source, sender)];
+    let dryRun = null;
+    let forwarded = null;
+
+    if (api.call.dryRunApi && api.call.dryRunApi.dryRunCall) {
+      try {
+        const dryRunCall = api.call.dryRunApi.dryRunCall;
+        const origin = { system: { Signed: sender } };
+        const result = dryRunCall.meta.params.length > 2
+          ? await dryRunCall(origin, extrinsic.method, version)
+          : await dryRunCall(origin, extrinsic.method);
+
+        if (result.isOk) {
+          const effects = result.asOk;
+          dryRun = effects.executionResult.isOk
+            ? { success: true }
+            : { success: false, error: this._describeDispatchError(api, effects.executionResult.asErr.error) };
+          forwarded = effects.forwardedXcms;
+        }
+      } catch (error) {
+        logger.warn(`XCM dry run on ${source.name} failed: ${error.message}`);
+      }
+    }
+
+    let fromApi = api;
+    for (let index = 1; index < route.length; index++) {
+      const from = route[index - 1];
+      const to = route[index];
+      const message = this._findForwarded(forwarded, to);
+      const dest = this._versionedLocation(this._chainLocation(from, to), version);
+
+      hops.push(await this._estimateDelivery(fromApi, from, to, dest, message));
+      hops.push(await this._estimateExecution(to, message, asset, version));
+
+      // Follow the message through the reserve to the next hop
+      forwarded = null;
+      fromApi = null;
+      if (message && index < route.length - 1) {
+        try {
+          fromApi = await this._getApi(to.id);
+          if (fromApi.call.dryRunApi && fromApi.call.dryRunApi.dryRunXcm) {
+            const result = await fromApi.call.dryRunApi.dryRunXcm(
+              this._versionedLocation(this._chainLocation(to, from), version),
+              message
+            );
+            if (result.isOk) {
+              forwarded = result.asOk.forwardedXcms;
+            }
+          }
+        } catch (error) {
+          logger.warn(`XCM dry run on ${to.name} failed: ${error.message}`);
+        }
+      }
+    }
+
+    return { hops, dryRun };
+  }
+
+  /**
+   * Transaction fee of the signed call on the origin chain
+   * @private
+   */
+  async _estimateOriginFee(api, extrinsic, chain, sender) {
+    const asset = this._nativeAsset(chain);
+
+    try {
+      const info = await extrinsic.paymentInfo(sender);
+      return this._hop(chain, 'origin', asset, info.partialFee.toString(), 'runtime');
+    } catch (error) {
+      logger.warn(`Could not estimate origin fee on ${chain.name}: ${error.message}`);
+      return this._hop(chain, 'origin', asset, '0', 'unavailable');
+    }
+  }
+
+  /**
+   * Fee the sending chain charges to deliver a message to the next hop
+   * @private
+   */
+  async _estimateDelivery(api, from, to, dest, message) {
+    const asset = this._nativeAsset(from);
+
+    if (api && message && api.call.xcmPaymentApi && api.call.xcmPaymentApi.queryDeliveryFees) {
+      try {
+        const result = await api.call.xcmPaymentApi.queryDeliveryFees(dest, message);
+        if (result.isOk) {
+          return { ...this._hop(from, 'delivery', asset, this._fungibleTotal(result.asOk), 'runtime'), to: to.id };
+        }
+      } catch (error) {
+        logger.warn(`Could not query delivery fees on ${from.name}: ${error.message}`);
+      }
+    }
+
+    return { ...this._hop(from, 'delivery', asset, this._toBaseUnits(from.deliveryFee, asset.decimals), 'static'), to: to.id };
+  }
+
+  /**
+   * Fee the receiving chain charges to execute a message, paid in the given asset
+   * @private
+   */
+  async _estimateExecution(chain, message, asset, version) {
+    if (message) {
+      try {
+        const api = await this._getApi(chain.id);
+        const payment = api.call.xcmPaymentApi;
+
+        if (payment && payment.queryXcmWeight && payment.queryWeightToAssetFee) {
+          const weight = await payment.queryXcmWeight(message);
+          if (weight.isOk) {
+            const fee = await payment.queryWeightToAssetFee(
+              weight.asOk,
+              { [`V${version}`]: this._assetId(this._assetLocation(chain, asset), version) }
+            );
+            if (fee.isOk) {
+              return this._hop(chain, 'execution', asset, fee.asOk.toString(), 'runtime');
+            }
+          }
+        }
+      } catch (error) {
+        logger.warn(`Could not query execution fees on ${chain.name}: ${error.message}`);
+      }
+    }
+
+    return this._hop(chain, 'execution', asset, this._toBaseUnits(asset.fallbackFee, asset.decimals), 'static');
+  }
+
+  /**
+   * First message the origin forwards to a chain
+   * @private
+   */
+  _findForwarded(forwarded, chain) {
+    if (!forwarded) {
+      return null;
+    }
+
+    for (const [location, messages] of forwarded) {
+      const match = JSON.stringify(location.toJSON()).match(/"parachain":(\d+)/i);
+      const paraId = match ? parseInt(match[1], 10) : null;
+      if (paraId === chain.paraId && messages.length > 0) {
+        return messages[0];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _fungibleTotal(versionedAssets) {
+    return versionedAssets.value
+      .reduce((total, asset) => (asset.fun.isFungible ? total.plus(asset.fun.asFungible.toString()) : total), new BigNumber(0))
+      .toFixed();
+  }
+
+  /**
+   * @private
+   */
+  _hop(chain, kind, asset, amount, source) {
+    return {
+      chain: chain.id,
+      kind,
+      asset: asset.symbol,
+      amount,
+      amountFormatted: this._format(amount, asset.decimals),
+      source
+    };
+  }
+
+  /**
+   * Per-hop fees plus totals per asset
+   * @private
+   */
+  _summarizeFees(hops) {
+    const totals = {};
+    for (const hop of hops) {
+      const decimals = this._decimalsOf(hop);
+      const current = totals[hop.asset] ? new BigNumber(totals[hop.asset].amount) : new BigNumber(0);
+      const amount = current.plus(hop.amount).toFixed();
+      totals[hop.asset] = { amount, amountFormatted: this._format(amount, decimals) };
+    }
+    return { hops, totals };
+  }
+
+  /**
+   * @private
+   */
+  _decimalsOf(hop) {
+    const chain = chainRegistry.get(hop.chain);
+    return chainRegistry.getXcmAsset(chain.relay, hop.asset).decimals;
+  }
+
+  /**
+   * @private
+   */
+  _describeCall(api, chain, extrinsic) {
+    return {
+      chain: chain.id,
+      genesisHash: api.genesisHash.toHex(),
+      section: extrinsic.method.section,
+      method: extrinsic.method.method,
+      args: extrinsic.method.toHuman().args,
+      callHex: extrinsic.method.toHex(),
+      callHash: extrinsic.method.hash.toHex()
+    };
+  }
+
+  /**
+   * All-zero account used to price calls when no sender is known
+   * @private
+   */
+  _placeholderSender(api) {
+    return encodeAddress(new Uint8Array(32), api.registry.chainSS58);
+  }
+
+  /**
+   * @private
+   */
+  _describeDispatchError(api, dispatchError) {
+    if (dispatchError.isModule) {
+      const decoded = api.registry.findMetaError(dispatchError.asModule);
+      return `${decoded.section}.${decoded.name}`;
+    }
+    return dispatchError.toString();
+  }
+
+  /**
+   * @private
+   */
+  _toBaseUnits(amount, decimals) {
+    const value = new BigNumber(amount);
+    if (!value.isFinite() || value.lte(0)) {
+      throw new ErrorResponse(`Invalid amount: ${amount}`, 400);
+    }
+    return value.times(new BigNumber(10).pow(decimals)).integerValue(BigNumber.ROUND_FLOOR).toFixed();
+  }
+
+  /**
+   * Formats base units as a decimal string
+   * @private
+   */
+  _format(amount, decimals) {
+    return new BigNumber(amount || 0).dividedBy(new BigNumber(10).pow(decimals)).toFixed();
+  }
+}
+
+// Create and export a singleton instance
+const xcmBuilder = new XcmBuilder();
+module.exports = xcmBuilder;
@@ -0,0 +1,515 @@
+const { ApiPromise, WsProvider } = require('@polkadot/api');
+const logger = require('../config/logger');
+const Transaction = require('../models/Transaction');
+const websocketService = require('../utils/websocketService');
+const chainRegistry = require('./ChainRegistry');
+
+// Transaction status for each XCM lifecycle status
+const transactionStatuses = {
+  pending: 'pending',
+  sent: 'processing',
+  received: 'processing',
+  executed: 'completed',
+  failed: 'failed',
+  unknown: 'processing' // Left for an operator to settle
+};
+
+// Origin events carrying the ID of the message that was sent
+const SENT_EVENTS = [
+  'polkadotXcm.Sent',
+  'xcmPallet.Sent',
+  'xcmpQueue.XcmpMessageSent',
+  'parachainSystem.UpwardMessageSent',
+  'xTokens.TransferredMultiAssets',
+  'xTokens.TransferredAssets'
+];
+
+const ATTEMPTED_EVENTS = ['polkadotXcm.Attempted', 'xcmPallet.Attempted'];
+
+const DEFAULT_MAX_BLOCKS_PER_PASS = 50;
+const DEFAULT_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes
+const ORIGIN_LOOKBACK_BLOCKS = 20;
+const DESTINATION_MARGIN_BLOCKS = 2;
+const MAX_DESTINATION_LOOKBACK_BLOCKS = 600;
+
+/**
+ * XCM Tracker
+ * Follows an XCM transfer from its origin extrinsic to the message queue
+ * events on the destination chain, moving the transaction through
+ * pending → sent → received → executed/failed and pushing every change to the
+ * user over websockets. Messages without an ID that time out end as unknown.
+ *
+ * Chains are scanned block by block from a stored cursor, so each pass picks up
+ * where the last one stopped and is safe to run from the job scheduler.
+ */
+class XcmTracker {
+  constructor() {
+    this.apis = new Map();
+    this.apiEndpoints = new Map();
+    this.inFlight = new Set();
+    this.maxBlocksPerPass = parseInt(process.env.XCM_TRACKER_MAX_BLOCKS, 10) || DEFAULT_MAX_BLOCKS_PER_PASS;
+    this.timeoutMs = parseInt(process.env.XCM_TRACKER_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Get (and cache) an API connection for a chain
+   * Endpoints can be overridden with XCM_TRACKER_WS_<CHAIN>
+   * @param {string} chain - Chain ID
+   * @returns {Promise<ApiPromise>} - Connected API
+   * @private
+   */
+  async _getApi(chain) {
+    const override = process.env[`XCM_TRACKER_WS_${chain.toUpperCase()}`];
+    const endpoints = override ? [override] : chainRegistry.getWsEndpoints(chain);
+
+    // Reconnect when the registry has been reloaded with other endpoints
+    if (this.apis.has(chain) && this.apiEndpoints.get(chain) !== endpoints.join(',')) {
+      this.apis.get(chain).then(api => api.disconnect()).catch(() => {});
+      this.apis.delete(chain);
+    }
+
+    if (!this.apis.has(chain)) {
+      const connecting = ApiPromise.create({ provider: new WsProvider(endpoints), noInitWarn: true }).catch(error => {
+        this.apis.delete(chain);
+        throw error;
+      });
+      this.apis.set(chain, connecting);
+      this.apiEndpoints.set(chain, endpoints.join(','));
+    }
+
+    return this.apis.get(chain);
+  }
+
+  /**
+   * Disconnect all chain connections
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    for (const [chain, connecting] of this.apis.entries()) {
+      try {
+        const api = await connecting;
+        await api.disconnect();
+      } catch (error) {
+        logger.error(`Error disconnecting XCM tracker from ${chain}: ${error.message}`);
+      }
+    }
+    this.apis.clear();
+  }
+
+  /**
+   * Start tracking a submitted XCM transaction
+   * @param {Object} transaction - Transaction document
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async track(transaction) {
+    try {
+      if (!transaction.xcmDetails.status) {
+        transaction.xcmDetails.status = 'pending';
+        transaction.xcmDetails.history.push({ status: 'pending', chain: transaction.xcmDetails.sourceChain });
+        await transaction.save();
+      }
+
+      return await this.advance(transaction);
+    } catch (error) {
+      logger.error(`Error tracking XCM transaction ${transaction._id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Advance every XCM transaction that has not reached a final status
+   * @returns {Promise<Object>} - Pass summary
+   */
+  async processPending() {
+    const results = {
+      checked: 0,
+      executed: 0,
+      failed: 0,
+      unknown: 0,
+      errors: 0
+    };
+
+    const transactions = await Transaction.find({
+      xcmRelated: true,
+      'xcmDetails.status': { $in: ['pending', 'sent', 'received'] }
+    }).sort({ createdAt: 1 });
+
+    for (const transaction of transactions) {
+      results.checked++;
+
+      try {
+        const updated = await this.advance(transaction);
+
+        if (updated.xcmDetails.status === 'executed') results.executed++;
+        if (updated.xcmDetails.status === 'failed') results.failed++;
+        if (updated.xcmDetails.status === 'unknown') results.unknown++;
+      } catch (error) {
+        results.errors++;
+        logger.error(`Error advancing XCM transaction ${transaction._id}: ${error.message}`);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Move a transaction as far along its lifecycle as the chains allow
+   * @param {Object} transaction - Transaction document
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async advance(transaction) {
+    const id = transaction._id.toString();
+
+    // A transaction being tracked on submission is left alone by the scheduled pass
+    if (this.inFlight.has(id)) {
+      return transaction;
+    }
+
+    this.inFlight.add(id);
+    try {
+      return await this._advance(transaction);
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+
+  /**
+   * Lifecycle steps of advance()
+   * @private
+   */
+  async _advance(transaction) {
+    const details = transaction.xcmDetails;
+
+    if (details.status === 'pending') {
+      // The origin extrinsic hash is required to find the message
+      if (transaction.txHash) {
+        await this._trackOrigin(transaction);
+      }
+
+      if (details.status === 'pending' && this._timedOut(transaction.createdAt)) {
+        await this._setStatus(transaction, 'failed', {
+          chain: details.sourceChain,
+          error: 'Origin extrinsic was not found before the tracking timeout'
+        });
+      }
+    }
+
+    if (details.status === 'sent' || details.status === 'received') {
+      await this._trackDestination(transaction);
+
+      // Messages without an ID cannot be matched, so they are not failed for lack of a match;
+      // tracking stops with their outcome unknown
+      const matchable = Boolean(details.messageId || details.messageHash);
+      if ((details.status === 'sent' || details.status === 'received') && this._timedOut(details.sentAt)) {
+        await this._setStatus(transaction, matchable ? 'failed' : 'unknown', {
+          chain: details.destinationChain,
+          error: matchable
+            ? 'No execution was observed on the destination chain before the tracking timeout'
+            : 'The message has no ID to match on the destination chain, so its execution could not be confirmed before the tracking timeout'
+        });
+      }
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Whether tracking that started at a time has timed out
+   * @private
+   */
+  _timedOut(since) {
+    return Boolean(since) && Date.now() - new Date(since).getTime() > this.timeoutMs;
+  }
+
+  /**
+   * Find the origin extrinsic and the message it sent
+   * @private
+   */
+  async _trackOrigin(transaction) {
+    const details = transaction.xcmDetails;
+    const chain = details.sourceChain;
+    const api = await this._getApi(chain);
+    const head = (await api.rpc.chain.getHeader()).number.toNumber();
+
+    if (details.origin.fromBlock === undefined || details.origin.fromBlock === null) {
+      details.origin.fromBlock = Math.max(head - ORIGIN_LOOKBACK_BLOCKS, 0);
+    }
+
+    const from = details.origin.lastScannedBlock !== undefined && details.origin.lastScannedBlock !== null
+      ? details.origin.lastScannedBlock + 1
+      : details.origin.fromBlock;
+    const to = Math.min(head, from + this.maxBlocksPerPass - 1);
+
+    for (let number = from; number <= to; number++) {
+      const blockHash = await api.rpc.chain.getBlockHash(number);
+      const { block } = await api.rpc.chain.getBlock(blockHash);
+      const index = block.extrinsics.findIndex(extrinsic => extrinsic.hash.toHex() === transaction.txHash);
+
+      details.origin.lastScannedBlock = number;
+
+      if (index === -1) {
+        continue;
+      }
+
+      const apiAt = await api.at(blockHash);
+      const [events, timestamp] = await Promise.all([apiAt.query.system.events(), apiAt.query.timestamp.now()]);
+      const extrinsicEvents = events
+        .filter(({ phase }) => phase.isApplyExtrinsic && phase.asApplyExtrinsic.toNumber() === index)
+        .map(({ event }) => event);
+
+      details.origin.blockHash = blockHash.toHex();
+      details.origin.blockNumber = number;
+      details.origin.extrinsicIndex = index;
+      details.origin.timestamp = new Date(timestamp.toNumber());
+
+      const outcome = this._readOriginEvents(api, extrinsicEvents);
+
+      if (outcome.error) {
+        await this._setStatus(transaction, 'failed', { chain, blockNumber: number, error: outcome.error });
+      } else {
+        details.messageId = outcome.messageId || details.messageId;
+        details.messageHash = outcome.messageHash || details.messageHash;
+        await this._setStatus(transaction, 'sent', { chain, blockNumber: number });
+      }
+
+      return;
+    }
+
+    await transaction.save();
+  }
+
+  /**
+   * Read the outcome and message identifiers from origin extrinsic events
+   * @private
+   */
+  _readOriginEvents(api, events) {
+    const outcome = { messageId: null, messageHash: null, error: null };
+    let sent = false;
+
+    for (const event of events) {
+      const name = `${event.section}.${event.method}`;
+      const fields = this._eventFields(event);
+
+      if (name === 'system.ExtrinsicFailed') {
+        outcome.error = `Origin extrinsic failed: ${this._describeDispatchError(api, event.data[0])}`;
+        return outcome;
+      }
+
+      if (ATTEMPTED_EVENTS.includes(name)) {
+        const attempt = JSON.stringify(fields.outcome || fields[0] || {});
+        if (!attempt.toLowerCase().includes('complete') || attempt.toLowerCase().includes('incomplete')) {
+          outcome.error = `Local XCM execution did not complete: ${attempt}`;
+          return outcome;
+        }
+      }
+
+      if (SENT_EVENTS.includes(name)) {
+        sent = true;
+
+        if (fields.messageId || (name.endsWith('.Sent') && fields[3])) {
+          outcome.messageId = fields.messageId || fields[3];
+        }
+        if (fields.messageHash || (!name.endsWith('.Sent') && typeof fields[0] === 'string' && fields[0].length === 66)) {
+          outcome.messageHash = fields.messageHash || fields[0];
+        }
+      }
+    }
+
+    if (!sent) {
+      outcome.error = 'Origin extrinsic did not send an XCM message';
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Scan the destination chain for the message being processed
+   * @private
+   */
+  async _trackDestination(transaction) {
+    const details = transaction.xcmDetails;
+    const chain = details.destinationChain;
+    const ids = [details.messageId, details.messageHash].filter(Boolean).map(id => id.toLowerCase());
+
+    if (ids.length === 0) {
+      // Without a message ID the destination events cannot be matched
+      return;
+    }
+
+    const api = await this._getApi(chain);
+    const head = (await api.rpc.chain.getHeader()).number.toNumber();
+
+    if (details.destination.fromBlock === undefined || details.destination.fromBlock === null) {
+      // Start from about when the origin block was produced on the destination
+      const blockTimeMs = chainRegistry.require(chain).blockTimeMs;
+      const elapsed = Date.now() - new Date(details.origin.timestamp || details.sentAt).getTime();
+      const lookback = Math.min(Math.ceil(elapsed / blockTimeMs) + DESTINATION_MARGIN_BLOCKS, MAX_DESTINATION_LOOKBACK_BLOCKS);
+      details.destination.fromBlock = Math.max(head - lookback, 0);
+    }
+
+    const from = details.destination.lastScannedBlock !== undefined && details.destination.lastScannedBlock !== null
+      ? details.destination.lastScannedBlock + 1
+      : details.destination.fromBlock;
+    const to = Math.min(head, from + this.maxBlocksPerPass - 1);
+
+    for (let number = from; number <= to; number++) {
+      const blockHash = await api.rpc.chain.getBlockHash(number);
+      const events = await (await api.at(blockHash)).query.system.events();
+
+      details.destination.lastScannedBlock = number;
+
+      for (const { event } of events) {
+        const match = this._matchDestinationEvent(event, ids);
+        if (!match) continue;
+
+        details.destination.blockHash = blockHash.toHex();
+        details.destination.blockNumber = number;
+        details.destination.event = `${event.section}.${event.method}`;
+
+        if (details.status === 'sent') {
+          await this._setStatus(transaction, 'received', { chain, blockNumber: number });
+        }
+
+        if (match.executed) {
+          await this._setStatus(transaction, 'executed', { chain, blockNumber: number });
+          return;
+        }
+
+        if (match.error) {
+          await this._setStatus(transaction, 'failed', { chain, blockNumber: number, error: match.error });
+          return;
+        }
+      }
+    }
+
+    await transaction.save();
+  }
+
+  /**
+   * Check whether a destination event refers to the message, and what it says
+   * Covers pallet-message-queue as well as the older xcmp/dmp/ump queues
+   * @private
+   */
+  _matchDestinationEvent(event, ids) {
+    const name = `${event.section}.${event.method}`;
+    const handled = [
+      'messageQueue.Processed',
+      'messageQueue.ProcessingFailed',
+      'messageQueue.OverweightEnqueued',
+      'xcmpQueue.Success',
+      'xcmpQueue.Fail',
+      'dmpQueue.ExecutedDownward',
+      'ump.ExecutedUpward'
+    ];
+
+    if (!handled.includes(name)) {
+      return null;
+    }
+
+    const fields = this._eventFields(event);
+    const values = JSON.stringify(event.data.toJSON()).toLowerCase();
+    if (!ids.some(id => values.includes(id))) {
+      return null;
+    }
+
+    switch (name) {
+      case 'messageQueue.Processed': {
+        const success = fields.success !== undefined ? fields.success : fields[3];
+        return success ? { executed: true } : { error: 'Message processing failed on the destination chain' };
+      }
+      case 'messageQueue.ProcessingFailed':
+        return { error: `Message processing failed on the destination chain: ${JSON.stringify(fields.error || fields[2])}` };
+      case 'messageQueue.OverweightEnqueued':
+        // Parked until it is serviced manually; received but not yet executed
+        return { received: true };
+      case 'xcmpQueue.Success':
+        return { executed: true };
+      case 'xcmpQueue.Fail':
+        return { error: `XCM execution failed on the destination chain: ${JSON.stringify(fields.error || fields[1])}` };
+      default: {
+        // dmpQueue.ExecutedDownward / ump.ExecutedUpward carry an XCM outcome
+        const outcome = JSON.stringify(fields.outcome || fields[1] || {});
+        return outcome.toLowerCase().includes('complete') && !outcome.toLowerCase().includes('incomplete')
+          ? { executed: true }
+          : { error: `XCM execution did not complete on the destination chain: ${outcome}` };
+      }
+    }
+  }
+
+  /**
+   * Event fields by position and, where the metadata names them, by name
+   * @private
+   */
+  _eventFields(event) {
+    const values = event.data.toJSON();
+    const fields = { ...values };
+    const names = event.data.names || [];
+
+    names.forEach((name, index) => {
+      if (name) fields[name] = values[index];
+    });
+
+    return fields;
+  }
+
+  /**
+   * Human readable dispatch error
+   * @private
+   */
+  _describeDispatchError(api, dispatchError) {
+    if (dispatchError.isModule) {
+      const decoded = api.registry.findMetaError(dispatchError.asModule);
+      return `${decoded.section}.${decoded.name}`;
+    }
+    return dispatchError.toString();
+  }
+
+  /**
+   * Record a lifecycle change and push it to the user
+   * @private
+   */
+  async _setStatus(transaction, status, { chain, blockNumber, error } = {}) {
+    const details = transaction.xcmDetails;
+    const now = new Date();
+
+    details.status = status;
+    details.history.push({ status, chain, blockNumber, timestamp: now });
+
+    switch (status) {
+      case 'sent':
+        details.sentAt = now;
+        transaction.blockHeight = blockNumber;
+        transaction.blockTimestamp = details.origin.timestamp;
+        break;
+      case 'received':
+        details.receivedAt = now;
+        break;
+      case 'executed':
+        details.executedAt = now;
+        break;
+      case 'failed':
+        details.failedAt = now;
+        details.error = error;
+        transaction.error = { code: 'XCM_FAILED', message: error };
+        break;
+      case 'unknown':
+        details.error = error;
+        break;
+      default:
+        break;
+    }
+
+    transaction.status = transactionStatuses[status];
+    transaction.isPending = status !== 'executed' && status !== 'failed';
+
+    await transaction.save();
+    logger.info(`XCM transaction ${transaction._id} ${status}${chain ? ` on ${chain}` : ''}${blockNumber !== undefined ? ` at block ${blockNumber}` : ''}`);
+
+    websocketService.sendTransactionUpdate(transaction);
+    return transaction;
+  }
+}
+
+// Create and export a singleton instance
+const xcmTracker = new XcmTracker();
+module.exports = xcmTracker;
@@ -3,9 +3,11 @@ const logger = require('../config/logger');
 const Protocol = require('../models/Protocol');
 const YieldOpportunity = require('../models/YieldOpportunity');
 const Investment = require('../models/Investment');
+const Transaction = require('../models/Transaction');
 const ProtocolAdapterManager = require('./ProtocolAdapterManager');
 const apyCalculationService = require('../utils/apyCalculationService');
 const notificationService = require('../utils/notificationService');
+const feeService = require('./FeeService');
 
 /**
  * Yield Data Service
@@ -107,6 +109,21 @@ class YieldDataService {
     }
   }
 
+  /**
+   * Search yield opportunities
+   * @param {Object} filters - chain, asset, risk, strategyType, minApy, minTvl
+   * @param {Object} options - sort, limit, cursor
+   * @returns {Promise<Object>} - Page of yield opportunities and the cursor for the next page
+   */
+  async searchYieldOpportunities(filters = {}, options = {}) {
+    try {
+      return await YieldOpportunity.search(filters, options);
+    } catch (error) {
+      logger.error(`Error searching yield opportunities: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get yield opportunities by chain
    * @param {string} chainId - Chain ID
@@ -166,19 +183,13 @@ class YieldDataService {
   /**
    * Get yield opportunity by ID
    * @param {string} id - Yield opportunity ID
-   * @returns {Promise<Object>} - Yield opportunity
+   * @returns {Promise<Object|null>} - Yield opportunity, null when there is none with the ID
    */
   async getYieldOpportunityById(id) {
     try {
-      const opportunity = await YieldOpportunity.findById(id)
+      return await YieldOpportunity.findById(id)
         .populate('protocol', 'name logo website riskLevel category')
         .lean();
-      
-      if (!opportunity) {
-        throw new Error(`Yield opportunity not found with ID: ${id}`);
-      }
-      
-      return opportunity;
     } catch (error) {
       logger.error(`Error getting yield opportunity by ID: ${error.message}`);
       throw error;
@@ -276,6 +287,7 @@ class YieldDataService {
       
       const results = {
         updated: 0,
+        impermanentLossUpdated: 0,
         errors: 0,
         protocols: []
       };
@@ -284,6 +296,7 @@ class YieldDataService {
         try {
           const protocolResult = await this.updateProtocolApy(protocol._id);
           results.updated += protocolResult.updated;
+          results.impermanentLossUpdated += protocolResult.impermanentLossUpdated;
           results.errors += protocolResult.errors;
           results.protocols.push({
             protocol: protocol.name,
@@ -334,6 +347,7 @@ class YieldDataService {
       
       const results = {
         updated: 0,
+        impermanentLossUpdated: 0,
         errors: 0,
         opportunities: []
       };
@@ -346,6 +360,11 @@ class YieldDataService {
           // Update opportunity APY
           const updated = await YieldOpportunity.updateApy(opportunity._id, apyData);
           
+          // LP positions move with the pool price, so their unrealized impermanent loss is refreshed too
+          if (opportunity.strategyType === 'liquidity_providing' && adapter.getImpermanentLoss) {
+            results.impermanentLossUpdated += await this.updateUnrealizedImpermanentLoss(adapter, opportunity);
+          }
+          
           results.updated++;
           results.opportunities.push({
             id: updated._id,
@@ -398,6 +417,34 @@ class YieldDataService {
     }
   }
 
+  /**
+   * Update the unrealized impermanent loss of the open positions in an LP opportunity
+   * @param {Object} adapter - Protocol adapter of the opportunity
+   * @param {Object} opportunity - Yield opportunity
+   * @returns {Promise<number>} - Number of investments updated
+   */
+  async updateUnrealizedImpermanentLoss(adapter, opportunity) {
+    const investments = await Investment.find({
+      opportunity: opportunity._id,
+      status: { $in: ['active', 'partially_withdrawn'] }
+    });
+    
+    let updated = 0;
+    for (const investment of investments) {
+      try {
+        // The adapter reads the pool from the populated opportunity
+        investment.opportunity = opportunity;
+        const impermanentLoss = await adapter.getImpermanentLoss(investment, { amount: 'max' });
+        await investment.updateUnrealizedImpermanentLoss(impermanentLoss);
+        updated++;
+      } catch (error) {
+        logger.error(`Error updating impermanent loss of investment ${investment._id}: ${error.message}`);
+      }
+    }
+    
+    return updated;
+  }
+
   /**
    * Update TVL for all yield opportunities
    * @returns {Promise<Object>} - Update results
@@ -584,14 +631,43 @@ class YieldDataService {
           
           if (harvestResult.status === 'success') {
             // Record harvest in investment
+            const reward = claimableRewards[0]; // Using first reward for simplicity
             const harvestData = {
-              amount: claimableRewards[0].amount, // Using first reward for simplicity
-              amountUsd: claimableRewards[0].amountUsd || 0,
+              amount: reward.amount, // Raw units of the reward token
+              asset: reward.symbol,
+              decimals: reward.decimals,
+              amountUsd: reward.amountUsd || 0,
               timestamp: Date.now(),
               transactionHash: harvestResult.transactionHash
             };
             
-            await investment.recordHarvest(harvestData);
+            // Eligible investments are plain objects; record on the document
+            const record = await Investment.findById(investment._id);
+            
+            // The harvest transaction is what its fee is charged on and what reaches the tax ledger
+            const transaction = await Transaction.create({
+              userId: record.user,
+              investmentId: record._id,
+              opportunityId: record.opportunity,
+              protocolId: record.protocol,
+              strategyId: record.strategyId,
+              walletAddress: record.walletAddress,
+              type: 'harvest',
+              amount: reward.amount,
+              decimals: reward.decimals === undefined || reward.decimals === null ? record.assetDecimals : reward.decimals,
+              amountUsd: harvestData.amountUsd,
+              asset: reward.symbol || record.asset,
+              chainId: record.chainId,
+              txHash: harvestResult.transactionHash,
+              status: 'completed',
+              isPending: false,
+              isAutomatic: true,
+              initiatedBy: 'system'
+            });
+            harvestData.transactionId = transaction._id;
+            
+            await record.recordHarvest(harvestData);
+            await feeService.chargeHarvest(record, harvestData);
             
             // Create notification for the user
             await notificationService.createNotification({
@@ -0,0 +1,68 @@
+const { ethers } = require('ethers');
+const PriceSource = require('./PriceSource');
+const chainRegistry = require('../ChainRegistry');
+const logger = require('../../config/logger');
+
+const aggregatorABI = [
+  'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'function decimals() external view returns (uint8)'
+];
+
+/**
+ * Chainlink Price Source
+ * Reads Chainlink-style USD aggregators (latestRoundData) listed under an
+ * asset's "chainlink" feeds. A feed's maxAgeSeconds should cover its heartbeat.
+ */
+class ChainlinkPriceSource extends PriceSource {
+  constructor(config = {}) {
+    super({ maxAgeMs: 25 * 60 * 60 * 1000, ...config });
+    this.name = 'chainlink';
+    this.decimals = new Map();
+  }
+
+  supports(asset) {
+    return this._feed(asset) !== null;
+  }
+
+  async getQuotes(assets) {
+    const quotes = new Map();
+
+    await Promise.all(assets.filter(asset => this.supports(asset)).map(async (asset) => {
+      const feed = this._feed(asset);
+      try {
+        const provider = chainRegistry.getEvmProvider(feed.chainId);
+        const aggregator = new ethers.Contract(feed.address, aggregatorABI, provider);
+
+        if (!this.decimals.has(feed.address)) {
+          this.decimals.set(feed.address, await aggregator.decimals());
+        }
+
+        const [, answer, , updatedAt] = await aggregator.latestRoundData();
+        if (answer.lte(0)) {
+          throw new Error('Non-positive answer');
+        }
+
+        quotes.set(asset.symbol, {
+          price: parseFloat(ethers.utils.formatUnits(answer, this.decimals.get(feed.address))),
+          updatedAt: new Date(updatedAt.toNumber() * 1000),
+          maxAgeMs: feed.maxAgeSeconds ? feed.maxAgeSeconds * 1000 : undefined
+        });
+      } catch (error) {
+        logger.warn(`Chainlink price for ${asset.symbol} unavailable: ${error.message}`);
+      }
+    }));
+
+    return quotes;
+  }
+
+  /**
+   * The asset's feed on the chain asked about, else its first feed
+   * @private
+   */
+  _feed(asset) {
+    const feeds = (asset.feeds.chainlink || []).filter(feed => chainRegistry.has(feed.chainId));
+    return feeds.find(feed => feed.chainId === asset.chainId) || feeds[0] || null;
+  }
+}
+
+module.exports = ChainlinkPriceSource;
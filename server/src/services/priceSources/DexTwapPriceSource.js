@@ -0,0 +1,95 @@
+const { ethers } = require('ethers');
+const PriceSource = require('./PriceSource');
+const chainRegistry = require('../ChainRegistry');
+const logger = require('../../config/logger');
+
+const poolABI = [
+  'function observe(uint32[] secondsAgos) external view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)'
+];
+
+const erc20ABI = [
+  'function decimals() view returns (uint8)'
+];
+
+const DEFAULT_WINDOW_SECONDS = 30 * 60;
+
+/**
+ * DEX TWAP Price Source
+ * Time-weighted average prices from the tick accumulators of Uniswap V3
+ * style pools listed under an asset's "twap" feeds. The feed names which
+ * side of the pool the asset is ("assetIs": "token0" or "token1"); the other
+ * side must be a USD stablecoin.
+ */
+class DexTwapPriceSource extends PriceSource {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'twap';
+    this.pools = new Map();
+  }
+
+  supports(asset) {
+    return this._feed(asset) !== null;
+  }
+
+  async getQuotes(assets) {
+    const quotes = new Map();
+
+    await Promise.all(assets.filter(asset => this.supports(asset)).map(async (asset) => {
+      const feed = this._feed(asset);
+      const window = feed.windowSeconds || DEFAULT_WINDOW_SECONDS;
+      try {
+        const provider = chainRegistry.getEvmProvider(feed.chainId);
+        const pool = new ethers.Contract(feed.pool, poolABI, provider);
+        const { decimals0, decimals1 } = await this._poolDecimals(feed, pool, provider);
+
+        const [tickCumulatives] = await pool.observe([window, 0]);
+        const averageTick = tickCumulatives[1].sub(tickCumulatives[0]).toNumber() / window;
+
+        // token1 per token0 in whole tokens
+        const price0 = Math.pow(1.0001, averageTick) * Math.pow(10, decimals0 - decimals1);
+        const price = feed.assetIs === 'token1' ? 1 / price0 : price0;
+
+        if (!Number.isFinite(price) || price <= 0) {
+          throw new Error('Invalid average price');
+        }
+
+        // The average runs up to the latest block
+        quotes.set(asset.symbol, { price, updatedAt: new Date() });
+      } catch (error) {
+        logger.warn(`TWAP price for ${asset.symbol} unavailable: ${error.message}`);
+      }
+    }));
+
+    return quotes;
+  }
+
+  /**
+   * Token decimals of a pool, read once
+   * @private
+   */
+  async _poolDecimals(feed, pool, provider) {
+    const key = `${feed.chainId}:${feed.pool}`;
+    if (!this.pools.has(key)) {
+      const [token0, token1] = await Promise.all([pool.token0(), pool.token1()]);
+      const [decimals0, decimals1] = await Promise.all([
+        new ethers.Contract(token0, erc20ABI, provider).decimals(),
+        new ethers.Contract(token1, erc20ABI, provider).decimals()
+      ]);
+      this.pools.set(key, { decimals0, decimals1 });
+    }
+    return this.pools.get(key);
+  }
+
+  /**
+   * The asset's pool on the chain asked about, else its first pool
+   * @private
+   */
+  _feed(asset) {
+    const feeds = (asset.feeds.twap || []).filter(feed => chainRegistry.has(feed.chainId));
+    return feeds.find(feed => feed.chainId === asset.chainId) || feeds[0] || null;
+  }
+}
+
+module.exports = DexTwapPriceSource;
@@ -0,0 +1,52 @@
+const PriceSource = require('./PriceSource');
+
+/**
+ * Fixture Price Source
+ * Quotes from a fixture instead of the network, standing in for one of the
+ * live sources. Each entry is a price, or { price, updatedAt } / { price, ageSeconds }
+ * to exercise the staleness checks:
+ * { "ETH": 3500, "DOT": { "price": 6.2, "ageSeconds": 7200 } }
+ */
+class FixturePriceSource extends PriceSource {
+  /**
+   * Constructor
+   * @param {string} name - Name of the source it stands in for
+   * @param {Object} quotes - Symbol -> price or quote
+   * @param {Object} config - Configuration for the source
+   */
+  constructor(name, quotes = {}, config = {}) {
+    super(config);
+    this.name = name;
+    this.quotes = quotes;
+  }
+
+  supports(asset) {
+    return this.quotes[asset.symbol] !== undefined;
+  }
+
+  async getQuotes(assets) {
+    const quotes = new Map();
+
+    assets.filter(asset => this.supports(asset)).forEach((asset) => {
+      const entry = this.quotes[asset.symbol];
+      const fixture = typeof entry === 'number' ? { price: entry } : entry;
+
+      let updatedAt = new Date();
+      if (fixture.updatedAt) {
+        updatedAt = new Date(fixture.updatedAt);
+      } else if (fixture.ageSeconds) {
+        updatedAt = new Date(Date.now() - fixture.ageSeconds * 1000);
+      }
+
+      quotes.set(asset.symbol, {
+        price: fixture.price,
+        updatedAt,
+        maxAgeMs: fixture.maxAgeSeconds ? fixture.maxAgeSeconds * 1000 : undefined
+      });
+    });
+
+    return quotes;
+  }
+}
+
+module.exports = FixturePriceSource;
@@ -0,0 +1,121 @@
+const axios = require('axios');
+const PriceSource = require('./PriceSource');
+const logger = require('../../config/logger');
+
+// DeFi Llama names of EVM chains, for assets known only by contract address
+const LLAMA_CHAINS = {
+  '1': 'ethereum',
+  '10': 'optimism',
+  '56': 'bsc',
+  '137': 'polygon',
+  '42161': 'arbitrum',
+  '43114': 'avax'
+};
+
+/**
+ * HTTP Price Source
+ * Quotes from a price API. An API is described by three functions, so other
+ * providers can be plugged in next to the built-in ones:
+ * - supports(asset): whether the API can price the asset
+ * - request(assets): { url, params, headers } of one request pricing them all
+ * - parse(data, asset): the quote for an asset from the response, or null
+ */
+class HttpPriceSource extends PriceSource {
+  /**
+   * Constructor
+   * @param {Object} config - { name, supports, request, parse, timeoutMs, maxAgeMs }
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = config.name || 'http';
+  }
+
+  supports(asset) {
+    return Boolean(this.config.supports(asset));
+  }
+
+  async getQuotes(assets) {
+    const quotes = new Map();
+    const supported = assets.filter(asset => this.supports(asset));
+    if (supported.length === 0) {
+      return quotes;
+    }
+
+    try {
+      const { url, params, headers } = this.config.request(supported);
+      const response = await axios.get(url, { params, headers, timeout: this.config.timeoutMs || 10000 });
+
+      supported.forEach((asset) => {
+        const quote = this.config.parse(response.data, asset);
+        if (quote && quote.price > 0) {
+          quotes.set(asset.symbol, quote);
+        }
+      });
+    } catch (error) {
+      logger.warn(`${this.name} prices unavailable: ${error.message}`);
+    }
+
+    return quotes;
+  }
+
+  /**
+   * CoinGecko simple prices, by the asset's coingeckoId
+   * @param {Object} config - Overrides
+   * @returns {HttpPriceSource} - Source
+   */
+  static coingecko(config = {}) {
+    const apiKey = process.env.COINGECKO_PRO_API_KEY;
+    const baseUrl = apiKey ? 'https://pro-api.coingecko.com/api/v3' : 'https://api.coingecko.com/api/v3';
+
+    return new HttpPriceSource({
+      name: 'coingecko',
+      supports: asset => asset.feeds.coingeckoId,
+      request: assets => ({
+        url: `${baseUrl}/simple/price`,
+        params: {
+          ids: Array.from(new Set(assets.map(asset => asset.feeds.coingeckoId))).join(','),
+          vs_currencies: 'usd',
+          include_last_updated_at: true
+        },
+        headers: apiKey ? { 'x-cg-pro-api-key': apiKey } : {}
+      }),
+      parse: (data, asset) => {
+        const entry = data[asset.feeds.coingeckoId];
+        return entry && entry.usd
+          ? { price: entry.usd, updatedAt: entry.last_updated_at ? new Date(entry.last_updated_at * 1000) : new Date() }
+          : null;
+      },
+      ...config
+    });
+  }
+
+  /**
+   * DeFi Llama current prices, by coingeckoId or by contract address
+   * @param {Object} config - Overrides
+   * @returns {HttpPriceSource} - Source
+   */
+  static defillama(config = {}) {
+    const key = (asset) => {
+      if (asset.feeds.coingeckoId) return `coingecko:${asset.feeds.coingeckoId}`;
+      if (asset.address && LLAMA_CHAINS[asset.chainId]) return `${LLAMA_CHAINS[asset.chainId]}:${asset.address.toLowerCase()}`;
+      return null;
+    };
+
+    return new HttpPriceSource({
+      name: 'defillama',
+      supports: asset => key(asset) !== null,
+      request: assets => ({
+        url: `https://coins.llama.fi/prices/current/${Array.from(new Set(assets.map(key))).join(',')}`
+      }),
+      parse: (data, asset) => {
+        const entry = data.coins && data.coins[key(asset)];
+        return entry && entry.price
+          ? { price: entry.price, updatedAt: entry.timestamp ? new Date(entry.timestamp * 1000) : new Date() }
+          : null;
+      },
+      ...config
+    });
+  }
+}
+
+module.exports = HttpPriceSource;
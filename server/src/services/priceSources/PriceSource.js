@@ -0,0 +1,51 @@
+/**
+ * Price Source Interface
+ *
+ * A price source quotes USD prices for assets. Sources must extend this class
+ * and implement its methods.
+ *
+ * An asset has the shape:
+ * {
+ *   symbol,                // canonical symbol, e.g. ETH
+ *   feeds,                 // the asset's entry in config/priceFeeds.json, or {}
+ *   chainId, address       // contract the caller asked about, when known
+ * }
+ *
+ * A quote has the shape:
+ * {
+ *   price,                 // USD per whole token
+ *   updatedAt,             // when the source last updated the price
+ *   maxAgeMs               // older than this, the quote is stale (defaults to the source's)
+ * }
+ */
+class PriceSource {
+  /**
+   * Constructor
+   * @param {Object} config - Configuration for the source
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'BaseSource';
+    this.maxAgeMs = config.maxAgeMs || 15 * 60 * 1000;
+  }
+
+  /**
+   * Whether the source can quote an asset
+   * @param {Object} asset - Asset
+   * @returns {boolean} - True if the source has a feed for the asset
+   */
+  supports(asset) {
+    throw new Error('Method supports must be implemented by child class');
+  }
+
+  /**
+   * Quote the assets the source supports
+   * @param {Array} assets - Assets
+   * @returns {Promise<Map>} - Symbol -> quote; assets that could not be quoted are left out
+   */
+  async getQuotes(assets) {
+    throw new Error('Method getQuotes must be implemented by child class');
+  }
+}
+
+module.exports = PriceSource;
@@ -1,7 +1,9 @@
 const axios = require('axios');
 const { ethers } = require('ethers');
 const ProtocolAdapter = require('./ProtocolAdapter');
+const chainRegistry = require('../ChainRegistry');
 const logger = require('../../config/logger');
+const priceOracleService = require('../PriceOracleService');
 const apyCalculationService = require('../../utils/apyCalculationService');
 
 // Aave contract ABIs (simplified versions)
@@ -17,14 +19,6 @@ const aTokenABI = [
   "function UNDERLYING_ASSET_ADDRESS() external view returns (address)"
 ];
 
-const chainProviders = {
-  '1': 'https://eth-mainnet.alchemyapi.io/v2/YOUR_ALCHEMY_KEY', // Ethereum
-  '137': 'https://polygon-mainnet.g.alchemy.com/v2/YOUR_ALCHEMY_KEY', // Polygon
-  '43114': 'https://api.avax.network/ext/bc/C/rpc', // Avalanche
-  '10': 'https://opt-mainnet.g.alchemy.com/v2/YOUR_ALCHEMY_KEY', // Optimism
-  '42161': 'https://arb-mainnet.g.alchemy.com/v2/YOUR_ALCHEMY_KEY' // Arbitrum
-};
-
 // Aave lending pool addresses for different chains
 const lendingPoolAddresses = {
   '1': '0x7d2768dE32b0b80b7a3454c06BdAc94A69DDc7A9', // Ethereum Mainnet v2
@@ -59,7 +53,7 @@ class AaveAdapter extends ProtocolAdapter {
   /**
    * Gets a provider for the specified chain
    * @param {string} chainId - Chain ID
-   * @returns {ethers.providers.JsonRpcProvider} - Provider for the chain
+   * @returns {ethers.providers.Provider} - Provider for the chain
    * @private
    */
   _getProvider(chainId) {
@@ -67,8 +61,7 @@ class AaveAdapter extends ProtocolAdapter {
       throw new Error(`Chain ${chainId} not supported by Aave adapter`);
     }
 
-    const providerUrl = chainProviders[chainId];
-    return new ethers.providers.JsonRpcProvider(providerUrl);
+    return chainRegistry.getEvmProvider(chainId);
   }
 
   /**
@@ -126,6 +119,13 @@ class AaveAdapter extends ProtocolAdapter {
       const reserveData = await this._fetchReserveData(chainId);
       const lendingPool = this._getLendingPoolContract(chainId);
       
+      // Price every reserve in one pass of the oracle
+      await priceOracleService.getPrices(reserveData.map(reserve => ({
+        symbol: reserve.symbol,
+        chainId,
+        address: reserve.underlyingAsset
+      })));
+      
       const opportunities = [];
       
       for (const reserve of reserveData) {
@@ -152,7 +152,7 @@ class AaveAdapter extends ProtocolAdapter {
             max7d: 0,
             mean7d: 0
           },
-          tvlUsd: parseFloat(reserve.totalLiquidity) * parseFloat(reserve.priceInUsd),
+          tvlUsd: parseFloat(reserve.totalLiquidity) * await this._getAssetPrice(chainId, reserve),
           riskLevel: 'low', // Aave is generally considered low risk
           strategyType: 'lending',
           implementationDetails: {
@@ -251,7 +251,7 @@ class AaveAdapter extends ProtocolAdapter {
       }
       
       // Calculate TVL from totalLiquidity and price
-      return parseFloat(reserveInfo.totalLiquidity) * parseFloat(reserveInfo.priceInUsd);
+      return parseFloat(reserveInfo.totalLiquidity) * await this._getAssetPrice(chainId, reserveInfo);
     } catch (error) {
       logger.error(`Error getting Aave TVL: ${error.message}`);
       throw error;
@@ -373,6 +373,54 @@ class AaveAdapter extends ProtocolAdapter {
     }
   }
 
+  /**
+   * Builds the unsigned calls for an Aave deposit or withdrawal
+   * @param {string} action - deposit or withdraw
+   * @param {Object} opportunity - Yield opportunity object
+   * @param {Object} params - Amount in base units and user address
+   * @returns {Promise<Array>} - Ordered calls
+   */
+  async buildTransactions(action, opportunity, params) {
+    const { asset, implementationDetails } = opportunity;
+    const { amount, userAddress } = params;
+    const lendingPool = new ethers.utils.Interface(lendingPoolABI);
+    const token = new ethers.utils.Interface([
+      "function approve(address spender, uint256 amount) public returns (bool)"
+    ]);
+
+    switch (action) {
+      case 'deposit':
+        return [
+          {
+            to: asset,
+            data: token.encodeFunctionData('approve', [implementationDetails.contractAddress, amount]),
+            value: '0',
+            kind: 'approve',
+            description: `Approve Aave lending pool for ${opportunity.assetSymbol}`
+          },
+          {
+            to: implementationDetails.contractAddress,
+            data: lendingPool.encodeFunctionData('deposit', [asset, amount, userAddress, 0]),
+            value: '0',
+            kind: 'deposit',
+            description: `Deposit ${opportunity.assetSymbol} into Aave`
+          }
+        ];
+      case 'withdraw':
+        return [
+          {
+            to: implementationDetails.contractAddress,
+            data: lendingPool.encodeFunctionData('withdraw', [asset, amount, userAddress]),
+            value: '0',
+            kind: 'withdraw',
+            description: `Withdraw ${opportunity.assetSymbol} from Aave`
+          }
+        ];
+      default:
+        throw new Error(`Action ${action} not supported by Aave adapter`);
+    }
+  }
+
   /**
    * Gets current balance of an Aave investment
    * @param {Object} investment - Investment object
@@ -389,7 +437,7 @@ class AaveAdapter extends ProtocolAdapter {
       // Get balance in aTokens
       const balance = await aTokenContract.balanceOf(walletAddress);
       
-      // Fetch price data to convert to USD
+      // Fetch reserve data to find the asset
       const reserveData = await this._fetchReserveData(chainId);
       const reserveInfo = reserveData.find(r => 
         r.aTokenAddress.toLowerCase() === implementationDetails.aTokenAddress.toLowerCase()
@@ -401,7 +449,7 @@ class AaveAdapter extends ProtocolAdapter {
       
       // Calculate USD value
       const balanceDecimal = ethers.utils.formatUnits(balance, opportunity.assetDecimals);
-      const balanceUsd = parseFloat(balanceDecimal) * parseFloat(reserveInfo.priceInUsd);
+      const balanceUsd = parseFloat(balanceDecimal) * await this._getAssetPrice(chainId, reserveInfo);
       
       return {
         amount: balance.toString(),
@@ -553,6 +601,16 @@ class AaveAdapter extends ProtocolAdapter {
       throw error;
     }
   }
+
+  /**
+   * Gets the USD price of a reserve's asset from the price oracle
+   * Falls back to the reserve's own price when the oracle has none
+   * @private
+   */
+  async _getAssetPrice(chainId, reserve) {
+    const price = await priceOracleService.getPriceUsd(reserve.symbol, { chainId, address: reserve.underlyingAsset });
+    return price !== null ? price : parseFloat(reserve.priceInUsd);
+  }
 }
 
 module.exports = AaveAdapter;
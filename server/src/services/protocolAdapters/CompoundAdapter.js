@@ -1,6 +1,8 @@
 const axios = require('axios');
 const { ethers } = require('ethers');
 const ProtocolAdapter = require('./ProtocolAdapter');
+const chainRegistry = require('../ChainRegistry');
+const priceOracleService = require('../PriceOracleService');
 const logger = require('../../config/logger');
 const apyCalculationService = require('../../utils/apyCalculationService');
 
@@ -34,55 +36,6 @@ const erc20ABI = [
   "function decimals() view returns (uint8)"
 ];
 
-// Chain providers configuration
-const chainProviders = {
-  '1': process.env.ETH_MAINNET_RPC || 'https://eth-mainnet.g.alchemy.com/v2/YOUR_ALCHEMY_KEY', // Ethereum
-  '137': process.env.POLYGON_MAINNET_RPC || 'https://polygon-mainnet.g.alchemy.com/v2/YOUR_ALCHEMY_KEY', // Polygon
-  '42161': process.env.ARBITRUM_MAINNET_RPC || 'https://arb-mainnet.g.alchemy.com/v2/YOUR_ALCHEMY_KEY' // Arbitrum
-};
-
-// Average blocks per day for each chain
-const blocksPerDay = {
-  '1': 7200, // Ethereum (~12 sec block time)
-  '137': 43200, // Polygon (~2 sec block time)
-  '42161': 675800 // Arbitrum (~0.13 sec block time)
-};
-
-// Price oracle APIs
-const priceOracles = {
-  coingecko: {
-    baseUrl: 'https://api.coingecko.com/api/v3',
-    pricePath: '/simple/token_price/ethereum',
-    proPlan: process.env.COINGECKO_PRO_API_KEY ? true : false,
-    proUrl: 'https://pro-api.coingecko.com/api/v3',
-    apiKey: process.env.COINGECKO_PRO_API_KEY || ''
-  },
-  chainlink: {
-    // Chainlink Price Feed addresses for major assets
-    ethUsd: '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
-    daiUsd: '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9',
-    usdcUsd: '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6',
-    wbtcUsd: '0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c',
-    compUsd: '0xdbd020CAeF83eFd542f4De03e3cF0C28A4428bd5',
-    abi: [
-      'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
-      'function decimals() external view returns (uint8)'
-    ]
-  },
-  // Fallback price sources
-  defillama: {
-    baseUrl: 'https://coins.llama.fi',
-    pricePath: '/prices/current'
-  }
-};
-
-// Price cache to reduce API calls
-const priceCache = {
-  data: new Map(),
-  expiry: new Map(),
-  cacheDuration: 10 * 60 * 1000 // 10 minutes in milliseconds
-};
-
 // Compound addresses for different chains
 const compoundAddresses = {
   '1': {
@@ -114,20 +67,12 @@ class CompoundAdapter extends ProtocolAdapter {
     this.supportedChains = ['1']; // Primarily Ethereum
     this.compoundVersion = config.version || 'v2';
     this.cTokens = {}; // Cache for cToken addresses
-    
-    // Configure price oracle
-    this.priceOracle = {
-      primary: config.priceOracle?.primary || 'coingecko',
-      secondary: config.priceOracle?.secondary || 'chainlink',
-      fallback: config.priceOracle?.fallback || 'defillama',
-      cacheDuration: config.priceOracle?.cacheDuration || priceCache.cacheDuration
-    };
   }
 
   /**
    * Gets a provider for the specified chain
    * @param {string} chainId - Chain ID
-   * @returns {ethers.providers.JsonRpcProvider} - Provider for the chain
+   * @returns {ethers.providers.Provider} - Provider for the chain
    * @private
    */
   _getProvider(chainId) {
@@ -135,8 +80,7 @@ class CompoundAdapter extends ProtocolAdapter {
       throw new Error(`Chain ${chainId} not supported by Compound adapter`);
     }
 
-    const providerUrl = chainProviders[chainId];
-    return new ethers.providers.JsonRpcProvider(providerUrl);
+    return chainRegistry.getEvmProvider(chainId);
   }
 
   /**
@@ -209,7 +153,7 @@ class CompoundAdapter extends ProtocolAdapter {
   _calculateApyFromSupplyRate(supplyRatePerBlock, chainId) {
     try {
       const supplyRatePerBlockBN = ethers.BigNumber.from(supplyRatePerBlock);
-      const blocksPerYear = blocksPerDay[chainId] * 365;
+      const blocksPerYear = chainRegistry.getBlocksPerDay(chainId) * 365;
       
       // Convert to ethers.js fraction with 18 decimals
       const supplyRatePerBlockDecimal = parseFloat(
@@ -285,7 +229,7 @@ class CompoundAdapter extends ProtocolAdapter {
                 );
                 
                 // Calculate annual COMP distribution for this market
-                const blocksPerYear = blocksPerDay[chainId] * 365;
+                const blocksPerYear = chainRegistry.getBlocksPerDay(chainId) * 365;
                 const compRatePerYear = compSpeed.mul(ethers.BigNumber.from(blocksPerYear));
                 const compDistributionValue = parseFloat(ethers.utils.formatUnits(compRatePerYear, 18)) * compPrice;
                 
@@ -616,6 +560,62 @@ class CompoundAdapter extends ProtocolAdapter {
     }
   }
 
+  /**
+   * Builds the unsigned calls for a Compound deposit or withdrawal
+   * @param {string} action - deposit or withdraw
+   * @param {Object} opportunity - Yield opportunity object
+   * @param {Object} params - Amount in base units (of the underlying) and user address
+   * @returns {Promise<Array>} - Ordered calls
+   */
+  async buildTransactions(action, opportunity, params) {
+    const { asset, implementationDetails } = opportunity;
+    const { amount } = params;
+    const cToken = new ethers.utils.Interface(cTokenABI);
+    const token = new ethers.utils.Interface(erc20ABI);
+    const isEth = asset === ethers.constants.AddressZero;
+
+    switch (action) {
+      case 'deposit':
+        if (isEth) {
+          // cETH mints from msg.value
+          return [{
+            to: implementationDetails.contractAddress,
+            data: new ethers.utils.Interface(['function mint() payable']).encodeFunctionData('mint', []),
+            value: amount.toString(),
+            kind: 'deposit',
+            description: 'Supply ETH to Compound'
+          }];
+        }
+
+        return [
+          {
+            to: asset,
+            data: token.encodeFunctionData('approve', [implementationDetails.contractAddress, amount]),
+            value: '0',
+            kind: 'approve',
+            description: `Approve Compound cToken for ${opportunity.assetSymbol}`
+          },
+          {
+            to: implementationDetails.contractAddress,
+            data: cToken.encodeFunctionData('mint', [amount]),
+            value: '0',
+            kind: 'deposit',
+            description: `Supply ${opportunity.assetSymbol} to Compound`
+          }
+        ];
+      case 'withdraw':
+        return [{
+          to: implementationDetails.contractAddress,
+          data: cToken.encodeFunctionData('redeemUnderlying', [amount]),
+          value: '0',
+          kind: 'withdraw',
+          description: `Redeem ${opportunity.assetSymbol} from Compound`
+        }];
+      default:
+        throw new Error(`Action ${action} not supported by Compound adapter`);
+    }
+  }
+
   /**
    * Gets current balance of a Compound investment
    * @param {Object} investment - Investment object
@@ -910,7 +910,7 @@ class CompoundAdapter extends ProtocolAdapter {
       );
       
       // Calculate annual COMP distribution
-      const blocksPerYear = blocksPerDay[chainId] * 365;
+      const blocksPerYear = chainRegistry.getBlocksPerDay(chainId) * 365;
       const compPerYear = compSpeed.mul(ethers.BigNumber.from(blocksPerYear));
       const compPerYearFormatted = parseFloat(ethers.utils.formatUnits(compPerYear, 18));
       const compValuePerYear = compPerYearFormatted * compPrice;
@@ -937,145 +937,21 @@ class CompoundAdapter extends ProtocolAdapter {
   }
 
   /**
-   * Gets price for an asset from configured oracles
+   * Gets price for an asset from the price oracle
    * @param {string} assetAddress - Asset contract address
    * @param {string} assetSymbol - Asset symbol
    * @param {string} chainId - Chain ID
-   * @returns {Promise<number>} - Asset price in USD
+   * @returns {Promise<number>} - Asset price in USD, 0 when unavailable
    * @private
    */
   async _getAssetPrice(assetAddress, assetSymbol, chainId) {
     try {
-      // Check cache first
-      const cacheKey = `${chainId}:${assetAddress}`;
-      if (priceCache.data.has(cacheKey) && 
-          priceCache.expiry.has(cacheKey) && 
-          priceCache.expiry.get(cacheKey) > Date.now()) {
-        return priceCache.data.get(cacheKey);
-      }
-
-      // Normalize asset symbol
-      const symbol = assetSymbol?.toLowerCase();
-      
-      // Attempt to get price from primary oracle (CoinGecko)
-      if (this.priceOracle.primary === 'coingecko') {
-        try {
-          const baseUrl = priceOracles.coingecko.proPlan ? 
-            priceOracles.coingecko.proUrl : 
-            priceOracles.coingecko.baseUrl;
-          
-          // Prepare query parameters
-          const params = new URLSearchParams({
-            contract_addresses: assetAddress,
-            vs_currencies: 'usd'
-          });
-          
-          // Add API key if using pro plan
-          if (priceOracles.coingecko.proPlan) {
-            params.append('x_cg_pro_api_key', priceOracles.coingecko.apiKey);
-          }
-          
-          const url = `${baseUrl}${priceOracles.coingecko.pricePath}?${params.toString()}`;
-          const response = await axios.get(url);
-          
-          // Response format: { contract_address: { usd: price } }
-          if (response.data && response.data[assetAddress.toLowerCase()]?.usd) {
-            const price = response.data[assetAddress.toLowerCase()].usd;
-            
-            // Cache the result
-            priceCache.data.set(cacheKey, price);
-            priceCache.expiry.set(cacheKey, Date.now() + this.priceOracle.cacheDuration);
-            
-            return price;
-          }
-        } catch (coingeckoError) {
-          logger.warn(`CoinGecko price fetch error: ${coingeckoError.message}`);
-          // Continue to next price source
-        }
+      const price = await priceOracleService.getPriceUsd(assetSymbol, { chainId, address: assetAddress });
+      if (price === null) {
+        logger.error(`Failed to get price for ${assetSymbol} (${assetAddress}) on chain ${chainId}`);
+        return 0;
       }
-      
-      // Try Chainlink price feed if available
-      if (this.priceOracle.secondary === 'chainlink') {
-        try {
-          let priceFeedAddress;
-          
-          // Map common assets to their Chainlink price feeds
-          if (symbol === 'eth' || assetAddress === ethers.constants.AddressZero) {
-            priceFeedAddress = priceOracles.chainlink.ethUsd;
-          } else if (symbol === 'dai') {
-            priceFeedAddress = priceOracles.chainlink.daiUsd;
-          } else if (symbol === 'usdc') {
-            priceFeedAddress = priceOracles.chainlink.usdcUsd;
-          } else if (symbol === 'wbtc') {
-            priceFeedAddress = priceOracles.chainlink.wbtcUsd;
-          } else if (symbol === 'comp') {
-            priceFeedAddress = priceOracles.chainlink.compUsd;
-          }
-          
-          if (priceFeedAddress) {
-            const provider = this._getProvider(chainId);
-            const priceFeed = new ethers.Contract(priceFeedAddress, priceOracles.chainlink.abi, provider);
-            
-            // Get latest price data
-            const [, answer, , updatedAt, ] = await priceFeed.latestRoundData();
-            const decimals = await priceFeed.decimals();
-            
-            // Check if price is stale (more than 24 hours old)
-            const timestamp = updatedAt.toNumber();
-            if (Math.floor(Date.now() / 1000) - timestamp > 86400) {
-              logger.warn(`Chainlink price for ${symbol} is stale: ${timestamp}`);
-              throw new Error('Stale price data');
-            }
-            
-            // Calculate price with proper decimals
-            const price = parseFloat(ethers.utils.formatUnits(answer, decimals));
-            
-            // Cache the result
-            priceCache.data.set(cacheKey, price);
-            priceCache.expiry.set(cacheKey, Date.now() + this.priceOracle.cacheDuration);
-            
-            return price;
-          }
-        } catch (chainlinkError) {
-          logger.warn(`Chainlink price fetch error: ${chainlinkError.message}`);
-          // Continue to fallback
-        }
-      }
-      
-      // Try fallback price source (DeFi Llama)
-      if (this.priceOracle.fallback === 'defillama') {
-        try {
-          const url = `${priceOracles.defillama.baseUrl}${priceOracles.defillama.pricePath}/${chainId}:${assetAddress}`;
-          const response = await axios.get(url);
-          
-          // Response format: { coins: { 'chainId:address': { price: X } } }
-          const key = `${chainId}:${assetAddress.toLowerCase()}`;
-          if (response.data && response.data.coins && response.data.coins[key]?.price) {
-            const price = response.data.coins[key].price;
-            
-            // Cache the result
-            priceCache.data.set(cacheKey, price);
-            priceCache.expiry.set(cacheKey, Date.now() + this.priceOracle.cacheDuration);
-            
-            return price;
-          }
-        } catch (defillamaError) {
-          logger.warn(`DeFi Llama price fetch error: ${defillamaError.message}`);
-        }
-      }
-      
-      // Handle special cases
-      if (symbol === 'usdc' || symbol === 'usdt' || symbol === 'dai' || symbol === 'tusd' || 
-          symbol === 'busd' || symbol === 'gusd' || symbol.includes('usd')) {
-        // Stablecoins are generally pegged to $1
-        priceCache.data.set(cacheKey, 1);
-        priceCache.expiry.set(cacheKey, Date.now() + this.priceOracle.cacheDuration);
-        return 1;
-      }
-      
-      // If all attempts fail, log the issue and return a fallback price
-      logger.error(`Failed to get price for ${assetSymbol} (${assetAddress}) on chain ${chainId}`);
-      return 0; // Could not determine price
+      return price;
     } catch (error) {
       logger.error(`Error in price oracle: ${error.message}`);
       return 0; // Default fallback
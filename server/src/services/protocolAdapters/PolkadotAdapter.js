@@ -0,0 +1,1368 @@
+const fs = require('fs');
+const path = require('path');
+const BigNumber = require('bignumber.js');
+const { ApiPromise, WsProvider, Keyring } = require('@polkadot/api');
+const { bnToU8a, stringToU8a, u8aConcat, u8aToString } = require('@polkadot/util');
+const { checkAddress, cryptoWaitReady, encodeAddress } = require('@polkadot/util-crypto');
+const ProtocolAdapter = require('./ProtocolAdapter');
+const chainRegistry = require('../ChainRegistry');
+const priceOracleService = require('../PriceOracleService');
+const logger = require('../../config/logger');
+const ApyCalculationService = require('../../utils/apyCalculationService');
+
+// Relay chains expose nomination pools, Interlay/Kintsugi expose the loans pallet.
+// A local dev node may expose either; features are detected from its metadata.
+// Endpoints, native assets and address formats come from the chain registry.
+const SUPPORTED_CHAINS = ['polkadot', 'kusama', 'westend', 'interlay', 'kintsugi', 'dev'];
+
+// Decimals of Interlay token symbols (CurrencyId::Token)
+const tokenDecimals = {
+  DOT: 10,
+  KSM: 12,
+  INTR: 10,
+  KINT: 12,
+  IBTC: 8,
+  KBTC: 8
+};
+
+// Rate and Perbill fixed point scales
+const RATE_SCALE = new BigNumber(1e18);
+const PERBILL_SCALE = new BigNumber(1e9);
+
+// Eras of reward history read for APY statistics
+const STAKING_HISTORY_ERAS = 30;
+
+// Recent blocks scanned when looking up an extrinsic submitted elsewhere
+const STATUS_LOOKBACK_BLOCKS = 50;
+
+/**
+ * Polkadot Protocol Adapter
+ * Provides integration with Polkadot-native yield: relay chain nomination
+ * pools and the Interlay/Kintsugi lending market (loans pallet).
+ *
+ * Nomination pools are offered as one opportunity per relay chain, routed to
+ * the best open pool; accounts already in a pool keep bonding into it.
+ *
+ * Every chain read goes through a recorder, so the adapter can run against
+ * recorded fixtures instead of a node:
+ * - config.recordFixtures / POLKADOT_ADAPTER_RECORD: write reads to a JSON file
+ * - config.fixtures / POLKADOT_ADAPTER_FIXTURES: replay reads from a JSON file (or object)
+ * Endpoints can be overridden with config.endpoints or POLKADOT_ADAPTER_WS_<CHAIN>,
+ * for example POLKADOT_ADAPTER_WS_DEV=ws://127.0.0.1:9944 for a local dev node.
+ */
+class PolkadotAdapter extends ProtocolAdapter {
+  /**
+   * Constructor
+   * @param {Object} config - Configuration for the adapter
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'PolkadotAdapter';
+    this.supportedChains = SUPPORTED_CHAINS;
+    this.endpoints = config.endpoints || {};
+    this.waitForFinalization = Boolean(config.waitForFinalization);
+    this.staticPrices = config.prices || {};
+    this.apis = new Map();
+    this.apiEndpoints = new Map();
+    this.submitted = new Map();
+
+    const fixtures = config.fixtures || process.env.POLKADOT_ADAPTER_FIXTURES;
+    this.fixtures = typeof fixtures === 'string' ? null : fixtures || null;
+    this.fixturesPath = typeof fixtures === 'string' ? path.resolve(fixtures) : null;
+    this.recordPath = config.recordFixtures || process.env.POLKADOT_ADAPTER_RECORD || null;
+    this.recorded = {};
+  }
+
+  /**
+   * Gets the WebSocket endpoints for a chain, overrides first
+   * @param {string} chainId - Chain ID
+   * @returns {string[]} - Endpoint URLs
+   * @private
+   */
+  _getEndpoints(chainId) {
+    const override = this.endpoints[chainId] || process.env[`POLKADOT_ADAPTER_WS_${chainId.toUpperCase()}`];
+    return override ? [override] : chainRegistry.getWsEndpoints(chainId);
+  }
+
+  /**
+   * Native asset and address format of a chain from the registry
+   * @private
+   */
+  _chainDefaults(chainId) {
+    const chain = chainRegistry.require(chainId);
+    return {
+      name: chain.name,
+      symbol: chain.nativeAsset.symbol,
+      decimals: chain.nativeAsset.decimals,
+      ss58Format: chain.ss58Format
+    };
+  }
+
+  /**
+   * Gets (and caches) an API instance for a chain
+   * @param {string} chainId - Chain ID
+   * @returns {Promise<ApiPromise>} - Connected API
+   * @private
+   */
+  async _getApi(chainId) {
+    if (!this.supportsChain(chainId)) {
+      throw new Error(`Chain ${chainId} not supported by Polkadot adapter`);
+    }
+
+    if (this._isReplaying()) {
+      throw new Error('Polkadot adapter is replaying fixtures and has no node connection');
+    }
+
+    // Reconnect when the registry has been reloaded with other endpoints
+    const endpoints = this._getEndpoints(chainId);
+    if (this.apis.has(chainId) && this.apiEndpoints.get(chainId) !== endpoints.join(',')) {
+      this.apis.get(chainId).then(api => api.disconnect()).catch(() => {});
+      this.apis.delete(chainId);
+    }
+
+    if (!this.apis.has(chainId)) {
+      const provider = new WsProvider(endpoints);
+      const connecting = ApiPromise.create({ provider, noInitWarn: true }).catch(error => {
+        this.apis.delete(chainId);
+        throw error;
+      });
+      this.apis.set(chainId, connecting);
+      this.apiEndpoints.set(chainId, endpoints.join(','));
+    }
+
+    return this.apis.get(chainId);
+  }
+
+  /**
+   * Disconnects all open node connections
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    for (const [chainId, connecting] of this.apis.entries()) {
+      try {
+        const api = await connecting;
+        await api.disconnect();
+      } catch (error) {
+        logger.error(`Error disconnecting Polkadot API for ${chainId}: ${error.message}`);
+      }
+    }
+    this.apis.clear();
+  }
+
+  /**
+   * Whether reads come from fixtures
+   * @private
+   */
+  _isReplaying() {
+    return Boolean(this.fixtures || this.fixturesPath);
+  }
+
+  /**
+   * Read through the fixture recorder
+   * Replays the recorded value when running on fixtures, otherwise runs the
+   * loader against the node and records its result when recording is enabled.
+   * Loaders must return plain JSON values.
+   * @private
+   */
+  async _read(chainId, key, loader) {
+    if (this._isReplaying()) {
+      if (!this.fixtures) {
+        this.fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+      }
+
+      const chainFixtures = this.fixtures[chainId] || {};
+      if (!Object.prototype.hasOwnProperty.call(chainFixtures, key)) {
+        throw new Error(`No Polkadot fixture recorded for ${chainId} ${key}`);
+      }
+      return chainFixtures[key];
+    }
+
+    const value = await loader(await this._getApi(chainId));
+
+    if (this.recordPath) {
+      this.recorded[chainId] = this.recorded[chainId] || {};
+      this.recorded[chainId][key] = value;
+      fs.writeFileSync(this.recordPath, JSON.stringify(this.recorded, null, 2));
+    }
+
+    return value;
+  }
+
+  /**
+   * Gets chain properties and the features it supports
+   * @private
+   */
+  async _getChainInfo(chainId) {
+    return this._read(chainId, 'chain', async api => {
+      const defaults = this._chainDefaults(chainId);
+      const properties = api.registry.getChainProperties();
+      const ss58Format = properties && properties.ss58Format.isSome
+        ? properties.ss58Format.unwrap().toNumber()
+        : defaults.ss58Format;
+      const symbol = properties && properties.tokenSymbol.isSome
+        ? properties.tokenSymbol.unwrap()[0].toString()
+        : defaults.symbol;
+      const decimals = properties && properties.tokenDecimals.isSome
+        ? properties.tokenDecimals.unwrap()[0].toNumber()
+        : defaults.decimals;
+
+      return {
+        name: (await api.rpc.system.chain()).toString(),
+        symbol,
+        decimals,
+        ss58Format,
+        hasPools: Boolean(api.query.nominationPools && api.tx.nominationPools),
+        hasLoans: Boolean(api.query.loans && api.tx.loans)
+      };
+    });
+  }
+
+  /**
+   * Pallet account for a pallet ID and optional sub-account
+   * Mirrors PalletId::into_sub_account_truncating
+   * @private
+   */
+  _palletAccount(palletId, subAccount = new Uint8Array()) {
+    const raw = u8aConcat(stringToU8a('modl'), palletId, subAccount, new Uint8Array(32));
+    return raw.slice(0, 32);
+  }
+
+  /**
+   * Gets staking reward history and era timing
+   * @private
+   */
+  async _getStakingInfo(chainId) {
+    return this._read(chainId, 'staking', async api => {
+      const activeEra = (await api.query.staking.activeEra()).unwrap().index.toNumber();
+      const eras = [];
+      for (let era = Math.max(activeEra - STAKING_HISTORY_ERAS, 0); era < activeEra; era++) {
+        eras.push(era);
+      }
+
+      const [rewards, stakes] = await Promise.all([
+        api.query.staking.erasValidatorReward.multi(eras),
+        api.query.staking.erasTotalStake.multi(eras)
+      ]);
+
+      const eraDurationMs = new BigNumber(api.consts.babe.epochDuration.toString())
+        .multipliedBy(api.consts.staking.sessionsPerEra.toString())
+        .multipliedBy(api.consts.babe.expectedBlockTime.toString())
+        .toNumber();
+
+      return {
+        activeEra,
+        eraDurationMs,
+        bondingDuration: api.consts.staking.bondingDuration.toNumber(),
+        history: eras.map((era, index) => ({
+          era,
+          reward: rewards[index].isSome ? rewards[index].unwrap().toString() : '0',
+          totalStake: stakes[index].toString()
+        }))
+      };
+    });
+  }
+
+  /**
+   * Gets all nomination pools with their stake and commission
+   * @private
+   */
+  async _getPools(chainId) {
+    return this._read(chainId, 'pools', async api => {
+      const palletId = api.consts.nominationPools.palletId.toU8a();
+      const entries = await api.query.nominationPools.bondedPools.entries();
+
+      const pools = entries.map(([key, value]) => {
+        const id = key.args[0].toNumber();
+        const pool = value.unwrap();
+        const commission = pool.commission && pool.commission.current && pool.commission.current.isSome
+          ? new BigNumber(pool.commission.current.unwrap()[0].toString()).dividedBy(PERBILL_SCALE).toNumber()
+          : 0;
+
+        // Sub-account (AccountType::Bonded = 0, poolId)
+        const bondedAccount = this._palletAccount(palletId, u8aConcat(new Uint8Array([0]), bnToU8a(id, { bitLength: 32 })));
+
+        return {
+          id,
+          state: pool.state.toString(),
+          memberCounter: pool.memberCounter.toNumber(),
+          points: pool.points.toString(),
+          commission,
+          bondedAccount: encodeAddress(bondedAccount, api.registry.chainSS58)
+        };
+      });
+
+      const [ledgers, metadata] = await Promise.all([
+        api.query.staking.ledger.multi(pools.map(pool => pool.bondedAccount)),
+        api.query.nominationPools.metadata.multi(pools.map(pool => pool.id))
+      ]);
+
+      const maxMembersPerPool = api.query.nominationPools.maxPoolMembersPerPool
+        ? await api.query.nominationPools.maxPoolMembersPerPool()
+        : null;
+
+      return {
+        minJoinBond: (await api.query.nominationPools.minJoinBond()).toString(),
+        maxMembersPerPool: maxMembersPerPool && maxMembersPerPool.isSome ? maxMembersPerPool.unwrap().toNumber() : null,
+        pools: pools.map((pool, index) => ({
+          ...pool,
+          name: u8aToString(metadata[index].toU8a(true)),
+          activeStake: ledgers[index].isSome ? ledgers[index].unwrap().active.toString() : '0'
+        }))
+      };
+    });
+  }
+
+  /**
+   * Gets an account's pool membership
+   * @private
+   */
+  async _getPoolMember(chainId, address) {
+    return this._read(chainId, `poolMember:${address}`, async api => {
+      const member = await api.query.nominationPools.poolMembers(address);
+      if (member.isNone) {
+        return null;
+      }
+
+      const { poolId, points, unbondingEras } = member.unwrap();
+      const unbonding = {};
+      for (const [era, eraPoints] of unbondingEras.entries()) {
+        unbonding[era.toString()] = eraPoints.toString();
+      }
+
+      return {
+        poolId: poolId.toNumber(),
+        points: points.toString(),
+        unbondingEras: unbonding
+      };
+    });
+  }
+
+  /**
+   * Gets the unbonding sub-pools of a pool
+   * @private
+   */
+  async _getSubPools(chainId, poolId) {
+    return this._read(chainId, `subPools:${poolId}`, async api => {
+      const subPools = await api.query.nominationPools.subPoolsStorage(poolId);
+      if (subPools.isNone) {
+        return { noEra: { points: '0', balance: '0' }, withEra: {} };
+      }
+
+      const { noEra, withEra } = subPools.unwrap();
+      const eras = {};
+      for (const [era, pool] of withEra.entries()) {
+        eras[era.toString()] = { points: pool.points.toString(), balance: pool.balance.toString() };
+      }
+
+      return {
+        noEra: { points: noEra.points.toString(), balance: noEra.balance.toString() },
+        withEra: eras
+      };
+    });
+  }
+
+  /**
+   * Gets pending pool rewards of a member
+   * @private
+   */
+  async _getPendingPoolRewards(chainId, address) {
+    return this._read(chainId, `pendingRewards:${address}`, async api => {
+      if (!api.call.nominationPoolsApi) {
+        logger.warn(`Runtime of ${chainId} has no NominationPoolsApi; pending rewards unknown`);
+        return '0';
+      }
+      return (await api.call.nominationPoolsApi.pendingRewards(address)).toString();
+    });
+  }
+
+  /**
+   * Gets slashing spans of a pool's bonded account, needed to withdraw unbonded funds
+   * @private
+   */
+  async _getSlashingSpans(chainId, account) {
+    return this._read(chainId, `slashingSpans:${account}`, async api => {
+      const spans = await api.query.staking.slashingSpans(account);
+      return spans.isSome ? spans.unwrap().prior.length + 1 : 0;
+    });
+  }
+
+  /**
+   * Key identifying a CurrencyId
+   * @private
+   */
+  _currencyKey(currencyId) {
+    const [type, value] = Object.entries(currencyId)[0];
+    return `${type}:${value}`;
+  }
+
+  /**
+   * CurrencyId from its key
+   * @private
+   */
+  _currencyFromKey(key) {
+    const [type, value] = key.split(':');
+    return { [type]: type === 'Token' ? value : Number(value) };
+  }
+
+  /**
+   * Gets all lending markets with their rates and supply
+   * @private
+   */
+  async _getMarkets(chainId) {
+    return this._read(chainId, 'markets', async api => {
+      const entries = await api.query.loans.markets.entries();
+      const markets = [];
+
+      for (const [key, value] of entries) {
+        const currencyId = key.args[0].toJSON();
+        const market = value.unwrap ? value.unwrap() : value;
+        const currencyKey = this._currencyKey(currencyId);
+
+        let symbol = currencyId.token || currencyId.Token;
+        let decimals = tokenDecimals[symbol];
+
+        // Foreign assets carry their metadata in the asset registry
+        if (!symbol && api.query.assetRegistry) {
+          const metadata = await api.query.assetRegistry.metadata(Object.values(currencyId)[0]);
+          if (metadata.isSome) {
+            symbol = u8aToString(metadata.unwrap().symbol.toU8a(true));
+            decimals = metadata.unwrap().decimals.toNumber();
+          }
+        }
+
+        const [supplyRate, exchangeRate, totalSupply] = await Promise.all([
+          api.query.loans.supplyRate(key.args[0]),
+          api.query.loans.exchangeRate(key.args[0]),
+          api.query.loans.totalSupply(key.args[0])
+        ]);
+
+        markets.push({
+          currencyKey,
+          symbol: symbol || currencyKey,
+          decimals: decimals || 12,
+          state: market.state.toString(),
+          lendTokenId: market.lendTokenId ? market.lendTokenId.toJSON() : null,
+          collateralFactor: new BigNumber(market.collateralFactor.toString()).dividedBy(1e6).toNumber(),
+          supplyCap: market.supplyCap.toString(),
+          supplyRate: supplyRate.toString(),
+          exchangeRate: exchangeRate.toString(),
+          totalSupply: totalSupply.toString()
+        });
+      }
+
+      return {
+        palletAccount: encodeAddress(this._palletAccount(api.consts.loans.palletId.toU8a()), api.registry.chainSS58),
+        markets
+      };
+    });
+  }
+
+  /**
+   * Gets an account's lend token balance in a market
+   * @private
+   */
+  async _getLendTokenBalance(chainId, market, address) {
+    return this._read(chainId, `lendTokens:${market.currencyKey}:${address}`, async api => {
+      // Newer runtimes hold lend tokens in orml-tokens; older ones in AccountDeposits
+      if (market.lendTokenId && api.query.tokens) {
+        const account = await api.query.tokens.accounts(address, market.lendTokenId);
+        return new BigNumber(account.free.toString()).plus(account.reserved.toString()).toFixed(0);
+      }
+
+      const deposits = await api.query.loans.accountDeposits(this._currencyFromKey(market.currencyKey), address);
+      return (deposits.voucherBalance || deposits).toString();
+    });
+  }
+
+  /**
+   * Gets unclaimed lending rewards of an account
+   * @private
+   */
+  async _getLoanRewards(chainId, address) {
+    return this._read(chainId, `loanRewards:${address}`, async api => {
+      // Named RewardAccured in older runtimes
+      const storage = api.query.loans.rewardAccrued || api.query.loans.rewardAccured;
+      return storage ? (await storage(address)).toString() : '0';
+    });
+  }
+
+  /**
+   * Gets USD prices for symbols from the price oracle
+   * @private
+   */
+  async _getPrices(chainId, symbols) {
+    if (this._isReplaying()) {
+      return this._read(chainId, 'prices', async () => ({}));
+    }
+
+    const missing = symbols.filter(symbol => this.staticPrices[symbol] === undefined);
+    const oraclePrices = missing.length > 0 ? await priceOracleService.getPrices(missing) : new Map();
+
+    const prices = {};
+    symbols.forEach(symbol => {
+      prices[symbol] = this.staticPrices[symbol] !== undefined ? this.staticPrices[symbol] : oraclePrices.get(symbol)?.priceUsd || 0;
+    });
+
+    if (this.recordPath) {
+      this.recorded[chainId] = this.recorded[chainId] || {};
+      this.recorded[chainId].prices = { ...(this.recorded[chainId].prices || {}), ...prices };
+      fs.writeFileSync(this.recordPath, JSON.stringify(this.recorded, null, 2));
+    }
+
+    return prices;
+  }
+
+  /**
+   * Formats base units as a decimal string
+   * @private
+   */
+  _format(amount, decimals) {
+    return new BigNumber(amount || 0).dividedBy(new BigNumber(10).pow(decimals)).toFixed();
+  }
+
+  /**
+   * Staking APY for a window of eras, after pool commission
+   * @private
+   */
+  _stakingApy(staking, eras, commission = 0) {
+    const window = staking.history.slice(-eras).filter(entry => new BigNumber(entry.totalStake).gt(0));
+    if (window.length === 0 || !staking.eraDurationMs) {
+      return [];
+    }
+
+    const erasPerYear = (365 * 24 * 60 * 60 * 1000) / staking.eraDurationMs;
+    return window.map(entry => {
+      const rate = new BigNumber(entry.reward).dividedBy(entry.totalStake).multipliedBy(1 - commission).toNumber();
+      return ApyCalculationService.calculateApy(rate, erasPerYear);
+    });
+  }
+
+  /**
+   * Summary statistics of APY samples
+   * @private
+   */
+  _apyStats(samples7d, samples30d) {
+    const stats = samples => ({
+      min: samples.length ? Math.min(...samples) : 0,
+      max: samples.length ? Math.max(...samples) : 0,
+      mean: samples.length ? samples.reduce((sum, value) => sum + value, 0) / samples.length : 0
+    });
+    const week = stats(samples7d);
+    const month = stats(samples30d);
+
+    return {
+      current: samples7d.length ? samples7d[samples7d.length - 1] : 0,
+      min7d: week.min,
+      max7d: week.max,
+      mean7d: week.mean,
+      min30d: month.min,
+      max30d: month.max,
+      mean30d: month.mean
+    };
+  }
+
+  /**
+   * Lending APY from the annual supply rate, compounded daily
+   * @private
+   */
+  _lendingApy(market) {
+    const annualRate = new BigNumber(market.supplyRate).dividedBy(RATE_SCALE).toNumber();
+    return ApyCalculationService.calculateApy(annualRate / 365, 365);
+  }
+
+  /**
+   * Picks the pool new members join: open, staking and not full, with the
+   * lowest commission and then the most stake
+   * @private
+   */
+  _selectPool(poolData) {
+    return poolData.pools
+      .filter(pool => pool.state === 'Open' && new BigNumber(pool.activeStake).gt(0))
+      .filter(pool => !poolData.maxMembersPerPool || pool.memberCounter < poolData.maxMembersPerPool)
+      .sort((a, b) => a.commission - b.commission || new BigNumber(b.activeStake).comparedTo(a.activeStake))[0] || null;
+  }
+
+  /**
+   * Eras that fit in a number of days
+   * @private
+   */
+  _erasInDays(staking, days) {
+    return Math.max(1, Math.round((days * 24 * 60 * 60 * 1000) / staking.eraDurationMs));
+  }
+
+  /**
+   * Gets yield opportunities on a chain
+   * @param {string} chainId - Chain ID to query
+   * @returns {Promise<Array>} - Array of yield opportunities
+   */
+  async getYieldOpportunities(chainId) {
+    try {
+      if (!this.supportsChain(chainId)) {
+        return [];
+      }
+
+      const chain = await this._getChainInfo(chainId);
+      const opportunities = [];
+
+      if (chain.hasPools) {
+        const opportunity = await this._getPoolOpportunity(chainId, chain);
+        if (opportunity) opportunities.push(opportunity);
+      }
+
+      if (chain.hasLoans) {
+        opportunities.push(...await this._getLendingOpportunities(chainId, chain));
+      }
+
+      return opportunities;
+    } catch (error) {
+      logger.error(`Error getting Polkadot yield opportunities for chain ${chainId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Builds the nomination pool opportunity for a relay chain
+   * @private
+   */
+  async _getPoolOpportunity(chainId, chain) {
+    const [poolData, staking, prices] = await Promise.all([
+      this._getPools(chainId),
+      this._getStakingInfo(chainId),
+      this._getPrices(chainId, [chain.symbol])
+    ]);
+
+    const pool = this._selectPool(poolData);
+    if (!pool) {
+      logger.warn(`No open nomination pool found on ${chainId}`);
+      return null;
+    }
+
+    const apy = this._apyStats(
+      this._stakingApy(staking, this._erasInDays(staking, 7), pool.commission),
+      this._stakingApy(staking, this._erasInDays(staking, 30), pool.commission)
+    );
+    const totalStake = poolData.pools.reduce((sum, entry) => sum.plus(entry.activeStake), new BigNumber(0));
+    const price = prices[chain.symbol] || 0;
+    const lockTime = Math.round((staking.bondingDuration * staking.eraDurationMs) / 1000);
+
+    return {
+      name: `${chain.name} Nomination Pools`,
+      asset: chain.symbol,
+      assetName: chain.name,
+      assetSymbol: chain.symbol,
+      assetDecimals: chain.decimals,
+      assetAddress: 'native',
+      chainId,
+      apy,
+      tvlUsd: parseFloat(this._format(totalStake, chain.decimals)) * price,
+      minInvestmentUsd: parseFloat(this._format(poolData.minJoinBond, chain.decimals)) * price,
+      riskLevel: 'low',
+      strategyType: 'staking',
+      implementationDetails: {
+        contractAddress: pool.bondedAccount,
+        adapter: this.name,
+        methodName: 'nominationPools.join',
+        withdrawMethodName: 'nominationPools.unbond',
+        extraData: {
+          kind: 'nominationPool',
+          poolId: pool.id,
+          poolName: pool.name,
+          commission: pool.commission,
+          minJoinBond: poolData.minJoinBond,
+          ss58Format: chain.ss58Format
+        }
+      },
+      depositFee: 0,
+      withdrawalFee: 0,
+      harvestable: true, // Rewards are claimed with claimPayout
+      compoundable: true, // Rewards can be bonded with bondExtra
+      autocompounding: false,
+      tags: ['staking', 'nomination-pool', chainId],
+      liquidityProfile: {
+        lockTime, // Unbonding period
+        withdrawalWindow: 'anytime',
+        unlockTime: null
+      },
+      status: 'active'
+    };
+  }
+
+  /**
+   * Builds one opportunity per active lending market
+   * @private
+   */
+  async _getLendingOpportunities(chainId, chain) {
+    const { palletAccount, markets } = await this._getMarkets(chainId);
+    const active = markets.filter(market => market.state === 'Active');
+    const prices = await this._getPrices(chainId, active.map(market => market.symbol));
+
+    return active.map(market => {
+      const current = this._lendingApy(market);
+      const supplied = new BigNumber(market.totalSupply).multipliedBy(market.exchangeRate).dividedBy(RATE_SCALE);
+
+      return {
+        name: `${chain.name} Lending ${market.symbol} Supply`,
+        asset: market.symbol,
+        assetName: market.symbol,
+        assetSymbol: market.symbol,
+        assetDecimals: market.decimals,
+        assetAddress: market.currencyKey,
+        chainId,
+        apy: {
+          current,
+          min7d: current * 0.9, // Approximate based on current rate
+          max7d: current * 1.1,
+          mean7d: current,
+          min30d: current * 0.85,
+          max30d: current * 1.15,
+          mean30d: current
+        },
+        tvlUsd: parseFloat(this._format(supplied, market.decimals)) * (prices[market.symbol] || 0),
+        riskLevel: 'medium',
+        strategyType: 'lending',
+        implementationDetails: {
+          contractAddress: palletAccount,
+          adapter: this.name,
+          methodName: 'loans.mint',
+          withdrawMethodName: 'loans.redeem',
+          extraData: {
+            kind: 'lending',
+            currencyKey: market.currencyKey,
+            lendTokenId: market.lendTokenId,
+            collateralFactor: market.collateralFactor,
+            ss58Format: chain.ss58Format
+          }
+        },
+        rewardTokens: [{ symbol: chain.symbol, address: 'native', decimals: chain.decimals }],
+        depositFee: 0,
+        withdrawalFee: 0,
+        harvestable: true, // Lending incentives are claimed with claimReward
+        compoundable: false, // Interest accrues in the lend token exchange rate
+        autocompounding: true,
+        tags: ['lending', 'supply', 'loans', chainId],
+        liquidityProfile: {
+          lockTime: 0,
+          withdrawalWindow: 'anytime',
+          unlockTime: null
+        },
+        status: 'active'
+      };
+    });
+  }
+
+  /**
+   * Gets APY data for a specific opportunity
+   * @param {Object} opportunity - Yield opportunity object
+   * @returns {Promise<Object>} - APY data
+   */
+  async getApyData(opportunity) {
+    try {
+      const { chainId, implementationDetails } = opportunity;
+      const extraData = implementationDetails.extraData || {};
+
+      if (extraData.kind === 'nominationPool') {
+        const staking = await this._getStakingInfo(chainId);
+        return this._apyStats(
+          this._stakingApy(staking, this._erasInDays(staking, 7), extraData.commission),
+          this._stakingApy(staking, this._erasInDays(staking, 30), extraData.commission)
+        );
+      }
+
+      const market = await this._findMarket(chainId, extraData.currencyKey);
+      const current = this._lendingApy(market);
+
+      return {
+        current,
+        min7d: current * 0.9, // Approximate based on current rate
+        max7d: current * 1.1,
+        mean7d: current,
+        min30d: current * 0.85,
+        max30d: current * 1.15,
+        mean30d: current
+      };
+    } catch (error) {
+      logger.error(`Error getting Polkadot APY data: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Finds a lending market by currency key
+   * @private
+   */
+  async _findMarket(chainId, currencyKey) {
+    const { markets } = await this._getMarkets(chainId);
+    const market = markets.find(entry => entry.currencyKey === currencyKey);
+
+    if (!market) {
+      throw new Error(`Lending market ${currencyKey} not found on chain ${chainId}`);
+    }
+
+    return market;
+  }
+
+  /**
+   * Gets TVL for a specific opportunity
+   * @param {Object} opportunity - Yield opportunity object
+   * @returns {Promise<number>} - TVL in USD
+   */
+  async getTvl(opportunity) {
+    try {
+      const { chainId, implementationDetails } = opportunity;
+      const extraData = implementationDetails.extraData || {};
+
+      if (extraData.kind === 'nominationPool') {
+        const chain = await this._getChainInfo(chainId);
+        const [poolData, prices] = await Promise.all([
+          this._getPools(chainId),
+          this._getPrices(chainId, [chain.symbol])
+        ]);
+        const totalStake = poolData.pools.reduce((sum, pool) => sum.plus(pool.activeStake), new BigNumber(0));
+        return parseFloat(this._format(totalStake, chain.decimals)) * (prices[chain.symbol] || 0);
+      }
+
+      const market = await this._findMarket(chainId, extraData.currencyKey);
+      const prices = await this._getPrices(chainId, [market.symbol]);
+      const supplied = new BigNumber(market.totalSupply).multipliedBy(market.exchangeRate).dividedBy(RATE_SCALE);
+
+      return parseFloat(this._format(supplied, market.decimals)) * (prices[market.symbol] || 0);
+    } catch (error) {
+      logger.error(`Error getting Polkadot TVL: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Builds the extrinsics for an action
+   * @private
+   */
+  async _buildCalls(action, opportunity, params) {
+    const { chainId, implementationDetails } = opportunity;
+    const extraData = implementationDetails.extraData || {};
+    const { amount, userAddress } = params;
+    const symbol = opportunity.assetSymbol;
+    const calls = [];
+
+    if (extraData.kind === 'nominationPool') {
+      const member = await this._getPoolMember(chainId, userAddress);
+
+      switch (action) {
+        case 'deposit':
+          if (!member) {
+            calls.push({ section: 'nominationPools', method: 'join', args: [amount, extraData.poolId], kind: 'deposit', description: `Join nomination pool #${extraData.poolId} with ${symbol}` });
+          } else {
+            calls.push({ section: 'nominationPools', method: 'bondExtra', args: [{ FreeBalance: amount }], kind: 'deposit', description: `Bond extra ${symbol} into nomination pool #${member.poolId}` });
+          }
+          break;
+        case 'withdraw': {
+          if (!member) {
+            throw new Error(`${userAddress} is not a member of a nomination pool on ${chainId}`);
+          }
+
+          const poolData = await this._getPools(chainId);
+          const pool = poolData.pools.find(entry => entry.id === member.poolId);
+          const staking = await this._getStakingInfo(chainId);
+
+          // Collect anything that finished unbonding first
+          const unlocked = Object.keys(member.unbondingEras).some(era => Number(era) <= staking.activeEra);
+          if (unlocked) {
+            const spans = await this._getSlashingSpans(chainId, pool.bondedAccount);
+            calls.push({ section: 'nominationPools', method: 'withdrawUnbonded', args: [userAddress, spans], kind: 'withdraw', description: `Withdraw unbonded ${symbol} from nomination pool #${member.poolId}` });
+          }
+
+          // Convert the balance to pool points, capped at the member's points
+          const points = amount === undefined || amount === 'max' || new BigNumber(pool.activeStake).isZero()
+            ? new BigNumber(member.points)
+            : BigNumber.min(
+              new BigNumber(amount).multipliedBy(pool.points).dividedBy(pool.activeStake).integerValue(BigNumber.ROUND_CEIL),
+              member.points
+            );
+          calls.push({ section: 'nominationPools', method: 'unbond', args: [userAddress, points.toFixed(0)], kind: 'withdraw', description: `Unbond ${symbol} from nomination pool #${member.poolId}` });
+          break;
+        }
+        case 'harvest':
+          calls.push({ section: 'nominationPools', method: 'claimPayout', args: [], kind: 'harvest', description: `Claim nomination pool rewards` });
+          break;
+        case 'compound':
+          calls.push({ section: 'nominationPools', method: 'bondExtra', args: ['Rewards'], kind: 'harvest', description: `Bond nomination pool rewards` });
+          break;
+        default:
+          throw new Error(`Action ${action} not supported by Polkadot adapter`);
+      }
+
+      return calls;
+    }
+
+    const currencyId = this._currencyFromKey(extraData.currencyKey);
+
+    switch (action) {
+      case 'deposit':
+        calls.push({ section: 'loans', method: 'mint', args: [currencyId, amount], kind: 'deposit', description: `Supply ${symbol} to the lending market` });
+        break;
+      case 'withdraw':
+        if (amount === undefined || amount === 'max') {
+          calls.push({ section: 'loans', method: 'redeemAll', args: [currencyId], kind: 'withdraw', description: `Redeem all ${symbol} from the lending market` });
+        } else {
+          calls.push({ section: 'loans', method: 'redeem', args: [currencyId, amount], kind: 'withdraw', description: `Redeem ${symbol} from the lending market` });
+        }
+        break;
+      case 'harvest':
+        calls.push({ section: 'loans', method: 'claimReward', args: [], kind: 'harvest', description: 'Claim lending rewards' });
+        break;
+      case 'compound': {
+        // Rewards are paid in the native token; they can only be compounded into its market
+        const chain = await this._getChainInfo(chainId);
+        const { markets } = await this._getMarkets(chainId);
+        const nativeMarket = markets.find(market => market.symbol === chain.symbol && market.state === 'Active');
+        const rewards = await this._getLoanRewards(chainId, userAddress);
+
+        if (nativeMarket && new BigNumber(rewards).gt(0)) {
+          calls.push({ section: 'loans', method: 'claimReward', args: [], kind: 'harvest', description: 'Claim lending rewards' });
+          calls.push({ section: 'loans', method: 'mint', args: [this._currencyFromKey(nativeMarket.currencyKey), rewards], kind: 'deposit', description: `Supply ${chain.symbol} rewards to the lending market` });
+        }
+        break;
+      }
+      default:
+        throw new Error(`Action ${action} not supported by Polkadot adapter`);
+    }
+
+    return calls;
+  }
+
+  /**
+   * Turns built calls into one extrinsic, batching when there are several
+   * @private
+   */
+  _toExtrinsic(api, calls) {
+    const extrinsics = calls.map(call => api.tx[call.section][call.method](...call.args));
+    return extrinsics.length === 1 ? extrinsics[0] : api.tx.utility.batchAll(extrinsics);
+  }
+
+  /**
+   * Creates a signing key pair from a secret URI or mnemonic
+   * @private
+   */
+  async _getSigner(chainId, secret) {
+    if (!secret) {
+      throw new Error('A secret URI or mnemonic is required to sign Polkadot transactions');
+    }
+
+    await cryptoWaitReady();
+    const chain = await this._getChainInfo(chainId);
+    const keyring = new Keyring({ type: 'sr25519', ss58Format: chain.ss58Format });
+    return keyring.addFromUri(secret);
+  }
+
+  /**
+   * Signs and submits an extrinsic, resolving once it is included
+   * (or finalized when waitForFinalization is set)
+   * @private
+   */
+  async _send(chainId, api, extrinsic, signer) {
+    return new Promise((resolve, reject) => {
+      let unsubscribe;
+
+      extrinsic.signAndSend(signer, ({ status, events, dispatchError, txHash }) => {
+        const done = this.waitForFinalization ? status.isFinalized : status.isInBlock || status.isFinalized;
+
+        if (status.isDropped || status.isInvalid || status.isUsurped) {
+          if (unsubscribe) unsubscribe();
+          reject(new Error(`Transaction ${txHash.toHex()} ${status.type.toLowerCase()}`));
+          return;
+        }
+
+        if (!done) {
+          return;
+        }
+
+        if (unsubscribe) unsubscribe();
+        const blockHash = (status.isInBlock ? status.asInBlock : status.asFinalized).toHex();
+
+        let error = null;
+        if (dispatchError) {
+          if (dispatchError.isModule) {
+            const decoded = api.registry.findMetaError(dispatchError.asModule);
+            error = `${decoded.section}.${decoded.name}: ${decoded.docs.join(' ')}`;
+          } else {
+            error = dispatchError.toString();
+          }
+        }
+
+        api.rpc.chain.getHeader(blockHash)
+          .then(header => {
+            const hash = txHash.toHex();
+            this.submitted.set(hash, { chainId, blockHash });
+
+            resolve({
+              transactionHash: hash,
+              blockHash,
+              blockNumber: header.number.toNumber(),
+              status: error ? 'failed' : 'success',
+              error,
+              events: events.map(({ event }) => `${event.section}.${event.method}`)
+            });
+          })
+          .catch(reject);
+      })
+        .then(unsub => {
+          unsubscribe = unsub;
+        })
+        .catch(reject);
+    });
+  }
+
+  /**
+   * Builds, signs and submits the calls for an action
+   * @private
+   */
+  async _execute(action, opportunity, params, secret) {
+    if (this._isReplaying()) {
+      throw new Error('Transactions cannot be sent while replaying fixtures');
+    }
+
+    const { chainId } = opportunity;
+    const calls = await this._buildCalls(action, opportunity, params);
+
+    if (calls.length === 0) {
+      return null;
+    }
+
+    const api = await this._getApi(chainId);
+    const signer = await this._getSigner(chainId, secret);
+    const result = await this._send(chainId, api, this._toExtrinsic(api, calls), signer);
+
+    return { ...result, calls: calls.map(call => `${call.section}.${call.method}`) };
+  }
+
+  /**
+   * Deposits assets into a nomination pool or lending market
+   * @param {Object} opportunity - Yield opportunity object
+   * @param {Object} params - Deposit parameters (amount in base units, userAddress, privateKey as secret URI)
+   * @returns {Promise<Object>} - Transaction data
+   */
+  async deposit(opportunity, params) {
+    try {
+      const { amount, userAddress, privateKey } = params;
+      return await this._execute('deposit', opportunity, { amount, userAddress }, privateKey);
+    } catch (error) {
+      logger.error(`Error depositing to Polkadot opportunity: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraws assets; nomination pool withdrawals start unbonding and only
+   * become transferable after the unbonding period
+   * @param {Object} investment - Investment object
+   * @param {Object} params - Withdrawal parameters (amount in base units or 'max', privateKey as secret URI)
+   * @returns {Promise<Object>} - Transaction data
+   */
+  async withdraw(investment, params) {
+    try {
+      const { opportunity, walletAddress } = investment;
+      const { amount, privateKey } = params;
+      const result = await this._execute('withdraw', opportunity, { amount, userAddress: walletAddress }, privateKey);
+
+      if (opportunity.implementationDetails.extraData.kind === 'nominationPool') {
+        const staking = await this._getStakingInfo(opportunity.chainId);
+        result.unbonding = true;
+        result.unlockEra = staking.activeEra + staking.bondingDuration;
+        result.unlockTime = new Date(Date.now() + staking.bondingDuration * staking.eraDurationMs);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Error withdrawing from Polkadot opportunity: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Builds the unsigned calls for a deposit or withdrawal
+   * Calls carry the SCALE-encoded call data when a node is connected
+   * @param {string} action - deposit or withdraw
+   * @param {Object} opportunity - Yield opportunity object
+   * @param {Object} params - Amount in base units and user address
+   * @returns {Promise<Array>} - Ordered calls
+   */
+  async buildTransactions(action, opportunity, params) {
+    const calls = await this._buildCalls(action, opportunity, params);
+    const api = this._isReplaying() ? null : await this._getApi(opportunity.chainId);
+
+    return calls.map(call => ({
+      to: null,
+      data: api ? api.tx[call.section][call.method](...call.args).method.toHex() : null,
+      value: '0',
+      kind: call.kind,
+      description: call.description,
+      section: call.section,
+      method: call.method,
+      args: call.args
+    }));
+  }
+
+  /**
+   * Gets current balance of an investment
+   * For nomination pools, amounts still unbonding are reported separately
+   * @param {Object} investment - Investment object
+   * @returns {Promise<Object>} - Balance data
+   */
+  async getBalance(investment) {
+    try {
+      const { opportunity, walletAddress } = investment;
+      const { chainId, implementationDetails } = opportunity;
+      const extraData = implementationDetails.extraData || {};
+      const decimals = opportunity.assetDecimals;
+      const prices = await this._getPrices(chainId, [opportunity.assetSymbol]);
+      const price = prices[opportunity.assetSymbol] || 0;
+
+      if (extraData.kind === 'nominationPool') {
+        const member = await this._getPoolMember(chainId, walletAddress);
+        if (!member) {
+          return { amount: '0', amountFormatted: '0', amountUsd: 0, unbonding: '0' };
+        }
+
+        const poolData = await this._getPools(chainId);
+        const pool = poolData.pools.find(entry => entry.id === member.poolId);
+        const active = new BigNumber(pool.points).isZero()
+          ? new BigNumber(0)
+          : new BigNumber(member.points).multipliedBy(pool.activeStake).dividedBy(pool.points).integerValue(BigNumber.ROUND_DOWN);
+
+        // Unbonding points convert at their sub-pool's own rate
+        let unbonding = new BigNumber(0);
+        if (Object.keys(member.unbondingEras).length > 0) {
+          const subPools = await this._getSubPools(chainId, member.poolId);
+          Object.entries(member.unbondingEras).forEach(([era, points]) => {
+            const subPool = subPools.withEra[era] || subPools.noEra;
+            if (new BigNumber(subPool.points).gt(0)) {
+              unbonding = unbonding.plus(new BigNumber(points).multipliedBy(subPool.balance).dividedBy(subPool.points).integerValue(BigNumber.ROUND_DOWN));
+            }
+          });
+        }
+
+        const amountFormatted = this._format(active, decimals);
+        return {
+          amount: active.toFixed(0),
+          amountFormatted,
+          amountUsd: parseFloat(amountFormatted) * price,
+          unbonding: unbonding.toFixed(0),
+          unbondingFormatted: this._format(unbonding, decimals),
+          poolId: member.poolId
+        };
+      }
+
+      const market = await this._findMarket(chainId, extraData.currencyKey);
+      const lendTokens = await this._getLendTokenBalance(chainId, market, walletAddress);
+      const underlying = new BigNumber(lendTokens).multipliedBy(market.exchangeRate).dividedBy(RATE_SCALE).integerValue(BigNumber.ROUND_DOWN);
+      const amountFormatted = this._format(underlying, decimals);
+
+      return {
+        amount: underlying.toFixed(0),
+        amountFormatted,
+        amountUsd: parseFloat(amountFormatted) * price,
+        lendTokens
+      };
+    } catch (error) {
+      logger.error(`Error getting Polkadot investment balance: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets claimable rewards for an investment
+   * @param {Object} investment - Investment object
+   * @returns {Promise<Array>} - Reward tokens and amounts
+   */
+  async getClaimableRewards(investment) {
+    try {
+      const { opportunity, walletAddress } = investment;
+      const { chainId, implementationDetails } = opportunity;
+      const extraData = implementationDetails.extraData || {};
+      const chain = await this._getChainInfo(chainId);
+
+      const amount = extraData.kind === 'nominationPool'
+        ? await this._getPendingPoolRewards(chainId, walletAddress)
+        : await this._getLoanRewards(chainId, walletAddress);
+
+      if (new BigNumber(amount).isZero()) {
+        return [];
+      }
+
+      const prices = await this._getPrices(chainId, [chain.symbol]);
+      const amountFormatted = this._format(amount, chain.decimals);
+
+      return [{
+        symbol: chain.symbol,
+        address: 'native',
+        decimals: chain.decimals,
+        amount,
+        amountFormatted,
+        amountUsd: parseFloat(amountFormatted) * (prices[chain.symbol] || 0)
+      }];
+    } catch (error) {
+      logger.error(`Error getting Polkadot claimable rewards: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Claims rewards of an investment to the wallet
+   * @param {Object} investment - Investment object
+   * @returns {Promise<Object>} - Harvest transaction data
+   */
+  async harvest(investment) {
+    try {
+      const rewards = await this.getClaimableRewards(investment);
+      if (rewards.length === 0) {
+        return {
+          status: 'no_rewards',
+          message: 'No rewards available to claim'
+        };
+      }
+
+      const result = await this._execute('harvest', investment.opportunity, { userAddress: investment.walletAddress }, investment.privateKey);
+      return { ...result, rewards };
+    } catch (error) {
+      logger.error(`Error in Polkadot harvest operation: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reinvests rewards of an investment
+   * Pool rewards are bonded back into the pool; lending rewards are supplied
+   * to the native token market when there is one
+   * @param {Object} investment - Investment object
+   * @returns {Promise<Object>} - Compound transaction data
+   */
+  async compound(investment) {
+    try {
+      const rewards = await this.getClaimableRewards(investment);
+      if (rewards.length === 0) {
+        return {
+          status: 'no_rewards',
+          message: 'No rewards available to compound'
+        };
+      }
+
+      const result = await this._execute('compound', investment.opportunity, { userAddress: investment.walletAddress }, investment.privateKey);
+      if (!result) {
+        return {
+          status: 'not_applicable',
+          message: 'Lending rewards cannot be compounded because there is no market for the reward token'
+        };
+      }
+
+      return { ...result, rewards };
+    } catch (error) {
+      logger.error(`Error in Polkadot compound operation: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets transaction status
+   * Substrate nodes cannot look up an extrinsic by hash, so the block is taken
+   * from transactions this adapter submitted, or found by scanning recent blocks
+   * @param {string} chainId - Chain ID
+   * @param {string} txHash - Extrinsic hash
+   * @returns {Promise<Object>} - Transaction status
+   */
+  async getTransactionStatus(chainId, txHash) {
+    try {
+      return await this._read(chainId, `tx:${txHash}`, async api => {
+        const known = this.submitted.get(txHash);
+        const finalizedHash = await api.rpc.chain.getFinalizedHead();
+        const finalized = (await api.rpc.chain.getHeader(finalizedHash)).number.toNumber();
+        const best = (await api.rpc.chain.getHeader()).number.toNumber();
+
+        const blockHashes = known
+          ? [known.blockHash]
+          : await Promise.all(
+            Array.from({ length: Math.min(STATUS_LOOKBACK_BLOCKS, best + 1) }, (_, index) => api.rpc.chain.getBlockHash(best - index))
+          );
+
+        for (const blockHash of blockHashes) {
+          const { block } = await api.rpc.chain.getBlock(blockHash);
+          const index = block.extrinsics.findIndex(extrinsic => extrinsic.hash.toHex() === txHash);
+          if (index === -1) continue;
+
+          const blockNumber = block.header.number.toNumber();
+          const events = await (await api.at(blockHash)).query.system.events();
+          const outcome = events.find(({ phase, event }) =>
+            phase.isApplyExtrinsic && phase.asApplyExtrinsic.toNumber() === index &&
+            event.section === 'system' && ['ExtrinsicSuccess', 'ExtrinsicFailed'].includes(event.method)
+          );
+
+          return {
+            status: outcome && outcome.event.method === 'ExtrinsicSuccess' ? 'success' : 'failed',
+            blockNumber,
+            blockHash: typeof blockHash === 'string' ? blockHash : blockHash.toHex(),
+            finalized: blockNumber <= finalized,
+            confirmations: best - blockNumber + 1
+          };
+        }
+
+        return { status: known ? 'pending' : 'not_found' };
+      });
+    } catch (error) {
+      logger.error(`Error getting transaction status: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Validates an SS58 address, checking the chain prefix when known
+   * @param {Object} opportunity - Yield opportunity object
+   * @param {string} address - Address to validate
+   * @returns {Promise<boolean>} - True if address is valid for this protocol
+   */
+  async validateAddress(opportunity, address) {
+    try {
+      await cryptoWaitReady();
+      const extraData = (opportunity && opportunity.implementationDetails && opportunity.implementationDetails.extraData) || {};
+      const chainConfig = opportunity && chainRegistry.get(opportunity.chainId);
+      const ss58Format = extraData.ss58Format !== undefined
+        ? extraData.ss58Format
+        : (chainConfig && chainConfig.ss58Format !== null ? chainConfig.ss58Format : undefined);
+
+      if (ss58Format === undefined) {
+        return checkAddress(address, 42)[0] || /^[1-9A-HJ-NP-Za-km-z]{46,48}$/.test(address);
+      }
+
+      return checkAddress(address, ss58Format)[0];
+    } catch (error) {
+      logger.error(`Error validating address: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Gets fee estimate for an extrinsic
+   * @param {string} chainId - Chain ID
+   * @param {string} methodName - deposit, withdraw, harvest or compound
+   * @param {Object} params - { opportunity, amount, userAddress }
+   * @returns {Promise<Object>} - Fee estimate data
+   */
+  async estimateGas(chainId, methodName, params) {
+    try {
+      const api = await this._getApi(chainId);
+      const chain = await this._getChainInfo(chainId);
+      const calls = await this._buildCalls(methodName, params.opportunity, params);
+      const info = await this._toExtrinsic(api, calls).paymentInfo(params.userAddress);
+      const weight = info.weight.refTime ? info.weight.refTime.toString() : info.weight.toString();
+
+      return {
+        gasEstimate: weight,
+        costWei: info.partialFee.toString(),
+        costNative: this._format(info.partialFee.toString(), chain.decimals),
+        nativeSymbol: chain.symbol
+      };
+    } catch (error) {
+      logger.error(`Error estimating fee: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = PolkadotAdapter;
@@ -76,6 +76,18 @@ class ProtocolAdapter {
     throw new Error('Method withdraw must be implemented by child class');
   }
 
+  /**
+   * Builds the unsigned calls for an action without sending them
+   * Used to simulate planned transactions before execution
+   * @param {string} action - Action to build (deposit or withdraw)
+   * @param {Object} opportunity - Yield opportunity object
+   * @param {Object} params - Action parameters (amount in base units, userAddress)
+   * @returns {Promise<Array>} - Ordered calls ({ to, data, value, kind, description })
+   */
+  async buildTransactions(action, opportunity, params) {
+    throw new Error('Method buildTransactions must be implemented by child class');
+  }
+
   /**
    * Harvests yield from an investment
    * Must be implemented by child classes
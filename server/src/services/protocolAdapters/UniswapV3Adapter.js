@@ -0,0 +1,1244 @@
+const axios = require('axios');
+const { ethers } = require('ethers');
+const BigNumber = require('bignumber.js');
+const ProtocolAdapter = require('./ProtocolAdapter');
+const chainRegistry = require('../ChainRegistry');
+const priceOracleService = require('../PriceOracleService');
+const logger = require('../../config/logger');
+const apyCalculationService = require('../../utils/apyCalculationService');
+
+// Uniswap v3 contract ABIs (simplified versions)
+const positionManagerABI = [
+  "function positions(uint256 tokenId) external view returns (uint96 nonce, address operator, address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)",
+  "function balanceOf(address owner) external view returns (uint256)",
+  "function tokenOfOwnerByIndex(address owner, uint256 index) external view returns (uint256)",
+  "function mint(tuple(address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, address recipient, uint256 deadline) params) external payable returns (uint256 tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)",
+  "function increaseLiquidity(tuple(uint256 tokenId, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, uint256 deadline) params) external payable returns (uint128 liquidity, uint256 amount0, uint256 amount1)",
+  "function decreaseLiquidity(tuple(uint256 tokenId, uint128 liquidity, uint256 amount0Min, uint256 amount1Min, uint256 deadline) params) external payable returns (uint256 amount0, uint256 amount1)",
+  "function collect(tuple(uint256 tokenId, address recipient, uint128 amount0Max, uint128 amount1Max) params) external payable returns (uint256 amount0, uint256 amount1)",
+  "function burn(uint256 tokenId) external payable",
+  "function multicall(bytes[] data) external payable returns (bytes[] results)",
+  "event IncreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)",
+  "event DecreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)",
+  "event Collect(uint256 indexed tokenId, address recipient, uint256 amount0, uint256 amount1)"
+];
+
+const poolABI = [
+  "function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function liquidity() external view returns (uint128)"
+];
+
+const erc20ABI = [
+  "function approve(address spender, uint256 amount) public returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)"
+];
+
+// NonfungiblePositionManager is deployed at the same address on these chains
+const positionManagerAddresses = {
+  '1': '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
+  '137': '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
+  '10': '0xC36442b4a4522E871399CD717aBDD847Ab11FE88',
+  '42161': '0xC36442b4a4522E871399CD717aBDD847Ab11FE88'
+};
+
+// Subgraphs with pool, fee and price data
+const subgraphEndpoints = {
+  '1': 'https://api.thegraph.com/subgraphs/name/uniswap/uniswap-v3',
+  '137': 'https://api.thegraph.com/subgraphs/name/ianlapham/uniswap-v3-polygon',
+  '10': 'https://api.thegraph.com/subgraphs/name/ianlapham/optimism-post-regenesis',
+  '42161': 'https://api.thegraph.com/subgraphs/name/ianlapham/uniswap-arbitrum-one'
+};
+
+// Tick spacing for each fee tier
+const tickSpacings = {
+  100: 1,
+  500: 10,
+  3000: 60,
+  10000: 200
+};
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const Q96 = new BigNumber(2).pow(96);
+const MAX_UINT128 = ethers.BigNumber.from(2).pow(128).sub(1);
+const STABLECOINS = ['USDC', 'USDT', 'DAI', 'USDC.E', 'FRAX', 'LUSD'];
+const PRICE_CACHE_MS = 60 * 1000;
+const DEADLINE_SECONDS = 20 * 60;
+
+/**
+ * Uniswap V3 Protocol Adapter
+ * Provides integration with Uniswap v3 concentrated liquidity positions.
+ *
+ * Each pool is one opportunity. A position is an NFT of the position manager
+ * holding liquidity between two ticks; investment amounts are expressed in
+ * token0 base units, with token1 valued at the pool price. The position and
+ * its deposit basis are kept in investment.metadata.position
+ * ({ tokenId, tickLower, tickUpper, amount0, amount1 }) so impermanent loss
+ * can be measured against holding the deposited tokens.
+ */
+class UniswapV3Adapter extends ProtocolAdapter {
+  /**
+   * Constructor
+   * @param {Object} config - Configuration for the adapter
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'UniswapV3Adapter';
+    this.supportedChains = ['1', '137', '10', '42161']; // Ethereum, Polygon, Optimism, Arbitrum
+    this.rpcUrls = config.rpcUrls || {};
+    this.subgraphUrls = config.subgraphUrls || {};
+    this.minTvlUsd = config.minTvlUsd || 1000000;
+    this.maxPools = config.maxPools || 20;
+    this.rangeWidth = config.rangeWidth || 0.1; // +/-10% around the current price
+    this.slippage = config.slippage || 0.005;
+    this.priceCache = new Map();
+  }
+
+  /**
+   * Gets a provider for the specified chain
+   * @param {string} chainId - Chain ID
+   * @returns {ethers.providers.Provider} - Provider for the chain
+   * @private
+   */
+  _getProvider(chainId) {
+    if (!this.supportsChain(chainId)) {
+      throw new Error(`Chain ${chainId} not supported by Uniswap v3 adapter`);
+    }
+
+    if (this.rpcUrls[chainId]) {
+      return new ethers.providers.JsonRpcProvider(this.rpcUrls[chainId]);
+    }
+    return chainRegistry.getEvmProvider(chainId);
+  }
+
+  /**
+   * Gets the position manager contract
+   * @param {string} chainId - Chain ID
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider - Optional signer
+   * @returns {ethers.Contract} - Position manager contract
+   * @private
+   */
+  _getPositionManager(chainId, signerOrProvider) {
+    return new ethers.Contract(
+      positionManagerAddresses[chainId],
+      positionManagerABI,
+      signerOrProvider || this._getProvider(chainId)
+    );
+  }
+
+  /**
+   * Runs a subgraph query
+   * @param {string} chainId - Chain ID
+   * @param {string} query - GraphQL query
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>} - Query data
+   * @private
+   */
+  async _querySubgraph(chainId, query, variables = {}) {
+    try {
+      const url = this.subgraphUrls[chainId] ||
+        process.env[`UNISWAP_V3_SUBGRAPH_URL_${chainId}`] ||
+        subgraphEndpoints[chainId];
+      const response = await axios.post(url, { query, variables });
+
+      if (response.data.errors) {
+        throw new Error(response.data.errors.map(error => error.message).join('; '));
+      }
+
+      return response.data.data;
+    } catch (error) {
+      logger.error(`Error querying Uniswap v3 subgraph for chain ${chainId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the current pool price
+   * @private
+   */
+  async _getPoolState(chainId, poolAddress) {
+    const pool = new ethers.Contract(poolAddress, poolABI, this._getProvider(chainId));
+    const slot0 = await pool.slot0();
+
+    return {
+      sqrtPrice: new BigNumber(slot0.sqrtPriceX96.toString()).dividedBy(Q96),
+      tick: slot0.tick
+    };
+  }
+
+  /**
+   * Square root price at a tick
+   * @private
+   */
+  _sqrtPriceAtTick(tick) {
+    return new BigNumber(Math.pow(1.0001, tick / 2));
+  }
+
+  /**
+   * Token amounts held by an amount of liquidity in a range
+   * @private
+   */
+  _amountsForLiquidity(liquidity, sqrtPrice, tickLower, tickUpper) {
+    const sa = this._sqrtPriceAtTick(tickLower);
+    const sb = this._sqrtPriceAtTick(tickUpper);
+    const L = new BigNumber(liquidity.toString());
+    let amount0 = new BigNumber(0);
+    let amount1 = new BigNumber(0);
+
+    if (sqrtPrice.lte(sa)) {
+      amount0 = L.multipliedBy(sb.minus(sa)).dividedBy(sa.multipliedBy(sb));
+    } else if (sqrtPrice.gte(sb)) {
+      amount1 = L.multipliedBy(sb.minus(sa));
+    } else {
+      amount0 = L.multipliedBy(sb.minus(sqrtPrice)).dividedBy(sqrtPrice.multipliedBy(sb));
+      amount1 = L.multipliedBy(sqrtPrice.minus(sa));
+    }
+
+    return {
+      amount0: amount0.integerValue(BigNumber.ROUND_DOWN),
+      amount1: amount1.integerValue(BigNumber.ROUND_DOWN)
+    };
+  }
+
+  /**
+   * Completes a deposit pair: when only one token amount is given, the other
+   * is the amount the range needs at the current price
+   * @private
+   */
+  _pairAmounts(sqrtPrice, tickLower, tickUpper, amount0, amount1) {
+    if (amount0 !== undefined && amount1 !== undefined) {
+      return { amount0: new BigNumber(amount0), amount1: new BigNumber(amount1) };
+    }
+
+    const sa = this._sqrtPriceAtTick(tickLower);
+    const sb = this._sqrtPriceAtTick(tickUpper);
+
+    if (amount0 !== undefined) {
+      if (sqrtPrice.gte(sb)) {
+        throw new Error('Range is below the current price and only accepts token1');
+      }
+      if (sqrtPrice.lte(sa)) {
+        return { amount0: new BigNumber(amount0), amount1: new BigNumber(0) };
+      }
+
+      const liquidity = new BigNumber(amount0).multipliedBy(sqrtPrice).multipliedBy(sb).dividedBy(sb.minus(sqrtPrice));
+      return {
+        amount0: new BigNumber(amount0),
+        amount1: liquidity.multipliedBy(sqrtPrice.minus(sa)).integerValue(BigNumber.ROUND_DOWN)
+      };
+    }
+
+    if (amount1 !== undefined) {
+      if (sqrtPrice.lte(sa)) {
+        throw new Error('Range is above the current price and only accepts token0');
+      }
+      if (sqrtPrice.gte(sb)) {
+        return { amount0: new BigNumber(0), amount1: new BigNumber(amount1) };
+      }
+
+      const liquidity = new BigNumber(amount1).dividedBy(sqrtPrice.minus(sa));
+      return {
+        amount0: liquidity.multipliedBy(sb.minus(sqrtPrice)).dividedBy(sqrtPrice.multipliedBy(sb)).integerValue(BigNumber.ROUND_DOWN),
+        amount1: new BigNumber(amount1)
+      };
+    }
+
+    throw new Error('A deposit needs amount0, amount1 or amount');
+  }
+
+  /**
+   * Resolves the tick range of a deposit
+   * Explicit ticks win; otherwise rangeWidth (a fraction, or 'full') around the current price
+   * @private
+   */
+  _resolveRange(state, fee, params) {
+    const spacing = tickSpacings[fee] || 60;
+    const minTick = Math.ceil(MIN_TICK / spacing) * spacing;
+    const maxTick = Math.floor(MAX_TICK / spacing) * spacing;
+
+    if (params.tickLower !== undefined && params.tickUpper !== undefined) {
+      const tickLower = Number(params.tickLower);
+      const tickUpper = Number(params.tickUpper);
+
+      if (tickLower >= tickUpper || tickLower % spacing !== 0 || tickUpper % spacing !== 0) {
+        throw new Error(`Ticks must be ordered multiples of the tick spacing (${spacing})`);
+      }
+      return { tickLower, tickUpper };
+    }
+
+    const width = params.rangeWidth || this.rangeWidth;
+    if (width === 'full') {
+      return { tickLower: minTick, tickUpper: maxTick };
+    }
+
+    const price = state.sqrtPrice.pow(2).toNumber();
+    const lower = Math.floor(Math.log(price * (1 - width)) / Math.log(1.0001) / spacing) * spacing;
+    const upper = Math.ceil(Math.log(price * (1 + width)) / Math.log(1.0001) / spacing) * spacing;
+
+    return {
+      tickLower: Math.max(lower, minTick),
+      tickUpper: Math.min(Math.max(upper, lower + spacing), maxTick)
+    };
+  }
+
+  /**
+   * Minimum amount after slippage
+   * @private
+   */
+  _minAmount(amount, slippage) {
+    return new BigNumber(amount).multipliedBy(1 - (slippage || this.slippage)).integerValue(BigNumber.ROUND_DOWN).toFixed(0);
+  }
+
+  /**
+   * Transaction deadline
+   * @private
+   */
+  _deadline() {
+    return Math.floor(Date.now() / 1000) + DEADLINE_SECONDS;
+  }
+
+  /**
+   * Gets USD prices of the pool tokens
+   * Uses the price oracle, then subgraph prices for tokens it cannot price;
+   * a stablecoin side prices the other side at the pool price
+   * @private
+   */
+  async _getTokenPrices(chainId, extraData, state) {
+    const { token0, token1 } = extraData;
+    const cacheKey = `${chainId}:${extraData.poolAddress}`;
+    const cached = this.priceCache.get(cacheKey);
+
+    if (cached && Date.now() - cached.fetchedAt < PRICE_CACHE_MS) {
+      return cached.prices;
+    }
+
+    let [price0, price1] = await Promise.all([
+      priceOracleService.getPriceUsd(token0.symbol, { chainId, address: token0.address }),
+      priceOracleService.getPriceUsd(token1.symbol, { chainId, address: token1.address })
+    ]);
+    price0 = price0 || 0;
+    price1 = price1 || 0;
+
+    if (!price0 || !price1) {
+      try {
+        const data = await this._querySubgraph(chainId, `
+          query tokenPrices($ids: [String!]) {
+            bundle(id: "1") { ethPriceUSD }
+            tokens(where: { id_in: $ids }) { id derivedETH }
+          }
+        `, { ids: [token0.address.toLowerCase(), token1.address.toLowerCase()] });
+
+        const ethPrice = parseFloat(data.bundle.ethPriceUSD);
+        data.tokens.forEach(token => {
+          if (!price0 && token.id === token0.address.toLowerCase()) price0 = parseFloat(token.derivedETH) * ethPrice;
+          if (!price1 && token.id === token1.address.toLowerCase()) price1 = parseFloat(token.derivedETH) * ethPrice;
+        });
+      } catch (error) {
+        logger.warn(`Falling back to pool price for ${token0.symbol}/${token1.symbol}: ${error.message}`);
+      }
+    }
+
+    // Pool price: token1 per token0 in whole tokens
+    const poolPrice = state.sqrtPrice.pow(2)
+      .multipliedBy(new BigNumber(10).pow(token0.decimals - token1.decimals))
+      .toNumber();
+
+    if (!price0 && STABLECOINS.includes(token0.symbol.toUpperCase())) price0 = 1;
+    if (!price1 && STABLECOINS.includes(token1.symbol.toUpperCase())) price1 = 1;
+    if (!price0 && price1) price0 = price1 * poolPrice;
+    if (!price1 && price0 && poolPrice > 0) price1 = price0 / poolPrice;
+
+    const prices = { price0, price1 };
+    this.priceCache.set(cacheKey, { prices, fetchedAt: Date.now() });
+    return prices;
+  }
+
+  /**
+   * USD value of a pair of token amounts
+   * @private
+   */
+  _valueUsd(extraData, prices, amount0, amount1) {
+    return parseFloat(ethers.utils.formatUnits(new BigNumber(amount0).toFixed(0), extraData.token0.decimals)) * prices.price0 +
+      parseFloat(ethers.utils.formatUnits(new BigNumber(amount1).toFixed(0), extraData.token1.decimals)) * prices.price1;
+  }
+
+  /**
+   * Finds the position NFT of an investment
+   * Uses the stored token ID, otherwise the wallet's first position in the pool
+   * @private
+   */
+  async _findPosition(chainId, opportunity, walletAddress, tokenId) {
+    const positionManager = this._getPositionManager(chainId);
+    const { token0, token1, fee } = opportunity.implementationDetails.extraData;
+
+    const read = async id => {
+      const position = await positionManager.positions(id);
+      return {
+        tokenId: id.toString(),
+        tickLower: position.tickLower,
+        tickUpper: position.tickUpper,
+        liquidity: position.liquidity.toString(),
+        tokensOwed0: position.tokensOwed0.toString(),
+        tokensOwed1: position.tokensOwed1.toString(),
+        matches: position.token0.toLowerCase() === token0.address.toLowerCase() &&
+          position.token1.toLowerCase() === token1.address.toLowerCase() &&
+          position.fee === fee
+      };
+    };
+
+    if (tokenId !== undefined && tokenId !== null) {
+      const position = await read(tokenId);
+      if (!position.matches) {
+        throw new Error(`Position ${tokenId} does not belong to pool ${opportunity.implementationDetails.extraData.poolAddress}`);
+      }
+      return position;
+    }
+
+    const count = (await positionManager.balanceOf(walletAddress)).toNumber();
+    let fallback = null;
+
+    for (let index = 0; index < count; index++) {
+      const id = await positionManager.tokenOfOwnerByIndex(walletAddress, index);
+      const position = await read(id);
+      if (!position.matches) continue;
+      if (new BigNumber(position.liquidity).gt(0)) return position;
+      fallback = fallback || position;
+    }
+
+    return fallback;
+  }
+
+  /**
+   * Values an investment's position and its impermanent loss
+   * @private
+   */
+  async _valuePosition(investment) {
+    const { opportunity, walletAddress } = investment;
+    const { chainId, implementationDetails } = opportunity;
+    const extraData = implementationDetails.extraData;
+    const stored = (investment.metadata && investment.metadata.position) || {};
+
+    const position = await this._findPosition(chainId, opportunity, walletAddress, stored.tokenId);
+    const state = await this._getPoolState(chainId, extraData.poolAddress);
+    const prices = await this._getTokenPrices(chainId, extraData, state);
+
+    if (!position) {
+      return { position: null, state, prices, amount0: new BigNumber(0), amount1: new BigNumber(0), amount: new BigNumber(0), amountUsd: 0, hodlValueUsd: null };
+    }
+
+    const { amount0, amount1 } = this._amountsForLiquidity(position.liquidity, state.sqrtPrice, position.tickLower, position.tickUpper);
+
+    // token1 converted to token0 units at the pool price
+    const priceRaw = state.sqrtPrice.pow(2);
+    const amount = amount0.plus(priceRaw.gt(0) ? amount1.dividedBy(priceRaw) : 0).integerValue(BigNumber.ROUND_DOWN);
+
+    const hasBasis = stored.amount0 !== undefined && stored.amount1 !== undefined;
+
+    return {
+      position,
+      state,
+      prices,
+      amount0,
+      amount1,
+      amount,
+      amountUsd: this._valueUsd(extraData, prices, amount0, amount1),
+      deposit: hasBasis ? { amount0: stored.amount0, amount1: stored.amount1 } : null,
+      hodlValueUsd: hasBasis ? this._valueUsd(extraData, prices, stored.amount0, stored.amount1) : null
+    };
+  }
+
+  /**
+   * Impermanent loss of a share of a valued position against holding the deposited tokens
+   * @private
+   */
+  _impermanentLoss(valuation, share) {
+    if (!valuation.deposit) {
+      return null;
+    }
+
+    const hodlValueUsd = valuation.hodlValueUsd * share;
+    const positionValueUsd = valuation.amountUsd * share;
+    const impermanentLossUsd = positionValueUsd - hodlValueUsd;
+
+    return {
+      impermanentLossUsd, // Negative for a loss
+      hodlValueUsd,
+      positionValueUsd,
+      percentage: hodlValueUsd > 0 ? (impermanentLossUsd / hodlValueUsd) * 100 : 0,
+      share,
+      remainingDeposit: {
+        amount0: new BigNumber(valuation.deposit.amount0).multipliedBy(1 - share).integerValue(BigNumber.ROUND_DOWN).toFixed(0),
+        amount1: new BigNumber(valuation.deposit.amount1).multipliedBy(1 - share).integerValue(BigNumber.ROUND_DOWN).toFixed(0)
+      }
+    };
+  }
+
+  /**
+   * Share of the position covered by a token0-denominated amount
+   * @private
+   */
+  _share(valuation, amount) {
+    if (amount === undefined || amount === 'max' || valuation.amount.isZero()) {
+      return 1;
+    }
+    return Math.min(1, new BigNumber(amount).dividedBy(valuation.amount).toNumber());
+  }
+
+  /**
+   * Fee APY samples from daily pool data
+   * @private
+   */
+  _feeApy(dayData) {
+    const samples = dayData
+      .filter(day => parseFloat(day.tvlUSD) > 0)
+      .map(day => apyCalculationService.calculateApy(parseFloat(day.feesUSD) / parseFloat(day.tvlUSD), 365));
+    const stats = values => ({
+      min: values.length ? Math.min(...values) : 0,
+      max: values.length ? Math.max(...values) : 0,
+      mean: values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0
+    });
+    const week = stats(samples.slice(0, 7));
+    const month = stats(samples.slice(0, 30));
+
+    return {
+      current: samples.length ? samples[0] : 0,
+      min7d: week.min,
+      max7d: week.max,
+      mean7d: week.mean,
+      min30d: month.min,
+      max30d: month.max,
+      mean30d: month.mean
+    };
+  }
+
+  /**
+   * Gets yield opportunities from Uniswap v3
+   * @param {string} chainId - Chain ID to query
+   * @returns {Promise<Array>} - Array of yield opportunities
+   */
+  async getYieldOpportunities(chainId) {
+    try {
+      if (!this.supportsChain(chainId)) {
+        return [];
+      }
+
+      const data = await this._querySubgraph(chainId, `
+        query pools($first: Int!, $minTvl: BigDecimal!) {
+          pools(first: $first, orderBy: totalValueLockedUSD, orderDirection: desc, where: { totalValueLockedUSD_gt: $minTvl }) {
+            id
+            feeTier
+            totalValueLockedUSD
+            token0 { id symbol name decimals }
+            token1 { id symbol name decimals }
+            poolDayData(first: 30, orderBy: date, orderDirection: desc) { date feesUSD tvlUSD }
+          }
+        }
+      `, { first: this.maxPools, minTvl: String(this.minTvlUsd) });
+
+      return data.pools.map(pool => {
+        const fee = Number(pool.feeTier);
+        const token0 = { address: ethers.utils.getAddress(pool.token0.id), symbol: pool.token0.symbol, decimals: Number(pool.token0.decimals) };
+        const token1 = { address: ethers.utils.getAddress(pool.token1.id), symbol: pool.token1.symbol, decimals: Number(pool.token1.decimals) };
+        const stablePair = STABLECOINS.includes(token0.symbol.toUpperCase()) && STABLECOINS.includes(token1.symbol.toUpperCase());
+        const pairName = `${token0.symbol}/${token1.symbol} ${fee / 10000}%`;
+
+        return {
+          name: `Uniswap V3 ${pairName}`,
+          asset: ethers.utils.getAddress(pool.id),
+          assetName: pairName,
+          assetSymbol: `${token0.symbol}-${token1.symbol}`,
+          assetDecimals: token0.decimals, // Amounts are expressed in token0
+          assetAddress: ethers.utils.getAddress(pool.id),
+          chainId,
+          apy: this._feeApy(pool.poolDayData), // Full-range fee APY; narrower ranges earn more while in range
+          tvlUsd: parseFloat(pool.totalValueLockedUSD),
+          riskLevel: stablePair ? 'low' : 'high',
+          strategyType: 'liquidity_providing',
+          implementationDetails: {
+            contractAddress: positionManagerAddresses[chainId],
+            approvalAddress: positionManagerAddresses[chainId],
+            adapter: this.name,
+            methodName: 'mint',
+            withdrawMethodName: 'decreaseLiquidity',
+            extraData: {
+              poolAddress: ethers.utils.getAddress(pool.id),
+              fee,
+              tickSpacing: tickSpacings[fee],
+              token0,
+              token1,
+              defaultRangeWidth: this.rangeWidth
+            }
+          },
+          rewardTokens: [token0, token1],
+          depositFee: 0,
+          withdrawalFee: 0,
+          harvestable: true, // Trading fees are collected from the position
+          compoundable: true, // Collected fees can be added back as liquidity
+          autocompounding: false,
+          tags: ['liquidity', 'concentrated-liquidity', 'uniswap-v3', stablePair ? 'stable-pair' : 'volatile-pair'],
+          liquidityProfile: {
+            lockTime: 0,
+            withdrawalWindow: 'anytime',
+            unlockTime: null
+          },
+          status: 'active'
+        };
+      });
+    } catch (error) {
+      logger.error(`Error getting Uniswap v3 yield opportunities for chain ${chainId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets APY data for a specific Uniswap v3 pool
+   * @param {Object} opportunity - Yield opportunity object
+   * @returns {Promise<Object>} - APY data
+   */
+  async getApyData(opportunity) {
+    try {
+      const { chainId, implementationDetails } = opportunity;
+      const data = await this._querySubgraph(chainId, `
+        query pool($id: ID!) {
+          pool(id: $id) {
+            poolDayData(first: 30, orderBy: date, orderDirection: desc) { date feesUSD tvlUSD }
+          }
+        }
+      `, { id: implementationDetails.extraData.poolAddress.toLowerCase() });
+
+      if (!data.pool) {
+        throw new Error(`Pool ${implementationDetails.extraData.poolAddress} not found on chain ${chainId}`);
+      }
+
+      return this._feeApy(data.pool.poolDayData);
+    } catch (error) {
+      logger.error(`Error getting Uniswap v3 APY data: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets TVL for a specific Uniswap v3 pool
+   * @param {Object} opportunity - Yield opportunity object
+   * @returns {Promise<number>} - TVL in USD
+   */
+  async getTvl(opportunity) {
+    try {
+      const { chainId, implementationDetails } = opportunity;
+      const data = await this._querySubgraph(chainId, `
+        query pool($id: ID!) {
+          pool(id: $id) { totalValueLockedUSD }
+        }
+      `, { id: implementationDetails.extraData.poolAddress.toLowerCase() });
+
+      if (!data.pool) {
+        throw new Error(`Pool ${implementationDetails.extraData.poolAddress} not found on chain ${chainId}`);
+      }
+
+      return parseFloat(data.pool.totalValueLockedUSD);
+    } catch (error) {
+      logger.error(`Error getting Uniswap v3 TVL: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolves the range and token amounts of a deposit
+   * @private
+   */
+  async _prepareDeposit(opportunity, params) {
+    const { chainId, implementationDetails } = opportunity;
+    const extraData = implementationDetails.extraData;
+    const state = await this._getPoolState(chainId, extraData.poolAddress);
+
+    let range;
+    if (params.tokenId !== undefined) {
+      const position = await this._findPosition(chainId, opportunity, params.userAddress, params.tokenId);
+      range = { tickLower: position.tickLower, tickUpper: position.tickUpper };
+    } else {
+      range = this._resolveRange(state, extraData.fee, params);
+    }
+
+    // A plain amount is read as token0
+    const amount0 = params.amount0 !== undefined ? params.amount0 : params.amount;
+    const amounts = this._pairAmounts(state.sqrtPrice, range.tickLower, range.tickUpper, amount0, params.amount1);
+
+    return { ...range, amount0: amounts.amount0.toFixed(0), amount1: amounts.amount1.toFixed(0) };
+  }
+
+  /**
+   * Encodes the position manager call of a deposit
+   * @private
+   */
+  _encodeDeposit(opportunity, prepared, params) {
+    const positionManager = new ethers.utils.Interface(positionManagerABI);
+    const { token0, token1, fee } = opportunity.implementationDetails.extraData;
+    const amount0Min = this._minAmount(prepared.amount0, params.slippage);
+    const amount1Min = this._minAmount(prepared.amount1, params.slippage);
+
+    if (params.tokenId !== undefined) {
+      return positionManager.encodeFunctionData('increaseLiquidity', [{
+        tokenId: params.tokenId,
+        amount0Desired: prepared.amount0,
+        amount1Desired: prepared.amount1,
+        amount0Min,
+        amount1Min,
+        deadline: this._deadline()
+      }]);
+    }
+
+    return positionManager.encodeFunctionData('mint', [{
+      token0: token0.address,
+      token1: token1.address,
+      fee,
+      tickLower: prepared.tickLower,
+      tickUpper: prepared.tickUpper,
+      amount0Desired: prepared.amount0,
+      amount1Desired: prepared.amount1,
+      amount0Min,
+      amount1Min,
+      recipient: params.userAddress,
+      deadline: this._deadline()
+    }]);
+  }
+
+  /**
+   * Encodes the multicall removing liquidity and collecting the tokens
+   * @private
+   */
+  _encodeWithdraw(tokenId, liquidity, expected, recipient, closing, slippage) {
+    const positionManager = new ethers.utils.Interface(positionManagerABI);
+    const calls = [
+      positionManager.encodeFunctionData('decreaseLiquidity', [{
+        tokenId,
+        liquidity,
+        amount0Min: this._minAmount(expected.amount0, slippage),
+        amount1Min: this._minAmount(expected.amount1, slippage),
+        deadline: this._deadline()
+      }]),
+      positionManager.encodeFunctionData('collect', [{
+        tokenId,
+        recipient,
+        amount0Max: MAX_UINT128,
+        amount1Max: MAX_UINT128
+      }])
+    ];
+
+    if (closing) {
+      calls.push(positionManager.encodeFunctionData('burn', [tokenId]));
+    }
+
+    return positionManager.encodeFunctionData('multicall', [calls]);
+  }
+
+  /**
+   * Approves a token for the position manager when the allowance is short
+   * @private
+   */
+  async _ensureAllowance(chainId, token, wallet, amount, gasPrice) {
+    if (new BigNumber(amount).isZero()) {
+      return;
+    }
+
+    const tokenContract = new ethers.Contract(token.address, erc20ABI, wallet);
+    const allowance = await tokenContract.allowance(wallet.address, positionManagerAddresses[chainId]);
+
+    if (allowance.lt(amount)) {
+      const approvalTx = await tokenContract.approve(
+        positionManagerAddresses[chainId],
+        ethers.constants.MaxUint256,
+        { gasPrice, gasLimit: 100000 }
+      );
+      await approvalTx.wait();
+      logger.info(`Approved Uniswap v3 position manager for ${token.symbol}`);
+    }
+  }
+
+  /**
+   * Parses position manager events from a receipt
+   * @private
+   */
+  _parseEvents(receipt) {
+    const positionManager = new ethers.utils.Interface(positionManagerABI);
+    const events = {};
+
+    receipt.logs.forEach(log => {
+      try {
+        const parsed = positionManager.parseLog(log);
+        events[parsed.name] = parsed.args;
+      } catch (error) {
+        // Not a position manager event
+      }
+    });
+
+    return events;
+  }
+
+  /**
+   * Opens a range position, or adds to one when params.tokenId is given
+   * @param {Object} opportunity - Yield opportunity object
+   * @param {Object} params - Deposit parameters: amount0/amount1 (or amount as token0),
+   *   tickLower/tickUpper or rangeWidth, slippage, tokenId, userAddress, privateKey
+   * @returns {Promise<Object>} - Transaction data with the position to store on the investment
+   */
+  async deposit(opportunity, params) {
+    try {
+      const { chainId, implementationDetails } = opportunity;
+      const { token0, token1 } = implementationDetails.extraData;
+      const { privateKey, gasPrice, gasLimit } = params;
+
+      const provider = this._getProvider(chainId);
+      const wallet = new ethers.Wallet(privateKey, provider);
+      const prepared = await this._prepareDeposit(opportunity, params);
+
+      await this._ensureAllowance(chainId, token0, wallet, prepared.amount0, gasPrice);
+      await this._ensureAllowance(chainId, token1, wallet, prepared.amount1, gasPrice);
+
+      const depositTx = await wallet.sendTransaction({
+        to: positionManagerAddresses[chainId],
+        data: this._encodeDeposit(opportunity, prepared, params),
+        gasPrice,
+        gasLimit: gasLimit || 500000
+      });
+
+      // Wait for transaction to be mined
+      const receipt = await depositTx.wait();
+      const { IncreaseLiquidity } = this._parseEvents(receipt);
+
+      return {
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status === 1 ? 'success' : 'failed',
+        position: IncreaseLiquidity ? {
+          tokenId: IncreaseLiquidity.tokenId.toString(),
+          tickLower: prepared.tickLower,
+          tickUpper: prepared.tickUpper,
+          liquidity: IncreaseLiquidity.liquidity.toString(),
+          amount0: IncreaseLiquidity.amount0.toString(),
+          amount1: IncreaseLiquidity.amount1.toString()
+        } : null
+      };
+    } catch (error) {
+      logger.error(`Error depositing to Uniswap v3: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Removes liquidity from a position and collects the tokens
+   * Uncollected fees are collected in the same call and reported separately
+   * @param {Object} investment - Investment object
+   * @param {Object} params - Withdrawal parameters: amount in token0 base units or 'max', slippage, privateKey
+   * @returns {Promise<Object>} - Transaction data with the realized impermanent loss
+   */
+  async withdraw(investment, params) {
+    try {
+      const { opportunity, walletAddress } = investment;
+      const { chainId } = opportunity;
+      const { amount, privateKey, gasPrice, gasLimit, slippage } = params;
+
+      const valuation = await this._valuePosition(investment);
+      if (!valuation.position) {
+        throw new Error(`No Uniswap v3 position found for ${walletAddress}`);
+      }
+
+      const share = this._share(valuation, amount);
+      const liquidity = share === 1
+        ? valuation.position.liquidity
+        : new BigNumber(valuation.position.liquidity).multipliedBy(share).integerValue(BigNumber.ROUND_DOWN).toFixed(0);
+      const expected = this._amountsForLiquidity(liquidity, valuation.state.sqrtPrice, valuation.position.tickLower, valuation.position.tickUpper);
+      const impermanentLoss = this._impermanentLoss(valuation, share);
+
+      const provider = this._getProvider(chainId);
+      const wallet = new ethers.Wallet(privateKey, provider);
+      const withdrawTx = await wallet.sendTransaction({
+        to: positionManagerAddresses[chainId],
+        data: this._encodeWithdraw(valuation.position.tokenId, liquidity, expected, walletAddress, share === 1, slippage),
+        gasPrice,
+        gasLimit: gasLimit || 400000
+      });
+
+      // Wait for transaction to be mined
+      const receipt = await withdrawTx.wait();
+      const { DecreaseLiquidity, Collect } = this._parseEvents(receipt);
+      const principal0 = DecreaseLiquidity ? DecreaseLiquidity.amount0 : ethers.BigNumber.from(0);
+      const principal1 = DecreaseLiquidity ? DecreaseLiquidity.amount1 : ethers.BigNumber.from(0);
+
+      return {
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status === 1 ? 'success' : 'failed',
+        tokenId: valuation.position.tokenId,
+        liquidity,
+        amount0: principal0.toString(),
+        amount1: principal1.toString(),
+        feesCollected: {
+          amount0: Collect ? Collect.amount0.sub(principal0).toString() : '0',
+          amount1: Collect ? Collect.amount1.sub(principal1).toString() : '0'
+        },
+        impermanentLoss
+      };
+    } catch (error) {
+      logger.error(`Error withdrawing from Uniswap v3: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Builds the unsigned calls for a deposit or withdrawal
+   * @param {string} action - deposit or withdraw
+   * @param {Object} opportunity - Yield opportunity object
+   * @param {Object} params - Amount in token0 base units (or amount0/amount1) and user address
+   * @returns {Promise<Array>} - Ordered calls
+   */
+  async buildTransactions(action, opportunity, params) {
+    const { chainId, implementationDetails } = opportunity;
+    const { token0, token1 } = implementationDetails.extraData;
+    const token = new ethers.utils.Interface(erc20ABI);
+    const positionManager = positionManagerAddresses[chainId];
+
+    switch (action) {
+      case 'deposit': {
+        const prepared = await this._prepareDeposit(opportunity, params);
+        const approvals = [[token0, prepared.amount0], [token1, prepared.amount1]]
+          .filter(([, amount]) => new BigNumber(amount).gt(0))
+          .map(([approved, amount]) => ({
+            to: approved.address,
+            data: token.encodeFunctionData('approve', [positionManager, amount]),
+            value: '0',
+            kind: 'approve',
+            description: `Approve Uniswap v3 position manager for ${approved.symbol}`
+          }));
+
+        return [
+          ...approvals,
+          {
+            to: positionManager,
+            data: this._encodeDeposit(opportunity, prepared, params),
+            value: '0',
+            kind: 'deposit',
+            description: `Provide ${opportunity.assetName} liquidity between ticks ${prepared.tickLower} and ${prepared.tickUpper}`
+          }
+        ];
+      }
+      case 'withdraw': {
+        const valuation = await this._valuePosition({
+          opportunity,
+          walletAddress: params.userAddress,
+          metadata: { position: params.tokenId !== undefined ? { tokenId: params.tokenId } : undefined }
+        });
+        if (!valuation.position) {
+          throw new Error(`No Uniswap v3 position found for ${params.userAddress}`);
+        }
+
+        const share = this._share(valuation, params.amount);
+        const liquidity = new BigNumber(valuation.position.liquidity).multipliedBy(share).integerValue(BigNumber.ROUND_DOWN).toFixed(0);
+        const expected = this._amountsForLiquidity(liquidity, valuation.state.sqrtPrice, valuation.position.tickLower, valuation.position.tickUpper);
+
+        return [
+          {
+            to: positionManager,
+            data: this._encodeWithdraw(valuation.position.tokenId, liquidity, expected, params.userAddress, share === 1, params.slippage),
+            value: '0',
+            kind: 'withdraw',
+            description: `Remove ${opportunity.assetName} liquidity`
+          }
+        ];
+      }
+      default:
+        throw new Error(`Action ${action} not supported by Uniswap v3 adapter`);
+    }
+  }
+
+  /**
+   * Gets current balance of a position
+   * The amount is in token0 base units; amountUsd excludes uncollected fees
+   * @param {Object} investment - Investment object
+   * @returns {Promise<Object>} - Balance data with unrealized impermanent loss
+   */
+  async getBalance(investment) {
+    try {
+      const valuation = await this._valuePosition(investment);
+      const decimals = investment.opportunity.implementationDetails.extraData.token0.decimals;
+
+      return {
+        amount: valuation.amount.toFixed(0),
+        amountFormatted: ethers.utils.formatUnits(valuation.amount.toFixed(0), decimals),
+        amountUsd: valuation.amountUsd,
+        amount0: valuation.amount0.toFixed(0),
+        amount1: valuation.amount1.toFixed(0),
+        tokenId: valuation.position ? valuation.position.tokenId : null,
+        liquidity: valuation.position ? valuation.position.liquidity : '0',
+        tickLower: valuation.position ? valuation.position.tickLower : null,
+        tickUpper: valuation.position ? valuation.position.tickUpper : null,
+        inRange: valuation.position
+          ? valuation.state.tick >= valuation.position.tickLower && valuation.state.tick < valuation.position.tickUpper
+          : false,
+        impermanentLoss: valuation.position ? this._impermanentLoss(valuation, 1) : null
+      };
+    } catch (error) {
+      logger.error(`Error getting Uniswap v3 investment balance: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Impermanent loss of withdrawing an amount from a position
+   * @param {Object} investment - Investment object
+   * @param {Object} params - amount in token0 base units or 'max'
+   * @returns {Promise<Object|null>} - Impermanent loss, or null without a deposit basis
+   */
+  async getImpermanentLoss(investment, params = {}) {
+    try {
+      const valuation = await this._valuePosition(investment);
+      if (!valuation.position) {
+        return null;
+      }
+
+      return this._impermanentLoss(valuation, this._share(valuation, params.amount));
+    } catch (error) {
+      logger.error(`Error getting Uniswap v3 impermanent loss: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets uncollected trading fees of a position
+   * @param {Object} investment - Investment object
+   * @returns {Promise<Array>} - Fee tokens and amounts
+   */
+  async getClaimableRewards(investment) {
+    try {
+      const { opportunity, walletAddress } = investment;
+      const { chainId, implementationDetails } = opportunity;
+      const extraData = implementationDetails.extraData;
+      const stored = (investment.metadata && investment.metadata.position) || {};
+
+      const position = await this._findPosition(chainId, opportunity, walletAddress, stored.tokenId);
+      if (!position) {
+        return [];
+      }
+
+      // collect() called statically by the owner returns the fees owed, including unsynced growth
+      const positionManager = this._getPositionManager(chainId);
+      const fees = await positionManager.callStatic.collect(
+        { tokenId: position.tokenId, recipient: walletAddress, amount0Max: MAX_UINT128, amount1Max: MAX_UINT128 },
+        { from: walletAddress }
+      );
+
+      const state = await this._getPoolState(chainId, extraData.poolAddress);
+      const prices = await this._getTokenPrices(chainId, extraData, state);
+
+      return [[extraData.token0, fees.amount0, prices.price0], [extraData.token1, fees.amount1, prices.price1]]
+        .filter(([, amount]) => amount.gt(0))
+        .map(([token, amount, price]) => {
+          const amountFormatted = ethers.utils.formatUnits(amount, token.decimals);
+          return {
+            symbol: token.symbol,
+            address: token.address,
+            decimals: token.decimals,
+            amount: amount.toString(),
+            amountFormatted,
+            amountUsd: parseFloat(amountFormatted) * price
+          };
+        });
+    } catch (error) {
+      logger.error(`Error getting Uniswap v3 claimable fees: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Collects trading fees of a position to the wallet
+   * @param {Object} investment - Investment object
+   * @returns {Promise<Object>} - Harvest transaction data
+   */
+  async harvest(investment) {
+    try {
+      const rewards = await this.getClaimableRewards(investment);
+      if (rewards.length === 0) {
+        return {
+          status: 'no_rewards',
+          message: 'No fees available to collect'
+        };
+      }
+
+      const { opportunity, walletAddress } = investment;
+      const stored = (investment.metadata && investment.metadata.position) || {};
+      const position = await this._findPosition(opportunity.chainId, opportunity, walletAddress, stored.tokenId);
+
+      const wallet = new ethers.Wallet(investment.privateKey, this._getProvider(opportunity.chainId));
+      const positionManager = this._getPositionManager(opportunity.chainId, wallet);
+      const collectTx = await positionManager.collect(
+        { tokenId: position.tokenId, recipient: walletAddress, amount0Max: MAX_UINT128, amount1Max: MAX_UINT128 },
+        { gasLimit: 200000 }
+      );
+
+      // Wait for transaction to be mined
+      const receipt = await collectTx.wait();
+      const { Collect } = this._parseEvents(receipt);
+
+      return {
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status === 1 ? 'success' : 'failed',
+        amount0: Collect ? Collect.amount0.toString() : '0',
+        amount1: Collect ? Collect.amount1.toString() : '0',
+        rewards
+      };
+    } catch (error) {
+      logger.error(`Error in Uniswap v3 harvest operation: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Collects trading fees and adds them back to the position
+   * Fees that do not fit the position's current ratio stay in the wallet
+   * @param {Object} investment - Investment object
+   * @returns {Promise<Object>} - Compound transaction data
+   */
+  async compound(investment) {
+    try {
+      const harvestResult = await this.harvest(investment);
+      if (harvestResult.status !== 'success') {
+        return harvestResult;
+      }
+
+      const { opportunity } = investment;
+      const { chainId, implementationDetails } = opportunity;
+      const { token0, token1 } = implementationDetails.extraData;
+      const stored = (investment.metadata && investment.metadata.position) || {};
+      const position = await this._findPosition(chainId, opportunity, investment.walletAddress, stored.tokenId);
+
+      const wallet = new ethers.Wallet(investment.privateKey, this._getProvider(chainId));
+      await this._ensureAllowance(chainId, token0, wallet, harvestResult.amount0);
+      await this._ensureAllowance(chainId, token1, wallet, harvestResult.amount1);
+
+      const positionManager = this._getPositionManager(chainId, wallet);
+      const increaseTx = await positionManager.increaseLiquidity({
+        tokenId: position.tokenId,
+        amount0Desired: harvestResult.amount0,
+        amount1Desired: harvestResult.amount1,
+        amount0Min: 0, // Whatever fits the current ratio
+        amount1Min: 0,
+        deadline: this._deadline()
+      }, { gasLimit: 300000 });
+
+      // Wait for transaction to be mined
+      const receipt = await increaseTx.wait();
+      const { IncreaseLiquidity } = this._parseEvents(receipt);
+
+      return {
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status === 1 ? 'success' : 'failed',
+        harvestTransactionHash: harvestResult.transactionHash,
+        liquidityAdded: IncreaseLiquidity ? IncreaseLiquidity.liquidity.toString() : '0',
+        amount0: IncreaseLiquidity ? IncreaseLiquidity.amount0.toString() : '0',
+        amount1: IncreaseLiquidity ? IncreaseLiquidity.amount1.toString() : '0',
+        rewards: harvestResult.rewards
+      };
+    } catch (error) {
+      logger.error(`Error in Uniswap v3 compound operation: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets transaction status
+   * @param {string} chainId - Chain ID
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<Object>} - Transaction status
+   */
+  async getTransactionStatus(chainId, txHash) {
+    try {
+      const provider = this._getProvider(chainId);
+      const tx = await provider.getTransaction(txHash);
+
+      if (!tx) {
+        return { status: 'not_found' };
+      }
+
+      if (!tx.blockNumber) {
+        return { status: 'pending' };
+      }
+
+      const receipt = await provider.getTransactionReceipt(txHash);
+
+      return {
+        status: receipt.status === 1 ? 'success' : 'failed',
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        confirmations: tx.confirmations
+      };
+    } catch (error) {
+      logger.error(`Error getting transaction status: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Validates an investment address
+   * @param {Object} opportunity - Yield opportunity object
+   * @param {string} address - Address to validate
+   * @returns {Promise<boolean>} - True if address is valid for this protocol
+   */
+  async validateAddress(opportunity, address) {
+    try {
+      // Check if address is a valid Ethereum address
+      return ethers.utils.isAddress(address);
+    } catch (error) {
+      logger.error(`Error validating address: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Gets gas cost estimate for a transaction
+   * @param {string} chainId - Chain ID
+   * @param {string} methodName - deposit or withdraw
+   * @param {Object} params - { opportunity, amount, userAddress, ... } as for buildTransactions
+   * @returns {Promise<Object>} - Gas estimate data
+   */
+  async estimateGas(chainId, methodName, params) {
+    try {
+      const provider = this._getProvider(chainId);
+      const calls = await this.buildTransactions(methodName, params.opportunity, params);
+
+      // Sum the estimate of each call; the position call assumes its approvals are in place
+      let gasEstimate = ethers.BigNumber.from(0);
+      for (const call of calls) {
+        gasEstimate = gasEstimate.add(await provider.estimateGas({
+          from: params.userAddress,
+          to: call.to,
+          data: call.data,
+          value: call.value
+        }));
+      }
+
+      // Get current gas price
+      const gasPrice = await provider.getGasPrice();
+
+      // Calculate cost in ETH
+      const costWei = gasEstimate.mul(gasPrice);
+      const costEth = ethers.utils.formatEther(costWei);
+
+      return {
+        gasEstimate: gasEstimate.toString(),
+        gasPrice: gasPrice.toString(),
+        costWei: costWei.toString(),
+        costEth
+      };
+    } catch (error) {
+      logger.error(`Error estimating gas: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = UniswapV3Adapter;
@@ -0,0 +1,292 @@
+const { ethers } = require('ethers');
+const SimulationBackend = require('./SimulationBackend');
+const logger = require('../../config/logger');
+
+const erc20ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function decimals() view returns (uint8)'
+];
+
+// Error(string) and Panic(uint256) selectors
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Native balance given to impersonated holders so gas never causes a revert
+const GAS_FUNDING_WEI = ethers.utils.parseEther('1000');
+
+/**
+ * Fork Simulation Backend
+ * Runs calls against a forked EVM node (anvil or hardhat). Every session takes
+ * a snapshot first and reverts to it at the end, so the fork can be reused.
+ * Holders are impersonated, so no keys are needed.
+ *
+ * Fork endpoints are read from SIMULATION_FORK_RPC_URL_<chainId>, falling back
+ * to SIMULATION_FORK_RPC_URL for single-chain setups.
+ */
+class ForkSimulationBackend extends SimulationBackend {
+  /**
+   * Constructor
+   * @param {Object} config - Configuration
+   * @param {Object} config.rpcUrls - Fork RPC URL per chain ID
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'fork';
+    this.rpcUrls = config.rpcUrls || {};
+    this.providers = new Map();
+    this.decimals = new Map();
+  }
+
+  /**
+   * Get the fork RPC URL for a chain
+   * @param {string} chainId - Chain ID
+   * @returns {string|undefined} - RPC URL
+   */
+  getRpcUrl(chainId) {
+    return this.rpcUrls[chainId] ||
+      process.env[`SIMULATION_FORK_RPC_URL_${chainId}`] ||
+      process.env.SIMULATION_FORK_RPC_URL;
+  }
+
+  /**
+   * Whether a fork is configured for a chain
+   * @param {string} chainId - Chain ID
+   * @returns {boolean} - True if a fork is available
+   */
+  hasFork(chainId) {
+    return Boolean(this.getRpcUrl(chainId));
+  }
+
+  canExecute(call) {
+    return Boolean(call && call.to && call.data && this.hasFork(call.chainId));
+  }
+
+  /**
+   * Start a session; forks are snapshotted lazily on first use
+   * @returns {Promise<Object>} - Session
+   */
+  async begin() {
+    return {
+      snapshots: new Map(),
+      blockNumbers: {},
+      funded: new Set()
+    };
+  }
+
+  async getBalance(session, chainId, holder, token) {
+    if (!this.hasFork(chainId)) {
+      return null;
+    }
+
+    const provider = await this._prepare(session, chainId);
+
+    if (!token || token === 'native') {
+      const balance = await provider.getBalance(holder);
+      return ethers.utils.formatEther(balance);
+    }
+
+    // Only ERC20 balances can be read from the fork
+    if (!ethers.utils.isAddress(token)) {
+      return null;
+    }
+
+    const contract = new ethers.Contract(token, erc20ABI, provider);
+    const [balance, decimals] = await Promise.all([
+      contract.balanceOf(holder),
+      this._getDecimals(chainId, contract)
+    ]);
+
+    return ethers.utils.formatUnits(balance, decimals);
+  }
+
+  async execute(session, call) {
+    const provider = await this._prepare(session, call.chainId);
+    await this._impersonate(session, provider, call.chainId, call.from);
+
+    const request = {
+      from: call.from,
+      to: call.to,
+      data: call.data,
+      value: call.value ? ethers.BigNumber.from(call.value).toHexString() : '0x0'
+    };
+
+    // A static call surfaces the revert reason without mining anything
+    try {
+      await provider.call(request);
+    } catch (error) {
+      return {
+        success: false,
+        gasUsed: '0',
+        gasPrice: (await provider.getGasPrice()).toString(),
+        revertReason: this._decodeRevertReason(error)
+      };
+    }
+
+    try {
+      const txHash = await provider.send('eth_sendTransaction', [request]);
+      const receipt = await provider.waitForTransaction(txHash);
+      const gasPrice = receipt.effectiveGasPrice || await provider.getGasPrice();
+
+      return {
+        success: receipt.status === 1,
+        gasUsed: receipt.gasUsed.toString(),
+        gasPrice: gasPrice.toString(),
+        txHash,
+        revertReason: receipt.status === 1 ? undefined : 'Transaction reverted without a reason'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        gasUsed: '0',
+        gasPrice: (await provider.getGasPrice()).toString(),
+        revertReason: this._decodeRevertReason(error)
+      };
+    }
+  }
+
+  async end(session) {
+    for (const [chainId, snapshotId] of session.snapshots.entries()) {
+      try {
+        await this._getProvider(chainId).send('evm_revert', [snapshotId]);
+      } catch (error) {
+        logger.error(`Error reverting fork snapshot on chain ${chainId}: ${error.message}`);
+      }
+    }
+
+    session.snapshots.clear();
+  }
+
+  /**
+   * Get the provider for a chain
+   * @private
+   */
+  _getProvider(chainId) {
+    if (!this.providers.has(chainId)) {
+      const url = this.getRpcUrl(chainId);
+      if (!url) {
+        throw new Error(`No fork node configured for chain ${chainId}`);
+      }
+      this.providers.set(chainId, new ethers.providers.JsonRpcProvider(url));
+    }
+
+    return this.providers.get(chainId);
+  }
+
+  /**
+   * Snapshot the fork the first time a session touches it
+   * @private
+   */
+  async _prepare(session, chainId) {
+    const provider = this._getProvider(chainId);
+
+    if (!session.snapshots.has(chainId)) {
+      session.snapshots.set(chainId, await provider.send('evm_snapshot', []));
+      session.blockNumbers[chainId] = await provider.getBlockNumber();
+    }
+
+    return provider;
+  }
+
+  /**
+   * Impersonate a holder and fund it for gas
+   * anvil and hardhat expose the same methods under different prefixes
+   * @private
+   */
+  async _impersonate(session, provider, chainId, holder) {
+    const key = `${chainId}:${holder.toLowerCase()}`;
+    if (session.funded.has(key)) {
+      return;
+    }
+
+    await this._sendWithFallback(provider, 'impersonateAccount', [holder]);
+
+    const balance = await provider.getBalance(holder);
+    if (balance.lt(GAS_FUNDING_WEI)) {
+      await this._sendWithFallback(provider, 'setBalance', [holder, GAS_FUNDING_WEI.toHexString()]);
+    }
+
+    session.funded.add(key);
+  }
+
+  /**
+   * Call an anvil_ method, falling back to its hardhat_ equivalent
+   * @private
+   */
+  async _sendWithFallback(provider, method, params) {
+    try {
+      return await provider.send(`anvil_${method}`, params);
+    } catch (error) {
+      return provider.send(`hardhat_${method}`, params);
+    }
+  }
+
+  /**
+   * Get (and cache) token decimals
+   * @private
+   */
+  async _getDecimals(chainId, contract) {
+    const key = `${chainId}:${contract.address.toLowerCase()}`;
+    if (!this.decimals.has(key)) {
+      this.decimals.set(key, await contract.decimals());
+    }
+    return this.decimals.get(key);
+  }
+
+  /**
+   * Extract a readable revert reason from a provider error
+   * @private
+   */
+  _decodeRevertReason(error) {
+    const data = this._findRevertData(error);
+
+    if (data && data.startsWith(ERROR_SELECTOR)) {
+      try {
+        return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(10)}`)[0];
+      } catch (decodeError) {
+        return data;
+      }
+    }
+
+    if (data && data.startsWith(PANIC_SELECTOR)) {
+      const code = ethers.BigNumber.from(`0x${data.slice(10)}`);
+      return `Panic(0x${code.toHexString().slice(2).padStart(2, '0')})`;
+    }
+
+    if (data && data !== '0x') {
+      return `Custom error ${data.slice(0, 10)}`;
+    }
+
+    return error.reason || error.message;
+  }
+
+  /**
+   * Revert data is nested differently depending on the node and ethers version
+   * @private
+   */
+  _findRevertData(error) {
+    const candidates = [
+      error.data,
+      error.error && error.error.data,
+      error.error && error.error.error && error.error.error.data
+    ];
+
+    if (error.body) {
+      try {
+        const body = JSON.parse(error.body);
+        candidates.push(body.error && body.error.data);
+      } catch (parseError) {
+        // Not JSON
+      }
+    }
+
+    const found = candidates.find(candidate => typeof candidate === 'string' && candidate.startsWith('0x'));
+    if (found) {
+      return found;
+    }
+
+    const nested = candidates.find(candidate => candidate && typeof candidate.data === 'string');
+    return nested ? nested.data : null;
+  }
+}
+
+module.exports = ForkSimulationBackend;
@@ -0,0 +1,118 @@
+const BigNumber = require('bignumber.js');
+const SimulationBackend = require('./SimulationBackend');
+
+// Typical gas usage per call kind, used in place of a real EVM
+const DEFAULT_GAS_TABLE = {
+  approve: 46000,
+  deposit: 180000,
+  withdraw: 220000,
+  swap: 160000,
+  transfer: 65000,
+  bridge: 250000,
+  harvest: 150000
+};
+
+/**
+ * Local Simulation Backend
+ * In-memory stand-in for a forked node. Keeps a ledger of balances per holder
+ * and token, applies the expected effects of each call and reverts when a
+ * holder cannot cover a debit. Deterministic, so it is suitable for tests and
+ * for environments without a fork node.
+ */
+class LocalSimulationBackend extends SimulationBackend {
+  /**
+   * Constructor
+   * @param {Object} config - Configuration
+   * @param {Object} config.gasTable - Gas usage per call kind
+   * @param {string} config.gasPrice - Gas price in wei
+   */
+  constructor(config = {}) {
+    super(config);
+    this.name = 'local';
+    this.gasTable = { ...DEFAULT_GAS_TABLE, ...(config.gasTable || {}) };
+    this.gasPrice = config.gasPrice ||
+      new BigNumber(process.env.SIMULATION_LOCAL_GAS_PRICE_GWEI || 30).multipliedBy(1e9).toFixed(0);
+  }
+
+  canExecute(call) {
+    return Boolean(call && call.effects);
+  }
+
+  /**
+   * Start a session with a fresh ledger
+   * @param {Object} context - Simulation context
+   * @param {Array} context.balances - Seeded balances [{ chainId, holder, token, amount }]
+   * @returns {Promise<Object>} - Session
+   */
+  async begin(context = {}) {
+    const ledger = new Map();
+
+    (context.balances || []).forEach(({ chainId, holder, token, amount }) => {
+      const key = this._key(chainId, holder, token);
+      const current = ledger.get(key) || new BigNumber(0);
+      ledger.set(key, current.plus(amount || 0));
+    });
+
+    return { ledger };
+  }
+
+  async getBalance(session, chainId, holder, token) {
+    const balance = session.ledger.get(this._key(chainId, holder, token));
+    return balance ? balance.toFixed() : '0';
+  }
+
+  async execute(session, call) {
+    const gasUsed = String(this.gasTable[call.kind] || this.gasTable.transfer);
+    const debits = (call.effects && call.effects.debit) || [];
+    const credits = (call.effects && call.effects.credit) || [];
+
+    // Check every debit first so a revert leaves the ledger untouched
+    for (const { token, amount } of debits) {
+      const key = this._key(call.chainId, call.from, token);
+      const balance = session.ledger.get(key) || new BigNumber(0);
+
+      if (balance.lt(amount)) {
+        return {
+          success: false,
+          gasUsed,
+          gasPrice: this.gasPrice,
+          revertReason: `Insufficient ${token} balance: has ${balance.toFixed()}, needs ${new BigNumber(amount).toFixed()}`
+        };
+      }
+    }
+
+    debits.forEach(({ token, amount }) => {
+      const key = this._key(call.chainId, call.from, token);
+      session.ledger.set(key, session.ledger.get(key).minus(amount));
+    });
+
+    credits.forEach(({ token, amount, chainId }) => {
+      // Bridges credit the holder on the destination chain
+      const key = this._key(chainId || call.chainId, call.from, token);
+      const balance = session.ledger.get(key) || new BigNumber(0);
+      session.ledger.set(key, balance.plus(amount));
+    });
+
+    return {
+      success: true,
+      gasUsed,
+      gasPrice: this.gasPrice
+    };
+  }
+
+  async end(session) {
+    session.ledger.clear();
+  }
+
+  /**
+   * Ledger key for a balance
+   * @private
+   */
+  _key(chainId, holder, token) {
+    return `${chainId || ''}:${(holder || '').toLowerCase()}:${token || 'native'}`;
+  }
+}
+
+LocalSimulationBackend.DEFAULT_GAS_TABLE = DEFAULT_GAS_TABLE;
+
+module.exports = LocalSimulationBackend;
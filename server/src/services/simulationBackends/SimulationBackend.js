@@ -0,0 +1,78 @@
+/**
+ * Simulation Backend Interface
+ *
+ * A simulation backend executes planned calls against a disposable copy of
+ * chain state. Backends must extend this class and implement its methods.
+ *
+ * A call has the shape:
+ * {
+ *   chainId, from, to, data, value,   // raw EVM call (used by fork backends)
+ *   kind,                             // approve, deposit, withdraw, swap, transfer, bridge
+ *   description,
+ *   effects: {                        // expected token movements (used by the local backend)
+ *     debit: [{ token, amount }],
+ *     credit: [{ token, amount }]
+ *   }
+ * }
+ */
+class SimulationBackend {
+  /**
+   * Constructor
+   * @param {Object} config - Configuration for the backend
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'BaseBackend';
+  }
+
+  /**
+   * Whether the backend can execute a call
+   * @param {Object} call - Planned call
+   * @returns {boolean} - True if the call can be simulated
+   */
+  canExecute(call) {
+    throw new Error('Method canExecute must be implemented by child class');
+  }
+
+  /**
+   * Start a simulation session
+   * @param {Object} context - Simulation context (holders, seeded balances)
+   * @returns {Promise<Object>} - Session handle passed to the other methods
+   */
+  async begin(context) {
+    throw new Error('Method begin must be implemented by child class');
+  }
+
+  /**
+   * Get the balance of a token for a holder
+   * @param {Object} session - Session handle
+   * @param {string} chainId - Chain ID
+   * @param {string} holder - Holder address
+   * @param {string} token - Token identifier or address, null for the native asset
+   * @returns {Promise<string>} - Balance as a decimal string
+   */
+  async getBalance(session, chainId, holder, token) {
+    throw new Error('Method getBalance must be implemented by child class');
+  }
+
+  /**
+   * Execute a call inside the session
+   * @param {Object} session - Session handle
+   * @param {Object} call - Planned call
+   * @returns {Promise<Object>} - { success, gasUsed, gasPrice, revertReason }
+   */
+  async execute(session, call) {
+    throw new Error('Method execute must be implemented by child class');
+  }
+
+  /**
+   * End a simulation session and discard its state changes
+   * @param {Object} session - Session handle
+   * @returns {Promise<void>}
+   */
+  async end(session) {
+    throw new Error('Method end must be implemented by child class');
+  }
+}
+
+module.exports = SimulationBackend;
@@ -0,0 +1,377 @@
+// Dimensions a target allocation can constrain
+const DIMENSIONS = ['asset', 'protocol', 'chain'];
+
+// Target id that applies a band to every member of a dimension ("≤40% on any chain")
+const WILDCARD = '*';
+
+// Floating point margin when comparing percentages
+const EPSILON = 1e-6;
+
+// Allowed error when target allocations of a dimension are summed
+const SUM_TOLERANCE = 0.5;
+
+// Share (in percent) spread over candidate cells the portfolio does not hold yet,
+// so the solver can grow them; whatever is left below it afterwards is dropped
+const SEED_PERCENTAGE = 0.01;
+
+const SOLVER_ITERATIONS = 500;
+const SOLVER_TOLERANCE = 0.01;
+
+/**
+ * Allocation Constraints
+ * Evaluates and solves target allocations that span several dimensions at
+ * once (asset, protocol and chain), each with an optional min/max band.
+ *
+ * Portfolios are modelled as cells: one per asset/protocol/chain combination.
+ * A target constrains the share of all cells matching it. Targets are solved
+ * with iterative proportional fitting, starting from the current portfolio, so
+ * the result stays close to what is already held.
+ */
+class AllocationConstraints {
+  /**
+   * Dimensions used by a set of targets, in canonical order
+   * @param {Array} targets - Target allocations
+   * @returns {Array<string>} - Dimensions
+   */
+  static getDimensions(targets = []) {
+    return DIMENSIONS.filter(dimension => targets.some(target => target.type === dimension));
+  }
+
+  /**
+   * Whether targets need the multi-dimensional solver
+   * @param {Array} targets - Target allocations
+   * @returns {boolean} - True for mixed dimensions or wildcard limits
+   */
+  static isMultiDimensional(targets = []) {
+    return this.getDimensions(targets).length > 1 || targets.some(target => target.id === WILDCARD);
+  }
+
+  /**
+   * Cell key for an asset/protocol/chain combination
+   * @param {string} asset - Asset
+   * @param {string} protocol - Protocol ID
+   * @param {string} chain - Chain ID
+   * @returns {string} - Key
+   */
+  static cellKey(asset, protocol, chain) {
+    return [asset, protocol, chain].map(String).join('|');
+  }
+
+  /**
+   * Value of a cell in one dimension
+   * @param {Object} cell - Cell
+   * @param {string} dimension - Dimension
+   * @returns {string} - Value
+   */
+  static cellValue(cell, dimension) {
+    return String(dimension === 'asset' ? cell.asset : dimension === 'protocol' ? cell.protocol : cell.chain);
+  }
+
+  /**
+   * Range a target's share may stay in without triggering a rebalance
+   * The deviation threshold around the target is narrowed by explicit min/max
+   * @param {Object} target - Target allocation
+   * @param {number} deviationThreshold - Strategy deviation threshold
+   * @returns {Object} - { min, max, target }
+   */
+  static getBand(target, deviationThreshold = 0) {
+    const hasTarget = target.id !== WILDCARD && typeof target.targetPercentage === 'number';
+    let min = hasTarget ? target.targetPercentage - deviationThreshold : 0;
+    let max = hasTarget ? target.targetPercentage + deviationThreshold : 100;
+
+    if (typeof target.minPercentage === 'number') min = Math.max(min, target.minPercentage);
+    if (typeof target.maxPercentage === 'number') max = Math.min(max, target.maxPercentage);
+
+    return {
+      min: Math.max(min, 0),
+      max: Math.min(max, 100),
+      target: hasTarget ? target.targetPercentage : null
+    };
+  }
+
+  /**
+   * Expand wildcard targets into one constraint per member of their dimension
+   * @param {Array} targets - Target allocations
+   * @param {Object} members - Known values per dimension
+   * @param {number} deviationThreshold - Strategy deviation threshold
+   * @returns {Array} - Constraints { type, id, name, min, max, target }
+   */
+  static expand(targets = [], members = {}, deviationThreshold = 0) {
+    const constraints = [];
+
+    targets.forEach(target => {
+      const band = this.getBand(target, deviationThreshold);
+
+      if (target.id === WILDCARD) {
+        (members[target.type] || []).forEach(value => {
+          constraints.push({ type: target.type, id: String(value), name: `${target.type} ${value}`, wildcard: true, ...band });
+        });
+      } else {
+        constraints.push({ type: target.type, id: String(target.id), name: target.name || String(target.id), wildcard: false, ...band });
+      }
+    });
+
+    return constraints;
+  }
+
+  /**
+   * Targets whose band the current allocation falls outside of
+   * @param {Array} targets - Target allocations
+   * @param {Array} currentAllocations - Current allocation entries of any dimension { type, id, percentage }
+   * @param {number} deviationThreshold - Strategy deviation threshold
+   * @returns {Array} - Violations { type, id, name, percentage, min, max, target }
+   */
+  static evaluate(targets = [], currentAllocations = [], deviationThreshold = 0) {
+    const members = {};
+    currentAllocations.forEach(entry => {
+      members[entry.type] = members[entry.type] || [];
+      members[entry.type].push(entry.id);
+    });
+
+    return this.expand(targets, members, deviationThreshold)
+      .map(constraint => {
+        const current = currentAllocations.find(entry => entry.type === constraint.type && String(entry.id) === constraint.id);
+        return { ...constraint, percentage: current ? current.percentage : 0 };
+      })
+      .filter(constraint => constraint.percentage < constraint.min - EPSILON || constraint.percentage > constraint.max + EPSILON);
+  }
+
+  /**
+   * Contradictions that can be found from the targets alone
+   * @param {Array} targets - Target allocations
+   * @param {number} deviationThreshold - Strategy deviation threshold
+   * @returns {Array<string>} - Issues
+   */
+  static checkTargets(targets = [], deviationThreshold = 0) {
+    const issues = [];
+    const dimensions = this.getDimensions(targets);
+    const seen = new Set();
+
+    targets.forEach(target => {
+      const label = target.id === WILDCARD ? `any ${target.type}` : `${target.type} ${target.name || target.id}`;
+      const key = `${target.type}:${target.id}`;
+
+      if (seen.has(key)) {
+        issues.push(`${label} has more than one target`);
+      }
+      seen.add(key);
+
+      if (target.id === WILDCARD) {
+        if (typeof target.minPercentage !== 'number' && typeof target.maxPercentage !== 'number') {
+          issues.push(`The limit on ${label} needs a minimum or maximum percentage`);
+        }
+        if (typeof target.minPercentage === 'number' && typeof target.maxPercentage === 'number' && target.minPercentage > target.maxPercentage) {
+          issues.push(`The minimum for ${label} is above its maximum`);
+        }
+      } else if (typeof target.targetPercentage !== 'number') {
+        issues.push(`${label} needs a target percentage`);
+      }
+    });
+
+    dimensions.forEach(dimension => {
+      const explicit = targets.filter(target => target.type === dimension && target.id !== WILDCARD);
+      const wildcards = targets.filter(target => target.type === dimension && target.id === WILDCARD);
+      const sum = explicit.reduce((acc, target) => acc + (target.targetPercentage || 0), 0);
+      const minSum = explicit.reduce((acc, target) => acc + this.getBand(target, deviationThreshold).min, 0);
+
+      // A single explicit dimension describes the whole portfolio
+      if (dimensions.length === 1 && wildcards.length === 0) {
+        if (sum < 100 - SUM_TOLERANCE || sum > 100 + SUM_TOLERANCE) {
+          issues.push('Target allocations must sum to 100%');
+        }
+      } else if (sum > 100 + SUM_TOLERANCE) {
+        issues.push(`${dimension} targets add up to ${sum.toFixed(2)}%, more than 100%`);
+      }
+
+      if (minSum > 100 + SUM_TOLERANCE) {
+        issues.push(`${dimension} minimums add up to ${minSum.toFixed(2)}%, more than 100%`);
+      }
+
+      // Explicit targets must fit inside the limits that apply to every member
+      wildcards.forEach(wildcard => {
+        const limit = this.getBand(wildcard, deviationThreshold);
+        explicit.forEach(target => {
+          const band = this.getBand(target, deviationThreshold);
+          if (band.min > limit.max + EPSILON) {
+            issues.push(`${dimension} ${target.name || target.id} needs at least ${band.min.toFixed(2)}% but any ${dimension} is limited to ${limit.max.toFixed(2)}%`);
+          } else if (band.max < limit.min - EPSILON) {
+            issues.push(`${dimension} ${target.name || target.id} is capped at ${band.max.toFixed(2)}% but every ${dimension} needs at least ${limit.min.toFixed(2)}%`);
+          }
+        });
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Candidate cells for a solve: every held cell, plus the best offered cell
+   * for each combination of the constrained dimensions
+   * @param {Array} heldCells - Cells in the portfolio { asset, protocol, chain, percentage }
+   * @param {Array} offeredCells - Cells with an active opportunity { asset, protocol, chain, apy }
+   * @param {Array<string>} dimensions - Constrained dimensions
+   * @returns {Array} - Cells { key, asset, protocol, chain, percentage, held }
+   */
+  static candidateCells(heldCells = [], offeredCells = [], dimensions = DIMENSIONS) {
+    const cells = new Map();
+
+    heldCells.forEach(cell => {
+      const key = this.cellKey(cell.asset, cell.protocol, cell.chain);
+      const existing = cells.get(key);
+      if (existing) {
+        existing.percentage += cell.percentage || 0;
+      } else {
+        cells.set(key, { key, asset: String(cell.asset), protocol: String(cell.protocol), chain: String(cell.chain), percentage: cell.percentage || 0, held: true });
+      }
+    });
+
+    // Only one new cell per combination, so new money is not spread thin
+    const best = new Map();
+    offeredCells.forEach(cell => {
+      const projection = dimensions.map(dimension => this.cellValue(cell, dimension)).join('|');
+      const current = best.get(projection);
+      if (!current || (cell.apy || 0) > (current.apy || 0)) {
+        best.set(projection, cell);
+      }
+    });
+
+    best.forEach(cell => {
+      const key = this.cellKey(cell.asset, cell.protocol, cell.chain);
+      if (!cells.has(key)) {
+        cells.set(key, { key, asset: String(cell.asset), protocol: String(cell.protocol), chain: String(cell.chain), percentage: 0, held: false });
+      }
+    });
+
+    return Array.from(cells.values());
+  }
+
+  /**
+   * Find cell weights satisfying every target at once
+   * Explicit targets are aimed at exactly first; if that cannot converge the
+   * solver settles for staying inside every band
+   * @param {Array} cells - Candidate cells from candidateCells
+   * @param {Array} targets - Target allocations
+   * @param {number} deviationThreshold - Strategy deviation threshold
+   * @returns {Object} - { feasible, weights: Map<key, percentage>, violations }
+   */
+  static solve(cells = [], targets = [], deviationThreshold = 0) {
+    const members = {};
+    DIMENSIONS.forEach(dimension => {
+      members[dimension] = Array.from(new Set(cells.map(cell => this.cellValue(cell, dimension))));
+    });
+
+    const constraints = this.expand(targets, members, deviationThreshold).map(constraint => ({
+      ...constraint,
+      indexes: cells.reduce((indexes, cell, index) => {
+        if (this.cellValue(cell, constraint.type) === constraint.id) indexes.push(index);
+        return indexes;
+      }, [])
+    }));
+
+    let result = null;
+    for (const exact of [true, false]) {
+      const weights = this._fit(cells, constraints, exact);
+      const violations = this._violations(weights, constraints);
+      result = { feasible: violations.length === 0, weights, violations };
+      if (result.feasible) break;
+    }
+
+    return {
+      feasible: result.feasible,
+      weights: new Map(cells.map((cell, index) => [cell.key, result.weights[index]])),
+      violations: result.violations
+    };
+  }
+
+  /**
+   * Iterative proportional fitting over the constraints
+   * @private
+   */
+  static _fit(cells, constraints, exact) {
+    if (cells.length === 0) {
+      return [];
+    }
+
+    // Start from the current portfolio; unheld cells get a small seed so they can grow
+    const unheld = cells.filter(cell => !(cell.percentage > 0)).length;
+    const heldTotal = cells.reduce((sum, cell) => sum + (cell.percentage > 0 ? cell.percentage : 0), 0);
+    const seed = unheld > 0 ? (heldTotal > 0 ? SEED_PERCENTAGE : 100) / unheld : 0;
+    let weights = cells.map(cell => (cell.percentage > 0 ? cell.percentage : seed));
+    weights = this._normalize(weights);
+
+    for (let iteration = 0; iteration < SOLVER_ITERATIONS; iteration++) {
+      let maxError = 0;
+
+      constraints.forEach(constraint => {
+        if (constraint.indexes.length === 0) return;
+
+        const sum = constraint.indexes.reduce((acc, index) => acc + weights[index], 0);
+        const goal = exact && constraint.target !== null
+          ? Math.min(Math.max(constraint.target, constraint.min), constraint.max)
+          : Math.min(Math.max(sum, constraint.min), constraint.max);
+        const error = Math.abs(sum - goal);
+        maxError = Math.max(maxError, error);
+
+        const rest = 100 - sum;
+        if (error < EPSILON || sum <= 0 || (rest <= EPSILON && goal < 100)) return;
+
+        // Scale matching cells to the goal and the others to make up the difference
+        const inside = goal / sum;
+        const outside = rest > EPSILON ? (100 - goal) / rest : 1;
+        const matching = new Set(constraint.indexes);
+        weights = weights.map((weight, index) => weight * (matching.has(index) ? inside : outside));
+      });
+
+      if (maxError < SOLVER_TOLERANCE) break;
+    }
+
+    // Drop seeds the solver did not need
+    weights = weights.map((weight, index) => (cells[index].percentage > 0 || weight >= SEED_PERCENTAGE ? weight : 0));
+    return this._normalize(weights);
+  }
+
+  /**
+   * Constraints a set of weights breaks
+   * @private
+   */
+  static _violations(weights, constraints) {
+    return constraints
+      .map(constraint => ({
+        type: constraint.type,
+        id: constraint.id,
+        name: constraint.name,
+        min: constraint.min,
+        max: constraint.max,
+        target: constraint.target,
+        percentage: constraint.indexes.reduce((acc, index) => acc + weights[index], 0)
+      }))
+      .filter(constraint =>
+        constraint.percentage < constraint.min - SOLVER_TOLERANCE * 10 ||
+        constraint.percentage > constraint.max + SOLVER_TOLERANCE * 10
+      );
+  }
+
+  /**
+   * Scale weights to sum to 100
+   * @private
+   */
+  static _normalize(weights) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return total > 0 ? weights.map(weight => (weight / total) * 100) : weights;
+  }
+
+  /**
+   * Describe a solver violation
+   * @param {Object} violation - Violation from solve or evaluate
+   * @returns {string} - Description
+   */
+  static describe(violation) {
+    const range = `${violation.min.toFixed(2)}%-${violation.max.toFixed(2)}%`;
+    return `${violation.name} cannot be kept within ${range} (closest: ${violation.percentage.toFixed(2)}%)`;
+  }
+}
+
+AllocationConstraints.DIMENSIONS = DIMENSIONS;
+AllocationConstraints.WILDCARD = WILDCARD;
+
+module.exports = AllocationConstraints;
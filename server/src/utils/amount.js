@@ -0,0 +1,218 @@
+/**
+ * Token amounts without floating point
+ * An amount is { raw, decimals, asset }: raw is the integer number of base units as a
+ * string (wei, planck, ...), so 1.5 USDC is { raw: '1500000', decimals: 6, asset: 'USDC' }.
+ * Amounts are stored as Decimal128 and only become numbers for display and USD values.
+ */
+
+const mongoose = require('mongoose');
+const BigNumber = require('bignumber.js');
+
+const { Decimal128 } = mongoose.Types;
+
+// Decimal128 keeps 34 significant digits
+const DECIMAL128_DIGITS = 34;
+
+/**
+ * Parse a number, string, bigint, BigNumber or Decimal128
+ * @param {*} value - Value
+ * @returns {BigNumber} - Value, throws when it is not a finite number
+ */
+const toBigNumber = (value) => {
+  const parsed = BigNumber.isBigNumber(value) ? value : new BigNumber(String(value));
+  if (!parsed.isFinite()) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  return parsed;
+};
+
+/**
+ * Create an amount from base units
+ * @param {*} raw - Integer number of base units
+ * @param {number} decimals - Token decimals
+ * @param {string} asset - Asset symbol
+ * @returns {Object} - Amount
+ */
+const fromRaw = (raw, decimals, asset) => {
+  const value = toBigNumber(raw === undefined || raw === null ? 0 : raw);
+  if (!value.isInteger()) {
+    throw new Error(`Raw amount must be a whole number of base units: ${raw}`);
+  }
+  return { raw: value.toFixed(0), decimals, asset };
+};
+
+/**
+ * Create an amount from whole token units, rounding down to the token's precision
+ * @param {*} value - Whole units, e.g. '1.5'
+ * @param {string} asset - Asset symbol
+ * @param {number} decimals - Token decimals; defaults to the decimal places of the value
+ * @returns {Object} - Amount
+ */
+const fromDecimal = (value, asset, decimals) => {
+  const parsed = toBigNumber(value === undefined || value === null ? 0 : value);
+  const scale = decimals === undefined || decimals === null ? parsed.decimalPlaces() : decimals;
+  return {
+    raw: parsed.shiftedBy(scale).integerValue(BigNumber.ROUND_DOWN).toFixed(0),
+    decimals: scale,
+    asset
+  };
+};
+
+/**
+ * Whole-unit value of an amount
+ * @param {Object} amount - Amount
+ * @returns {string} - e.g. '1.5'
+ */
+const toDecimalString = amount => new BigNumber(amount.raw).shiftedBy(-amount.decimals).toFixed();
+
+/**
+ * Whole-unit value as a number; loses precision, for display and prices only
+ * @param {Object} amount - Amount
+ * @returns {number} - Value
+ */
+const toNumber = amount => new BigNumber(amount.raw).shiftedBy(-amount.decimals).toNumber();
+
+/**
+ * Bring two amounts of the same asset to the same decimals
+ * @private
+ */
+const align = (a, b) => {
+  if (a.asset !== b.asset) {
+    throw new Error(`Cannot combine amounts of ${a.asset} and ${b.asset}`);
+  }
+  const decimals = Math.max(a.decimals, b.decimals);
+  return [
+    new BigNumber(a.raw).shiftedBy(decimals - a.decimals),
+    new BigNumber(b.raw).shiftedBy(decimals - b.decimals),
+    decimals
+  ];
+};
+
+/**
+ * Sum of two amounts of the same asset
+ * @param {Object} a - Amount
+ * @param {Object} b - Amount
+ * @returns {Object} - Amount
+ */
+const add = (a, b) => {
+  const [x, y, decimals] = align(a, b);
+  return { raw: x.plus(y).toFixed(0), decimals, asset: a.asset };
+};
+
+/**
+ * Difference of two amounts of the same asset
+ * @param {Object} a - Amount
+ * @param {Object} b - Amount to take away
+ * @returns {Object} - Amount, negative when b is larger
+ */
+const subtract = (a, b) => {
+  const [x, y, decimals] = align(a, b);
+  return { raw: x.minus(y).toFixed(0), decimals, asset: a.asset };
+};
+
+/**
+ * Compare two amounts of the same asset
+ * @param {Object} a - Amount
+ * @param {Object} b - Amount
+ * @returns {number} - -1, 0 or 1
+ */
+const compare = (a, b) => {
+  const [x, y] = align(a, b);
+  return x.comparedTo(y);
+};
+
+/**
+ * Share of an amount, rounded down to whole base units
+ * @param {Object} amount - Amount
+ * @param {number} factor - Share, e.g. 0.1 for 10%
+ * @returns {Object} - Amount
+ */
+const share = (amount, factor) => ({
+  ...amount,
+  raw: new BigNumber(amount.raw).multipliedBy(factor).integerValue(BigNumber.ROUND_DOWN).toFixed(0)
+});
+
+/**
+ * Ratio of two quantities in the same units, e.g. two balances of one token
+ * @param {*} numerator - Raw units, or an amount
+ * @param {*} denominator - Raw units, or an amount
+ * @returns {number} - Ratio, 0 when the denominator is 0
+ */
+const ratio = (numerator, denominator) => {
+  const [x, y] = numerator && numerator.raw !== undefined
+    ? align(numerator, denominator)
+    : [toBigNumber(numerator), toBigNumber(denominator)];
+  return y.isZero() ? 0 : x.dividedBy(y).toNumber();
+};
+
+/**
+ * Value of an amount at a unit price
+ * @param {Object} amount - Amount
+ * @param {number} price - Price of one whole unit
+ * @returns {number} - Value
+ */
+const valueAt = (amount, price) =>
+  new BigNumber(amount.raw).shiftedBy(-amount.decimals).multipliedBy(price).toNumber();
+
+/**
+ * Total amounts per asset
+ * @param {Array} amounts - Amounts of any assets
+ * @returns {Map} - Asset -> amount
+ */
+const sumByAsset = amounts => amounts.reduce((totals, amount) => {
+  const total = totals.get(amount.asset);
+  totals.set(amount.asset, total ? add(total, amount) : amount);
+  return totals;
+}, new Map());
+
+/**
+ * Validator for amounts that cannot be negative
+ * @param {*} value - Stored value
+ * @returns {boolean} - Whether the value is unset, zero or positive
+ */
+const isNonNegative = value => value === undefined || value === null || !toBigNumber(value).isNegative();
+
+/**
+ * Decimal128 for storage
+ * @param {*} value - Number, string, bigint, BigNumber or Decimal128
+ * @returns {Decimal128} - Value, throws when it needs more than 34 significant digits
+ */
+const toDecimal128 = (value) => {
+  if (value instanceof Decimal128) {
+    return value;
+  }
+  const parsed = toBigNumber(value);
+  if (parsed.precision(true) > DECIMAL128_DIGITS) {
+    throw new Error(`Amount ${parsed.toFixed()} has more than ${DECIMAL128_DIGITS} significant digits`);
+  }
+  return Decimal128.fromString(parsed.toFixed());
+};
+
+/**
+ * Schema path for a Decimal128 amount that reads back as a decimal string
+ * @param {Object} options - Other schema options (required, default, validate, ...)
+ * @returns {Object} - Schema type definition
+ */
+const decimalField = (options = {}) => ({
+  type: mongoose.Schema.Types.Decimal128,
+  get: value => (value === undefined || value === null ? value : value.toString()),
+  set: value => (value === undefined || value === null || value === '' ? value : toDecimal128(value)),
+  ...options
+});
+
+module.exports = {
+  fromRaw,
+  fromDecimal,
+  toDecimalString,
+  toNumber,
+  add,
+  subtract,
+  compare,
+  share,
+  ratio,
+  valueAt,
+  sumByAsset,
+  isNonNegative,
+  toDecimal128,
+  decimalField
+};
@@ -1,6 +1,7 @@
 const logger = require('../config/logger');
 const YieldOpportunity = require('../models/YieldOpportunity');
 const Protocol = require('../models/Protocol');
+const { ratio } = require('./amount');
 
 /**
  * APY Calculation Service
@@ -39,12 +40,8 @@ class ApyCalculationService {
         return 0;
       }
       
-      // Convert to decimal for calculation
-      const initial = Number(initialBN);
-      const final = Number(finalBN);
-      
-      // Calculate the rate for the time period
-      const rate = (final - initial) / initial;
+      // Calculate the rate for the time period; the division is exact, only its result is a float
+      const rate = ratio(finalBN - initialBN, initialBN);
       
       // Calculate the time in years
       const timeInYears = timeElapsedMs / (1000 * 60 * 60 * 24 * 365);
@@ -74,7 +71,7 @@ class ApyCalculationService {
       }
       
       // Calculate daily rate
-      const dailyRate = Number(dailyRewardBN) / Number(principalBN);
+      const dailyRate = ratio(dailyRewardBN, principalBN);
       
       // Calculate APY using compound interest formula for daily compounding
       return this.calculateApy(dailyRate, 365);
@@ -100,7 +97,7 @@ class ApyCalculationService {
       }
       
       // Calculate APR as yearly reward / principal
-      return (Number(yearlyRewardBN) / Number(principalBN)) * 100;
+      return ratio(yearlyRewardBN, principalBN) * 100;
     } catch (error) {
       logger.error(`Error calculating APR: ${error.message}`);
       return 0;
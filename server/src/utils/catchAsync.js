@@ -0,0 +1,10 @@
+/**
+ * Wrap an async route handler so rejected promises reach the error middleware
+ * @param {Function} fn - Async route handler
+ * @returns {Function} - Express middleware
+ */
+const catchAsync = fn => (req, res, next) => {
+  Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+module.exports = catchAsync;
@@ -0,0 +1,46 @@
+/**
+ * Build CSV text (RFC 4180) from rows of objects
+ * @param {Array} columns - [{ key, header }] or [{ header, value: row => ... }]
+ * @param {Array} rows - Rows to write
+ * @returns {string} - CSV text with a header line
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+
+  rows.forEach((row) => {
+    lines.push(columns
+      .map(column => escapeCsvValue(column.value ? column.value(row) : row[column.key]))
+      .join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Quote a value when needed. Values that a spreadsheet would run as a
+ * formula are prefixed with a quote
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+module.exports = {
+  toCsv,
+  escapeCsvValue
+};
@@ -1,8 +1,11 @@
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const logger = require('../config/logger');
+const { PERMISSIONS, getRolesWithPermission } = require('../config/permissions');
 const emailService = require('./email');
 const WebSocketNotificationController = require('../controllers/websocketNotifications');
+const priceOracleService = require('../services/PriceOracleService');
+const { toDecimalString, valueAt } = require('./amount');
 
 /**
  * Notification service for creating and managing notifications
@@ -362,6 +365,35 @@ class NotificationService {
     }
   }
 
+  /**
+   * Value of a transaction in the user's currency, for messages
+   * @param {Object} transaction - Transaction
+   * @returns {Promise<string>} - e.g. " (€61.20)", or empty when it cannot be valued
+   */
+  static async formatTransactionValue(transaction) {
+    try {
+      let amountUsd = transaction.amountUsd;
+      if (amountUsd === undefined || amountUsd === null) {
+        const price = await priceOracleService.getPriceUsd(transaction.asset, {
+          chainId: transaction.chainId,
+          address: transaction.assetAddress
+        });
+        if (price === null) {
+          return '';
+        }
+        amountUsd = valueAt(transaction.toAmount(), price);
+      }
+
+      const user = await User.findById(transaction.userId).select('preferences.currency');
+      const currency = user?.preferences?.currency || 'USD';
+      const amount = await priceOracleService.toFiat(amountUsd, currency);
+      return ` (${priceOracleService.formatFiat(amount, currency)})`;
+    } catch (error) {
+      logger.warn(`Could not value transaction ${transaction._id}: ${error.message}`);
+      return '';
+    }
+  }
+
   /**
    * Notify users about transaction status changes
    * @param {Object} transaction - Updated transaction
@@ -370,6 +402,7 @@ class NotificationService {
   static async notifyTransactionStatusChange(transaction) {
     try {
       let title, message;
+      const amount = `${toDecimalString(transaction.toAmount())} ${transaction.asset}${await this.formatTransactionValue(transaction)}`;
       
       switch (transaction.status) {
         case 'completed':
@@ -377,27 +410,27 @@ class NotificationService {
             ? 'Investment Completed' 
             : 'Withdrawal Completed';
           message = transaction.type === 'deposit' 
-            ? `Your investment of ${transaction.amount} ${transaction.asset} has been successfully processed.` 
-            : `Your withdrawal of ${transaction.amount} ${transaction.asset} has been successfully processed.`;
+            ? `Your investment of ${amount} has been successfully processed.` 
+            : `Your withdrawal of ${amount} has been successfully processed.`;
           break;
         
         case 'failed':
           title = transaction.type === 'deposit' 
             ? 'Investment Failed' 
             : 'Withdrawal Failed';
-          message = `Your ${transaction.type} of ${transaction.amount} ${transaction.asset} has failed. Please check the details or contact support.`;
+          message = `Your ${transaction.type} of ${amount} has failed. Please check the details or contact support.`;
           break;
         
         case 'pending':
           title = transaction.type === 'deposit' 
             ? 'Investment Pending' 
             : 'Withdrawal Pending';
-          message = `Your ${transaction.type} of ${transaction.amount} ${transaction.asset} is being processed.`;
+          message = `Your ${transaction.type} of ${amount} is being processed.`;
           break;
         
         default:
           title = `Transaction ${transaction.status}`;
-          message = `Your ${transaction.type} of ${transaction.amount} ${transaction.asset} status is now ${transaction.status}.`;
+          message = `Your ${transaction.type} of ${amount} status is now ${transaction.status}.`;
       }
 
       await this.createTransactionNotification({
@@ -419,8 +452,8 @@ class NotificationService {
    */
   static async notifyAdminAboutRemovalRequest(connection) {
     try {
-      // Get admin users
-      const admins = await User.find({ role: 'admin' });
+      // Get staff who review removal requests
+      const admins = await User.find({ role: { $in: getRolesWithPermission(PERMISSIONS.WALLET_REMOVALS_REVIEW) } });
       
       if (admins.length === 0) {
         logger.warn('No admin users found to notify about MetaMask removal request');
@@ -0,0 +1,243 @@
+/**
+ * Return and risk measures over a series of valuation points
+ * Each point is { t: Date, valueUsd, netContributionsUsd, yieldEarnedUsd }
+ * where contributions and yield are running totals
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+
+/**
+ * Return of each period between consecutive points, by the Modified Dietz
+ * method with the period's net flow assumed to happen mid-period
+ * @param {Array} points - Valuation points, oldest first
+ * @returns {Array} - One return per period (points.length - 1 entries)
+ */
+const periodReturns = (points) => {
+  const returns = [];
+
+  for (let i = 1; i < points.length; i++) {
+    const start = points[i - 1].valueUsd;
+    const end = points[i].valueUsd;
+    const flow = points[i].netContributionsUsd - points[i - 1].netContributionsUsd;
+    const base = start + flow / 2;
+
+    returns.push(base > 0 ? (end - start - flow) / base : 0);
+  }
+
+  return returns;
+};
+
+/**
+ * Growth of one unit invested at the first point, chaining period returns
+ * @param {Array} returns - Period returns
+ * @returns {Array} - Index starting at 1, one entry per point
+ */
+const growthIndex = (returns) => {
+  const index = [1];
+  returns.forEach((periodReturn) => {
+    index.push(index[index.length - 1] * (1 + periodReturn));
+  });
+  return index;
+};
+
+/**
+ * Continuously compounded annual rate that sets the net present value of
+ * dated cash flows to zero. Flows paid in are negative, flows received positive.
+ * Solving for the log rate keeps short periods with large losses or gains,
+ * whose annual rates are extreme, within reach of the search
+ * @param {Array} cashFlows - [{ t: Date, amount }]
+ * @returns {number|null} - Log of (1 + annual rate), or null when there is no solution
+ */
+const internalLogRate = (cashFlows) => {
+  const flows = cashFlows.filter(flow => flow.amount !== 0);
+  if (!flows.some(flow => flow.amount > 0) || !flows.some(flow => flow.amount < 0)) {
+    return null;
+  }
+
+  const t0 = flows[0].t.getTime();
+  const years = flows.map(flow => (flow.t.getTime() - t0) / DAY_MS / YEAR_DAYS);
+  const npv = logRate => flows.reduce((sum, flow, i) => sum + flow.amount * Math.exp(-logRate * years[i]), 0);
+
+  let low = -1;
+  let high = 1;
+  while (Math.sign(npv(low)) === Math.sign(npv(high)) && high < 1e4) {
+    low *= 2;
+    high *= 2;
+  }
+  if (Math.sign(npv(low)) === Math.sign(npv(high))) {
+    return null;
+  }
+
+  // Bisection: robust where Newton's method overshoots
+  const lowSign = Math.sign(npv(low));
+  for (let i = 0; i < 200 && high - low > 1e-12; i++) {
+    const mid = (low + high) / 2;
+    if (Math.sign(npv(mid)) === lowSign) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+};
+
+/**
+ * Annual rate that sets the net present value of dated cash flows to zero (XIRR)
+ * @param {Array} cashFlows - [{ t: Date, amount }]
+ * @returns {number|null} - Annual rate, or null when there is no solution
+ */
+const xirr = (cashFlows) => {
+  const logRate = internalLogRate(cashFlows);
+  return logRate === null ? null : Math.expm1(logRate);
+};
+
+/**
+ * Drawdowns of a growth index: falls from a running peak until it is regained
+ * @param {Array} index - Growth index
+ * @param {Array} times - Date of each index entry
+ * @returns {Object} - { maxDrawdown, currentDrawdown, episodes, series }
+ */
+const drawdowns = (index, times) => {
+  const episodes = [];
+  const series = [];
+  let peak = index[0];
+  let peakAt = times[0];
+  let episode = null;
+
+  index.forEach((value, i) => {
+    if (value >= peak) {
+      if (episode) {
+        episode.recoveredAt = times[i];
+        episodes.push(episode);
+        episode = null;
+      }
+      peak = value;
+      peakAt = times[i];
+      series.push(0);
+      return;
+    }
+
+    const depth = (value - peak) / peak;
+    series.push(depth);
+
+    if (!episode) {
+      episode = { peakAt, troughAt: times[i], recoveredAt: null, depth };
+    } else if (depth < episode.depth) {
+      episode.depth = depth;
+      episode.troughAt = times[i];
+    }
+  });
+
+  if (episode) {
+    episodes.push(episode);
+  }
+
+  return {
+    maxDrawdown: episodes.reduce((max, item) => Math.min(max, item.depth), 0),
+    currentDrawdown: series.length > 0 ? series[series.length - 1] : 0,
+    episodes,
+    series
+  };
+};
+
+/**
+ * Compound a return over a period to a yearly rate
+ * @param {number} periodReturn - Return over the period
+ * @param {number} days - Length of the period in days
+ * @returns {number|null} - Annualized return
+ */
+const annualize = (periodReturn, days) => {
+  if (days <= 0 || periodReturn <= -1) {
+    return null;
+  }
+  return Math.pow(1 + periodReturn, YEAR_DAYS / days) - 1;
+};
+
+/**
+ * All measures for a series of valuation points
+ * @param {Array} points - Valuation points, oldest first
+ * @returns {Object} - Returns, PnL split, drawdowns and the charted series
+ */
+const summarize = (points) => {
+  if (points.length < 2) {
+    return {
+      timeWeightedReturn: null,
+      timeWeightedReturnAnnualized: null,
+      moneyWeightedReturn: null,
+      moneyWeightedReturnAnnualized: null,
+      pnl: { totalUsd: 0, yieldUsd: 0, priceUsd: 0, netContributionsUsd: 0 },
+      drawdown: { max: 0, current: 0, episodes: [] },
+      series: points.map(point => ({
+        t: point.t,
+        valueUsd: point.valueUsd,
+        netContributionsUsd: point.netContributionsUsd,
+        index: 1,
+        drawdown: 0
+      }))
+    };
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const days = (last.t.getTime() - first.t.getTime()) / DAY_MS;
+  const times = points.map(point => point.t);
+
+  const index = growthIndex(periodReturns(points));
+  const timeWeightedReturn = index[index.length - 1] - 1;
+
+  // The starting value counts as invested at the start and the end value as received
+  const cashFlows = [{ t: first.t, amount: -first.valueUsd }];
+  for (let i = 1; i < points.length; i++) {
+    cashFlows.push({
+      t: points[i].t,
+      amount: -(points[i].netContributionsUsd - points[i - 1].netContributionsUsd)
+    });
+  }
+  cashFlows[cashFlows.length - 1].amount += last.valueUsd;
+  const logRate = internalLogRate(cashFlows);
+
+  // Money is only at work from the first flow, which may be after the range starts
+  const firstFlow = cashFlows.find(flow => flow.amount !== 0);
+  const investedDays = firstFlow ? (last.t.getTime() - firstFlow.t.getTime()) / DAY_MS : 0;
+
+  const netContributionsUsd = last.netContributionsUsd - first.netContributionsUsd;
+  const totalUsd = last.valueUsd - first.valueUsd - netContributionsUsd;
+  const yieldUsd = last.yieldEarnedUsd - first.yieldEarnedUsd;
+  const drawdown = drawdowns(index, times);
+
+  return {
+    timeWeightedReturn,
+    timeWeightedReturnAnnualized: annualize(timeWeightedReturn, days),
+    moneyWeightedReturn: logRate === null ? null : Math.expm1(logRate * investedDays / YEAR_DAYS),
+    moneyWeightedReturnAnnualized: logRate === null ? null : Math.expm1(logRate),
+    pnl: {
+      totalUsd,
+      yieldUsd,
+      priceUsd: totalUsd - yieldUsd,
+      netContributionsUsd
+    },
+    drawdown: {
+      max: drawdown.maxDrawdown,
+      current: drawdown.currentDrawdown,
+      episodes: drawdown.episodes
+    },
+    series: points.map((point, i) => ({
+      t: point.t,
+      valueUsd: point.valueUsd,
+      netContributionsUsd: point.netContributionsUsd,
+      index: index[i],
+      drawdown: drawdown.series[i]
+    }))
+  };
+};
+
+module.exports = {
+  periodReturns,
+  growthIndex,
+  xirr,
+  drawdowns,
+  annualize,
+  summarize
+};
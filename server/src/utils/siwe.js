@@ -0,0 +1,106 @@
+const { ethers } = require('ethers');
+const ErrorResponse = require('./errorResponse');
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Optional and required "Key: value" fields after the statement, in message order
+const FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+const REQUIRED_FIELDS = ['uri', 'version', 'chainId', 'nonce', 'issuedAt'];
+
+/**
+ * Parse an EIP-4361 (Sign-In With Ethereum) message
+ * @param {string} message - Message exactly as it was signed
+ * @returns {Object} - Message fields; dates are returned as Date objects
+ */
+exports.parseSiweMessage = (message) => {
+  if (typeof message !== 'string' || !message) {
+    throw new ErrorResponse('Sign-in message is required', 400);
+  }
+
+  const lines = message.split('\n');
+
+  if (!lines[0].endsWith(HEADER_SUFFIX)) {
+    throw new ErrorResponse('Invalid sign-in message header', 400);
+  }
+
+  const fields = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    resources: []
+  };
+
+  try {
+    fields.address = ethers.utils.getAddress(lines[1]);
+  } catch (error) {
+    throw new ErrorResponse('Invalid address in sign-in message', 400);
+  }
+
+  // The statement is optional and sits between the address and the URI line
+  const uriIndex = lines.findIndex((line, index) => index > 1 && line.startsWith('URI: '));
+  if (uriIndex === -1) {
+    throw new ErrorResponse('Sign-in message is missing a URI', 400);
+  }
+
+  const statement = lines.slice(2, uriIndex).join('\n').trim();
+  if (statement) {
+    fields.statement = statement;
+  }
+
+  let inResources = false;
+  for (const line of lines.slice(uriIndex)) {
+    if (inResources) {
+      if (!line.startsWith('- ')) {
+        throw new ErrorResponse('Invalid resource in sign-in message', 400);
+      }
+      fields.resources.push(line.slice(2));
+      continue;
+    }
+
+    if (line === 'Resources:') {
+      inResources = true;
+      continue;
+    }
+
+    const separator = line.indexOf(': ');
+    const key = FIELDS[line.slice(0, separator)];
+    if (separator === -1 || !key || fields[key] !== undefined) {
+      throw new ErrorResponse(`Unexpected line in sign-in message: ${line}`, 400);
+    }
+    fields[key] = line.slice(separator + 2);
+  }
+
+  const missing = REQUIRED_FIELDS.filter(key => fields[key] === undefined);
+  if (missing.length > 0) {
+    throw new ErrorResponse(`Sign-in message is missing: ${missing.join(', ')}`, 400);
+  }
+
+  if (!/^\d+$/.test(fields.chainId)) {
+    throw new ErrorResponse('Invalid chain ID in sign-in message', 400);
+  }
+
+  // EIP-4361 nonces are at least 8 alphanumeric characters
+  if (!/^[A-Za-z0-9]{8,}$/.test(fields.nonce)) {
+    throw new ErrorResponse('Invalid nonce in sign-in message', 400);
+  }
+
+  for (const key of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (fields[key] === undefined) continue;
+
+    const date = new Date(fields[key]);
+    if (Number.isNaN(date.getTime())) {
+      throw new ErrorResponse(`Invalid ${key} in sign-in message`, 400);
+    }
+    fields[key] = date;
+  }
+
+  return fields;
+};
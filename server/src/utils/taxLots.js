@@ -0,0 +1,190 @@
+/**
+ * Tax-lot accounting over a ledger of acquisitions, reward receipts and disposals
+ * Each event is { id, kind: 'acquisition'|'income'|'disposal', type, t: Date, asset, amount, value, fee, txHash }
+ * where value is the cost (acquisitions, income) or proceeds (disposals) in the report currency,
+ * before fees. fee, when set, is { amount, value }: platform fees taken in the event's asset, which
+ * reduce the proceeds of a disposal and what a receipt adds to the holdings
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Held longer than this, a gain is long-term
+const LONG_TERM_DAYS = 365;
+
+// Lots left with less than this share of their amount are closed
+const DUST = 1e-9;
+
+const LOT_METHODS = ['FIFO', 'LIFO', 'HIFO'];
+
+// Order in which each method consumes open lots
+const LOT_ORDER = {
+  FIFO: (a, b) => a.acquiredAt - b.acquiredAt,
+  LIFO: (a, b) => b.acquiredAt - a.acquiredAt,
+  HIFO: (a, b) => b.unitCost - a.unitCost || a.acquiredAt - b.acquiredAt
+};
+
+// At the same time, assets arrive before they leave
+const KIND_ORDER = { acquisition: 0, income: 0, disposal: 1 };
+
+/**
+ * Holding period of a lot disposed of at a time
+ * @param {Date} acquiredAt - Acquisition time
+ * @param {Date} disposedAt - Disposal time
+ * @returns {string} - 'short' or 'long'
+ */
+const holdingTerm = (acquiredAt, disposedAt) =>
+  (disposedAt - acquiredAt) / DAY_MS > LONG_TERM_DAYS ? 'long' : 'short';
+
+/**
+ * Replay a ledger, opening lots on acquisitions and reward receipts and
+ * matching disposals against them
+ * @param {Array} events - Ledger events, in any order
+ * @param {string} method - 'FIFO', 'LIFO' or 'HIFO'
+ * @returns {Object} - { lots, disposals, income }; lots include closed ones with remaining 0
+ */
+const buildLots = (events, method = 'FIFO') => {
+  const order = LOT_ORDER[method];
+  if (!order) {
+    throw new Error(`Unknown lot method: ${method}`);
+  }
+
+  const sorted = [...events].sort((a, b) => a.t - b.t || KIND_ORDER[a.kind] - KIND_ORDER[b.kind]);
+  const lots = [];
+  const openLots = new Map();
+  const disposals = [];
+  const income = [];
+
+  sorted.forEach((event) => {
+    const fee = event.fee || { amount: 0, value: 0 };
+
+    if (event.kind !== 'disposal') {
+      // Only what is left after the fee is received
+      const amount = Math.max(0, event.amount - fee.amount);
+      const value = event.value - fee.value;
+      const lot = {
+        id: event.id,
+        asset: event.asset,
+        source: event.kind,
+        acquiredAt: event.t,
+        amount,
+        remaining: amount,
+        costBasis: value,
+        unitCost: amount > 0 ? value / amount : 0,
+        txHash: event.txHash
+      };
+      lots.push(lot);
+      openLots.set(event.asset, [...(openLots.get(event.asset) || []), lot]);
+
+      if (event.kind === 'income') {
+        income.push({
+          id: event.id,
+          t: event.t,
+          type: event.type,
+          asset: event.asset,
+          amount,
+          value,
+          fees: fee.value,
+          txHash: event.txHash
+        });
+      }
+      return;
+    }
+
+    const candidates = (openLots.get(event.asset) || []).sort(order);
+    const matched = [];
+    let left = event.amount;
+
+    for (const lot of candidates) {
+      if (left <= event.amount * DUST) {
+        break;
+      }
+      const amount = Math.min(lot.remaining, left);
+      matched.push({ lot, amount });
+      lot.remaining -= amount;
+      if (lot.remaining <= lot.amount * DUST) {
+        lot.remaining = 0;
+      }
+      left -= amount;
+    }
+
+    const stillHeld = candidates.filter(lot => lot.remaining > 0);
+    openLots.set(event.asset, stillHeld);
+
+    // Fees are a cost of the disposal and come off its proceeds
+    const proceedsValue = event.value - fee.value;
+    const unitPrice = event.amount > 0 ? event.value / event.amount : 0;
+    const unitProceeds = event.amount > 0 ? proceedsValue / event.amount : 0;
+    const parts = matched.map(({ lot, amount }) => {
+      const costBasis = amount * lot.unitCost;
+      const proceeds = amount * unitProceeds;
+      return {
+        lotId: lot.id,
+        acquiredAt: lot.acquiredAt,
+        amount,
+        costBasis,
+        proceeds,
+        gain: proceeds - costBasis,
+        term: holdingTerm(lot.acquiredAt, event.t)
+      };
+    });
+
+    // More leaving than the ledger shows arriving: the rest has no known cost
+    const unmatchedAmount = left > event.amount * DUST ? left : 0;
+    if (unmatchedAmount > 0) {
+      const proceeds = unmatchedAmount * unitProceeds;
+      parts.push({ lotId: null, acquiredAt: null, amount: unmatchedAmount, costBasis: 0, proceeds, gain: proceeds, term: 'short' });
+    }
+
+    const sum = (key, term) => parts
+      .filter(part => !term || part.term === term)
+      .reduce((total, part) => total + part[key], 0);
+
+    disposals.push({
+      id: event.id,
+      t: event.t,
+      asset: event.asset,
+      amount: event.amount,
+      proceeds: proceedsValue,
+      fees: fee.value,
+      costBasis: sum('costBasis'),
+      gain: sum('gain'),
+      shortTermGain: sum('gain', 'short'),
+      longTermGain: sum('gain', 'long'),
+      unmatchedAmount,
+      // On the lots still held, valued at the price of this disposal
+      unrealizedGain: stillHeld.reduce((total, lot) => total + lot.remaining * (unitPrice - lot.unitCost), 0),
+      txHash: event.txHash,
+      lots: parts
+    });
+  });
+
+  return { lots, disposals, income };
+};
+
+/**
+ * Value open lots at current prices
+ * @param {Array} lots - Lots from buildLots
+ * @param {Map} prices - Asset -> unit price in the report currency
+ * @returns {Array} - Open lots with marketValue and unrealizedGain (null when unpriced)
+ */
+const valueOpenLots = (lots, prices) => lots
+  .filter(lot => lot.remaining > 0)
+  .map((lot) => {
+    const costBasis = lot.remaining * lot.unitCost;
+    const price = prices.get(lot.asset);
+    const marketValue = price === undefined ? null : lot.remaining * price;
+    return {
+      ...lot,
+      costBasis,
+      marketValue,
+      unrealizedGain: marketValue === null ? null : marketValue - costBasis
+    };
+  });
+
+module.exports = {
+  LOT_METHODS,
+  LONG_TERM_DAYS,
+  holdingTerm,
+  buildLots,
+  valueOpenLots
+};
@@ -2,6 +2,8 @@ const WebSocket = require('ws');
 const jwt = require('jsonwebtoken');
 const logger = require('../config/logger');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { toDecimalString } = require('./amount');
 
 /**
  * WebSocket Service for managing real-time connections and communication
@@ -11,6 +13,7 @@ class WebSocketService {
     this.wss = null;
     this.clients = new Map(); // Map of userId -> Set of websocket connections
     this.anonymousClients = new Set(); // Set of anonymous connections
+    this.sessions = new Map(); // Map of auth session ID -> Set of websocket connections
     
     if (server) {
       this.init(server);
@@ -48,17 +51,24 @@ class WebSocketService {
         // Try to authenticate user
         let userId = null;
         let user = null;
+        let authSessionId = null;
 
         if (token) {
           try {
-            // Verify JWT token
+            // Verify JWT token (only session access tokens are accepted)
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            userId = decoded.id;
-            
-            // Get user info
-            user = await User.findById(userId);
-            if (!user) {
-              userId = null;
+            const session = decoded.purpose ? null : await Session.findActive(decoded.sid);
+
+            if (session && session.userId.toString() === decoded.id) {
+              userId = decoded.id;
+              authSessionId = decoded.sid;
+
+              // Get user info
+              user = await User.findById(userId);
+              if (!user) {
+                userId = null;
+                authSessionId = null;
+              }
             }
           } catch (error) {
             logger.warn(`Invalid WebSocket auth token: ${error.message}`);
@@ -69,6 +79,7 @@ class WebSocketService {
         ws.isAlive = true;
         ws.userId = userId;
         ws.sessionId = sessionId;
+        ws.authSessionId = authSessionId;
 
         // Add client to appropriate collection
         if (userId) {
@@ -76,6 +87,12 @@ class WebSocketService {
             this.clients.set(userId, new Set());
           }
           this.clients.get(userId).add(ws);
+
+          // Track by auth session so revoking the session can close it
+          if (!this.sessions.has(authSessionId)) {
+            this.sessions.set(authSessionId, new Set());
+          }
+          this.sessions.get(authSessionId).add(ws);
           logger.debug(`User ${userId} connected to WebSocket`);
         } else {
           this.anonymousClients.add(ws);
@@ -184,6 +201,13 @@ class WebSocketService {
         if (this.clients.get(ws.userId).size === 0) {
           this.clients.delete(ws.userId);
         }
+
+        if (ws.authSessionId && this.sessions.has(ws.authSessionId)) {
+          this.sessions.get(ws.authSessionId).delete(ws);
+          if (this.sessions.get(ws.authSessionId).size === 0) {
+            this.sessions.delete(ws.authSessionId);
+          }
+        }
         
         logger.debug(`User ${ws.userId} disconnected from WebSocket`);
       } else {
@@ -369,14 +393,25 @@ class WebSocketService {
    * @returns {number} - Number of clients notification was sent to
    */
   sendTransactionUpdate(transaction) {
+    // Records retained after an account was erased have no user to notify
+    if (!transaction.userId) {
+      return 0;
+    }
+
     return this.sendToUser(transaction.userId.toString(), {
       type: 'transaction_update',
       data: {
         transactionId: transaction._id,
         status: transaction.status,
         type: transaction.type,
-        amount: transaction.amount,
+        amount: toDecimalString(transaction.toAmount()),
         asset: transaction.asset,
+        xcm: transaction.xcmRelated && transaction.xcmDetails ? {
+          status: transaction.xcmDetails.status,
+          sourceChain: transaction.xcmDetails.sourceChain,
+          destinationChain: transaction.xcmDetails.destinationChain,
+          error: transaction.xcmDetails.error
+        } : undefined,
         updatedAt: transaction.updatedAt,
         timestamp: new Date().toISOString()
       }
@@ -398,9 +433,72 @@ class WebSocketService {
       authenticated: authenticatedCount,
       anonymous: this.anonymousClients.size,
       total: authenticatedCount + this.anonymousClients.size,
-      uniqueUsers: this.clients.size
+      uniqueUsers: this.clients.size,
+      sessions: this.sessions.size
     };
   }
+
+  /**
+   * Close all connections opened with a session's access token
+   * @param {string} sessionId - Auth session ID
+   * @param {string} reason - Why the session ended
+   * @returns {number} - Number of connections closed
+   */
+  closeSession(sessionId, reason = 'revoked') {
+    const connections = this.sessions.get(sessionId);
+    if (!connections) {
+      return 0;
+    }
+
+    let count = 0;
+    connections.forEach((ws) => {
+      this.sendToClient(ws, {
+        type: 'session_revoked',
+        data: {
+          reason,
+          timestamp: new Date().toISOString()
+        }
+      });
+      ws.close(4001, 'Session revoked');
+      count++;
+    });
+
+    // The close handlers remove the sockets as they finish closing
+    this.sessions.delete(sessionId);
+
+    logger.debug(`Closed ${count} WebSocket connection(s) for session ${sessionId}`);
+    return count;
+  }
+
+  /**
+   * Close all of a user's connections
+   * @param {string} userId - User ID
+   * @param {string} reason - Reason shown to the user
+   * @returns {number} - Number of connections closed
+   */
+  disconnectUser(userId, reason = 'disconnected_by_admin') {
+    const connections = this.clients.get(userId);
+    if (!connections) {
+      return 0;
+    }
+
+    let count = 0;
+    connections.forEach((ws) => {
+      this.sendToClient(ws, {
+        type: 'disconnected',
+        data: {
+          reason,
+          timestamp: new Date().toISOString()
+        }
+      });
+      ws.close(4002, 'Disconnected by admin');
+      count++;
+    });
+
+    // The close handlers remove the sockets as they finish closing
+    logger.info(`Closed ${count} WebSocket connection(s) for user ${userId}`);
+    return count;
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,138 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Protocol = require('../../src/models/Protocol');
+const YieldOpportunity = require('../../src/models/YieldOpportunity');
+const Investment = require('../../src/models/Investment');
+const Transaction = require('../../src/models/Transaction');
+const Portfolio = require('../../src/models/Portfolio');
+const priceOracleService = require('../../src/services/PriceOracleService');
+const yieldController = require('../../src/controllers/yieldController');
+
+// Run a handler until it responds or passes an error on
+const run = (handler, req) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn(body => resolve({ res, body }))
+  };
+  handler(req, res, error => resolve({ error }));
+});
+
+const opportunity = {
+  _id: new mongoose.Types.ObjectId(),
+  protocol: new mongoose.Types.ObjectId(),
+  asset: 'USDC',
+  assetSymbol: 'USDC',
+  assetDecimals: 6,
+  chainId: '1',
+  apy: { current: 4.2 }
+};
+
+describe('yieldController', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createInvestment', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const portfolioId = new mongoose.Types.ObjectId();
+    let created;
+
+    beforeEach(() => {
+      created = {};
+      jest.spyOn(YieldOpportunity, 'findById').mockResolvedValue(opportunity);
+      jest.spyOn(Protocol, 'findById').mockResolvedValue({ _id: opportunity.protocol, name: 'Aave' });
+      jest.spyOn(Portfolio, 'resolveForWallet').mockResolvedValue({ _id: portfolioId });
+      jest.spyOn(Investment, 'create').mockImplementation(async (data) => {
+        created.investment = new Investment(data);
+        return created.investment;
+      });
+      jest.spyOn(Transaction, 'create').mockImplementation(async (data) => {
+        created.transaction = new Transaction(data);
+        return created.transaction;
+      });
+    });
+
+    const create = body => run(yieldController.createInvestment, {
+      user: { id: String(userId) },
+      body: { opportunityId: String(opportunity._id), walletAddress: '0xabc', ...body }
+    });
+
+    it('creates a valid investment and deposit in base units', async () => {
+      const { res, body } = await create({ amount: '1500.25', amountUsd: 1500.1 });
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(body.data.investment).toBe(created.investment);
+
+      const { investment, transaction } = created;
+      expect(investment.validateSync()).toBeUndefined();
+      expect(investment.status).toBe('active');
+      expect(investment.initialAmount).toBe('1500250000');
+      expect(investment.currentAmount).toBe('1500250000');
+      expect(investment.initialAmountUsd).toBe(1500.1);
+      expect(investment.currentAmountUsd).toBe(1500.1);
+      expect(investment.apyAtInvestment).toBe(4.2);
+      expect(investment.currentApy).toBe(4.2);
+      expect(String(investment.portfolioId)).toBe(String(portfolioId));
+
+      expect(transaction.validateSync()).toBeUndefined();
+      expect(transaction.type).toBe('deposit');
+      expect(String(transaction.investmentId)).toBe(String(investment._id));
+      expect(transaction.toAmount()).toEqual({ raw: '1500250000', decimals: 6, asset: 'USDC' });
+      expect(transaction.amountUsd).toBe(1500.1);
+    });
+
+    it('values the deposit at the current price without a USD amount', async () => {
+      jest.spyOn(priceOracleService, 'valueAmounts').mockResolvedValue([99.9]);
+
+      await create({ amount: '100' });
+
+      expect(priceOracleService.valueAmounts).toHaveBeenCalledWith([{ raw: '100000000', decimals: 6, asset: 'USDC' }]);
+      expect(created.investment.initialAmountUsd).toBe(99.9);
+    });
+
+    it('rejects amounts that are not positive', async () => {
+      const { error } = await create({ amount: '0', amountUsd: 0 });
+
+      expect(error.statusCode).toBe(400);
+      expect(Investment.create).not.toHaveBeenCalled();
+    });
+
+    it('rejects deposits it cannot value', async () => {
+      jest.spyOn(priceOracleService, 'valueAmounts').mockResolvedValue([null]);
+
+      const { error } = await create({ amount: '100' });
+
+      expect(error.statusCode).toBe(400);
+      expect(Investment.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getYieldOpportunityById', () => {
+    const find = result => jest.spyOn(YieldOpportunity, 'findById').mockReturnValue({
+      populate: () => ({ lean: async () => result })
+    });
+
+    it('returns the opportunity', async () => {
+      find(opportunity);
+
+      const { res, body } = await run(yieldController.getYieldOpportunityById, { params: { id: String(opportunity._id) } });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(body.data.opportunity).toBe(opportunity);
+    });
+
+    it('responds 404 when there is none with the ID', async () => {
+      find(null);
+
+      const { error } = await run(yieldController.getYieldOpportunityById, { params: { id: String(new mongoose.Types.ObjectId()) } });
+
+      expect(error.statusCode).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const migration = require('../../src/migrations/001-decimal-amounts');
+
+const { Decimal128 } = mongoose.Types;
+
+// Enough of a collection for the migration: documents are returned as they are
+// and the updates it writes are collected
+const collection = (docs) => {
+  const updates = [];
+  return {
+    updates,
+    find: () => docs,
+    findOne: async filter => docs.find(doc => String(doc._id) === String(filter._id)) || null,
+    bulkWrite: async (operations) => {
+      updates.push(...operations.map(operation => operation.updateOne));
+      return { modifiedCount: operations.length };
+    }
+  };
+};
+
+describe('001-decimal-amounts', () => {
+  it('converts legacy transaction amounts to base units of the investment decimals', async () => {
+    const investmentId = new mongoose.Types.ObjectId();
+    const transactions = collection([
+      { _id: 1, investmentId, amount: 1.5, fee: 0.0021 },
+      { _id: 2, amount: '2.25' },
+      { _id: 3, amount: 10, decimals: 12 },
+      { _id: 4, amount: Decimal128.fromString('7'), decimals: 0, fee: Decimal128.fromString('0') }
+    ]);
+    const investments = collection([
+      { _id: investmentId, assetDecimals: 6, initialAmount: Decimal128.fromString('1500000') }
+    ]);
+    const db = { collection: name => (name === 'transactions' ? transactions : investments) };
+
+    await migration.up(db);
+
+    const sets = new Map(transactions.updates.map(update => [update.filter._id, update.update.$set]));
+    expect(sets.get(1).amount.toString()).toBe('1500000');
+    expect(sets.get(1).decimals).toBe(6);
+    expect(sets.get(1).fee.toString()).toBe('0.0021');
+    expect(sets.get(2).amount.toString()).toBe('225');
+    expect(sets.get(2).decimals).toBe(2);
+    expect(sets.get(3).amount.toString()).toBe('10000000000000');
+    expect(sets.get(3).decimals).toBe(12);
+    expect(sets.has(4)).toBe(false);
+  });
+});
@@ -0,0 +1,42 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Transaction = require('../../src/models/Transaction');
+
+const makeTransaction = (fields = {}) => new Transaction({
+  userId: new mongoose.Types.ObjectId(),
+  walletAddress: '0xabc',
+  type: 'deposit',
+  amount: '1500000',
+  decimals: 6,
+  asset: 'USDC',
+  chainId: '1',
+  ...fields
+});
+
+describe('Transaction', () => {
+  it('stores the amount in base units with the asset decimals', () => {
+    const transaction = makeTransaction();
+
+    expect(transaction.validateSync()).toBeUndefined();
+    expect(transaction.toAmount()).toEqual({ raw: '1500000', decimals: 6, asset: 'USDC' });
+  });
+
+  it('requires the asset decimals', () => {
+    const error = makeTransaction({ decimals: undefined }).validateSync();
+
+    expect(error.errors.decimals.message).toBe('Asset decimals are required');
+  });
+
+  it('sends amounts as decimal strings', () => {
+    const json = JSON.parse(JSON.stringify(makeTransaction({ fee: '0.0021' })));
+
+    expect(json.amount).toBe('1500000');
+    expect(json.fee).toBe('0.0021');
+  });
+});
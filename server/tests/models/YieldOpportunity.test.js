@@ -0,0 +1,97 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const YieldOpportunity = require('../../src/models/YieldOpportunity');
+
+const cursor = position => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+describe('YieldOpportunity.search', () => {
+  let find;
+
+  // Serve the results of a query and keep the filter it was made with
+  const serve = (results) => {
+    find = jest.spyOn(YieldOpportunity, 'find').mockReturnValue({
+      sort() { return this; },
+      limit() { return this; },
+      populate() { return this; },
+      lean: async () => results
+    });
+  };
+
+  const pageCondition = () => find.mock.calls[0][0].$and[1].$or;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('continues after the last item of the previous page', async () => {
+    const id = new mongoose.Types.ObjectId();
+    serve([]);
+
+    await YieldOpportunity.search({}, { sort: '-apy', cursor: cursor({ sort: '-apy', value: 5.5, id: String(id) }) });
+
+    expect(pageCondition()).toEqual([
+      { 'apy.current': { $lt: 5.5 } },
+      { 'apy.current': 5.5, _id: { $lt: id } },
+      { 'apy.current': null }
+    ]);
+  });
+
+  it('pages through items without a sort value', async () => {
+    const id = new mongoose.Types.ObjectId();
+    serve([]);
+
+    await YieldOpportunity.search({}, { sort: 'tvl', cursor: cursor({ sort: 'tvl', value: null, id: String(id) }) });
+
+    expect(pageCondition()).toEqual([
+      { tvlUsd: null, _id: { $gt: id } },
+      { tvlUsd: { $ne: null } }
+    ]);
+  });
+
+  it('hands out a cursor for the last item, null when it has no sort value', async () => {
+    const items = [
+      { _id: new mongoose.Types.ObjectId(), tvlUsd: 10 },
+      { _id: new mongoose.Types.ObjectId() },
+      { _id: new mongoose.Types.ObjectId(), tvlUsd: 5 }
+    ];
+    serve(items);
+
+    const { opportunities, nextCursor } = await YieldOpportunity.search({}, { sort: '-tvl', limit: 2 });
+
+    expect(opportunities).toHaveLength(2);
+    expect(JSON.parse(Buffer.from(nextCursor, 'base64url').toString('utf8')))
+      .toEqual({ sort: '-tvl', value: null, id: String(items[1]._id) });
+  });
+
+  it.each([
+    ['a value of another type', { sort: '-apy', value: { $gt: 0 }, id: '0123456789abcdef01234567' }],
+    ['a string for a number', { sort: '-apy', value: '5', id: '0123456789abcdef01234567' }],
+    ['a date that is not ISO 8601', { sort: 'updated', value: 'yesterday', id: '0123456789abcdef01234567' }],
+    ['a missing value', { sort: '-apy', id: '0123456789abcdef01234567' }],
+    ['an ID that is not an ObjectId', { sort: '-apy', value: 5, id: 'abcdefghijkl' }],
+    ['another sort', { sort: 'name', value: 5, id: '0123456789abcdef01234567' }]
+  ])('rejects a cursor with %s', async (label, position) => {
+    serve([]);
+
+    await expect(YieldOpportunity.search({}, { sort: position.sort === 'updated' ? 'updated' : '-apy', cursor: cursor(position) }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid cursor' });
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('accepts ISO dates for the updated sort', async () => {
+    serve([]);
+
+    await YieldOpportunity.search({}, {
+      sort: 'updated',
+      cursor: cursor({ sort: 'updated', value: '2026-10-01T12:00:00.000Z', id: '0123456789abcdef01234567' })
+    });
+
+    expect(pageCondition()[0]).toEqual({ lastUpdated: { $gt: new Date('2026-10-01T12:00:00.000Z') } });
+  });
+});
@@ -0,0 +1,282 @@
+process.env.PLATFORM_PERFORMANCE_FEE = '20';
+process.env.PLATFORM_WITHDRAWAL_FEE = '0.5';
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Investment = require('../../src/models/Investment');
+const Transaction = require('../../src/models/Transaction');
+const feeService = require('../../src/services/FeeService');
+
+// 1,000 USDC deposited, now worth 1,200
+const makeInvestment = (fees = {}) => new Investment({
+  user: new mongoose.Types.ObjectId(),
+  opportunity: new mongoose.Types.ObjectId(),
+  protocol: new mongoose.Types.ObjectId(),
+  walletAddress: '0xabc',
+  chainId: '1',
+  asset: 'USDC',
+  assetDecimals: 6,
+  assetSymbol: 'USDC',
+  initialAmount: '1000000000',
+  initialAmountUsd: 1000,
+  currentAmount: '1200000000',
+  currentAmountUsd: 1200,
+  apyAtInvestment: 5,
+  currentApy: 5,
+  fees
+});
+
+describe('FeeService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('works on a valid investment', () => {
+    expect(makeInvestment().validateSync()).toBeUndefined();
+  });
+
+  describe('quoteWithdrawal', () => {
+    it('charges the performance fee on the gain over the cost basis', async () => {
+      const quote = await feeService.quoteWithdrawal(makeInvestment(), { amount: '1200000000', amountUsd: 1200 });
+
+      expect(quote.schedule).toEqual({ performanceFee: 0.2, withdrawalFee: 0.005, source: 'platform' });
+      expect(quote.performanceFee.amountUsd).toBeCloseTo(40);
+      expect(quote.withdrawalFee.amountUsd).toBeCloseTo(6);
+      expect(quote.withdrawalFee.amount.raw).toBe('6000000');
+      expect(quote.net.amountUsd).toBeCloseTo(1154);
+      expect(quote.state).toEqual({ realizedProfitUsd: 200, highWaterMarkUsd: 200, costBasisUsd: 0 });
+    });
+
+    it('only counts the withdrawn share of the cost basis', async () => {
+      const quote = await feeService.quoteWithdrawal(makeInvestment(), { amount: '600000000', amountUsd: 600 });
+
+      expect(quote.performanceFee.amountUsd).toBeCloseTo(20);
+      expect(quote.withdrawalFee.amountUsd).toBeCloseTo(3);
+      expect(quote.state).toEqual({ realizedProfitUsd: 100, highWaterMarkUsd: 100, costBasisUsd: 500 });
+    });
+
+    it('does not charge profit again that was given back and recovered', async () => {
+      // 150 of profit was charged, then 50 lost again
+      const investment = makeInvestment({ realizedProfitUsd: 100, highWaterMarkUsd: 150, costBasisUsd: 1000 });
+      const quote = await feeService.quoteWithdrawal(investment, { amount: '1200000000', amountUsd: 1200 });
+
+      // Only the 150 above the mark is charged, not the 50 recovered below it
+      expect(quote.performanceFee.amountUsd).toBeCloseTo(30);
+      expect(quote.state.realizedProfitUsd).toBe(300);
+      expect(quote.state.highWaterMarkUsd).toBe(300);
+    });
+
+    it('charges no performance fee on a loss and keeps the high-water mark', async () => {
+      const investment = makeInvestment({ realizedProfitUsd: 50, highWaterMarkUsd: 50, costBasisUsd: 1000 });
+      const quote = await feeService.quoteWithdrawal(investment, { amount: '1200000000', amountUsd: 900 });
+
+      expect(quote.performanceFee).toBeNull();
+      expect(quote.withdrawalFee.amountUsd).toBeCloseTo(4.5);
+      expect(quote.state.realizedProfitUsd).toBe(-50);
+      expect(quote.state.highWaterMarkUsd).toBe(50);
+    });
+
+    it('values the withdrawal at the current USD value without a price', async () => {
+      const quote = await feeService.quoteWithdrawal(makeInvestment(), { amount: '300000000' });
+
+      expect(quote.gross.amountUsd).toBeCloseTo(300);
+      expect(quote.state.costBasisUsd).toBeCloseTo(750);
+    });
+  });
+
+  describe('chargeWithdrawal', () => {
+    it('records the withdrawal and its fees with the state needed to undo them', async () => {
+      const investment = makeInvestment();
+      jest.spyOn(investment, 'save').mockResolvedValue(investment);
+      jest.spyOn(Transaction, 'create').mockImplementation(async data => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+      const transaction = { _id: new mongoose.Types.ObjectId(), status: 'pending', metadata: {}, markModified: jest.fn(), save: jest.fn() };
+
+      const quote = await feeService.quoteWithdrawal(investment, { amount: '600000000', amountUsd: 600 });
+      const { transactions } = await feeService.chargeWithdrawal(investment, transaction, quote);
+
+      expect(investment.status).toBe('partially_withdrawn');
+      expect(investment.currentAmount).toBe('600000000');
+      expect(investment.fees.highWaterMarkUsd).toBe(100);
+      expect(investment.fees.costBasisUsd).toBe(500);
+      expect(investment.fees.performanceFeesUsd).toBeCloseTo(20);
+      expect(investment.fees.withdrawalFeesUsd).toBeCloseTo(3);
+
+      expect(transactions.map(fee => fee.feeDetails.kind)).toEqual(['withdrawal', 'performance']);
+      expect(transactions.every(fee => fee.status === 'pending' && fee.asset === 'USDC')).toBe(true);
+
+      expect(transaction.metadata.fees.deltas).toEqual({ realizedProfitUsd: 100, highWaterMarkUsd: 100, costBasisUsd: -500 });
+      expect(transaction.metadata.fees.position).toEqual({ amount: '600000000', amountUsd: 600, previousStatus: 'active' });
+      expect(transaction.save).toHaveBeenCalled();
+    });
+
+    it('refuses a withdrawal quoted on a version of the investment that changed', async () => {
+      const investment = makeInvestment();
+      jest.spyOn(investment, 'save').mockRejectedValue(new mongoose.Error.VersionError(investment, 0, []));
+      const create = jest.spyOn(Transaction, 'create');
+      const transaction = { _id: new mongoose.Types.ObjectId(), status: 'pending' };
+
+      const quote = await feeService.quoteWithdrawal(investment, { amount: '600000000', amountUsd: 600 });
+
+      await expect(feeService.chargeWithdrawal(investment, transaction, quote)).rejects.toMatchObject({ statusCode: 409 });
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('chargeHarvest', () => {
+    it('raises the high-water mark and takes the fee in the reward token', async () => {
+      const investment = makeInvestment();
+      jest.spyOn(investment, 'save').mockResolvedValue(investment);
+      const create = jest.spyOn(Transaction, 'create').mockImplementation(async data => data);
+
+      const fee = await feeService.chargeHarvest(investment, {
+        amount: '2000000000000000000',
+        asset: 'COMP',
+        decimals: 18,
+        amountUsd: 100
+      });
+
+      expect(fee.asset).toBe('COMP');
+      expect(fee.decimals).toBe(18);
+      expect(fee.amount).toBe('400000000000000000');
+      expect(fee.amountUsd).toBeCloseTo(20);
+      expect(investment.fees.highWaterMarkUsd).toBe(100);
+      expect(investment.fees.performanceFeesUsd).toBeCloseTo(20);
+      expect(create).toHaveBeenCalledTimes(1);
+    });
+
+    it('charges nothing until a loss is recovered', async () => {
+      const investment = makeInvestment({ realizedProfitUsd: -30, highWaterMarkUsd: 100 });
+      jest.spyOn(investment, 'save').mockResolvedValue(investment);
+      const create = jest.spyOn(Transaction, 'create');
+
+      const fee = await feeService.chargeHarvest(investment, { amount: '50000000', amountUsd: 50 });
+
+      expect(fee).toBeNull();
+      expect(create).not.toHaveBeenCalled();
+      expect(investment.fees.realizedProfitUsd).toBe(20);
+      expect(investment.fees.highWaterMarkUsd).toBe(100);
+    });
+
+    it('keeps the high-water mark while the fee due rounds to nothing', async () => {
+      const investment = makeInvestment();
+      jest.spyOn(investment, 'save').mockResolvedValue(investment);
+      const create = jest.spyOn(Transaction, 'create').mockImplementation(async data => data);
+
+      // 20% of 2 base units is less than one
+      await expect(feeService.chargeHarvest(investment, { amount: '2', amountUsd: 2 })).resolves.toBeNull();
+      expect(investment.fees.realizedProfitUsd).toBe(2);
+      expect(investment.fees.highWaterMarkUsd).toBe(0);
+
+      // The next fee is charged on both harvests
+      const fee = await feeService.chargeHarvest(investment, { amount: '10', amountUsd: 10 });
+      expect(fee.amount).toBe('2');
+      expect(fee.amountUsd).toBeCloseTo(2.4, 6);
+      expect(investment.fees.highWaterMarkUsd).toBeCloseTo(12, 6);
+      expect(create).toHaveBeenCalledTimes(1);
+    });
+
+    it('raises the high-water mark only over the profit a capped fee covers', async () => {
+      const investment = makeInvestment({ realizedProfitUsd: 500, highWaterMarkUsd: 0 });
+      jest.spyOn(investment, 'save').mockResolvedValue(investment);
+      jest.spyOn(Transaction, 'create').mockImplementation(async data => data);
+
+      // 20% of 510 of profit is more than the whole 10 USDC harvest
+      const fee = await feeService.chargeHarvest(investment, { amount: '10000000', amountUsd: 10 });
+
+      expect(fee.amount).toBe('10000000');
+      expect(investment.fees.realizedProfitUsd).toBe(510);
+      expect(investment.fees.highWaterMarkUsd).toBeCloseTo(50, 6);
+    });
+
+    it('follows realized profit when there is no fee rate', async () => {
+      const investment = makeInvestment();
+      jest.spyOn(investment, 'save').mockResolvedValue(investment);
+      jest.spyOn(feeService, 'getSchedule').mockResolvedValue({ performanceFee: 0, withdrawalFee: 0, source: 'strategy' });
+
+      await expect(feeService.chargeHarvest(investment, { amount: '50000000', amountUsd: 50 })).resolves.toBeNull();
+      expect(investment.fees.highWaterMarkUsd).toBe(50);
+    });
+
+    it('reads the fee state again when another update saved first', async () => {
+      const stale = makeInvestment();
+      jest.spyOn(stale, 'save').mockRejectedValue(new mongoose.Error.VersionError(stale, 0, []));
+
+      // Meanwhile another harvest charged 40 of profit
+      const fresh = makeInvestment({ realizedProfitUsd: 40, highWaterMarkUsd: 40 });
+      fresh._id = stale._id;
+      jest.spyOn(fresh, 'save').mockResolvedValue(fresh);
+      jest.spyOn(Investment, 'findById').mockResolvedValue(fresh);
+      jest.spyOn(Transaction, 'create').mockImplementation(async data => data);
+
+      const fee = await feeService.chargeHarvest(stale, { amount: '10000000', amountUsd: 10 });
+
+      expect(Investment.findById).toHaveBeenCalledWith(stale._id);
+      expect(fee.feeDetails.highWaterMarkUsd).toBe(50);
+      expect(fresh.fees.highWaterMarkUsd).toBe(50);
+    });
+  });
+
+  describe('settle', () => {
+    const failedWithdrawal = () => ({
+      _id: new mongoose.Types.ObjectId(),
+      investmentId: new mongoose.Types.ObjectId(),
+      status: 'failed',
+      metadata: {
+        fees: {
+          deltas: { realizedProfitUsd: 100, highWaterMarkUsd: 100, costBasisUsd: -500 },
+          position: { amount: '600000000', amountUsd: 600, previousStatus: 'active' }
+        }
+      }
+    });
+
+    const feeTransaction = (kind, amountUsd) => ({
+      status: 'pending',
+      amountUsd,
+      feeDetails: { kind },
+      updateStatus: jest.fn().mockResolvedValue()
+    });
+
+    it('fails the fees and undoes what the withdrawal changed', async () => {
+      const transaction = failedWithdrawal();
+      const fees = [feeTransaction('withdrawal', 3), feeTransaction('performance', 20)];
+      jest.spyOn(Transaction, 'find').mockResolvedValue(fees);
+      jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const updateInvestment = jest.spyOn(Investment, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+
+      await expect(feeService.settle(transaction)).resolves.toBe(2);
+
+      fees.forEach(fee => expect(fee.updateStatus).toHaveBeenCalledWith('failed'));
+      expect(updateInvestment).toHaveBeenCalledTimes(2);
+
+      const [filter, update] = updateInvestment.mock.calls[1];
+      expect(filter).toEqual({ _id: transaction.investmentId });
+      expect(update.$inc).toMatchObject({
+        'fees.realizedProfitUsd': -100,
+        'fees.highWaterMarkUsd': -100,
+        'fees.costBasisUsd': 500,
+        'fees.withdrawalFeesUsd': -3,
+        'fees.performanceFeesUsd': -20,
+        currentAmountUsd: 600,
+        __v: 1
+      });
+      expect(update.$inc.currentAmount.toString()).toBe('600000000');
+      expect(update.$pull).toEqual({ withdrawals: { transactionId: transaction._id } });
+    });
+
+    it('undoes a withdrawal only once', async () => {
+      jest.spyOn(Transaction, 'find').mockResolvedValue([]);
+      jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const updateInvestment = jest.spyOn(Investment, 'updateOne');
+
+      await feeService.settle(failedWithdrawal());
+
+      expect(updateInvestment).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,108 @@
+process.env.PRICE_ORACLE_FIXTURES = require('path').join(__dirname, '../fixtures/prices.json');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const priceOracleService = require('../../src/services/PriceOracleService');
+const { fromRaw } = require('../../src/utils/amount');
+
+describe('PriceOracleService on a fixture feed', () => {
+  beforeEach(() => {
+    priceOracleService.cache.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads its sources from the fixture file', () => {
+    expect(priceOracleService.sources.map(source => source.name)).toEqual(['chainlink', 'uniswap', 'coingecko']);
+  });
+
+  it('prices an asset at the median of its quotes', async () => {
+    const price = await priceOracleService.getPrice('ETH');
+
+    expect(price.priceUsd).toBe(3500);
+    expect(price.sources.map(quote => [quote.name, quote.status])).toEqual([
+      ['chainlink', 'used'],
+      ['uniswap', 'used'],
+      ['coingecko', 'used']
+    ]);
+  });
+
+  it('resolves aliases to the canonical asset', async () => {
+    await expect(priceOracleService.getPriceUsd('weth')).resolves.toBe(3500);
+  });
+
+  it('leaves out quotes far from the median', async () => {
+    const price = await priceOracleService.getPrice('DOT');
+
+    expect(price.priceUsd).toBeCloseTo(6.205);
+    expect(price.sources.find(quote => quote.name === 'uniswap').status).toBe('outlier');
+  });
+
+  it('leaves out stale quotes unless the quote allows their age', async () => {
+    const link = await priceOracleService.getPrice('LINK');
+    expect(link.priceUsd).toBe(14);
+    expect(link.sources.find(quote => quote.name === 'chainlink').status).toBe('stale');
+
+    await expect(priceOracleService.getPriceUsd('USDC')).resolves.toBe(1);
+  });
+
+  it('has no price when every quote is stale or the quotes disagree', async () => {
+    await expect(priceOracleService.getPrice('KSM')).resolves.toBeNull();
+    await expect(priceOracleService.getPrice('BTC')).resolves.toBeNull();
+    await expect(priceOracleService.getPrice('XYZ')).resolves.toBeNull();
+  });
+
+  it('queries each source once per batch and caches the prices', async () => {
+    const spies = priceOracleService.sources.map(source => jest.spyOn(source, 'getQuotes'));
+
+    const prices = await priceOracleService.getPrices(['ETH', 'WETH', { symbol: 'DOT', chainId: '0' }]);
+    await priceOracleService.getPrices(['ETH', 'DOT']);
+
+    expect(Array.from(prices.keys())).toEqual(['ETH', 'DOT']);
+    spies.forEach(spy => expect(spy).toHaveBeenCalledTimes(1));
+  });
+
+  it('values amounts of several assets', async () => {
+    const values = await priceOracleService.valueAmounts([
+      fromRaw('1500000000000000000', 18, 'ETH'),
+      fromRaw('100000000000', 10, 'DOT'),
+      fromRaw('1', 0, 'XYZ')
+    ]);
+
+    expect(values[0]).toBe(5250);
+    expect(values[1]).toBeCloseTo(62.05);
+    expect(values[2]).toBeNull();
+  });
+
+  it('totals values by asset and lists assets without a price', async () => {
+    const totals = await priceOracleService.valueTotals([
+      { asset: 'ETH', decimals: 18, raw: '2000000000000000000' },
+      { asset: 'KSM', decimals: 12, raw: '10000000000000' }
+    ]);
+
+    expect(totals).toEqual({
+      valueUsd: 7000,
+      byAsset: [
+        { asset: 'ETH', amount: '2', valueUsd: 7000 },
+        { asset: 'KSM', amount: '10', valueUsd: null }
+      ],
+      unpriced: ['KSM']
+    });
+  });
+
+  it('converts USD with the fixture exchange rates', async () => {
+    await expect(priceOracleService.toFiat(100, 'EUR')).resolves.toBeCloseTo(92);
+    await expect(priceOracleService.getFiatRate('USD')).resolves.toBe(1);
+    await expect(priceOracleService.getFiatRate('GBP')).rejects.toMatchObject({
+      statusCode: 503,
+      message: 'No GBP exchange rate in the price fixtures'
+    });
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const RebalancingOperation = require('../../src/models/RebalancingOperation');
+const rebalancingService = require('../../src/services/RebalancingService');
+
+const makeOperation = (simulation) => {
+  const operation = new RebalancingOperation({
+    user: new mongoose.Types.ObjectId(),
+    strategy: new mongoose.Types.ObjectId(),
+    status: 'executing',
+    simulation
+  });
+  jest.spyOn(operation, 'save').mockResolvedValue(operation);
+  return operation;
+};
+
+describe('RebalancingService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('executeRebalancingOperation', () => {
+    const strategy = { _id: new mongoose.Types.ObjectId(), notifications: { enabled: false }, recordRebalance: jest.fn() };
+
+    const execute = async (operation) => {
+      jest.spyOn(rebalancingService, 'getOperationById').mockResolvedValue(operation);
+      jest.spyOn(rebalancingService, 'getStrategyById').mockResolvedValue(strategy);
+      return rebalancingService.executeRebalancingOperation(operation._id, operation.user);
+    };
+
+    it('refuses an operation that was not simulated and leaves it as it was', async () => {
+      const operation = makeOperation();
+      const findById = jest.spyOn(RebalancingOperation, 'findById');
+
+      await expect(execute(operation)).rejects.toMatchObject({ statusCode: 400, message: 'Cannot execute an operation that was not simulated' });
+      expect(operation.status).toBe('executing');
+      expect(findById).not.toHaveBeenCalled();
+    });
+
+    it('refuses an operation whose simulation failed', async () => {
+      const operation = makeOperation({ performed: true, result: 'failed' });
+
+      await expect(execute(operation)).rejects.toMatchObject({ statusCode: 400, message: 'Cannot execute an operation whose simulation failed' });
+      expect(operation.status).toBe('executing');
+    });
+
+    it('completes with the figures its simulation measured', async () => {
+      const operation = makeOperation({
+        performed: true,
+        result: 'success',
+        expectedGasCost: 0.004,
+        expectedGasCostUsd: 12.5,
+        expectedSlippage: 0.003,
+        details: { portfolioValueBefore: 5000, portfolioValueAfter: 4972.5 }
+      });
+
+      await execute(operation);
+
+      expect(operation.status).toBe('completed');
+      expect(operation.performance).toMatchObject({
+        portfolioValueBefore: 5000,
+        portfolioValueAfter: 4972.5,
+        totalGasCost: 0.004,
+        totalGasCostUsd: 12.5,
+        totalSlippage: 0.003
+      });
+      expect(operation.performance.executionTime).toBeUndefined();
+      expect(operation.performance.successRate).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,80 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Transaction = require('../../src/models/Transaction');
+const Investment = require('../../src/models/Investment');
+const priceOracleService = require('../../src/services/PriceOracleService');
+const taxService = require('../../src/services/TaxService');
+
+// Resolves like find().select().lean()
+const query = results => ({ select: () => ({ lean: async () => results }) });
+
+describe('TaxService', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const depositId = new mongoose.Types.ObjectId();
+  const withdrawalId = new mongoose.Types.ObjectId();
+  const harvestId = new mongoose.Types.ObjectId();
+
+  const transactions = [
+    { _id: depositId, type: 'deposit', amount: '1000000000', decimals: 6, asset: 'USDC', amountUsd: 1000, createdAt: new Date('2025-01-10T00:00:00Z') },
+    { _id: harvestId, type: 'harvest', amount: '10000000000000000000', decimals: 18, asset: 'COMP', amountUsd: 100, createdAt: new Date('2025-03-01T00:00:00Z') },
+    { _id: withdrawalId, type: 'withdrawal', amount: '600000000', decimals: 6, asset: 'USDC', amountUsd: 660, createdAt: new Date('2025-06-01T00:00:00Z') }
+  ];
+
+  // A withdrawal fee and a performance fee on the withdrawal, and a performance fee on the harvest
+  const fees = [
+    { amount: '3000000', decimals: 6, asset: 'USDC', amountUsd: 3.3, feeDetails: { chargedOn: withdrawalId } },
+    { amount: '12000000', decimals: 6, asset: 'USDC', amountUsd: 13.2, feeDetails: { chargedOn: withdrawalId } },
+    { amount: '2000000000000000000', decimals: 18, asset: 'COMP', amountUsd: 20, feeDetails: { chargedOn: harvestId } }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: async () => ({ preferences: { currency: 'USD', taxLotMethod: 'FIFO' } })
+    });
+    jest.spyOn(priceOracleService, 'getFiatConverter').mockResolvedValue(valueUsd => valueUsd);
+    jest.spyOn(Transaction, 'find').mockImplementation(filter => query(filter.type === 'fee' ? fees : transactions));
+    jest.spyOn(Investment, 'find').mockReturnValue(query([]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes the fees charged on a withdrawal off its proceeds', async () => {
+    const report = await taxService.getReport(userId, 2025);
+
+    const [disposal] = report.disposals;
+    expect(disposal.amount).toBe(600);
+    expect(disposal.fees).toBeCloseTo(16.5, 6);
+    expect(disposal.proceeds).toBeCloseTo(643.5, 6);
+    expect(disposal.costBasis).toBeCloseTo(600, 6);
+    expect(disposal.gain).toBeCloseTo(43.5, 6);
+    expect(report.summary.realizedGain).toBeCloseTo(43.5, 6);
+  });
+
+  it('takes the fee charged on a harvest off its income and the lot it opens', async () => {
+    const report = await taxService.getReport(userId, 2025);
+
+    expect(report.income).toHaveLength(1);
+    expect(report.income[0]).toMatchObject({ asset: 'COMP', amount: 8, value: 80, fees: 20 });
+    expect(report.summary.income).toBe(80);
+
+    jest.spyOn(taxService, '_currentPrices').mockResolvedValue(new Map());
+    const { lots } = await taxService.getLots(userId);
+    expect(lots.find(lot => lot.asset === 'COMP')).toMatchObject({ amount: 8, costBasis: 80 });
+  });
+
+  it('lists the fees in transaction imports', async () => {
+    const { csv } = await taxService.exportReport(userId, 2025, { format: 'koinly' });
+
+    const withdrawal = csv.split('\n').find(line => line.startsWith('2025-06-01'));
+    expect(withdrawal).toContain('600,USDC,660,USD,15,USDC');
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const transactionSimulator = require('../../src/services/TransactionSimulator');
+const LocalSimulationBackend = require('../../src/services/simulationBackends/LocalSimulationBackend');
+
+const WALLET = '0x0000000000000000000000000000000000000abc';
+
+describe('TransactionSimulator with the local backend', () => {
+  beforeEach(() => {
+    transactionSimulator.setBackend(new LocalSimulationBackend({ gasPrice: '20000000000' }));
+  });
+
+  afterAll(() => {
+    transactionSimulator.setBackend(null);
+  });
+
+  const context = {
+    defaultWallet: WALLET,
+    maxSlippage: 0.5,
+    nativePriceUsd: 2000,
+    balances: [{ chainId: '1', holder: WALLET, token: 'USDC', amount: '1000' }]
+  };
+
+  it('runs each step against the ledger and reports balance changes and gas', async () => {
+    const report = await transactionSimulator.simulateOperation({
+      transactions: [
+        { type: 'swap', fromChain: '1', fromAsset: 'USDC', toAsset: 'DAI', fromAmount: '600', toAmount: '598', fromAmountUsd: 600 },
+        { type: 'transfer', fromChain: '1', toChain: '137', fromAsset: 'DAI', fromAmount: '598', toAmount: '597' }
+      ]
+    }, context);
+
+    expect(report.backend).toBe('local');
+    expect(report.reverted).toBe(false);
+    expect(report.steps.map(step => step.status)).toEqual(['success', 'success']);
+
+    const [swap, bridge] = report.steps;
+    expect(swap.balanceDeltas).toEqual([
+      { chainId: '1', token: 'USDC', symbol: 'USDC', before: '1000', after: '400', delta: '-600' },
+      { chainId: '1', token: 'DAI', symbol: 'DAI', before: '0', after: '598', delta: '598' }
+    ]);
+    expect(swap.slippage).toEqual({ expected: 0.001, measured: false, exceedsLimit: false });
+
+    expect(bridge.calls[0].kind).toBe('bridge');
+    expect(bridge.balanceDeltas.find(delta => delta.chainId === '137').delta).toBe('597');
+
+    // 160k swap gas plus 250k bridge gas at 20 gwei and $2,000
+    expect(report.totalGasUsed).toBe('410000');
+    expect(report.totalGasCostUsd).toBeCloseTo(16.4);
+    expect(report.warnings).toEqual([]);
+  });
+
+  it('stops at the first revert and skips the steps after it', async () => {
+    const report = await transactionSimulator.simulateOperation({
+      transactions: [
+        { type: 'swap', fromChain: '1', fromAsset: 'USDC', toAsset: 'DAI', fromAmount: '2000', toAmount: '1990' },
+        { type: 'transfer', fromChain: '1', toChain: '137', fromAsset: 'DAI', fromAmount: '1990' }
+      ]
+    }, context);
+
+    expect(report.reverted).toBe(true);
+    expect(report.revertedStep).toBe(0);
+    expect(report.steps[0].status).toBe('reverted');
+    expect(report.steps[0].revertReason).toBe('Insufficient USDC balance: has 1000, needs 2000');
+    expect(report.steps[1]).toMatchObject({ status: 'skipped', warnings: ['Not simulated: step 1 would revert'] });
+  });
+
+  it('flags swaps whose expected slippage is above the limit', async () => {
+    const report = await transactionSimulator.simulateOperation({
+      transactions: [
+        { type: 'swap', fromChain: '1', fromAsset: 'USDC', toAsset: 'DAI', fromAmount: '1000', toAmount: '990', fromAmountUsd: 250000 }
+      ]
+    }, context);
+
+    expect(report.steps[0].slippage).toEqual({ expected: 0.01, measured: false, exceedsLimit: true });
+    expect(report.warnings).toEqual(['Transaction 1: Expected slippage of 1.00% is above the 0.5% limit']);
+  });
+
+  it('skips steps on chains without a known wallet', async () => {
+    transactionSimulator.setBackend(Object.assign(new LocalSimulationBackend(), { name: 'stand-in' }));
+
+    const report = await transactionSimulator.simulateOperation({
+      transactions: [{ type: 'swap', fromChain: '1', fromAsset: 'USDC', toAsset: 'DAI', fromAmount: '1' }]
+    }, { balances: context.balances });
+
+    expect(report.steps[0]).toMatchObject({ status: 'skipped', warnings: ['No wallet address known for chain 1'] });
+  });
+});
@@ -0,0 +1,83 @@
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/utils/notificationService', () => ({
+  createNotification: jest.fn().mockResolvedValue({})
+}));
+
+const mongoose = require('mongoose');
+const Investment = require('../../src/models/Investment');
+const Transaction = require('../../src/models/Transaction');
+const ProtocolAdapterManager = require('../../src/services/ProtocolAdapterManager');
+const feeService = require('../../src/services/FeeService');
+const yieldDataService = require('../../src/services/YieldDataService');
+
+describe('YieldDataService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('processAutoHarvests', () => {
+    const makeInvestment = () => new Investment({
+      user: new mongoose.Types.ObjectId(),
+      opportunity: new mongoose.Types.ObjectId(),
+      protocol: new mongoose.Types.ObjectId(),
+      walletAddress: '0xabc',
+      chainId: '1',
+      asset: 'USDC',
+      assetDecimals: 6,
+      assetSymbol: 'USDC',
+      initialAmount: '1000000000',
+      initialAmountUsd: 1000,
+      currentAmount: '1000000000',
+      currentAmountUsd: 1000,
+      apyAtInvestment: 5,
+      currentApy: 5,
+      autoHarvest: { enabled: true, threshold: '0' }
+    });
+
+    it('records the harvest as a transaction and charges its fee on it', async () => {
+      const investment = makeInvestment();
+      jest.spyOn(investment, 'save').mockResolvedValue(investment);
+      jest.spyOn(Investment, 'findById').mockResolvedValue(investment);
+      jest.spyOn(Investment, 'findEligibleForHarvest').mockResolvedValue([{
+        ...investment.toObject(),
+        opportunity: { _id: investment.opportunity, name: 'USDC lending' },
+        protocol: { _id: investment.protocol }
+      }]);
+      jest.spyOn(ProtocolAdapterManager, 'getAdapterForProtocol').mockReturnValue({
+        getClaimableRewards: async () => [{ amount: '2000000000000000000', symbol: 'COMP', decimals: 18, amountUsd: 100 }],
+        harvest: async () => ({ status: 'success', transactionHash: '0xfeed' })
+      });
+      jest.spyOn(feeService, 'getSchedule').mockResolvedValue({ performanceFee: 0.2, withdrawalFee: 0, source: 'platform' });
+      const created = [];
+      jest.spyOn(Transaction, 'create').mockImplementation(async (data) => {
+        const transaction = new Transaction(data);
+        created.push(transaction);
+        return transaction;
+      });
+
+      const results = await yieldDataService.processAutoHarvests();
+
+      expect(results.succeeded).toBe(1);
+      const [harvest, fee] = created;
+
+      expect(harvest.validateSync()).toBeUndefined();
+      expect(harvest.type).toBe('harvest');
+      expect(harvest.status).toBe('completed');
+      expect(harvest.txHash).toBe('0xfeed');
+      expect(harvest.toAmount()).toEqual({ raw: '2000000000000000000', decimals: 18, asset: 'COMP' });
+      expect(harvest.amountUsd).toBe(100);
+
+      expect(String(investment.harvests[0].transactionId)).toBe(String(harvest._id));
+
+      expect(fee.type).toBe('fee');
+      expect(String(fee.feeDetails.chargedOn)).toBe(String(harvest._id));
+      expect(fee.toAmount()).toEqual({ raw: '400000000000000000', decimals: 18, asset: 'COMP' });
+    });
+  });
+});
@@ -0,0 +1,163 @@
+jest.mock('../../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const path = require('path');
+const PolkadotAdapter = require('../../../src/services/protocolAdapters/PolkadotAdapter');
+
+// Reads recorded from Polkadot and Interlay, replayed without a node
+const FIXTURES = path.join(__dirname, '../../fixtures/polkadot.json');
+
+const MEMBER = '15oF4uVJwmo4TdGW7VfQxNLavjCXviqxT9S1MgbjMNHr6Sp5';
+const NON_MEMBER = '14E5nqKAp3oAJcmzgZhUD2RcptBeUBScxKHgJKU4HPNcKVf3';
+const LENDER = 'wdCJ8CsZchTEfUP8Xz1eZKNRjW5cuYjJ9fh6pcZNXezsysBrJ';
+
+// Daily compounding of a per-era rate, as the adapter reports it
+const apy = rate => (Math.pow(1 + rate, 365) - 1) * 100;
+
+describe('PolkadotAdapter on recorded fixtures', () => {
+  let adapter;
+  let pool;
+  let dotMarket;
+
+  beforeAll(async () => {
+    adapter = new PolkadotAdapter({ fixtures: FIXTURES });
+    [pool] = await adapter.getYieldOpportunities('polkadot');
+    [dotMarket] = await adapter.getYieldOpportunities('interlay');
+  });
+
+  describe('getYieldOpportunities', () => {
+    it('routes the nomination pool opportunity to the open pool with the lowest commission', () => {
+      expect(pool).toMatchObject({
+        name: 'Polkadot Nomination Pools',
+        assetSymbol: 'DOT',
+        assetDecimals: 10,
+        strategyType: 'staking',
+        implementationDetails: {
+          contractAddress: '13UVJyLnbVp8c4FQeiGCsV63YihAstUrqj3AGcK7gaj8eubS',
+          methodName: 'nominationPools.join',
+          extraData: { kind: 'nominationPool', poolId: 2, poolName: 'Low Fee Pool', commission: 0.01, ss58Format: 0 }
+        },
+        liquidityProfile: { lockTime: 28 * 24 * 60 * 60 }
+      });
+    });
+
+    it('values the stake of every pool and the minimum bond', () => {
+      expect(pool.tvlUsd).toBeCloseTo((260000 + 110000 + 1) * 5);
+      expect(pool.minInvestmentUsd).toBe(5);
+    });
+
+    it('derives the APY from era rewards after the pool commission', () => {
+      // Era 1499 paid 2,740 DOT per 7.5M staked
+      expect(pool.apy.current).toBeCloseTo(apy((2.74e15 / 7.5e18) * 0.99), 6);
+      expect(pool.apy.min7d).toBeLessThanOrEqual(pool.apy.mean7d);
+      expect(pool.apy.max7d).toBeGreaterThanOrEqual(pool.apy.mean7d);
+      expect(pool.apy.min30d).toBeCloseTo(apy((2.7e15 / 7.5e18) * 0.99), 6);
+    });
+
+    it('offers one opportunity per active lending market', async () => {
+      const markets = await adapter.getYieldOpportunities('interlay');
+
+      expect(markets.map(market => market.assetAddress)).toEqual(['Token:DOT', 'ForeignAsset:2']);
+      expect(dotMarket).toMatchObject({
+        name: 'Interlay Lending DOT Supply',
+        strategyType: 'lending',
+        implementationDetails: { methodName: 'loans.mint', extraData: { kind: 'lending', currencyKey: 'Token:DOT', lendTokenId: { LendToken: 2 } } },
+        rewardTokens: [{ symbol: 'INTR', address: 'native', decimals: 10 }]
+      });
+      expect(dotMarket.apy.current).toBeCloseTo(apy(0.05 / 365), 6);
+      // 500,000,000 lend tokens at 0.02 DOT each, at $5
+      expect(dotMarket.tvlUsd).toBeCloseTo(5000000);
+      expect(markets[1].tvlUsd).toBeCloseTo(200000);
+    });
+
+    it('returns nothing for chains it does not support', async () => {
+      await expect(adapter.getYieldOpportunities('1')).resolves.toEqual([]);
+    });
+  });
+
+  describe('getApyData and getTvl', () => {
+    it('match the opportunities', async () => {
+      await expect(adapter.getApyData(pool)).resolves.toEqual(pool.apy);
+      await expect(adapter.getApyData(dotMarket)).resolves.toEqual(dotMarket.apy);
+      await expect(adapter.getTvl(pool)).resolves.toBeCloseTo(pool.tvlUsd);
+      await expect(adapter.getTvl(dotMarket)).resolves.toBeCloseTo(dotMarket.tvlUsd);
+    });
+  });
+
+  describe('getBalance', () => {
+    it('converts pool points to stake and reports unbonding funds separately', async () => {
+      await expect(adapter.getBalance({ opportunity: pool, walletAddress: MEMBER })).resolves.toEqual({
+        amount: '22000000000',
+        amountFormatted: '2.2',
+        amountUsd: 11,
+        unbonding: '4750000000',
+        unbondingFormatted: '0.475',
+        poolId: 2
+      });
+    });
+
+    it('is zero for an account outside every pool', async () => {
+      await expect(adapter.getBalance({ opportunity: pool, walletAddress: NON_MEMBER })).resolves.toMatchObject({ amount: '0', amountUsd: 0 });
+    });
+
+    it('converts lend tokens at the exchange rate', async () => {
+      await expect(adapter.getBalance({ opportunity: dotMarket, walletAddress: LENDER })).resolves.toEqual({
+        amount: '20000000000',
+        amountFormatted: '2',
+        amountUsd: 10,
+        lendTokens: '1000000000000'
+      });
+    });
+
+    it('fails on reads that were not recorded', async () => {
+      await expect(adapter.getBalance({ opportunity: dotMarket, walletAddress: NON_MEMBER }))
+        .rejects.toThrow(`No Polkadot fixture recorded for interlay lendTokens:Token:DOT:${NON_MEMBER}`);
+    });
+  });
+
+  describe('getClaimableRewards', () => {
+    it('reports pending pool rewards in the native token', async () => {
+      const [reward] = await adapter.getClaimableRewards({ opportunity: pool, walletAddress: MEMBER });
+
+      expect(reward).toMatchObject({ symbol: 'DOT', decimals: 10, amount: '1234567890', amountFormatted: '0.123456789' });
+      expect(reward.amountUsd).toBeCloseTo(0.617283945);
+    });
+
+    it('is empty without rewards', async () => {
+      await expect(adapter.getClaimableRewards({ opportunity: dotMarket, walletAddress: LENDER })).resolves.toEqual([]);
+    });
+  });
+
+  describe('buildTransactions', () => {
+    it('joins the selected pool for new members and bonds extra for existing ones', async () => {
+      const [join] = await adapter.buildTransactions('deposit', pool, { amount: '10000000000', userAddress: NON_MEMBER });
+      const [bond] = await adapter.buildTransactions('deposit', pool, { amount: '10000000000', userAddress: MEMBER });
+
+      expect(join).toMatchObject({ section: 'nominationPools', method: 'join', args: ['10000000000', 2], data: null });
+      expect(bond).toMatchObject({ section: 'nominationPools', method: 'bondExtra', args: [{ FreeBalance: '10000000000' }] });
+    });
+
+    it('unbonds the pool points of a withdrawal, capped at the member points', async () => {
+      const [partial] = await adapter.buildTransactions('withdraw', pool, { amount: '11000000000', userAddress: MEMBER });
+      const [all] = await adapter.buildTransactions('withdraw', pool, { amount: '99000000000', userAddress: MEMBER });
+
+      expect(partial).toMatchObject({ method: 'unbond', args: [MEMBER, '10000000000'] });
+      expect(all.args).toEqual([MEMBER, '20000000000']);
+    });
+
+    it('redeems from lending markets', async () => {
+      const [redeem] = await adapter.buildTransactions('withdraw', dotMarket, { amount: 'max', userAddress: LENDER });
+
+      expect(redeem).toMatchObject({ section: 'loans', method: 'redeemAll', args: [{ Token: 'DOT' }] });
+    });
+  });
+
+  it('does not send transactions while replaying', async () => {
+    await expect(adapter.harvest({ opportunity: pool, walletAddress: MEMBER }))
+      .rejects.toThrow('Transactions cannot be sent while replaying fixtures');
+  });
+});
@@ -0,0 +1,94 @@
+const LocalSimulationBackend = require('../../../src/services/simulationBackends/LocalSimulationBackend');
+
+const WALLET = '0xAbC0000000000000000000000000000000000001';
+
+describe('LocalSimulationBackend', () => {
+  let backend;
+  let session;
+
+  beforeEach(async () => {
+    backend = new LocalSimulationBackend({ gasPrice: '1000000000' });
+    session = await backend.begin({
+      balances: [
+        { chainId: '1', holder: WALLET, token: 'USDC', amount: '1000' },
+        { chainId: '1', holder: WALLET, token: 'USDC', amount: '500' }
+      ]
+    });
+  });
+
+  it('seeds balances, adding up entries for the same token', async () => {
+    await expect(backend.getBalance(session, '1', WALLET, 'USDC')).resolves.toBe('1500');
+    await expect(backend.getBalance(session, '1', WALLET.toLowerCase(), 'USDC')).resolves.toBe('1500');
+    await expect(backend.getBalance(session, '1', WALLET, 'DAI')).resolves.toBe('0');
+  });
+
+  it('only executes calls with expected effects', () => {
+    expect(backend.canExecute({ kind: 'swap', effects: { debit: [], credit: [] } })).toBe(true);
+    expect(backend.canExecute({ kind: 'swap', to: '0x1', data: '0x' })).toBe(false);
+  });
+
+  it('moves balances and reports gas from the gas table', async () => {
+    const result = await backend.execute(session, {
+      chainId: '1',
+      from: WALLET,
+      kind: 'swap',
+      effects: {
+        debit: [{ token: 'USDC', amount: '400' }],
+        credit: [{ token: 'DAI', amount: '399.5' }]
+      }
+    });
+
+    expect(result).toEqual({ success: true, gasUsed: '160000', gasPrice: '1000000000' });
+    await expect(backend.getBalance(session, '1', WALLET, 'USDC')).resolves.toBe('1100');
+    await expect(backend.getBalance(session, '1', WALLET, 'DAI')).resolves.toBe('399.5');
+  });
+
+  it('credits bridged tokens on the destination chain', async () => {
+    await backend.execute(session, {
+      chainId: '1',
+      from: WALLET,
+      kind: 'bridge',
+      effects: {
+        debit: [{ token: 'USDC', amount: '1000' }],
+        credit: [{ token: 'USDC', amount: '998', chainId: '137' }]
+      }
+    });
+
+    await expect(backend.getBalance(session, '1', WALLET, 'USDC')).resolves.toBe('500');
+    await expect(backend.getBalance(session, '137', WALLET, 'USDC')).resolves.toBe('998');
+  });
+
+  it('reverts without touching the ledger when a debit cannot be covered', async () => {
+    const result = await backend.execute(session, {
+      chainId: '1',
+      from: WALLET,
+      kind: 'deposit',
+      effects: {
+        debit: [{ token: 'USDC', amount: '100' }, { token: 'DAI', amount: '1' }],
+        credit: [{ token: 'position:aave:USDC', amount: '100' }]
+      }
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.gasUsed).toBe(String(LocalSimulationBackend.DEFAULT_GAS_TABLE.deposit));
+    expect(result.revertReason).toBe('Insufficient DAI balance: has 0, needs 1');
+    await expect(backend.getBalance(session, '1', WALLET, 'USDC')).resolves.toBe('1500');
+    await expect(backend.getBalance(session, '1', WALLET, 'position:aave:USDC')).resolves.toBe('0');
+  });
+
+  it('uses the transfer gas for unknown call kinds and allows overriding the table', async () => {
+    const custom = new LocalSimulationBackend({ gasTable: { swap: 90000 } });
+    const customSession = await custom.begin();
+
+    await expect(custom.execute(customSession, { chainId: '1', from: WALLET, kind: 'swap' }))
+      .resolves.toMatchObject({ success: true, gasUsed: '90000' });
+    await expect(custom.execute(customSession, { chainId: '1', from: WALLET, kind: 'unknown' }))
+      .resolves.toMatchObject({ success: true, gasUsed: '65000' });
+  });
+
+  it('discards the ledger when the session ends', async () => {
+    await backend.end(session);
+
+    await expect(backend.getBalance(session, '1', WALLET, 'USDC')).resolves.toBe('0');
+  });
+});
@@ -0,0 +1,178 @@
+const AllocationConstraints = require('../../src/utils/allocationConstraints');
+
+const sumOf = (cells, weights, predicate) => cells
+  .filter(predicate)
+  .reduce((sum, cell) => sum + weights.get(cell.key), 0);
+
+describe('AllocationConstraints', () => {
+  describe('getDimensions and isMultiDimensional', () => {
+    it('lists the constrained dimensions in canonical order', () => {
+      const targets = [
+        { type: 'chain', id: '1', targetPercentage: 50 },
+        { type: 'asset', id: 'USDC', targetPercentage: 100 }
+      ];
+
+      expect(AllocationConstraints.getDimensions(targets)).toEqual(['asset', 'chain']);
+      expect(AllocationConstraints.isMultiDimensional(targets)).toBe(true);
+    });
+
+    it('treats a single dimension as one-dimensional unless it has a wildcard', () => {
+      const targets = [{ type: 'asset', id: 'USDC', targetPercentage: 100 }];
+
+      expect(AllocationConstraints.isMultiDimensional(targets)).toBe(false);
+      expect(AllocationConstraints.isMultiDimensional([...targets, { type: 'asset', id: '*', maxPercentage: 60 }])).toBe(true);
+    });
+  });
+
+  describe('getBand', () => {
+    it('narrows the deviation threshold with an explicit min and max', () => {
+      expect(AllocationConstraints.getBand({ type: 'asset', id: 'USDC', targetPercentage: 50 }, 5))
+        .toEqual({ min: 45, max: 55, target: 50 });
+      expect(AllocationConstraints.getBand({ type: 'asset', id: 'USDC', targetPercentage: 50, minPercentage: 48, maxPercentage: 60 }, 5))
+        .toEqual({ min: 48, max: 55, target: 50 });
+    });
+
+    it('gives wildcards the whole range apart from their limits', () => {
+      expect(AllocationConstraints.getBand({ type: 'chain', id: '*', maxPercentage: 40 }, 5))
+        .toEqual({ min: 0, max: 40, target: null });
+    });
+  });
+
+  describe('evaluate', () => {
+    it('reports allocations outside their band, including every member a wildcard covers', () => {
+      const targets = [
+        { type: 'asset', id: 'USDC', targetPercentage: 50 },
+        { type: 'chain', id: '*', maxPercentage: 40 }
+      ];
+      const current = [
+        { type: 'asset', id: 'USDC', percentage: 52 },
+        { type: 'chain', id: '1', percentage: 70 },
+        { type: 'chain', id: 'polkadot', percentage: 30 }
+      ];
+
+      const violations = AllocationConstraints.evaluate(targets, current, 5);
+
+      expect(violations).toHaveLength(1);
+      expect(violations[0]).toMatchObject({ type: 'chain', id: '1', percentage: 70, max: 40, wildcard: true });
+    });
+
+    it('counts a missing allocation as 0%', () => {
+      const violations = AllocationConstraints.evaluate([{ type: 'asset', id: 'DOT', targetPercentage: 20 }], [], 5);
+
+      expect(violations[0]).toMatchObject({ id: 'DOT', percentage: 0, min: 15 });
+    });
+  });
+
+  describe('checkTargets', () => {
+    it('accepts consistent targets', () => {
+      expect(AllocationConstraints.checkTargets([
+        { type: 'asset', id: 'USDC', targetPercentage: 60 },
+        { type: 'asset', id: 'DOT', targetPercentage: 40 },
+        { type: 'chain', id: '*', maxPercentage: 70 }
+      ], 5)).toEqual([]);
+    });
+
+    it('requires a single dimension to sum to 100%', () => {
+      expect(AllocationConstraints.checkTargets([
+        { type: 'asset', id: 'USDC', targetPercentage: 60 },
+        { type: 'asset', id: 'DOT', targetPercentage: 30 }
+      ])).toEqual(['Target allocations must sum to 100%']);
+    });
+
+    it('finds duplicate targets and incomplete limits', () => {
+      const issues = AllocationConstraints.checkTargets([
+        { type: 'asset', id: 'USDC', targetPercentage: 50 },
+        { type: 'asset', id: 'USDC', targetPercentage: 50 },
+        { type: 'chain', id: '*' },
+        { type: 'protocol', id: '*', minPercentage: 50, maxPercentage: 20 }
+      ]);
+
+      expect(issues).toEqual(expect.arrayContaining([
+        'asset USDC has more than one target',
+        'The limit on any chain needs a minimum or maximum percentage',
+        'The minimum for any protocol is above its maximum'
+      ]));
+    });
+
+    it('finds explicit targets that cannot fit a wildcard limit', () => {
+      const issues = AllocationConstraints.checkTargets([
+        { type: 'chain', id: '1', name: 'Ethereum', targetPercentage: 80 },
+        { type: 'chain', id: '*', maxPercentage: 50 }
+      ], 5);
+
+      expect(issues).toEqual(['chain Ethereum needs at least 75.00% but any chain is limited to 50.00%']);
+    });
+  });
+
+  describe('candidateCells', () => {
+    it('adds the best offered cell for each combination of the constrained dimensions', () => {
+      const cells = AllocationConstraints.candidateCells(
+        [{ asset: 'USDC', protocol: 'aave', chain: '1', percentage: 100 }],
+        [
+          { asset: 'USDC', protocol: 'aave', chain: '1', apy: 4 },
+          { asset: 'DOT', protocol: 'acala', chain: 'polkadot', apy: 8 },
+          { asset: 'DOT', protocol: 'bifrost', chain: 'polkadot', apy: 12 }
+        ],
+        ['asset', 'chain']
+      );
+
+      expect(cells.map(cell => [cell.key, cell.held])).toEqual([
+        ['USDC|aave|1', true],
+        ['DOT|bifrost|polkadot', false]
+      ]);
+    });
+  });
+
+  describe('solve', () => {
+    const cells = AllocationConstraints.candidateCells(
+      [
+        { asset: 'USDC', protocol: 'aave', chain: '1', percentage: 50 },
+        { asset: 'DOT', protocol: 'acala', chain: 'polkadot', percentage: 50 }
+      ],
+      [{ asset: 'USDC', protocol: 'moonwell', chain: 'polkadot', apy: 6 }]
+    );
+
+    it('meets asset targets and a chain limit at once', () => {
+      const targets = [
+        { type: 'asset', id: 'USDC', targetPercentage: 60 },
+        { type: 'asset', id: 'DOT', targetPercentage: 40 },
+        { type: 'chain', id: '*', maxPercentage: 50 }
+      ];
+
+      const { feasible, weights, violations } = AllocationConstraints.solve(cells, targets);
+
+      expect(feasible).toBe(true);
+      expect(violations).toEqual([]);
+      expect(sumOf(cells, weights, () => true)).toBeCloseTo(100);
+      expect(sumOf(cells, weights, cell => cell.asset === 'USDC')).toBeCloseTo(60, 0);
+      expect(sumOf(cells, weights, cell => cell.chain === '1')).toBeLessThanOrEqual(50.1);
+      expect(sumOf(cells, weights, cell => cell.chain === 'polkadot')).toBeLessThanOrEqual(50.1);
+      expect(weights.get('USDC|moonwell|polkadot')).toBeGreaterThan(5);
+    });
+
+    it('drops offered cells the targets do not need', () => {
+      const { weights } = AllocationConstraints.solve(cells, [
+        { type: 'asset', id: 'USDC', targetPercentage: 50 },
+        { type: 'asset', id: 'DOT', targetPercentage: 50 }
+      ]);
+
+      expect(weights.get('USDC|aave|1')).toBeCloseTo(50, 1);
+      expect(weights.get('USDC|moonwell|polkadot')).toBeLessThan(0.01);
+    });
+
+    it('reports the constraints no allocation can meet', () => {
+      const held = [
+        { key: 'USDC|aave|1', asset: 'USDC', protocol: 'aave', chain: '1', percentage: 100, held: true }
+      ];
+
+      const { feasible, violations } = AllocationConstraints.solve(held, [
+        { type: 'asset', id: 'USDC', targetPercentage: 100 },
+        { type: 'chain', id: '*', maxPercentage: 50 }
+      ]);
+
+      expect(feasible).toBe(false);
+      expect(violations).toHaveLength(1);
+      expect(AllocationConstraints.describe(violations[0])).toBe('chain 1 cannot be kept within 0.00%-50.00% (closest: 100.00%)');
+    });
+  });
+});
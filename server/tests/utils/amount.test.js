@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const {
+  fromRaw,
+  fromDecimal,
+  toDecimalString,
+  toNumber,
+  add,
+  subtract,
+  compare,
+  share,
+  ratio,
+  valueAt,
+  sumByAsset,
+  isNonNegative,
+  toDecimal128,
+  decimalField
+} = require('../../src/utils/amount');
+
+const { Decimal128 } = mongoose.Types;
+
+describe('amount', () => {
+  describe('fromRaw', () => {
+    it('keeps base units as an integer string', () => {
+      expect(fromRaw(1500000, 6, 'USDC')).toEqual({ raw: '1500000', decimals: 6, asset: 'USDC' });
+      expect(fromRaw('123456789012345678901234567890', 18, 'ETH').raw).toBe('123456789012345678901234567890');
+      expect(fromRaw(10n ** 20n, 18, 'ETH').raw).toBe('100000000000000000000');
+    });
+
+    it('treats a missing value as zero', () => {
+      expect(fromRaw(undefined, 10, 'DOT').raw).toBe('0');
+      expect(fromRaw(null, 10, 'DOT').raw).toBe('0');
+    });
+
+    it('reads Decimal128 values', () => {
+      expect(fromRaw(Decimal128.fromString('42'), 6, 'USDC').raw).toBe('42');
+    });
+
+    it('refuses fractional and invalid base units', () => {
+      expect(() => fromRaw('1.5', 6, 'USDC')).toThrow('whole number of base units');
+      expect(() => fromRaw('abc', 6, 'USDC')).toThrow('Invalid amount');
+      expect(() => fromRaw(Infinity, 6, 'USDC')).toThrow('Invalid amount');
+    });
+  });
+
+  describe('fromDecimal', () => {
+    it('converts whole units to base units', () => {
+      expect(fromDecimal('1.5', 'USDC', 6)).toEqual({ raw: '1500000', decimals: 6, asset: 'USDC' });
+    });
+
+    it('rounds down to the token precision', () => {
+      expect(fromDecimal('0.1234567', 'USDC', 6).raw).toBe('123456');
+    });
+
+    it('uses the decimal places of the value without decimals', () => {
+      expect(fromDecimal('2.25', 'DOT')).toEqual({ raw: '225', decimals: 2, asset: 'DOT' });
+    });
+  });
+
+  describe('toDecimalString and toNumber', () => {
+    it('give the whole-unit value', () => {
+      const amount = fromRaw('1500000', 6, 'USDC');
+      expect(toDecimalString(amount)).toBe('1.5');
+      expect(toNumber(amount)).toBe(1.5);
+    });
+
+    it('keep full precision in the string', () => {
+      expect(toDecimalString(fromRaw('1000000000000000001', 18, 'ETH'))).toBe('1.000000000000000001');
+    });
+  });
+
+  describe('arithmetic', () => {
+    const a = fromRaw('1000000', 6, 'USDC');
+    const b = fromRaw('250000', 6, 'USDC');
+
+    it('adds and subtracts exactly', () => {
+      expect(add(a, b).raw).toBe('1250000');
+      expect(subtract(a, b).raw).toBe('750000');
+      expect(subtract(b, a).raw).toBe('-750000');
+    });
+
+    it('does not lose precision on large amounts', () => {
+      const wei = fromRaw('9007199254740993000000', 18, 'ETH');
+      expect(add(wei, fromRaw('1', 18, 'ETH')).raw).toBe('9007199254740993000001');
+    });
+
+    it('aligns amounts with different decimals', () => {
+      const sum = add(fromRaw('1', 0, 'DOT'), fromRaw('5', 1, 'DOT'));
+      expect(sum).toEqual({ raw: '15', decimals: 1, asset: 'DOT' });
+    });
+
+    it('refuses to combine different assets', () => {
+      expect(() => add(a, fromRaw('1', 10, 'DOT'))).toThrow('Cannot combine amounts of USDC and DOT');
+    });
+
+    it('compares amounts', () => {
+      expect(compare(a, b)).toBe(1);
+      expect(compare(b, a)).toBe(-1);
+      expect(compare(a, fromRaw('1000000', 6, 'USDC'))).toBe(0);
+    });
+  });
+
+  describe('share', () => {
+    it('rounds down to whole base units', () => {
+      expect(share(fromRaw('1000', 6, 'USDC'), 0.3333)).toEqual({ raw: '333', decimals: 6, asset: 'USDC' });
+      expect(share(fromRaw('9', 6, 'USDC'), 0.5).raw).toBe('4');
+    });
+  });
+
+  describe('ratio', () => {
+    it('divides amounts and raw values', () => {
+      expect(ratio(fromRaw('250', 6, 'USDC'), fromRaw('1000', 6, 'USDC'))).toBe(0.25);
+      expect(ratio('1', '4')).toBe(0.25);
+    });
+
+    it('is zero for a zero denominator', () => {
+      expect(ratio('5', '0')).toBe(0);
+    });
+  });
+
+  describe('valueAt', () => {
+    it('values whole units at a price', () => {
+      expect(valueAt(fromRaw('2500000000', 10, 'DOT'), 6)).toBe(1.5);
+    });
+  });
+
+  describe('sumByAsset', () => {
+    it('totals amounts per asset', () => {
+      const totals = sumByAsset([
+        fromRaw('100', 6, 'USDC'),
+        fromRaw('7', 10, 'DOT'),
+        fromRaw('50', 6, 'USDC')
+      ]);
+      expect(totals.get('USDC').raw).toBe('150');
+      expect(totals.get('DOT').raw).toBe('7');
+      expect(totals.size).toBe(2);
+    });
+  });
+
+  describe('isNonNegative', () => {
+    it('accepts unset, zero and positive values', () => {
+      expect(isNonNegative(undefined)).toBe(true);
+      expect(isNonNegative(null)).toBe(true);
+      expect(isNonNegative('0')).toBe(true);
+      expect(isNonNegative('12')).toBe(true);
+      expect(isNonNegative('-1')).toBe(false);
+    });
+  });
+
+  describe('toDecimal128', () => {
+    it('stores values exactly', () => {
+      expect(toDecimal128('123456789012345678901234567890').toString()).toBe('123456789012345678901234567890');
+    });
+
+    it('returns Decimal128 values unchanged', () => {
+      const value = Decimal128.fromString('1');
+      expect(toDecimal128(value)).toBe(value);
+    });
+
+    it('refuses values with more than 34 significant digits', () => {
+      expect(() => toDecimal128('1'.repeat(35))).toThrow('more than 34 significant digits');
+    });
+  });
+
+  describe('decimalField', () => {
+    it('stores Decimal128 and reads back as a decimal string', () => {
+      const Model = mongoose.model('AmountFieldTest', new mongoose.Schema({ amount: decimalField() }));
+
+      const doc = new Model({ amount: 1500000 });
+      expect(doc.get('amount', null, { getters: false })).toBeInstanceOf(Decimal128);
+      expect(doc.amount).toBe('1500000');
+      expect(new Model({ amount: '' }).amount).toBeUndefined();
+    });
+
+    it('serializes as a decimal string through schema getters, nested paths included', () => {
+      const schema = new mongoose.Schema({
+        amount: decimalField(),
+        withdrawals: [{ amount: decimalField() }]
+      }, { toJSON: { getters: true } });
+      const Model = mongoose.model('AmountJsonTest', schema);
+
+      const json = JSON.parse(JSON.stringify(new Model({ amount: '1500000', withdrawals: [{ amount: '250' }] })));
+      expect(json.amount).toBe('1500000');
+      expect(json.withdrawals[0].amount).toBe('250');
+
+      // Decimal128 itself is left alone
+      expect(JSON.stringify({ amount: toDecimal128('1') })).toBe('{"amount":{"$numberDecimal":"1"}}');
+    });
+  });
+});